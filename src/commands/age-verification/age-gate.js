@@ -0,0 +1,288 @@
+/**
+ * Age Gate Command for GrowmiesNJ Discord Bot
+ *
+ * Declares which channels and categories are 21+ and audits their permission
+ * overwrites against the verified role, repairing drift on demand
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { GuildSettings } = require('../../database/models/GuildSettings');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { ageGateService, ISSUE_TYPES } = require('../../services/ageGate');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+// Issues listed in the report embed
+const REPORT_ISSUE_LIMIT = 15;
+
+// Declarations listed per field in the config embed
+const CONFIG_LIST_LIMIT = 25;
+
+const GATED_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildVoice,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildForum,
+    ChannelType.GuildStageVoice
+];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('age-gate')
+        .setDescription('Audit and enforce permissions on 21+ channels')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('audit')
+                .setDescription('Check declared 21+ channels for permission drift without changing anything')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('fix')
+                .setDescription('Check declared 21+ channels and repair @everyone and verified role overwrites')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('View or change which channels are 21+')
+                .addChannelOption(option =>
+                    option.setName('add_channel')
+                        .setDescription('Declare a channel as 21+')
+                        .addChannelTypes(...GATED_CHANNEL_TYPES)
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('add_category')
+                        .setDescription('Declare a category (and every channel in it) as 21+')
+                        .addChannelTypes(ChannelType.GuildCategory)
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('remove')
+                        .setDescription('Remove a channel or category from the declarations')
+                        .addChannelTypes(...GATED_CHANNEL_TYPES, ChannelType.GuildCategory)
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('auto_fix')
+                        .setDescription('Repair drift automatically on startup and when channels change')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('alert_channel')
+                        .setDescription('Channel for drift alerts (defaults to the mod log)')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('seed')
+                .setDescription('Import the 21+ categories and channels from config/server-configuration.json')
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🔞 Age gate ${subcommand} executed by ${interaction.user.tag}`);
+
+            switch (subcommand) {
+                case 'audit':
+                case 'fix':
+                    return await this.handleAudit(interaction, subcommand === 'fix');
+                case 'seed':
+                    return await this.handleSeed(interaction);
+                default:
+                    return await this.handleConfig(interaction);
+            }
+
+        } catch (error) {
+            console.error(`❌ Error in age-gate ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Age Gate Command Failed',
+                error.message.startsWith('Age gate')
+                    ? error.message
+                    : 'An error occurred while processing the age gate command. Please try again or contact an administrator.',
+                'AGE_GATE_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send age gate error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Audit declared channels, repairing drift when requested
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {boolean} fix - Repair fixable issues
+     * @returns {Promise<void>}
+     */
+    async handleAudit(interaction, fix) {
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const config = settings.getAgeGateConfig();
+
+        if (config.channel_ids.length === 0 && config.category_ids.length === 0) {
+            return await interaction.editReply({
+                embeds: [EmbedUtils.createErrorEmbed(
+                    'No 21+ Channels Declared',
+                    'Declare channels with `/age-gate config add_channel` or `add_category`, or import them with `/age-gate seed`.'
+                )]
+            });
+        }
+
+        const report = await ageGateService.audit(interaction.guild, {
+            fix,
+            source: 'command',
+            actorId: interaction.user.id
+        });
+
+        const unresolved = report.issues.filter(issue => !issue.fixed);
+        const exposed = unresolved.some(issue => ISSUE_TYPES[issue.type].severity === 'critical');
+
+        await interaction.editReply({
+            embeds: [{
+                color: exposed ? BRAND_COLORS.ERROR : unresolved.length > 0 ? BRAND_COLORS.WARNING : BRAND_COLORS.SUCCESS,
+                title: fix ? '🔞 Age Gate Fix' : '🔞 Age Gate Audit',
+                description: report.issues.length === 0
+                    ? `All ${report.checked} declared channel${report.checked !== 1 ? 's are' : ' is'} hidden from @everyone and open to <@&${report.verified_role_id}>.`
+                    : ageGateService.formatIssues(report.issues, REPORT_ISSUE_LIMIT),
+                fields: [
+                    { name: '📋 Checked', value: `${report.checked}`, inline: true },
+                    { name: '⚠️ Issues', value: `${report.issues.length}`, inline: true },
+                    { name: '🔧 Fixed', value: fix ? `${report.fixed}${report.failed > 0 ? ` (${report.failed} failed)` : ''}` : 'Audit only', inline: true }
+                ],
+                footer: {
+                    text: unresolved.some(issue => ISSUE_TYPES[issue.type].fixable) && !fix
+                        ? 'Run /age-gate fix to repair @everyone and verified role overwrites'
+                        : 'Growmies NJ Cannabis Community • Age Gate',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Update or show the 21+ declarations
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleConfig(interaction) {
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const previousConfig = settings.getAgeGateConfig();
+        const updates = {};
+
+        const addChannel = interaction.options.getChannel('add_channel');
+        const addCategory = interaction.options.getChannel('add_category');
+        const remove = interaction.options.getChannel('remove');
+        const autoFix = interaction.options.getBoolean('auto_fix');
+        const alertChannel = interaction.options.getChannel('alert_channel');
+
+        if (addChannel) updates.channel_ids = [...previousConfig.channel_ids, addChannel.id];
+        if (addCategory) updates.category_ids = [...previousConfig.category_ids, addCategory.id];
+        if (remove) {
+            updates.channel_ids = (updates.channel_ids || previousConfig.channel_ids).filter(id => id !== remove.id);
+            updates.category_ids = (updates.category_ids || previousConfig.category_ids).filter(id => id !== remove.id);
+        }
+        if (autoFix !== null) updates.auto_fix = autoFix;
+        if (alertChannel) updates.alert_channel_id = alertChannel.id;
+
+        if (Object.keys(updates).length > 0) {
+            await settings.updateAgeGateConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'age_gate_config_updated',
+                null,
+                {
+                    previous_config: previousConfig,
+                    new_config: settings.getAgeGateConfig()
+                }
+            );
+        }
+
+        await interaction.editReply({
+            embeds: [this.createConfigEmbed(interaction, settings, Object.keys(updates).length > 0)]
+        });
+    },
+
+    /**
+     * Import declarations from the server layout used by the setup scripts
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleSeed(interaction) {
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const previousConfig = settings.getAgeGateConfig();
+        const seed = await ageGateService.seedFromServerConfiguration(interaction.guild, settings);
+
+        if (!seed) {
+            return await interaction.editReply({
+                embeds: [EmbedUtils.createErrorEmbed(
+                    'Nothing to Import',
+                    'config/server-configuration.json is missing or describes a different server.'
+                )]
+            });
+        }
+
+        await AuditLog.logAdminAction(
+            interaction.user.id,
+            interaction.guild.id,
+            'age_gate_config_updated',
+            null,
+            {
+                source: 'server_configuration',
+                previous_config: previousConfig,
+                new_config: settings.getAgeGateConfig()
+            }
+        );
+
+        const embed = this.createConfigEmbed(interaction, settings, true);
+        embed.description = `Imported ${seed.category_ids.length} categor${seed.category_ids.length !== 1 ? 'ies' : 'y'} and ${seed.channel_ids.length} channel${seed.channel_ids.length !== 1 ? 's' : ''}` +
+            (seed.skipped > 0 ? ` (${seed.skipped} IDs no longer exist and were skipped).` : '.');
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Build the declarations summary embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {GuildSettings} settings - Guild settings
+     * @param {boolean} updated - Whether settings were changed
+     * @returns {Object} - Embed data
+     */
+    createConfigEmbed(interaction, settings, updated) {
+        const config = settings.getAgeGateConfig();
+        const verifiedRoleId = ageGateService.getVerifiedRoleId(settings);
+        const list = (ids, fallback) => {
+            if (ids.length === 0) return fallback;
+            const shown = ids.slice(0, CONFIG_LIST_LIMIT).map(id => `<#${id}>`).join(', ');
+            return ids.length > CONFIG_LIST_LIMIT ? `${shown} …and ${ids.length - CONFIG_LIST_LIMIT} more` : shown;
+        };
+
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title: updated ? '🔞 Age Gate Updated' : '🔞 Age Gate',
+            fields: [
+                { name: '📁 21+ Categories', value: list(config.category_ids, 'None'), inline: false },
+                { name: '💬 21+ Channels', value: list(config.channel_ids, 'None'), inline: false },
+                { name: '✅ Verified Role', value: verifiedRoleId ? `<@&${verifiedRoleId}>` : '⚠️ Not configured', inline: true },
+                { name: '🔧 Auto-Fix', value: config.auto_fix ? 'Enabled' : 'Disabled (report only)', inline: true },
+                { name: '📢 Alerts', value: config.alert_channel_id ? `<#${config.alert_channel_id}>` : 'Mod log', inline: true }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Age Gate',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
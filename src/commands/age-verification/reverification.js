@@ -0,0 +1,167 @@
+/**
+ * Re-Verification Command for GrowmiesNJ Discord Bot
+ *
+ * Configures the per-guild age re-verification policy: how long a 21+
+ * verification stays valid, when reminder DMs go out and where members are re-prompted
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { GuildSettings, REVERIFICATION_LIMITS } = require('../../database/models/GuildSettings');
+const { User } = require('../../database/models/User');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('reverification')
+        .setDescription('Configure periodic age re-verification')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('View or change the re-verification policy')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Expire verifications and remove 21+ roles when they lapse')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('validity_days')
+                        .setDescription('Days a verification stays valid')
+                        .setRequired(false)
+                        .setMinValue(REVERIFICATION_LIMITS.validity_days[0])
+                        .setMaxValue(REVERIFICATION_LIMITS.validity_days[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('reminder_days')
+                        .setDescription('Days before expiry to DM a reminder (0 disables reminders)')
+                        .setRequired(false)
+                        .setMinValue(REVERIFICATION_LIMITS.reminder_days[0])
+                        .setMaxValue(REVERIFICATION_LIMITS.reminder_days[1])
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel where expired members are re-prompted with the verify buttons')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('clear_channel')
+                        .setDescription('Stop posting re-verification prompts in a channel (DMs only)')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🔞 Re-verification config executed by ${interaction.user.tag}`);
+
+            const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+            const previousConfig = settings.getReverificationConfig();
+            const updates = this.getUpdates(interaction);
+
+            if (Object.keys(updates).length > 0) {
+                await settings.updateReverificationConfig(updates);
+
+                await AuditLog.logAdminAction(
+                    interaction.user.id,
+                    interaction.guild.id,
+                    'reverification_config_updated',
+                    null,
+                    {
+                        previous_config: previousConfig,
+                        new_config: settings.getReverificationConfig()
+                    }
+                );
+            }
+
+            const config = settings.getReverificationConfig();
+            const [expiring, expired] = await Promise.all([
+                User.findExpiringVerifications(config.reminder_days, interaction.guild.id),
+                User.findExpiredVerifications(interaction.guild.id)
+            ]);
+
+            await interaction.editReply({
+                embeds: [this.createConfigEmbed(interaction, config, Object.keys(updates).length > 0, {
+                    expiring: expiring.filter(user => !user.isVerificationExpired()).length,
+                    expired: expired.length
+                })]
+            });
+
+        } catch (error) {
+            console.error('❌ Error in reverification command:', error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Re-Verification Update Failed',
+                error.message.startsWith('Re-verification')
+                    ? error.message
+                    : 'An error occurred while updating re-verification settings. Please try again or contact an administrator.',
+                'REVERIFICATION_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send reverification error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Collect the options that were provided into a config update
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Configuration fields to change
+     */
+    getUpdates(interaction) {
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const validityDays = interaction.options.getInteger('validity_days');
+        const reminderDays = interaction.options.getInteger('reminder_days');
+        const channel = interaction.options.getChannel('channel');
+
+        if (enabled !== null) updates.enabled = enabled;
+        if (validityDays !== null) updates.validity_days = validityDays;
+        if (reminderDays !== null) updates.reminder_days = reminderDays;
+        if (channel) updates.channel_id = channel.id;
+        if (interaction.options.getBoolean('clear_channel')) updates.channel_id = null;
+
+        return updates;
+    },
+
+    /**
+     * Build the policy summary embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Object} config - Re-verification configuration
+     * @param {boolean} updated - Whether settings were changed
+     * @param {Object} counts - Members inside the reminder window and already expired
+     * @returns {Object} - Embed data
+     */
+    createConfigEmbed(interaction, config, updated, counts) {
+        return {
+            color: config.enabled ? BRAND_COLORS.SUCCESS : BRAND_COLORS.WARNING,
+            title: updated ? '🔞 Re-Verification Policy Updated' : '🔞 Re-Verification Policy',
+            description: config.enabled
+                ? 'Verifications expire automatically. Expired members lose their 21+ roles and are asked to verify again.'
+                : 'Re-verification is **disabled**. Verifications are recorded with an expiry date but never enforced.',
+            fields: [
+                { name: '📅 Valid For', value: `${config.validity_days} days`, inline: true },
+                { name: '⏰ Reminder', value: config.reminder_days > 0 ? `${config.reminder_days} days before expiry` : 'Disabled', inline: true },
+                { name: '📢 Prompt Channel', value: config.channel_id ? `<#${config.channel_id}>` : 'DMs only', inline: true },
+                {
+                    name: '👥 Members',
+                    value: `**Expiring Soon:** ${counts.expiring}\n**Expired, Awaiting Processing:** ${counts.expired}`,
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Age Verification',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
@@ -0,0 +1,150 @@
+/**
+ * Verification Stats Command for GrowmiesNJ Discord Bot
+ *
+ * Admin view of the age verification funnel with a JSON export of the full report
+ * Exports are audit logged since the report is used as compliance evidence
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, AttachmentBuilder } = require('discord.js');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { verificationAnalyticsService, ANALYTICS_CONFIG } = require('../../services/verificationAnalytics');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+// Days listed in the drop-off field (the JSON export has every day)
+const DAILY_ROWS = 7;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verification-stats')
+        .setDescription('View the age verification funnel (joins, verifications, denials, drop-off)')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addIntegerOption(option =>
+            option.setName('days')
+                .setDescription(`Days to report on (default: ${ANALYTICS_CONFIG.DEFAULT_DAYS})`)
+                .setRequired(false)
+                .setMinValue(1)
+                .setMaxValue(ANALYTICS_CONFIG.MAX_DAYS)
+        ),
+
+    async execute(interaction) {
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const days = interaction.options.getInteger('days') ?? ANALYTICS_CONFIG.DEFAULT_DAYS;
+
+            console.log(`📊 Verification stats (${days} days) requested by ${interaction.user.tag}`);
+
+            const report = await verificationAnalyticsService.buildReport(interaction.guild.id, days);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'verification_report_exported',
+                null,
+                { days: report.window.days, source: 'command' }
+            );
+
+            const file = new AttachmentBuilder(Buffer.from(JSON.stringify(report, null, 2)), {
+                name: `verification-report-${report.generated_at.slice(0, 10)}.json`
+            });
+
+            await interaction.editReply({
+                embeds: [this.createStatsEmbed(interaction, report)],
+                files: [file]
+            });
+
+        } catch (error) {
+            console.error('❌ Error in verification-stats command:', error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Verification Stats Failed',
+                'An error occurred while building the verification report. Please try again or contact an administrator.',
+                'VERIFICATION_STATS_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send verification stats error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Build the funnel summary embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Object} report - Result of VerificationAnalyticsService.buildReport
+     * @returns {Object} - Embed data
+     */
+    createStatsEmbed(interaction, report) {
+        const { totals, time_to_verify: timeToVerify } = report;
+        const formatMinutes = (minutes) => {
+            if (minutes === null) return 'n/a';
+            if (minutes < 60) return `${minutes} min`;
+            if (minutes < 1440) return `${(minutes / 60).toFixed(1)} h`;
+            return `${(minutes / 1440).toFixed(1)} days`;
+        };
+        const statusCounts = Object.entries(report.current_status);
+        const methods = Object.entries(report.by_method);
+
+        return {
+            color: BRAND_COLORS.INFO,
+            title: `📊 Verification Funnel • Last ${report.window.days} Day${report.window.days !== 1 ? 's' : ''}`,
+            fields: [
+                {
+                    name: '🚪 Joins → Verified',
+                    value: [
+                        `**Members Joined:** ${totals.unique_joiners} (${totals.joins} joins)`,
+                        `**Verified After Joining:** ${totals.verified_after_join}`,
+                        `**Conversion:** ${totals.conversion_rate}%`
+                    ].join('\n'),
+                    inline: true
+                },
+                {
+                    name: '🔞 Outcomes',
+                    value: [
+                        `**Verifications:** ${totals.verifications}`,
+                        `**Denials:** ${totals.denials}`,
+                        `**Rate-Limit Hits:** ${totals.rate_limit_hits}`,
+                        `**Sent to Review:** ${totals.sent_to_review}`,
+                        `**Renewals:** ${totals.renewals}`
+                    ].join('\n'),
+                    inline: true
+                },
+                {
+                    name: '⏱️ Time to Verify',
+                    value: timeToVerify.samples > 0
+                        ? [
+                            `**Median:** ${formatMinutes(timeToVerify.median_minutes)} • **P90:** ${formatMinutes(timeToVerify.p90_minutes)}`,
+                            ...timeToVerify.buckets.map(bucket => `${bucket.label}: **${bucket.count}**`)
+                        ].join('\n')
+                        : 'No members joined and verified in this window',
+                    inline: false
+                },
+                {
+                    name: '📉 Drop-Off by Day',
+                    value: report.daily.slice(-DAILY_ROWS).reverse()
+                        .map(day => `\`${day.date}\` ${day.joins} joined • ${day.verified} verified • ${day.drop_off} dropped (${day.drop_off_rate}%)`)
+                        .join('\n'),
+                    inline: false
+                },
+                {
+                    name: '🧾 Verification Methods',
+                    value: methods.length > 0 ? methods.map(([method, count]) => `${method}: **${count}**`).join(' • ') : 'None',
+                    inline: true
+                },
+                {
+                    name: '👥 Current Status',
+                    value: statusCounts.length > 0 ? statusCounts.map(([status, count]) => `${status}: **${count}**`).join(' • ') : 'No records',
+                    inline: true
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Full report attached as JSON',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: report.generated_at
+        };
+    }
+};
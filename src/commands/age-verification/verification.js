@@ -0,0 +1,277 @@
+/**
+ * Verification Command for GrowmiesNJ Discord Bot
+ *
+ * Chooses how members prove they are 21+ (button, birthdate or staff review)
+ * and handles the birthdate form and the staff review queue buttons
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { GuildSettings, VERIFICATION_MODE_LIMITS } = require('../../database/models/GuildSettings');
+const { User } = require('../../database/models/User');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { AgeVerificationService } = require('../../services/ageVerification');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+const ageVerificationService = new AgeVerificationService();
+
+const MODE_LABELS = {
+    button: '🔘 Button only',
+    birthdate: '🎂 Birthdate (borderline attempts reviewed by staff)',
+    staff_review: '🧑‍⚖️ Birthdate with staff review of every attempt'
+};
+
+// Pending reviews listed by /verification pending
+const PENDING_LIST_LIMIT = 15;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verification')
+        .setDescription('Configure how members verify their age')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('View or change the verification mode')
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('How members verify they are 21+')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Button only', value: 'button' },
+                            { name: 'Birthdate (borderline attempts reviewed)', value: 'birthdate' },
+                            { name: 'Staff review of every attempt', value: 'staff_review' }
+                        )
+                )
+                .addChannelOption(option =>
+                    option.setName('review_channel')
+                        .setDescription('Staff channel for the manual review queue')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('borderline_months')
+                        .setDescription('Review members who turned 21 within this many months (0 disables)')
+                        .setRequired(false)
+                        .setMinValue(VERIFICATION_MODE_LIMITS.borderline_months[0])
+                        .setMaxValue(VERIFICATION_MODE_LIMITS.borderline_months[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_account_age_days')
+                        .setDescription('Review Discord accounts younger than this many days (0 disables)')
+                        .setRequired(false)
+                        .setMinValue(VERIFICATION_MODE_LIMITS.min_account_age_days[0])
+                        .setMaxValue(VERIFICATION_MODE_LIMITS.min_account_age_days[1])
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('pending')
+                .setDescription('List verifications waiting for staff review')
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🔞 Verification ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'pending') {
+                return await this.handlePending(interaction);
+            }
+
+            await this.handleConfig(interaction);
+
+        } catch (error) {
+            console.error(`❌ Error in verification ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Verification Command Failed',
+                error.message.startsWith('Verification')
+                    ? error.message
+                    : 'An error occurred while processing the verification command. Please try again or contact an administrator.',
+                'VERIFICATION_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send verification error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Update or show the verification mode
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleConfig(interaction) {
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const previousConfig = settings.getVerificationModeConfig();
+        const updates = {};
+
+        const mode = interaction.options.getString('mode');
+        const reviewChannel = interaction.options.getChannel('review_channel');
+        const borderlineMonths = interaction.options.getInteger('borderline_months');
+        const minAccountAgeDays = interaction.options.getInteger('min_account_age_days');
+
+        if (mode) updates.mode = mode;
+        if (reviewChannel) updates.review_channel_id = reviewChannel.id;
+        if (borderlineMonths !== null) updates.borderline_months = borderlineMonths;
+        if (minAccountAgeDays !== null) updates.min_account_age_days = minAccountAgeDays;
+
+        if (Object.keys(updates).length > 0) {
+            await settings.updateVerificationModeConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'verification_mode_config_updated',
+                null,
+                {
+                    previous_config: previousConfig,
+                    new_config: settings.getVerificationModeConfig()
+                }
+            );
+        }
+
+        const config = settings.getVerificationModeConfig();
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: Object.keys(updates).length > 0 ? '🔞 Verification Mode Updated' : '🔞 Verification Mode',
+                fields: [
+                    { name: '⚙️ Mode', value: MODE_LABELS[config.mode], inline: false },
+                    { name: '📥 Review Channel', value: config.review_channel_id ? `<#${config.review_channel_id}>` : 'Not set', inline: true },
+                    { name: '🎂 Borderline Window', value: config.borderline_months > 0 ? `${config.borderline_months} months after turning 21` : 'Disabled', inline: true },
+                    { name: '🆕 New Accounts', value: config.min_account_age_days > 0 ? `Younger than ${config.min_account_age_days} days` : 'Disabled', inline: true }
+                ],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Age Verification',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * List members waiting for a staff decision
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handlePending(interaction) {
+        const candidates = await User.findAll({
+            where: {
+                guild_id: interaction.guild.id,
+                verification_status: 'pending',
+                verification_method: ['birthdate', 'staff_review']
+            },
+            order: [['last_attempt_at', 'ASC']]
+        });
+        const pending = candidates.filter(user => user.verification_metadata?.pending_review);
+
+        const lines = pending.slice(0, PENDING_LIST_LIMIT).map(user => {
+            const review = user.verification_metadata.pending_review;
+            const submitted = `<t:${Math.floor(new Date(review.submitted_at).getTime() / 1000)}:R>`;
+            const card = review.message_id
+                ? ` • [review card](https://discord.com/channels/${interaction.guild.id}/${review.channel_id}/${review.message_id})`
+                : '';
+            return `• <@${user.discord_id}> — age ${review.age}, ${review.flags.length} flag${review.flags.length !== 1 ? 's' : ''} ${submitted}${card}`;
+        });
+        if (pending.length > PENDING_LIST_LIMIT) {
+            lines.push(`…and ${pending.length - PENDING_LIST_LIMIT} more`);
+        }
+
+        await interaction.editReply({
+            embeds: [{
+                color: pending.length > 0 ? BRAND_COLORS.WARNING : BRAND_COLORS.SUCCESS,
+                title: `⏳ Pending Verification Reviews (${pending.length})`,
+                description: lines.length > 0 ? lines.join('\n') : 'No verifications are waiting for review.',
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Staff Only',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Handle Approve/Deny buttons on review cards
+     * @param {ButtonInteraction} interaction - Button interaction
+     * @returns {Promise<void>}
+     */
+    async handleButton(interaction) {
+        const [, decision, userId] = interaction.customId.split(':');
+
+        if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+            return await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed('Insufficient Permissions', 'Only moderators can review age verifications.')],
+                ephemeral: true
+            });
+        }
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const { memberNotified } = await ageVerificationService.handleReviewDecision(interaction, decision, userId);
+
+            await interaction.editReply({
+                embeds: [EmbedUtils.createSuccessEmbed(
+                    decision === 'approve' ? 'Verification Approved' : 'Verification Denied',
+                    `<@${userId}> was ${decision === 'approve' ? 'verified and given access' : 'denied'}.${memberNotified ? ' The member has been notified.' : ' The member could not be notified by DM.'}`
+                )]
+            });
+
+        } catch (error) {
+            console.error(`❌ Error handling verification review ${interaction.customId}:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Verification Review Failed',
+                error.message.startsWith('Verification')
+                    ? error.message
+                    : 'An error occurred while recording the decision. Please try again.',
+                'VERIFICATION_REVIEW_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send verification review error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Handle the birthdate form submitted from the verify buttons
+     * @param {ModalSubmitInteraction} interaction - Modal interaction
+     * @returns {Promise<void>}
+     */
+    async handleModal(interaction) {
+        try {
+            await ageVerificationService.handleBirthdateSubmission(interaction);
+        } catch (error) {
+            console.error(`❌ Error handling birthdate verification for ${interaction.user.tag}:`, error);
+
+            await AuditLog.logVerificationAttempt(interaction.user.id, interaction.guild.id, interaction.user.id, 'failure', {
+                verification_method: 'birthdate',
+                failure_reason: 'system_error',
+                error_message: error.message
+            }).catch(logError => console.error('❌ Failed to log verification error:', logError));
+
+            const reply = {
+                content: '⚠️ **System Error**\n\nThere was an error processing your verification. Please try again later or contact an administrator.'
+            };
+            if (interaction.deferred) {
+                await interaction.editReply(reply);
+            } else {
+                await interaction.reply({ ...reply, ephemeral: true });
+            }
+        }
+    }
+};
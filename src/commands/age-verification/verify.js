@@ -1,4 +1,8 @@
 const { SlashCommandBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle, EmbedBuilder } = require('discord.js');
+const { raidProtectionService } = require('../../services/raidProtection');
+const { lockdownService } = require('../../services/lockdown');
+const { joinScreeningService } = require('../../services/joinScreening');
+const { reverificationService } = require('../../services/reverification');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -24,8 +28,32 @@ module.exports = {
                 });
             }
 
-            // Check if user already has the role
-            if (interaction.member.roles.cache.has(verifiedRoleId)) {
+            // Verification is paused while raid mode is active
+            if (await raidProtectionService.isRaidModeActive(interaction.guild.id)) {
+                return await interaction.reply({
+                    content: '🚨 **Verification Temporarily Paused**\n\nThe server is in raid protection mode. Please try again in a little while.',
+                    ephemeral: true
+                });
+            }
+
+            // Verification is also paused during a verification lockdown
+            if (await lockdownService.isScopeActive(interaction.guild.id, 'verification')) {
+                return await interaction.reply({
+                    content: '🔒 **Verification Temporarily Paused**\n\nThe server is in lockdown. Please try again once staff lift it.',
+                    ephemeral: true
+                });
+            }
+
+            // Quarantined joins wait for staff review before they can verify
+            if (await joinScreeningService.isQuarantined(interaction.member)) {
+                return await interaction.reply({
+                    content: '🛂 **Pending Staff Review**\n\nYour join is being reviewed by staff. You can verify once they have cleared it.',
+                    ephemeral: true
+                });
+            }
+
+            // Check if user already has the role (members due for re-verification may renew early)
+            if (interaction.member.roles.cache.has(verifiedRoleId) && !(await reverificationService.getRenewableRecord(interaction.member))) {
                 return await interaction.reply({
                     content: '✅ **Already Verified**\n\nYou are already verified as 21+ years old and have access to cannabis community content.',
                     ephemeral: true
@@ -9,6 +9,7 @@ const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, Butt
 const economyService = require('../../services/economyService');
 const { EmbedBuilders, Currency, Validation } = require('../../utils/economyHelpers');
 const ageVerificationService = require('../../services/ageVerification');
+const { trustScoreService } = require('../../services/trustScore');
 
 module.exports = {
   data: new SlashCommandBuilder()
@@ -81,6 +82,16 @@ module.exports = {
         return await interaction.editReply({ embeds: [errorEmbed] });
       }
 
+      // Low-trust accounts cannot gift (limits currency funneling between alt accounts)
+      const trustGate = await trustScoreService.checkGate(guildId, senderId, 'gift');
+      if (!trustGate.allowed) {
+        const errorEmbed = EmbedBuilders.createErrorEmbed(
+          'Gifting Locked',
+          'Gifting unlocks as your account builds trust in the community. Stay active, get verified, and try again later!'
+        );
+        return await interaction.editReply({ embeds: [errorEmbed] });
+      }
+
       // Get sender's economy data
       const senderEconomy = await economyService.getUserEconomy(senderId, guildId);
       if (!senderEconomy) {
@@ -8,6 +8,7 @@
 const { SlashCommandBuilder, EmbedBuilder, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const EngagementService = require('../../services/engagementService');
 const { WelcomeEmbeds, BRAND_COLORS } = require('../../utils/embeds');
+const { jobScheduler, JOB_TYPES } = require('../../services/jobScheduler');
 
 // Poll duration options in milliseconds
 const POLL_DURATIONS = {
@@ -388,10 +389,27 @@ module.exports = {
       components
     });
 
-    // Set timer to close poll
-    setTimeout(() => {
-      this.closePoll(pollId, interaction.channel);
-    }, durationMs);
+    // Schedule poll closing so it survives bot restarts; the poll travels with the job
+    // because global.communityPolls is empty after a restart
+    try {
+      await jobScheduler.schedule(JOB_TYPES.POLL_CLOSE, {
+        pollId,
+        channelId: interaction.channelId,
+        guildId: interaction.guild.id,
+        poll: pollData
+      }, {
+        runAt: new Date(endTime),
+        guildId: interaction.guild.id,
+        uniqueKey: `poll:${pollId}`,
+        createdBy: creator
+      });
+    } catch (error) {
+      // Fall back to an in-process timer when the database is unavailable
+      console.warn('Failed to schedule poll close job, using in-memory timer:', error.message);
+      setTimeout(() => {
+        this.closePoll(pollId, interaction.channel);
+      }, durationMs);
+    }
 
     // Track engagement
     const xp = XP_REWARDS.create_poll + (isTemplate ? XP_REWARDS.template_use : 0);
@@ -734,12 +752,20 @@ module.exports = {
 
   /**
    * Close a poll when it expires
+   * @param {string} pollId - Poll ID
+   * @param {TextChannel|null} channel - Channel the poll was posted in
+   * @param {Object|null} storedPoll - Poll saved with the close job, used when the bot restarted since it was created
    */
-  async closePoll(pollId, channel) {
-    if (!global.communityPolls || !global.communityPolls.has(pollId)) return;
+  async closePoll(pollId, channel, storedPoll = null) {
+    if (!global.communityPolls) {
+      global.communityPolls = new Map();
+    }
+
+    const poll = global.communityPolls.get(pollId) || storedPoll;
+    if (!poll || !poll.active) return;
 
-    const poll = global.communityPolls.get(pollId);
     poll.active = false;
+    global.communityPolls.set(pollId, poll);
 
     // Try to update the poll message if possible
     try {
@@ -755,9 +781,9 @@ module.exports = {
     if (totalVotes > 0) {
       await EngagementService.trackEngagementActivity(
         poll.creator,
-        null, // guild ID not available here
+        channel?.guildId || null,
         'vote',
-        null, // channel ID not available here
+        channel?.id || null,
         {
           action: 'poll_completed',
           pollId,
@@ -767,4 +793,14 @@ module.exports = {
       );
     }
   }
-};
\ No newline at end of file
+};
+
+// Close polls from the persistent job scheduler
+jobScheduler.registerHandler(JOB_TYPES.POLL_CLOSE, async ({ pollId, channelId, poll }, { client }) => {
+  const channel = client && channelId
+    ? await client.channels.fetch(channelId).catch(() => null)
+    : null;
+
+  await module.exports.closePoll(pollId, channel, poll);
+  return { pollId };
+});
@@ -7,6 +7,8 @@
 
 const { SlashCommandBuilder, EmbedBuilder, InteractionContextType } = require('discord.js');
 const { XPCalculationService } = require('../../services/xpCalculation');
+const { automaticRoleProgressionService } = require('../../services/automaticRoleProgression');
+const { xpMultiplierService } = require('../../services/xpMultipliers');
 const { LevelingConfig } = require('../../database/models/LevelingConfig');
 const { User } = require('../../database/models/User');
 
@@ -158,14 +160,26 @@ module.exports = {
                 })
                 .setTimestamp();
 
-            // Add next tier information if applicable
-            if (userStats.tier !== 'Harvested') {
-                const nextTier = this.getNextTier(userStats.tier);
-                const nextTierInfo = this.getTierInfo(nextTier);
+            // Add next tier requirement progress if applicable
+            const userRecord = await xpService.getUserRecord(targetUser.id, interaction.guild.id);
+            const nextTierProgress = userRecord && automaticRoleProgressionService.getNextTierProgress(userRecord, config);
+            if (nextTierProgress) {
+                const nextTierInfo = this.getTierInfo(nextTierProgress.tier);
                 
                 levelEmbed.addFields({
-                    name: `🎯 Next Tier: ${nextTierInfo.emoji} ${nextTier}`,
-                    value: this.getNextTierRequirements(nextTier, userStats),
+                    name: `🎯 Next Tier: ${nextTierInfo.emoji} ${nextTierProgress.tier}`,
+                    value: this.getNextTierRequirements(nextTierProgress.requirements),
+                    inline: false
+                });
+            }
+
+            // Show the multiplier the member earns at in this channel right now
+            const targetMember = interaction.options.getMember('user') || interaction.member;
+            if (targetMember) {
+                const effective = await xpMultiplierService.getEffectiveMultiplier(targetMember, interaction.guild, config, interaction.channel);
+                levelEmbed.addFields({
+                    name: `⚡ XP Multiplier: ${effective.multiplier}×`,
+                    value: this.getMultiplierBreakdown(effective),
                     inline: false
                 });
             }
@@ -312,45 +326,43 @@ module.exports = {
     },
 
     /**
-     * Get next tier in progression
-     * @param {string} currentTier - Current cannabis tier
-     * @returns {string} Next tier name
+     * Format progress toward the next tier's requirements
+     * @param {Object[]} requirements - { label, current, required, met } per requirement
+     * @returns {string} Requirements checklist
      */
-    getNextTier(currentTier) {
-        const progression = ['Seedling', 'Growing', 'Established', 'Harvested'];
-        const currentIndex = progression.indexOf(currentTier);
-        return currentIndex < progression.length - 1 ? progression[currentIndex + 1] : 'Harvested';
+    getNextTierRequirements(requirements) {
+        const lines = requirements.map(requirement =>
+            `${requirement.met ? '✅' : '⬜'} **${requirement.label}:** ${requirement.current.toLocaleString()} / ${requirement.required.toLocaleString()}`
+        );
+        lines.push('*Tier roles update automatically once every requirement is met*');
+        return lines.join('\n');
     },
 
     /**
-     * Get requirements for next tier
-     * @param {string} nextTier - Next tier name
-     * @param {Object} userStats - Current user statistics
-     * @returns {string} Requirements description
+     * Format what makes up an effective XP multiplier
+     * @param {Object} effective - { multiplier, capped, sources } from the XP multiplier service
+     * @returns {string} Multiplier breakdown
      */
-    getNextTierRequirements(nextTier, userStats) {
-        const requirements = {
-            'Growing': [
-                `Level 11+ (Current: ${userStats.level})`,
-                `30+ messages (Current: ${userStats.messages_count})`,
-                '7+ days of community participation'
-            ],
-            'Established': [
-                `Level 26+ (Current: ${userStats.level})`,
-                `100+ messages (Current: ${userStats.messages_count})`,
-                `60+ minutes voice time (Current: ${userStats.voice_time_minutes}m)`,
-                '30+ days of community participation'
-            ],
-            'Harvested': [
-                `Level 51+ (Current: ${userStats.level})`,
-                `500+ messages (Current: ${userStats.messages_count})`,
-                `300+ minutes voice time (Current: ${userStats.voice_time_minutes}m)`,
-                `50+ helpful reactions (Current: ${userStats.reactions_received})`,
-                '90+ days of dedicated community participation'
-            ]
-        };
+    getMultiplierBreakdown(effective) {
+        if (effective.sources.length === 0) {
+            return 'Standard XP rate in this channel';
+        }
 
-        const reqs = requirements[nextTier];
-        return reqs ? reqs.join('\n') : 'You\'ve reached the highest tier! 🏆';
+        const lines = effective.sources.map(source => {
+            switch (source.type) {
+                case 'channel':
+                    return `💬 **Channel** <#${source.id}>: ${source.multiplier}×`;
+                case 'role':
+                    return `🏷️ **Role** <@&${source.id}>: ${source.multiplier}×`;
+                case 'event':
+                    return `🎉 **${source.name}**: ${source.multiplier}×`;
+                default:
+                    return `🧪 **Boost item**: ${source.multiplier}× (ends <t:${Math.floor(new Date(source.expires_at).getTime() / 1000)}:R>)`;
+            }
+        });
+        if (effective.capped) {
+            lines.push(`*Capped at ${effective.multiplier}×*`);
+        }
+        return lines.join('\n');
     }
 };
\ No newline at end of file
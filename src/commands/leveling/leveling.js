@@ -0,0 +1,690 @@
+/**
+ * Leveling Admin Command for GrowmiesNJ Discord Bot
+ *
+ * Configures how members earn XP: voice XP, reaction XP caps and channels excluded from XP,
+ * the guild's level reward table and tier rules, and previews or runs automatic tier progression
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { Op } = require('sequelize');
+const { LevelingConfig, PROGRESSION_TIERS, TIER_REQUIREMENT_LIMITS, MAX_TIER_LEVEL } = require('../../database/models/LevelingConfig');
+const { LevelReward, REWARD_TYPES } = require('../../database/models/LevelReward');
+const { EconomyItem } = require('../../database/models/EconomyItem');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { automaticRoleProgressionService, CHECK_INTERVALS } = require('../../services/automaticRoleProgression');
+const { levelRewardService, REWARD_LIMITS } = require('../../services/levelRewards');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+// Validation errors from LevelingConfig that are safe to show to staff
+const CONFIG_ERROR_PREFIXES = [
+    'Voice XP', 'Reaction XP', 'Excluded channels', 'Invalid Discord channel ID',
+    'Tier progression', 'Tier thresholds', 'Tier requirement', 'Reward'
+];
+
+// /leveling tier options and the requirement each one sets
+const TIER_REQUIREMENT_OPTIONS = {
+    min_activity_score: 'min_activity_score',
+    min_days: 'min_days_active',
+    min_messages: 'min_messages',
+    min_xp: 'min_total_xp',
+    min_voice_minutes: 'min_voice_minutes',
+    min_reactions: 'min_reactions_received'
+};
+
+// Members listed per section of the progression report
+const REPORT_LIST_LIMIT = 10;
+
+const EXCLUDABLE_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildVoice,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildForum,
+    ChannelType.GuildStageVoice,
+    ChannelType.GuildCategory
+];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('leveling')
+        .setDescription('Configure how members earn XP')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('voice')
+                .setDescription('View or change voice XP settings')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Award XP for active time in voice channels')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('xp_per_minute')
+                        .setDescription('XP per active minute in voice')
+                        .setMinValue(1)
+                        .setMaxValue(20)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reactions')
+                .setDescription('View or change reaction XP and its anti-farming caps')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Award authors XP when others react to their messages')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('xp_per_reaction')
+                        .setDescription('XP per reaction received')
+                        .setMinValue(1)
+                        .setMaxValue(10)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('message_cap')
+                        .setDescription('Reactions per message that earn XP')
+                        .setMinValue(1)
+                        .setMaxValue(50)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('daily_cap')
+                        .setDescription('Reactions per member per 24 hours that earn XP')
+                        .setMinValue(1)
+                        .setMaxValue(500)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('per_member_cap')
+                        .setDescription('Reactions from the same member per 24 hours that earn XP')
+                        .setMinValue(1)
+                        .setMaxValue(20)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('exclusions')
+                .setDescription('View or change channels where no XP is earned')
+                .addChannelOption(option =>
+                    option.setName('add')
+                        .setDescription('Channel or category to exclude from XP')
+                        .addChannelTypes(...EXCLUDABLE_CHANNEL_TYPES)
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('remove')
+                        .setDescription('Channel or category to earn XP in again')
+                        .addChannelTypes(...EXCLUDABLE_CHANNEL_TYPES)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('rewards')
+                .setDescription('View the level reward table or change how role rewards combine')
+                .addStringOption(option =>
+                    option.setName('role_mode')
+                        .setDescription('Keep every earned reward role, or only the highest one')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: '📚 Stack all earned roles', value: 'stack' },
+                            { name: '🔁 Replace with the highest role', value: 'replace' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reward-add')
+                .setDescription('Add a role, GrowCoins or shop item reward at a level')
+                .addIntegerOption(option =>
+                    option.setName('level')
+                        .setDescription('Level at which the reward is granted')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(REWARD_LIMITS.MAX_LEVEL)
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to grant')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('coins')
+                        .setDescription('GrowCoins to grant')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(REWARD_LIMITS.MAX_AMOUNT)
+                )
+                .addStringOption(option =>
+                    option.setName('item')
+                        .setDescription('Name of the shop item to grant')
+                        .setRequired(false)
+                        .setMaxLength(100)
+                )
+                .addIntegerOption(option =>
+                    option.setName('quantity')
+                        .setDescription('Number of items to grant (default: 1)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(REWARD_LIMITS.MAX_QUANTITY)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reward-remove')
+                .setDescription('Remove rewards at a level (members keep what they already received)')
+                .addIntegerOption(option =>
+                    option.setName('level')
+                        .setDescription('Level of the rewards to remove')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(REWARD_LIMITS.MAX_LEVEL)
+                )
+                .addStringOption(option =>
+                    option.setName('type')
+                        .setDescription('Only remove this kind of reward (default: all)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: '🏷️ Roles', value: REWARD_TYPES.ROLE },
+                            { name: '💰 GrowCoins', value: REWARD_TYPES.CURRENCY },
+                            { name: '📦 Items', value: REWARD_TYPES.ITEM }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('tier')
+                .setDescription('Change the level and activity requirements of a tier')
+                .addStringOption(option =>
+                    option.setName('tier')
+                        .setDescription('Tier to change')
+                        .setRequired(true)
+                        .addChoices(...PROGRESSION_TIERS.map(tier => ({ name: tier, value: tier })))
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_level')
+                        .setDescription('Level at which the tier starts')
+                        .setRequired(false)
+                        .setMinValue(2)
+                        .setMaxValue(MAX_TIER_LEVEL)
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_activity_score')
+                        .setDescription('Minimum activity score (0-100)')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(TIER_REQUIREMENT_LIMITS.min_activity_score[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_days')
+                        .setDescription('Minimum days since joining the community')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(TIER_REQUIREMENT_LIMITS.min_days_active[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_messages')
+                        .setDescription('Minimum messages sent')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(TIER_REQUIREMENT_LIMITS.min_messages[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_xp')
+                        .setDescription('Minimum total XP')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(TIER_REQUIREMENT_LIMITS.min_total_xp[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_voice_minutes')
+                        .setDescription('Minimum active voice minutes')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(TIER_REQUIREMENT_LIMITS.min_voice_minutes[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_reactions')
+                        .setDescription('Minimum helpful reactions received')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(TIER_REQUIREMENT_LIMITS.min_reactions_received[1])
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('progression')
+                .setDescription('Preview who tier progression would promote or demote, and why')
+                .addBooleanOption(option =>
+                    option.setName('apply')
+                        .setDescription('Apply the tier changes now instead of only previewing them')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🌿 Leveling ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'progression') {
+                return await this.handleProgression(interaction);
+            }
+            if (['rewards', 'reward-add', 'reward-remove'].includes(subcommand)) {
+                return await this.handleRewards(interaction, subcommand);
+            }
+
+            const config = await LevelingConfig.findByGuildId(interaction.guild.id);
+            const previousConfig = config.getXPConfig();
+            const updates = {
+                voice: () => this.getVoiceUpdates(interaction),
+                reactions: () => this.getReactionUpdates(interaction),
+                exclusions: () => this.getExclusionUpdates(interaction, config),
+                tier: () => this.getTierUpdates(interaction, config)
+            }[subcommand]();
+
+            if (Object.keys(updates).length > 0) {
+                await config.updateSettings(updates);
+
+                await AuditLog.logAdminAction(
+                    interaction.user.id,
+                    interaction.guild.id,
+                    'leveling_config_updated',
+                    null,
+                    {
+                        previous_config: previousConfig,
+                        new_config: config.getXPConfig()
+                    }
+                );
+            }
+
+            await interaction.editReply({
+                embeds: [this.createConfigEmbed(interaction, config, Object.keys(updates).length > 0)]
+            });
+
+        } catch (error) {
+            console.error(`❌ Error in leveling ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Leveling Command Failed',
+                CONFIG_ERROR_PREFIXES.some(prefix => error.message.startsWith(prefix))
+                    ? error.message
+                    : 'An error occurred while updating leveling settings. Please try again or contact an administrator.',
+                'LEVELING_CONFIG_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send leveling error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Show the tier progression dry run, and apply it when asked
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleProgression(interaction) {
+        const apply = interaction.options.getBoolean('apply') ?? false;
+
+        const report = await automaticRoleProgressionService.previewGuildProgression(interaction.guild, CHECK_INTERVALS.WEEKLY);
+        if (!report.success) {
+            throw new Error(`Tier progression unavailable: ${report.reason}`);
+        }
+
+        const changes = report.promotions.length + report.demotions.length;
+        await interaction.editReply({
+            embeds: [this.createProgressionEmbed(interaction, report, apply && changes > 0)]
+        });
+
+        if (!apply || changes === 0) return;
+
+        // Role updates are paced for rate limits, so large runs report back in a follow-up
+        automaticRoleProgressionService.watchRateLimits(interaction.client);
+        const result = await automaticRoleProgressionService.processGuildProgression(interaction.guild, CHECK_INTERVALS.WEEKLY);
+        if (!result.success) {
+            throw new Error(`Tier progression could not run: ${result.reason}`);
+        }
+
+        await AuditLog.logAdminAction(
+            interaction.user.id,
+            interaction.guild.id,
+            'tier_progression_applied',
+            null,
+            {
+                total_checked: result.total_checked,
+                progressions: result.progressions.map(progression => ({
+                    user_id: progression.user_id,
+                    previous_tier: progression.previous_tier,
+                    new_tier: progression.new_tier
+                })),
+                errors: result.errors.length
+            }
+        );
+
+        await interaction.followUp({
+            embeds: [EmbedUtils.createSuccessEmbed(
+                '🏷️ Tier Progression Applied',
+                `Updated **${result.progressions.length}** member(s) out of ${result.total_checked} checked.` +
+                (result.errors.length > 0 ? `\n⚠️ ${result.errors.length} member(s) could not be updated; see the bot logs.` : '')
+            )],
+            ephemeral: true
+        });
+    },
+
+    /**
+     * Show or change the level reward table
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {string} subcommand - rewards, reward-add or reward-remove
+     * @returns {Promise<void>}
+     */
+    async handleRewards(interaction, subcommand) {
+        const config = await LevelingConfig.findByGuildId(interaction.guild.id);
+        let details = null;
+
+        if (subcommand === 'reward-add') {
+            const reward = this.getRewardOptions(interaction);
+            const created = await levelRewardService.addReward(interaction.guild, reward, interaction.user.id);
+            details = { action: 'add', reward: created.toJSON() };
+        } else if (subcommand === 'reward-remove') {
+            const level = interaction.options.getInteger('level', true);
+            const type = interaction.options.getString('type');
+            const removed = await levelRewardService.removeRewards(interaction.guild, level, type, interaction.user.id);
+            if (removed.length === 0) {
+                throw new Error(`Reward not found: no ${type ? `${type} ` : ''}rewards at level ${level}`);
+            }
+            details = { action: 'remove', rewards: removed.map(reward => reward.toJSON()) };
+        } else {
+            const mode = interaction.options.getString('role_mode');
+            if (mode !== null && mode !== config.reward_role_mode) {
+                details = { action: 'role_mode', previous_mode: config.reward_role_mode, new_mode: mode };
+                await config.updateSetting('reward_role_mode', mode);
+                await levelRewardService.scheduleSync(interaction.guild.id, interaction.user.id);
+            }
+        }
+
+        if (details) {
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'level_rewards_updated',
+                null,
+                details
+            );
+        }
+
+        const rewards = await LevelReward.findForGuild(interaction.guild.id);
+        await interaction.editReply({
+            embeds: [await this.createRewardsEmbed(interaction, rewards, config, details !== null)]
+        });
+    },
+
+    /**
+     * Read the reward to add from the command options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Reward for the level reward service
+     */
+    getRewardOptions(interaction) {
+        const level = interaction.options.getInteger('level', true);
+        const role = interaction.options.getRole('role');
+        const coins = interaction.options.getInteger('coins');
+        const item = interaction.options.getString('item');
+
+        if ([role, coins, item].filter(value => value !== null).length !== 1) {
+            throw new Error('Reward needs exactly one of role, coins or item');
+        }
+
+        if (role) return { level, reward_type: REWARD_TYPES.ROLE, role };
+        if (coins !== null) return { level, reward_type: REWARD_TYPES.CURRENCY, amount: coins };
+        return {
+            level,
+            reward_type: REWARD_TYPES.ITEM,
+            item_name: item.trim(),
+            quantity: interaction.options.getInteger('quantity') ?? 1
+        };
+    },
+
+    /**
+     * Collect tier rule changes from the command options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @returns {Object} - Settings to update
+     */
+    getTierUpdates(interaction, config) {
+        const tier = interaction.options.getString('tier', true);
+        const updates = {};
+
+        const minLevel = interaction.options.getInteger('min_level');
+        if (minLevel !== null) {
+            const thresholds = config.getTierThresholds();
+            updates.tier_thresholds = { ...thresholds, [tier]: { ...thresholds[tier], min: minLevel } };
+        }
+
+        const changes = {};
+        for (const [option, key] of Object.entries(TIER_REQUIREMENT_OPTIONS)) {
+            const value = interaction.options.getInteger(option);
+            if (value !== null) changes[key] = value;
+        }
+
+        if (Object.keys(changes).length > 0) {
+            // The minimum level is stored with the thresholds, not the requirements
+            const requirements = Object.fromEntries(
+                Object.entries(config.getTierRequirements()).map(([name, { min_level, ...rest }]) => [name, rest])
+            );
+            requirements[tier] = { ...requirements[tier], ...changes };
+            updates.tier_requirements = requirements;
+        }
+        return updates;
+    },
+
+    /**
+     * Collect voice XP changes from the command options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Settings to update
+     */
+    getVoiceUpdates(interaction) {
+        const updates = {};
+        const enabled = interaction.options.getBoolean('enabled');
+        const xpPerMinute = interaction.options.getInteger('xp_per_minute');
+
+        if (enabled !== null) updates.voice_xp_enabled = enabled;
+        if (xpPerMinute !== null) updates.voice_xp_per_minute = xpPerMinute;
+        return updates;
+    },
+
+    /**
+     * Collect reaction XP changes from the command options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Settings to update
+     */
+    getReactionUpdates(interaction) {
+        const updates = {};
+        const enabled = interaction.options.getBoolean('enabled');
+        if (enabled !== null) updates.reaction_xp_enabled = enabled;
+
+        const options = {
+            xp_per_reaction: 'xp_per_reaction_received',
+            message_cap: 'reaction_xp_message_cap',
+            daily_cap: 'reaction_xp_daily_cap',
+            per_member_cap: 'reaction_xp_pair_daily_cap'
+        };
+        for (const [option, key] of Object.entries(options)) {
+            const value = interaction.options.getInteger(option);
+            if (value !== null) updates[key] = value;
+        }
+        return updates;
+    },
+
+    /**
+     * Collect exclusion list changes from the command options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @returns {Object} - Settings to update
+     */
+    getExclusionUpdates(interaction, config) {
+        const add = interaction.options.getChannel('add');
+        const remove = interaction.options.getChannel('remove');
+        if (!add && !remove) return {};
+
+        let excluded = [...(config.excluded_channel_ids || [])];
+        if (add) excluded.push(add.id);
+        if (remove) excluded = excluded.filter(id => id !== remove.id);
+        return { excluded_channel_ids: excluded };
+    },
+
+    /**
+     * Build the tier progression dry run embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Object} report - Report from previewGuildProgression
+     * @param {boolean} applying - Whether the changes are being applied now
+     * @returns {Object} - Embed data
+     */
+    createProgressionEmbed(interaction, report, applying) {
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title: applying ? '🏷️ Applying Tier Progression' : '🏷️ Tier Progression Preview',
+            description: `Checked **${report.total_checked}** verified member(s). ` +
+                (applying ? 'Applying the changes below now.' : 'Nothing has been changed; run again with `apply` to make these changes.'),
+            fields: [
+                { name: `⬆️ Promotions (${report.promotions.length})`, value: this.formatProgressionList(report.promotions), inline: false },
+                { name: `⬇️ Demotions (${report.demotions.length})`, value: this.formatProgressionList(report.demotions), inline: false }
+            ],
+            footer: {
+                text: 'Tiers are also checked daily, weekly and after every level change',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Format tier changes with their reasons for an embed field
+     * @param {Object[]} entries - Evaluations from the progression service
+     * @returns {string} - Field value
+     */
+    formatProgressionList(entries) {
+        if (entries.length === 0) return 'None';
+
+        const lines = entries.slice(0, REPORT_LIST_LIMIT).map(entry =>
+            `<@${entry.user_id}> ${entry.current_tier} → ${entry.target_tier}: ${entry.reasons.slice(0, 2).join('; ')}`
+        );
+        if (entries.length > REPORT_LIST_LIMIT) {
+            lines.push(`…and ${entries.length - REPORT_LIST_LIMIT} more`);
+        }
+
+        let value = lines.join('\n');
+        if (value.length > 1024) {
+            value = `${value.slice(0, 1021)}...`;
+        }
+        return value;
+    },
+
+    /**
+     * Build the level reward table embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {LevelReward[]} rewards - Guild reward table, lowest level first
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @param {boolean} updated - Whether the table or mode was changed
+     * @returns {Promise<Object>} - Embed data
+     */
+    async createRewardsEmbed(interaction, rewards, config, updated) {
+        const itemIds = rewards.filter(reward => reward.item_id).map(reward => reward.item_id);
+        const items = itemIds.length > 0
+            ? await EconomyItem.findAll({ where: { id: { [Op.in]: itemIds } }, attributes: ['id', 'name'] })
+            : [];
+        const itemNames = new Map(items.map(item => [item.id, item.name]));
+
+        const byLevel = new Map();
+        for (const reward of rewards) {
+            if (!byLevel.has(reward.level)) byLevel.set(reward.level, []);
+            byLevel.get(reward.level).push(reward.describe(itemNames));
+        }
+
+        let description = rewards.length > 0
+            ? [...byLevel].map(([level, descriptions]) => `**Level ${level}:** ${descriptions.join(', ')}`).join('\n')
+            : 'No level rewards yet. Add one with `/leveling reward-add`.';
+        if (description.length > 4096) {
+            description = `${description.slice(0, 4093)}...`;
+        }
+
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title: updated ? '🎁 Level Rewards Updated' : '🎁 Level Rewards',
+            description,
+            fields: [
+                {
+                    name: '🏷️ Role Rewards',
+                    value: config.reward_role_mode === 'replace'
+                        ? 'Members keep only their highest earned reward role'
+                        : 'Members keep every reward role they earn',
+                    inline: false
+                }
+            ],
+            footer: {
+                text: `${rewards.length}/${REWARD_LIMITS.MAX_REWARDS} rewards • Changes reach existing members within a minute`,
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Format the rules of each tier for an embed field
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @returns {string} - Field value
+     */
+    formatTierRules(config) {
+        return Object.entries(config.getTierRequirements()).map(([tier, { min_level, ...requirements }]) => {
+            const rules = Object.entries(requirements)
+                .filter(([key, value]) => value > 0 && TIER_REQUIREMENT_LIMITS[key])
+                .map(([key, value]) => `${TIER_REQUIREMENT_LIMITS[key][2]} ${value.toLocaleString()}`);
+            return `**${tier}:** Level ${min_level}+${rules.length > 0 ? `, ${rules.join(', ')}` : ''}`;
+        }).join('\n');
+    },
+
+    /**
+     * Build the XP settings summary embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @param {boolean} updated - Whether settings were changed
+     * @returns {Object} - Embed data
+     */
+    createConfigEmbed(interaction, config, updated) {
+        const excluded = config.excluded_channel_ids || [];
+
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title: updated ? '🌿 Leveling Settings Updated' : '🌿 Leveling Settings',
+            fields: [
+                { name: '⚙️ Leveling', value: config.isLevelingEnabled() ? 'Enabled' : 'Disabled', inline: true },
+                { name: '🎤 Voice XP', value: config.voice_xp_enabled ? `${config.voice_xp_per_minute} XP per active minute` : 'Disabled', inline: true },
+                {
+                    name: '👍 Reaction XP',
+                    value: config.reaction_xp_enabled
+                        ? `${config.xp_per_reaction_received} XP per reaction\nUp to ${config.reaction_xp_message_cap} per message, ${config.reaction_xp_daily_cap} per day, ${config.reaction_xp_pair_daily_cap} per day from the same member`
+                        : 'Disabled',
+                    inline: false
+                },
+                { name: '🏷️ Tier Rules', value: this.formatTierRules(config), inline: false },
+                {
+                    name: '🚫 Excluded Channels',
+                    value: excluded.length > 0 ? excluded.map(id => `<#${id}>`).join(', ').slice(0, 1024) : 'None',
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Voice time counts only when not AFK, deafened or alone • Self and bot reactions earn nothing',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
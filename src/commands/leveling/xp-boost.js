@@ -0,0 +1,347 @@
+/**
+ * XP Boost Command for GrowmiesNJ Discord Bot
+ *
+ * Configure XP multipliers for channels and roles (e.g. server boosters), and schedule
+ * time-boxed boost events like a "4/20 Double XP weekend" that are announced automatically
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { LevelingConfig, XP_MULTIPLIER_LIMITS } = require('../../database/models/LevelingConfig');
+const { XPBoostEvent } = require('../../database/models/XPBoostEvent');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { xpMultiplierService } = require('../../services/xpMultipliers');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+// Validation errors that are safe to show to staff
+const BOOST_ERROR_PREFIXES = ['XP multiplier', 'Boost event', 'Invalid Discord', 'Start time', 'Duration'];
+
+const MULTIPLIER_CHANNEL_TYPES = [
+    ChannelType.GuildText,
+    ChannelType.GuildVoice,
+    ChannelType.GuildAnnouncement,
+    ChannelType.GuildForum,
+    ChannelType.GuildStageVoice,
+    ChannelType.GuildCategory
+];
+
+/**
+ * Parse a duration string like "30m", "48h" or "3d"
+ * @param {string} input - Duration string
+ * @returns {number|null} Duration in milliseconds, or null if invalid
+ */
+function parseDuration(input) {
+    const match = input.trim().toLowerCase().match(/^(\d+)([mhd])$/);
+    if (!match) return null;
+
+    const units = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+    return parseInt(match[1]) * units[match[2]];
+}
+
+/**
+ * Parse an event start: "now", a delay like "3d", or a UTC date like "2027-04-20 00:00"
+ * @param {string|null} input - Start option value
+ * @returns {Date|null} Start time, or null if invalid
+ */
+function parseStartTime(input) {
+    if (!input || input.trim().toLowerCase() === 'now') return new Date();
+
+    const delay = parseDuration(input);
+    if (delay !== null) return new Date(Date.now() + delay);
+
+    const match = input.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2}))?$/);
+    if (!match) return null;
+
+    const [, year, month, day, hour = '00', minute = '00'] = match;
+    const date = new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute));
+    return Number.isNaN(date.getTime()) ? null : date;
+}
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('xp-boost')
+        .setDescription('Configure XP multipliers and boost events')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('View channel and role multipliers and scheduled boost events')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('channel')
+                .setDescription('Set the XP multiplier for a channel or category')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel or category')
+                        .setRequired(true)
+                        .addChannelTypes(...MULTIPLIER_CHANNEL_TYPES)
+                )
+                .addNumberOption(option =>
+                    option.setName('multiplier')
+                        .setDescription('XP multiplier (1 removes it; below 1 slows XP down)')
+                        .setRequired(true)
+                        .setMinValue(XP_MULTIPLIER_LIMITS.MIN)
+                        .setMaxValue(XP_MULTIPLIER_LIMITS.MAX)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('role')
+                .setDescription('Set the XP multiplier for a role, e.g. server boosters')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role; members with several multiplier roles get the highest')
+                        .setRequired(true)
+                )
+                .addNumberOption(option =>
+                    option.setName('multiplier')
+                        .setDescription('XP multiplier (1 removes it)')
+                        .setRequired(true)
+                        .setMinValue(XP_MULTIPLIER_LIMITS.MIN)
+                        .setMaxValue(XP_MULTIPLIER_LIMITS.MAX)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('event')
+                .setDescription('Schedule a time-boxed XP boost event')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Event name, e.g. 4/20 Double XP Weekend')
+                        .setRequired(true)
+                        .setMaxLength(100)
+                )
+                .addNumberOption(option =>
+                    option.setName('multiplier')
+                        .setDescription('XP multiplier while the event runs (e.g. 2 for double XP)')
+                        .setRequired(true)
+                        .setMinValue(1)
+                        .setMaxValue(XP_MULTIPLIER_LIMITS.MAX)
+                )
+                .addStringOption(option =>
+                    option.setName('duration')
+                        .setDescription('How long the event runs (e.g. 2h, 48h, 3d; at most 14d)')
+                        .setRequired(true)
+                        .setMaxLength(10)
+                )
+                .addStringOption(option =>
+                    option.setName('start')
+                        .setDescription('"now" (default), a delay like 3d, or a UTC date like 2027-04-20 00:00')
+                        .setRequired(false)
+                        .setMaxLength(20)
+                )
+                .addChannelOption(option =>
+                    option.setName('announce_channel')
+                        .setDescription('Channel for start and end announcements (defaults to the system channel)')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('cancel')
+                .setDescription('Cancel a running or upcoming boost event')
+                .addStringOption(option =>
+                    option.setName('name')
+                        .setDescription('Name of the event to cancel')
+                        .setRequired(true)
+                        .setMaxLength(100)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`⚡ XP boost ${subcommand} executed by ${interaction.user.tag}`);
+
+            const config = await LevelingConfig.findByGuildId(interaction.guild.id);
+            let title = '⚡ XP Boosts';
+
+            switch (subcommand) {
+                case 'channel':
+                case 'role':
+                    await this.handleMultiplier(interaction, config, subcommand);
+                    title = '⚡ XP Multipliers Updated';
+                    break;
+                case 'event':
+                    await this.handleEvent(interaction);
+                    title = '⚡ Boost Event Scheduled';
+                    break;
+                case 'cancel':
+                    await this.handleCancel(interaction);
+                    title = '⚡ Boost Event Cancelled';
+                    break;
+            }
+
+            const events = await XPBoostEvent.findScheduled(interaction.guild.id);
+            await interaction.editReply({ embeds: [this.createBoostEmbed(interaction, config, events, title)] });
+
+        } catch (error) {
+            console.error(`❌ Error in xp-boost ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'XP Boost Command Failed',
+                BOOST_ERROR_PREFIXES.some(prefix => error.message.startsWith(prefix))
+                    ? error.message
+                    : 'An error occurred while updating XP boosts. Please try again or contact an administrator.',
+                'XP_BOOST_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send xp-boost error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Set or remove a channel or role multiplier
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @param {string} kind - 'channel' or 'role'
+     * @returns {Promise<void>}
+     */
+    async handleMultiplier(interaction, config, kind) {
+        const target = kind === 'channel' ? interaction.options.getChannel('channel', true) : interaction.options.getRole('role', true);
+        const multiplier = interaction.options.getNumber('multiplier', true);
+        const key = `${kind}_xp_multipliers`;
+
+        if (kind === 'role' && target.id === interaction.guild.id) {
+            throw new Error('XP multiplier cannot be set on @everyone; schedule a boost event instead');
+        }
+
+        const previousConfig = config.getXPConfig();
+        const multipliers = { ...(config[key] || {}) };
+        if (multiplier === 1) {
+            delete multipliers[target.id];
+        } else {
+            multipliers[target.id] = multiplier;
+        }
+        await config.updateSetting(key, multipliers);
+
+        await AuditLog.logAdminAction(
+            interaction.user.id,
+            interaction.guild.id,
+            'leveling_config_updated',
+            null,
+            {
+                previous_config: previousConfig,
+                new_config: config.getXPConfig()
+            }
+        );
+    },
+
+    /**
+     * Schedule a boost event from the command options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleEvent(interaction) {
+        const durationMs = parseDuration(interaction.options.getString('duration', true));
+        if (!durationMs) {
+            throw new Error('Duration must look like 30m, 48h or 3d');
+        }
+
+        const startsAt = parseStartTime(interaction.options.getString('start'));
+        if (!startsAt) {
+            throw new Error('Start time must be "now", a delay like 3d, or a UTC date like 2027-04-20 00:00');
+        }
+
+        const event = await xpMultiplierService.scheduleEvent(interaction.guild, {
+            name: interaction.options.getString('name', true).trim(),
+            multiplier: interaction.options.getNumber('multiplier', true),
+            startsAt,
+            endsAt: new Date(startsAt.getTime() + durationMs),
+            announcementChannelId: interaction.options.getChannel('announce_channel')?.id || null
+        }, interaction.user.id);
+
+        await AuditLog.logAdminAction(
+            interaction.user.id,
+            interaction.guild.id,
+            'xp_boost_event_scheduled',
+            null,
+            {
+                event_id: event.id,
+                name: event.name,
+                multiplier: event.multiplier,
+                starts_at: event.starts_at,
+                ends_at: event.ends_at
+            }
+        );
+    },
+
+    /**
+     * Cancel a boost event by name
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleCancel(interaction) {
+        const name = interaction.options.getString('name', true).trim();
+        const matches = (await XPBoostEvent.findScheduled(interaction.guild.id))
+            .filter(event => event.name.toLowerCase() === name.toLowerCase());
+
+        if (matches.length === 0) {
+            throw new Error(`Boost event not found: no running or upcoming event is named "${name}"`);
+        }
+
+        // Several events can share a name; the soonest is cancelled first
+        const [event] = matches;
+        const wasActive = await xpMultiplierService.cancelEvent(interaction.guild, event, interaction.user.id);
+
+        await AuditLog.logAdminAction(
+            interaction.user.id,
+            interaction.guild.id,
+            'xp_boost_event_cancelled',
+            null,
+            {
+                event_id: event.id,
+                name: event.name,
+                was_active: wasActive
+            }
+        );
+    },
+
+    /**
+     * Build the multipliers and boost events embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @param {XPBoostEvent[]} events - Running and upcoming events
+     * @param {string} title - Embed title
+     * @returns {Object} - Embed data
+     */
+    createBoostEmbed(interaction, config, events, title) {
+        const formatMultipliers = (multipliers, mention) => {
+            const entries = Object.entries(multipliers || {});
+            if (entries.length === 0) return 'None';
+            return entries.map(([id, multiplier]) => `${mention(id)}: ${multiplier}×`).join('\n').slice(0, 1024);
+        };
+
+        const eventLines = events.map(event => {
+            const startsAt = Math.floor(new Date(event.starts_at).getTime() / 1000);
+            const endsAt = Math.floor(new Date(event.ends_at).getTime() / 1000);
+            return event.isActive()
+                ? `🟢 **${event.name}** (${event.multiplier}×) until <t:${endsAt}:F>`
+                : `🗓️ **${event.name}** (${event.multiplier}×) <t:${startsAt}:F> – <t:${endsAt}:F>`;
+        });
+
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title,
+            fields: [
+                { name: '💬 Channel Multipliers', value: formatMultipliers(config.channel_xp_multipliers, id => `<#${id}>`), inline: true },
+                { name: '🏷️ Role Multipliers', value: formatMultipliers(config.role_xp_multipliers, id => `<@&${id}>`), inline: true },
+                { name: '🎉 Boost Events', value: eventLines.length > 0 ? eventLines.join('\n').slice(0, 1024) : 'None scheduled', inline: false }
+            ],
+            footer: {
+                text: `Multipliers combine up to ${XP_MULTIPLIER_LIMITS.MAX_EFFECTIVE}× • Members see theirs in /level`,
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
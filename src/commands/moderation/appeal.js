@@ -0,0 +1,494 @@
+/**
+ * Appeal Command for GrowmiesNJ Discord Bot
+ *
+ * Lets users appeal moderation cases (including from DMs after a ban) and lets staff
+ * approve or deny appeals from a review card posted to the staff appeal channel
+ */
+
+const {
+    SlashCommandBuilder,
+    InteractionContextType,
+    PermissionFlagsBits,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const ModerationService = require('../../services/moderationService');
+const { GuildSettings } = require('../../database/models/GuildSettings');
+const { EmbedUtils, BRAND_COLORS, MODERATION_ACTION_LABELS: ACTION_LABELS } = require('../../utils/embeds');
+
+// Custom ID prefix routed here by the interactionCreate event
+const APPEAL_PREFIX = 'appeal';
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('appeal')
+        .setDescription('Appeal a moderation action taken against you')
+        .setContexts(InteractionContextType.Guild, InteractionContextType.BotDM)
+        .addStringOption(option =>
+            option.setName('case_number')
+                .setDescription('Case number to appeal (e.g., 2024-01-CASE001) - optional if you have only one case')
+                .setRequired(false)
+                .setMaxLength(30)
+        ),
+
+    async execute(interaction) {
+        try {
+            const caseNumber = interaction.options.getString('case_number')?.trim().toUpperCase();
+            const moderationService = new ModerationService();
+
+            console.log(`📩 Appeal command executed by ${interaction.user.tag}${interaction.guild ? ` in ${interaction.guild.name}` : ' via DM'}`);
+
+            // Guild usage is limited to that guild; DMs search every guild (banned users appeal from DMs)
+            const appealableCases = await moderationService.getAppealableCases(
+                interaction.user.id,
+                interaction.guildId
+            );
+
+            let moderationCase = null;
+            if (caseNumber) {
+                moderationCase = appealableCases.find(c => c.case_number === caseNumber);
+            } else if (appealableCases.length === 1) {
+                moderationCase = appealableCases[0];
+            }
+
+            if (!moderationCase) {
+                return await interaction.reply({
+                    embeds: [this.createCaseSelectionEmbed(appealableCases, caseNumber)],
+                    ephemeral: true
+                });
+            }
+
+            const modal = new ModalBuilder()
+                .setCustomId(`${APPEAL_PREFIX}:submit:${moderationCase.id}`)
+                .setTitle(`Appeal ${moderationCase.case_number}`)
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId('appeal_reason')
+                            .setLabel('Why should this action be reversed?')
+                            .setStyle(TextInputStyle.Paragraph)
+                            .setPlaceholder('Explain what happened, and how you will follow the community guidelines going forward.')
+                            .setMinLength(50)
+                            .setMaxLength(1000)
+                            .setRequired(true)
+                    )
+                );
+
+            await interaction.showModal(modal);
+
+        } catch (error) {
+            console.error('❌ Error in appeal command:', error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Appeal Failed',
+                'An error occurred while starting your appeal. Please try again later.',
+                'APPEAL_ERROR'
+            );
+
+            try {
+                if (interaction.replied || interaction.deferred) {
+                    await interaction.editReply({ embeds: [errorEmbed] });
+                } else {
+                    await interaction.reply({ embeds: [errorEmbed], ephemeral: true });
+                }
+            } catch (followUpError) {
+                console.error('❌ Failed to send appeal error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Handle Approve/Deny buttons on an appeal review card
+     * @param {ButtonInteraction} interaction - Button interaction
+     */
+    async handleButton(interaction) {
+        const [, action, caseId] = interaction.customId.split(':');
+        const decision = action === 'approve' ? 'APPROVED' : 'DENIED';
+
+        if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+            return await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed('Insufficient Permissions', 'Only moderators can review appeals.')],
+                ephemeral: true
+            });
+        }
+
+        const modal = new ModalBuilder()
+            .setCustomId(`${APPEAL_PREFIX}:review:${decision}:${caseId}`)
+            .setTitle(decision === 'APPROVED' ? 'Approve Appeal' : 'Deny Appeal')
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('review_notes')
+                        .setLabel('Notes for the user and case record')
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setMaxLength(1000)
+                        .setRequired(decision === 'DENIED')
+                )
+            );
+
+        await interaction.showModal(modal);
+    },
+
+    /**
+     * Handle appeal submission and staff review modals
+     * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+     */
+    async handleModal(interaction) {
+        const [, action, ...args] = interaction.customId.split(':');
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            if (action === 'submit') {
+                await this.handleAppealSubmission(interaction, args[0]);
+            } else if (action === 'review') {
+                await this.handleAppealReview(interaction, args[0], args[1]);
+            }
+
+        } catch (error) {
+            console.error(`❌ Error handling appeal modal ${interaction.customId}:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Appeal Error',
+                this.getUserFacingError(error),
+                'APPEAL_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send appeal modal error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Submit the appeal and post the staff review card
+     * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+     * @param {string} caseId - Case being appealed
+     */
+    async handleAppealSubmission(interaction, caseId) {
+        const appealReason = interaction.fields.getTextInputValue('appeal_reason');
+        const moderationService = new ModerationService();
+
+        const result = await moderationService.submitAppeal(caseId, appealReason, interaction.user.id);
+        const moderationCase = result.case;
+
+        const cardPosted = await this.postReviewCard(interaction.client, moderationCase, interaction.user);
+
+        const successEmbed = {
+            color: BRAND_COLORS.SUCCESS,
+            title: '📩 Appeal Submitted',
+            description: `Your appeal for case **${moderationCase.case_number}** has been sent to the moderation team.`,
+            fields: [
+                {
+                    name: '⚖️ Action',
+                    value: ACTION_LABELS[moderationCase.action_type] || moderationCase.action_type,
+                    inline: true
+                },
+                {
+                    name: '📋 Status',
+                    value: '⏳ Pending Review',
+                    inline: true
+                },
+                {
+                    name: '📨 What Happens Next',
+                    value: 'Staff will review your appeal and you will receive a direct message with their decision. Please keep your DMs open.',
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Moderation Appeals'
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        await interaction.editReply({ embeds: [successEmbed] });
+
+        console.log(`✅ Appeal submitted - Case: ${moderationCase.case_number}, User: ${interaction.user.tag}, Review card posted: ${cardPosted}`);
+    },
+
+    /**
+     * Apply a staff decision to the appeal, notify the user and update the review card
+     * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+     * @param {string} decision - APPROVED or DENIED
+     * @param {string} caseId - Case under appeal
+     */
+    async handleAppealReview(interaction, decision, caseId) {
+        const notes = interaction.fields.getTextInputValue('review_notes') || '';
+        const moderationService = new ModerationService();
+
+        const result = await moderationService.reviewAppeal(
+            caseId,
+            { decision, notes },
+            interaction.guild,
+            interaction.member
+        );
+        const moderationCase = result.case;
+
+        const userNotified = await this.notifyAppellant(interaction.client, interaction.guild, moderationCase, decision, notes);
+
+        // Replace the review buttons with the decision so the card cannot be actioned twice
+        if (interaction.message) {
+            try {
+                const originalEmbed = interaction.message.embeds[0]?.toJSON() || {};
+                await interaction.message.edit({
+                    embeds: [{
+                        ...originalEmbed,
+                        color: decision === 'APPROVED' ? BRAND_COLORS.SUCCESS : BRAND_COLORS.ERROR,
+                        fields: [
+                            ...(originalEmbed.fields || []),
+                            {
+                                name: decision === 'APPROVED' ? '✅ Approved' : '❌ Denied',
+                                value: `By ${interaction.user.tag} <t:${Math.floor(Date.now() / 1000)}:R>${notes ? `\n${notes}` : ''}`,
+                                inline: false
+                            }
+                        ]
+                    }],
+                    components: []
+                });
+            } catch (editError) {
+                console.warn('Failed to update appeal review card:', editError.message);
+            }
+        }
+
+        const reversalText = decision !== 'APPROVED'
+            ? 'Original action stands'
+            : (result.reversal.success
+                ? `Reversed (${result.reversal.action.replace(/_/g, ' ')})`
+                : `⚠️ Reversal failed: ${result.reversal.error}`);
+
+        const confirmationEmbed = {
+            color: decision === 'APPROVED' ? BRAND_COLORS.SUCCESS : BRAND_COLORS.WARNING,
+            title: decision === 'APPROVED' ? '✅ Appeal Approved' : '❌ Appeal Denied',
+            fields: [
+                {
+                    name: '📋 Case Number',
+                    value: moderationCase.case_number,
+                    inline: true
+                },
+                {
+                    name: '⚖️ Discord Action',
+                    value: reversalText,
+                    inline: true
+                },
+                {
+                    name: '📨 User Notified',
+                    value: userNotified ? '✅ Yes' : '❌ No (DMs may be disabled)',
+                    inline: true
+                }
+            ],
+            timestamp: new Date().toISOString()
+        };
+
+        await interaction.editReply({ embeds: [confirmationEmbed] });
+
+        console.log(`✅ Appeal ${decision.toLowerCase()} - Case: ${moderationCase.case_number}, Reviewer: ${interaction.user.tag}`);
+    },
+
+    /**
+     * Post an appeal review card to the guild's staff appeal channel
+     * @param {Client} client - Discord client
+     * @param {ModerationCase} moderationCase - Appealed case
+     * @param {User} appellant - User submitting the appeal
+     * @returns {Promise<boolean>} - True if the card was posted
+     */
+    async postReviewCard(client, moderationCase, appellant) {
+        try {
+            const guild = client.guilds.cache.get(moderationCase.guild_id);
+            if (!guild) return false;
+
+            const settings = await GuildSettings.findByGuildId(guild.id);
+            const { appeal_channel_id: channelId } = settings.getModerationConfig();
+            if (!channelId) {
+                console.warn(`⚠️ No appeal channel configured for ${guild.name}; appeal ${moderationCase.case_number} awaits review without a card`);
+                return false;
+            }
+
+            const channel = await guild.channels.fetch(channelId.toString()).catch(() => null);
+            if (!channel || !channel.isTextBased()) return false;
+
+            const reviewEmbed = {
+                color: BRAND_COLORS.GOLD_ACCENT,
+                title: '📩 New Moderation Appeal',
+                description: `${appellant.tag} (<@${appellant.id}>) is appealing case **${moderationCase.case_number}**.`,
+                fields: [
+                    {
+                        name: '⚖️ Action',
+                        value: ACTION_LABELS[moderationCase.action_type] || moderationCase.action_type,
+                        inline: true
+                    },
+                    {
+                        name: '👮 Original Moderator',
+                        value: `<@${moderationCase.moderator_id}>`,
+                        inline: true
+                    },
+                    {
+                        name: '📅 Action Date',
+                        value: `<t:${Math.floor(new Date(moderationCase.created_at).getTime() / 1000)}:F>`,
+                        inline: true
+                    },
+                    {
+                        name: '📝 Original Reason',
+                        value: moderationCase.reason,
+                        inline: false
+                    },
+                    {
+                        name: '💬 Appeal',
+                        value: moderationCase.appeal_reason,
+                        inline: false
+                    }
+                ],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Moderation Appeals'
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            const buttons = new ActionRowBuilder().addComponents(
+                new ButtonBuilder()
+                    .setCustomId(`${APPEAL_PREFIX}:approve:${moderationCase.id}`)
+                    .setLabel('Approve')
+                    .setEmoji('✅')
+                    .setStyle(ButtonStyle.Success),
+                new ButtonBuilder()
+                    .setCustomId(`${APPEAL_PREFIX}:deny:${moderationCase.id}`)
+                    .setLabel('Deny')
+                    .setEmoji('❌')
+                    .setStyle(ButtonStyle.Danger)
+            );
+
+            const message = await channel.send({ embeds: [reviewEmbed], components: [buttons] });
+
+            await moderationCase.update({
+                metadata: {
+                    ...(moderationCase.metadata || {}),
+                    appeal_review_channel_id: channel.id,
+                    appeal_review_message_id: message.id
+                }
+            });
+
+            return true;
+        } catch (error) {
+            console.error(`❌ Failed to post appeal review card for ${moderationCase.case_number}:`, error);
+            return false;
+        }
+    },
+
+    /**
+     * DM the appellant with the staff decision
+     * @param {Client} client - Discord client
+     * @param {Guild} guild - Discord guild
+     * @param {ModerationCase} moderationCase - Reviewed case
+     * @param {string} decision - APPROVED or DENIED
+     * @param {string} notes - Reviewer notes
+     * @returns {Promise<boolean>} - True if the DM was delivered
+     */
+    async notifyAppellant(client, guild, moderationCase, decision, notes) {
+        try {
+            const user = await client.users.fetch(moderationCase.target_user_id);
+            const approved = decision === 'APPROVED';
+
+            const dmEmbed = {
+                color: approved ? BRAND_COLORS.SUCCESS : BRAND_COLORS.ERROR,
+                title: approved ? '✅ Your Appeal Was Approved - GrowmiesNJ' : '❌ Your Appeal Was Denied - GrowmiesNJ',
+                description: approved
+                    ? `Staff in **${guild.name}** approved your appeal for case **${moderationCase.case_number}**.`
+                    : `Staff in **${guild.name}** reviewed your appeal for case **${moderationCase.case_number}** and the original action stands.`,
+                fields: [],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Moderation Appeals'
+                },
+                timestamp: new Date().toISOString()
+            };
+
+            if (notes) {
+                dmEmbed.fields.push({
+                    name: '📝 Staff Notes',
+                    value: notes,
+                    inline: false
+                });
+            }
+
+            if (approved && moderationCase.action_type === 'BAN') {
+                dmEmbed.fields.push({
+                    name: '🌿 Rejoining',
+                    value: [
+                        'Your ban has been lifted and you may rejoin the server.',
+                        '🔞 You must complete age verification (21+) again when you return.'
+                    ].join('\n'),
+                    inline: false
+                });
+            } else if (approved && moderationCase.action_type === 'TIMEOUT') {
+                dmEmbed.fields.push({
+                    name: '⏰ Timeout',
+                    value: 'Your timeout has been removed.',
+                    inline: false
+                });
+            }
+
+            await user.send({ embeds: [dmEmbed] });
+            return true;
+        } catch (error) {
+            console.warn(`Failed to notify appellant ${moderationCase.target_user_id}:`, error.message);
+            return false;
+        }
+    },
+
+    /**
+     * Embed shown when no single case could be selected for appeal
+     * @param {ModerationCase[]} cases - Appealable cases
+     * @param {string|null} requestedCase - Case number the user asked for
+     * @returns {Object} - Embed data
+     */
+    createCaseSelectionEmbed(cases, requestedCase) {
+        if (cases.length === 0) {
+            return EmbedUtils.createWarningEmbed(
+                'No Appealable Cases',
+                'You have no active moderation cases that can be appealed. Cases that have already been appealed cannot be appealed again.'
+            );
+        }
+
+        return {
+            color: BRAND_COLORS.INFO,
+            title: '📋 Choose a Case to Appeal',
+            description: requestedCase
+                ? `Case **${requestedCase}** is not an active case you can appeal. Your appealable cases are listed below.`
+                : 'You have more than one appealable case. Run `/appeal case_number:<number>` with one of the cases below.',
+            fields: cases.map(c => ({
+                name: `${c.case_number} • ${ACTION_LABELS[c.action_type] || c.action_type}`,
+                value: `${c.reason.length > 100 ? `${c.reason.slice(0, 97)}...` : c.reason}\n<t:${Math.floor(new Date(c.created_at).getTime() / 1000)}:R>`,
+                inline: false
+            })),
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Moderation Appeals'
+            }
+        };
+    },
+
+    /**
+     * Map service errors to messages safe to show users
+     * @param {Error} error - Service error
+     * @returns {string} - User-facing message
+     */
+    getUserFacingError(error) {
+        const knownErrors = [
+            'Moderation case not found',
+            'You can only appeal your own cases',
+            'This case has already been appealed',
+            'This appeal has already been reviewed'
+        ];
+
+        if (knownErrors.includes(error.message)) {
+            return error.message;
+        }
+        if (error.message.includes('Missing required permissions')) {
+            return 'You do not have the required permissions to review this appeal.';
+        }
+        return 'An error occurred while processing the appeal. Please try again or contact an administrator.';
+    }
+};
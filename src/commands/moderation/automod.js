@@ -0,0 +1,652 @@
+/**
+ * AutoMod Command for GrowmiesNJ Discord Bot
+ *
+ * Configure automatic message filtering for cannabis legal compliance
+ * Controls the sales solicitation filter, raid protection thresholds, the link scanner,
+ * per-guild link domain lists and exemptions
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { GuildSettings, AUTOMOD_DOMAIN_LIST_LIMIT } = require('../../database/models/GuildSettings');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { AUTOMOD_ACTION_LABELS } = require('../../services/autoModeration');
+const { raidProtectionService } = require('../../services/raidProtection');
+const { linkScannerService } = require('../../services/linkScanner');
+const { LinkScanner } = require('../../utils/linkScanner');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+const FILTER_LABELS = {
+    'sales': '🚫 Sales Solicitation',
+    'raid': '🚨 Raid & Spam Protection',
+    'links': '🔗 Malicious Link Scanner'
+};
+
+// Per-guild domain lists on the links filter
+const DOMAIN_LIST_KEYS = {
+    'blocked': 'blocked_domains',
+    'allowed': 'allowed_domains'
+};
+
+// Integer options on the raid subcommand, mapped onto config keys of the same name
+const RAID_INTEGER_OPTIONS = [
+    'join_threshold',
+    'join_window_seconds',
+    'min_account_age_days',
+    'duplicate_threshold',
+    'duplicate_window_seconds',
+    'mention_threshold',
+    'mention_window_seconds',
+    'spam_offender_threshold',
+    'raid_mode_minutes'
+];
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('automod')
+        .setDescription('Configure automatic message moderation')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('View the current auto-moderation configuration')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('sales')
+                .setDescription('Configure the cannabis sales solicitation filter')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether the filter is active')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Action taken on matching messages')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: '🗑️ Delete message', value: 'delete' },
+                            { name: '⚠️ Delete and warn', value: 'warn' },
+                            { name: '⏰ Delete and timeout', value: 'timeout' },
+                            { name: '🚩 Flag for review only', value: 'flag' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('timeout_duration')
+                        .setDescription('Timeout length for the timeout action (e.g., 1h, 1d)')
+                        .setRequired(false)
+                        .setMaxLength(10)
+                )
+                .addChannelOption(option =>
+                    option.setName('review_channel')
+                        .setDescription('Channel for detection reports (defaults to the mod log)')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('raid')
+                .setDescription('Configure raid and spam-flood protection thresholds')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether raid protection is active')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('join_threshold')
+                        .setDescription('Joins within the join window that enable raid mode')
+                        .setRequired(false)
+                        .setMinValue(3)
+                        .setMaxValue(100)
+                )
+                .addIntegerOption(option =>
+                    option.setName('join_window_seconds')
+                        .setDescription('Join velocity window in seconds')
+                        .setRequired(false)
+                        .setMinValue(5)
+                        .setMaxValue(600)
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_account_age_days')
+                        .setDescription('Accounts younger than this are timed out on join during raid mode')
+                        .setRequired(false)
+                        .setMinValue(0)
+                        .setMaxValue(365)
+                )
+                .addIntegerOption(option =>
+                    option.setName('duplicate_threshold')
+                        .setDescription('Identical messages within the duplicate window that trigger a timeout')
+                        .setRequired(false)
+                        .setMinValue(2)
+                        .setMaxValue(20)
+                )
+                .addIntegerOption(option =>
+                    option.setName('duplicate_window_seconds')
+                        .setDescription('Duplicate message window in seconds')
+                        .setRequired(false)
+                        .setMinValue(5)
+                        .setMaxValue(300)
+                )
+                .addIntegerOption(option =>
+                    option.setName('mention_threshold')
+                        .setDescription('Mentions within the mention window that trigger a timeout')
+                        .setRequired(false)
+                        .setMinValue(3)
+                        .setMaxValue(50)
+                )
+                .addIntegerOption(option =>
+                    option.setName('mention_window_seconds')
+                        .setDescription('Mention spam window in seconds')
+                        .setRequired(false)
+                        .setMinValue(5)
+                        .setMaxValue(300)
+                )
+                .addIntegerOption(option =>
+                    option.setName('spam_offender_threshold')
+                        .setDescription('Spammers timed out within a minute that enable raid mode')
+                        .setRequired(false)
+                        .setMinValue(2)
+                        .setMaxValue(20)
+                )
+                .addIntegerOption(option =>
+                    option.setName('raid_mode_minutes')
+                        .setDescription('How long raid mode lasts once enabled')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(1440)
+                )
+                .addStringOption(option =>
+                    option.setName('timeout_duration')
+                        .setDescription('Timeout applied to raiders and spammers (e.g., 10m, 1h)')
+                        .setRequired(false)
+                        .setMaxLength(10)
+                )
+                .addChannelOption(option =>
+                    option.setName('alert_channel')
+                        .setDescription('Channel for raid alerts (defaults to the mod log)')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('links')
+                .setDescription('Configure the malicious link and phishing scanner')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether the scanner is active')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Action taken on messages with malicious links')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: '🗑️ Delete message', value: 'delete' },
+                            { name: '⚠️ Delete and warn', value: 'warn' },
+                            { name: '⏰ Delete and timeout', value: 'timeout' },
+                            { name: '🚩 Flag for review only', value: 'flag' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('timeout_duration')
+                        .setDescription('Timeout length for the timeout action (e.g., 1h, 1d)')
+                        .setRequired(false)
+                        .setMaxLength(10)
+                )
+                .addBooleanOption(option =>
+                    option.setName('follow_redirects')
+                        .setDescription('Expand shortened links (bit.ly, tinyurl, ...) before checking them')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('review_channel')
+                        .setDescription('Channel for detection reports (defaults to the mod log)')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('domains')
+                .setDescription('View, add or remove this server\'s blocked and allowed link domains')
+                .addStringOption(option =>
+                    option.setName('list')
+                        .setDescription('Domain list to change')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: '⛔ Blocked domains', value: 'blocked' },
+                            { name: '✅ Allowed domains', value: 'allowed' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('domain')
+                        .setDescription('Domain to add or remove (e.g., example.com); omit to view the list')
+                        .setRequired(false)
+                        .setMaxLength(253)
+                )
+                .addBooleanOption(option =>
+                    option.setName('remove')
+                        .setDescription('Remove the domain instead of adding it')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('raid-mode')
+                .setDescription('Manually enable or end raid mode')
+                .addBooleanOption(option =>
+                    option.setName('active')
+                        .setDescription('Enable (True) or end (False) raid mode')
+                        .setRequired(true)
+                )
+                .addIntegerOption(option =>
+                    option.setName('minutes')
+                        .setDescription('How long raid mode lasts (defaults to the configured length)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(1440)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('exempt')
+                .setDescription('Add or remove a role or channel exemption')
+                .addStringOption(option =>
+                    option.setName('filter')
+                        .setDescription('Filter to change')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: '🚫 Sales Solicitation', value: 'sales' },
+                            { name: '🚨 Raid & Spam Protection', value: 'raid' },
+                            { name: '🔗 Malicious Link Scanner', value: 'links' }
+                        )
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to exempt')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel or category to exempt')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildCategory, ChannelType.GuildForum)
+                )
+                .addBooleanOption(option =>
+                    option.setName('remove')
+                        .setDescription('Remove the exemption instead of adding it')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+
+            console.log(`🛡️ AutoMod ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'view') {
+                return await interaction.editReply({ embeds: [this.createConfigEmbed(settings, interaction.guild)] });
+            }
+
+            if (subcommand === 'raid-mode') {
+                return await this.handleRaidMode(interaction, settings);
+            }
+
+            if (subcommand === 'domains' && !interaction.options.getString('domain')) {
+                const globalLists = await linkScannerService.getGlobalLists();
+                return await interaction.editReply({ embeds: [this.createDomainListEmbed(interaction, settings, globalLists)] });
+            }
+
+            let filter;
+            let updates;
+            switch (subcommand) {
+                case 'sales':
+                    filter = 'sales';
+                    updates = this.getSalesUpdates(interaction);
+                    break;
+                case 'raid':
+                    filter = 'raid';
+                    updates = this.getRaidUpdates(interaction);
+                    break;
+                case 'links':
+                    filter = 'links';
+                    updates = this.getLinkUpdates(interaction);
+                    break;
+                case 'domains':
+                    filter = 'links';
+                    updates = this.getDomainUpdates(interaction, settings.getAutoModConfig('links'));
+                    break;
+                case 'exempt':
+                    filter = interaction.options.getString('filter');
+                    updates = this.getExemptionUpdates(interaction, settings.getAutoModConfig(filter));
+                    break;
+            }
+
+            if (Object.keys(updates).length === 0) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Nothing To Change',
+                    subcommand === 'exempt'
+                        ? 'Provide a role or channel to exempt.'
+                        : 'Provide at least one option to change.',
+                    'AUTOMOD_NO_CHANGES'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            const previousConfig = settings.getAutoModConfig(filter);
+            await settings.updateAutoModConfig(filter, updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'automod_config_updated',
+                null,
+                {
+                    filter,
+                    subcommand,
+                    previous_config: previousConfig,
+                    new_config: settings.getAutoModConfig(filter)
+                }
+            );
+
+            await interaction.editReply({ embeds: [this.createConfigEmbed(settings, interaction.guild, true)] });
+
+        } catch (error) {
+            console.error(`❌ Error in automod ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'AutoMod Command Failed',
+                error.message.startsWith('Auto-moderation')
+                    ? error.message
+                    : 'An error occurred while updating auto-moderation. Please try again or contact an administrator.',
+                'AUTOMOD_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send automod error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Collect sales filter changes from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Configuration fields to change
+     */
+    getSalesUpdates(interaction) {
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const action = interaction.options.getString('action');
+        const timeoutDuration = interaction.options.getString('timeout_duration');
+        const reviewChannel = interaction.options.getChannel('review_channel');
+
+        if (enabled !== null) updates.enabled = enabled;
+        if (action) updates.action = action;
+        if (timeoutDuration) updates.timeout_duration = timeoutDuration.trim().toLowerCase();
+        if (reviewChannel) updates.review_channel_id = reviewChannel.id;
+
+        return updates;
+    },
+
+    /**
+     * Collect raid protection changes from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Configuration fields to change
+     */
+    getRaidUpdates(interaction) {
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const timeoutDuration = interaction.options.getString('timeout_duration');
+        const alertChannel = interaction.options.getChannel('alert_channel');
+
+        if (enabled !== null) updates.enabled = enabled;
+        for (const key of RAID_INTEGER_OPTIONS) {
+            const value = interaction.options.getInteger(key);
+            if (value !== null) updates[key] = value;
+        }
+        if (timeoutDuration) updates.timeout_duration = timeoutDuration.trim().toLowerCase();
+        if (alertChannel) updates.alert_channel_id = alertChannel.id;
+
+        return updates;
+    },
+
+    /**
+     * Collect link scanner changes from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Configuration fields to change
+     */
+    getLinkUpdates(interaction) {
+        const updates = this.getSalesUpdates(interaction);
+
+        const followRedirects = interaction.options.getBoolean('follow_redirects');
+        if (followRedirects !== null) updates.follow_redirects = followRedirects;
+
+        return updates;
+    },
+
+    /**
+     * Build an updated domain list from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Object} config - Current link filter configuration
+     * @returns {Object} - Configuration fields to change
+     */
+    getDomainUpdates(interaction, config) {
+        const key = DOMAIN_LIST_KEYS[interaction.options.getString('list')];
+        const input = interaction.options.getString('domain');
+        const remove = interaction.options.getBoolean('remove') ?? false;
+
+        const domain = LinkScanner.normalizeDomain(input);
+        if (!domain) {
+            throw new Error(`Auto-moderation domain "${input}" is not a valid domain name`);
+        }
+
+        const list = config[key];
+        if (remove && !list.includes(domain)) {
+            throw new Error(`Auto-moderation domain "${domain}" is not on the ${interaction.options.getString('list')} list`);
+        }
+
+        return {
+            [key]: remove
+                ? list.filter(existing => existing !== domain)
+                : [...new Set([...list, domain])]
+        };
+    },
+
+    /**
+     * Create an embed listing this server's blocked or allowed link domains
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {GuildSettings} settings - Guild settings
+     * @param {Object} globalLists - Global blocklist file contents ({ blocked, allowed })
+     * @returns {Object} - Embed object
+     */
+    createDomainListEmbed(interaction, settings, globalLists) {
+        const list = interaction.options.getString('list');
+        const domains = settings.getAutoModConfig('links')[DOMAIN_LIST_KEYS[list]];
+        const { blocked, allowed } = globalLists;
+
+        const shown = domains.map(domain => `• \`${domain}\``).join('\n');
+
+        return {
+            color: BRAND_COLORS.INFO,
+            title: list === 'blocked' ? '⛔ Blocked Link Domains' : '✅ Allowed Link Domains',
+            description: domains.length > 0
+                ? (shown.length > 4000 ? `${shown.slice(0, 4000)}…` : shown)
+                : '📭 No server-specific entries. The global list still applies.',
+            fields: [
+                {
+                    name: 'ℹ️ How Lists Apply',
+                    value: [
+                        `Server entries: **${domains.length}/${AUTOMOD_DOMAIN_LIST_LIMIT}** • Global list: **${blocked.length}** blocked, **${allowed.length}** allowed`,
+                        'Subdomains match their parent domain. Allowed domains always win, and server entries override the global list.'
+                    ].join('\n'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • AutoMod Link Scanner',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Manually enable or end raid mode
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {GuildSettings} settings - Guild settings
+     * @returns {Promise<void>}
+     */
+    async handleRaidMode(interaction, settings) {
+        const active = interaction.options.getBoolean('active');
+
+        if (active) {
+            const config = settings.getAutoModConfig('raid');
+            const minutes = interaction.options.getInteger('minutes') ?? config.raid_mode_minutes;
+            const until = await raidProtectionService.activateRaidMode(
+                interaction.guild,
+                settings,
+                config,
+                { type: 'manual', detail: `Raid mode enabled manually by ${interaction.user.tag}` },
+                interaction.user.id,
+                minutes
+            );
+
+            const successEmbed = EmbedUtils.createSuccessEmbed(
+                'Raid Mode Enabled',
+                `Raid mode is active until <t:${Math.floor(until.getTime() / 1000)}:f>. Verification is paused and new accounts are timed out on join.`
+            );
+            return await interaction.editReply({ embeds: [successEmbed] });
+        }
+
+        if (!settings.isRaidModeActive()) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Raid Mode Not Active',
+                'Raid mode is not currently enabled.',
+                'RAID_MODE_INACTIVE'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        await raidProtectionService.deactivateRaidMode(interaction.guild, {
+            endedBy: interaction.user.id,
+            reason: `Raid mode ended by ${interaction.user.tag}`
+        });
+
+        const successEmbed = EmbedUtils.createSuccessEmbed(
+            'Raid Mode Ended',
+            'Raid mode has been ended. Age verification has resumed.'
+        );
+        await interaction.editReply({ embeds: [successEmbed] });
+    },
+
+    /**
+     * Build updated exemption lists from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Object} config - Current filter configuration
+     * @returns {Object} - Configuration fields to change
+     */
+    getExemptionUpdates(interaction, config) {
+        const updates = {};
+
+        const role = interaction.options.getRole('role');
+        const channel = interaction.options.getChannel('channel');
+        const remove = interaction.options.getBoolean('remove') ?? false;
+
+        const apply = (list, id) => remove
+            ? list.filter(existing => existing !== id)
+            : [...new Set([...list, id])];
+
+        if (role) updates.exempt_role_ids = apply(config.exempt_role_ids, role.id);
+        if (channel) updates.exempt_channel_ids = apply(config.exempt_channel_ids, channel.id);
+
+        return updates;
+    },
+
+    /**
+     * Describe the filter-specific settings for the configuration embed
+     * @param {string} filter - Filter key
+     * @param {Object} config - Filter configuration
+     * @param {GuildSettings} settings - Guild settings
+     * @returns {string[]} - Description lines
+     */
+    describeFilter(filter, config, settings) {
+        if (filter === 'raid') {
+            return [
+                `**Raid Mode:** ${settings.isRaidModeActive() ? `🚨 Active until <t:${Math.floor(new Date(settings.raid_mode_until).getTime() / 1000)}:t>` : 'Inactive'}`,
+                `**Join Flood:** ${config.join_threshold} joins in ${config.join_window_seconds}s (new accounts: under ${config.min_account_age_days} days)`,
+                `**Duplicates:** ${config.duplicate_threshold} identical messages in ${config.duplicate_window_seconds}s`,
+                `**Mentions:** ${config.mention_threshold} mentions in ${config.mention_window_seconds}s`,
+                `**Spam Wave:** ${config.spam_offender_threshold} spammers in 60s • Raid mode lasts ${config.raid_mode_minutes}m`,
+                `**Timeout:** ${config.timeout_duration}`,
+                `**Alerts:** ${config.alert_channel_id ? `<#${config.alert_channel_id}>` : 'Mod log channel'}`
+            ];
+        }
+
+        const lines = [
+            `**Action:** ${AUTOMOD_ACTION_LABELS[config.action]}${config.action === 'timeout' ? ` (${config.timeout_duration})` : ''}`,
+            `**Reports:** ${config.review_channel_id ? `<#${config.review_channel_id}>` : 'Mod log channel'}`
+        ];
+
+        if (filter === 'links') {
+            lines.push(
+                `**Expand Short Links:** ${config.follow_redirects ? 'Yes' : 'No'}`,
+                `**Server Lists:** ${config.blocked_domains.length} blocked, ${config.allowed_domains.length} allowed (\`/automod domains\`)`
+            );
+        }
+
+        return lines;
+    },
+
+    /**
+     * Create an embed describing every auto-moderation filter
+     * @param {GuildSettings} settings - Guild settings
+     * @param {Guild} guild - Discord guild
+     * @param {boolean} updated - Whether the configuration was just changed
+     * @returns {Object} - Embed object
+     */
+    createConfigEmbed(settings, guild, updated = false) {
+        const fields = Object.entries(FILTER_LABELS).map(([filter, label]) => {
+            const config = settings.getAutoModConfig(filter);
+            const lines = [
+                `**Status:** ${config.enabled ? '✅ Enabled' : '❌ Disabled'}`,
+                ...this.describeFilter(filter, config, settings),
+                `**Exempt Roles:** ${config.exempt_role_ids.length > 0 ? config.exempt_role_ids.map(id => `<@&${id}>`).join(', ') : 'None'}`,
+                `**Exempt Channels:** ${config.exempt_channel_ids.length > 0 ? config.exempt_channel_ids.map(id => `<#${id}>`).join(', ') : 'None'}`
+            ];
+
+            return {
+                name: label,
+                value: lines.join('\n'),
+                inline: false
+            };
+        });
+
+        fields.push({
+            name: 'ℹ️ Staff Exemption',
+            value: 'Members with Manage Messages are never filtered.',
+            inline: false
+        });
+
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title: updated ? '🛡️ AutoMod Configuration Updated' : '🛡️ AutoMod Configuration',
+            fields,
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Legal Compliance',
+                iconURL: guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
@@ -7,6 +7,7 @@
 
 const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
 const ModerationService = require('../../services/moderationService');
+const { messageLogService } = require('../../services/messageLog');
 const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
 
 // Duration parsing utility for temporary bans
@@ -107,6 +108,12 @@ module.exports = {
             option.setName('dm_user')
                 .setDescription('Send a private message to the user about the ban (default: true)')
                 .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('message_ids')
+                .setDescription('IDs of logged edited/deleted messages to attach as evidence (comma separated)')
+                .setRequired(false)
+                .setMaxLength(250)
         ),
 
     async execute(interaction) {
@@ -120,6 +127,7 @@ module.exports = {
             const deleteDays = interaction.options.getInteger('delete_days') ?? 0;
             const isEducational = interaction.options.getBoolean('educational') ?? false;
             const shouldDM = interaction.options.getBoolean('dm_user') ?? true;
+            const messageIdsInput = interaction.options.getString('message_ids');
 
             console.log(`🌿 Ban command executed by ${interaction.user.tag} targeting ${targetUser.tag}`);
 
@@ -235,6 +243,16 @@ module.exports = {
                 // User not banned, continue
             }
 
+            // Attach logged edits/deletions referenced by message ID
+            const messageEvidence = await messageLogService.findEvidence(interaction.guild.id, messageIdsInput);
+            if (messageEvidence.error) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Evidence Not Found',
+                    messageEvidence.error
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
             // Send DM before banning (if requested and user is in server)
             let dmResult = null;
             if (shouldDM && targetMember) {
@@ -263,7 +281,7 @@ module.exports = {
                             }
                         ],
                         footer: {
-                            text: 'You may appeal this ban by contacting server staff through other channels.'
+                            text: 'You may appeal this ban by using /appeal in a direct message with this bot.'
                         },
                         timestamp: new Date().toISOString()
                     };
@@ -304,10 +322,10 @@ module.exports = {
                     dmEmbed.fields.push({
                         name: '📩 Appeals Process',
                         value: [
-                            '• Appeals must be made in writing',
+                            '• Use the `/appeal` command in a direct message with this bot',
                             '• Include acknowledgment of community guidelines',
                             '• Demonstrate understanding of cannabis compliance requirements',
-                            '• Contact server staff through official channels',
+                            '• You will be notified here once staff review your appeal',
                             '• Appeals are reviewed within 7-14 business days'
                         ].join('\n'),
                         inline: false
@@ -345,13 +363,13 @@ module.exports = {
                 guildId: interaction.guild.id,
                 targetUserId: targetUser.id,
                 moderatorId: interaction.user.id,
-                actionType: isEducational ? 'EDUCATIONAL_BAN' : (isPermanent ? 'PERMANENT_BAN' : 'TEMPORARY_BAN'),
+                actionType: 'BAN',
                 reason: reason,
-                duration: duration ? duration.milliseconds : null,
-                expiresAt: duration ? new Date(Date.now() + duration.milliseconds) : null,
-                evidence: evidence || null,
-                userEvidence: JSON.stringify(userEvidence),
-                deleteMessageDays: deleteDays,
+                // Temporary bans store expires_at and are lifted by the case expiry processor
+                ...(duration && { duration: duration.readable }),
+                evidence: evidence ? [evidence] : [],
+                ...(messageEvidence.messageIds.length > 0 && { evidenceMessageIds: messageEvidence.messageIds }),
+                notes: `${isEducational ? 'Educational ban. ' : ''}Messages deleted: ${deleteDays} day(s)`,
                 cannabisFlags: {
                     educationalViolation: isEducational,
                     ageRelated: false, // Will be auto-detected by service
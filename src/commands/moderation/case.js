@@ -0,0 +1,801 @@
+/**
+ * Case Command for GrowmiesNJ Discord Bot
+ *
+ * View, search, edit and close moderation cases with cannabis compliance tracking
+ * Reads and writes through the moderation service so every edit is audit logged
+ */
+
+const {
+    SlashCommandBuilder,
+    PermissionFlagsBits,
+    InteractionContextType,
+    ActionRowBuilder,
+    ButtonBuilder,
+    ButtonStyle
+} = require('discord.js');
+const ModerationService = require('../../services/moderationService');
+const { ModmailTicket } = require('../../database/models/ModmailTicket');
+const { EvidenceTranscript } = require('../../database/models/EvidenceTranscript');
+const { EmbedUtils, BRAND_COLORS, MODERATION_ACTION_LABELS } = require('../../utils/embeds');
+
+// Custom ID prefix routed here by the interactionCreate event
+const CASE_PREFIX = 'case';
+
+// Modmail tickets listed alongside a user's history
+const HISTORY_TICKET_LIMIT = 5;
+const PAGE_SIZE = 5;
+
+// Compact codes keep search filters inside the 100 character button custom ID limit
+const ACTION_CODES = ['NOTE', 'WARN', 'EDUCATIONAL_WARNING', 'TIMEOUT', 'KICK', 'BAN'];
+const APPEAL_CODES = ['NONE', 'PENDING', 'APPROVED', 'DENIED'];
+const STATUS_CODES = ['active', 'closed', 'all'];
+
+const APPEAL_LABELS = {
+    'NONE': 'No appeal',
+    'PENDING': '⏳ Pending',
+    'APPROVED': '✅ Approved',
+    'DENIED': '❌ Denied'
+};
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('case')
+        .setDescription('View, search and manage moderation cases')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('View full details of a moderation case')
+                .addStringOption(option =>
+                    option.setName('number')
+                        .setDescription('Case number (e.g., 2024-01-CASE001)')
+                        .setRequired(true)
+                        .setMaxLength(30)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('history')
+                .setDescription('View the moderation history of a user')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('User to look up')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('status')
+                        .setDescription('Which cases to include (default: all)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'All cases', value: 'all' },
+                            { name: 'Active only', value: 'active' },
+                            { name: 'Closed only', value: 'closed' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('search')
+                .setDescription('Search moderation cases with filters')
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Filter by action type')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Note', value: 'NOTE' },
+                            { name: 'Warning', value: 'WARN' },
+                            { name: 'Educational Warning', value: 'EDUCATIONAL_WARNING' },
+                            { name: 'Timeout', value: 'TIMEOUT' },
+                            { name: 'Kick', value: 'KICK' },
+                            { name: 'Ban', value: 'BAN' }
+                        )
+                )
+                .addUserOption(option =>
+                    option.setName('moderator')
+                        .setDescription('Filter by moderator who took the action')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('appeal_status')
+                        .setDescription('Filter by appeal status')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'No appeal', value: 'NONE' },
+                            { name: 'Pending', value: 'PENDING' },
+                            { name: 'Approved', value: 'APPROVED' },
+                            { name: 'Denied', value: 'DENIED' }
+                        )
+                )
+                .addBooleanOption(option =>
+                    option.setName('cannabis_compliance')
+                        .setDescription('Only show cannabis compliance related cases')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('since')
+                        .setDescription('Cases created on or after this date (YYYY-MM-DD)')
+                        .setRequired(false)
+                        .setMaxLength(10)
+                )
+                .addStringOption(option =>
+                    option.setName('until')
+                        .setDescription('Cases created on or before this date (YYYY-MM-DD)')
+                        .setRequired(false)
+                        .setMaxLength(10)
+                )
+                .addStringOption(option =>
+                    option.setName('status')
+                        .setDescription('Which cases to include (default: active)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'Active only', value: 'active' },
+                            { name: 'Closed only', value: 'closed' },
+                            { name: 'All cases', value: 'all' }
+                        )
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('edit')
+                .setDescription('Edit the reason, notes or compliance flags of a case')
+                .addStringOption(option =>
+                    option.setName('number')
+                        .setDescription('Case number (e.g., 2024-01-CASE001)')
+                        .setRequired(true)
+                        .setMaxLength(30)
+                )
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('New reason (minimum 10 characters)')
+                        .setRequired(false)
+                        .setMinLength(10)
+                        .setMaxLength(1000)
+                )
+                .addStringOption(option =>
+                    option.setName('notes')
+                        .setDescription('Replace internal staff notes')
+                        .setRequired(false)
+                        .setMaxLength(2000)
+                )
+                .addBooleanOption(option =>
+                    option.setName('age_related')
+                        .setDescription('Flag as age verification related')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('educational')
+                        .setDescription('Flag as educational content violation')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('legal_area')
+                        .setDescription('Flag as legal area violation')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('close')
+                .setDescription('Close an active moderation case')
+                .addStringOption(option =>
+                    option.setName('number')
+                        .setDescription('Case number (e.g., 2024-01-CASE001)')
+                        .setRequired(true)
+                        .setMaxLength(30)
+                )
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason for closing the case (minimum 10 characters)')
+                        .setRequired(true)
+                        .setMinLength(10)
+                        .setMaxLength(500)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const moderationService = new ModerationService();
+
+            console.log(`📋 Case ${subcommand} executed by ${interaction.user.tag}`);
+
+            switch (subcommand) {
+                case 'view':
+                    await this.handleView(interaction, moderationService);
+                    break;
+                case 'history':
+                    await this.handleHistory(interaction, moderationService);
+                    break;
+                case 'search':
+                    await this.handleSearch(interaction, moderationService);
+                    break;
+                case 'edit':
+                    await this.handleEdit(interaction, moderationService);
+                    break;
+                case 'close':
+                    await this.handleClose(interaction, moderationService);
+                    break;
+            }
+
+        } catch (error) {
+            console.error(`❌ Error in case ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Case Command Failed',
+                this.getUserFacingError(error),
+                'CASE_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed], components: [] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send case error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Show full details for a single case
+     */
+    async handleView(interaction, moderationService) {
+        const caseNumber = interaction.options.getString('number').trim().toUpperCase();
+        const result = await moderationService.getCase(caseNumber, interaction.guild.id);
+        const [linkedTickets, transcripts] = await Promise.all([
+            ModmailTicket.getTicketsForCase(interaction.guild.id, result.case.case_number),
+            EvidenceTranscript.findForCase(interaction.guild.id, result.case.case_number)
+        ]);
+
+        await interaction.editReply({
+            embeds: [this.createCaseDetailEmbed(result, interaction.guild, linkedTickets, transcripts)]
+        });
+    },
+
+    /**
+     * Show paginated case history for a user
+     */
+    async handleHistory(interaction, moderationService) {
+        const targetUser = interaction.options.getUser('user');
+        const filters = {
+            targetUser: targetUser.id,
+            status: interaction.options.getString('status') || 'all'
+        };
+
+        const reply = await this.buildCaseListReply(interaction.guild, moderationService, 'history', filters, 0);
+        await interaction.editReply(reply);
+    },
+
+    /**
+     * Search cases using the moderation service filters
+     */
+    async handleSearch(interaction, moderationService) {
+        const since = interaction.options.getString('since');
+        const until = interaction.options.getString('until');
+
+        for (const [label, value] of [['since', since], ['until', until]]) {
+            if (value && !this.parseDate(value)) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Invalid Date',
+                    `The \`${label}\` option must be a valid date in YYYY-MM-DD format.`
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+        }
+
+        const filters = {
+            actionType: interaction.options.getString('action') || undefined,
+            moderator: interaction.options.getUser('moderator')?.id,
+            appealStatus: interaction.options.getString('appeal_status') || undefined,
+            cannabisCompliance: interaction.options.getBoolean('cannabis_compliance') || undefined,
+            status: interaction.options.getString('status') || 'active',
+            since: since ? since.replace(/-/g, '') : undefined,
+            until: until ? until.replace(/-/g, '') : undefined
+        };
+
+        const reply = await this.buildCaseListReply(interaction.guild, moderationService, 'search', filters, 0);
+        await interaction.editReply(reply);
+    },
+
+    /**
+     * Edit reason, notes or cannabis compliance flags
+     */
+    async handleEdit(interaction, moderationService) {
+        const caseNumber = interaction.options.getString('number').trim().toUpperCase();
+        const { case: moderationCase } = await moderationService.getCase(caseNumber, interaction.guild.id);
+
+        const updateData = {};
+        const reason = interaction.options.getString('reason');
+        const notes = interaction.options.getString('notes');
+        if (reason) updateData.reason = reason;
+        if (notes) updateData.notes = notes;
+
+        const cannabisFlags = {};
+        const ageRelated = interaction.options.getBoolean('age_related');
+        const educational = interaction.options.getBoolean('educational');
+        const legalArea = interaction.options.getBoolean('legal_area');
+        if (ageRelated !== null) cannabisFlags.ageRelated = ageRelated;
+        if (educational !== null) cannabisFlags.educationalViolation = educational;
+        if (legalArea !== null) cannabisFlags.legalAreaViolation = legalArea;
+        if (Object.keys(cannabisFlags).length > 0) updateData.cannabisFlags = cannabisFlags;
+
+        if (Object.keys(updateData).length === 0) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Nothing to Update',
+                'Provide at least one of `reason`, `notes`, `age_related`, `educational` or `legal_area`.'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        const result = await moderationService.updateCase(moderationCase.id, updateData, interaction.user.id);
+        const changedFields = Object.entries(result.changes);
+
+        const successEmbed = {
+            color: BRAND_COLORS.SUCCESS,
+            title: '✏️ Case Updated',
+            description: changedFields.length > 0
+                ? `Case **${moderationCase.case_number}** has been updated and the change recorded in the audit log.`
+                : `No changes were needed for case **${moderationCase.case_number}**.`,
+            fields: changedFields.map(([field, change]) => ({
+                name: `📝 ${field.replace(/_/g, ' ')}`,
+                value: `**Before:** ${this.truncate(String(change.old ?? 'None'), 450)}\n**After:** ${this.truncate(String(change.new ?? 'None'), 450)}`,
+                inline: false
+            })),
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Cannabis Compliance Tracking'
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        await interaction.editReply({ embeds: [successEmbed] });
+
+        console.log(`✅ Case ${moderationCase.case_number} edited by ${interaction.user.tag} (${changedFields.length} change(s))`);
+    },
+
+    /**
+     * Close an active case, recording the closure in the case notes
+     */
+    async handleClose(interaction, moderationService) {
+        const caseNumber = interaction.options.getString('number').trim().toUpperCase();
+        const closeReason = interaction.options.getString('reason');
+        const { case: moderationCase } = await moderationService.getCase(caseNumber, interaction.guild.id);
+
+        if (!moderationCase.active) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Case Already Closed',
+                `Case **${moderationCase.case_number}** is already closed.`
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        // Append the closure so earlier staff notes are preserved (notes are capped at 2000 characters)
+        const closureNote = `[Closed by ${interaction.user.tag} on ${new Date().toISOString().slice(0, 10)}] ${closeReason}`;
+        const notes = (moderationCase.notes ? `${moderationCase.notes}\n${closureNote}` : closureNote).slice(-2000);
+
+        await moderationService.updateCase(moderationCase.id, { active: false, notes }, interaction.user.id);
+
+        const successEmbed = {
+            color: BRAND_COLORS.SUCCESS,
+            title: '🔒 Case Closed',
+            description: `Case **${moderationCase.case_number}** has been closed and the closure recorded in the audit log.`,
+            fields: [
+                {
+                    name: '⚖️ Action',
+                    value: MODERATION_ACTION_LABELS[moderationCase.action_type] || moderationCase.action_type,
+                    inline: true
+                },
+                {
+                    name: '👤 User',
+                    value: `<@${moderationCase.target_user_id}>`,
+                    inline: true
+                },
+                {
+                    name: '📝 Closure Reason',
+                    value: closeReason,
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Cannabis Compliance Tracking'
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        // Closing the record does not lift bans or timeouts
+        if (['BAN', 'TIMEOUT'].includes(moderationCase.action_type)) {
+            successEmbed.fields.push({
+                name: '⚠️ Discord Action',
+                value: moderationCase.action_type === 'BAN'
+                    ? 'The Discord ban is still in place. Use `/unban` to lift it.'
+                    : 'Any active Discord timeout is still in place.',
+                inline: false
+            });
+        }
+
+        await interaction.editReply({ embeds: [successEmbed] });
+
+        console.log(`✅ Case ${moderationCase.case_number} closed by ${interaction.user.tag}`);
+    },
+
+    /**
+     * Handle pagination buttons for history and search results
+     * @param {ButtonInteraction} interaction - Button interaction
+     */
+    async handleButton(interaction) {
+        const [, mode, pageText, ...rest] = interaction.customId.split(':');
+        const page = parseInt(pageText, 10) || 0;
+
+        try {
+            const filters = mode === 'history'
+                ? { targetUser: rest[0], status: STATUS_CODES[parseInt(rest[1], 10)] || 'all' }
+                : this.decodeFilters(rest.join(':'));
+
+            const reply = await this.buildCaseListReply(interaction.guild, new ModerationService(), mode, filters, page);
+            await interaction.update(reply);
+
+        } catch (error) {
+            console.error(`❌ Error paginating cases ${interaction.customId}:`, error);
+            await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed('Case Lookup Failed', this.getUserFacingError(error), 'CASE_ERROR')],
+                ephemeral: true
+            });
+        }
+    },
+
+    /**
+     * Fetch a page of cases and build the list embed with pagination buttons
+     * @param {Guild} guild - Discord guild
+     * @param {ModerationService} moderationService - Moderation service instance
+     * @param {string} mode - 'history' or 'search'
+     * @param {Object} filters - List filters (search dates as YYYYMMDD)
+     * @param {number} page - Zero-based page number
+     * @returns {Promise<Object>} - Reply payload
+     */
+    async buildCaseListReply(guild, moderationService, mode, filters, page) {
+        const { since, until, ...serviceFilters } = filters;
+        if (since || until) {
+            serviceFilters.dateRange = {
+                start: since ? this.parseDate(since) : undefined,
+                end: until ? new Date(this.parseDate(until).getTime() + 24 * 60 * 60 * 1000 - 1) : undefined
+            };
+        }
+
+        const result = await moderationService.getCases(guild.id, {
+            ...serviceFilters,
+            offset: page * PAGE_SIZE,
+            limit: PAGE_SIZE
+        });
+
+        const { total } = result.pagination;
+        const totalPages = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+        const embed = {
+            color: BRAND_COLORS.INFO,
+            title: mode === 'history' ? '📋 Moderation History' : '🔍 Case Search Results',
+            description: mode === 'history'
+                ? `Cases for <@${filters.targetUser}> (${filters.status}) • **${total}** total`
+                : `${this.describeFilters(filters)}\n**${total}** matching case${total !== 1 ? 's' : ''}`,
+            fields: result.cases.map(c => this.createCaseListField(c)),
+            footer: {
+                text: `Page ${page + 1} of ${totalPages} • Use /case view for full details`
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        if (result.cases.length === 0) {
+            embed.fields.push({
+                name: '📭 No Cases Found',
+                value: mode === 'history' ? 'This user has no matching moderation cases.' : 'No cases match these filters.',
+                inline: false
+            });
+        }
+
+        if (mode === 'history') {
+            const tickets = await ModmailTicket.getTicketsForUser(guild.id, filters.targetUser, HISTORY_TICKET_LIMIT);
+            if (tickets.length > 0) {
+                embed.fields.push({
+                    name: '📨 Modmail Tickets',
+                    value: tickets.map(ticket => this.formatTicketLine(ticket)).join('\n'),
+                    inline: false
+                });
+            }
+        }
+
+        const filterKey = mode === 'history'
+            ? `${filters.targetUser}:${STATUS_CODES.indexOf(filters.status)}`
+            : this.encodeFilters(filters);
+
+        const navigation = new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${CASE_PREFIX}:${mode}:${page - 1}:${filterKey}`)
+                .setLabel('Previous')
+                .setEmoji('◀️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(page <= 0),
+            new ButtonBuilder()
+                .setCustomId(`${CASE_PREFIX}:${mode}:${page + 1}:${filterKey}`)
+                .setLabel('Next')
+                .setEmoji('▶️')
+                .setStyle(ButtonStyle.Secondary)
+                .setDisabled(!result.pagination.hasMore)
+        );
+
+        return {
+            embeds: [embed],
+            components: totalPages > 1 ? [navigation] : []
+        };
+    },
+
+    /**
+     * Build the detail embed for /case view
+     * @param {Object} result - Result from ModerationService.getCase
+     * @param {Guild} guild - Discord guild
+     * @param {ModmailTicket[]} linkedTickets - Modmail tickets linked to the case
+     * @param {EvidenceTranscript[]} transcripts - Evidence transcripts attached to the case
+     * @returns {Object} - Embed data
+     */
+    createCaseDetailEmbed(result, guild, linkedTickets = [], transcripts = []) {
+        const moderationCase = result.case;
+        const status = !moderationCase.active
+            ? '🔒 Closed'
+            : (result.isExpired ? '⌛ Expired (pending processing)' : '🟢 Active');
+
+        const embed = {
+            color: moderationCase.active ? BRAND_COLORS.WARNING : BRAND_COLORS.INFO,
+            title: `📋 Case ${moderationCase.case_number}`,
+            fields: [
+                {
+                    name: '👤 User',
+                    value: `<@${moderationCase.target_user_id}> (${moderationCase.target_user_id})`,
+                    inline: true
+                },
+                {
+                    name: '👮 Moderator',
+                    value: `<@${moderationCase.moderator_id}>`,
+                    inline: true
+                },
+                {
+                    name: '⚖️ Action',
+                    value: MODERATION_ACTION_LABELS[moderationCase.action_type] || moderationCase.action_type,
+                    inline: true
+                },
+                {
+                    name: '📊 Status',
+                    value: status,
+                    inline: true
+                },
+                {
+                    name: '📅 Created',
+                    value: `<t:${Math.floor(new Date(moderationCase.created_at).getTime() / 1000)}:F>`,
+                    inline: true
+                },
+                {
+                    name: '📝 Reason',
+                    value: moderationCase.reason,
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Cannabis Compliance Tracking',
+                iconURL: guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+
+        if (moderationCase.expires_at) {
+            embed.fields.splice(5, 0, {
+                name: '⏱️ Expires',
+                value: `<t:${Math.floor(new Date(moderationCase.expires_at).getTime() / 1000)}:R>`,
+                inline: true
+            });
+        }
+
+        if (moderationCase.notes) {
+            embed.fields.push({
+                name: '🗒️ Staff Notes',
+                value: this.truncate(moderationCase.notes, 1024),
+                inline: false
+            });
+        }
+
+        if (moderationCase.evidence && moderationCase.evidence.length > 0) {
+            embed.fields.push({
+                name: '📎 Evidence',
+                value: this.truncate(moderationCase.evidence.map(e => `• ${typeof e === 'string' ? e : JSON.stringify(e)}`).join('\n'), 1024),
+                inline: false
+            });
+        }
+
+        if (transcripts.length > 0) {
+            embed.fields.push({
+                name: '🗂️ Transcripts',
+                value: this.truncate([
+                    ...transcripts.map(t => `• **${t.transcript_number}** — ${t.message_count} message${t.message_count !== 1 ? 's' : ''} (${t.source})`),
+                    'Download with `/evidence transcript`'
+                ].join('\n'), 1024),
+                inline: false
+            });
+        }
+
+        if (result.isCannabisCompliance) {
+            const complianceInfo = [];
+            if (moderationCase.age_related) complianceInfo.push('🔞 Age Verification Related');
+            if (moderationCase.educational_violation) complianceInfo.push('🎓 Educational Content Violation');
+            if (moderationCase.legal_area_violation) complianceInfo.push('⚖️ Legal Area Violation');
+
+            embed.fields.push({
+                name: '🌿 Cannabis Compliance Flags',
+                value: complianceInfo.join('\n'),
+                inline: false
+            });
+        }
+
+        if (moderationCase.appeal_status !== 'NONE') {
+            const appealLines = [`**Status:** ${APPEAL_LABELS[moderationCase.appeal_status]}`];
+            if (moderationCase.appeal_reason) appealLines.push(`**Appeal:** ${this.truncate(moderationCase.appeal_reason, 400)}`);
+            if (moderationCase.appeal_reviewer_id) appealLines.push(`**Reviewed by:** <@${moderationCase.appeal_reviewer_id}>`);
+            if (moderationCase.appeal_notes) appealLines.push(`**Notes:** ${this.truncate(moderationCase.appeal_notes, 300)}`);
+
+            embed.fields.push({
+                name: '📩 Appeal',
+                value: appealLines.join('\n'),
+                inline: false
+            });
+        }
+
+        if (result.relatedCases.length > 0) {
+            embed.fields.push({
+                name: '🔗 Other Active Cases for This User',
+                value: result.relatedCases
+                    .map(c => `• ${c.case_number} — ${MODERATION_ACTION_LABELS[c.action_type] || c.action_type}`)
+                    .join('\n'),
+                inline: false
+            });
+        }
+
+        if (linkedTickets.length > 0) {
+            embed.fields.push({
+                name: '📨 Linked Modmail Tickets',
+                value: linkedTickets.map(ticket => this.formatTicketLine(ticket)).join('\n'),
+                inline: false
+            });
+        }
+
+        return embed;
+    },
+
+    /**
+     * Format a modmail ticket as a list line linking to its staff thread
+     * @param {ModmailTicket} ticket - Modmail ticket
+     * @returns {string} - List line
+     */
+    formatTicketLine(ticket) {
+        const status = ticket.status === 'OPEN' ? '🟢 Open' : '🔒 Closed';
+        return `• [${ticket.ticket_number}](${ticket.threadUrl}) — ${status} • <t:${Math.floor(new Date(ticket.created_at).getTime() / 1000)}:R>`;
+    },
+
+    /**
+     * Build a compact list field for a case
+     * @param {ModerationCase} moderationCase - Case to summarize
+     * @returns {Object} - Embed field
+     */
+    createCaseListField(moderationCase) {
+        const lines = [
+            `👤 <@${moderationCase.target_user_id}> • 👮 <@${moderationCase.moderator_id}> • <t:${Math.floor(new Date(moderationCase.created_at).getTime() / 1000)}:R>`,
+            `📝 ${this.truncate(moderationCase.reason, 150)}`
+        ];
+        if (moderationCase.appeal_status !== 'NONE') {
+            lines.push(`📩 Appeal: ${APPEAL_LABELS[moderationCase.appeal_status]}`);
+        }
+
+        return {
+            name: `${moderationCase.case_number} • ${MODERATION_ACTION_LABELS[moderationCase.action_type] || moderationCase.action_type}${moderationCase.active ? '' : ' (closed)'}`,
+            value: lines.join('\n'),
+            inline: false
+        };
+    },
+
+    /**
+     * Encode search filters into a compact custom ID segment
+     * @param {Object} filters - Search filters
+     * @returns {string} - Encoded filters (e.g. "a5|m123|pP|c1|s20240101|u20240131|t0")
+     */
+    encodeFilters(filters) {
+        const parts = [];
+        if (filters.actionType) parts.push(`a${ACTION_CODES.indexOf(filters.actionType)}`);
+        if (filters.moderator) parts.push(`m${filters.moderator}`);
+        if (filters.appealStatus) parts.push(`p${APPEAL_CODES.indexOf(filters.appealStatus)}`);
+        if (filters.cannabisCompliance) parts.push('c1');
+        if (filters.since) parts.push(`s${filters.since}`);
+        if (filters.until) parts.push(`u${filters.until}`);
+        parts.push(`t${STATUS_CODES.indexOf(filters.status || 'active')}`);
+        return parts.join('|');
+    },
+
+    /**
+     * Decode search filters from a custom ID segment
+     * @param {string} encoded - Encoded filters
+     * @returns {Object} - Search filters
+     */
+    decodeFilters(encoded) {
+        const filters = { status: 'active' };
+        for (const part of encoded.split('|').filter(Boolean)) {
+            const key = part[0];
+            const value = part.slice(1);
+            if (key === 'a') filters.actionType = ACTION_CODES[parseInt(value, 10)];
+            if (key === 'm') filters.moderator = value;
+            if (key === 'p') filters.appealStatus = APPEAL_CODES[parseInt(value, 10)];
+            if (key === 'c') filters.cannabisCompliance = true;
+            if (key === 's') filters.since = value;
+            if (key === 'u') filters.until = value;
+            if (key === 't') filters.status = STATUS_CODES[parseInt(value, 10)] || 'active';
+        }
+        return filters;
+    },
+
+    /**
+     * Describe active search filters for the results embed
+     * @param {Object} filters - Search filters
+     * @returns {string} - Human-readable filter summary
+     */
+    describeFilters(filters) {
+        const parts = [];
+        if (filters.actionType) parts.push(`Action: ${MODERATION_ACTION_LABELS[filters.actionType]}`);
+        if (filters.moderator) parts.push(`Moderator: <@${filters.moderator}>`);
+        if (filters.appealStatus) parts.push(`Appeal: ${APPEAL_LABELS[filters.appealStatus]}`);
+        if (filters.cannabisCompliance) parts.push('🌿 Cannabis compliance only');
+        if (filters.since) parts.push(`Since: ${this.formatDateKey(filters.since)}`);
+        if (filters.until) parts.push(`Until: ${this.formatDateKey(filters.until)}`);
+        parts.push(`Status: ${filters.status || 'active'}`);
+        return parts.join(' • ');
+    },
+
+    /**
+     * Parse a YYYY-MM-DD or YYYYMMDD date as UTC midnight
+     * @param {string} value - Date string
+     * @returns {Date|null} - Parsed date or null if invalid
+     */
+    parseDate(value) {
+        const match = value.match(/^(\d{4})-?(\d{2})-?(\d{2})$/);
+        if (!match) return null;
+
+        const date = new Date(Date.UTC(parseInt(match[1], 10), parseInt(match[2], 10) - 1, parseInt(match[3], 10)));
+        return date.getUTCDate() === parseInt(match[3], 10) ? date : null;
+    },
+
+    /**
+     * Format a YYYYMMDD date key for display
+     * @param {string} key - Date key
+     * @returns {string} - YYYY-MM-DD
+     */
+    formatDateKey(key) {
+        return `${key.slice(0, 4)}-${key.slice(4, 6)}-${key.slice(6, 8)}`;
+    },
+
+    /**
+     * Truncate text to fit embed field limits
+     * @param {string} text - Text to truncate
+     * @param {number} max - Maximum length
+     * @returns {string} - Truncated text
+     */
+    truncate(text, max) {
+        return text.length > max ? `${text.slice(0, max - 3)}...` : text;
+    },
+
+    /**
+     * Map service errors to messages safe to show moderators
+     * @param {Error} error - Service error
+     * @returns {string} - User-facing message
+     */
+    getUserFacingError(error) {
+        if (error.message === 'Moderation case not found') {
+            return 'No case with that number exists in this server. Case numbers look like `2024-01-CASE001`.';
+        }
+        if (error.message.startsWith('Validation error') || error.message.startsWith('Filter validation error')) {
+            return error.message;
+        }
+        return 'An error occurred while processing the case command. Please try again or contact an administrator.';
+    }
+};
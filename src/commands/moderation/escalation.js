@@ -0,0 +1,213 @@
+/**
+ * Escalation Command for GrowmiesNJ Discord Bot
+ *
+ * Configure the per-guild warning escalation ladder
+ * Repeat warnings within a window automatically apply the configured timeout, kick or ban
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const { GuildSettings } = require('../../database/models/GuildSettings');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('escalation')
+        .setDescription('Configure automatic escalation for repeat warnings')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('View the current warning escalation ladder')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('set')
+                .setDescription('Add or replace an escalation rule')
+                .addIntegerOption(option =>
+                    option.setName('warnings')
+                        .setDescription('Number of warnings that triggers this rule')
+                        .setRequired(true)
+                        .setMinValue(2)
+                        .setMaxValue(20)
+                )
+                .addStringOption(option =>
+                    option.setName('action')
+                        .setDescription('Action applied when the threshold is reached')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: '⏰ Timeout', value: 'TIMEOUT' },
+                            { name: '👢 Kick', value: 'KICK' },
+                            { name: '🔨 Ban', value: 'BAN' }
+                        )
+                )
+                .addIntegerOption(option =>
+                    option.setName('window_days')
+                        .setDescription('Only count warnings from the last N days (default: 30)')
+                        .setRequired(false)
+                        .setMinValue(1)
+                        .setMaxValue(365)
+                )
+                .addStringOption(option =>
+                    option.setName('duration')
+                        .setDescription('Timeout or ban duration (e.g., 1h, 7d). Required for timeouts (max 28d); omit for a permanent ban')
+                        .setRequired(false)
+                        .setMaxLength(10)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove an escalation rule')
+                .addIntegerOption(option =>
+                    option.setName('warnings')
+                        .setDescription('Warning threshold of the rule to remove')
+                        .setRequired(true)
+                        .setMinValue(2)
+                        .setMaxValue(20)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('toggle')
+                .setDescription('Enable or disable automatic escalation')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether repeat warnings should escalate automatically')
+                        .setRequired(true)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+            const policy = settings.getEscalationPolicy();
+
+            console.log(`📈 Escalation ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'view') {
+                return await interaction.editReply({ embeds: [this.createPolicyEmbed(policy, interaction.guild)] });
+            }
+
+            let updatedPolicy;
+            switch (subcommand) {
+                case 'set': {
+                    const threshold = interaction.options.getInteger('warnings');
+                    const rule = {
+                        threshold,
+                        window_days: interaction.options.getInteger('window_days') ?? 30,
+                        action: interaction.options.getString('action'),
+                        duration: interaction.options.getString('duration')?.trim().toLowerCase() || null
+                    };
+                    updatedPolicy = {
+                        ...policy,
+                        rules: [...policy.rules.filter(r => r.threshold !== threshold), rule]
+                    };
+                    break;
+                }
+                case 'remove': {
+                    const threshold = interaction.options.getInteger('warnings');
+                    if (!policy.rules.some(r => r.threshold === threshold)) {
+                        const errorEmbed = EmbedUtils.createErrorEmbed(
+                            'Rule Not Found',
+                            `There is no escalation rule for ${threshold} warnings.`,
+                            'ESCALATION_RULE_NOT_FOUND'
+                        );
+                        return await interaction.editReply({ embeds: [errorEmbed] });
+                    }
+                    updatedPolicy = {
+                        ...policy,
+                        rules: policy.rules.filter(r => r.threshold !== threshold)
+                    };
+                    break;
+                }
+                case 'toggle':
+                    updatedPolicy = {
+                        ...policy,
+                        enabled: interaction.options.getBoolean('enabled')
+                    };
+                    break;
+            }
+
+            await settings.updateEscalationPolicy(updatedPolicy);
+            const savedPolicy = settings.getEscalationPolicy();
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'warning_escalation_updated',
+                null,
+                {
+                    subcommand,
+                    previous_policy: policy,
+                    new_policy: savedPolicy
+                }
+            );
+
+            await interaction.editReply({ embeds: [this.createPolicyEmbed(savedPolicy, interaction.guild, true)] });
+
+        } catch (error) {
+            console.error(`❌ Error in escalation ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Escalation Command Failed',
+                error.message.startsWith('Escalation') || error.message.startsWith('An escalation') || error.message.startsWith('Timeout escalations')
+                    ? error.message
+                    : 'An error occurred while updating the escalation policy. Please try again or contact an administrator.',
+                'ESCALATION_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send escalation error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Create an embed describing the escalation ladder
+     * @param {Object} policy - Escalation policy ({ enabled, rules })
+     * @param {Guild} guild - Discord guild
+     * @param {boolean} updated - Whether the policy was just changed
+     * @returns {Object} - Embed object
+     */
+    createPolicyEmbed(policy, guild, updated = false) {
+        const ladder = policy.rules.length > 0
+            ? policy.rules.map(rule => {
+                const durationText = rule.duration
+                    ? ` for ${rule.duration}`
+                    : rule.action === 'BAN' ? ' (permanent)' : '';
+                return `**${rule.threshold} warnings** in ${rule.window_days} days → ${rule.action}${durationText}`;
+            }).join('\n')
+            : 'No escalation rules configured.';
+
+        return {
+            color: policy.enabled ? BRAND_COLORS.SUCCESS : BRAND_COLORS.WARNING,
+            title: updated ? '📈 Escalation Policy Updated' : '📈 Warning Escalation Policy',
+            description: `Automatic escalation is **${policy.enabled ? 'enabled' : 'disabled'}** in ${guild.name}.`,
+            fields: [
+                {
+                    name: '🪜 Escalation Ladder',
+                    value: ladder,
+                    inline: false
+                },
+                {
+                    name: 'ℹ️ How It Works',
+                    value: 'Standard and educational warnings both count. When a warning reaches a threshold, the highest matching rule is applied once per window and linked to the warnings that triggered it.',
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Moderation Settings',
+                iconURL: guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
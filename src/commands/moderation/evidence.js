@@ -0,0 +1,140 @@
+/**
+ * Evidence Command for GrowmiesNJ Discord Bot
+ *
+ * Staff-only retrieval of purge and case transcripts from the evidence store
+ * Every download is audit logged since transcripts contain member messages
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, AttachmentBuilder } = require('discord.js');
+const { EvidenceTranscript } = require('../../database/models/EvidenceTranscript');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { evidenceStoreService } = require('../../services/evidenceStore');
+const { EmbedUtils } = require('../../utils/embeds');
+
+// Discord allows up to 10 attachments per message
+const MAX_FILES = 10;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('evidence')
+        .setDescription('Download evidence transcripts of purged and removed messages')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('transcript')
+                .setDescription('Download a transcript by transcript number or case number')
+                .addStringOption(option =>
+                    option.setName('transcript_number')
+                        .setDescription('Transcript number (e.g., 2026-10-TRN001)')
+                        .setRequired(false)
+                        .setMaxLength(50)
+                )
+                .addStringOption(option =>
+                    option.setName('case_number')
+                        .setDescription('Download every transcript attached to this case')
+                        .setRequired(false)
+                        .setMaxLength(50)
+                )
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('File format (default: HTML)')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: '🌐 HTML (readable)', value: 'html' },
+                            { name: '🧾 JSON (raw data)', value: 'json' }
+                        )
+                )
+        ),
+
+    async execute(interaction) {
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const transcriptNumber = interaction.options.getString('transcript_number')?.trim().toUpperCase();
+            const caseNumber = interaction.options.getString('case_number')?.trim().toUpperCase();
+            const format = interaction.options.getString('format') || 'html';
+
+            console.log(`🗂️ Evidence transcript requested by ${interaction.user.tag} (${transcriptNumber || caseNumber || 'no reference'})`);
+
+            if (!transcriptNumber && !caseNumber) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Missing Reference',
+                    'Provide a transcript number or a case number.',
+                    'EVIDENCE_NO_REFERENCE'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            const transcripts = transcriptNumber
+                ? [await EvidenceTranscript.findByNumber(interaction.guild.id, transcriptNumber)].filter(Boolean)
+                : await EvidenceTranscript.findForCase(interaction.guild.id, caseNumber);
+
+            if (transcripts.length === 0) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Transcript Not Found',
+                    transcriptNumber
+                        ? `No transcript **${transcriptNumber}** exists in this server.`
+                        : `Case **${caseNumber}** has no stored transcripts.`,
+                    'EVIDENCE_NOT_FOUND'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            const files = [];
+            const missing = [];
+            for (const transcript of transcripts.slice(0, MAX_FILES)) {
+                const file = await evidenceStoreService.getFile(transcript, format);
+                if (file) {
+                    files.push(new AttachmentBuilder(file.buffer, { name: file.name }));
+                } else {
+                    missing.push(transcript.transcript_number);
+                }
+            }
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'evidence_transcript_exported',
+                transcripts[0].target_user_id,
+                {
+                    transcript_numbers: transcripts.map(transcript => transcript.transcript_number),
+                    case_number: caseNumber || transcripts[0].case_number,
+                    format
+                }
+            );
+
+            const lines = transcripts.slice(0, MAX_FILES).map(transcript =>
+                `• **${transcript.transcript_number}** — ${transcript.message_count} message${transcript.message_count !== 1 ? 's' : ''} (${transcript.source})${transcript.case_number ? ` • Case ${transcript.case_number}` : ''}`
+            );
+            if (transcripts.length > MAX_FILES) {
+                lines.push(`…and ${transcripts.length - MAX_FILES} more. Request them by transcript number.`);
+            }
+            if (missing.length > 0) {
+                lines.push(`⚠️ Files missing from the evidence store: ${missing.join(', ')}`);
+            }
+
+            await interaction.editReply({
+                content: `🗂️ Evidence transcripts (${format.toUpperCase()}) — staff only, do not share outside the moderation team\n${lines.join('\n')}`,
+                files
+            });
+
+        } catch (error) {
+            console.error('❌ Error in evidence command:', error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Evidence Command Failed',
+                error.message.startsWith('Evidence')
+                    ? error.message
+                    : 'An error occurred while loading the transcript. Please try again or contact an administrator.',
+                'EVIDENCE_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send evidence error response:', followUpError);
+            }
+        }
+    }
+};
@@ -0,0 +1,249 @@
+/**
+ * Join Screening Command for GrowmiesNJ Discord Bot
+ *
+ * Configures screening of new joins (moderation history, account age, names of
+ * recently banned users) and handles the staff actions on quarantine alerts
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { GuildSettings } = require('../../database/models/GuildSettings');
+const { User } = require('../../database/models/User');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { joinScreeningService, FLAG_DETAILS } = require('../../services/joinScreening');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('join-screening')
+        .setDescription('Screen new joins for ban evasion and alt accounts')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('View or change join screening settings')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Screen new joins and quarantine flagged members')
+                        .setRequired(false)
+                )
+                .addRoleOption(option =>
+                    option.setName('quarantine_role')
+                        .setDescription('Limited role flagged members are held in until staff review them')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('alert_channel')
+                        .setDescription('Channel for screening alerts with verify/kick/ban buttons')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('min_account_age_days')
+                        .setDescription('Flag accounts younger than this many days (0 to disable)')
+                        .setMinValue(0)
+                        .setMaxValue(90)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('name_similarity')
+                        .setDescription('Flag names at least this similar (%) to a recently banned user')
+                        .setMinValue(50)
+                        .setMaxValue(100)
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('ban_lookback_days')
+                        .setDescription('How many days of bans to compare names against')
+                        .setMinValue(7)
+                        .setMaxValue(365)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('check')
+                .setDescription('Run the screening checks on a member without quarantining them')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to check')
+                        .setRequired(true)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🛂 Join screening ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'check') {
+                return await this.handleCheck(interaction);
+            }
+            return await this.handleConfig(interaction);
+
+        } catch (error) {
+            console.error(`❌ Error in join-screening ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Join Screening Command Failed',
+                error.message.startsWith('Join screening')
+                    ? error.message
+                    : 'An error occurred while processing the join screening command. Please try again or contact an administrator.',
+                'JOIN_SCREENING_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send join screening error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Update or show join screening settings
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleConfig(interaction) {
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const previousConfig = settings.getJoinScreeningConfig();
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const quarantineRole = interaction.options.getRole('quarantine_role');
+        const alertChannel = interaction.options.getChannel('alert_channel');
+
+        if (enabled !== null) updates.enabled = enabled;
+        if (quarantineRole) {
+            if (quarantineRole.managed || quarantineRole.id === interaction.guild.id) {
+                throw new Error('Join screening quarantine role must be a regular role the bot can assign');
+            }
+            updates.quarantine_role_id = quarantineRole.id;
+        }
+        if (alertChannel) updates.alert_channel_id = alertChannel.id;
+        for (const key of ['min_account_age_days', 'name_similarity', 'ban_lookback_days']) {
+            const value = interaction.options.getInteger(key);
+            if (value !== null) updates[key] = value;
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await settings.updateJoinScreeningConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'join_screening_config_updated',
+                null,
+                {
+                    previous_config: previousConfig,
+                    new_config: settings.getJoinScreeningConfig()
+                }
+            );
+        }
+
+        const config = settings.getJoinScreeningConfig();
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: Object.keys(updates).length > 0 ? '🛂 Join Screening Updated' : '🛂 Join Screening',
+                fields: [
+                    { name: '⚙️ Status', value: config.enabled ? 'Enabled' : 'Disabled', inline: true },
+                    { name: '🔒 Quarantine Role', value: config.quarantine_role_id ? `<@&${config.quarantine_role_id}>` : 'Not set', inline: true },
+                    { name: '📢 Alerts', value: config.alert_channel_id ? `<#${config.alert_channel_id}>` : 'Not set', inline: true },
+                    { name: '🐣 Minimum Account Age', value: config.min_account_age_days > 0 ? `${config.min_account_age_days} days` : 'Not checked', inline: true },
+                    { name: '👥 Name Similarity', value: `${config.name_similarity}%`, inline: true },
+                    { name: '🔨 Ban Lookback', value: `${config.ban_lookback_days} days`, inline: true }
+                ],
+                footer: {
+                    text: 'Members with prior bans, kicks or repeated warnings are always flagged',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Show what screening would flag for a member
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleCheck(interaction) {
+        const user = interaction.options.getUser('user');
+        const member = await interaction.guild.members.fetch(user.id).catch(() => null);
+        if (!member) {
+            throw new Error('Join screening can only check members who are in the server.');
+        }
+
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const existingUser = await User.findOne({ where: { discord_id: user.id, guild_id: interaction.guild.id } });
+        const result = await joinScreeningService.screen(member, settings.getJoinScreeningConfig(), existingUser);
+
+        if (result.flags.length === 0) {
+            return await interaction.editReply({
+                embeds: [EmbedUtils.createSuccessEmbed(
+                    'Nothing Flagged',
+                    `<@${user.id}> would pass join screening (account is ${result.account_age_days} days old, ${result.history.total} case${result.history.total !== 1 ? 's' : ''} on record).`
+                )]
+            });
+        }
+
+        const embed = joinScreeningService.createAlertEmbed(user, result);
+        embed.title = '🛂 Join Screening Check';
+        embed.description = `<@${user.id}> would be quarantined on join for ${result.flags.map(flag => FLAG_DETAILS[flag.type].label.toLowerCase()).join(', ')}.`;
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Handle Verify/Kick/Ban on a screening alert
+     * @param {ButtonInteraction} interaction - Button interaction
+     * @returns {Promise<void>}
+     */
+    async handleButton(interaction) {
+        const [, action, userId] = interaction.customId.split(':');
+
+        if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+            return await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed('Insufficient Permissions', 'Only moderators can review flagged joins.')],
+                ephemeral: true
+            });
+        }
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const { caseNumber, rolesRestored } = await joinScreeningService.resolve(interaction, action, userId);
+
+            await interaction.editReply({
+                embeds: [EmbedUtils.createSuccessEmbed(
+                    action === 'verify' ? 'Member Cleared' : action === 'kick' ? 'Member Kicked' : 'Member Banned',
+                    action === 'verify'
+                        ? `<@${userId}> was released from quarantine.${rolesRestored ? ' Their previous verification roles were restored.' : ''}`
+                        : `<@${userId}> was ${action === 'kick' ? 'kicked' : 'banned'} under case ${caseNumber}.`
+                )]
+            });
+
+        } catch (error) {
+            console.error(`❌ Error handling join screening action ${interaction.customId}:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Join Screening Action Failed',
+                error.message.startsWith('Join screening') || error.message.startsWith('Missing required permissions')
+                    ? error.message
+                    : 'An error occurred while applying the decision. Please try again.',
+                'JOIN_SCREENING_ACTION_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send join screening action error response:', followUpError);
+            }
+        }
+    }
+};
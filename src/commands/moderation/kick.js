@@ -7,6 +7,7 @@
 
 const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
 const ModerationService = require('../../services/moderationService');
+const { messageLogService } = require('../../services/messageLog');
 const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
 
 module.exports = {
@@ -42,6 +43,12 @@ module.exports = {
             option.setName('dm_user')
                 .setDescription('Send a private message to the user about the kick (default: true)')
                 .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('message_ids')
+                .setDescription('IDs of logged edited/deleted messages to attach as evidence (comma separated)')
+                .setRequired(false)
+                .setMaxLength(250)
         ),
 
     async execute(interaction) {
@@ -53,6 +60,7 @@ module.exports = {
             const evidence = interaction.options.getString('evidence');
             const isEducational = interaction.options.getBoolean('educational') ?? false;
             const shouldDM = interaction.options.getBoolean('dm_user') ?? true;
+            const messageIdsInput = interaction.options.getString('message_ids');
 
             console.log(`🌿 Kick command executed by ${interaction.user.tag} targeting ${targetUser.tag}`);
 
@@ -103,6 +111,16 @@ module.exports = {
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
+            // Attach logged edits/deletions referenced by message ID
+            const messageEvidence = await messageLogService.findEvidence(interaction.guild.id, messageIdsInput);
+            if (messageEvidence.error) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Evidence Not Found',
+                    messageEvidence.error
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
             // Gather user evidence for tracking
             const userEvidence = {
                 username: targetUser.username,
@@ -184,18 +202,6 @@ module.exports = {
                 }
             }
 
-            // Apply Discord kick
-            try {
-                await targetMember.kick(`${reason} | Moderator: ${interaction.user.tag}${evidence ? ` | Evidence: ${evidence}` : ''}`);
-            } catch (kickError) {
-                console.error('Failed to kick user:', kickError);
-                const errorEmbed = EmbedUtils.createErrorEmbed(
-                    'Kick Failed',
-                    'Failed to kick the user. Please check that the bot has sufficient permissions and the user is still in the server.'
-                );
-                return await interaction.editReply({ embeds: [errorEmbed] });
-            }
-
             // Initialize moderation service
             const moderationService = new ModerationService();
 
@@ -204,10 +210,13 @@ module.exports = {
                 guildId: interaction.guild.id,
                 targetUserId: targetUser.id,
                 moderatorId: interaction.user.id,
-                actionType: isEducational ? 'EDUCATIONAL_KICK' : 'KICK',
+                actionType: 'KICK',
                 reason: reason,
-                evidence: evidence || null,
-                userEvidence: JSON.stringify(userEvidence),
+                ...(messageEvidence.messageIds.length > 0 && { evidenceMessageIds: messageEvidence.messageIds }),
+                evidence: evidence ? [evidence] : [],
+                metadata: {
+                    user_evidence: userEvidence
+                },
                 cannabisFlags: {
                     educationalViolation: isEducational,
                     ageRelated: false, // Will be auto-detected by service
@@ -222,9 +231,13 @@ module.exports = {
                 interaction.member
             );
 
-            if (!result.success) {
-                console.error('Failed to create moderation case after kick applied');
-                // Kick was already applied, so we continue but log the issue
+            // The moderation service performs the kick so the case and mod log reflect the outcome
+            if (!result.discordAction.success) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Kick Failed',
+                    `Failed to kick the user. Please check that the bot has sufficient permissions and the user is still in the server. The attempt was recorded as case ${result.case.case_number}.`
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
             const moderationCase = result.case;
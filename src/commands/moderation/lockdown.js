@@ -0,0 +1,205 @@
+/**
+ * Lockdown Command for GrowmiesNJ Discord Bot
+ *
+ * Emergency lockdown of all channels, the 21+ channels, age verification or new joins
+ * Overwrites are snapshotted on start and restored exactly on end
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { lockdownService, SCOPE_DETAILS } = require('../../services/lockdown');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('lockdown')
+        .setDescription('Emergency server lockdown')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('start')
+                .setDescription('Lock down part of the server (run again to add another scope)')
+                .addStringOption(option =>
+                    option.setName('scope')
+                        .setDescription('What to lock down')
+                        .setRequired(true)
+                        .addChoices(
+                            { name: 'All channels (no messages, reactions, threads or voice)', value: 'all_channels' },
+                            { name: '21+ channels (hidden from members)', value: 'age_gated' },
+                            { name: 'Verification only (age verification paused)', value: 'verification' },
+                            { name: 'New joins (invites paused, joiners removed)', value: 'new_joins' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason shown in the announcement')
+                        .setRequired(false)
+                        .setMaxLength(500)
+                )
+                .addChannelOption(option =>
+                    option.setName('announcement_channel')
+                        .setDescription('Where to announce the lockdown (defaults to the system channel)')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('status')
+                .setDescription('Show the active lockdown')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('end')
+                .setDescription('End the lockdown and restore every permission it changed')
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Note shown in the announcement')
+                        .setRequired(false)
+                        .setMaxLength(500)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🔒 Lockdown ${subcommand} executed by ${interaction.user.tag}`);
+
+            switch (subcommand) {
+                case 'start':
+                    return await this.handleStart(interaction);
+                case 'end':
+                    return await this.handleEnd(interaction);
+                default:
+                    return await this.handleStatus(interaction);
+            }
+
+        } catch (error) {
+            console.error(`❌ Error in lockdown ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Lockdown Command Failed',
+                error.message.startsWith('Lockdown')
+                    ? error.message
+                    : 'An error occurred while processing the lockdown. Please try again or contact an administrator.',
+                'LOCKDOWN_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send lockdown error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Start a lockdown or add a scope to the active one
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleStart(interaction) {
+        const scope = interaction.options.getString('scope');
+
+        const { lockdown, changed, failed } = await lockdownService.start(interaction.guild, {
+            scope,
+            actorId: interaction.user.id,
+            reason: interaction.options.getString('reason'),
+            announcementChannel: interaction.options.getChannel('announcement_channel')
+        });
+
+        const embed = this.createStatusEmbed(interaction, lockdown);
+        embed.title = `🔒 Lockdown Started: ${SCOPE_DETAILS[scope].name}`;
+        embed.fields.push({
+            name: '🛠️ Applied',
+            value: `${changed} permission overwrite${changed !== 1 ? 's' : ''} changed${failed.length > 0 ? `\n⚠️ ${failed.length} change${failed.length !== 1 ? 's' : ''} failed (check the bot's Manage Roles / Manage Server permissions)` : ''}`,
+            inline: false
+        });
+
+        await interaction.editReply({ embeds: [embed] });
+    },
+
+    /**
+     * Show the active lockdown
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleStatus(interaction) {
+        const lockdown = await lockdownService.getActive(interaction.guild.id);
+
+        if (!lockdown) {
+            return await interaction.editReply({
+                embeds: [EmbedUtils.createSuccessEmbed('No Active Lockdown', 'The server is not locked down.')]
+            });
+        }
+
+        await interaction.editReply({ embeds: [this.createStatusEmbed(interaction, lockdown)] });
+    },
+
+    /**
+     * End the lockdown and restore the snapshot
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleEnd(interaction) {
+        const { restored, failed } = await lockdownService.end(interaction.guild, {
+            actorId: interaction.user.id,
+            reason: interaction.options.getString('reason')
+        });
+
+        const failedLines = failed.slice(0, 10).map(failure =>
+            `• ${failure.channel_id ? `<#${failure.channel_id}>` : 'Invites'}: ${failure.error}`
+        );
+
+        await interaction.editReply({
+            embeds: [{
+                color: failed.length > 0 ? BRAND_COLORS.WARNING : BRAND_COLORS.SUCCESS,
+                title: '🔓 Lockdown Ended',
+                description: failed.length > 0
+                    ? `Restored ${restored} permission overwrite${restored !== 1 ? 's' : ''}. These could not be restored and need a manual fix:\n${failedLines.join('\n')}`
+                    : `Restored ${restored} permission overwrite${restored !== 1 ? 's' : ''} to their state before the lockdown.`,
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Lockdown',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Build the lockdown status embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Lockdown} lockdown - Active lockdown
+     * @returns {Object} - Embed data
+     */
+    createStatusEmbed(interaction, lockdown) {
+        const startedAt = Math.floor(new Date(lockdown.started_at).getTime() / 1000);
+        const announcement = lockdown.announcement_message_id
+            ? `[View](https://discord.com/channels/${interaction.guild.id}/${lockdown.announcement_channel_id}/${lockdown.announcement_message_id})`
+            : 'Not posted';
+
+        return {
+            color: BRAND_COLORS.ERROR,
+            title: '🔒 Lockdown Active',
+            description: lockdown.scopes
+                .map(scope => `${SCOPE_DETAILS[scope].emoji} **${SCOPE_DETAILS[scope].name}:** ${SCOPE_DETAILS[scope].description}`)
+                .join('\n'),
+            fields: [
+                { name: '👮 Started By', value: `<@${lockdown.started_by}>`, inline: true },
+                { name: '⏰ Started', value: `<t:${startedAt}:R>`, inline: true },
+                { name: '📸 Snapshot', value: `${lockdown.snapshot.overwrites.length} overwrite${lockdown.snapshot.overwrites.length !== 1 ? 's' : ''}`, inline: true },
+                { name: '📝 Reason', value: (lockdown.reason || 'No reason provided').slice(0, 1024), inline: false },
+                { name: '📢 Announcement', value: announcement, inline: true }
+            ],
+            footer: {
+                text: 'Use /lockdown end to restore the previous permissions',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
@@ -0,0 +1,331 @@
+/**
+ * Message Log Command for GrowmiesNJ Discord Bot
+ *
+ * Configure edit/delete logging and look up captured message evidence
+ * Captured message IDs can be attached to cases with the message_ids option on /warn, /timeout, /kick and /ban
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType } = require('discord.js');
+const { GuildSettings, MESSAGE_LOG_RETENTION_LIMITS } = require('../../database/models/GuildSettings');
+const { MessageEvidence } = require('../../database/models/MessageEvidence');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+const EVENT_LABELS = {
+    'edit': '✏️ Edited',
+    'delete': '🗑️ Deleted',
+    'bulk_delete': '🧹 Bulk deleted'
+};
+
+// Snapshots listed per lookup
+const LOOKUP_LIMIT = 10;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('message-log')
+        .setDescription('Configure message edit/delete logging and look up captured evidence')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('View the current message log configuration')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('configure')
+                .setDescription('Change message log settings (requires Manage Server)')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether edits and deletions are captured')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel where edits and deletions are posted')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+                .addBooleanOption(option =>
+                    option.setName('log_edits')
+                        .setDescription('Capture message edits')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('log_deletes')
+                        .setDescription('Capture message deletions')
+                        .setRequired(false)
+                )
+                .addIntegerOption(option =>
+                    option.setName('retention_days')
+                        .setDescription('Days to keep snapshots that are not attached to a case')
+                        .setRequired(false)
+                        .setMinValue(MESSAGE_LOG_RETENTION_LIMITS[0])
+                        .setMaxValue(MESSAGE_LOG_RETENTION_LIMITS[1])
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('ignore')
+                .setDescription('Stop or resume capturing a channel (requires Manage Server)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel or category to ignore')
+                        .setRequired(true)
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildCategory, ChannelType.GuildForum)
+                )
+                .addBooleanOption(option =>
+                    option.setName('remove')
+                        .setDescription('Resume capturing the channel instead of ignoring it')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('lookup')
+                .setDescription('Look up captured edits and deletions')
+                .addStringOption(option =>
+                    option.setName('message_id')
+                        .setDescription('Message ID to look up')
+                        .setRequired(false)
+                        .setMaxLength(20)
+                )
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Show recent captures for this user')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`📜 Message log ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'lookup') {
+                return await this.handleLookup(interaction);
+            }
+
+            const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+
+            if (subcommand === 'view') {
+                return await interaction.editReply({ embeds: [this.createConfigEmbed(settings, interaction.guild)] });
+            }
+
+            if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Insufficient Permissions',
+                    'You need the Manage Server permission to change message log settings.',
+                    'MESSAGE_LOG_PERMISSIONS'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            const updates = subcommand === 'ignore'
+                ? this.getIgnoreUpdates(interaction, settings.getMessageLogConfig())
+                : this.getConfigUpdates(interaction);
+
+            if (Object.keys(updates).length === 0) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Nothing To Change',
+                    'Provide at least one option to change.',
+                    'MESSAGE_LOG_NO_CHANGES'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            const previousConfig = settings.getMessageLogConfig();
+            await settings.updateMessageLogConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'message_log_config_updated',
+                null,
+                {
+                    subcommand,
+                    previous_config: previousConfig,
+                    new_config: settings.getMessageLogConfig()
+                }
+            );
+
+            await interaction.editReply({ embeds: [this.createConfigEmbed(settings, interaction.guild, true)] });
+
+        } catch (error) {
+            console.error(`❌ Error in message-log ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Message Log Command Failed',
+                error.message.startsWith('Message log')
+                    ? error.message
+                    : 'An error occurred while processing the message log command. Please try again or contact an administrator.',
+                'MESSAGE_LOG_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send message-log error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Collect configuration changes from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Object} - Configuration fields to change
+     */
+    getConfigUpdates(interaction) {
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const channel = interaction.options.getChannel('channel');
+        const logEdits = interaction.options.getBoolean('log_edits');
+        const logDeletes = interaction.options.getBoolean('log_deletes');
+        const retentionDays = interaction.options.getInteger('retention_days');
+
+        if (enabled !== null) updates.enabled = enabled;
+        if (channel) updates.channel_id = channel.id;
+        if (logEdits !== null) updates.log_edits = logEdits;
+        if (logDeletes !== null) updates.log_deletes = logDeletes;
+        if (retentionDays !== null) updates.retention_days = retentionDays;
+
+        return updates;
+    },
+
+    /**
+     * Build the updated ignored channel list from the interaction options
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {Object} config - Current message log configuration
+     * @returns {Object} - Configuration fields to change
+     */
+    getIgnoreUpdates(interaction, config) {
+        const channel = interaction.options.getChannel('channel');
+        const remove = interaction.options.getBoolean('remove') ?? false;
+
+        return {
+            ignored_channel_ids: remove
+                ? config.ignored_channel_ids.filter(id => id !== channel.id)
+                : [...new Set([...config.ignored_channel_ids, channel.id])]
+        };
+    },
+
+    /**
+     * Show captured snapshots for a message or user
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleLookup(interaction) {
+        const messageId = interaction.options.getString('message_id');
+        const user = interaction.options.getUser('user');
+
+        if (!messageId && !user) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Nothing To Look Up',
+                'Provide a message ID or a user.',
+                'MESSAGE_LOG_NO_LOOKUP'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        const snapshots = messageId
+            ? await MessageEvidence.findForMessages(interaction.guild.id, [messageId.trim()])
+            : await MessageEvidence.getForAuthor(interaction.guild.id, user.id, LOOKUP_LIMIT);
+
+        if (snapshots.length === 0) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'No Evidence Found',
+                messageId
+                    ? `No edits or deletions were captured for message ${messageId}.`
+                    : `No edits or deletions were captured for ${user.tag}.`,
+                'MESSAGE_LOG_NOT_FOUND'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        const fields = snapshots.slice(0, LOOKUP_LIMIT).map(snapshot => {
+            const content = snapshot.is_sensitive
+                ? '🔒 Content withheld (age verification channel)'
+                : snapshot.event_type === 'edit'
+                    ? `**Before:** ${this.excerpt(snapshot.content_before)}\n**After:** ${this.excerpt(snapshot.content_after)}`
+                    : this.excerpt(snapshot.content_before);
+
+            const cases = snapshot.case_numbers.length > 0 ? `\n📋 Attached to ${snapshot.case_numbers.join(', ')}` : '';
+
+            return {
+                name: `${EVENT_LABELS[snapshot.event_type]} • ${snapshot.message_id}`,
+                value: `<@${snapshot.author_id}> in <#${snapshot.channel_id}> • <t:${Math.floor(new Date(snapshot.created_at).getTime() / 1000)}:R>\n${content}${cases}`,
+                inline: false
+            };
+        });
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.INFO,
+                title: messageId ? `📜 Message Evidence • ${messageId}` : `📜 Message Evidence • ${user.tag}`,
+                description: 'Attach captured messages to a case with the `message_ids` option on moderation commands.',
+                fields,
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Message Log'
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Shorten snapshot content for lookup fields
+     * @param {string|null} text - Snapshot content
+     * @returns {string} - Excerpt
+     */
+    excerpt(text) {
+        if (!text) return '*[no text]*';
+        return text.length > 300 ? `${text.slice(0, 300)}…` : text;
+    },
+
+    /**
+     * Create an embed describing the message log configuration
+     * @param {GuildSettings} settings - Guild settings
+     * @param {Guild} guild - Discord guild
+     * @param {boolean} updated - Whether the configuration was just changed
+     * @returns {Object} - Embed object
+     */
+    createConfigEmbed(settings, guild, updated = false) {
+        const config = settings.getMessageLogConfig();
+
+        return {
+            color: BRAND_COLORS.SUCCESS,
+            title: updated ? '📜 Message Log Configuration Updated' : '📜 Message Log Configuration',
+            fields: [
+                {
+                    name: '⚙️ Capture',
+                    value: [
+                        `**Status:** ${config.enabled ? '✅ Enabled' : '❌ Disabled'}`,
+                        `**Edits:** ${config.log_edits ? 'Captured' : 'Ignored'}`,
+                        `**Deletions:** ${config.log_deletes ? 'Captured' : 'Ignored'}`,
+                        `**Log Channel:** ${config.channel_id ? `<#${config.channel_id}>` : 'Not set (evidence store only)'}`,
+                        `**Ignored Channels:** ${config.ignored_channel_ids.length > 0 ? config.ignored_channel_ids.map(id => `<#${id}>`).join(', ') : 'None'}`
+                    ].join('\n'),
+                    inline: false
+                },
+                {
+                    name: '🗄️ Retention',
+                    value: [
+                        `Unattached snapshots are kept for **${config.retention_days} days**.`,
+                        'Snapshots attached to a case are kept with the case audit trail.',
+                        'Age verification channel content is stored as sensitive and never posted.'
+                    ].join('\n'),
+                    inline: false
+                }
+            ],
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Legal Compliance',
+                iconURL: guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    }
+};
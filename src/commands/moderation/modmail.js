@@ -0,0 +1,378 @@
+/**
+ * Modmail Command for GrowmiesNJ Discord Bot
+ *
+ * Staff side of modmail: reply to members, close, reopen and export tickets,
+ * and link conversations to moderation cases
+ * Ticket commands run inside the ticket's staff thread unless a ticket number is given
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType, ChannelType, AttachmentBuilder } = require('discord.js');
+const { GuildSettings } = require('../../database/models/GuildSettings');
+const { ModmailTicket } = require('../../database/models/ModmailTicket');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { modmailService } = require('../../services/modmail');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('modmail')
+        .setDescription('Manage private member support tickets')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reply')
+                .setDescription('Reply to the member in this ticket')
+                .addStringOption(option =>
+                    option.setName('message')
+                        .setDescription('Reply text sent to the member')
+                        .setRequired(true)
+                        .setMaxLength(2000)
+                )
+                .addBooleanOption(option =>
+                    option.setName('anonymous')
+                        .setDescription('Hide your name from the member (defaults to the server setting)')
+                        .setRequired(false)
+                )
+                .addAttachmentOption(option =>
+                    option.setName('attachment')
+                        .setDescription('File to send with the reply')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('close')
+                .setDescription('Close this ticket and notify the member')
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason shared with the member')
+                        .setRequired(false)
+                        .setMaxLength(500)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('reopen')
+                .setDescription('Reopen a closed ticket')
+                .addStringOption(option =>
+                    option.setName('ticket')
+                        .setDescription('Ticket number (YYYY-MM-MAIL###); defaults to this thread')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('transcript')
+                .setDescription('Export a ticket transcript')
+                .addStringOption(option =>
+                    option.setName('format')
+                        .setDescription('Transcript format')
+                        .setRequired(false)
+                        .addChoices(
+                            { name: 'HTML', value: 'html' },
+                            { name: 'JSON', value: 'json' }
+                        )
+                )
+                .addStringOption(option =>
+                    option.setName('ticket')
+                        .setDescription('Ticket number (YYYY-MM-MAIL###); defaults to this thread')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('link')
+                .setDescription('Link this ticket to one of the member\'s moderation cases')
+                .addStringOption(option =>
+                    option.setName('case_number')
+                        .setDescription('Case number (YYYY-MM-CASE###)')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('open')
+                .setDescription('Start a modmail conversation with a member')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to contact')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('message')
+                        .setDescription('First message sent to the member')
+                        .setRequired(true)
+                        .setMaxLength(2000)
+                )
+                .addBooleanOption(option =>
+                    option.setName('anonymous')
+                        .setDescription('Hide your name from the member (defaults to the server setting)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('Change modmail settings (requires Manage Server)')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether members can open tickets by DMing the bot')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Staff channel where ticket threads are created')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+                .addRoleOption(option =>
+                    option.setName('staff_role')
+                        .setDescription('Role to add to (or remove from) new ticket notifications')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('remove_role')
+                        .setDescription('Remove staff_role instead of adding it')
+                        .setRequired(false)
+                )
+                .addBooleanOption(option =>
+                    option.setName('anonymous_replies')
+                        .setDescription('Send staff replies anonymously by default')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`📨 Modmail ${subcommand} executed by ${interaction.user.tag}`);
+
+            const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+
+            if (subcommand === 'config') {
+                return await this.handleConfig(interaction, settings);
+            }
+
+            const config = settings.getModmailConfig();
+
+            if (subcommand === 'open') {
+                const user = interaction.options.getUser('user');
+                const anonymous = interaction.options.getBoolean('anonymous') ?? config.anonymous_replies;
+                const ticket = await modmailService.openOutreach(
+                    interaction.guild,
+                    interaction.member,
+                    user,
+                    interaction.options.getString('message'),
+                    anonymous
+                );
+
+                return await interaction.editReply({
+                    embeds: [EmbedUtils.createSuccessEmbed(
+                        'Modmail Ticket Opened',
+                        `Ticket [${ticket.ticket_number}](${ticket.threadUrl}) opened with ${user.tag}.`
+                    )]
+                });
+            }
+
+            const ticket = await this.resolveTicket(interaction);
+            if (!ticket) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Ticket Not Found',
+                    'Run this command inside a modmail ticket thread, or provide a ticket number where supported.',
+                    'MODMAIL_TICKET_NOT_FOUND'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            switch (subcommand) {
+                case 'reply': {
+                    const anonymous = interaction.options.getBoolean('anonymous') ?? config.anonymous_replies;
+                    await modmailService.replyToUser(ticket, interaction.member, interaction.options.getString('message'), {
+                        anonymous,
+                        attachment: interaction.options.getAttachment('attachment')
+                    });
+
+                    return await interaction.editReply({
+                        embeds: [EmbedUtils.createSuccessEmbed(
+                            'Reply Sent',
+                            anonymous ? 'Your reply was sent to the member anonymously.' : 'Your reply was sent to the member.'
+                        )]
+                    });
+                }
+
+                case 'close': {
+                    // Reply before closing; the thread is archived and locked afterwards
+                    await interaction.editReply({
+                        embeds: [EmbedUtils.createSuccessEmbed('Closing Ticket', `Ticket ${ticket.ticket_number} is being closed.`)]
+                    });
+                    await modmailService.closeTicket(ticket, interaction.member, interaction.options.getString('reason'));
+                    return;
+                }
+
+                case 'reopen': {
+                    await modmailService.reopenTicket(ticket, interaction.member);
+                    return await interaction.editReply({
+                        embeds: [EmbedUtils.createSuccessEmbed(
+                            'Ticket Reopened',
+                            `Ticket [${ticket.ticket_number}](${ticket.threadUrl}) is open again and the member has been notified.`
+                        )]
+                    });
+                }
+
+                case 'transcript': {
+                    const format = interaction.options.getString('format') || 'html';
+                    const transcript = await modmailService.buildTranscript(ticket, format);
+
+                    await AuditLog.logAdminAction(
+                        interaction.user.id,
+                        interaction.guild.id,
+                        'modmail_transcript_exported',
+                        ticket.user_id,
+                        { ticket_number: ticket.ticket_number, format }
+                    );
+
+                    return await interaction.editReply({
+                        content: `📄 Transcript for ticket ${ticket.ticket_number}`,
+                        files: [new AttachmentBuilder(transcript.buffer, { name: transcript.name })]
+                    });
+                }
+
+                case 'link': {
+                    const caseNumber = interaction.options.getString('case_number').trim().toUpperCase();
+                    await modmailService.linkCase(ticket, caseNumber, interaction.member);
+
+                    return await interaction.editReply({
+                        embeds: [EmbedUtils.createSuccessEmbed(
+                            'Case Linked',
+                            `Ticket ${ticket.ticket_number} is now linked to case ${caseNumber} and will appear in \`/case view\`.`
+                        )]
+                    });
+                }
+            }
+
+        } catch (error) {
+            console.error(`❌ Error in modmail ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Modmail Command Failed',
+                error.message.startsWith('Modmail')
+                    ? error.message
+                    : 'An error occurred while processing the modmail command. Please try again or contact an administrator.',
+                'MODMAIL_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send modmail error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Route modmail select menus (server choice in DMs)
+     * @param {StringSelectMenuInteraction} interaction - Select menu interaction
+     * @returns {Promise<void>}
+     */
+    async handleSelectMenu(interaction) {
+        const [, action] = interaction.customId.split(':');
+
+        if (action === 'guild') {
+            return await modmailService.handleGuildSelect(interaction);
+        }
+
+        await interaction.reply({ content: '⚠️ This menu is no longer supported.', ephemeral: true });
+    },
+
+    /**
+     * Find the ticket for this command from the ticket option or the current thread
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<ModmailTicket|null>} - Ticket
+     */
+    async resolveTicket(interaction) {
+        const ticketNumber = interaction.options.getString('ticket');
+        if (ticketNumber) {
+            return await ModmailTicket.findByNumber(ticketNumber.trim().toUpperCase(), interaction.guild.id);
+        }
+
+        const ticket = await ModmailTicket.findByThreadId(interaction.channelId);
+        return ticket && ticket.guild_id === interaction.guild.id ? ticket : null;
+    },
+
+    /**
+     * Update modmail settings
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {GuildSettings} settings - Guild settings
+     * @returns {Promise<void>}
+     */
+    async handleConfig(interaction, settings) {
+        if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Insufficient Permissions',
+                'You need the Manage Server permission to change modmail settings.',
+                'MODMAIL_PERMISSIONS'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        const previousConfig = settings.getModmailConfig();
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const channel = interaction.options.getChannel('channel');
+        const role = interaction.options.getRole('staff_role');
+        const removeRole = interaction.options.getBoolean('remove_role') ?? false;
+        const anonymousReplies = interaction.options.getBoolean('anonymous_replies');
+
+        if (enabled !== null) updates.enabled = enabled;
+        if (channel) updates.channel_id = channel.id;
+        if (anonymousReplies !== null) updates.anonymous_replies = anonymousReplies;
+        if (role) {
+            updates.staff_role_ids = removeRole
+                ? previousConfig.staff_role_ids.filter(id => id !== role.id)
+                : [...new Set([...previousConfig.staff_role_ids, role.id])];
+        }
+
+        if (Object.keys(updates).length > 0) {
+            await settings.updateModmailConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'modmail_config_updated',
+                null,
+                {
+                    previous_config: previousConfig,
+                    new_config: settings.getModmailConfig()
+                }
+            );
+        }
+
+        const config = settings.getModmailConfig();
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: Object.keys(updates).length > 0 ? '📨 Modmail Configuration Updated' : '📨 Modmail Configuration',
+                fields: [
+                    { name: '⚙️ Status', value: config.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+                    { name: '📢 Staff Channel', value: config.channel_id ? `<#${config.channel_id}>` : 'Not set', inline: true },
+                    { name: '🕶️ Default Replies', value: config.anonymous_replies ? 'Anonymous' : 'Signed', inline: true },
+                    {
+                        name: '👥 Notified Roles',
+                        value: config.staff_role_ids.length > 0 ? config.staff_role_ids.map(id => `<@&${id}>`).join(', ') : 'None',
+                        inline: false
+                    }
+                ],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Modmail',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    }
+};
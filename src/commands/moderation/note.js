@@ -0,0 +1,170 @@
+/**
+ * Note Command for GrowmiesNJ Discord Bot
+ *
+ * Private staff notes on members, stored as NOTE moderation cases
+ * Notes are never sent to the member, cannot be appealed and do not count towards escalation
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const { Op } = require('sequelize');
+const ModerationService = require('../../services/moderationService');
+const { ModerationCase } = require('../../database/models/ModerationCase');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+// Notes listed per member
+const NOTE_LIST_LIMIT = 10;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('note')
+        .setDescription('Add or view private staff notes on a member')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add a private note to a member\'s record')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member the note is about')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('text')
+                        .setDescription('Note text (minimum 10 characters)')
+                        .setRequired(true)
+                        .setMinLength(10)
+                        .setMaxLength(1000)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List private notes on a member')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to list notes for')
+                        .setRequired(true)
+                )
+                .addBooleanOption(option =>
+                    option.setName('include_closed')
+                        .setDescription('Include notes that were closed with /case close')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            const targetUser = interaction.options.getUser('user');
+
+            console.log(`🗒️ Note ${subcommand} executed by ${interaction.user.tag} for ${targetUser.tag}`);
+
+            if (subcommand === 'list') {
+                return await this.handleList(interaction, targetUser);
+            }
+
+            if (targetUser.bot) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Invalid Target',
+                    'Notes can only be added to members, not bots.'
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
+            const moderationService = new ModerationService();
+            const result = await moderationService.createCase(
+                {
+                    guildId: interaction.guild.id,
+                    targetUserId: targetUser.id,
+                    moderatorId: interaction.user.id,
+                    actionType: 'NOTE',
+                    reason: interaction.options.getString('text'),
+                    metadata: {
+                        staff_note: true
+                    }
+                },
+                interaction.guild,
+                interaction.member
+            );
+
+            await interaction.editReply({
+                embeds: [{
+                    color: BRAND_COLORS.SUCCESS,
+                    title: '🗒️ Note Added',
+                    description: `Private note recorded for ${targetUser.tag}. The member has not been notified.`,
+                    fields: [
+                        { name: '📋 Case Number', value: result.case.case_number, inline: true },
+                        { name: '👤 Member', value: `<@${targetUser.id}>`, inline: true }
+                    ],
+                    footer: {
+                        text: 'Growmies NJ Cannabis Community • Staff Notes'
+                    },
+                    timestamp: new Date().toISOString()
+                }]
+            });
+
+        } catch (error) {
+            console.error(`❌ Error in note ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Note Command Failed',
+                error.message.includes('Missing required permissions')
+                    ? 'You do not have the required permissions to manage staff notes.'
+                    : 'An error occurred while processing the note. Please try again or contact an administrator.',
+                'NOTE_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send note error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * List a member's notes, newest first
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {User} targetUser - Member the notes are about
+     * @returns {Promise<void>}
+     */
+    async handleList(interaction, targetUser) {
+        const includeClosed = interaction.options.getBoolean('include_closed') ?? false;
+
+        const notes = await ModerationCase.findAll({
+            where: {
+                guild_id: interaction.guild.id,
+                target_user_id: targetUser.id,
+                action_type: 'NOTE',
+                ...(!includeClosed && { active: true }),
+                // Automated notes (AutoMod, purges) are listed by /case history instead
+                moderator_id: { [Op.ne]: interaction.client.user.id }
+            },
+            order: [['created_at', 'DESC']],
+            limit: NOTE_LIST_LIMIT
+        });
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.INFO,
+                title: `🗒️ Staff Notes • ${targetUser.tag}`,
+                description: notes.length > 0
+                    ? `Showing the ${notes.length} most recent note${notes.length !== 1 ? 's' : ''}. Use \`/trust dossier\` for the member's full standing.`
+                    : '📭 No staff notes recorded for this member.',
+                fields: notes.map(note => ({
+                    name: `${note.active ? '' : '🔒 '}${note.case_number}`,
+                    value: `👮 <@${note.moderator_id}> • <t:${Math.floor(new Date(note.created_at).getTime() / 1000)}:R>\n${note.reason.length > 900 ? `${note.reason.slice(0, 900)}…` : note.reason}`,
+                    inline: false
+                })),
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Staff Notes'
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    }
+};
@@ -3,10 +3,14 @@
  * 
  * Bulk deletes messages with cannabis compliance tracking and comprehensive audit logging
  * Integrates with existing moderation service and evidence preservation
+ * Preserved messages are stored as an HTML/JSON transcript in the evidence store
  */
 
 const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
 const ModerationService = require('../../services/moderationService');
+const { modLogService, MODLOG_EVENTS } = require('../../services/modLog');
+const { evidenceStoreService } = require('../../services/evidenceStore');
+const { AuditLog } = require('../../database/models/AuditLog');
 const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
 
 module.exports = {
@@ -126,33 +130,7 @@ module.exports = {
                     if (includeMessage) {
                         // Preserve message data if evidence preservation is enabled
                         if (preserveEvidence) {
-                            const messageData = {
-                                id: message.id,
-                                content: message.content,
-                                author: {
-                                    id: message.author.id,
-                                    username: message.author.username,
-                                    discriminator: message.author.discriminator,
-                                    bot: message.author.bot,
-                                    avatarURL: message.author.displayAvatarURL({ dynamic: true })
-                                },
-                                createdTimestamp: message.createdTimestamp,
-                                editedTimestamp: message.editedTimestamp,
-                                attachments: message.attachments.map(att => ({
-                                    id: att.id,
-                                    name: att.name,
-                                    url: att.url,
-                                    size: att.size,
-                                    contentType: att.contentType
-                                })),
-                                embeds: message.embeds.length,
-                                reactions: message.reactions.cache.size,
-                                pinned: message.pinned,
-                                type: message.type,
-                                channelId: message.channel.id,
-                                guildId: message.guild.id
-                            };
-                            preservedMessages.push(messageData);
+                            preservedMessages.push(evidenceStoreService.describeMessage(message));
                         }
 
                         messagesToDelete.push(message);
@@ -226,46 +204,104 @@ module.exports = {
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
-            // Initialize moderation service
-            const moderationService = new ModerationService();
+            // Moderation cases need a target, so only user-filtered purges open one
+            let moderationCase = null;
+            let complianceFlags = null;
+            let transcriptNumber = null;
+            if (targetUser) {
+                try {
+                    const moderationService = new ModerationService();
+                    const result = await moderationService.createCase(
+                        {
+                            guildId: interaction.guild.id,
+                            targetUserId: targetUser.id,
+                            moderatorId: interaction.user.id,
+                            actionType: 'NOTE',
+                            reason: reason,
+                            ...(preserveEvidence && preservedMessages.length > 0 && {
+                                transcript: {
+                                    source: 'purge',
+                                    channelId: interaction.channel.id,
+                                    messages: preservedMessages
+                                }
+                            }),
+                            metadata: {
+                                purge: {
+                                    channel_id: interaction.channel.id,
+                                    messages_deleted: deletedCount,
+                                    messages_analyzed: messagesAnalyzed,
+                                    educational: isEducational
+                                }
+                            },
+                            cannabisFlags: {
+                                educationalViolation: isEducational
+                            }
+                        },
+                        interaction.guild,
+                        interaction.member
+                    );
+                    moderationCase = result.case;
+                    complianceFlags = result.cannabisCompliance;
+                    transcriptNumber = moderationCase.metadata.evidence_transcript?.transcript_number || null;
+                } catch (caseError) {
+                    // Purge was already completed, so we continue but log the issue
+                    console.error('Failed to create moderation case after purge completed:', caseError.message);
+                }
+            }
 
-            // Prepare case data with cannabis compliance flags
-            const caseData = {
-                guildId: interaction.guild.id,
-                targetUserId: targetUser?.id || null,
-                moderatorId: interaction.user.id,
-                actionType: isEducational ? 'EDUCATIONAL_PURGE' : 'PURGE',
-                reason: reason,
-                channelId: interaction.channel.id,
-                messagesDeleted: deletedCount,
-                messagesAnalyzed: messagesAnalyzed,
-                evidence: preserveEvidence ? JSON.stringify(preservedMessages) : null,
-                filterCriteria: {
-                    targetUser: targetUser?.id || null,
-                    botsOnly: botsOnly,
-                    amount: amount
-                },
-                cannabisFlags: {
-                    educationalViolation: isEducational,
-                    ageRelated: false, // Will be auto-detected by service
-                    legalAreaViolation: false // Will be auto-detected by service
+            // Purges without a case (or whose case failed) still keep their transcript
+            if (preserveEvidence && preservedMessages.length > 0 && !transcriptNumber) {
+                try {
+                    const transcript = await evidenceStoreService.createTranscript({
+                        guildId: interaction.guild.id,
+                        source: 'purge',
+                        createdBy: interaction.user.id,
+                        messages: preservedMessages,
+                        caseNumber: moderationCase?.case_number || null,
+                        channelId: interaction.channel.id,
+                        targetUserId: targetUser?.id || null
+                    });
+                    transcriptNumber = transcript.transcript_number;
+                } catch (transcriptError) {
+                    console.error('Failed to store purge transcript:', transcriptError.message);
                 }
-            };
+            }
 
-            // Create moderation case using the service
-            const result = await moderationService.createCase(
-                caseData,
-                interaction.guild,
-                interaction.member
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'message_purge',
+                targetUser?.id || null,
+                {
+                    channel_id: interaction.channel.id,
+                    messages_deleted: deletedCount,
+                    messages_analyzed: messagesAnalyzed,
+                    bots_only: botsOnly,
+                    educational: isEducational,
+                    case_number: moderationCase?.case_number || null,
+                    transcript_number: transcriptNumber,
+                    reason
+                }
             );
 
-            if (!result.success) {
-                console.error('Failed to create moderation case after purge completed');
-                // Purge was already completed, so we continue but log the issue
-            }
-
-            const moderationCase = result.case;
-            const complianceFlags = result.cannabisCompliance;
+            await modLogService.publish(interaction.guild.id, MODLOG_EVENTS.PURGE, {
+                caseNumber: moderationCase?.case_number,
+                actionType: isEducational ? 'Educational Purge' : 'Purge',
+                targetId: targetUser?.id,
+                moderatorId: interaction.user.id,
+                reason,
+                evidence: preserveEvidence
+                    ? [
+                        ...preservedMessages.slice(0, 5).map(message => `${message.author_tag}: ${message.content || '[no text]'}`),
+                        ...(transcriptNumber ? [`Full transcript: ${transcriptNumber} (/evidence transcript)`] : [])
+                    ]
+                    : [],
+                fields: [
+                    { name: '📍 Channel', value: `<#${interaction.channel.id}>`, inline: true },
+                    { name: '🗑️ Messages Deleted', value: `${deletedCount} of ${messagesAnalyzed} analyzed`, inline: true },
+                    { name: '🔍 Filter', value: targetUser ? `From ${targetUser.tag}` : botsOnly ? 'Bots only' : 'All users', inline: true }
+                ]
+            });
 
             // Create success embed with cannabis theming
             const successEmbed = {
@@ -320,8 +356,8 @@ module.exports = {
                 const evidenceSummary = [
                     `**Messages Preserved:** ${preservedMessages.length}`,
                     `**Content Types:** Text, Attachments, Embeds`,
-                    `**Metadata:** Author info, timestamps, reactions`,
-                    `**Storage:** Secure moderation database`
+                    `**Transcript:** ${transcriptNumber ? `${transcriptNumber} (HTML and JSON)` : '⚠️ Could not be stored'}`,
+                    `**Download:** \`/evidence transcript\``
                 ];
 
                 successEmbed.fields.push({
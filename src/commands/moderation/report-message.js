@@ -0,0 +1,73 @@
+/**
+ * Report Message Context Menu for GrowmiesNJ Discord Bot
+ *
+ * Lets members flag a message for staff review; the message is snapshotted when the
+ * report form opens so later edits or deletion don't lose the evidence
+ * Submissions are handled by the reports command, which owns the staff queue
+ */
+
+const {
+    ContextMenuCommandBuilder,
+    ApplicationCommandType,
+    InteractionContextType,
+    ActionRowBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { reportQueueService, REPORT_PREFIX } = require('../../services/reportQueue');
+const { EmbedUtils } = require('../../utils/embeds');
+
+module.exports = {
+    data: new ContextMenuCommandBuilder()
+        .setName('Report Message')
+        .setType(ApplicationCommandType.Message)
+        .setContexts(InteractionContextType.Guild),
+
+    async execute(interaction) {
+        const message = interaction.targetMessage;
+
+        try {
+            console.log(`🚩 Report Message opened by ${interaction.user.tag} for message ${message.id}`);
+
+            await reportQueueService.assertCanReport(interaction.guild, interaction.user, {
+                reportType: 'MESSAGE',
+                targetUser: message.author,
+                messageId: message.id
+            });
+
+            reportQueueService.captureMessage(interaction.user, message);
+
+            const modal = new ModalBuilder()
+                .setCustomId(`${REPORT_PREFIX}:submit:message:${message.id}`)
+                .setTitle('Report Message')
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId('report_reason')
+                            .setLabel('Why are you reporting this message?')
+                            .setStyle(TextInputStyle.Paragraph)
+                            .setMinLength(10)
+                            .setMaxLength(500)
+                            .setRequired(true)
+                    )
+                );
+
+            await interaction.showModal(modal);
+
+        } catch (error) {
+            console.error(`❌ Error opening message report for ${message.id}:`, error.message);
+
+            await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed(
+                    'Unable To Report',
+                    error.message.startsWith('Report')
+                        ? error.message
+                        : 'An error occurred while opening the report form. Please try again or contact a moderator.',
+                    'REPORT_ERROR'
+                )],
+                ephemeral: true
+            });
+        }
+    }
+};
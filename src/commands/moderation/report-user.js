@@ -0,0 +1,69 @@
+/**
+ * Report User Context Menu for GrowmiesNJ Discord Bot
+ *
+ * Lets members flag a user for staff review (e.g. DM harassment or a problem profile)
+ * Submissions are handled by the reports command, which owns the staff queue
+ */
+
+const {
+    ContextMenuCommandBuilder,
+    ApplicationCommandType,
+    InteractionContextType,
+    ActionRowBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { reportQueueService, REPORT_PREFIX } = require('../../services/reportQueue');
+const { EmbedUtils } = require('../../utils/embeds');
+
+module.exports = {
+    data: new ContextMenuCommandBuilder()
+        .setName('Report User')
+        .setType(ApplicationCommandType.User)
+        .setContexts(InteractionContextType.Guild),
+
+    async execute(interaction) {
+        const targetUser = interaction.targetUser;
+
+        try {
+            console.log(`🚩 Report User opened by ${interaction.user.tag} for ${targetUser.tag}`);
+
+            await reportQueueService.assertCanReport(interaction.guild, interaction.user, {
+                reportType: 'USER',
+                targetUser
+            });
+
+            const modal = new ModalBuilder()
+                .setCustomId(`${REPORT_PREFIX}:submit:user:${targetUser.id}`)
+                .setTitle(`Report ${targetUser.username}`.slice(0, 45))
+                .addComponents(
+                    new ActionRowBuilder().addComponents(
+                        new TextInputBuilder()
+                            .setCustomId('report_reason')
+                            .setLabel('What is the problem with this user?')
+                            .setStyle(TextInputStyle.Paragraph)
+                            .setMinLength(10)
+                            .setMaxLength(500)
+                            .setRequired(true)
+                    )
+                );
+
+            await interaction.showModal(modal);
+
+        } catch (error) {
+            console.error(`❌ Error opening user report for ${targetUser.id}:`, error.message);
+
+            await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed(
+                    'Unable To Report',
+                    error.message.startsWith('Report')
+                        ? error.message
+                        : 'An error occurred while opening the report form. Please try again or contact a moderator.',
+                    'REPORT_ERROR'
+                )],
+                ephemeral: true
+            });
+        }
+    }
+};
@@ -0,0 +1,452 @@
+/**
+ * Reports Command for GrowmiesNJ Discord Bot
+ *
+ * Staff side of member reports: configure the report queue, list open reports and
+ * handle report submissions and the Claim/Dismiss/Escalate queue buttons
+ * Members file reports with the "Report Message" and "Report User" context menus
+ */
+
+const {
+    SlashCommandBuilder,
+    PermissionFlagsBits,
+    InteractionContextType,
+    ChannelType,
+    ActionRowBuilder,
+    ModalBuilder,
+    TextInputBuilder,
+    TextInputStyle
+} = require('discord.js');
+const { GuildSettings, REPORT_RATE_LIMITS } = require('../../database/models/GuildSettings');
+const { MemberReport } = require('../../database/models/MemberReport');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { reportQueueService, REPORT_PREFIX, REPORT_CASE_ACTIONS } = require('../../services/reportQueue');
+const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+
+// Open reports listed by /reports queue
+const QUEUE_LIST_LIMIT = 10;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('reports')
+        .setDescription('Review member reports and configure the report queue')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('queue')
+                .setDescription('List reports waiting for staff review')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('Change report settings (requires Manage Server)')
+                .addBooleanOption(option =>
+                    option.setName('enabled')
+                        .setDescription('Whether members can file reports')
+                        .setRequired(false)
+                )
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Staff channel where reports are queued')
+                        .setRequired(false)
+                        .addChannelTypes(ChannelType.GuildText)
+                )
+                .addIntegerOption(option =>
+                    option.setName('max_per_hour')
+                        .setDescription('Reports each member can file per hour')
+                        .setRequired(false)
+                        .setMinValue(REPORT_RATE_LIMITS[0])
+                        .setMaxValue(REPORT_RATE_LIMITS[1])
+                )
+                .addBooleanOption(option =>
+                    option.setName('notify_reporter')
+                        .setDescription('DM reporters when their report is reviewed')
+                        .setRequired(false)
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🚩 Reports ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'queue') {
+                return await this.handleQueue(interaction);
+            }
+
+            await this.handleConfig(interaction);
+
+        } catch (error) {
+            console.error(`❌ Error in reports ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Reports Command Failed',
+                error.message.startsWith('Report')
+                    ? error.message
+                    : 'An error occurred while processing the reports command. Please try again or contact an administrator.',
+                'REPORTS_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send reports error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * List open reports, oldest first
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleQueue(interaction) {
+        const reports = await MemberReport.getOpenReports(interaction.guild.id, QUEUE_LIST_LIMIT);
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.WARNING,
+                title: '🚩 Open Member Reports',
+                description: reports.length > 0
+                    ? 'Oldest first. Use the buttons on each report card to claim, dismiss or escalate it.'
+                    : '📭 No reports are waiting for review.',
+                fields: reports.map(report => reportQueueService.buildQueueListField(report)),
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Member Reports'
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Update report settings
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleConfig(interaction) {
+        if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Insufficient Permissions',
+                'You need the Manage Server permission to change report settings.',
+                'REPORTS_PERMISSIONS'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const previousConfig = settings.getReportConfig();
+        const updates = {};
+
+        const enabled = interaction.options.getBoolean('enabled');
+        const channel = interaction.options.getChannel('channel');
+        const maxPerHour = interaction.options.getInteger('max_per_hour');
+        const notifyReporter = interaction.options.getBoolean('notify_reporter');
+
+        if (enabled !== null) updates.enabled = enabled;
+        if (channel) updates.channel_id = channel.id;
+        if (maxPerHour !== null) updates.max_reports_per_hour = maxPerHour;
+        if (notifyReporter !== null) updates.notify_reporter = notifyReporter;
+
+        if (Object.keys(updates).length > 0) {
+            await settings.updateReportConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'report_config_updated',
+                null,
+                {
+                    previous_config: previousConfig,
+                    new_config: settings.getReportConfig()
+                }
+            );
+        }
+
+        const config = settings.getReportConfig();
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: Object.keys(updates).length > 0 ? '🚩 Report Configuration Updated' : '🚩 Report Configuration',
+                fields: [
+                    { name: '⚙️ Status', value: config.enabled ? '✅ Enabled' : '❌ Disabled', inline: true },
+                    { name: '📢 Queue Channel', value: config.channel_id ? `<#${config.channel_id}>` : 'Not set (reports are refused)', inline: true },
+                    { name: '⏱️ Limit', value: `${config.max_reports_per_hour} reports per member per hour`, inline: true },
+                    { name: '📨 Reporter Feedback', value: config.notify_reporter ? 'Reporters are told when their report is reviewed' : 'Off', inline: false }
+                ],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Member Reports',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Handle Claim/Dismiss/Escalate buttons on a report queue card
+     * @param {ButtonInteraction} interaction - Button interaction
+     */
+    async handleButton(interaction) {
+        const [, action, reportId] = interaction.customId.split(':');
+
+        if (!interaction.inGuild() || !interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+            return await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed('Insufficient Permissions', 'Only moderators can review reports.')],
+                ephemeral: true
+            });
+        }
+
+        const report = await MemberReport.findByPk(reportId);
+        if (!report || report.guild_id !== interaction.guild.id) {
+            return await interaction.reply({
+                embeds: [EmbedUtils.createErrorEmbed('Report Not Found', 'This report no longer exists.', 'REPORT_NOT_FOUND')],
+                ephemeral: true
+            });
+        }
+
+        // Escalation collects case details first; the case is created when the form is submitted
+        if (action === 'escalate') {
+            if (!report.isOpen()) {
+                return await interaction.reply({
+                    embeds: [EmbedUtils.createErrorEmbed('Report Closed', `Report ${report.report_number} has already been ${report.status.toLowerCase()}.`, 'REPORT_CLOSED')],
+                    ephemeral: true
+                });
+            }
+            return await interaction.showModal(this.createEscalationModal(report));
+        }
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            if (action === 'claim') {
+                await reportQueueService.claimReport(report, interaction.member);
+                return await interaction.editReply({
+                    embeds: [EmbedUtils.createSuccessEmbed('Report Claimed', `You are now reviewing report ${report.report_number}.`)]
+                });
+            }
+
+            if (action === 'dismiss') {
+                const { reporterNotified } = await reportQueueService.dismissReport(report, interaction.member);
+                return await interaction.editReply({
+                    embeds: [EmbedUtils.createSuccessEmbed(
+                        'Report Dismissed',
+                        `Report ${report.report_number} was dismissed.${reporterNotified ? ' The reporter has been notified.' : ''}`
+                    )]
+                });
+            }
+
+        } catch (error) {
+            console.error(`❌ Error handling report button ${interaction.customId}:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Report Review Failed',
+                error.message.startsWith('Report')
+                    ? error.message
+                    : 'An error occurred while updating the report. Please try again.',
+                'REPORT_REVIEW_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send report button error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Handle report submission and escalation modals
+     * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+     */
+    async handleModal(interaction) {
+        const [, action, ...args] = interaction.customId.split(':');
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            if (action === 'submit') {
+                await this.handleSubmission(interaction, args[0], args[1]);
+            } else if (action === 'case') {
+                await this.handleEscalation(interaction, args[0]);
+            }
+
+        } catch (error) {
+            console.error(`❌ Error handling report modal ${interaction.customId}:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                action === 'case' ? 'Escalation Failed' : 'Report Not Sent',
+                this.getUserFacingError(error),
+                'REPORT_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send report modal error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * File a member's report and confirm it to them
+     * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+     * @param {string} type - 'message' or 'user'
+     * @param {string} targetId - Reported message or user ID
+     */
+    async handleSubmission(interaction, type, targetId) {
+        const reason = interaction.fields.getTextInputValue('report_reason').trim();
+
+        let snapshot = null;
+        let targetUser;
+        if (type === 'message') {
+            snapshot = reportQueueService.takeSnapshot(interaction.user.id, targetId);
+            if (!snapshot) {
+                // The form sat open past the snapshot window; capture the message again if it still exists
+                const message = await interaction.channel?.messages.fetch(targetId).catch(() => null);
+                if (!message) {
+                    throw new Error('Report could not be filed because the message is no longer available. Please report the user instead.');
+                }
+                reportQueueService.captureMessage(interaction.user, message);
+                snapshot = reportQueueService.takeSnapshot(interaction.user.id, targetId);
+            }
+            targetUser = await interaction.client.users.fetch(snapshot.author_id);
+        } else {
+            targetUser = await interaction.client.users.fetch(targetId);
+        }
+
+        const report = await reportQueueService.submitReport(interaction.guild, interaction.user, {
+            reportType: type === 'message' ? 'MESSAGE' : 'USER',
+            targetUser,
+            snapshot,
+            reason
+        });
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: '🚩 Report Sent',
+                description: `Thank you. Report **${report.report_number}** has been sent to the moderation team.`,
+                fields: [
+                    {
+                        name: '📨 What Happens Next',
+                        value: 'Staff will review your report privately. The reported member is not told who reported them.',
+                        inline: false
+                    }
+                ],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Member Reports'
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    },
+
+    /**
+     * Create a moderation case from the escalation form
+     * @param {ModalSubmitInteraction} interaction - Modal submit interaction
+     * @param {string} reportId - Report being escalated
+     */
+    async handleEscalation(interaction, reportId) {
+        const report = await MemberReport.findByPk(reportId);
+        if (!report || report.guild_id !== interaction.guild.id) {
+            throw new Error('Report not found');
+        }
+
+        const actionType = interaction.fields.getTextInputValue('action_type').trim().toUpperCase();
+        if (!REPORT_CASE_ACTIONS.includes(actionType)) {
+            throw new Error(`Report escalation action must be one of ${REPORT_CASE_ACTIONS.join(', ')}`);
+        }
+
+        const duration = interaction.fields.getTextInputValue('duration').trim();
+        const { result, reporterNotified } = await reportQueueService.escalateReport(report, interaction.member, {
+            actionType,
+            reason: interaction.fields.getTextInputValue('case_reason').trim(),
+            duration: duration || undefined
+        });
+
+        const discordActionText = result.discordAction.success
+            ? '✅ Applied'
+            : `⚠️ ${result.discordAction.error || 'Not applied'}`;
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: '⚖️ Report Escalated',
+                fields: [
+                    { name: '🚩 Report', value: report.report_number, inline: true },
+                    { name: '📋 Case Number', value: result.case.case_number, inline: true },
+                    { name: '⚖️ Discord Action', value: discordActionText, inline: true },
+                    { name: '📨 Reporter Notified', value: reporterNotified ? '✅ Yes' : '❌ No', inline: true }
+                ],
+                timestamp: new Date().toISOString()
+            }]
+        });
+
+        console.log(`✅ Report ${report.report_number} escalated to case ${result.case.case_number} by ${interaction.user.tag}`);
+    },
+
+    /**
+     * Build the escalation form, pre-filled from the report
+     * @param {MemberReport} report - Report being escalated
+     * @returns {ModalBuilder} - Escalation modal
+     */
+    createEscalationModal(report) {
+        const defaults = reportQueueService.getCaseDefaults(report);
+
+        return new ModalBuilder()
+            .setCustomId(`${REPORT_PREFIX}:case:${report.id}`)
+            .setTitle(`Escalate ${report.report_number}`)
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('action_type')
+                        .setLabel(`Action (${REPORT_CASE_ACTIONS.join(', ')})`)
+                        .setStyle(TextInputStyle.Short)
+                        .setValue(defaults.actionType)
+                        .setMaxLength(10)
+                        .setRequired(true)
+                ),
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('case_reason')
+                        .setLabel('Case reason')
+                        .setStyle(TextInputStyle.Paragraph)
+                        .setValue(defaults.reason)
+                        .setMinLength(10)
+                        .setMaxLength(1000)
+                        .setRequired(true)
+                ),
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('duration')
+                        .setLabel('Duration for timeouts and temp bans')
+                        .setPlaceholder('e.g. 1h, 7d')
+                        .setStyle(TextInputStyle.Short)
+                        .setMaxLength(10)
+                        .setRequired(false)
+                )
+            );
+    },
+
+    /**
+     * Map an error to a message safe to show the user
+     * @param {Error} error - Error thrown while handling a report form
+     * @returns {string} - User-facing message
+     */
+    getUserFacingError(error) {
+        if (error.message.startsWith('Report')) {
+            return error.message;
+        }
+        if (error.message.startsWith('Validation error') || /duration/i.test(error.message)) {
+            return error.message;
+        }
+        if (error.message.includes('Missing required permissions')) {
+            return 'You do not have the required permissions for this moderation action.';
+        }
+        return 'An error occurred while processing the report. Please try again or contact an administrator.';
+    }
+};
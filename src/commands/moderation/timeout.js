@@ -7,6 +7,7 @@
 
 const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
 const ModerationService = require('../../services/moderationService');
+const { messageLogService } = require('../../services/messageLog');
 const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
 
 // Duration parsing utility
@@ -88,6 +89,12 @@ module.exports = {
             option.setName('dm_user')
                 .setDescription('Send a private message to the user about the timeout (default: true)')
                 .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('message_ids')
+                .setDescription('IDs of logged edited/deleted messages to attach as evidence (comma separated)')
+                .setRequired(false)
+                .setMaxLength(250)
         ),
 
     async execute(interaction) {
@@ -99,6 +106,7 @@ module.exports = {
             const reason = interaction.options.getString('reason');
             const isEducational = interaction.options.getBoolean('educational') ?? false;
             const shouldDM = interaction.options.getBoolean('dm_user') ?? true;
+            const messageIdsInput = interaction.options.getString('message_ids');
 
             console.log(`🌿 Timeout command executed by ${interaction.user.tag} targeting ${targetUser.tag}`);
 
@@ -168,6 +176,16 @@ module.exports = {
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
+            // Attach logged edits/deletions referenced by message ID
+            const messageEvidence = await messageLogService.findEvidence(interaction.guild.id, messageIdsInput);
+            if (messageEvidence.error) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Evidence Not Found',
+                    messageEvidence.error
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
             // Calculate timeout end time
             const timeoutUntil = new Date(Date.now() + duration.milliseconds);
 
@@ -191,10 +209,10 @@ module.exports = {
                 guildId: interaction.guild.id,
                 targetUserId: targetUser.id,
                 moderatorId: interaction.user.id,
-                actionType: isEducational ? 'EDUCATIONAL_TIMEOUT' : 'TIMEOUT',
+                actionType: 'TIMEOUT',
                 reason: reason,
-                duration: duration.milliseconds,
-                expiresAt: timeoutUntil,
+                ...(messageEvidence.messageIds.length > 0 && { evidenceMessageIds: messageEvidence.messageIds }),
+                duration: duration.readable,
                 cannabisFlags: {
                     educationalViolation: isEducational,
                     ageRelated: false, // Will be auto-detected by service
@@ -0,0 +1,271 @@
+/**
+ * Trust Command for GrowmiesNJ Discord Bot
+ *
+ * Staff Member Dossier with the computed trust score, and configuration of the
+ * trust gates used for gifting and posting links
+ */
+
+const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
+const { GuildSettings, TRUST_SCORE_RANGE } = require('../../database/models/GuildSettings');
+const { MemberReport } = require('../../database/models/MemberReport');
+const { ModmailTicket } = require('../../database/models/ModmailTicket');
+const { AuditLog } = require('../../database/models/AuditLog');
+const { trustScoreService } = require('../../services/trustScore');
+const { EmbedUtils, BRAND_COLORS, MODERATION_ACTION_LABELS } = require('../../utils/embeds');
+
+// Recent cases and notes shown in the dossier
+const DOSSIER_RECENT_LIMIT = 3;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('trust')
+        .setDescription('View member dossiers and configure trust score gates')
+        .setContexts(InteractionContextType.Guild)
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('dossier')
+                .setDescription('View a member\'s trust score, history and notes')
+                .addUserOption(option =>
+                    option.setName('user')
+                        .setDescription('Member to look up')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('config')
+                .setDescription('Change trust score gates (requires Manage Server, 0 disables a gate)')
+                .addIntegerOption(option =>
+                    option.setName('gift_min_score')
+                        .setDescription('Minimum trust score to send gifts')
+                        .setRequired(false)
+                        .setMinValue(TRUST_SCORE_RANGE[0])
+                        .setMaxValue(TRUST_SCORE_RANGE[1])
+                )
+                .addIntegerOption(option =>
+                    option.setName('link_min_score')
+                        .setDescription('Minimum trust score to post links')
+                        .setRequired(false)
+                        .setMinValue(TRUST_SCORE_RANGE[0])
+                        .setMaxValue(TRUST_SCORE_RANGE[1])
+                )
+        ),
+
+    async execute(interaction) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            await interaction.deferReply({ ephemeral: true });
+
+            console.log(`🛡️ Trust ${subcommand} executed by ${interaction.user.tag}`);
+
+            if (subcommand === 'dossier') {
+                return await this.handleDossier(interaction);
+            }
+
+            await this.handleConfig(interaction);
+
+        } catch (error) {
+            console.error(`❌ Error in trust ${subcommand} command:`, error);
+
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Trust Command Failed',
+                error.message.startsWith('Trust')
+                    ? error.message
+                    : 'An error occurred while processing the trust command. Please try again or contact an administrator.',
+                'TRUST_ERROR'
+            );
+
+            try {
+                await interaction.editReply({ embeds: [errorEmbed] });
+            } catch (followUpError) {
+                console.error('❌ Failed to send trust error response:', followUpError);
+            }
+        }
+    },
+
+    /**
+     * Show the Member Dossier
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleDossier(interaction) {
+        const targetUser = interaction.options.getUser('user');
+        const guildId = interaction.guild.id;
+
+        const [trust, member, reports, tickets] = await Promise.all([
+            trustScoreService.getTrustScore(guildId, targetUser.id, { fresh: true }),
+            interaction.guild.members.fetch(targetUser.id).catch(() => null),
+            MemberReport.findAll({ where: { guild_id: guildId, target_user_id: targetUser.id } }),
+            ModmailTicket.getTicketsForUser(guildId, targetUser.id)
+        ]);
+
+        await interaction.editReply({
+            embeds: [this.createDossierEmbed(interaction, targetUser, member, trust, reports, tickets)]
+        });
+    },
+
+    /**
+     * Build the Member Dossier embed
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @param {User} targetUser - Member being looked up
+     * @param {GuildMember|null} member - Guild member, if still in the server
+     * @param {Object} trust - Result of TrustScoreService.getTrustScore
+     * @param {MemberReport[]} reports - Reports filed against the member
+     * @param {ModmailTicket[]} tickets - Member's modmail tickets
+     * @returns {Object} - Embed data
+     */
+    createDossierEmbed(interaction, targetUser, member, trust, reports, tickets) {
+        const { user, cases } = trust;
+        const botId = interaction.client.user.id;
+        const staffNotes = cases.filter(c => c.action_type === 'NOTE' && c.moderator_id !== botId);
+        const actionCases = cases.filter(c => c.action_type !== 'NOTE');
+        const timestamp = (date) => `<t:${Math.floor(new Date(date).getTime() / 1000)}:R>`;
+
+        const caseCounts = Object.entries(
+            actionCases.reduce((counts, c) => ({ ...counts, [c.action_type]: (counts[c.action_type] || 0) + 1 }), {})
+        ).map(([type, count]) => `${MODERATION_ACTION_LABELS[type] || type} ×${count}`);
+
+        const fields = [
+            {
+                name: '🛡️ Trust Score',
+                value: `**${trust.score}/100** • ${trust.band.label}`,
+                inline: false
+            },
+            {
+                name: '📊 Breakdown',
+                value: trust.components
+                    .map(component => `${component.label}: **${Math.round(component.points)}/${component.max}** — ${component.detail}`)
+                    .join('\n'),
+                inline: false
+            },
+            {
+                name: '👤 Member',
+                value: [
+                    `**Account Created:** ${timestamp(targetUser.createdTimestamp)}`,
+                    `**Joined Server:** ${member?.joinedTimestamp ? timestamp(member.joinedTimestamp) : 'Not a member'}`,
+                    `**Verification:** ${user?.verification_status || 'no record'}${user?.verified_at ? ` (${timestamp(user.verified_at)})` : ''}`
+                ].join('\n'),
+                inline: true
+            },
+            {
+                name: '🌱 Leveling',
+                value: user
+                    ? `**Level:** ${user.current_level} (${user.level_tier})\n**XP:** ${user.total_xp.toLocaleString()}\n**Messages:** ${user.messages_count.toLocaleString()}`
+                    : 'No activity recorded',
+                inline: true
+            },
+            {
+                name: '📋 Moderation Cases',
+                value: actionCases.length > 0
+                    ? [
+                        caseCounts.join(' • '),
+                        ...actionCases.slice(0, DOSSIER_RECENT_LIMIT).map(c =>
+                            `• ${c.case_number} — ${MODERATION_ACTION_LABELS[c.action_type] || c.action_type}${c.active ? '' : ' (closed)'} ${timestamp(c.created_at)}`
+                        )
+                    ].join('\n')
+                    : 'None',
+                inline: false
+            },
+            {
+                name: '🗒️ Staff Notes',
+                value: staffNotes.length > 0
+                    ? staffNotes.slice(0, DOSSIER_RECENT_LIMIT)
+                        .map(note => `• <@${note.moderator_id}> ${timestamp(note.created_at)}: ${note.reason.length > 150 ? `${note.reason.slice(0, 150)}…` : note.reason}`)
+                        .join('\n')
+                        .slice(0, 1024)
+                    : 'None',
+                inline: false
+            },
+            {
+                name: '📁 Other Records',
+                value: [
+                    `**Reports Against:** ${reports.length} (${reports.filter(r => r.isOpen()).length} open, ${reports.filter(r => r.status === 'ESCALATED').length} escalated)`,
+                    `**Modmail Tickets:** ${tickets.length}`
+                ].join('\n'),
+                inline: false
+            }
+        ];
+
+        if (trust.flags.length > 0) {
+            fields.push({
+                name: '⚠️ Economy Anomalies',
+                value: trust.flags.map(flag => `• ${flag}`).join('\n'),
+                inline: false
+            });
+        }
+
+        return {
+            color: trust.band.color,
+            title: `🗂️ Member Dossier • ${targetUser.tag}`,
+            thumbnail: { url: targetUser.displayAvatarURL() },
+            fields,
+            footer: {
+                text: 'Growmies NJ Cannabis Community • Staff Only',
+                iconURL: interaction.guild.iconURL({ dynamic: true })
+            },
+            timestamp: new Date().toISOString()
+        };
+    },
+
+    /**
+     * Update trust gate settings
+     * @param {ChatInputCommandInteraction} interaction - Command interaction
+     * @returns {Promise<void>}
+     */
+    async handleConfig(interaction) {
+        if (!interaction.memberPermissions.has(PermissionFlagsBits.ManageGuild)) {
+            const errorEmbed = EmbedUtils.createErrorEmbed(
+                'Insufficient Permissions',
+                'You need the Manage Server permission to change trust gates.',
+                'TRUST_PERMISSIONS'
+            );
+            return await interaction.editReply({ embeds: [errorEmbed] });
+        }
+
+        const settings = await GuildSettings.findByGuildId(interaction.guild.id);
+        const previousConfig = settings.getTrustConfig();
+        const updates = {};
+
+        const giftMinScore = interaction.options.getInteger('gift_min_score');
+        const linkMinScore = interaction.options.getInteger('link_min_score');
+
+        if (giftMinScore !== null) updates.gift_min_score = giftMinScore;
+        if (linkMinScore !== null) updates.link_min_score = linkMinScore;
+
+        if (Object.keys(updates).length > 0) {
+            await settings.updateTrustConfig(updates);
+
+            await AuditLog.logAdminAction(
+                interaction.user.id,
+                interaction.guild.id,
+                'trust_config_updated',
+                null,
+                {
+                    previous_config: previousConfig,
+                    new_config: settings.getTrustConfig()
+                }
+            );
+        }
+
+        const config = settings.getTrustConfig();
+        const describeGate = (score) => score > 0 ? `Score **${score}+** required` : 'Disabled';
+
+        await interaction.editReply({
+            embeds: [{
+                color: BRAND_COLORS.SUCCESS,
+                title: Object.keys(updates).length > 0 ? '🛡️ Trust Gates Updated' : '🛡️ Trust Gates',
+                fields: [
+                    { name: '🎁 Gifting', value: describeGate(config.gift_min_score), inline: true },
+                    { name: '🔗 Posting Links', value: `${describeGate(config.link_min_score)}\nStaff with Manage Messages are exempt`, inline: true }
+                ],
+                footer: {
+                    text: 'Growmies NJ Cannabis Community • Trust Score',
+                    iconURL: interaction.guild.iconURL({ dynamic: true })
+                },
+                timestamp: new Date().toISOString()
+            }]
+        });
+    }
+};
@@ -7,7 +7,8 @@
 
 const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
 const ModerationService = require('../../services/moderationService');
-const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
+const { reverificationService } = require('../../services/reverification');
+const { EmbedUtils, ModerationEmbeds, BRAND_COLORS } = require('../../utils/embeds');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -145,94 +146,32 @@ module.exports = {
             const moderationCase = result.case;
             const complianceFlags = result.cannabisCompliance;
 
+            // Revoke the stored verification so returning members must verify again instead of having roles restored
+            let verificationRevoked = false;
+            if (requireReverification) {
+                try {
+                    verificationRevoked = await reverificationService.requireReverification(interaction.guild, targetUser.id, {
+                        actorId: interaction.user.id,
+                        source: 'unban',
+                        reason: `Unbanned with re-verification required${moderationCase?.case_number ? ` | Case: ${moderationCase.case_number}` : ''}`,
+                        caseNumber: moderationCase?.case_number || null
+                    });
+                } catch (reverificationError) {
+                    console.error('❌ Failed to require re-verification after unban:', reverificationError);
+                }
+            }
+
             // Send DM to user about the unban
             let dmResult = null;
             if (shouldDM) {
                 try {
-                    const dmEmbed = {
-                        color: BRAND_COLORS.SUCCESS,
-                        title: '🎉 Your Ban Has Been Lifted - GrowmiesNJ',
-                        description: `Your ban from **${interaction.guild.name}** has been removed. You may now rejoin the server.`,
-                        fields: [
-                            {
-                                name: '📝 Unban Reason',
-                                value: reason,
-                                inline: false
-                            },
-                            {
-                                name: '👮 Unbanned By',
-                                value: interaction.user.tag,
-                                inline: true
-                            },
-                            {
-                                name: '📅 Date',
-                                value: `<t:${Math.floor(Date.now() / 1000)}:F>`,
-                                inline: true
-                            }
-                        ],
-                        footer: {
-                            text: 'Welcome back! Please review community guidelines before rejoining.'
-                        },
-                        timestamp: new Date().toISOString()
-                    };
-
-                    // Add original ban information
-                    if (originalBanReason && originalBanReason !== 'No reason provided') {
-                        dmEmbed.fields.push({
-                            name: '📋 Original Ban Reason',
-                            value: originalBanReason,
-                            inline: false
-                        });
-                    }
-
-                    // Add conditions if specified
-                    if (conditions) {
-                        dmEmbed.fields.push({
-                            name: '⚠️ Special Conditions',
-                            value: conditions,
-                            inline: false
-                        });
-                    }
-
-                    // Add cannabis compliance re-verification requirements
-                    if (requireReverification) {
-                        dmEmbed.fields.push({
-                            name: '🌿 Cannabis Compliance Re-Verification Required',
-                            value: [
-                                '🔞 **Age Verification:** You must re-verify you are 21+ years old',
-                                '📚 **Community Guidelines:** Review updated cannabis community guidelines',
-                                '⚖️ **Legal Compliance:** Acknowledge New Jersey cannabis laws and regulations',
-                                '🎓 **Educational Focus:** Confirm understanding of educational-only discussions',
-                                '🤝 **Respectful Participation:** Commit to respectful community engagement'
-                            ].join('\n'),
-                            inline: false
-                        });
-
-                        dmEmbed.fields.push({
-                            name: '📋 Re-Verification Process',
-                            value: [
-                                '1. Rejoin the server using the invite link',
-                                '2. Complete the age verification process in the verification channel',
-                                '3. Read and acknowledge the updated community guidelines',
-                                '4. Access will be restored once verification is complete',
-                                '5. Contact staff if you experience any issues'
-                            ].join('\n'),
-                            inline: false
-                        });
-                    }
-
-                    // Add community guidelines reminder
-                    dmEmbed.fields.push({
-                        name: '🌿 Community Guidelines Reminder',
-                        value: [
-                            '• Cannabis discussions are for educational purposes only',
-                            '• All participants must be 21+ and verified',
-                            '• No medical advice or commercial transactions',
-                            '• Follow all New Jersey state laws and regulations',
-                            '• Maintain respectful and responsible participation',
-                            '• Report any violations to server staff immediately'
-                        ].join('\n'),
-                        inline: false
+                    const dmEmbed = ModerationEmbeds.createUnbanNoticeEmbed({
+                        guildName: interaction.guild.name,
+                        reason,
+                        unbannedBy: interaction.user.tag,
+                        originalBanReason,
+                        conditions,
+                        requireReverification
                     });
 
                     await targetUser.send({ embeds: [dmEmbed] });
@@ -261,7 +200,9 @@ module.exports = {
                     },
                     {
                         name: '🔄 Re-Verification Required',
-                        value: requireReverification ? '✅ Yes' : '❌ No',
+                        value: requireReverification
+                            ? `✅ Yes${verificationRevoked ? ' (previous verification revoked)' : ''}`
+                            : '❌ No',
                         inline: true
                     },
                     {
@@ -7,6 +7,7 @@
 
 const { SlashCommandBuilder, PermissionFlagsBits, InteractionContextType } = require('discord.js');
 const ModerationService = require('../../services/moderationService');
+const { messageLogService } = require('../../services/messageLog');
 const { EmbedUtils, BRAND_COLORS } = require('../../utils/embeds');
 
 module.exports = {
@@ -36,6 +37,12 @@ module.exports = {
             option.setName('dm_user')
                 .setDescription('Send a private message to the user about the warning (default: true)')
                 .setRequired(false)
+        )
+        .addStringOption(option =>
+            option.setName('message_ids')
+                .setDescription('IDs of logged edited/deleted messages to attach as evidence (comma separated)')
+                .setRequired(false)
+                .setMaxLength(250)
         ),
 
     async execute(interaction) {
@@ -46,6 +53,7 @@ module.exports = {
             const reason = interaction.options.getString('reason');
             const isEducational = interaction.options.getBoolean('educational') ?? false;
             const shouldDM = interaction.options.getBoolean('dm_user') ?? true;
+            const messageIdsInput = interaction.options.getString('message_ids');
 
             console.log(`🌿 Warn command executed by ${interaction.user.tag} targeting ${targetUser.tag}`);
 
@@ -87,6 +95,16 @@ module.exports = {
                 return await interaction.editReply({ embeds: [errorEmbed] });
             }
 
+            // Attach logged edits/deletions referenced by message ID
+            const messageEvidence = await messageLogService.findEvidence(interaction.guild.id, messageIdsInput);
+            if (messageEvidence.error) {
+                const errorEmbed = EmbedUtils.createErrorEmbed(
+                    'Evidence Not Found',
+                    messageEvidence.error
+                );
+                return await interaction.editReply({ embeds: [errorEmbed] });
+            }
+
             // Initialize moderation service
             const moderationService = new ModerationService();
 
@@ -97,6 +115,7 @@ module.exports = {
                 moderatorId: interaction.user.id,
                 actionType: isEducational ? 'EDUCATIONAL_WARNING' : 'WARN',
                 reason: reason,
+                ...(messageEvidence.messageIds.length > 0 && { evidenceMessageIds: messageEvidence.messageIds }),
                 cannabisFlags: {
                     educationalViolation: isEducational,
                     ageRelated: false, // Will be auto-detected by service
@@ -117,6 +136,7 @@ module.exports = {
 
             const moderationCase = result.case;
             const complianceFlags = result.cannabisCompliance;
+            const escalation = result.escalation?.escalated ? result.escalation : null;
 
             // Create success embed with cannabis theming
             const successEmbed = {
@@ -166,6 +186,22 @@ module.exports = {
                 });
             }
 
+            // Show any automatic escalation triggered by this warning
+            if (escalation) {
+                const durationText = escalation.rule.duration ? ` (${escalation.rule.duration})` : '';
+                successEmbed.fields.push({
+                    name: '📈 Automatic Escalation',
+                    value: `${escalation.warningCount} warnings within ${escalation.rule.window_days} days → **${escalation.rule.action}${durationText}**\nCase: ${escalation.case.case_number}${escalation.discordAction?.success === false ? '\n⚠️ Discord action failed: ' + escalation.discordAction.error : ''}`,
+                    inline: false
+                });
+            } else if (result.escalation?.error) {
+                successEmbed.fields.push({
+                    name: '📈 Automatic Escalation',
+                    value: `⚠️ Escalation check failed: ${result.escalation.error}`,
+                    inline: false
+                });
+            }
+
             // Send DM to user if requested
             let dmResult = null;
             if (shouldDM) {
@@ -197,6 +233,15 @@ module.exports = {
                         timestamp: new Date().toISOString()
                     };
 
+                    if (escalation) {
+                        const durationText = escalation.rule.duration ? ` for ${escalation.rule.duration}` : '';
+                        dmEmbed.fields.push({
+                            name: '📈 Automatic Escalation',
+                            value: `This is warning ${escalation.warningCount} within ${escalation.rule.window_days} days. An automatic **${escalation.rule.action}**${durationText} has been applied (case ${escalation.case.case_number}).`,
+                            inline: false
+                        });
+                    }
+
                     // Add educational note for cannabis compliance
                     if (isEducational) {
                         dmEmbed.fields.push({
@@ -210,6 +210,23 @@ function initializeAllModels() {
     const { BotStatus, initBotStatusModel } = require('./models/BotStatus');
     const { ModerationCase, initModerationCaseModel } = require('./models/ModerationCase');
     const { LevelingConfig, initLevelingConfigModel } = require('./models/LevelingConfig');
+    const { ScheduledJob, initScheduledJobModel } = require('./models/ScheduledJob');
+    const { ScheduledJobRun, initScheduledJobRunModel } = require('./models/ScheduledJobRun');
+    const { MessageEvidence, initMessageEvidenceModel } = require('./models/MessageEvidence');
+    const { ModmailTicket, initModmailTicketModel } = require('./models/ModmailTicket');
+    const { ModmailMessage, initModmailMessageModel } = require('./models/ModmailMessage');
+    const { MemberReport, initMemberReportModel } = require('./models/MemberReport');
+    const { EvidenceTranscript, initEvidenceTranscriptModel } = require('./models/EvidenceTranscript');
+    const { Lockdown, initLockdownModel } = require('./models/Lockdown');
+    const { VoiceSession, initVoiceSessionModel } = require('./models/VoiceSession');
+    const { ReactionXPAward, initReactionXPAwardModel } = require('./models/ReactionXPAward');
+    const { LevelReward, initLevelRewardModel } = require('./models/LevelReward');
+    const { LevelRewardGrant, initLevelRewardGrantModel } = require('./models/LevelRewardGrant');
+    const { XPBoostEvent, initXPBoostEventModel } = require('./models/XPBoostEvent');
+    const { Economy, initEconomyModel } = require('./models/Economy');
+    const { EconomyTransaction, initEconomyTransactionModel } = require('./models/EconomyTransaction');
+    const { EconomyItem, initEconomyItemModel } = require('./models/EconomyItem');
+    const { UserInventory, initUserInventoryModel } = require('./models/UserInventory');
 
     // Initialize models with sequelize instance
     const UserModel = initUserModel(sequelize);
@@ -219,6 +236,27 @@ function initializeAllModels() {
     const BotStatusModel = initBotStatusModel(sequelize);
     const ModerationCaseModel = initModerationCaseModel(sequelize);
     const LevelingConfigModel = initLevelingConfigModel(sequelize);
+    const ScheduledJobModel = initScheduledJobModel(sequelize);
+    const ScheduledJobRunModel = initScheduledJobRunModel(sequelize);
+    const MessageEvidenceModel = initMessageEvidenceModel(sequelize);
+    const ModmailTicketModel = initModmailTicketModel(sequelize);
+    const ModmailMessageModel = initModmailMessageModel(sequelize);
+    const MemberReportModel = initMemberReportModel(sequelize);
+    const EvidenceTranscriptModel = initEvidenceTranscriptModel(sequelize);
+    const LockdownModel = initLockdownModel(sequelize);
+    const VoiceSessionModel = initVoiceSessionModel(sequelize);
+    const ReactionXPAwardModel = initReactionXPAwardModel(sequelize);
+    const LevelRewardModel = initLevelRewardModel(sequelize);
+    const LevelRewardGrantModel = initLevelRewardGrantModel(sequelize);
+    const XPBoostEventModel = initXPBoostEventModel(sequelize);
+    const EconomyModel = initEconomyModel(sequelize);
+    const EconomyTransactionModel = initEconomyTransactionModel(sequelize);
+    const EconomyItemModel = initEconomyItemModel(sequelize);
+    const UserInventoryModel = initUserInventoryModel(sequelize);
+
+    // Associations used by economy leaderboard and inventory queries
+    EconomyModel.belongsTo(UserModel, { as: 'user', foreignKey: 'user_id', targetKey: 'discord_id', constraints: false });
+    UserInventoryModel.belongsTo(EconomyItemModel, { as: 'item', foreignKey: 'item_id', constraints: false });
 
     console.log('[Database] ✅ All models initialized successfully');
     
@@ -229,7 +267,24 @@ function initializeAllModels() {
       InstagramPost: InstagramPostModel,
       BotStatus: BotStatusModel,
       ModerationCase: ModerationCaseModel,
-      LevelingConfig: LevelingConfigModel
+      LevelingConfig: LevelingConfigModel,
+      ScheduledJob: ScheduledJobModel,
+      ScheduledJobRun: ScheduledJobRunModel,
+      MessageEvidence: MessageEvidenceModel,
+      ModmailTicket: ModmailTicketModel,
+      ModmailMessage: ModmailMessageModel,
+      MemberReport: MemberReportModel,
+      EvidenceTranscript: EvidenceTranscriptModel,
+      Lockdown: LockdownModel,
+      VoiceSession: VoiceSessionModel,
+      ReactionXPAward: ReactionXPAwardModel,
+      LevelReward: LevelRewardModel,
+      LevelRewardGrant: LevelRewardGrantModel,
+      XPBoostEvent: XPBoostEventModel,
+      Economy: EconomyModel,
+      EconomyTransaction: EconomyTransactionModel,
+      EconomyItem: EconomyItemModel,
+      UserInventory: UserInventoryModel
     };
   } catch (error) {
     console.error('[Database] ❌ Model initialization failed:', error.message);
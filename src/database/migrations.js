@@ -1058,6 +1058,1034 @@ const migrations = [
       
       console.log('[Migration 007] ✅ Economy system rollback completed');
     }
+  },
+  {
+    name: '008_scheduled_jobs',
+    description: 'Add persistent job scheduler tables and run history',
+    up: async () => {
+      console.log('[Migration 008] Adding scheduled job tables...');
+      
+      // Create scheduled_jobs table (persistent job queue)
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_jobs (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          job_type VARCHAR(100) NOT NULL,
+          unique_key VARCHAR(255),
+          guild_id VARCHAR(20),
+          payload JSONB DEFAULT '{}',
+          status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'running', 'completed', 'failed', 'cancelled')),
+          run_at TIMESTAMP NOT NULL,
+          cron_expression VARCHAR(100),
+          attempts INTEGER NOT NULL DEFAULT 0 CHECK (attempts >= 0),
+          max_attempts INTEGER NOT NULL DEFAULT 5 CHECK (max_attempts >= 1),
+          backoff_base_ms INTEGER NOT NULL DEFAULT 60000,
+          last_error TEXT,
+          last_run_at TIMESTAMP,
+          locked_at TIMESTAMP,
+          locked_by VARCHAR(255),
+          created_by VARCHAR(255),
+          created_at TIMESTAMP DEFAULT NOW(),
+          updated_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 008] ✅ Created scheduled_jobs table');
+      
+      // Create scheduled_job_runs table (execution history)
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS scheduled_job_runs (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          job_id UUID NOT NULL,
+          job_type VARCHAR(100) NOT NULL,
+          attempt INTEGER NOT NULL DEFAULT 1,
+          status VARCHAR(20) NOT NULL CHECK (status IN ('success', 'failure')),
+          started_at TIMESTAMP NOT NULL,
+          finished_at TIMESTAMP,
+          duration_ms INTEGER,
+          worker_id VARCHAR(255),
+          error_message TEXT,
+          result JSONB DEFAULT '{}',
+          created_at TIMESTAMP DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 008] ✅ Created scheduled_job_runs table');
+      
+      const schedulerIndexes = [
+        'CREATE INDEX IF NOT EXISTS idx_scheduled_job_due ON scheduled_jobs(status, run_at);',
+        'CREATE INDEX IF NOT EXISTS idx_scheduled_job_type ON scheduled_jobs(job_type);',
+        'CREATE INDEX IF NOT EXISTS idx_scheduled_job_unique_key ON scheduled_jobs(unique_key);',
+        'CREATE INDEX IF NOT EXISTS idx_scheduled_job_guild ON scheduled_jobs(guild_id);',
+        'CREATE INDEX IF NOT EXISTS idx_job_run_job ON scheduled_job_runs(job_id, started_at);',
+        'CREATE INDEX IF NOT EXISTS idx_job_run_status ON scheduled_job_runs(status, started_at);'
+      ];
+      
+      for (const indexQuery of schedulerIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 008] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 008] ✅ Scheduled job migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 008] Rolling back scheduled job tables...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS scheduled_job_runs CASCADE;');
+      console.log('[Migration 008] Dropped scheduled_job_runs table');
+      
+      await sequelize.query('DROP TABLE IF EXISTS scheduled_jobs CASCADE;');
+      console.log('[Migration 008] Dropped scheduled_jobs table');
+      
+      console.log('[Migration 008] ✅ Scheduled job rollback completed');
+    }
+  },
+  {
+    name: '009_moderation_case_expiry',
+    description: 'Support moderation audit entries and expired case lookups',
+    up: async () => {
+      console.log('[Migration 009] Adding moderation case expiry support...');
+      
+      // ModerationCase.createCase writes 'moderation_action' audit entries
+      try {
+        await sequelize.query(`ALTER TYPE "enum_audit_logs_action_type" ADD VALUE IF NOT EXISTS 'moderation_action';`);
+        console.log('[Migration 009] ✅ Added moderation_action audit log type');
+      } catch (error) {
+        console.warn('[Migration 009] Audit log enum warning:', error.message);
+      }
+      
+      try {
+        await sequelize.query(`
+          CREATE INDEX IF NOT EXISTS idx_modcase_active_expiry
+          ON moderation_cases(expires_at)
+          WHERE active = true AND expires_at IS NOT NULL;
+        `);
+        console.log('[Migration 009] ✅ Created active case expiry index');
+      } catch (error) {
+        console.warn('[Migration 009] Index creation warning:', error.message);
+      }
+      
+      console.log('[Migration 009] ✅ Moderation case expiry migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 009] Rolling back moderation case expiry support...');
+      
+      // Postgres cannot remove enum values; only the index is dropped
+      await sequelize.query('DROP INDEX IF EXISTS idx_modcase_active_expiry;');
+      
+      console.log('[Migration 009] ✅ Moderation case expiry rollback completed');
+    }
+  },
+  {
+    name: '010_moderation_appeals',
+    description: 'Add appeal review channel and user action audit entries',
+    up: async () => {
+      console.log('[Migration 010] Adding moderation appeal support...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS appeal_channel_id BIGINT;
+      `);
+      console.log('[Migration 010] ✅ Added guild_settings.appeal_channel_id');
+      
+      // ModerationService.submitAppeal writes 'user_action' audit entries
+      try {
+        await sequelize.query(`ALTER TYPE "enum_audit_logs_action_type" ADD VALUE IF NOT EXISTS 'user_action';`);
+        console.log('[Migration 010] ✅ Added user_action audit log type');
+      } catch (error) {
+        console.warn('[Migration 010] Audit log enum warning:', error.message);
+      }
+      
+      try {
+        await sequelize.query(`
+          CREATE INDEX IF NOT EXISTS idx_modcase_pending_appeals
+          ON moderation_cases(guild_id, appealed_at)
+          WHERE appeal_status = 'PENDING';
+        `);
+      } catch (error) {
+        console.warn('[Migration 010] Index creation warning:', error.message);
+      }
+      
+      console.log('[Migration 010] ✅ Moderation appeal migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 010] Rolling back moderation appeal support...');
+      
+      await sequelize.query('DROP INDEX IF EXISTS idx_modcase_pending_appeals;');
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS appeal_channel_id;');
+      
+      console.log('[Migration 010] ✅ Moderation appeal rollback completed');
+    }
+  },
+  {
+    name: '011_warning_escalation',
+    description: 'Add per-guild warning escalation ladder',
+    up: async () => {
+      console.log('[Migration 011] Adding warning escalation policy...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS warning_escalation JSONB NOT NULL DEFAULT '{
+          "enabled": false,
+          "rules": [
+            {"threshold": 3, "window_days": 30, "action": "TIMEOUT", "duration": "1h"},
+            {"threshold": 5, "window_days": 30, "action": "KICK", "duration": null}
+          ]
+        }';
+      `);
+      console.log('[Migration 011] ✅ Added guild_settings.warning_escalation');
+      
+      try {
+        await sequelize.query(`
+          CREATE INDEX IF NOT EXISTS idx_modcase_user_history
+          ON moderation_cases(guild_id, target_user_id, created_at);
+        `);
+      } catch (error) {
+        console.warn('[Migration 011] Index creation warning:', error.message);
+      }
+      
+      console.log('[Migration 011] ✅ Warning escalation migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 011] Rolling back warning escalation policy...');
+      
+      await sequelize.query('DROP INDEX IF EXISTS idx_modcase_user_history;');
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS warning_escalation;');
+      
+      console.log('[Migration 011] ✅ Warning escalation rollback completed');
+    }
+  },
+  {
+    name: '012_automod_config',
+    description: 'Add per-guild auto-moderation configuration',
+    up: async () => {
+      console.log('[Migration 012] Adding auto-moderation configuration...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS automod_config JSONB NOT NULL DEFAULT '{
+          "sales": {
+            "enabled": true,
+            "action": "delete",
+            "timeout_duration": "1h",
+            "review_channel_id": null,
+            "exempt_role_ids": [],
+            "exempt_channel_ids": []
+          }
+        }';
+      `);
+      
+      console.log('[Migration 012] ✅ Auto-moderation configuration migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 012] Rolling back auto-moderation configuration...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS automod_config;');
+      
+      console.log('[Migration 012] ✅ Auto-moderation configuration rollback completed');
+    }
+  },
+  {
+    name: '013_raid_protection',
+    description: 'Add raid mode state to guild settings',
+    up: async () => {
+      console.log('[Migration 013] Adding raid protection state...');
+      
+      // Raid thresholds live in automod_config; existing rows fall back to defaults until edited
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS raid_mode_until TIMESTAMP WITH TIME ZONE;
+      `);
+      
+      console.log('[Migration 013] ✅ Raid protection migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 013] Rolling back raid protection state...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS raid_mode_until;');
+      
+      console.log('[Migration 013] ✅ Raid protection rollback completed');
+    }
+  },
+  {
+    name: '014_message_evidence',
+    description: 'Add message edit/delete evidence store and message log configuration',
+    up: async () => {
+      console.log('[Migration 014] Adding message evidence store...');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS message_evidence (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          channel_id VARCHAR(20) NOT NULL,
+          message_id VARCHAR(20) NOT NULL,
+          author_id VARCHAR(20) NOT NULL,
+          author_tag VARCHAR(255),
+          event_type VARCHAR(20) NOT NULL CHECK (event_type IN ('edit', 'delete', 'bulk_delete')),
+          content_before TEXT,
+          content_after TEXT,
+          attachments JSONB DEFAULT '[]',
+          message_created_at TIMESTAMP WITH TIME ZONE,
+          case_numbers JSONB DEFAULT '[]',
+          retention_period INTEGER NOT NULL CHECK (retention_period > 0),
+          expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          is_sensitive BOOLEAN DEFAULT FALSE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 014] ✅ Created message_evidence table');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS message_log_config JSONB NOT NULL DEFAULT '{
+          "enabled": true,
+          "channel_id": null,
+          "log_edits": true,
+          "log_deletes": true,
+          "retention_days": 30,
+          "ignored_channel_ids": []
+        }';
+      `);
+      console.log('[Migration 014] ✅ Added message log configuration');
+      
+      const evidenceIndexes = [
+        'CREATE INDEX IF NOT EXISTS idx_message_evidence_message ON message_evidence(guild_id, message_id);',
+        'CREATE INDEX IF NOT EXISTS idx_message_evidence_author ON message_evidence(guild_id, author_id, created_at);',
+        'CREATE INDEX IF NOT EXISTS idx_message_evidence_expires ON message_evidence(expires_at);'
+      ];
+      
+      for (const indexQuery of evidenceIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 014] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 014] ✅ Message evidence migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 014] Rolling back message evidence store...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS message_evidence CASCADE;');
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS message_log_config;');
+      
+      console.log('[Migration 014] ✅ Message evidence rollback completed');
+    }
+  },
+  {
+    name: '015_modmail',
+    description: 'Add modmail tickets, transcripts and modmail configuration',
+    up: async () => {
+      console.log('[Migration 015] Adding modmail tables...');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS modmail_tickets (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          ticket_number VARCHAR(50) NOT NULL,
+          guild_id VARCHAR(20) NOT NULL,
+          user_id VARCHAR(20) NOT NULL,
+          thread_id VARCHAR(20) NOT NULL,
+          status VARCHAR(10) NOT NULL DEFAULT 'OPEN' CHECK (status IN ('OPEN', 'CLOSED')),
+          opened_by VARCHAR(20) NOT NULL,
+          closed_by VARCHAR(20),
+          closed_at TIMESTAMP WITH TIME ZONE,
+          close_reason TEXT,
+          reopen_count INTEGER NOT NULL DEFAULT 0 CHECK (reopen_count >= 0),
+          last_activity_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          linked_case_numbers JSONB DEFAULT '[]',
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 015] ✅ Created modmail_tickets table');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS modmail_messages (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          ticket_id UUID NOT NULL REFERENCES modmail_tickets(id) ON DELETE CASCADE,
+          direction VARCHAR(10) NOT NULL CHECK (direction IN ('INBOUND', 'OUTBOUND', 'NOTE', 'SYSTEM')),
+          author_id VARCHAR(20) NOT NULL,
+          author_tag VARCHAR(255),
+          content TEXT,
+          attachments JSONB DEFAULT '[]',
+          anonymous BOOLEAN DEFAULT FALSE,
+          discord_message_id VARCHAR(20),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 015] ✅ Created modmail_messages table');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS modmail_config JSONB NOT NULL DEFAULT '{
+          "enabled": false,
+          "channel_id": null,
+          "staff_role_ids": [],
+          "anonymous_replies": true
+        }';
+      `);
+      console.log('[Migration 015] ✅ Added modmail configuration');
+      
+      const modmailIndexes = [
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_modmail_ticket_number ON modmail_tickets(guild_id, ticket_number);',
+        'CREATE INDEX IF NOT EXISTS idx_modmail_user_status ON modmail_tickets(user_id, status);',
+        'CREATE INDEX IF NOT EXISTS idx_modmail_thread ON modmail_tickets(thread_id);',
+        'CREATE INDEX IF NOT EXISTS idx_modmail_message_ticket ON modmail_messages(ticket_id, created_at);'
+      ];
+      
+      for (const indexQuery of modmailIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 015] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 015] ✅ Modmail migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 015] Rolling back modmail tables...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS modmail_messages CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS modmail_tickets CASCADE;');
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS modmail_config;');
+      
+      console.log('[Migration 015] ✅ Modmail rollback completed');
+    }
+  },
+  {
+    name: '016_member_reports',
+    description: 'Add member reports queue and report configuration',
+    up: async () => {
+      console.log('[Migration 016] Adding member reports table...');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS member_reports (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          report_number VARCHAR(50) NOT NULL,
+          guild_id VARCHAR(20) NOT NULL,
+          reporter_id VARCHAR(20) NOT NULL,
+          target_user_id VARCHAR(20) NOT NULL,
+          report_type VARCHAR(10) NOT NULL CHECK (report_type IN ('MESSAGE', 'USER')),
+          channel_id VARCHAR(20),
+          message_id VARCHAR(20),
+          message_snapshot JSONB,
+          reason TEXT NOT NULL,
+          status VARCHAR(10) NOT NULL DEFAULT 'PENDING' CHECK (status IN ('PENDING', 'CLAIMED', 'DISMISSED', 'ESCALATED')),
+          claimed_by VARCHAR(20),
+          claimed_at TIMESTAMP WITH TIME ZONE,
+          resolved_by VARCHAR(20),
+          resolved_at TIMESTAMP WITH TIME ZONE,
+          case_number VARCHAR(50),
+          queue_message_id VARCHAR(20),
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 016] ✅ Created member_reports table');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS report_config JSONB NOT NULL DEFAULT '{
+          "enabled": true,
+          "channel_id": null,
+          "max_reports_per_hour": 5,
+          "notify_reporter": true
+        }';
+      `);
+      console.log('[Migration 016] ✅ Added report configuration');
+      
+      const reportIndexes = [
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_member_report_number ON member_reports(guild_id, report_number);',
+        'CREATE INDEX IF NOT EXISTS idx_member_report_reporter ON member_reports(guild_id, reporter_id, created_at);',
+        'CREATE INDEX IF NOT EXISTS idx_member_report_status ON member_reports(guild_id, status);'
+      ];
+      
+      for (const indexQuery of reportIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 016] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 016] ✅ Member reports migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 016] Rolling back member reports table...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS member_reports CASCADE;');
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS report_config;');
+      
+      console.log('[Migration 016] ✅ Member reports rollback completed');
+    }
+  },
+  {
+    name: '017_trust_config',
+    description: 'Add trust score gate configuration to guild settings',
+    up: async () => {
+      console.log('[Migration 017] Adding trust score configuration...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS trust_config JSONB NOT NULL DEFAULT '{
+          "gift_min_score": 30,
+          "link_min_score": 0
+        }';
+      `);
+      
+      console.log('[Migration 017] ✅ Trust score configuration migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 017] Rolling back trust score configuration...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS trust_config;');
+      
+      console.log('[Migration 017] ✅ Trust score configuration rollback completed');
+    }
+  },
+  {
+    name: '018_evidence_transcripts',
+    description: 'Add evidence transcripts for purged and removed messages',
+    up: async () => {
+      console.log('[Migration 018] Adding evidence transcripts table...');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS evidence_transcripts (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          transcript_number VARCHAR(50) NOT NULL,
+          guild_id VARCHAR(20) NOT NULL,
+          case_number VARCHAR(50),
+          source VARCHAR(20) NOT NULL CHECK (source IN ('purge', 'message_log', 'case')),
+          channel_id VARCHAR(20),
+          target_user_id VARCHAR(20),
+          created_by VARCHAR(20) NOT NULL,
+          message_count INTEGER NOT NULL DEFAULT 0,
+          storage_backend VARCHAR(30) NOT NULL,
+          storage_key VARCHAR(255),
+          stored_files JSONB,
+          file_sizes JSONB DEFAULT '{}',
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 018] ✅ Created evidence_transcripts table');
+      
+      const transcriptIndexes = [
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_evidence_transcript_number ON evidence_transcripts(guild_id, transcript_number);',
+        'CREATE INDEX IF NOT EXISTS idx_evidence_transcript_case ON evidence_transcripts(guild_id, case_number);'
+      ];
+      
+      for (const indexQuery of transcriptIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 018] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 018] ✅ Evidence transcripts migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 018] Rolling back evidence transcripts table...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS evidence_transcripts CASCADE;');
+      
+      console.log('[Migration 018] ✅ Evidence transcripts rollback completed');
+    }
+  },
+  {
+    name: '019_reverification_config',
+    description: 'Add age re-verification policy to guild settings',
+    up: async () => {
+      console.log('[Migration 019] Adding re-verification configuration...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS reverification_config JSONB NOT NULL DEFAULT '{
+          "enabled": false,
+          "validity_days": 365,
+          "reminder_days": 14,
+          "channel_id": null
+        }';
+      `);
+      
+      console.log('[Migration 019] ✅ Re-verification configuration migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 019] Rolling back re-verification configuration...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS reverification_config;');
+      
+      console.log('[Migration 019] ✅ Re-verification configuration rollback completed');
+    }
+  },
+  {
+    name: '020_verification_mode_config',
+    description: 'Add age verification mode and staff review settings to guild settings',
+    up: async () => {
+      console.log('[Migration 020] Adding verification configuration...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS verification_mode_config JSONB NOT NULL DEFAULT '{
+          "mode": "button",
+          "review_channel_id": null,
+          "borderline_months": 6,
+          "min_account_age_days": 7
+        }';
+      `);
+      
+      console.log('[Migration 020] ✅ Verification configuration migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 020] Rolling back verification configuration...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS verification_mode_config;');
+      
+      console.log('[Migration 020] ✅ Verification configuration rollback completed');
+    }
+  },
+  {
+    name: '021_age_gate_config',
+    description: 'Add 21+ channel declarations to guild settings',
+    up: async () => {
+      console.log('[Migration 021] Adding age gate configuration...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS age_gate_config JSONB NOT NULL DEFAULT '{
+          "channel_ids": [],
+          "category_ids": [],
+          "auto_fix": false,
+          "alert_channel_id": null,
+          "seeded": false
+        }';
+      `);
+      
+      console.log('[Migration 021] ✅ Age gate configuration migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 021] Rolling back age gate configuration...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS age_gate_config;');
+      
+      console.log('[Migration 021] ✅ Age gate configuration rollback completed');
+    }
+  },
+  {
+    name: '022_lockdowns',
+    description: 'Add emergency lockdowns with permission overwrite snapshots',
+    up: async () => {
+      console.log('[Migration 022] Adding lockdowns table...');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS lockdowns (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended')),
+          scopes JSONB NOT NULL DEFAULT '[]',
+          reason TEXT,
+          started_by VARCHAR(20) NOT NULL,
+          started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          ended_by VARCHAR(20),
+          ended_at TIMESTAMP WITH TIME ZONE,
+          snapshot JSONB NOT NULL DEFAULT '{"overwrites": [], "invites_disabled": null}',
+          announcement_channel_id VARCHAR(20),
+          announcement_message_id VARCHAR(20),
+          restore_errors JSONB DEFAULT '[]',
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 022] ✅ Created lockdowns table');
+      
+      const lockdownIndexes = [
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_lockdowns_active_guild ON lockdowns(guild_id) WHERE status = 'active';",
+        'CREATE INDEX IF NOT EXISTS idx_lockdowns_guild_started ON lockdowns(guild_id, started_at);'
+      ];
+      
+      for (const indexQuery of lockdownIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 022] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 022] ✅ Lockdowns migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 022] Rolling back lockdowns table...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS lockdowns CASCADE;');
+      
+      console.log('[Migration 022] ✅ Lockdowns rollback completed');
+    }
+  },
+  {
+    name: '023_join_screening_config',
+    description: 'Add join screening and quarantine settings to guild settings',
+    up: async () => {
+      console.log('[Migration 023] Adding join screening configuration...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ADD COLUMN IF NOT EXISTS join_screening_config JSONB NOT NULL DEFAULT '{
+          "enabled": false,
+          "quarantine_role_id": null,
+          "alert_channel_id": null,
+          "min_account_age_days": 7,
+          "name_similarity": 85,
+          "ban_lookback_days": 90
+        }';
+      `);
+      
+      console.log('[Migration 023] ✅ Join screening configuration migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 023] Rolling back join screening configuration...');
+      
+      await sequelize.query('ALTER TABLE guild_settings DROP COLUMN IF EXISTS join_screening_config;');
+      
+      console.log('[Migration 023] ✅ Join screening configuration rollback completed');
+    }
+  },
+  {
+    name: '024_voice_xp_tracking',
+    description: 'Add persistent voice sessions and XP channel exclusions for leveling',
+    up: async () => {
+      console.log('[Migration 024] Adding voice XP tracking...');
+      
+      await sequelize.query(`
+        ALTER TABLE leveling_configs
+        ADD COLUMN IF NOT EXISTS excluded_channel_ids JSONB NOT NULL DEFAULT '[]';
+      `);
+      console.log('[Migration 024] ✅ Added XP channel exclusions to leveling_configs');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS voice_sessions (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          user_id VARCHAR(20) NOT NULL,
+          channel_id VARCHAR(20) NOT NULL,
+          status VARCHAR(10) NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'ended')),
+          started_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          last_checkpoint_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+          eligible BOOLEAN NOT NULL DEFAULT FALSE,
+          active_seconds INTEGER NOT NULL DEFAULT 0,
+          awarded_minutes INTEGER NOT NULL DEFAULT 0,
+          ended_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 024] ✅ Created voice_sessions table');
+      
+      const voiceSessionIndexes = [
+        "CREATE UNIQUE INDEX IF NOT EXISTS idx_voice_sessions_active_member ON voice_sessions(guild_id, user_id) WHERE status = 'active';",
+        'CREATE INDEX IF NOT EXISTS idx_voice_sessions_status ON voice_sessions(status);'
+      ];
+      
+      for (const indexQuery of voiceSessionIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 024] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 024] ✅ Voice XP tracking migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 024] Rolling back voice XP tracking...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS voice_sessions CASCADE;');
+      await sequelize.query('ALTER TABLE leveling_configs DROP COLUMN IF EXISTS excluded_channel_ids;');
+      
+      console.log('[Migration 024] ✅ Voice XP tracking rollback completed');
+    }
+  },
+  {
+    name: '025_reaction_xp_awards',
+    description: 'Add reaction XP awards and anti-farming caps for leveling',
+    up: async () => {
+      console.log('[Migration 025] Adding reaction XP tracking...');
+      
+      const capFields = [
+        'ALTER TABLE leveling_configs ADD COLUMN IF NOT EXISTS reaction_xp_message_cap INTEGER NOT NULL DEFAULT 10;',
+        'ALTER TABLE leveling_configs ADD COLUMN IF NOT EXISTS reaction_xp_daily_cap INTEGER NOT NULL DEFAULT 50;',
+        'ALTER TABLE leveling_configs ADD COLUMN IF NOT EXISTS reaction_xp_pair_daily_cap INTEGER NOT NULL DEFAULT 3;'
+      ];
+      
+      for (const fieldQuery of capFields) {
+        await sequelize.query(fieldQuery);
+      }
+      console.log('[Migration 025] ✅ Added reaction XP caps to leveling_configs');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS reaction_xp_awards (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          channel_id VARCHAR(20) NOT NULL,
+          message_id VARCHAR(20) NOT NULL,
+          author_id VARCHAR(20) NOT NULL,
+          reactor_id VARCHAR(20) NOT NULL,
+          emoji VARCHAR(100) NOT NULL,
+          xp_amount INTEGER NOT NULL,
+          revoked_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 025] ✅ Created reaction_xp_awards table');
+      
+      const reactionIndexes = [
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_reaction_xp_message_reactor ON reaction_xp_awards(message_id, reactor_id);',
+        'CREATE INDEX IF NOT EXISTS idx_reaction_xp_author_created ON reaction_xp_awards(guild_id, author_id, created_at);'
+      ];
+      
+      for (const indexQuery of reactionIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 025] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 025] ✅ Reaction XP tracking migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 025] Rolling back reaction XP tracking...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS reaction_xp_awards CASCADE;');
+      for (const column of ['reaction_xp_message_cap', 'reaction_xp_daily_cap', 'reaction_xp_pair_daily_cap']) {
+        await sequelize.query(`ALTER TABLE leveling_configs DROP COLUMN IF EXISTS ${column};`);
+      }
+      
+      console.log('[Migration 025] ✅ Reaction XP tracking rollback completed');
+    }
+  },
+  {
+    name: '026_level_rewards',
+    description: 'Add configurable tier rules and per-level reward tables for leveling',
+    up: async () => {
+      console.log('[Migration 026] Adding level rewards and tier rules...');
+      
+      await sequelize.query(`
+        ALTER TABLE leveling_configs
+        ADD COLUMN IF NOT EXISTS tier_requirements JSONB NOT NULL DEFAULT '{
+          "Growing": {"min_activity_score": 30, "min_days_active": 7, "min_messages": 30, "min_total_xp": 500},
+          "Established": {"min_activity_score": 50, "min_days_active": 30, "min_messages": 100, "min_total_xp": 2500, "min_voice_minutes": 60},
+          "Harvested": {"min_activity_score": 70, "min_days_active": 90, "min_messages": 500, "min_total_xp": 10000, "min_voice_minutes": 300, "min_reactions_received": 50}
+        }';
+      `);
+      await sequelize.query("ALTER TABLE leveling_configs ADD COLUMN IF NOT EXISTS reward_role_mode VARCHAR(10) NOT NULL DEFAULT 'stack';");
+      console.log('[Migration 026] ✅ Added tier rules and reward role mode to leveling_configs');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS level_rewards (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          level INTEGER NOT NULL CHECK (level >= 1),
+          reward_type VARCHAR(10) NOT NULL CHECK (reward_type IN ('role', 'currency', 'item')),
+          role_id VARCHAR(20),
+          amount INTEGER,
+          item_id UUID,
+          quantity INTEGER NOT NULL DEFAULT 1,
+          created_by VARCHAR(20) NOT NULL,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 026] ✅ Created level_rewards table');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS level_reward_grants (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          user_id VARCHAR(20) NOT NULL,
+          reward_id UUID NOT NULL REFERENCES level_rewards(id) ON DELETE CASCADE,
+          level INTEGER NOT NULL,
+          replaced_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+        );
+      `);
+      console.log('[Migration 026] ✅ Created level_reward_grants table');
+      
+      const rewardIndexes = [
+        'CREATE INDEX IF NOT EXISTS idx_level_rewards_guild_level ON level_rewards(guild_id, level);',
+        'CREATE UNIQUE INDEX IF NOT EXISTS idx_level_reward_grants_reward_user ON level_reward_grants(reward_id, user_id);',
+        'CREATE INDEX IF NOT EXISTS idx_level_reward_grants_member ON level_reward_grants(guild_id, user_id);'
+      ];
+      
+      for (const indexQuery of rewardIndexes) {
+        try {
+          await sequelize.query(indexQuery);
+        } catch (error) {
+          console.warn('[Migration 026] Index creation warning:', error.message);
+        }
+      }
+      
+      console.log('[Migration 026] ✅ Level rewards migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 026] Rolling back level rewards and tier rules...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS level_reward_grants CASCADE;');
+      await sequelize.query('DROP TABLE IF EXISTS level_rewards CASCADE;');
+      for (const column of ['tier_requirements', 'reward_role_mode']) {
+        await sequelize.query(`ALTER TABLE leveling_configs DROP COLUMN IF EXISTS ${column};`);
+      }
+      
+      console.log('[Migration 026] ✅ Level rewards rollback completed');
+    }
+  },
+  {
+    name: '027_xp_multipliers',
+    description: 'Add channel and role XP multipliers and scheduled XP boost events',
+    up: async () => {
+      console.log('[Migration 027] Adding XP multipliers and boost events...');
+      
+      for (const column of ['channel_xp_multipliers', 'role_xp_multipliers']) {
+        await sequelize.query(`ALTER TABLE leveling_configs ADD COLUMN IF NOT EXISTS ${column} JSONB NOT NULL DEFAULT '{}';`);
+      }
+      console.log('[Migration 027] ✅ Added XP multipliers to leveling_configs');
+      
+      await sequelize.query(`
+        CREATE TABLE IF NOT EXISTS xp_boost_events (
+          id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+          guild_id VARCHAR(20) NOT NULL,
+          name VARCHAR(100) NOT NULL,
+          multiplier DOUBLE PRECISION NOT NULL CHECK (multiplier > 0),
+          starts_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          ends_at TIMESTAMP WITH TIME ZONE NOT NULL,
+          announcement_channel_id VARCHAR(20),
+          created_by VARCHAR(20) NOT NULL,
+          cancelled_by VARCHAR(20),
+          cancelled_at TIMESTAMP WITH TIME ZONE,
+          created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+          CHECK (ends_at > starts_at)
+        );
+      `);
+      console.log('[Migration 027] ✅ Created xp_boost_events table');
+      
+      try {
+        await sequelize.query('CREATE INDEX IF NOT EXISTS idx_xp_boost_events_guild_window ON xp_boost_events(guild_id, starts_at, ends_at);');
+      } catch (error) {
+        console.warn('[Migration 027] Index creation warning:', error.message);
+      }
+      
+      console.log('[Migration 027] ✅ XP multipliers migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 027] Rolling back XP multipliers and boost events...');
+      
+      await sequelize.query('DROP TABLE IF EXISTS xp_boost_events CASCADE;');
+      for (const column of ['channel_xp_multipliers', 'role_xp_multipliers']) {
+        await sequelize.query(`ALTER TABLE leveling_configs DROP COLUMN IF EXISTS ${column};`);
+      }
+      
+      console.log('[Migration 027] ✅ XP multipliers rollback completed');
+    }
+  },
+  {
+    name: '028_case_expiry_retry',
+    description: 'Back off moderation case expiries that were skipped or failed',
+    up: async () => {
+      console.log('[Migration 028] Adding case expiry retry time...');
+      
+      await sequelize.query('ALTER TABLE moderation_cases ADD COLUMN IF NOT EXISTS expiry_retry_at TIMESTAMP WITH TIME ZONE;');
+      
+      console.log('[Migration 028] ✅ Case expiry retry migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 028] Rolling back case expiry retry time...');
+      
+      await sequelize.query('ALTER TABLE moderation_cases DROP COLUMN IF EXISTS expiry_retry_at;');
+      
+      console.log('[Migration 028] ✅ Case expiry retry rollback completed');
+    }
+  },
+  {
+    name: '029_sales_filter_flag_default',
+    description: 'Flag sales solicitation for review instead of deleting it by default',
+    up: async () => {
+      console.log('[Migration 029] Switching the default sales filter action to flag...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ALTER COLUMN automod_config SET DEFAULT '{
+          "sales": {
+            "enabled": true,
+            "action": "flag",
+            "timeout_duration": "1h",
+            "review_channel_id": null,
+            "exempt_role_ids": [],
+            "exempt_channel_ids": []
+          }
+        }';
+      `);
+      
+      // Only guilds still on the untouched default move to flag; configured filters keep their action
+      await sequelize.query(`
+        UPDATE guild_settings
+        SET automod_config = jsonb_set(automod_config, '{sales,action}', '"flag"')
+        WHERE automod_config->'sales' = '{
+          "enabled": true,
+          "action": "delete",
+          "timeout_duration": "1h",
+          "review_channel_id": null,
+          "exempt_role_ids": [],
+          "exempt_channel_ids": []
+        }'::jsonb;
+      `);
+      
+      console.log('[Migration 029] ✅ Sales filter default migration completed');
+    },
+    down: async () => {
+      console.log('[Migration 029] Rolling back the default sales filter action...');
+      
+      await sequelize.query(`
+        ALTER TABLE guild_settings
+        ALTER COLUMN automod_config SET DEFAULT '{
+          "sales": {
+            "enabled": true,
+            "action": "delete",
+            "timeout_duration": "1h",
+            "review_channel_id": null,
+            "exempt_role_ids": [],
+            "exempt_channel_ids": []
+          }
+        }';
+      `);
+      
+      console.log('[Migration 029] ✅ Sales filter default rollback completed');
+    }
+  },
+  {
+    name: '030_tier_progression_check_jobs',
+    description: 'Retire the every-minute tier progression queue job; level changes now schedule a check per member',
+    up: async () => {
+      console.log('[Migration 030] Cancelling the tier progression queue job...');
+      
+      await sequelize.query(`
+        UPDATE scheduled_jobs
+        SET status = 'cancelled', locked_at = NULL, locked_by = NULL, updated_at = NOW()
+        WHERE job_type = 'leveling.tier_progression_queue'
+          AND status IN ('pending', 'running', 'failed');
+      `);
+      
+      console.log('[Migration 030] ✅ Tier progression queue job cancelled');
+    },
+    down: async () => {
+      // Nothing to restore: a scheduler that registers the queue job recreates it on startup
+      console.log('[Migration 030] ✅ Tier progression queue rollback completed');
+    }
   }
 ];
 
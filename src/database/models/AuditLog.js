@@ -66,7 +66,7 @@ class AuditLog extends Model {
    * @returns {Promise<Object>} - Failure statistics
    */
   static async getVerificationFailureStats(guildId, days = 30) {
-    const { Op, fn, col } = require('@sequelize/core');
+    const { Op, fn, col } = require('sequelize');
     const startDate = new Date();
     startDate.setDate(startDate.getDate() - days);
 
@@ -93,12 +93,14 @@ class AuditLog extends Model {
    * @param {string} discordId - Target user Discord ID
    * @param {string} guildId - Discord guild ID
    * @param {string} actorId - Acting user Discord ID
-   * @param {string} result - 'success' or 'failure'
+   * @param {string} result - 'success', 'failure' or 'pending' (sent to staff review)
    * @param {Object} metadata - Additional log data
    * @returns {Promise<AuditLog>} - Created audit log
    */
   static async logVerificationAttempt(discordId, guildId, actorId, result, metadata = {}) {
-    const actionType = result === 'success' ? 'verification_success' : 'verification_failure';
+    const actionType = result === 'success'
+      ? 'verification_success'
+      : result === 'pending' ? 'verification_attempt' : 'verification_failure';
     
     return await this.create({
       action_type: actionType,
@@ -187,7 +189,9 @@ function initAuditLogModel(sequelize) {
         'user_leave',
         'settings_change',
         'bot_action',
-        'security_event'
+        'security_event',
+        'moderation_action',
+        'user_action'
       ),
       allowNull: false,
       comment: 'Type of action that was performed',
@@ -275,7 +275,8 @@ class EconomyTransaction extends Model {
   static generateReferenceId() {
     const timestamp = Date.now().toString(36);
     const random = Math.random().toString(36).substr(2, 5);
-    return `TXN-${timestamp}-${random}`.toUpperCase();
+    // Letters and digits only after the prefix, as the reference_id validator requires
+    return `TXN-${timestamp}${random}`.toUpperCase();
   }
 
   /**
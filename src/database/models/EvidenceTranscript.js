@@ -0,0 +1,185 @@
+/**
+ * EvidenceTranscript Model for GrowmiesNJ Discord Bot
+ *
+ * Rendered HTML and JSON transcripts of purged or otherwise removed messages
+ * The transcript files live in the evidence store backend recorded on each row,
+ * so switching backends never orphans older transcripts
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * Where a transcript's messages came from
+ */
+const TRANSCRIPT_SOURCES = ['purge', 'message_log', 'case'];
+
+/**
+ * EvidenceTranscript model tracking one stored transcript
+ */
+class EvidenceTranscript extends Model {
+  /**
+   * Generate the next transcript number for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<string>} - Transcript number (YYYY-MM-TRN###)
+   */
+  static async generateTranscriptNumber(guildId) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const prefix = `${year}-${month}-TRN`;
+
+    const latestTranscript = await this.findOne({
+      where: {
+        guild_id: guildId,
+        transcript_number: { [Op.like]: `${prefix}%` },
+      },
+      order: [['transcript_number', 'DESC']],
+    });
+
+    let nextNumber = 1;
+    if (latestTranscript) {
+      nextNumber = parseInt(latestTranscript.transcript_number.split('TRN')[1]) + 1;
+    }
+
+    return `${prefix}${String(nextNumber).padStart(3, '0')}`;
+  }
+
+  /**
+   * Find a transcript by its number
+   * @param {string} guildId - Discord guild ID
+   * @param {string} transcriptNumber - Transcript number
+   * @returns {Promise<EvidenceTranscript|null>} - Transcript
+   */
+  static async findByNumber(guildId, transcriptNumber) {
+    return await this.findOne({
+      where: { guild_id: guildId, transcript_number: transcriptNumber.toUpperCase() },
+    });
+  }
+
+  /**
+   * Get every transcript linked to a moderation case
+   * @param {string} guildId - Discord guild ID
+   * @param {string} caseNumber - Moderation case number
+   * @returns {Promise<EvidenceTranscript[]>} - Transcripts, oldest first
+   */
+  static async findForCase(guildId, caseNumber) {
+    return await this.findAll({
+      where: { guild_id: guildId, case_number: caseNumber },
+      order: [['created_at', 'ASC']],
+    });
+  }
+
+  /**
+   * Format the transcript as a moderation case evidence entry
+   * @returns {string} - Evidence entry
+   */
+  toEvidenceString() {
+    return `Transcript ${this.transcript_number}: ${this.message_count} message${this.message_count !== 1 ? 's' : ''}${this.channel_id ? ` from <#${this.channel_id}>` : ''} (/evidence transcript)`;
+  }
+}
+
+/**
+ * Initialize EvidenceTranscript model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {EvidenceTranscript} - Initialized EvidenceTranscript model
+ */
+function initEvidenceTranscriptModel(sequelize) {
+  EvidenceTranscript.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique transcript ID',
+    },
+    transcript_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Human-readable transcript number (YYYY-MM-TRN###)',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    case_number: {
+      type: DataTypes.STRING,
+      comment: 'Moderation case the transcript is attached to',
+    },
+    source: {
+      type: DataTypes.ENUM(...TRANSCRIPT_SOURCES),
+      allowNull: false,
+      comment: 'What produced the transcript',
+    },
+    channel_id: {
+      type: DataTypes.STRING,
+      comment: 'Channel the messages were posted in, when they share one',
+    },
+    target_user_id: {
+      type: DataTypes.STRING,
+      comment: 'Member the transcript is about, if any',
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the moderator (or bot) that created the transcript',
+    },
+    message_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Number of messages in the transcript',
+    },
+    storage_backend: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Evidence store backend holding the files',
+    },
+    storage_key: {
+      type: DataTypes.STRING,
+      comment: 'Backend-specific location of the files',
+    },
+    stored_files: {
+      type: DataTypes.JSONB,
+      comment: 'File contents, used only by the database backend',
+    },
+    file_sizes: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Size in bytes of each stored format',
+    },
+  }, {
+    sequelize,
+    modelName: 'EvidenceTranscript',
+    tableName: 'evidence_transcripts',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    defaultScope: {
+      // File contents can be large; load them explicitly when a file is requested
+      attributes: { exclude: ['stored_files'] },
+    },
+
+    indexes: [
+      {
+        name: 'idx_evidence_transcript_number',
+        fields: ['guild_id', 'transcript_number'],
+        unique: true,
+      },
+      {
+        name: 'idx_evidence_transcript_case',
+        fields: ['guild_id', 'case_number'],
+      },
+    ],
+  });
+
+  return EvidenceTranscript;
+}
+
+module.exports = {
+  EvidenceTranscript,
+  initEvidenceTranscriptModel,
+  TRANSCRIPT_SOURCES
+};
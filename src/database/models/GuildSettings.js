@@ -15,6 +15,212 @@
 
 const { DataTypes, Model } = require('sequelize');
 const { sequelize } = require('../connection');
+const { DOMAIN_PATTERN } = require('../../utils/linkScanner');
+
+/**
+ * Default warning escalation ladder (disabled until staff opt in)
+ * Each rule applies its action once the user has `threshold` active warnings within `window_days`
+ */
+const DEFAULT_ESCALATION_POLICY = {
+  enabled: false,
+  rules: [
+    { threshold: 3, window_days: 30, action: 'TIMEOUT', duration: '1h' },
+    { threshold: 5, window_days: 30, action: 'KICK', duration: null }
+  ]
+};
+
+const ESCALATION_ACTIONS = ['TIMEOUT', 'KICK', 'BAN'];
+
+/**
+ * Longest timeout Discord allows (28 days)
+ */
+const MAX_TIMEOUT_MS = 28 * 24 * 60 * 60 * 1000;
+const DURATION_UNIT_MS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Default auto-moderation configuration, keyed by filter
+ * Sales solicitation filtering is enabled by default as the highest compliance risk,
+ * flagging matches for staff review until a guild opts into removing them
+ * Malicious links are removed with a timeout unless a guild chooses to flag them instead
+ */
+const DEFAULT_AUTOMOD_CONFIG = {
+  sales: {
+    enabled: true,
+    action: 'flag',
+    timeout_duration: '1h',
+    review_channel_id: null,
+    exempt_role_ids: [],
+    exempt_channel_ids: []
+  },
+  raid: {
+    enabled: true,
+    join_threshold: 10,
+    join_window_seconds: 30,
+    min_account_age_days: 7,
+    duplicate_threshold: 4,
+    duplicate_window_seconds: 20,
+    mention_threshold: 8,
+    mention_window_seconds: 30,
+    spam_offender_threshold: 3,
+    raid_mode_minutes: 15,
+    timeout_duration: '10m',
+    alert_channel_id: null,
+    exempt_role_ids: [],
+    exempt_channel_ids: []
+  },
+  links: {
+    enabled: true,
+    action: 'timeout',
+    timeout_duration: '1h',
+    follow_redirects: true,
+    blocked_domains: [],
+    allowed_domains: [],
+    review_channel_id: null,
+    exempt_role_ids: [],
+    exempt_channel_ids: []
+  }
+};
+
+const AUTOMOD_ACTIONS = ['delete', 'warn', 'timeout', 'flag'];
+
+/**
+ * Allowed ranges for numeric auto-moderation thresholds
+ */
+const AUTOMOD_LIMITS = {
+  join_threshold: [3, 100],
+  join_window_seconds: [5, 600],
+  min_account_age_days: [0, 365],
+  duplicate_threshold: [2, 20],
+  duplicate_window_seconds: [5, 300],
+  mention_threshold: [3, 50],
+  mention_window_seconds: [5, 300],
+  spam_offender_threshold: [2, 20],
+  raid_mode_minutes: [1, 1440]
+};
+
+/**
+ * Maximum per-guild entries in each link scanner domain list
+ */
+const AUTOMOD_DOMAIN_LIST_LIMIT = 200;
+
+/**
+ * Default message edit/delete logging configuration
+ * Snapshots are always stored as evidence; posting requires a log channel
+ */
+const DEFAULT_MESSAGE_LOG_CONFIG = {
+  enabled: true,
+  channel_id: null,
+  log_edits: true,
+  log_deletes: true,
+  retention_days: 30,
+  ignored_channel_ids: []
+};
+
+const MESSAGE_LOG_RETENTION_LIMITS = [1, 365];
+
+/**
+ * Default modmail configuration (disabled until a staff channel is chosen)
+ */
+const DEFAULT_MODMAIL_CONFIG = {
+  enabled: false,
+  channel_id: null,
+  staff_role_ids: [],
+  anonymous_replies: true
+};
+
+/**
+ * Default member report configuration (needs a queue channel before reports are accepted)
+ */
+const DEFAULT_REPORT_CONFIG = {
+  enabled: true,
+  channel_id: null,
+  max_reports_per_hour: 5,
+  notify_reporter: true
+};
+
+const REPORT_RATE_LIMITS = [1, 50];
+
+/**
+ * Default trust score gates (0 disables a gate)
+ */
+const DEFAULT_TRUST_CONFIG = {
+  gift_min_score: 30,
+  link_min_score: 0
+};
+
+const TRUST_SCORE_RANGE = [0, 100];
+
+/**
+ * Default age re-verification policy (disabled until staff opt in)
+ * Verifications last validity_days; reminders go out reminder_days before expiry (0 disables reminders)
+ */
+const DEFAULT_REVERIFICATION_CONFIG = {
+  enabled: false,
+  validity_days: 365,
+  reminder_days: 14,
+  channel_id: null
+};
+
+const REVERIFICATION_LIMITS = {
+  validity_days: [30, 1095],
+  reminder_days: [0, 30]
+};
+
+/**
+ * Age verification modes
+ * - button: members confirm 21+ with a single button click
+ * - birthdate: members enter a birthdate; borderline or suspicious attempts go to staff review
+ * - staff_review: members enter a birthdate and staff approve every attempt
+ */
+const VERIFICATION_MODES = ['button', 'birthdate', 'staff_review'];
+
+/**
+ * Default age verification configuration (button-only until staff opt in)
+ */
+const DEFAULT_VERIFICATION_MODE_CONFIG = {
+  mode: 'button',
+  review_channel_id: null,
+  borderline_months: 6,
+  min_account_age_days: 7
+};
+
+const VERIFICATION_MODE_LIMITS = {
+  borderline_months: [0, 24],
+  min_account_age_days: [0, 365]
+};
+
+/**
+ * Default 21+ channel declarations (nothing declared, report-only until staff opt in to auto-fix)
+ * Every channel inside a declared category is age-gated as well
+ */
+const DEFAULT_AGE_GATE_CONFIG = {
+  channel_ids: [],
+  category_ids: [],
+  auto_fix: false,
+  alert_channel_id: null,
+  seeded: false
+};
+
+const AGE_GATE_LIST_LIMIT = 100;
+
+/**
+ * Default join screening (disabled until staff pick a quarantine role and alert channel)
+ * name_similarity is the percentage a joiner's name must match a recently banned user's
+ */
+const DEFAULT_JOIN_SCREENING_CONFIG = {
+  enabled: false,
+  quarantine_role_id: null,
+  alert_channel_id: null,
+  min_account_age_days: 7,
+  name_similarity: 85,
+  ban_lookback_days: 90
+};
+
+const JOIN_SCREENING_LIMITS = {
+  min_account_age_days: [0, 90],
+  name_similarity: [50, 100],
+  ban_lookback_days: [7, 365]
+};
 
 class GuildSettings extends Model {
   /**
@@ -190,6 +396,434 @@ class GuildSettings extends Model {
     };
   }
 
+  /**
+   * Get moderation channel configuration
+   * Appeals fall back to the log channel when no dedicated channel is set
+   * @returns {Object} Moderation configuration object
+   */
+  getModerationConfig() {
+    return {
+      log_channel_id: this.log_channel_id,
+      appeal_channel_id: this.appeal_channel_id || this.log_channel_id
+    };
+  }
+
+  /**
+   * Get the warning escalation policy with rules sorted by threshold
+   * @returns {Object} Escalation policy ({ enabled, rules })
+   */
+  getEscalationPolicy() {
+    const policy = this.warning_escalation || DEFAULT_ESCALATION_POLICY;
+    return {
+      enabled: policy.enabled === true,
+      rules: [...(policy.rules || [])].sort((a, b) => a.threshold - b.threshold)
+    };
+  }
+
+  /**
+   * Validate and save the warning escalation policy
+   * @param {Object} policy - Escalation policy ({ enabled, rules })
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateEscalationPolicy(policy) {
+    const rules = policy.rules || [];
+    const thresholds = new Set();
+
+    for (const rule of rules) {
+      if (!Number.isInteger(rule.threshold) || rule.threshold < 2 || rule.threshold > 20) {
+        throw new Error('Escalation threshold must be a whole number between 2 and 20');
+      }
+      if (thresholds.has(rule.threshold)) {
+        throw new Error(`An escalation rule for ${rule.threshold} warnings already exists`);
+      }
+      thresholds.add(rule.threshold);
+
+      if (!Number.isInteger(rule.window_days) || rule.window_days < 1 || rule.window_days > 365) {
+        throw new Error('Escalation window must be between 1 and 365 days');
+      }
+      if (!ESCALATION_ACTIONS.includes(rule.action)) {
+        throw new Error(`Escalation action must be one of: ${ESCALATION_ACTIONS.join(', ')}`);
+      }
+      if (rule.duration && !/^\d+[smhd]$/.test(rule.duration)) {
+        throw new Error('Escalation duration must use a format like "1h", "30m" or "7d"');
+      }
+      if (rule.action === 'TIMEOUT' && !rule.duration) {
+        throw new Error('Timeout escalations require a duration');
+      }
+      if (rule.action === 'TIMEOUT' && parseInt(rule.duration, 10) * DURATION_UNIT_MS[rule.duration.slice(-1)] > MAX_TIMEOUT_MS) {
+        throw new Error('Timeout escalations can last at most 28 days');
+      }
+    }
+
+    this.warning_escalation = {
+      enabled: policy.enabled === true,
+      rules: rules.map(({ threshold, window_days, action, duration }) => ({
+        threshold,
+        window_days,
+        action,
+        duration: action === 'KICK' ? null : (duration || null)
+      }))
+    };
+    this.changed('warning_escalation', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated warning escalation policy for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the configuration for an auto-moderation filter merged over its defaults
+   * @param {string} filter - Filter key (e.g. 'sales')
+   * @returns {Object} Filter configuration
+   */
+  getAutoModConfig(filter) {
+    const stored = (this.automod_config || {})[filter] || {};
+    return { ...DEFAULT_AUTOMOD_CONFIG[filter], ...stored };
+  }
+
+  /**
+   * Validate and save changes to an auto-moderation filter
+   * @param {string} filter - Filter key (e.g. 'sales')
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateAutoModConfig(filter, updates) {
+    if (!DEFAULT_AUTOMOD_CONFIG[filter]) {
+      throw new Error(`Unknown auto-moderation filter: ${filter}`);
+    }
+
+    const config = { ...this.getAutoModConfig(filter), ...updates };
+
+    if (config.action && !AUTOMOD_ACTIONS.includes(config.action)) {
+      throw new Error(`Auto-moderation action must be one of: ${AUTOMOD_ACTIONS.join(', ')}`);
+    }
+    if (config.timeout_duration && !/^\d+[smhd]$/.test(config.timeout_duration)) {
+      throw new Error('Auto-moderation timeout duration must use a format like "1h", "30m" or "7d"');
+    }
+    if (config.review_channel_id && !this.isValidSnowflake(config.review_channel_id)) {
+      throw new Error('Auto-moderation review channel must be a valid channel ID');
+    }
+    if (config.alert_channel_id && !this.isValidSnowflake(config.alert_channel_id)) {
+      throw new Error('Auto-moderation alert channel must be a valid channel ID');
+    }
+    for (const key of ['blocked_domains', 'allowed_domains']) {
+      if (!(key in config)) continue;
+      if (!Array.isArray(config[key]) || config[key].length > AUTOMOD_DOMAIN_LIST_LIMIT) {
+        throw new Error(`Auto-moderation ${key.replace(/_/g, ' ')} can hold at most ${AUTOMOD_DOMAIN_LIST_LIMIT} entries`);
+      }
+      const invalid = config[key].find(domain => typeof domain !== 'string' || !DOMAIN_PATTERN.test(domain));
+      if (invalid !== undefined) {
+        throw new Error(`Auto-moderation domain "${invalid}" is not a valid domain name`);
+      }
+    }
+    for (const [key, [min, max]] of Object.entries(AUTOMOD_LIMITS)) {
+      if (key in config && (!Number.isInteger(config[key]) || config[key] < min || config[key] > max)) {
+        throw new Error(`Auto-moderation ${key.replace(/_/g, ' ')} must be a whole number between ${min} and ${max}`);
+      }
+    }
+
+    this.automod_config = {
+      ...(this.automod_config || {}),
+      [filter]: config
+    };
+    this.changed('automod_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated ${filter} auto-moderation config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the message edit/delete logging configuration merged over its defaults
+   * @returns {Object} Message log configuration
+   */
+  getMessageLogConfig() {
+    return { ...DEFAULT_MESSAGE_LOG_CONFIG, ...(this.message_log_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to message edit/delete logging
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateMessageLogConfig(updates) {
+    const config = { ...this.getMessageLogConfig(), ...updates };
+    const [minDays, maxDays] = MESSAGE_LOG_RETENTION_LIMITS;
+
+    if (config.channel_id && !this.isValidSnowflake(config.channel_id)) {
+      throw new Error('Message log channel must be a valid channel ID');
+    }
+    if (!Number.isInteger(config.retention_days) || config.retention_days < minDays || config.retention_days > maxDays) {
+      throw new Error(`Message log retention must be a whole number of days between ${minDays} and ${maxDays}`);
+    }
+
+    this.message_log_config = config;
+    this.changed('message_log_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated message log config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the modmail configuration merged over its defaults
+   * @returns {Object} Modmail configuration
+   */
+  getModmailConfig() {
+    return { ...DEFAULT_MODMAIL_CONFIG, ...(this.modmail_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to modmail
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateModmailConfig(updates) {
+    const config = { ...this.getModmailConfig(), ...updates };
+
+    if (config.channel_id && !this.isValidSnowflake(config.channel_id)) {
+      throw new Error('Modmail channel must be a valid channel ID');
+    }
+    if (config.enabled && !config.channel_id) {
+      throw new Error('Modmail needs a staff channel before it can be enabled');
+    }
+    for (const roleId of config.staff_role_ids) {
+      if (!this.isValidSnowflake(roleId)) {
+        throw new Error(`Modmail staff role must be a valid role ID: ${roleId}`);
+      }
+    }
+
+    this.modmail_config = config;
+    this.changed('modmail_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated modmail config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the member report configuration merged over its defaults
+   * @returns {Object} Report configuration
+   */
+  getReportConfig() {
+    return { ...DEFAULT_REPORT_CONFIG, ...(this.report_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to member reports
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateReportConfig(updates) {
+    const config = { ...this.getReportConfig(), ...updates };
+
+    if (config.channel_id && !this.isValidSnowflake(config.channel_id)) {
+      throw new Error('Report queue channel must be a valid channel ID');
+    }
+    const [minRate, maxRate] = REPORT_RATE_LIMITS;
+    if (!Number.isInteger(config.max_reports_per_hour) || config.max_reports_per_hour < minRate || config.max_reports_per_hour > maxRate) {
+      throw new Error(`Report limit must be between ${minRate} and ${maxRate} per hour`);
+    }
+
+    this.report_config = config;
+    this.changed('report_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated report config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the trust score gate configuration merged over its defaults
+   * @returns {Object} Trust configuration
+   */
+  getTrustConfig() {
+    return { ...DEFAULT_TRUST_CONFIG, ...(this.trust_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to trust score gates
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateTrustConfig(updates) {
+    const config = { ...this.getTrustConfig(), ...updates };
+
+    const [min, max] = TRUST_SCORE_RANGE;
+    for (const key of ['gift_min_score', 'link_min_score']) {
+      if (!Number.isInteger(config[key]) || config[key] < min || config[key] > max) {
+        throw new Error(`Trust ${key} must be between ${min} and ${max}`);
+      }
+    }
+
+    this.trust_config = config;
+    this.changed('trust_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated trust config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the age re-verification policy merged over its defaults
+   * @returns {Object} Re-verification configuration
+   */
+  getReverificationConfig() {
+    return { ...DEFAULT_REVERIFICATION_CONFIG, ...(this.reverification_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to the age re-verification policy
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateReverificationConfig(updates) {
+    const config = { ...this.getReverificationConfig(), ...updates };
+
+    for (const [key, [min, max]] of Object.entries(REVERIFICATION_LIMITS)) {
+      if (!Number.isInteger(config[key]) || config[key] < min || config[key] > max) {
+        throw new Error(`Re-verification ${key} must be between ${min} and ${max}`);
+      }
+    }
+    if (config.reminder_days >= config.validity_days) {
+      throw new Error('Re-verification reminders must go out before the verification expires');
+    }
+    if (config.channel_id && !this.isValidSnowflake(config.channel_id)) {
+      throw new Error('Re-verification channel must be a valid channel ID');
+    }
+
+    this.reverification_config = config;
+    this.changed('reverification_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated re-verification config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the age verification mode configuration merged over its defaults
+   * @returns {Object} Verification configuration
+   */
+  getVerificationModeConfig() {
+    return { ...DEFAULT_VERIFICATION_MODE_CONFIG, ...(this.verification_mode_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to the age verification mode
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateVerificationModeConfig(updates) {
+    const config = { ...this.getVerificationModeConfig(), ...updates };
+
+    if (!VERIFICATION_MODES.includes(config.mode)) {
+      throw new Error(`Verification mode must be one of: ${VERIFICATION_MODES.join(', ')}`);
+    }
+    for (const [key, [min, max]] of Object.entries(VERIFICATION_MODE_LIMITS)) {
+      if (!Number.isInteger(config[key]) || config[key] < min || config[key] > max) {
+        throw new Error(`Verification ${key} must be between ${min} and ${max}`);
+      }
+    }
+    if (config.review_channel_id && !this.isValidSnowflake(config.review_channel_id)) {
+      throw new Error('Verification review channel must be a valid channel ID');
+    }
+    if (config.mode !== 'button' && !config.review_channel_id) {
+      throw new Error('Verification review channel is required for birthdate and staff review modes');
+    }
+
+    this.verification_mode_config = config;
+    this.changed('verification_mode_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated verification mode config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the 21+ channel declarations merged over their defaults
+   * @returns {Object} Age gate configuration
+   */
+  getAgeGateConfig() {
+    return { ...DEFAULT_AGE_GATE_CONFIG, ...(this.age_gate_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to the 21+ channel declarations
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateAgeGateConfig(updates) {
+    const config = { ...this.getAgeGateConfig(), ...updates };
+
+    for (const key of ['channel_ids', 'category_ids']) {
+      if (!Array.isArray(config[key]) || config[key].length > AGE_GATE_LIST_LIMIT) {
+        throw new Error(`Age gate ${key.replace(/_ids$/, '')} list can hold at most ${AGE_GATE_LIST_LIMIT} entries`);
+      }
+      const invalid = config[key].find(id => !this.isValidSnowflake(id));
+      if (invalid !== undefined) {
+        throw new Error(`Age gate ${key.replace(/_ids$/, '')} must be a valid channel ID: ${invalid}`);
+      }
+      config[key] = [...new Set(config[key].map(String))];
+    }
+    if (config.alert_channel_id && !this.isValidSnowflake(config.alert_channel_id)) {
+      throw new Error('Age gate alert channel must be a valid channel ID');
+    }
+
+    this.age_gate_config = config;
+    this.changed('age_gate_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated age gate config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Get the join screening configuration merged over its defaults
+   * @returns {Object} Join screening configuration
+   */
+  getJoinScreeningConfig() {
+    return { ...DEFAULT_JOIN_SCREENING_CONFIG, ...(this.join_screening_config || {}) };
+  }
+
+  /**
+   * Validate and save changes to join screening
+   * @param {Object} updates - Configuration fields to change
+   * @returns {Promise<GuildSettings>} Updated instance
+   */
+  async updateJoinScreeningConfig(updates) {
+    const config = { ...this.getJoinScreeningConfig(), ...updates };
+
+    for (const [key, [min, max]] of Object.entries(JOIN_SCREENING_LIMITS)) {
+      if (!Number.isInteger(config[key]) || config[key] < min || config[key] > max) {
+        throw new Error(`Join screening ${key.replace(/_/g, ' ')} must be between ${min} and ${max}`);
+      }
+    }
+    if (config.quarantine_role_id && !this.isValidSnowflake(config.quarantine_role_id)) {
+      throw new Error('Join screening quarantine role must be a valid role ID');
+    }
+    if (config.alert_channel_id && !this.isValidSnowflake(config.alert_channel_id)) {
+      throw new Error('Join screening alert channel must be a valid channel ID');
+    }
+    if (config.enabled && (!config.quarantine_role_id || !config.alert_channel_id)) {
+      throw new Error('Join screening needs a quarantine role and an alert channel before it can be enabled');
+    }
+
+    this.join_screening_config = config;
+    this.changed('join_screening_config', true);
+    await this.save();
+
+    console.log(`[GuildSettings] Updated join screening config for guild ${this.guild_id}`);
+    return this;
+  }
+
+  /**
+   * Check whether raid mode is currently active
+   * @returns {boolean} True while raid mode has not expired
+   */
+  isRaidModeActive() {
+    return Boolean(this.raid_mode_until && new Date(this.raid_mode_until) > new Date());
+  }
+
   /**
    * Enable specific feature flag
    * @param {string} flagName - Feature flag name
@@ -254,6 +888,7 @@ class GuildSettings extends Model {
       { key: 'verification_channel_id', value: this.verification_channel_id },
       { key: 'verified_role_id', value: this.verified_role_id },
       { key: 'log_channel_id', value: this.log_channel_id },
+      { key: 'appeal_channel_id', value: this.appeal_channel_id },
       { key: 'instagram_channel_id', value: this.instagram_channel_id }
     ];
 
@@ -343,6 +978,11 @@ function initGuildSettingsModel(sequelize) {
       allowNull: true,
       comment: 'Channel for audit logs and bot notifications'
     },
+    appeal_channel_id: {
+      type: DataTypes.BIGINT,
+      allowNull: true,
+      comment: 'Staff channel for moderation appeal review cards'
+    },
     welcome_message: {
       type: DataTypes.TEXT,
       allowNull: true,
@@ -371,6 +1011,71 @@ function initGuildSettingsModel(sequelize) {
       allowNull: false,
       defaultValue: {},
       comment: 'Bot feature flags for progressive rollout'
+    },
+    warning_escalation: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_ESCALATION_POLICY,
+      comment: 'Warning escalation ladder applied by the moderation service'
+    },
+    automod_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_AUTOMOD_CONFIG,
+      comment: 'Per-filter auto-moderation settings (actions, exemptions, review channel)'
+    },
+    raid_mode_until: {
+      type: DataTypes.DATE,
+      allowNull: true,
+      comment: 'Raid mode is active until this time (verification paused, new accounts timed out)'
+    },
+    message_log_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_MESSAGE_LOG_CONFIG,
+      comment: 'Message edit/delete logging settings (log channel, retention, ignored channels)'
+    },
+    modmail_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_MODMAIL_CONFIG,
+      comment: 'Modmail settings (staff channel, staff roles, reply anonymity)'
+    },
+    report_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_REPORT_CONFIG,
+      comment: 'Member report settings (queue channel, per-member rate limit, reporter feedback)'
+    },
+    trust_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_TRUST_CONFIG,
+      comment: 'Minimum trust scores for gifting and posting links'
+    },
+    reverification_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_REVERIFICATION_CONFIG,
+      comment: 'Age re-verification policy (validity period, reminder lead time, prompt channel)'
+    },
+    verification_mode_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_VERIFICATION_MODE_CONFIG,
+      comment: 'Age verification mode and staff review settings'
+    },
+    age_gate_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_AGE_GATE_CONFIG,
+      comment: '21+ channel and category declarations audited against the verified role'
+    },
+    join_screening_config: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_JOIN_SCREENING_CONFIG,
+      comment: 'Join screening settings (quarantine role, staff alert channel, alt detection thresholds)'
     }
   }, {
     sequelize,
@@ -389,4 +1094,30 @@ function initGuildSettingsModel(sequelize) {
   return GuildSettings;
 }
 
-module.exports = { GuildSettings, initGuildSettingsModel };
\ No newline at end of file
+module.exports = {
+  GuildSettings,
+  initGuildSettingsModel,
+  DEFAULT_ESCALATION_POLICY,
+  ESCALATION_ACTIONS,
+  MAX_TIMEOUT_MS,
+  DEFAULT_AUTOMOD_CONFIG,
+  AUTOMOD_ACTIONS,
+  AUTOMOD_LIMITS,
+  AUTOMOD_DOMAIN_LIST_LIMIT,
+  DEFAULT_MESSAGE_LOG_CONFIG,
+  MESSAGE_LOG_RETENTION_LIMITS,
+  DEFAULT_MODMAIL_CONFIG,
+  DEFAULT_REPORT_CONFIG,
+  REPORT_RATE_LIMITS,
+  DEFAULT_TRUST_CONFIG,
+  TRUST_SCORE_RANGE,
+  DEFAULT_REVERIFICATION_CONFIG,
+  REVERIFICATION_LIMITS,
+  VERIFICATION_MODES,
+  DEFAULT_VERIFICATION_MODE_CONFIG,
+  VERIFICATION_MODE_LIMITS,
+  DEFAULT_AGE_GATE_CONFIG,
+  AGE_GATE_LIST_LIMIT,
+  DEFAULT_JOIN_SCREENING_CONFIG,
+  JOIN_SCREENING_LIMITS
+};
\ No newline at end of file
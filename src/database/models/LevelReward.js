@@ -0,0 +1,143 @@
+/**
+ * LevelReward Model for GrowmiesNJ Discord Bot
+ *
+ * Admin-managed rewards granted when members reach a level
+ * Each row is one role, GrowCoins amount or shop item at a level; members who
+ * already passed the level receive it retroactively
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * Reward kinds
+ */
+const REWARD_TYPES = {
+  ROLE: 'role',
+  CURRENCY: 'currency',
+  ITEM: 'item'
+};
+
+/**
+ * LevelReward model holding a guild's reward table
+ */
+class LevelReward extends Model {
+  /**
+   * Get a guild's reward table
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<LevelReward[]>} - Rewards, lowest level first
+   */
+  static async findForGuild(guildId) {
+    return await this.findAll({
+      where: { guild_id: guildId },
+      order: [['level', 'ASC'], ['created_at', 'ASC']],
+    });
+  }
+
+  /**
+   * Get the rewards at one level
+   * @param {string} guildId - Discord guild ID
+   * @param {number} level - Level
+   * @param {string|null} rewardType - Only rewards of this kind
+   * @returns {Promise<LevelReward[]>} - Rewards
+   */
+  static async findAtLevel(guildId, level, rewardType = null) {
+    const where = { guild_id: guildId, level };
+    if (rewardType) where.reward_type = rewardType;
+
+    return await this.findAll({ where });
+  }
+
+  /**
+   * Short description for embeds and logs
+   * @param {Map<string, string>} itemNames - Item names by ID
+   * @returns {string} - Reward description
+   */
+  describe(itemNames = new Map()) {
+    switch (this.reward_type) {
+      case REWARD_TYPES.ROLE:
+        return `<@&${this.role_id}>`;
+      case REWARD_TYPES.CURRENCY:
+        return `${this.amount.toLocaleString()} GrowCoins`;
+      default:
+        return `${this.quantity}× ${itemNames.get(this.item_id) || 'shop item'}`;
+    }
+  }
+}
+
+/**
+ * Initialize LevelReward model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {LevelReward} - Initialized LevelReward model
+ */
+function initLevelRewardModel(sequelize) {
+  LevelReward.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique reward ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Level at which the reward is granted',
+    },
+    reward_type: {
+      type: DataTypes.ENUM(...Object.values(REWARD_TYPES)),
+      allowNull: false,
+      comment: 'Kind of reward',
+    },
+    role_id: {
+      type: DataTypes.STRING,
+      comment: 'Role granted (role rewards)',
+    },
+    amount: {
+      type: DataTypes.INTEGER,
+      comment: 'GrowCoins granted (currency rewards)',
+    },
+    item_id: {
+      type: DataTypes.UUID,
+      comment: 'Shop item granted (item rewards)',
+    },
+    quantity: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Number of items granted (item rewards)',
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the staff member who added the reward',
+    },
+  }, {
+    sequelize,
+    modelName: 'LevelReward',
+    tableName: 'level_rewards',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_level_rewards_guild_level',
+        fields: ['guild_id', 'level'],
+      },
+    ],
+  });
+
+  return LevelReward;
+}
+
+module.exports = {
+  LevelReward,
+  initLevelRewardModel,
+  REWARD_TYPES
+};
@@ -0,0 +1,95 @@
+/**
+ * LevelRewardGrant Model for GrowmiesNJ Discord Bot
+ *
+ * Records which level rewards each member has received so retroactive syncs
+ * never pay out GrowCoins or items twice. Role grants replaced by a higher
+ * level's role are marked replaced so a switch back to stacking restores them
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * LevelRewardGrant model tracking rewards already given to members
+ */
+class LevelRewardGrant extends Model {
+  /**
+   * Get a member's grants
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Map<string, LevelRewardGrant>>} - Grants by reward ID
+   */
+  static async findForMember(guildId, userId) {
+    const grants = await this.findAll({
+      where: { guild_id: guildId, user_id: userId },
+    });
+    return new Map(grants.map(grant => [grant.reward_id, grant]));
+  }
+}
+
+/**
+ * Initialize LevelRewardGrant model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {LevelRewardGrant} - Initialized LevelRewardGrant model
+ */
+function initLevelRewardGrantModel(sequelize) {
+  LevelRewardGrant.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique grant ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the member who received the reward',
+    },
+    reward_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Granted level reward (grants are removed with the reward)',
+    },
+    level: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Member level when the reward was granted',
+    },
+    replaced_at: {
+      type: DataTypes.DATE,
+      comment: 'When a higher level role reward replaced this role',
+    },
+  }, {
+    sequelize,
+    modelName: 'LevelRewardGrant',
+    tableName: 'level_reward_grants',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_level_reward_grants_reward_user',
+        fields: ['reward_id', 'user_id'],
+        unique: true,
+      },
+      {
+        name: 'idx_level_reward_grants_member',
+        fields: ['guild_id', 'user_id'],
+      },
+    ],
+  });
+
+  return LevelRewardGrant;
+}
+
+module.exports = {
+  LevelRewardGrant,
+  initLevelRewardGrantModel
+};
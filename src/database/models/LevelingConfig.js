@@ -13,6 +13,79 @@
 const { DataTypes, Model } = require('sequelize');
 const { sequelize } = require('../connection');
 
+// Channels and categories that can be excluded from XP gain
+const EXCLUDED_CHANNEL_LIMIT = 50;
+
+/**
+ * Allowed ranges for reaction XP and its anti-farming caps ([min, max, label])
+ */
+const REACTION_XP_LIMITS = {
+  xp_per_reaction_received: [1, 10, 'Reaction XP amount'],
+  reaction_xp_message_cap: [1, 50, 'Reaction XP per-message cap'],
+  reaction_xp_daily_cap: [1, 500, 'Reaction XP daily cap'],
+  reaction_xp_pair_daily_cap: [1, 20, 'Reaction XP per-member cap']
+};
+
+// Tiers above Seedling, which have activity requirements on top of their minimum level
+const PROGRESSION_TIERS = ['Growing', 'Established', 'Harvested'];
+
+/**
+ * Default activity requirements per tier (the minimum level comes from tier_thresholds)
+ */
+const DEFAULT_TIER_REQUIREMENTS = {
+  Growing: {
+    min_activity_score: 30,
+    min_days_active: 7,
+    min_messages: 30,
+    min_total_xp: 500
+  },
+  Established: {
+    min_activity_score: 50,
+    min_days_active: 30,
+    min_messages: 100,
+    min_total_xp: 2500,
+    min_voice_minutes: 60
+  },
+  Harvested: {
+    min_activity_score: 70,
+    min_days_active: 90,
+    min_messages: 500,
+    min_total_xp: 10000,
+    min_voice_minutes: 300,
+    min_reactions_received: 50
+  }
+};
+
+/**
+ * Allowed ranges for tier requirements ([min, max, label])
+ */
+const TIER_REQUIREMENT_LIMITS = {
+  min_activity_score: [0, 100, 'Activity score'],
+  min_days_active: [0, 365, 'Days of participation'],
+  min_messages: [0, 100000, 'Messages'],
+  min_total_xp: [0, 10000000, 'Total XP'],
+  min_voice_minutes: [0, 100000, 'Voice minutes'],
+  min_reactions_received: [0, 10000, 'Helpful reactions']
+};
+
+// Highest level a tier can start at
+const MAX_TIER_LEVEL = 1000;
+
+// How role rewards combine: keep every earned role, or only the highest level's
+const REWARD_ROLE_MODES = ['stack', 'replace'];
+
+/**
+ * Allowed XP multipliers for channels and roles
+ * Channel multipliers below 1 slow XP down in off-topic channels; the effective
+ * multiplier across channel, role, boost event and boost item is capped
+ */
+const XP_MULTIPLIER_LIMITS = {
+  MIN: 0.1,
+  MAX: 5,
+  MAX_ENTRIES: 25,
+  MAX_EFFECTIVE: 10
+};
+
 class LevelingConfig extends Model {
   /**
    * Find leveling config by Discord guild ID
@@ -100,6 +173,40 @@ class LevelingConfig extends Model {
         throw new Error('Level curve multiplier must be between 0.5 and 3.0');
       }
 
+      if (REACTION_XP_LIMITS[key]) {
+        const [min, max, label] = REACTION_XP_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+          throw new Error(`${label} must be between ${min} and ${max}`);
+        }
+      }
+
+      if (key === 'excluded_channel_ids') {
+        if (!Array.isArray(value) || value.length > EXCLUDED_CHANNEL_LIMIT) {
+          throw new Error(`Excluded channels must be a list of at most ${EXCLUDED_CHANNEL_LIMIT} channels`);
+        }
+        const invalid = value.find(id => !this.isValidSnowflake(id));
+        if (invalid) {
+          throw new Error(`Invalid Discord channel ID format: ${invalid}`);
+        }
+        value = [...new Set(value)];
+      }
+
+      if (key === 'tier_thresholds') {
+        value = this.normalizeTierThresholds(value);
+      }
+
+      if (key === 'tier_requirements') {
+        value = this.normalizeTierRequirements(value);
+      }
+
+      if (key === 'channel_xp_multipliers' || key === 'role_xp_multipliers') {
+        value = this.normalizeXPMultipliers(value, key === 'channel_xp_multipliers' ? 'channel' : 'role');
+      }
+
+      if (key === 'reward_role_mode' && !REWARD_ROLE_MODES.includes(value)) {
+        throw new Error(`Reward role mode must be one of: ${REWARD_ROLE_MODES.join(', ')}`);
+      }
+
       // Validate Discord snowflake IDs
       if (key === 'level_up_announcement_channel_id' && value && !this.isValidSnowflake(value)) {
         throw new Error(`Invalid Discord channel ID format: ${value}`);
@@ -146,6 +253,69 @@ class LevelingConfig extends Model {
     return this.leveling_enabled === true;
   }
 
+  /**
+   * Check if a channel (or its category) is excluded from XP gain
+   * @param {string} channelId - Discord channel ID
+   * @param {string|null} parentId - Category the channel belongs to
+   * @returns {boolean} True if no XP is earned in the channel
+   */
+  isChannelExcluded(channelId, parentId = null) {
+    const excluded = this.excluded_channel_ids || [];
+    return excluded.includes(channelId) || (!!parentId && excluded.includes(parentId));
+  }
+
+  /**
+   * Get the XP multiplier for a channel, falling back to its category or parent channel
+   * @param {string} channelId - Discord channel ID
+   * @param {string|null} parentId - Category or parent channel ID
+   * @returns {Object|null} { channel_id, multiplier } or null when neither has one
+   */
+  getChannelMultiplier(channelId, parentId = null) {
+    const multipliers = this.channel_xp_multipliers || {};
+    const matchedId = [channelId, parentId].find(id => id && multipliers[id] !== undefined);
+    return matchedId ? { channel_id: matchedId, multiplier: multipliers[matchedId] } : null;
+  }
+
+  /**
+   * Get the highest XP multiplier among a member's roles
+   * @param {string[]} roleIds - Discord role IDs the member holds
+   * @returns {Object|null} { role_id, multiplier } or null when no role has one
+   */
+  getRoleMultiplier(roleIds) {
+    const multipliers = this.role_xp_multipliers || {};
+    return roleIds
+      .filter(roleId => multipliers[roleId] !== undefined)
+      .map(roleId => ({ role_id: roleId, multiplier: multipliers[roleId] }))
+      .sort((a, b) => b.multiplier - a.multiplier)[0] || null;
+  }
+
+  /**
+   * Validate channel or role XP multipliers
+   * @param {Object} multipliers - { discordId: multiplier }
+   * @param {string} kind - 'channel' or 'role', for error messages
+   * @returns {Object} Normalized multipliers
+   */
+  normalizeXPMultipliers(multipliers, kind) {
+    if (!multipliers || typeof multipliers !== 'object' || Array.isArray(multipliers)) {
+      throw new Error(`XP multipliers must map ${kind} IDs to multipliers`);
+    }
+
+    const entries = Object.entries(multipliers);
+    if (entries.length > XP_MULTIPLIER_LIMITS.MAX_ENTRIES) {
+      throw new Error(`XP multipliers: at most ${XP_MULTIPLIER_LIMITS.MAX_ENTRIES} ${kind} multipliers can be set`);
+    }
+
+    return Object.fromEntries(entries.map(([id, multiplier]) => {
+      if (!this.isValidSnowflake(id)) {
+        throw new Error(`Invalid Discord ${kind} ID format: ${id}`);
+      }
+      if (typeof multiplier !== 'number' || multiplier < XP_MULTIPLIER_LIMITS.MIN || multiplier > XP_MULTIPLIER_LIMITS.MAX) {
+        throw new Error(`XP multiplier must be between ${XP_MULTIPLIER_LIMITS.MIN} and ${XP_MULTIPLIER_LIMITS.MAX}`);
+      }
+      return [id, Math.round(multiplier * 100) / 100];
+    }));
+  }
+
   /**
    * Get XP configuration object
    * @returns {Object} XP configuration
@@ -159,7 +329,15 @@ class LevelingConfig extends Model {
       voice_xp_enabled: this.voice_xp_enabled,
       voice_xp_per_minute: this.voice_xp_per_minute,
       reaction_xp_enabled: this.reaction_xp_enabled,
-      xp_per_reaction_received: this.xp_per_reaction_received
+      xp_per_reaction_received: this.xp_per_reaction_received,
+      reaction_xp_message_cap: this.reaction_xp_message_cap,
+      reaction_xp_daily_cap: this.reaction_xp_daily_cap,
+      reaction_xp_pair_daily_cap: this.reaction_xp_pair_daily_cap,
+      excluded_channel_ids: this.excluded_channel_ids || [],
+      tier_requirements: this.getTierRequirements(),
+      reward_role_mode: this.reward_role_mode,
+      channel_xp_multipliers: this.channel_xp_multipliers,
+      role_xp_multipliers: this.role_xp_multipliers
     };
   }
 
@@ -176,6 +354,66 @@ class LevelingConfig extends Model {
     };
   }
 
+  /**
+   * Get the full rules for each tier above Seedling
+   * @returns {Object} Requirements per tier, including the minimum level from tier_thresholds
+   */
+  getTierRequirements() {
+    const thresholds = this.getTierThresholds();
+    const configured = this.tier_requirements || {};
+
+    return Object.fromEntries(PROGRESSION_TIERS.map(tier => [tier, {
+      min_level: thresholds[tier].min,
+      ...(configured[tier] || DEFAULT_TIER_REQUIREMENTS[tier])
+    }]));
+  }
+
+  /**
+   * Validate tier minimum levels and derive each tier's maximum from the next tier
+   * @param {Object} thresholds - { Tier: { min } } for every tier
+   * @returns {Object} Normalized tier thresholds
+   */
+  normalizeTierThresholds(thresholds) {
+    const tiers = ['Seedling', ...PROGRESSION_TIERS];
+    const mins = tiers.map(tier => thresholds?.[tier]?.min);
+
+    if (mins[0] !== 1) {
+      throw new Error('Tier thresholds must start Seedling at level 1');
+    }
+    for (let i = 1; i < tiers.length; i++) {
+      if (!Number.isInteger(mins[i]) || mins[i] <= mins[i - 1] || mins[i] > MAX_TIER_LEVEL) {
+        throw new Error(`Tier thresholds: ${tiers[i]} must start above level ${mins[i - 1]} and at most level ${MAX_TIER_LEVEL}`);
+      }
+    }
+
+    return Object.fromEntries(tiers.map((tier, i) => [tier, {
+      min: mins[i],
+      max: i < tiers.length - 1 ? mins[i + 1] - 1 : Math.max(thresholds.Harvested.max || 0, mins[i])
+    }]));
+  }
+
+  /**
+   * Validate activity requirements for each tier
+   * @param {Object} requirements - { Tier: { min_messages, ... } }
+   * @returns {Object} Requirements for every tier above Seedling
+   */
+  normalizeTierRequirements(requirements) {
+    return Object.fromEntries(PROGRESSION_TIERS.map(tier => {
+      const tierRequirements = requirements?.[tier] || DEFAULT_TIER_REQUIREMENTS[tier];
+
+      for (const [key, value] of Object.entries(tierRequirements)) {
+        if (!TIER_REQUIREMENT_LIMITS[key]) {
+          throw new Error(`Tier requirement ${key} is not recognised`);
+        }
+        const [min, max, label] = TIER_REQUIREMENT_LIMITS[key];
+        if (!Number.isInteger(value) || value < min || value > max) {
+          throw new Error(`Tier requirement ${label} for ${tier} must be between ${min} and ${max}`);
+        }
+      }
+      return [tier, { ...tierRequirements }];
+    }));
+  }
+
   /**
    * Calculate XP required for a specific level
    * @param {number} level - Target level
@@ -363,6 +601,24 @@ function initLevelingConfigModel(sequelize) {
       defaultValue: 1,
       comment: 'XP awarded per helpful reaction received'
     },
+    reaction_xp_message_cap: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 10,
+      comment: 'Reactions per message that earn the author XP (1-50 range)'
+    },
+    reaction_xp_daily_cap: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 50,
+      comment: 'Reactions per author per 24 hours that earn XP (1-500 range)'
+    },
+    reaction_xp_pair_daily_cap: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 3,
+      comment: 'Reactions from the same member to the same author per 24 hours that earn XP (1-20 range)'
+    },
     level_up_notifications_enabled: {
       type: DataTypes.BOOLEAN,
       allowNull: false,
@@ -391,6 +647,36 @@ function initLevelingConfigModel(sequelize) {
       allowNull: false,
       defaultValue: true,
       comment: 'Require 21+ verification to participate in leveling'
+    },
+    excluded_channel_ids: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Channels and categories where no XP is earned'
+    },
+    tier_requirements: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: DEFAULT_TIER_REQUIREMENTS,
+      comment: 'Activity requirements per tier on top of the tier_thresholds minimum level'
+    },
+    reward_role_mode: {
+      type: DataTypes.STRING(10),
+      allowNull: false,
+      defaultValue: 'stack',
+      comment: 'Whether level reward roles stack or the highest replaces the rest'
+    },
+    channel_xp_multipliers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'XP multipliers by channel or category ID'
+    },
+    role_xp_multipliers: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: {},
+      comment: 'XP multipliers by role ID; members get their highest'
     }
   }, {
     sequelize,
@@ -471,4 +757,15 @@ function initLevelingConfigModel(sequelize) {
   return LevelingConfig;
 }
 
-module.exports = { LevelingConfig, initLevelingConfigModel };
\ No newline at end of file
+module.exports = {
+  LevelingConfig,
+  initLevelingConfigModel,
+  EXCLUDED_CHANNEL_LIMIT,
+  REACTION_XP_LIMITS,
+  PROGRESSION_TIERS,
+  DEFAULT_TIER_REQUIREMENTS,
+  TIER_REQUIREMENT_LIMITS,
+  MAX_TIER_LEVEL,
+  REWARD_ROLE_MODES,
+  XP_MULTIPLIER_LIMITS
+};
\ No newline at end of file
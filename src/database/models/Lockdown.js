@@ -0,0 +1,162 @@
+/**
+ * Lockdown Model for GrowmiesNJ Discord Bot
+ *
+ * Emergency lockdowns started with /lockdown, including the snapshot of every
+ * permission overwrite the lockdown changed so ending it restores the exact prior state
+ * Active lockdowns survive restarts; at most one is active per guild
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * What a lockdown can restrict
+ * - all_channels: members cannot send, react, create threads or speak in any channel
+ * - age_gated: declared 21+ channels are hidden from everyone but staff
+ * - verification: age verification is paused
+ * - new_joins: invites are paused and new members are removed
+ */
+const LOCKDOWN_SCOPES = ['all_channels', 'age_gated', 'verification', 'new_joins'];
+
+const LOCKDOWN_STATUSES = ['active', 'ended'];
+
+/**
+ * Lockdown model tracking one lockdown from start to end
+ */
+class Lockdown extends Model {
+  /**
+   * Find the active lockdown for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Lockdown|null>} - Active lockdown
+   */
+  static async findActive(guildId) {
+    return await this.findOne({
+      where: { guild_id: guildId, status: 'active' },
+    });
+  }
+
+  /**
+   * Get every active lockdown (used to restore state after a restart)
+   * @returns {Promise<Lockdown[]>} - Active lockdowns
+   */
+  static async findAllActive() {
+    return await this.findAll({
+      where: { status: 'active' },
+      order: [['started_at', 'ASC']],
+    });
+  }
+
+  /**
+   * Check whether the lockdown restricts a scope
+   * @param {string} scope - Lockdown scope
+   * @returns {boolean} - True when the scope is locked
+   */
+  hasScope(scope) {
+    return this.status === 'active' && (this.scopes || []).includes(scope);
+  }
+}
+
+/**
+ * Initialize Lockdown model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {Lockdown} - Initialized Lockdown model
+ */
+function initLockdownModel(sequelize) {
+  Lockdown.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique lockdown ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    status: {
+      type: DataTypes.ENUM(...LOCKDOWN_STATUSES),
+      allowNull: false,
+      defaultValue: 'active',
+      comment: 'Whether the lockdown is still in effect',
+    },
+    scopes: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: [],
+      comment: 'Locked scopes, in the order they were added',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      comment: 'Why the lockdown was started',
+    },
+    started_by: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the staff member who started the lockdown',
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'When the lockdown started',
+    },
+    ended_by: {
+      type: DataTypes.STRING,
+      comment: 'Discord ID of the staff member who ended the lockdown',
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      comment: 'When the lockdown ended',
+    },
+    snapshot: {
+      type: DataTypes.JSONB,
+      allowNull: false,
+      defaultValue: { overwrites: [], invites_disabled: null },
+      comment: 'Overwrites and guild state as they were before the lockdown changed them',
+    },
+    announcement_channel_id: {
+      type: DataTypes.STRING,
+      comment: 'Channel the lockdown announcement was posted in',
+    },
+    announcement_message_id: {
+      type: DataTypes.STRING,
+      comment: 'Lockdown announcement message',
+    },
+    restore_errors: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Overwrites that could not be restored when the lockdown ended',
+    },
+  }, {
+    sequelize,
+    modelName: 'Lockdown',
+    tableName: 'lockdowns',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_lockdowns_active_guild',
+        fields: ['guild_id'],
+        unique: true,
+        where: { status: 'active' },
+      },
+      {
+        name: 'idx_lockdowns_guild_started',
+        fields: ['guild_id', 'started_at'],
+      },
+    ],
+  });
+
+  return Lockdown;
+}
+
+module.exports = {
+  Lockdown,
+  initLockdownModel,
+  LOCKDOWN_SCOPES,
+  LOCKDOWN_STATUSES
+};
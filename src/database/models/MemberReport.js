@@ -0,0 +1,246 @@
+/**
+ * MemberReport Model for GrowmiesNJ Discord Bot
+ *
+ * Member-submitted reports of messages and users, reviewed by staff from the
+ * report queue channel and optionally escalated into moderation cases
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * Report statuses that still need staff attention
+ */
+const OPEN_REPORT_STATUSES = ['PENDING', 'CLAIMED'];
+
+/**
+ * MemberReport model tracking one report and its review
+ */
+class MemberReport extends Model {
+  /**
+   * Count reports a member submitted since a point in time
+   * @param {string} guildId - Discord guild ID
+   * @param {string} reporterId - Discord user ID of the reporter
+   * @param {Date} since - Start of the window
+   * @returns {Promise<number>} - Number of reports
+   */
+  static async countRecentByReporter(guildId, reporterId, since) {
+    return await this.count({
+      where: {
+        guild_id: guildId,
+        reporter_id: reporterId,
+        created_at: { [Op.gte]: since },
+      },
+    });
+  }
+
+  /**
+   * Find an open report from the same reporter about the same message or user
+   * @param {string} guildId - Discord guild ID
+   * @param {string} reporterId - Discord user ID of the reporter
+   * @param {Object} target - { reportType, targetUserId, messageId }
+   * @returns {Promise<MemberReport|null>} - Open duplicate report
+   */
+  static async findOpenDuplicate(guildId, reporterId, { reportType, targetUserId, messageId }) {
+    return await this.findOne({
+      where: {
+        guild_id: guildId,
+        reporter_id: reporterId,
+        report_type: reportType,
+        status: { [Op.in]: OPEN_REPORT_STATUSES },
+        ...(reportType === 'MESSAGE' ? { message_id: messageId } : { target_user_id: targetUserId }),
+      },
+    });
+  }
+
+  /**
+   * Get open reports for the staff queue
+   * @param {string} guildId - Discord guild ID
+   * @param {number} limit - Maximum number of reports to return
+   * @returns {Promise<MemberReport[]>} - Open reports, oldest first
+   */
+  static async getOpenReports(guildId, limit = 10) {
+    return await this.findAll({
+      where: {
+        guild_id: guildId,
+        status: { [Op.in]: OPEN_REPORT_STATUSES },
+      },
+      order: [['created_at', 'ASC']],
+      limit,
+    });
+  }
+
+  /**
+   * Generate report number for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<string>} - Generated report number (YYYY-MM-RPT###)
+   */
+  static async generateReportNumber(guildId) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const prefix = `${year}-${month}-RPT`;
+
+    const latestReport = await this.findOne({
+      where: {
+        guild_id: guildId,
+        report_number: { [Op.like]: `${prefix}%` },
+      },
+      order: [['report_number', 'DESC']],
+    });
+
+    let nextNumber = 1;
+    if (latestReport) {
+      nextNumber = parseInt(latestReport.report_number.split('RPT')[1]) + 1;
+    }
+
+    return `${prefix}${String(nextNumber).padStart(3, '0')}`;
+  }
+
+  /**
+   * Check whether the report still needs staff attention
+   * @returns {boolean} - True while pending or claimed
+   */
+  isOpen() {
+    return OPEN_REPORT_STATUSES.includes(this.status);
+  }
+
+  /**
+   * Format the reported message snapshot as a moderation case evidence entry
+   * @returns {string|null} - Evidence entry, or null for user reports
+   */
+  toEvidenceString() {
+    if (this.report_type !== 'MESSAGE' || !this.message_snapshot) {
+      return null;
+    }
+
+    const snapshot = this.message_snapshot;
+    const parts = [`Reported message ${this.message_id} by ${snapshot.author_tag || this.target_user_id} in <#${this.channel_id}>`];
+    parts.push(`Content: ${snapshot.content || '[no text]'}`);
+    for (const attachment of snapshot.attachments || []) {
+      parts.push(`Attachment: ${attachment.name} (${attachment.url})`);
+    }
+
+    return parts.join('\n');
+  }
+}
+
+/**
+ * Initialize MemberReport model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {MemberReport} - Initialized MemberReport model
+ */
+function initMemberReportModel(sequelize) {
+  MemberReport.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique report ID',
+    },
+    report_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Human-readable report number (YYYY-MM-RPT###)',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    reporter_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Member who submitted the report',
+    },
+    target_user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Reported user (author of the reported message for message reports)',
+    },
+    report_type: {
+      type: DataTypes.ENUM('MESSAGE', 'USER'),
+      allowNull: false,
+      comment: 'Whether a message or a user was reported',
+    },
+    channel_id: {
+      type: DataTypes.STRING,
+      comment: 'Channel of the reported message',
+    },
+    message_id: {
+      type: DataTypes.STRING,
+      comment: 'Reported message ID',
+    },
+    message_snapshot: {
+      type: DataTypes.JSONB,
+      comment: 'Reported message content and attachments at time of reporting',
+    },
+    reason: {
+      type: DataTypes.TEXT,
+      allowNull: false,
+      comment: 'Reporter\'s explanation',
+    },
+    status: {
+      type: DataTypes.ENUM('PENDING', 'CLAIMED', 'DISMISSED', 'ESCALATED'),
+      allowNull: false,
+      defaultValue: 'PENDING',
+      comment: 'Review status',
+    },
+    claimed_by: {
+      type: DataTypes.STRING,
+      comment: 'Staff member reviewing the report',
+    },
+    claimed_at: {
+      type: DataTypes.DATE,
+      comment: 'When the report was claimed',
+    },
+    resolved_by: {
+      type: DataTypes.STRING,
+      comment: 'Staff member who dismissed or escalated the report',
+    },
+    resolved_at: {
+      type: DataTypes.DATE,
+      comment: 'When the report was dismissed or escalated',
+    },
+    case_number: {
+      type: DataTypes.STRING,
+      comment: 'Moderation case created by escalation',
+    },
+    queue_message_id: {
+      type: DataTypes.STRING,
+      comment: 'Staff queue message for the report',
+    },
+  }, {
+    sequelize,
+    modelName: 'MemberReport',
+    tableName: 'member_reports',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_member_report_number',
+        fields: ['guild_id', 'report_number'],
+        unique: true,
+      },
+      {
+        name: 'idx_member_report_reporter',
+        fields: ['guild_id', 'reporter_id', 'created_at'],
+      },
+      {
+        name: 'idx_member_report_status',
+        fields: ['guild_id', 'status'],
+      },
+    ],
+  });
+
+  return MemberReport;
+}
+
+module.exports = {
+  MemberReport,
+  initMemberReportModel,
+  OPEN_REPORT_STATUSES
+};
@@ -0,0 +1,246 @@
+/**
+ * MessageEvidence Model for GrowmiesNJ Discord Bot
+ *
+ * Snapshots of edited and deleted messages kept as moderation evidence
+ * Unattached snapshots expire after the guild's message log retention; snapshots
+ * attached to a case follow the audit log's legal retention period
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * Retention for snapshots attached to a moderation case (matches AuditLog retention_period)
+ */
+const CASE_EVIDENCE_RETENTION_DAYS = 2555;
+
+/**
+ * Maximum snapshot content included in a case evidence entry
+ */
+const EVIDENCE_EXCERPT_LENGTH = 500;
+
+/**
+ * MessageEvidence model storing before/after message content and attachment metadata
+ */
+class MessageEvidence extends Model {
+  /**
+   * Store a message snapshot with its retention window
+   * @param {Object} snapshot - Snapshot attributes
+   * @param {number} retentionDays - Days to keep the snapshot while unattached
+   * @returns {Promise<MessageEvidence>} - Created snapshot
+   */
+  static async recordSnapshot(snapshot, retentionDays) {
+    return await this.create({
+      ...snapshot,
+      retention_period: retentionDays,
+      expires_at: new Date(Date.now() + retentionDays * 24 * 60 * 60 * 1000),
+    });
+  }
+
+  /**
+   * Get all snapshots for the given message IDs in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string[]} messageIds - Discord message IDs
+   * @returns {Promise<MessageEvidence[]>} - Snapshots, oldest first
+   */
+  static async findForMessages(guildId, messageIds) {
+    return await this.findAll({
+      where: {
+        guild_id: guildId,
+        message_id: { [Op.in]: messageIds },
+      },
+      order: [['created_at', 'ASC']],
+    });
+  }
+
+  /**
+   * Get recent snapshots of a user's messages
+   * @param {string} guildId - Discord guild ID
+   * @param {string} authorId - Discord user ID
+   * @param {number} limit - Maximum number of snapshots to return
+   * @returns {Promise<MessageEvidence[]>} - Snapshots, newest first
+   */
+  static async getForAuthor(guildId, authorId, limit = 25) {
+    return await this.findAll({
+      where: { guild_id: guildId, author_id: authorId },
+      order: [['created_at', 'DESC']],
+      limit,
+    });
+  }
+
+  /**
+   * Delete snapshots whose retention window has passed
+   * @returns {Promise<number>} - Number of snapshots removed
+   */
+  static async pruneExpired() {
+    return await this.destroy({
+      where: {
+        expires_at: { [Op.lt]: new Date() }
+      }
+    });
+  }
+
+  /**
+   * Attach this snapshot to a moderation case and extend its retention to match the audit trail
+   * @param {string} caseNumber - Moderation case number
+   * @returns {Promise<MessageEvidence>} - Updated snapshot
+   */
+  async attachToCase(caseNumber) {
+    const caseNumbers = new Set(this.case_numbers || []);
+    caseNumbers.add(caseNumber);
+
+    return await this.update({
+      case_numbers: [...caseNumbers],
+      retention_period: CASE_EVIDENCE_RETENTION_DAYS,
+      expires_at: new Date(new Date(this.created_at).getTime() + CASE_EVIDENCE_RETENTION_DAYS * 24 * 60 * 60 * 1000),
+    });
+  }
+
+  /**
+   * Format the snapshot as a moderation case evidence entry
+   * @returns {string} - Evidence entry
+   */
+  toEvidenceString() {
+    const label = {
+      'edit': 'Edited',
+      'delete': 'Deleted',
+      'bulk_delete': 'Bulk deleted',
+    }[this.event_type];
+
+    const excerpt = (text) => {
+      if (!text) return '[no text]';
+      return text.length > EVIDENCE_EXCERPT_LENGTH ? `${text.slice(0, EVIDENCE_EXCERPT_LENGTH)}…` : text;
+    };
+
+    const parts = [`${label} message ${this.message_id} by ${this.author_tag || this.author_id} in <#${this.channel_id}>`];
+    if (this.is_sensitive) {
+      // Case evidence is published to the mod log, so sensitive content stays in the store
+      parts.push(`Content withheld (sensitive): evidence snapshot ${this.id}`);
+      return parts.join('\n');
+    }
+
+    if (this.event_type === 'edit') {
+      parts.push(`Before: ${excerpt(this.content_before)}`, `After: ${excerpt(this.content_after)}`);
+    } else {
+      parts.push(`Content: ${excerpt(this.content_before)}`);
+    }
+    for (const attachment of this.attachments || []) {
+      parts.push(`Attachment: ${attachment.name} (${attachment.url})`);
+    }
+
+    return parts.join('\n');
+  }
+}
+
+/**
+ * Initialize MessageEvidence model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {MessageEvidence} - Initialized MessageEvidence model
+ */
+function initMessageEvidenceModel(sequelize) {
+  MessageEvidence.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique snapshot ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    channel_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Channel the message was posted in',
+    },
+    message_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord message ID',
+    },
+    author_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the message author',
+    },
+    author_tag: {
+      type: DataTypes.STRING,
+      comment: 'Author tag at time of capture',
+    },
+    event_type: {
+      type: DataTypes.ENUM('edit', 'delete', 'bulk_delete'),
+      allowNull: false,
+      comment: 'Event that produced the snapshot',
+    },
+    content_before: {
+      type: DataTypes.TEXT,
+      comment: 'Message content before the edit, or at deletion',
+    },
+    content_after: {
+      type: DataTypes.TEXT,
+      comment: 'Message content after the edit',
+    },
+    attachments: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Attachment metadata (id, name, url, content type, size)',
+    },
+    message_created_at: {
+      type: DataTypes.DATE,
+      comment: 'When the original message was posted',
+    },
+    case_numbers: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Moderation cases this snapshot is attached to',
+    },
+    retention_period: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'Days to retain this snapshot',
+    },
+    expires_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'When the snapshot is pruned',
+    },
+    is_sensitive: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Captured in the age verification channel; content is never posted to log channels',
+    },
+  }, {
+    sequelize,
+    modelName: 'MessageEvidence',
+    tableName: 'message_evidence',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_message_evidence_message',
+        fields: ['guild_id', 'message_id'],
+      },
+      {
+        name: 'idx_message_evidence_author',
+        fields: ['guild_id', 'author_id', 'created_at'],
+      },
+      {
+        name: 'idx_message_evidence_expires',
+        fields: ['expires_at'],
+      },
+    ],
+  });
+
+  return MessageEvidence;
+}
+
+module.exports = {
+  MessageEvidence,
+  initMessageEvidenceModel,
+  CASE_EVIDENCE_RETENTION_DAYS
+};
@@ -5,7 +5,7 @@
  * Integrates with existing AuditLog and User models for regulatory compliance
  */
 
-const { DataTypes, Model } = require('sequelize');
+const { DataTypes, Model, Op } = require('sequelize');
 const { sequelize } = require('../connection');
 
 /**
@@ -35,28 +35,37 @@ class ModerationCase extends Model {
   /**
    * Get moderation cases for a specific guild
    * @param {string} guildId - Discord guild ID
-   * @param {Object} filters - Optional filters (actionType, moderator, dateRange)
+   * @param {Object} filters - Optional filters (actionType, moderator, targetUser, appealStatus, status, dateRange)
    * @param {number} offset - Pagination offset
    * @param {number} limit - Maximum number of cases to return
    * @returns {Promise<{cases: ModerationCase[], total: number}>} - Guild's moderation cases with pagination
    */
   static async getCasesForGuild(guildId, filters = {}, offset = 0, limit = 100) {
-    const where = { guild_id: guildId, active: true };
+    const where = { guild_id: guildId };
+    
+    // Active cases only unless closed or all cases are requested
+    if (filters.status === 'closed') {
+      where.active = false;
+    } else if (filters.status !== 'all') {
+      where.active = true;
+    }
     
     if (filters.actionType) where.action_type = filters.actionType;
     if (filters.moderator) where.moderator_id = filters.moderator;
+    if (filters.targetUser) where.target_user_id = filters.targetUser;
+    if (filters.appealStatus) where.appeal_status = filters.appealStatus;
     if (filters.cannabisCompliance) {
-      where[DataTypes.Op.or] = [
+      where[Op.or] = [
         { age_related: true },
         { educational_violation: true },
         { legal_area_violation: true }
       ];
     }
     
-    if (filters.dateRange) {
-      where.created_at = {
-        [DataTypes.Op.between]: [filters.dateRange.start, filters.dateRange.end]
-      };
+    if (filters.dateRange && (filters.dateRange.start || filters.dateRange.end)) {
+      where.created_at = {};
+      if (filters.dateRange.start) where.created_at[Op.gte] = filters.dateRange.start;
+      if (filters.dateRange.end) where.created_at[Op.lte] = filters.dateRange.end;
     }
 
     const { count, rows } = await this.findAndCountAll({
@@ -82,7 +91,7 @@ class ModerationCase extends Model {
     if (guildId) where.guild_id = guildId;
     
     if (cannabisOnly) {
-      where[DataTypes.Op.or] = [
+      where[Op.or] = [
         { age_related: true },
         { educational_violation: true },
         { legal_area_violation: true }
@@ -96,6 +105,31 @@ class ModerationCase extends Model {
     });
   }
 
+  /**
+   * Get active temporary cases whose duration has elapsed
+   * @param {number} limit - Maximum number of cases to return
+   * @returns {Promise<ModerationCase[]>} - Expired cases, oldest expiry first
+   */
+  static async getExpiredActiveCases(limit = 50) {
+    const now = new Date();
+    return await this.findAll({
+      where: {
+        active: true,
+        expires_at: {
+          [Op.ne]: null,
+          [Op.lte]: now
+        },
+        // Cases that were skipped or failed wait for their retry time
+        [Op.or]: [
+          { expiry_retry_at: null },
+          { expiry_retry_at: { [Op.lte]: now } }
+        ]
+      },
+      order: [['expires_at', 'ASC']],
+      limit,
+    });
+  }
+
   /**
    * Generate case number for a guild
    * @param {string} guildId - Discord guild ID
@@ -112,7 +146,7 @@ class ModerationCase extends Model {
       where: {
         guild_id: guildId,
         case_number: {
-          [DataTypes.Op.like]: `${prefix}%`
+          [Op.like]: `${prefix}%`
         }
       },
       order: [['case_number', 'DESC']],
@@ -335,6 +369,10 @@ function initModerationCaseModel(sequelize) {
       type: DataTypes.DATE,
       comment: 'When the moderation action expires',
     },
+    expiry_retry_at: {
+      type: DataTypes.DATE,
+      comment: 'When a skipped or failed expiry is next attempted',
+    },
     evidence: {
       type: DataTypes.JSONB,
       defaultValue: [],
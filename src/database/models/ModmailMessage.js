@@ -0,0 +1,98 @@
+/**
+ * ModmailMessage Model for GrowmiesNJ Discord Bot
+ *
+ * Every message relayed through a modmail ticket, plus internal staff notes,
+ * kept so a full transcript can be exported
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * ModmailMessage model storing one transcript entry
+ */
+class ModmailMessage extends Model {
+  /**
+   * Get the transcript for a ticket
+   * @param {string} ticketId - Modmail ticket ID
+   * @returns {Promise<ModmailMessage[]>} - Messages, oldest first
+   */
+  static async getTranscript(ticketId) {
+    return await this.findAll({
+      where: { ticket_id: ticketId },
+      order: [['created_at', 'ASC']],
+    });
+  }
+}
+
+/**
+ * Initialize ModmailMessage model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {ModmailMessage} - Initialized ModmailMessage model
+ */
+function initModmailMessageModel(sequelize) {
+  ModmailMessage.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique message ID',
+    },
+    ticket_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Modmail ticket the message belongs to',
+    },
+    direction: {
+      type: DataTypes.ENUM('INBOUND', 'OUTBOUND', 'NOTE', 'SYSTEM'),
+      allowNull: false,
+      comment: 'Member to staff, staff to member, internal staff note, or ticket event',
+    },
+    author_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the author (always recorded, even for anonymous replies)',
+    },
+    author_tag: {
+      type: DataTypes.STRING,
+      comment: 'Author tag at time of sending',
+    },
+    content: {
+      type: DataTypes.TEXT,
+      comment: 'Message text',
+    },
+    attachments: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Attachment metadata (name, url, content type, size)',
+    },
+    anonymous: {
+      type: DataTypes.BOOLEAN,
+      defaultValue: false,
+      comment: 'Staff reply delivered without the staff member\'s name',
+    },
+    discord_message_id: {
+      type: DataTypes.STRING,
+      comment: 'Source Discord message ID',
+    },
+  }, {
+    sequelize,
+    modelName: 'ModmailMessage',
+    tableName: 'modmail_messages',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_modmail_message_ticket',
+        fields: ['ticket_id', 'created_at'],
+      },
+    ],
+  });
+
+  return ModmailMessage;
+}
+
+module.exports = { ModmailMessage, initModmailMessageModel };
@@ -0,0 +1,227 @@
+/**
+ * ModmailTicket Model for GrowmiesNJ Discord Bot
+ *
+ * Private member-to-staff support conversations relayed between a user's DMs
+ * and a private thread in the guild's staff modmail channel
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * ModmailTicket model tracking one support conversation
+ */
+class ModmailTicket extends Model {
+  /**
+   * Find the open ticket for a user in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<ModmailTicket|null>} - Open ticket
+   */
+  static async findOpenForUser(guildId, userId) {
+    return await this.findOne({
+      where: { guild_id: guildId, user_id: userId, status: 'OPEN' },
+    });
+  }
+
+  /**
+   * Find a user's most recently active open ticket in any guild
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<ModmailTicket|null>} - Open ticket
+   */
+  static async findLatestOpenForUser(userId) {
+    return await this.findOne({
+      where: { user_id: userId, status: 'OPEN' },
+      order: [['last_activity_at', 'DESC']],
+    });
+  }
+
+  /**
+   * Find the ticket relayed through a staff thread
+   * @param {string} threadId - Discord thread ID
+   * @returns {Promise<ModmailTicket|null>} - Ticket
+   */
+  static async findByThreadId(threadId) {
+    return await this.findOne({ where: { thread_id: threadId } });
+  }
+
+  /**
+   * Find a ticket by its number
+   * @param {string} ticketNumber - Ticket number
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<ModmailTicket|null>} - Ticket
+   */
+  static async findByNumber(ticketNumber, guildId) {
+    return await this.findOne({ where: { ticket_number: ticketNumber, guild_id: guildId } });
+  }
+
+  /**
+   * Get a user's tickets in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {number} limit - Maximum number of tickets to return
+   * @returns {Promise<ModmailTicket[]>} - Tickets, newest first
+   */
+  static async getTicketsForUser(guildId, userId, limit = 10) {
+    return await this.findAll({
+      where: { guild_id: guildId, user_id: userId },
+      order: [['created_at', 'DESC']],
+      limit,
+    });
+  }
+
+  /**
+   * Get tickets linked to a moderation case
+   * @param {string} guildId - Discord guild ID
+   * @param {string} caseNumber - Moderation case number
+   * @returns {Promise<ModmailTicket[]>} - Linked tickets
+   */
+  static async getTicketsForCase(guildId, caseNumber) {
+    return await this.findAll({
+      where: {
+        guild_id: guildId,
+        linked_case_numbers: { [Op.contains]: [caseNumber] },
+      },
+      order: [['created_at', 'DESC']],
+    });
+  }
+
+  /**
+   * Generate ticket number for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<string>} - Generated ticket number (YYYY-MM-MAIL###)
+   */
+  static async generateTicketNumber(guildId) {
+    const now = new Date();
+    const year = now.getFullYear();
+    const month = String(now.getMonth() + 1).padStart(2, '0');
+    const prefix = `${year}-${month}-MAIL`;
+
+    const latestTicket = await this.findOne({
+      where: {
+        guild_id: guildId,
+        ticket_number: { [Op.like]: `${prefix}%` },
+      },
+      order: [['ticket_number', 'DESC']],
+    });
+
+    let nextNumber = 1;
+    if (latestTicket) {
+      nextNumber = parseInt(latestTicket.ticket_number.split('MAIL')[1]) + 1;
+    }
+
+    return `${prefix}${String(nextNumber).padStart(3, '0')}`;
+  }
+
+  /**
+   * Link to the staff thread for this ticket
+   * @returns {string} - Discord channel URL
+   */
+  get threadUrl() {
+    return `https://discord.com/channels/${this.guild_id}/${this.thread_id}`;
+  }
+}
+
+/**
+ * Initialize ModmailTicket model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {ModmailTicket} - Initialized ModmailTicket model
+ */
+function initModmailTicketModel(sequelize) {
+  ModmailTicket.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique ticket ID',
+    },
+    ticket_number: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Human-readable ticket number (YYYY-MM-MAIL###)',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Member the conversation is with',
+    },
+    thread_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Private staff thread relaying the conversation',
+    },
+    status: {
+      type: DataTypes.ENUM('OPEN', 'CLOSED'),
+      allowNull: false,
+      defaultValue: 'OPEN',
+      comment: 'Ticket status',
+    },
+    opened_by: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of whoever opened the ticket (the member, or staff for outreach)',
+    },
+    closed_by: {
+      type: DataTypes.STRING,
+      comment: 'Staff member who last closed the ticket',
+    },
+    closed_at: {
+      type: DataTypes.DATE,
+      comment: 'When the ticket was last closed',
+    },
+    close_reason: {
+      type: DataTypes.TEXT,
+      comment: 'Reason given when the ticket was last closed',
+    },
+    reopen_count: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Number of times the ticket was reopened',
+    },
+    last_activity_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'Last relayed message or status change',
+    },
+    linked_case_numbers: {
+      type: DataTypes.JSONB,
+      defaultValue: [],
+      comment: 'Moderation cases this conversation relates to',
+    },
+  }, {
+    sequelize,
+    modelName: 'ModmailTicket',
+    tableName: 'modmail_tickets',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_modmail_ticket_number',
+        fields: ['guild_id', 'ticket_number'],
+        unique: true,
+      },
+      {
+        name: 'idx_modmail_user_status',
+        fields: ['user_id', 'status'],
+      },
+      {
+        name: 'idx_modmail_thread',
+        fields: ['thread_id'],
+      },
+    ],
+  });
+
+  return ModmailTicket;
+}
+
+module.exports = { ModmailTicket, initModmailTicketModel };
@@ -0,0 +1,153 @@
+/**
+ * ReactionXPAward Model for GrowmiesNJ Discord Bot
+ *
+ * XP a message author earned from another member's reaction
+ * One row per reactor per message; removing the reaction revokes the XP, and the
+ * rows back the per-message, per-day and per-pair anti-farming caps
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * ReactionXPAward model tracking reaction XP so it can be capped and revoked
+ */
+class ReactionXPAward extends Model {
+  /**
+   * Find the award for a reactor on a message
+   * @param {string} messageId - Discord message ID
+   * @param {string} reactorId - Discord ID of the reacting member
+   * @returns {Promise<ReactionXPAward|null>} - Award, revoked or not
+   */
+  static async findForReaction(messageId, reactorId) {
+    return await this.findOne({
+      where: { message_id: messageId, reactor_id: reactorId },
+    });
+  }
+
+  /**
+   * Count active awards on a message
+   * @param {string} messageId - Discord message ID
+   * @returns {Promise<number>} - Awards not revoked
+   */
+  static async countForMessage(messageId) {
+    return await this.count({
+      where: { message_id: messageId, revoked_at: null },
+    });
+  }
+
+  /**
+   * Count awards an author earned since a time, optionally from one reactor
+   * Revoked awards still count so adding and removing reactions cannot reset the caps
+   * @param {string} guildId - Discord guild ID
+   * @param {string} authorId - Discord ID of the message author
+   * @param {Date} since - Window start
+   * @param {string|null} reactorId - Only count awards from this reactor
+   * @returns {Promise<number>} - Award count
+   */
+  static async countForAuthorSince(guildId, authorId, since, reactorId = null) {
+    const where = {
+      guild_id: guildId,
+      author_id: authorId,
+      created_at: { [Op.gte]: since },
+    };
+    if (reactorId) where.reactor_id = reactorId;
+
+    return await this.count({ where });
+  }
+
+  /**
+   * Get active awards on a message, optionally for one emoji
+   * @param {string} messageId - Discord message ID
+   * @param {string|null} emoji - Emoji ID or unicode name
+   * @returns {Promise<ReactionXPAward[]>} - Awards not revoked
+   */
+  static async findActiveForMessage(messageId, emoji = null) {
+    const where = { message_id: messageId, revoked_at: null };
+    if (emoji) where.emoji = emoji;
+
+    return await this.findAll({ where });
+  }
+}
+
+/**
+ * Initialize ReactionXPAward model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {ReactionXPAward} - Initialized ReactionXPAward model
+ */
+function initReactionXPAwardModel(sequelize) {
+  ReactionXPAward.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique award ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    channel_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Channel of the reacted message',
+    },
+    message_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Reacted message',
+    },
+    author_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the message author who earned the XP',
+    },
+    reactor_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the member who reacted',
+    },
+    emoji: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Emoji ID or unicode name of the credited reaction',
+    },
+    xp_amount: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      comment: 'XP awarded to the author',
+    },
+    revoked_at: {
+      type: DataTypes.DATE,
+      comment: 'When the reaction was removed and the XP taken back',
+    },
+  }, {
+    sequelize,
+    modelName: 'ReactionXPAward',
+    tableName: 'reaction_xp_awards',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_reaction_xp_message_reactor',
+        fields: ['message_id', 'reactor_id'],
+        unique: true,
+      },
+      {
+        name: 'idx_reaction_xp_author_created',
+        fields: ['guild_id', 'author_id', 'created_at'],
+      },
+    ],
+  });
+
+  return ReactionXPAward;
+}
+
+module.exports = {
+  ReactionXPAward,
+  initReactionXPAwardModel
+};
@@ -0,0 +1,232 @@
+/**
+ * ScheduledJob Model for GrowmiesNJ Discord Bot
+ *
+ * Persistent job queue for timed bot work (ban expiries, poll closings, maintenance)
+ * Jobs survive Railway.app redeploys and are picked up again by the job scheduler
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * ScheduledJob model for one-off and recurring (cron) jobs
+ */
+class ScheduledJob extends Model {
+  /**
+   * Get jobs that are due to run
+   * @param {number} limit - Maximum number of jobs to return
+   * @returns {Promise<ScheduledJob[]>} - Due jobs ordered by run time
+   */
+  static async getDueJobs(limit = 25) {
+    return await this.findAll({
+      where: {
+        status: 'pending',
+        run_at: { [Op.lte]: new Date() }
+      },
+      order: [['run_at', 'ASC']],
+      limit,
+    });
+  }
+
+  /**
+   * Atomically claim a job for execution
+   * Only one scheduler instance can move a pending job to running
+   * @param {string} jobId - Job ID to claim
+   * @param {string} workerId - Identifier of the claiming scheduler instance
+   * @returns {Promise<boolean>} - True if the claim succeeded
+   */
+  static async claim(jobId, workerId) {
+    const [affected] = await this.update(
+      {
+        status: 'running',
+        locked_at: new Date(),
+        locked_by: workerId
+      },
+      {
+        where: { id: jobId, status: 'pending' }
+      }
+    );
+    return affected === 1;
+  }
+
+  /**
+   * Release jobs left in running state by a crashed or redeployed instance
+   * @param {number} staleAfterMs - Lock age after which a job is considered abandoned
+   * @returns {Promise<number>} - Number of jobs released
+   */
+  static async releaseStaleLocks(staleAfterMs) {
+    const [affected] = await this.update(
+      {
+        status: 'pending',
+        locked_at: null,
+        locked_by: null
+      },
+      {
+        where: {
+          status: 'running',
+          locked_at: { [Op.lt]: new Date(Date.now() - staleAfterMs) }
+        }
+      }
+    );
+    return affected;
+  }
+
+  /**
+   * Find an unfinished job by its unique key
+   * Failed jobs count as unfinished so rescheduling a key revives them instead of adding a duplicate
+   * @param {string} uniqueKey - Deduplication key
+   * @returns {Promise<ScheduledJob|null>} - Matching job
+   */
+  static async findUnfinishedByKey(uniqueKey) {
+    return await this.findOne({
+      where: {
+        unique_key: uniqueKey,
+        status: { [Op.in]: ['pending', 'running', 'failed'] }
+      },
+      order: [['created_at', 'DESC']]
+    });
+  }
+
+  /**
+   * Check if this job recurs on a cron schedule
+   * @returns {boolean} - True if recurring
+   */
+  isRecurring() {
+    return !!this.cron_expression;
+  }
+
+  /**
+   * Check if the job can be retried after a failure
+   * @returns {boolean} - True if attempts remain
+   */
+  canRetry() {
+    return this.attempts < this.max_attempts;
+  }
+}
+
+/**
+ * Initialize ScheduledJob model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {ScheduledJob} - Initialized ScheduledJob model
+ */
+function initScheduledJobModel(sequelize) {
+  ScheduledJob.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique scheduled job ID',
+    },
+    job_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Registered handler name (e.g. "moderation.ban_expiry")',
+    },
+    unique_key: {
+      type: DataTypes.STRING,
+      comment: 'Optional deduplication key for idempotent scheduling',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      comment: 'Discord guild ID the job belongs to (null for global jobs)',
+    },
+    payload: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Handler input data',
+    },
+    status: {
+      type: DataTypes.ENUM('pending', 'running', 'completed', 'failed', 'cancelled'),
+      allowNull: false,
+      defaultValue: 'pending',
+      comment: 'Current job status',
+    },
+    run_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'When the job is next due to run',
+    },
+    cron_expression: {
+      type: DataTypes.STRING(100),
+      comment: 'Five-field UTC cron expression for recurring jobs',
+    },
+    attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Failed attempts for the current run',
+    },
+    max_attempts: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 5,
+      comment: 'Attempts allowed before the run is marked failed',
+    },
+    backoff_base_ms: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 60000,
+      comment: 'Base delay for exponential retry backoff',
+    },
+    last_error: {
+      type: DataTypes.TEXT,
+      comment: 'Error message from the most recent failed attempt',
+    },
+    last_run_at: {
+      type: DataTypes.DATE,
+      comment: 'When the job last finished running',
+    },
+    locked_at: {
+      type: DataTypes.DATE,
+      comment: 'When a scheduler instance claimed the job',
+    },
+    locked_by: {
+      type: DataTypes.STRING,
+      comment: 'Scheduler instance that claimed the job',
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      comment: 'Discord ID or subsystem that scheduled the job',
+    },
+  }, {
+    sequelize,
+    modelName: 'ScheduledJob',
+    tableName: 'scheduled_jobs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_scheduled_job_due',
+        fields: ['status', 'run_at'],
+      },
+      {
+        name: 'idx_scheduled_job_type',
+        fields: ['job_type'],
+      },
+      {
+        name: 'idx_scheduled_job_unique_key',
+        fields: ['unique_key'],
+      },
+      {
+        name: 'idx_scheduled_job_guild',
+        fields: ['guild_id'],
+      },
+    ],
+
+    // Model validation rules
+    validate: {
+      attemptsValidation() {
+        if (this.max_attempts < 1) {
+          throw new Error('Scheduled jobs must allow at least one attempt');
+        }
+      },
+    },
+  });
+
+  return ScheduledJob;
+}
+
+module.exports = { ScheduledJob, initScheduledJobModel };
@@ -0,0 +1,144 @@
+/**
+ * ScheduledJobRun Model for GrowmiesNJ Discord Bot
+ *
+ * Run history for the persistent job scheduler
+ * One row per execution attempt for monitoring and troubleshooting
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * ScheduledJobRun model recording each job execution attempt
+ */
+class ScheduledJobRun extends Model {
+  /**
+   * Get run history for a job
+   * @param {string} jobId - Scheduled job ID
+   * @param {number} limit - Maximum number of runs to return
+   * @returns {Promise<ScheduledJobRun[]>} - Most recent runs first
+   */
+  static async getRunsForJob(jobId, limit = 20) {
+    return await this.findAll({
+      where: { job_id: jobId },
+      order: [['started_at', 'DESC']],
+      limit,
+    });
+  }
+
+  /**
+   * Get recent failed runs across all jobs
+   * @param {number} hours - Look-back window in hours
+   * @param {number} limit - Maximum number of runs to return
+   * @returns {Promise<ScheduledJobRun[]>} - Failed runs
+   */
+  static async getRecentFailures(hours = 24, limit = 50) {
+    return await this.findAll({
+      where: {
+        status: 'failure',
+        started_at: { [Op.gte]: new Date(Date.now() - hours * 60 * 60 * 1000) }
+      },
+      order: [['started_at', 'DESC']],
+      limit,
+    });
+  }
+
+  /**
+   * Delete run history older than the retention window
+   * @param {number} days - Days of history to keep
+   * @returns {Promise<number>} - Number of rows removed
+   */
+  static async pruneOlderThan(days = 30) {
+    return await this.destroy({
+      where: {
+        started_at: { [Op.lt]: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+      }
+    });
+  }
+}
+
+/**
+ * Initialize ScheduledJobRun model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {ScheduledJobRun} - Initialized ScheduledJobRun model
+ */
+function initScheduledJobRunModel(sequelize) {
+  ScheduledJobRun.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique run ID',
+    },
+    job_id: {
+      type: DataTypes.UUID,
+      allowNull: false,
+      comment: 'Scheduled job that was executed',
+    },
+    job_type: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Handler name at time of execution',
+    },
+    attempt: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 1,
+      comment: 'Attempt number for this run',
+    },
+    status: {
+      type: DataTypes.ENUM('success', 'failure'),
+      allowNull: false,
+      comment: 'Outcome of the execution',
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'When execution started',
+    },
+    finished_at: {
+      type: DataTypes.DATE,
+      comment: 'When execution finished',
+    },
+    duration_ms: {
+      type: DataTypes.INTEGER,
+      comment: 'Execution time in milliseconds',
+    },
+    worker_id: {
+      type: DataTypes.STRING,
+      comment: 'Scheduler instance that ran the job',
+    },
+    error_message: {
+      type: DataTypes.TEXT,
+      comment: 'Error message if the run failed',
+    },
+    result: {
+      type: DataTypes.JSONB,
+      defaultValue: {},
+      comment: 'Handler result summary',
+    },
+  }, {
+    sequelize,
+    modelName: 'ScheduledJobRun',
+    tableName: 'scheduled_job_runs',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: false,
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_job_run_job',
+        fields: ['job_id', 'started_at'],
+      },
+      {
+        name: 'idx_job_run_status',
+        fields: ['status', 'started_at'],
+      },
+    ],
+  });
+
+  return ScheduledJobRun;
+}
+
+module.exports = { ScheduledJobRun, initScheduledJobRunModel };
@@ -52,9 +52,10 @@ class User extends Model {
   /**
    * Find users with expiring verifications
    * @param {number} days - Days until expiration threshold
+   * @param {string|null} guildId - Limit to one Discord guild (optional)
    * @returns {Promise<User[]>} - Users with expiring verifications
    */
-  static async findExpiringVerifications(days = 30) {
+  static async findExpiringVerifications(days = 30, guildId = null) {
     const { Op } = require('@sequelize/core');
     const expirationThreshold = new Date();
     expirationThreshold.setDate(expirationThreshold.getDate() + days);
@@ -66,17 +67,41 @@ class User extends Model {
           [Op.lte]: expirationThreshold,
         },
         is_active: true,
+        ...(guildId ? { guild_id: guildId } : {}),
       },
     });
   }
 
+  /**
+   * Find verified users whose verification has already expired
+   * @param {string} guildId - Discord guild ID
+   * @param {number} limit - Maximum users to return
+   * @returns {Promise<User[]>} - Users to expire, longest expired first
+   */
+  static async findExpiredVerifications(guildId, limit = 50) {
+    const { Op } = require('@sequelize/core');
+
+    return await this.findAll({
+      where: {
+        guild_id: guildId,
+        verification_status: 'verified',
+        verification_expires: {
+          [Op.lte]: new Date(),
+        },
+        is_active: true,
+      },
+      order: [['verification_expires', 'ASC']],
+      limit,
+    });
+  }
+
   /**
    * Get verification statistics for a guild
    * @param {string} guildId - Discord guild ID
    * @returns {Promise<Object>} - Verification statistics
    */
   static async getVerificationStats(guildId) {
-    const { fn } = require('@sequelize/core');
+    const { fn } = require('sequelize');
     const stats = await this.findAll({
       where: { guild_id: guildId, is_active: true },
       attributes: [
@@ -368,8 +393,8 @@ function initUserModel(sequelize) {
         // Update activity timestamp
         user.last_activity_at = new Date();
         
-        // Set verification expiration (1 year from verification)
-        if (user.changed('verification_status') && user.verification_status === 'verified') {
+        // Set verification expiration (1 year from verification) unless the guild policy already set one
+        if (user.changed('verification_status') && user.verification_status === 'verified' && !user.changed('verification_expires')) {
           const expirationDate = new Date();
           expirationDate.setFullYear(expirationDate.getFullYear() + 1);
           user.verification_expires = expirationDate;
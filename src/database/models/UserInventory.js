@@ -84,6 +84,8 @@ class UserInventory extends Model {
       }
     }
 
+    this.applyXPBoost(item);
+
     // Update metadata
     this.item_metadata = {
       ...this.item_metadata,
@@ -104,6 +106,25 @@ class UserInventory extends Model {
     };
   }
 
+  /**
+   * Start the XP boost of a used item; the XP engine reads current_effects.xp_boost
+   * Owning a boost item does not start it, so this is only called from useItem()
+   * @param {EconomyItem} item - Item being used
+   */
+  applyXPBoost(item) {
+    const effects = item.item_effects || {};
+    if (!effects.xp_multiplier) return;
+
+    const durationHours = effects.duration_hours || item.duration_hours || 24;
+    this.current_effects = {
+      ...this.current_effects,
+      xp_boost: {
+        multiplier: effects.xp_multiplier,
+        expires_at: new Date(Date.now() + durationHours * 60 * 60 * 1000).toISOString()
+      }
+    };
+  }
+
   /**
    * Add quantity to existing inventory item
    * @param {number} quantity - Amount to add
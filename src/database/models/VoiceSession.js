@@ -0,0 +1,147 @@
+/**
+ * VoiceSession Model for GrowmiesNJ Discord Bot
+ *
+ * One member's stay in a voice channel, checkpointed as they earn active time
+ * Active sessions survive restarts so in-progress time is still paid out as voice XP
+ */
+
+const { DataTypes, Model } = require('sequelize');
+const { sequelize } = require('../connection');
+
+const VOICE_SESSION_STATUSES = ['active', 'ended'];
+
+/**
+ * VoiceSession model tracking active voice time for leveling
+ */
+class VoiceSession extends Model {
+  /**
+   * Find a member's active session
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<VoiceSession|null>} - Active session
+   */
+  static async findActive(guildId, userId) {
+    return await this.findOne({
+      where: { guild_id: guildId, user_id: userId, status: 'active' },
+    });
+  }
+
+  /**
+   * Get every active session (used to resume tracking after a restart)
+   * @returns {Promise<VoiceSession[]>} - Active sessions
+   */
+  static async findAllActive() {
+    return await this.findAll({
+      where: { status: 'active' },
+      order: [['started_at', 'ASC']],
+    });
+  }
+
+  /**
+   * Whole active minutes not yet paid out as XP
+   * @returns {number} - Unawarded minutes
+   */
+  getUnawardedMinutes() {
+    return Math.max(0, Math.floor(this.active_seconds / 60) - this.awarded_minutes);
+  }
+}
+
+/**
+ * Initialize VoiceSession model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {VoiceSession} - Initialized VoiceSession model
+ */
+function initVoiceSessionModel(sequelize) {
+  VoiceSession.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique voice session ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    user_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the member in voice',
+    },
+    channel_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Voice channel the session is in',
+    },
+    status: {
+      type: DataTypes.ENUM(...VOICE_SESSION_STATUSES),
+      allowNull: false,
+      defaultValue: 'active',
+      comment: 'Whether the member is still in the channel',
+    },
+    started_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'When the member joined the channel',
+    },
+    last_checkpoint_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      defaultValue: DataTypes.NOW,
+      comment: 'When active time was last credited',
+    },
+    eligible: {
+      type: DataTypes.BOOLEAN,
+      allowNull: false,
+      defaultValue: false,
+      comment: 'Whether time since the last checkpoint counts (not AFK, deafened, alone or excluded)',
+    },
+    active_seconds: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Seconds of eligible time in this session',
+    },
+    awarded_minutes: {
+      type: DataTypes.INTEGER,
+      allowNull: false,
+      defaultValue: 0,
+      comment: 'Minutes already paid out as voice XP',
+    },
+    ended_at: {
+      type: DataTypes.DATE,
+      comment: 'When the member left the channel',
+    },
+  }, {
+    sequelize,
+    modelName: 'VoiceSession',
+    tableName: 'voice_sessions',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_voice_sessions_active_member',
+        fields: ['guild_id', 'user_id'],
+        unique: true,
+        where: { status: 'active' },
+      },
+      {
+        name: 'idx_voice_sessions_status',
+        fields: ['status'],
+      },
+    ],
+  });
+
+  return VoiceSession;
+}
+
+module.exports = {
+  VoiceSession,
+  initVoiceSessionModel,
+  VOICE_SESSION_STATUSES
+};
@@ -0,0 +1,138 @@
+/**
+ * XPBoostEvent Model for GrowmiesNJ Discord Bot
+ *
+ * Time-boxed XP boost events such as a "4/20 Double XP weekend", scheduled by
+ * staff with /xp-boost and announced when they start and end
+ * While several events overlap, members earn the highest event multiplier
+ */
+
+const { DataTypes, Model, Op } = require('sequelize');
+const { sequelize } = require('../connection');
+
+/**
+ * XPBoostEvent model tracking one scheduled boost from start to end
+ */
+class XPBoostEvent extends Model {
+  /**
+   * Get the events running at a moment
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} at - Moment to check (defaults to now)
+   * @returns {Promise<XPBoostEvent[]>} - Running events, highest multiplier first
+   */
+  static async findActive(guildId, at = new Date()) {
+    return await this.findAll({
+      where: {
+        guild_id: guildId,
+        cancelled_at: null,
+        starts_at: { [Op.lte]: at },
+        ends_at: { [Op.gt]: at },
+      },
+      order: [['multiplier', 'DESC']],
+    });
+  }
+
+  /**
+   * Get running and upcoming events
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<XPBoostEvent[]>} - Events that have not ended, soonest first
+   */
+  static async findScheduled(guildId) {
+    return await this.findAll({
+      where: {
+        guild_id: guildId,
+        cancelled_at: null,
+        ends_at: { [Op.gt]: new Date() },
+      },
+      order: [['starts_at', 'ASC']],
+    });
+  }
+
+  /**
+   * Check whether the event is running
+   * @param {Date} at - Moment to check (defaults to now)
+   * @returns {boolean} - True while the boost applies
+   */
+  isActive(at = new Date()) {
+    return !this.cancelled_at && this.starts_at <= at && this.ends_at > at;
+  }
+}
+
+/**
+ * Initialize XPBoostEvent model with database connection
+ * @param {Sequelize} sequelize - Database connection instance
+ * @returns {XPBoostEvent} - Initialized XPBoostEvent model
+ */
+function initXPBoostEventModel(sequelize) {
+  XPBoostEvent.init({
+    id: {
+      type: DataTypes.UUID,
+      defaultValue: DataTypes.UUIDV4,
+      primaryKey: true,
+      comment: 'Unique boost event ID',
+    },
+    guild_id: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord guild ID',
+    },
+    name: {
+      type: DataTypes.STRING(100),
+      allowNull: false,
+      comment: 'Event name shown in announcements and /level',
+    },
+    multiplier: {
+      type: DataTypes.FLOAT,
+      allowNull: false,
+      comment: 'XP multiplier while the event runs',
+    },
+    starts_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'When the boost starts',
+    },
+    ends_at: {
+      type: DataTypes.DATE,
+      allowNull: false,
+      comment: 'When the boost ends',
+    },
+    announcement_channel_id: {
+      type: DataTypes.STRING,
+      comment: 'Channel for start and end announcements (defaults to the system channel)',
+    },
+    created_by: {
+      type: DataTypes.STRING,
+      allowNull: false,
+      comment: 'Discord ID of the staff member who scheduled the event',
+    },
+    cancelled_by: {
+      type: DataTypes.STRING,
+      comment: 'Discord ID of the staff member who cancelled the event',
+    },
+    cancelled_at: {
+      type: DataTypes.DATE,
+      comment: 'When the event was cancelled',
+    },
+  }, {
+    sequelize,
+    modelName: 'XPBoostEvent',
+    tableName: 'xp_boost_events',
+    timestamps: true,
+    createdAt: 'created_at',
+    updatedAt: 'updated_at',
+    underscored: true,
+
+    indexes: [
+      {
+        name: 'idx_xp_boost_events_guild_window',
+        fields: ['guild_id', 'starts_at', 'ends_at'],
+      },
+    ],
+  });
+
+  return XPBoostEvent;
+}
+
+module.exports = {
+  XPBoostEvent,
+  initXPBoostEventModel
+};
@@ -0,0 +1,19 @@
+/**
+ * ChannelUpdate Event for GrowmiesNJ Discord Bot
+ * 
+ * Re-audits declared 21+ channels when their permission overwrites or category change
+ */
+
+const { Events } = require('discord.js');
+const { ageGateService } = require('../services/ageGate');
+
+module.exports = {
+    name: Events.ChannelUpdate,
+    async execute(oldChannel, newChannel) {
+        try {
+            await ageGateService.handleChannelUpdate(oldChannel, newChannel);
+        } catch (error) {
+            console.error(`❌ Age gate check failed for channel ${newChannel.id}:`, error.message);
+        }
+    }
+};
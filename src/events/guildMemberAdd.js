@@ -3,6 +3,7 @@
  * 
  * Enhanced Welcome System - Sends welcome messages with rich embeds
  * Handles new member onboarding with cannabis compliance messaging
+ * Joins are checked by lockdown, raid protection and join screening before any welcome is sent
  */
 
 const { Events } = require('discord.js');
@@ -10,6 +11,9 @@ const { WelcomeEmbeds, EmbedUtils } = require('../utils/embeds');
 const { RoleManagementService } = require('../services/roleManagement');
 const { User } = require('../database/models/User');
 const { AuditLog } = require('../database/models/AuditLog');
+const { raidProtectionService } = require('../services/raidProtection');
+const { lockdownService } = require('../services/lockdown');
+const { joinScreeningService } = require('../services/joinScreening');
 
 module.exports = {
     name: Events.GuildMemberAdd,
@@ -17,17 +21,29 @@ module.exports = {
         try {
             console.log(`👋 New member joined: ${member.user.tag} (${member.user.id}) in ${member.guild.name}`);
             
+            // New joins are removed while a new_joins lockdown is active
+            if (await lockdownService.handleMemberJoin(member)) {
+                return;
+            }
+
+            // Track join velocity; during raid mode new accounts are timed out and not welcomed publicly
+            const raidResult = await raidProtectionService.handleMemberJoin(member);
+            if (raidResult.raidMode) {
+                console.log(`🚨 Raid mode active - skipping welcome messages for ${member.user.tag}`);
+                return;
+            }
+
             // Initialize services
             const roleManager = new RoleManagementService();
 
-            // Log member join for audit trail
+            // Log member join for audit trail (also the top of the verification funnel)
             await AuditLog.create({
-                action: 'member_join',
+                action_type: 'user_join',
                 target_user_id: member.user.id,
+                actor_user_id: member.user.id,
                 guild_id: member.guild.id,
-                moderator_id: null, // System action
-                reason: 'New member joined server',
-                metadata: {
+                details: {
+                    reason: 'New member joined server',
                     username: member.user.username,
                     tag: member.user.tag,
                     account_created: member.user.createdAt,
@@ -44,7 +60,20 @@ module.exports = {
                 }
             });
 
-            if (existingUser && existingUser.verification_status === 'verified') {
+            // Verifications that expired while the member was away are not restored
+            const returningVerified = existingUser && existingUser.verification_status === 'verified' && !existingUser.isVerificationExpired();
+
+            // Flagged joins are quarantined; roles are restored once staff clear them from the alert
+            const screening = await joinScreeningService.handleMemberJoin(member, existingUser);
+            if (screening.quarantined) {
+                if (!returningVerified) {
+                    await handleNewMember(member);
+                }
+                console.log(`🛂 ${member.user.tag} quarantined by join screening - skipping welcome messages`);
+                return;
+            }
+
+            if (returningVerified) {
                 await handleReturningVerifiedMember(member, existingUser, roleManager);
             } else {
                 await handleNewMember(member);
@@ -64,12 +93,14 @@ module.exports = {
             // Log error for debugging
             try {
                 await AuditLog.create({
-                    action: 'welcome_error',
+                    action_type: 'bot_action',
                     target_user_id: member.user.id,
                     guild_id: member.guild.id,
-                    moderator_id: null,
-                    reason: 'Error during welcome process',
-                    metadata: {
+                    success: false,
+                    error_message: error.message,
+                    details: {
+                        bot_action: 'welcome_error',
+                        reason: 'Error during welcome process',
                         error_message: error.message,
                         error_stack: error.stack,
                         timestamp: new Date().toISOString()
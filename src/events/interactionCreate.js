@@ -1,12 +1,20 @@
 const { Events } = require('discord.js');
 const { User } = require('../database/models/User');
 const { AuditLog } = require('../database/models/AuditLog');
+const { raidProtectionService } = require('../services/raidProtection');
+const { lockdownService } = require('../services/lockdown');
+const { joinScreeningService } = require('../services/joinScreening');
+const { modLogService, MODLOG_EVENTS } = require('../services/modLog');
+const { reverificationService } = require('../services/reverification');
+const { AgeVerificationService } = require('../services/ageVerification');
+
+const ageVerificationService = new AgeVerificationService();
 
 module.exports = {
     name: Events.InteractionCreate,
     async execute(interaction) {
-        // Handle slash commands
-        if (interaction.isChatInputCommand()) {
+        // Handle slash commands and context menu commands
+        if (interaction.isChatInputCommand() || interaction.isContextMenuCommand()) {
             const command = interaction.client.commands.get(interaction.commandName);
 
             if (!command) {
@@ -50,6 +58,26 @@ module.exports = {
                 else if (interaction.customId === 'verify_deny') {
                     await handleAgeVerificationDeny(interaction);
                 }
+                // Moderation appeal review (Approve/Deny)
+                else if (interaction.customId.startsWith('appeal:')) {
+                    await interaction.client.commands.get('appeal').handleButton(interaction);
+                }
+                // Moderation case list pagination
+                else if (interaction.customId.startsWith('case:')) {
+                    await interaction.client.commands.get('case').handleButton(interaction);
+                }
+                // Member report queue review (Claim/Dismiss/Escalate)
+                else if (interaction.customId.startsWith('report:')) {
+                    await interaction.client.commands.get('reports').handleButton(interaction);
+                }
+                // Age verification staff review (Approve/Deny)
+                else if (interaction.customId.startsWith('verification:')) {
+                    await interaction.client.commands.get('verification').handleButton(interaction);
+                }
+                // Join screening quarantine review (Verify/Kick/Ban)
+                else if (interaction.customId.startsWith('screening:')) {
+                    await interaction.client.commands.get('join-screening').handleButton(interaction);
+                }
                 // Unknown button
                 else {
                     await interaction.reply({
@@ -74,6 +102,80 @@ module.exports = {
                 }
             }
         }
+        
+        // Handle modal submissions
+        else if (interaction.isModalSubmit()) {
+            console.log(`📝 Modal submission: ${interaction.customId} by ${interaction.user.tag}`);
+            
+            try {
+                // Moderation appeal submission and review notes
+                if (interaction.customId.startsWith('appeal:')) {
+                    await interaction.client.commands.get('appeal').handleModal(interaction);
+                }
+                // Member report submission and escalation
+                else if (interaction.customId.startsWith('report:')) {
+                    await interaction.client.commands.get('reports').handleModal(interaction);
+                }
+                // Age verification birthdate submission
+                else if (interaction.customId.startsWith('verification:')) {
+                    await interaction.client.commands.get('verification').handleModal(interaction);
+                }
+                // Unknown modal
+                else {
+                    await interaction.reply({
+                        content: '⚠️ This form is not currently supported. Please try again or contact an administrator.',
+                        ephemeral: true
+                    });
+                }
+                
+            } catch (error) {
+                console.error(`❌ Error handling modal submission ${interaction.customId}:`, error);
+                
+                try {
+                    if (!interaction.replied && !interaction.deferred) {
+                        await interaction.reply({
+                            content: '⚠️ An error occurred while processing your submission. Please try again.',
+                            ephemeral: true
+                        });
+                    }
+                } catch (errorReplyError) {
+                    console.error('❌ Failed to send modal error response:', errorReplyError);
+                }
+            }
+        }
+
+        // Handle select menus
+        else if (interaction.isStringSelectMenu()) {
+            console.log(`📋 Select menu: ${interaction.customId} by ${interaction.user.tag}`);
+            
+            try {
+                // Modmail server selection (sent in DMs)
+                if (interaction.customId.startsWith('modmail:')) {
+                    await interaction.client.commands.get('modmail').handleSelectMenu(interaction);
+                }
+                // Unknown select menu
+                else {
+                    await interaction.reply({
+                        content: '⚠️ This menu is not currently supported. Please try again or contact an administrator.',
+                        ephemeral: true
+                    });
+                }
+                
+            } catch (error) {
+                console.error(`❌ Error handling select menu ${interaction.customId}:`, error);
+                
+                try {
+                    if (!interaction.replied && !interaction.deferred) {
+                        await interaction.reply({
+                            content: '⚠️ An error occurred while processing your selection. Please try again.',
+                            ephemeral: true
+                        });
+                    }
+                } catch (errorReplyError) {
+                    console.error('❌ Failed to send select menu error response:', errorReplyError);
+                }
+            }
+        }
     },
 };
 
@@ -82,6 +184,30 @@ module.exports = {
 async function handleAgeVerificationConfirm(interaction) {
     console.log(`🌿 Processing age verification confirmation for ${interaction.user.tag}`);
     
+    // Verification is paused while raid mode is active
+    if (await raidProtectionService.isRaidModeActive(interaction.guild.id)) {
+        return await interaction.reply({
+            content: '🚨 **Verification Temporarily Paused**\n\nThe server is in raid protection mode. Please try again in a little while.',
+            ephemeral: true
+        });
+    }
+
+    // Verification is also paused during a verification lockdown
+    if (await lockdownService.isScopeActive(interaction.guild.id, 'verification')) {
+        return await interaction.reply({
+            content: '🔒 **Verification Temporarily Paused**\n\nThe server is in lockdown. Please try again once staff lift it.',
+            ephemeral: true
+        });
+    }
+
+    // Quarantined joins wait for staff review before they can verify
+    if (await joinScreeningService.isQuarantined(interaction.member)) {
+        return await interaction.reply({
+            content: '🛂 **Pending Staff Review**\n\nYour join is being reviewed by staff. You can verify once they have cleared it.',
+            ephemeral: true
+        });
+    }
+
     // Get role immediately
     const verifiedRoleId = process.env.AGE_VERIFICATION_ROLE_ID;
     if (!verifiedRoleId) {
@@ -99,14 +225,30 @@ async function handleAgeVerificationConfirm(interaction) {
         });
     }
 
-    // Check if user already has role
-    if (interaction.member.roles.cache.has(verifiedRoleId)) {
+    // Check if user already has role; inside the re-verification reminder window the click renews instead
+    const hasVerifiedRole = interaction.member.roles.cache.has(verifiedRoleId);
+    const renewableRecord = hasVerifiedRole ? await reverificationService.getRenewableRecord(interaction.member) : null;
+    if (hasVerifiedRole && !renewableRecord) {
         return await interaction.reply({
             content: '✅ **Already Verified**\n\nYou are already verified as 21+ years old and have access to cannabis community content.',
             ephemeral: true
         });
     }
 
+    // Birthdate and staff review modes collect a birthdate instead of trusting the click (renewals included)
+    const verificationConfig = await ageVerificationService.getVerificationModeConfig(interaction.guild.id);
+    if (verificationConfig.mode !== 'button') {
+        return await interaction.showModal(ageVerificationService.createBirthdateModal());
+    }
+
+    if (renewableRecord) {
+        const expiresAt = await reverificationService.renew(interaction.member, renewableRecord);
+        return await interaction.reply({
+            content: `🔄 **Verification Renewed**\n\nThanks for confirming you are 21+. Your verification is now valid until <t:${Math.floor(expiresAt.getTime() / 1000)}:D>.`,
+            ephemeral: true
+        });
+    }
+
     // Assign role IMMEDIATELY - no database operations before response
     try {
         await interaction.member.roles.add(verifiedRole, 'Age verification completed - 21+ confirmed');
@@ -142,6 +284,7 @@ async function handleAgeVerificationConfirm(interaction) {
                     display_name: interaction.user.displayName || interaction.user.globalName,
                     verification_status: 'verified',
                     verified_at: new Date(),
+                    verification_expires: await reverificationService.getExpiryDate(interaction.guild.id),
                     is_21_plus: true,
                     verification_method: 'button_confirmation',
                     birth_year: new Date().getFullYear() - 21,
@@ -236,6 +379,16 @@ Thank you for your honesty. Unfortunately, you must be **21 years or older** to
                 }
             );
 
+            await modLogService.publish(interaction.guild.id, MODLOG_EVENTS.VERIFICATION_DENIED, {
+                actionType: 'Age Verification Denied',
+                targetId: interaction.user.id,
+                moderatorId: interaction.client.user.id,
+                reason: 'User self-reported as under 21',
+                fields: [
+                    { name: '🔍 Method', value: 'Button denial', inline: true }
+                ]
+            });
+
             console.log(`📝 Age verification denial logged for ${interaction.user.tag}`);
         } catch (dbError) {
             console.error('❌ Database error (after denial response):', dbError);
@@ -3,6 +3,8 @@
  * 
  * Cannabis-themed XP tracking system that monitors user message activity
  * Awards XP based on community participation and cannabis tier progression
+ * Messages are screened by auto-moderation, the link scanner, spam protection and the link trust gate before any XP is awarded
+ * Direct messages and staff messages in modmail threads are handed to the modmail service
  */
 
 const { Events } = require('discord.js');
@@ -10,6 +12,11 @@ const { XPCalculationService } = require('../services/xpCalculation');
 const { LevelingConfig } = require('../database/models/LevelingConfig');
 const { User } = require('../database/models/User');
 const { AuditLog } = require('../database/models/AuditLog');
+const { autoModerationService } = require('../services/autoModeration');
+const { linkScannerService } = require('../services/linkScanner');
+const { raidProtectionService } = require('../services/raidProtection');
+const { modmailService } = require('../services/modmail');
+const { trustScoreService } = require('../services/trustScore');
 
 // In-memory cooldown tracking (cleared on bot restart)
 const userCooldowns = new Map();
@@ -18,8 +25,33 @@ module.exports = {
     name: Events.MessageCreate,
     async execute(message) {
         try {
-            // Skip processing for bots, system messages, and DMs
-            if (message.author.bot || !message.guild || message.system) {
+            // Skip processing for bots and system messages
+            if (message.author.bot || message.system) {
+                return;
+            }
+
+            // Direct messages are relayed to staff through modmail
+            if (!message.guild) {
+                await modmailService.handleDirectMessage(message);
+                return;
+            }
+
+            // Run auto-moderation and spam protection first; removed messages earn no XP
+            if (await autoModerationService.handleMessage(message)) {
+                return;
+            }
+            if (await linkScannerService.handleMessage(message)) {
+                return;
+            }
+            if (await raidProtectionService.handleMessage(message)) {
+                return;
+            }
+            if (await trustScoreService.handleMessage(message)) {
+                return;
+            }
+
+            // Staff messages in modmail threads are kept as internal notes
+            if (await modmailService.handleStaffMessage(message)) {
                 return;
             }
 
@@ -63,11 +95,10 @@ module.exports = {
 
             console.log(`💬 Processing message XP for ${message.author.tag} in #${message.channel.name}`);
 
-            // Calculate and award XP for the message
+            // Calculate and award XP for the message (the channel decides any channel multiplier)
             const xpResult = await xpService.calculateMessageXP(
-                userId,
-                guildId,
-                message.content,
+                message.member,
+                message.guild,
                 {
                     channelId: message.channel.id,
                     channelName: message.channel.name,
@@ -96,7 +127,7 @@ module.exports = {
             }
 
             // Log successful XP gain
-            console.log(`✅ ${message.author.tag} gained ${xpResult.xpGained} XP (Level ${xpResult.newLevel}, ${xpResult.newTier})`);
+            console.log(`✅ ${message.author.tag} gained ${xpResult.xp_awarded} XP (Level ${xpResult.new_level}, ${xpResult.tier})`);
 
         } catch (error) {
             console.error('❌ Error in messageCreate event:', error);
@@ -0,0 +1,15 @@
+/**
+ * MessageDelete Event for GrowmiesNJ Discord Bot
+ * 
+ * Captures deleted messages as moderation evidence before they are lost
+ */
+
+const { Events } = require('discord.js');
+const { messageLogService } = require('../services/messageLog');
+
+module.exports = {
+    name: Events.MessageDelete,
+    async execute(message) {
+        await messageLogService.handleDelete(message);
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * MessageDeleteBulk Event for GrowmiesNJ Discord Bot
+ * 
+ * Captures bulk-deleted messages (e.g. from /purge) as moderation evidence
+ */
+
+const { Events } = require('discord.js');
+const { messageLogService } = require('../services/messageLog');
+
+module.exports = {
+    name: Events.MessageBulkDelete,
+    async execute(messages, channel) {
+        await messageLogService.handleBulkDelete(messages, channel);
+    }
+};
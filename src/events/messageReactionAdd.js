@@ -0,0 +1,19 @@
+/**
+ * MessageReactionAdd Event for GrowmiesNJ Discord Bot
+ * 
+ * Rewards message authors with XP when other members react to their messages
+ */
+
+const { Events } = require('discord.js');
+const { reactionXPService } = require('../services/reactionXP');
+
+module.exports = {
+    name: Events.MessageReactionAdd,
+    async execute(reaction, user) {
+        try {
+            await reactionXPService.handleReactionAdd(reaction, user);
+        } catch (error) {
+            console.error(`❌ Reaction XP failed for message ${reaction.message.id}:`, error.message);
+        }
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * MessageReactionRemove Event for GrowmiesNJ Discord Bot
+ * 
+ * Takes back reaction XP when the rewarded reaction is removed
+ */
+
+const { Events } = require('discord.js');
+const { reactionXPService } = require('../services/reactionXP');
+
+module.exports = {
+    name: Events.MessageReactionRemove,
+    async execute(reaction, user) {
+        try {
+            await reactionXPService.handleReactionRemove(reaction, user);
+        } catch (error) {
+            console.error(`❌ Reaction XP revoke failed for message ${reaction.message.id}:`, error.message);
+        }
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * MessageReactionRemoveAll Event for GrowmiesNJ Discord Bot
+ * 
+ * Takes back reaction XP when all reactions are cleared from a message
+ */
+
+const { Events } = require('discord.js');
+const { reactionXPService } = require('../services/reactionXP');
+
+module.exports = {
+    name: Events.MessageReactionRemoveAll,
+    async execute(message) {
+        try {
+            await reactionXPService.handleReactionsCleared(message);
+        } catch (error) {
+            console.error(`❌ Reaction XP revoke failed for message ${message.id}:`, error.message);
+        }
+    }
+};
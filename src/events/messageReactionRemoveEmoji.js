@@ -0,0 +1,19 @@
+/**
+ * MessageReactionRemoveEmoji Event for GrowmiesNJ Discord Bot
+ * 
+ * Takes back reaction XP when every reaction of one emoji is cleared from a message
+ */
+
+const { Events } = require('discord.js');
+const { reactionXPService } = require('../services/reactionXP');
+
+module.exports = {
+    name: Events.MessageReactionRemoveEmoji,
+    async execute(reaction) {
+        try {
+            await reactionXPService.handleReactionsCleared(reaction.message, reaction.emoji);
+        } catch (error) {
+            console.error(`❌ Reaction XP revoke failed for message ${reaction.message.id}:`, error.message);
+        }
+    }
+};
@@ -0,0 +1,15 @@
+/**
+ * MessageUpdate Event for GrowmiesNJ Discord Bot
+ * 
+ * Captures the before and after content of edited messages as moderation evidence
+ */
+
+const { Events } = require('discord.js');
+const { messageLogService } = require('../services/messageLog');
+
+module.exports = {
+    name: Events.MessageUpdate,
+    async execute(oldMessage, newMessage) {
+        await messageLogService.handleUpdate(oldMessage, newMessage);
+    }
+};
@@ -0,0 +1,19 @@
+/**
+ * VoiceStateUpdate Event for GrowmiesNJ Discord Bot
+ * 
+ * Tracks voice sessions for leveling so active time in voice earns XP
+ */
+
+const { Events } = require('discord.js');
+const { voiceActivityService } = require('../services/voiceActivity');
+
+module.exports = {
+    name: Events.VoiceStateUpdate,
+    async execute(oldState, newState) {
+        try {
+            await voiceActivityService.handleVoiceStateUpdate(oldState, newState);
+        } catch (error) {
+            console.error(`❌ Voice activity tracking failed for ${newState.id} in ${newState.guild.id}:`, error.message);
+        }
+    }
+};
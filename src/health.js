@@ -1,6 +1,7 @@
 const express = require('express');
 const { Client } = require('discord.js');
 const instagramRoutes = require('./routes/instagram');
+const reportRoutes = require('./routes/reports');
 
 class HealthMonitor {
     constructor(client, sequelize = null) {
@@ -117,6 +118,14 @@ class HealthMonitor {
         } catch (error) {
             console.error('❌ Failed to mount Instagram routes:', error);
         }
+
+        // Add compliance report routes (bearer token required)
+        try {
+            this.app.use('/reports', reportRoutes);
+            console.log('📊 Compliance report routes mounted at /reports');
+        } catch (error) {
+            console.error('❌ Failed to mount report routes:', error);
+        }
         
         // Basic health check with database status
         this.app.get('/health', async (req, res) => {
@@ -1,4 +1,4 @@
-const { Client, Collection, GatewayIntentBits } = require('discord.js');
+const { Client, Collection, GatewayIntentBits, Partials } = require('discord.js');
 const fs = require('node:fs');
 const path = require('node:path');
 require('dotenv').config();
@@ -16,6 +16,36 @@ const { User, AuditLog, GuildSettings, InstagramPost, BotStatus, LevelingConfig
 // Import Instagram RSS service
 const instagramRssService = require('./services/instagramRss');
 
+// Import persistent job scheduler
+const { jobScheduler } = require('./services/jobScheduler');
+
+// Register scheduled moderation work (temporary ban and case expiry)
+require('./services/caseExpiry');
+
+// Register scheduled age re-verification (expiry reminders and role removal)
+require('./services/reverification');
+
+// Import mod log publisher (retries run on the job scheduler)
+const { modLogService } = require('./services/modLog');
+
+// Import 21+ channel permission auditor
+const { ageGateService } = require('./services/ageGate');
+
+// Import emergency lockdowns (state persists across restarts)
+const { lockdownService } = require('./services/lockdown');
+
+// Import voice XP tracking (checkpoints run on the job scheduler)
+const { voiceActivityService } = require('./services/voiceActivity');
+
+// Register scheduled tier progression (daily, weekly and level-up checks)
+require('./services/automaticRoleProgression');
+
+// Register retroactive level reward syncs
+require('./services/levelRewards');
+
+// Register XP boost event announcements
+require('./services/xpMultipliers');
+
 // Database initialization function
 async function initializeDatabase() {
     console.log('🗄️ Initializing database connection...');
@@ -63,9 +93,15 @@ const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMessages,
+        GatewayIntentBits.GuildMessageReactions,
         GatewayIntentBits.GuildMembers,
-        GatewayIntentBits.MessageContent
-    ]
+        GatewayIntentBits.GuildVoiceStates,
+        GatewayIntentBits.MessageContent,
+        GatewayIntentBits.DirectMessages
+    ],
+    // DM channels are not cached until their first message arrives (modmail);
+    // reactions on messages sent before the last restart arrive partial (reaction XP)
+    partials: [Partials.Channel, Partials.Message, Partials.Reaction, Partials.User]
 });
 
 // Create a collection to store commands
@@ -172,6 +208,20 @@ client.once('ready', async () => {
                 console.error(`❌ Failed to initialize guild configuration for ${guild.name}:`, error);
             }
         }
+        
+        // Start persistent job scheduler (requires database)
+        await jobScheduler.start(client);
+        console.log('⏰ Job scheduler started');
+        
+        // Reload lockdowns that were active before the restart
+        await lockdownService.restoreState(client);
+        
+        // Resume voice XP sessions and start tracking members already in voice
+        await voiceActivityService.restoreState(client);
+        
+        // Audit declared 21+ channels (repairs drift when auto-fix is enabled)
+        await ageGateService.auditAllGuilds(client);
+        console.log('🔞 Age gate audit completed');
     } else {
         console.warn('⚠️ Bot started without database support (development mode)');
     }
@@ -180,6 +230,10 @@ client.once('ready', async () => {
     instagramRssService.setDiscordClient(client);
     console.log('📷 Instagram RSS service initialized with Discord client');
     
+    // Set Discord client in mod log publisher
+    modLogService.setDiscordClient(client);
+    console.log('📜 Mod log publisher initialized with Discord client');
+    
     healthMonitor.start(HEALTH_PORT);
     console.log(`📊 Health monitoring available at http://localhost:${HEALTH_PORT}/health`);
 });
@@ -237,6 +291,10 @@ async function gracefulShutdown(signal) {
             console.log('📊 Bot status updated to offline');
         }
         
+        // Stop job scheduler before closing the database
+        jobScheduler.stop();
+        console.log('⏰ Job scheduler stopped');
+        
         // Stop health monitoring
         healthMonitor.stop();
         console.log('📊 Health monitoring stopped');
@@ -0,0 +1,68 @@
+const express = require('express');
+const crypto = require('crypto');
+const { AuditLog } = require('../database/models/AuditLog');
+const { verificationAnalyticsService } = require('../services/verificationAnalytics');
+
+const router = express.Router();
+
+/**
+ * Require the reports bearer token
+ * Reports contain member verification data, so the endpoints stay disabled until a token is configured
+ */
+function requireReportsToken(req, res, next) {
+    const reportsToken = process.env.REPORTS_API_TOKEN;
+
+    if (!reportsToken) {
+        return res.status(503).json({ error: 'Reports are not configured' });
+    }
+
+    const provided = (req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+    const expectedBuffer = Buffer.from(reportsToken);
+    const providedBuffer = Buffer.from(provided);
+
+    if (providedBuffer.length !== expectedBuffer.length || !crypto.timingSafeEqual(providedBuffer, expectedBuffer)) {
+        console.warn(`Rejected reports request from ${req.ip}`);
+        return res.status(401).json({ error: 'Invalid or missing token' });
+    }
+
+    next();
+}
+
+/**
+ * GET /reports/verification?guild_id=...&days=30
+ * Age verification funnel report (defaults to DISCORD_GUILD_ID)
+ */
+router.get('/verification', requireReportsToken, async (req, res) => {
+    const guildId = req.query.guild_id || process.env.DISCORD_GUILD_ID;
+
+    if (!guildId || !/^\d{17,20}$/.test(guildId)) {
+        return res.status(400).json({ error: 'A valid guild_id is required' });
+    }
+
+    try {
+        const report = await verificationAnalyticsService.buildReport(guildId, req.query.days);
+
+        // The API has no Discord actor, so the export is recorded as a system action
+        await AuditLog.create({
+            action_type: 'bot_action',
+            guild_id: guildId,
+            ip_address: req.ip || null,
+            user_agent: req.headers['user-agent'] || null,
+            details: {
+                bot_action: 'verification_report_exported',
+                days: report.window.days,
+                source: 'http'
+            }
+        });
+
+        res.json(report);
+    } catch (error) {
+        console.error('Verification report error:', error);
+        res.status(500).json({
+            error: 'Failed to build verification report',
+            timestamp: new Date().toISOString()
+        });
+    }
+});
+
+module.exports = router;
@@ -0,0 +1,466 @@
+/**
+ * Age Gate Service for GrowmiesNJ Discord Bot
+ *
+ * Audits the permission overwrites of declared 21+ channels and categories against the
+ * verified role: @everyone must be denied View Channel and the verified role must be allowed it
+ * Drift is reported to staff and, when auto-fix is enabled, repaired on startup and on channel updates
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { ChannelType, OverwriteType, PermissionFlagsBits } = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { AuditLog } = require('../database/models/AuditLog');
+const { Lockdown } = require('../database/models/Lockdown');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Server layout written by the setup scripts, used to seed declarations
+ */
+const SERVER_CONFIGURATION_PATH = path.join(__dirname, '..', '..', 'config', 'server-configuration.json');
+
+/**
+ * Category names (and channel key prefixes) in the server layout that mark 21+ content
+ */
+const AGE_GATED_NAME_PATTERN = /21\+/;
+
+/**
+ * Drift types found by an audit
+ * fixable issues are repaired by editing the channel's overwrites; the rest need staff review
+ */
+const ISSUE_TYPES = {
+  everyone_visible: { label: '@everyone can view the channel', severity: 'critical', fixable: true },
+  verified_role_missing: { label: 'Verified role is not allowed to view the channel', severity: 'warning', fixable: true },
+  unexpected_access: { label: 'Overwrite grants access outside the verified role', severity: 'critical', fixable: false },
+  missing_channel: { label: 'Declared channel no longer exists', severity: 'warning', fixable: false }
+};
+
+// Issues listed in alert embeds (the audit log keeps every issue)
+const ALERT_ISSUE_LIMIT = 10;
+
+/**
+ * Age Gate Service Class
+ */
+class AgeGateService {
+  /**
+   * Resolve the verified role for a guild
+   * @param {GuildSettings} settings - Guild settings
+   * @returns {string|null} - Verified role ID
+   */
+  getVerifiedRoleId(settings) {
+    return settings.verified_role_id || process.env.AGE_VERIFICATION_ROLE_ID || null;
+  }
+
+  /**
+   * Check whether a channel is covered by the declarations
+   * @param {GuildChannel} channel - Discord channel
+   * @param {Object} config - Age gate configuration
+   * @returns {boolean} - True when the channel, or its category, is declared 21+
+   */
+  isDeclared(channel, config) {
+    return config.channel_ids.includes(channel.id) ||
+      config.category_ids.includes(channel.id) ||
+      Boolean(channel.parentId && config.category_ids.includes(channel.parentId));
+  }
+
+  /**
+   * Resolve declared channels and categories to guild channels
+   * Categories come first so their overwrites are repaired before their children are checked
+   * @param {Guild} guild - Discord guild
+   * @param {Object} config - Age gate configuration
+   * @returns {Object} - { channels: GuildChannel[], missing: string[] }
+   */
+  resolveDeclaredChannels(guild, config) {
+    const categories = [];
+    const channels = new Map();
+    const missing = [];
+
+    for (const categoryId of config.category_ids) {
+      const category = guild.channels.cache.get(categoryId);
+      if (!category) {
+        missing.push(categoryId);
+        continue;
+      }
+      categories.push(category);
+      for (const child of guild.channels.cache.filter(channel => channel.parentId === categoryId).values()) {
+        channels.set(child.id, child);
+      }
+    }
+
+    for (const channelId of config.channel_ids) {
+      const channel = guild.channels.cache.get(channelId);
+      if (!channel) {
+        missing.push(channelId);
+        continue;
+      }
+      if (channel.type === ChannelType.GuildCategory) {
+        categories.push(channel);
+      } else {
+        channels.set(channel.id, channel);
+      }
+    }
+
+    return { channels: [...categories, ...channels.values()], missing };
+  }
+
+  /**
+   * Compare a channel's overwrites with the age gate
+   * @param {GuildChannel} channel - Discord channel or category
+   * @param {string} verifiedRoleId - Verified role ID
+   * @returns {Object[]} - Issues ({ type, target_id })
+   */
+  auditChannel(channel, verifiedRoleId) {
+    const guild = channel.guild;
+    const overwrites = channel.permissionOverwrites.cache;
+    const issues = [];
+
+    const everyone = overwrites.get(guild.roles.everyone.id);
+    if (!everyone || !everyone.deny.has(PermissionFlagsBits.ViewChannel)) {
+      issues.push({ type: 'everyone_visible', target_id: guild.roles.everyone.id });
+    }
+
+    const verified = overwrites.get(verifiedRoleId);
+    if (!verified || !verified.allow.has(PermissionFlagsBits.ViewChannel)) {
+      issues.push({ type: 'verified_role_missing', target_id: verifiedRoleId });
+    }
+
+    for (const overwrite of overwrites.values()) {
+      if (overwrite.id === verifiedRoleId || overwrite.id === guild.roles.everyone.id) continue;
+      if (!overwrite.allow.has(PermissionFlagsBits.ViewChannel)) continue;
+      if (this.isExemptOverwrite(guild, overwrite, verifiedRoleId)) continue;
+
+      issues.push({ type: 'unexpected_access', target_id: overwrite.id, target_type: overwrite.type === OverwriteType.Member ? 'member' : 'role' });
+    }
+
+    return issues;
+  }
+
+  /**
+   * Staff roles, bot roles, staff members and verified members may hold their own View Channel allow
+   * @param {Guild} guild - Discord guild
+   * @param {PermissionOverwrites} overwrite - Channel overwrite
+   * @param {string} verifiedRoleId - Verified role ID
+   * @returns {boolean} - True when the overwrite does not expose the channel
+   */
+  isExemptOverwrite(guild, overwrite, verifiedRoleId) {
+    if (overwrite.type === OverwriteType.Member) {
+      const member = guild.members.cache.get(overwrite.id);
+      return Boolean(member && (member.user.bot || member.roles.cache.has(verifiedRoleId) ||
+        member.permissions.has(PermissionFlagsBits.ModerateMembers)));
+    }
+
+    const role = guild.roles.cache.get(overwrite.id);
+    if (!role) return true;
+    return role.managed ||
+      role.permissions.has(PermissionFlagsBits.Administrator) ||
+      role.permissions.has(PermissionFlagsBits.ModerateMembers);
+  }
+
+  /**
+   * Repair the fixable issues on a channel
+   * Existing overwrites are edited in place, so other permissions on them are kept
+   * @param {GuildChannel} channel - Discord channel or category
+   * @param {Object[]} issues - Issues found by auditChannel
+   * @param {string} verifiedRoleId - Verified role ID
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<void>}
+   */
+  async fixChannel(channel, issues, verifiedRoleId, reason) {
+    for (const issue of issues) {
+      if (issue.type === 'everyone_visible') {
+        await channel.permissionOverwrites.edit(channel.guild.roles.everyone.id, { ViewChannel: false }, { reason });
+      } else if (issue.type === 'verified_role_missing') {
+        await channel.permissionOverwrites.edit(verifiedRoleId, { ViewChannel: true }, { reason });
+      } else {
+        continue;
+      }
+      issue.fixed = true;
+    }
+  }
+
+  /**
+   * Audit declared 21+ channels in a guild, optionally repairing drift
+   * @param {Guild} guild - Discord guild
+   * @param {Object} options - Options
+   * @param {boolean} [options.fix] - Repair fixable issues
+   * @param {string} [options.source] - What started the audit (startup, channel_update, command)
+   * @param {string} [options.actorId] - Discord ID of the staff member, or the bot when automatic
+   * @param {string[]} [options.channelIds] - Limit the audit to these channels
+   * @returns {Promise<Object>} - Report ({ checked, issues, fixed, failed, ... })
+   */
+  async audit(guild, { fix = false, source = 'command', actorId = guild.client.user.id, channelIds = null } = {}) {
+    if (await this.isLockedDown(guild.id)) {
+      throw new Error('Age gate checks are paused while 21+ channels are locked down (/lockdown end restores them)');
+    }
+
+    const settings = await GuildSettings.findByGuildId(guild.id);
+    const config = settings.getAgeGateConfig();
+    const verifiedRoleId = this.getVerifiedRoleId(settings);
+
+    if (!verifiedRoleId) {
+      throw new Error('Age gate needs a verified role: set verified_role_id in guild settings or AGE_VERIFICATION_ROLE_ID');
+    }
+    if (!guild.roles.cache.has(verifiedRoleId)) {
+      throw new Error(`Age gate verified role ${verifiedRoleId} does not exist in this server`);
+    }
+
+    let { channels, missing } = this.resolveDeclaredChannels(guild, config);
+    if (channelIds) {
+      channels = channels.filter(channel => channelIds.includes(channel.id));
+      missing = [];
+    }
+
+    const report = {
+      guild_id: guild.id,
+      verified_role_id: verifiedRoleId,
+      source,
+      fix,
+      checked: channels.length,
+      issues: missing.map(channelId => ({ channel_id: channelId, type: 'missing_channel' })),
+      fixed: 0,
+      failed: 0
+    };
+
+    const reason = `Age gate ${fix && source !== 'command' ? 'auto-fix' : 'fix'} (${source})`;
+    for (const channel of channels) {
+      const issues = this.auditChannel(channel, verifiedRoleId)
+        .map(issue => ({ channel_id: channel.id, channel_name: channel.name, ...issue }));
+
+      if (fix && issues.some(issue => ISSUE_TYPES[issue.type].fixable)) {
+        try {
+          await this.fixChannel(channel, issues, verifiedRoleId, reason);
+        } catch (error) {
+          console.error(`[AgeGate] Failed to fix #${channel.name} in ${guild.id}:`, error.message);
+          for (const issue of issues) {
+            if (ISSUE_TYPES[issue.type].fixable && !issue.fixed) issue.error = error.message;
+          }
+        }
+      }
+
+      report.issues.push(...issues);
+    }
+
+    report.fixed = report.issues.filter(issue => issue.fixed).length;
+    report.failed = report.issues.filter(issue => issue.error).length;
+
+    if (report.issues.length > 0) {
+      await AuditLog.logAdminAction(actorId, guild.id, fix ? 'age_gate_fixed' : 'age_gate_drift', null, {
+        source,
+        checked: report.checked,
+        fixed: report.fixed,
+        failed: report.failed,
+        issues: report.issues.map(({ channel_id, type, target_id, fixed, error }) => ({ channel_id, type, target_id, fixed: Boolean(fixed), error }))
+      });
+
+      console.log(`🔞 Age gate ${source} audit in ${guild.name}: ${report.issues.length} issue(s), ${report.fixed} fixed`);
+
+      // Staff running the command see the report directly
+      if (source !== 'command') {
+        await this.sendAlert(guild, settings, config, report);
+      }
+    }
+
+    return report;
+  }
+
+  /**
+   * Audit every guild on startup, seeding declarations from the server layout the first time
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async auditAllGuilds(client) {
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        const settings = await GuildSettings.findByGuildId(guild.id);
+        let config = settings.getAgeGateConfig();
+
+        if (!config.seeded && config.channel_ids.length === 0 && config.category_ids.length === 0) {
+          await this.seedFromServerConfiguration(guild, settings);
+          config = settings.getAgeGateConfig();
+        }
+        if (config.channel_ids.length === 0 && config.category_ids.length === 0) continue;
+        if (await this.isLockedDown(guild.id)) continue;
+
+        await this.audit(guild, { fix: config.auto_fix, source: 'startup' });
+      } catch (error) {
+        console.error(`[AgeGate] Startup audit failed for ${guild.name}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Re-audit a declared channel when its overwrites or category change
+   * @param {GuildChannel} oldChannel - Channel before the update
+   * @param {GuildChannel} newChannel - Channel after the update
+   * @returns {Promise<void>}
+   */
+  async handleChannelUpdate(oldChannel, newChannel) {
+    if (!newChannel.guild) return;
+    if (oldChannel.parentId === newChannel.parentId &&
+      this.getOverwriteKey(oldChannel) === this.getOverwriteKey(newChannel)) {
+      return;
+    }
+
+    const settings = await GuildSettings.findByGuildId(newChannel.guild.id);
+    const config = settings.getAgeGateConfig();
+    if (!this.isDeclared(newChannel, config)) return;
+
+    // Lockdown denies the verified role on purpose; auto-fix would undo it
+    if (await this.isLockedDown(newChannel.guild.id)) return;
+
+    const channelIds = [newChannel.id];
+    if (newChannel.type === ChannelType.GuildCategory) {
+      channelIds.push(...newChannel.guild.channels.cache.filter(channel => channel.parentId === newChannel.id).keys());
+    }
+
+    await this.audit(newChannel.guild, { fix: config.auto_fix, source: 'channel_update', channelIds });
+  }
+
+  /**
+   * Check whether a lockdown is hiding the 21+ channels
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} - True while an age_gated lockdown is active
+   */
+  async isLockedDown(guildId) {
+    const lockdown = await Lockdown.findActive(guildId);
+    return Boolean(lockdown && lockdown.hasScope('age_gated'));
+  }
+
+  /**
+   * Serialize a channel's overwrites so updates that do not touch them can be skipped
+   * @param {GuildChannel} channel - Discord channel
+   * @returns {string} - Overwrite key
+   */
+  getOverwriteKey(channel) {
+    return [...channel.permissionOverwrites.cache.values()]
+      .map(overwrite => `${overwrite.id}:${overwrite.allow.bitfield}:${overwrite.deny.bitfield}`)
+      .sort()
+      .join(',');
+  }
+
+  /**
+   * Read the 21+ categories and channels from the setup scripts' server layout
+   * Only IDs that still exist in the guild are returned
+   * @param {Guild} guild - Discord guild
+   * @returns {Object|null} - { channel_ids, category_ids, skipped }, or null when the layout is for another guild
+   */
+  readServerConfiguration(guild) {
+    let layout;
+    try {
+      layout = JSON.parse(fs.readFileSync(SERVER_CONFIGURATION_PATH, 'utf8'));
+    } catch (error) {
+      console.warn(`[AgeGate] Could not read server configuration: ${error.message}`);
+      return null;
+    }
+    if (layout.guildId !== guild.id) return null;
+
+    const categoryIds = Object.entries(layout.categories || {})
+      .filter(([name]) => AGE_GATED_NAME_PATTERN.test(name))
+      .map(([, id]) => id);
+    const channelIds = Object.entries(layout.channels || {})
+      .filter(([key]) => AGE_GATED_NAME_PATTERN.test(key.split(':')[0]))
+      .map(([, id]) => id);
+
+    const exists = id => guild.channels.cache.has(id);
+    return {
+      category_ids: categoryIds.filter(exists),
+      channel_ids: channelIds.filter(exists),
+      skipped: [...categoryIds, ...channelIds].filter(id => !exists(id)).length
+    };
+  }
+
+  /**
+   * Add the server layout's 21+ categories and channels to the declarations
+   * @param {Guild} guild - Discord guild
+   * @param {GuildSettings} settings - Guild settings
+   * @returns {Promise<Object|null>} - Seeded IDs, or null when there is no layout for this guild
+   */
+  async seedFromServerConfiguration(guild, settings) {
+    const seed = this.readServerConfiguration(guild);
+    const config = settings.getAgeGateConfig();
+
+    if (!seed) {
+      await settings.updateAgeGateConfig({ seeded: true });
+      return null;
+    }
+
+    await settings.updateAgeGateConfig({
+      category_ids: [...config.category_ids, ...seed.category_ids],
+      channel_ids: [...config.channel_ids, ...seed.channel_ids],
+      seeded: true
+    });
+
+    console.log(`🔞 Seeded age gate for ${guild.name}: ${seed.category_ids.length} categories, ${seed.channel_ids.length} channels (${seed.skipped} stale IDs skipped)`);
+    return seed;
+  }
+
+  /**
+   * Format report issues as embed lines
+   * @param {Object[]} issues - Report issues
+   * @param {number} limit - Lines to show
+   * @returns {string} - Issue lines
+   */
+  formatIssues(issues, limit = ALERT_ISSUE_LIMIT) {
+    const lines = issues.slice(0, limit).map(issue => {
+      const target = issue.type === 'unexpected_access'
+        ? ` (${issue.target_type === 'member' ? `<@${issue.target_id}>` : `<@&${issue.target_id}>`})`
+        : '';
+      const status = issue.fixed ? ' — ✅ fixed' : issue.error ? ' — ❌ fix failed' : '';
+      const channel = issue.type === 'missing_channel' ? `\`${issue.channel_id}\`` : `<#${issue.channel_id}>`;
+      return `• ${channel}: ${ISSUE_TYPES[issue.type].label}${target}${status}`;
+    });
+    if (issues.length > limit) {
+      lines.push(`…and ${issues.length - limit} more`);
+    }
+    return lines.join('\n');
+  }
+
+  /**
+   * Post an age gate drift alert to the alert channel (or mod log)
+   * @param {Guild} guild - Discord guild
+   * @param {GuildSettings} settings - Guild settings
+   * @param {Object} config - Age gate configuration
+   * @param {Object} report - Audit report
+   * @returns {Promise<void>}
+   */
+  async sendAlert(guild, settings, config, report) {
+    try {
+      const channelId = config.alert_channel_id || settings.log_channel_id;
+      if (!channelId) return;
+
+      const channel = await guild.channels.fetch(channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) return;
+
+      const unresolved = report.issues.filter(issue => !issue.fixed);
+      const exposed = unresolved.some(issue => ISSUE_TYPES[issue.type].severity === 'critical');
+      const fixable = unresolved.some(issue => ISSUE_TYPES[issue.type].fixable);
+
+      await channel.send({
+        embeds: [{
+          color: exposed ? BRAND_COLORS.ERROR : unresolved.length > 0 ? BRAND_COLORS.WARNING : BRAND_COLORS.SUCCESS,
+          title: unresolved.length > 0 ? '🔞 Age Gate Drift Detected' : '🔞 Age Gate Drift Fixed',
+          description: exposed
+            ? `21+ content may be visible to unverified members. Review the overwrites below${fixable ? ' or run `/age-gate fix`' : ''}.`
+            : `Found during the ${report.source.replace('_', ' ')} audit of ${report.checked} declared channel${report.checked !== 1 ? 's' : ''}.`,
+          fields: [
+            { name: '⚠️ Issues', value: this.formatIssues(report.issues), inline: false }
+          ],
+          footer: {
+            text: 'Growmies NJ Cannabis Community • Age Gate'
+          },
+          timestamp: new Date().toISOString()
+        }]
+      });
+    } catch (error) {
+      console.warn(`[AgeGate] Failed to send alert in ${guild.id}:`, error.message);
+    }
+  }
+}
+
+const ageGateService = new AgeGateService();
+
+module.exports = {
+  AgeGateService,
+  ageGateService,
+  ISSUE_TYPES
+};
@@ -7,9 +7,34 @@
 
 const { User } = require('../database/models/User');
 const { AuditLog } = require('../database/models/AuditLog');
-const { MessageFlags } = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { MessageFlags, ModalBuilder, TextInputBuilder, TextInputStyle, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
 const { RoleManagementService } = require('./roleManagement');
-const { WelcomeEmbeds, EmbedUtils } = require('../utils/embeds');
+const { reverificationService } = require('./reverification');
+const { WelcomeEmbeds, EmbedUtils, BRAND_COLORS } = require('../utils/embeds');
+
+// Custom ID prefix routed to the verification command by the interactionCreate event
+const VERIFICATION_PREFIX = 'verification';
+
+/**
+ * Birthdate verification thresholds
+ */
+const BIRTHDATE_RULES = {
+    MINIMUM_AGE: 21,
+    MAXIMUM_PLAUSIBLE_AGE: 100
+};
+
+/**
+ * Reasons a birthdate attempt is routed to staff review
+ */
+const REVIEW_FLAG_LABELS = {
+    staff_review_mode: '🧑‍⚖️ Staff review required for every attempt',
+    recently_turned_21: '🎂 Turned 21 recently',
+    implausible_age: '❓ Implausible age',
+    new_account: '🆕 New Discord account',
+    birth_year_changed: '🔁 Birth year differs from an earlier attempt',
+    previously_denied: '🚫 Previously denied or reported under 21'
+};
 
 /**
  * Age Verification Service Class
@@ -34,6 +59,7 @@ class AgeVerificationService {
             // Check rate limiting
             const canAttempt = await this.checkRateLimit(interaction.user.id, interaction.guild.id);
             if (!canAttempt) {
+                await this.logRateLimitHit(interaction, 'button_confirmation');
                 await interaction.reply({
                     content: '⏱️ **Rate Limit Exceeded**\n\nYou have attempted verification too many times. Please wait 24 hours before trying again.\n\nIf you need assistance, please contact an administrator.',
                     flags: MessageFlags.Ephemeral
@@ -228,6 +254,29 @@ class AgeVerificationService {
         }
     }
 
+    /**
+     * Record a verification attempt blocked by the rate limit
+     * @param {Interaction} interaction - Discord interaction
+     * @param {string} method - Verification method that was attempted
+     * @returns {Promise<void>}
+     */
+    async logRateLimitHit(interaction, method) {
+        try {
+            await AuditLog.logVerificationAttempt(
+                interaction.user.id,
+                interaction.guild.id,
+                interaction.user.id,
+                'failure',
+                {
+                    verification_method: method,
+                    failure_reason: 'rate_limited'
+                }
+            );
+        } catch (error) {
+            console.error('❌ Failed to log verification rate limit:', error);
+        }
+    }
+
     /**
      * Get user verification status from database
      * @param {string} userId - Discord user ID
@@ -333,6 +382,460 @@ class AgeVerificationService {
         }
     }
 
+    /**
+     * Get the guild's verification mode configuration
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<Object>} - Verification configuration
+     */
+    async getVerificationModeConfig(guildId) {
+        const settings = await GuildSettings.findByGuildId(guildId);
+        return settings.getVerificationModeConfig();
+    }
+
+    /**
+     * Build the birthdate modal shown instead of the one-click confirmation
+     * @returns {ModalBuilder} - Birthdate modal
+     */
+    createBirthdateModal() {
+        return new ModalBuilder()
+            .setCustomId(`${VERIFICATION_PREFIX}:birthdate`)
+            .setTitle('🔞 Age Verification')
+            .addComponents(
+                new ActionRowBuilder().addComponents(
+                    new TextInputBuilder()
+                        .setCustomId('birthdate')
+                        .setLabel('Date of birth (MM/DD/YYYY)')
+                        .setStyle(TextInputStyle.Short)
+                        .setPlaceholder('04/20/1990')
+                        .setMinLength(8)
+                        .setMaxLength(10)
+                        .setRequired(true)
+                )
+            );
+    }
+
+    /**
+     * Parse a birthdate entered as MM/DD/YYYY or YYYY-MM-DD
+     * @param {string} input - Raw modal input
+     * @returns {Date|null} - Birthdate (UTC midnight) or null if invalid
+     */
+    parseBirthdate(input) {
+        const value = (input || '').trim();
+        let match = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+        let year, month, day;
+
+        if (match) {
+            [, month, day, year] = match.map(Number);
+        } else {
+            match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+            if (!match) return null;
+            [, year, month, day] = match.map(Number);
+        }
+
+        const birthdate = new Date(Date.UTC(year, month - 1, day));
+        // Reject dates that rolled over, such as 02/30
+        if (birthdate.getUTCFullYear() !== year || birthdate.getUTCMonth() !== month - 1 || birthdate.getUTCDate() !== day) {
+            return null;
+        }
+
+        return birthdate;
+    }
+
+    /**
+     * Calculate age in whole years
+     * @param {Date} birthdate - Birthdate
+     * @param {Date} now - Reference date
+     * @returns {number} - Age in years
+     */
+    calculateAge(birthdate, now = new Date()) {
+        let age = now.getUTCFullYear() - birthdate.getUTCFullYear();
+        const birthdayPassed = now.getUTCMonth() > birthdate.getUTCMonth() ||
+            (now.getUTCMonth() === birthdate.getUTCMonth() && now.getUTCDate() >= birthdate.getUTCDate());
+        return birthdayPassed ? age : age - 1;
+    }
+
+    /**
+     * Decide what happens to a birthdate attempt
+     * @param {Date|null} birthdate - Parsed birthdate
+     * @param {Object} context - Attempt context
+     * @param {Object} context.config - Verification configuration
+     * @param {Date} context.accountCreatedAt - Discord account creation date
+     * @param {User|null} context.existingUser - Existing user record
+     * @param {Date} [context.now] - Reference date
+     * @returns {Object} - { outcome: 'approve'|'review'|'deny'|'invalid', age, birthYear, flags }
+     */
+    assessBirthdate(birthdate, { config, accountCreatedAt, existingUser, now = new Date() }) {
+        if (!birthdate || birthdate > now) {
+            return { outcome: 'invalid', age: null, birthYear: null, flags: [] };
+        }
+
+        const age = this.calculateAge(birthdate, now);
+        const birthYear = birthdate.getUTCFullYear();
+
+        if (age < BIRTHDATE_RULES.MINIMUM_AGE) {
+            return { outcome: 'deny', age, birthYear, flags: [] };
+        }
+
+        const flags = [];
+        if (config.mode === 'staff_review') {
+            flags.push('staff_review_mode');
+        }
+
+        const twentyFirstBirthday = new Date(Date.UTC(birthYear + BIRTHDATE_RULES.MINIMUM_AGE, birthdate.getUTCMonth(), birthdate.getUTCDate()));
+        const borderlineUntil = new Date(twentyFirstBirthday);
+        borderlineUntil.setUTCMonth(borderlineUntil.getUTCMonth() + config.borderline_months);
+        if (now < borderlineUntil) {
+            flags.push('recently_turned_21');
+        }
+
+        if (age > BIRTHDATE_RULES.MAXIMUM_PLAUSIBLE_AGE) {
+            flags.push('implausible_age');
+        }
+
+        const accountAgeDays = (now - accountCreatedAt) / (1000 * 60 * 60 * 24);
+        if (accountAgeDays < config.min_account_age_days) {
+            flags.push('new_account');
+        }
+
+        // Button verifications store a placeholder birth year, so only compare against entered birthdates
+        const enteredBefore = ['birthdate', 'staff_review'].includes(existingUser?.verification_method);
+        if (enteredBefore && existingUser.birth_year && String(existingUser.birth_year) !== String(birthYear)) {
+            flags.push('birth_year_changed');
+        }
+
+        if (existingUser?.verification_status === 'rejected') {
+            flags.push('previously_denied');
+        }
+
+        return { outcome: flags.length > 0 ? 'review' : 'approve', age, birthYear, flags };
+    }
+
+    /**
+     * Get the member's user record, creating a pending one if needed
+     * @param {DiscordUser} discordUser - Discord user object
+     * @param {string} guildId - Discord guild ID
+     * @returns {Promise<User>} - User record
+     */
+    async getOrCreateUser(discordUser, guildId) {
+        const [user] = await User.findOrCreate({
+            where: { discord_id: discordUser.id, guild_id: guildId },
+            defaults: {
+                username: discordUser.username,
+                display_name: discordUser.displayName || discordUser.globalName,
+                verification_status: 'pending',
+                is_21_plus: false
+            }
+        });
+        return user;
+    }
+
+    /**
+     * Handle the birthdate modal submission
+     * @param {ModalSubmitInteraction} interaction - Discord modal interaction
+     * @returns {Promise<string>} - Attempt outcome
+     */
+    async handleBirthdateSubmission(interaction) {
+        await interaction.deferReply({ flags: MessageFlags.Ephemeral });
+
+        const guildId = interaction.guild.id;
+        const canAttempt = await this.checkRateLimit(interaction.user.id, guildId);
+        if (!canAttempt) {
+            await this.logRateLimitHit(interaction, 'birthdate');
+            await interaction.editReply({
+                content: '⏱️ **Rate Limit Exceeded**\n\nYou have attempted verification too many times. Please wait 24 hours before trying again.'
+            });
+            return 'rate_limited';
+        }
+
+        const config = await this.getVerificationModeConfig(guildId);
+        const user = await this.getOrCreateUser(interaction.user, guildId);
+
+        if (user.verification_metadata?.pending_review) {
+            await interaction.editReply({
+                content: '⏳ **Awaiting Staff Review**\n\nYour previous verification is still being reviewed. You will receive a DM once staff have made a decision.'
+            });
+            return 'pending';
+        }
+
+        const method = config.mode === 'staff_review' ? 'staff_review' : 'birthdate';
+        const assessment = this.assessBirthdate(
+            this.parseBirthdate(interaction.fields.getTextInputValue('birthdate')),
+            { config, accountCreatedAt: interaction.user.createdAt, existingUser: user }
+        );
+
+        console.log(`🎂 Birthdate verification by ${interaction.user.tag}: ${assessment.outcome}${assessment.flags.length ? ` (${assessment.flags.join(', ')})` : ''}`);
+
+        if (assessment.outcome === 'invalid') {
+            await user.update({ last_attempt_at: new Date() });
+            await user.increment('verification_attempts');
+            await AuditLog.logVerificationAttempt(interaction.user.id, guildId, interaction.user.id, 'failure', {
+                verification_method: method,
+                failure_reason: 'invalid_birthdate',
+                attempt_number: user.verification_attempts + 1
+            });
+            await interaction.editReply({
+                content: '⚠️ **Invalid Date**\n\nPlease enter your date of birth as MM/DD/YYYY (for example 04/20/1990) and try again.'
+            });
+            return 'invalid';
+        }
+
+        if (assessment.outcome === 'deny') {
+            await user.update({
+                verification_status: 'rejected',
+                verification_method: method,
+                birth_year: String(assessment.birthYear),
+                is_21_plus: false,
+                last_attempt_at: new Date()
+            });
+            await user.increment('verification_attempts');
+            await AuditLog.logVerificationAttempt(interaction.user.id, guildId, interaction.user.id, 'failure', {
+                verification_method: method,
+                failure_reason: 'user_under_21',
+                age: assessment.age,
+                attempt_number: user.verification_attempts + 1
+            });
+            await interaction.editReply({ content: this.getDenialMessage() });
+            return 'deny';
+        }
+
+        if (assessment.outcome === 'review') {
+            await this.submitForReview(interaction, user, assessment, config, method);
+            await interaction.editReply({
+                content: '⏳ **Sent for Staff Review**\n\nThanks! A staff member will review your verification shortly. You will receive a DM with the result, so please keep DMs from this server open.'
+            });
+            return 'review';
+        }
+
+        const roleResult = await this.completeVerification(interaction.member, user, {
+            method,
+            birthYear: assessment.birthYear
+        });
+        await AuditLog.logVerificationAttempt(interaction.user.id, guildId, interaction.user.id, 'success', {
+            verification_method: method,
+            age: assessment.age,
+            assigned_roles: roleResult.assignedRoles
+        });
+        await interaction.editReply({
+            embeds: [WelcomeEmbeds.createRoleAssignmentSuccessEmbed(interaction.member, roleResult.assignedRoles)]
+        });
+        return 'approve';
+    }
+
+    /**
+     * Record a pending review on the user and post it to the staff review channel
+     * Only the birth year and computed age are stored, never the full birthdate
+     * @param {ModalSubmitInteraction} interaction - Birthdate modal interaction
+     * @param {User} user - User record
+     * @param {Object} assessment - Result of assessBirthdate()
+     * @param {Object} config - Verification configuration
+     * @param {string} method - Verification method
+     * @returns {Promise<void>}
+     */
+    async submitForReview(interaction, user, assessment, config, method) {
+        const pendingReview = {
+            method,
+            age: assessment.age,
+            birth_year: assessment.birthYear,
+            flags: assessment.flags,
+            submitted_at: new Date().toISOString()
+        };
+
+        try {
+            const channel = await interaction.guild.channels.fetch(config.review_channel_id);
+            const message = await channel.send({
+                embeds: [this.createReviewEmbed(interaction.user, pendingReview, user)],
+                components: [this.createReviewButtons(interaction.user.id)]
+            });
+            pendingReview.channel_id = channel.id;
+            pendingReview.message_id = message.id;
+        } catch (error) {
+            console.error(`❌ Failed to post verification review for ${interaction.user.tag}:`, error);
+        }
+
+        await user.update({
+            verification_status: 'pending',
+            verification_method: method,
+            last_attempt_at: new Date(),
+            verification_metadata: { ...(user.verification_metadata || {}), pending_review: pendingReview }
+        });
+
+        await AuditLog.logVerificationAttempt(interaction.user.id, interaction.guild.id, interaction.user.id, 'pending', {
+            verification_method: method,
+            age: assessment.age,
+            review_flags: assessment.flags
+        });
+    }
+
+    /**
+     * Apply a staff decision from the review queue
+     * @param {ButtonInteraction} interaction - Staff button interaction
+     * @param {string} decision - 'approve' or 'deny'
+     * @param {string} userId - Member under review
+     * @returns {Promise<Object>} - { user, memberNotified }
+     */
+    async handleReviewDecision(interaction, decision, userId) {
+        const guild = interaction.guild;
+        const user = await User.findOne({ where: { discord_id: userId, guild_id: guild.id } });
+        const pendingReview = user?.verification_metadata?.pending_review;
+        if (!pendingReview) {
+            throw new Error('Verification review has already been decided or no longer exists.');
+        }
+
+        const metadata = { ...user.verification_metadata };
+        delete metadata.pending_review;
+        const reviewRecord = {
+            ...pendingReview,
+            decision,
+            reviewed_by: interaction.user.id,
+            reviewed_at: new Date().toISOString()
+        };
+        let assignedRoles = [];
+
+        if (decision === 'approve') {
+            const member = await guild.members.fetch(userId).catch(() => null);
+            if (!member) {
+                throw new Error('Verification review cannot be approved because the member has left the server.');
+            }
+            const roleResult = await this.completeVerification(member, user, {
+                method: pendingReview.method,
+                birthYear: pendingReview.birth_year,
+                verifiedBy: interaction.user.id
+            });
+            assignedRoles = roleResult.assignedRoles;
+            await user.update({ verification_metadata: { ...metadata, last_review: reviewRecord } });
+        } else {
+            await user.update({
+                verification_status: 'rejected',
+                is_21_plus: false,
+                verified_by_user_id: interaction.user.id,
+                verification_metadata: { ...metadata, last_review: reviewRecord }
+            });
+        }
+
+        await AuditLog.logVerificationAttempt(userId, guild.id, interaction.user.id, decision === 'approve' ? 'success' : 'failure', {
+            verification_method: pendingReview.method,
+            failure_reason: decision === 'deny' ? 'denied_by_staff' : undefined,
+            reviewed_by: interaction.user.id,
+            review_flags: pendingReview.flags,
+            assigned_roles: assignedRoles
+        });
+
+        await interaction.message.edit({
+            embeds: [this.createReviewEmbed(await interaction.client.users.fetch(userId), reviewRecord, user)],
+            components: []
+        }).catch(error => console.warn('⚠️ Failed to update verification review card:', error.message));
+
+        const memberNotified = await this.notifyReviewOutcome(interaction.client, guild, userId, decision);
+
+        console.log(`🧑‍⚖️ Verification review for ${userId} ${decision === 'approve' ? 'approved' : 'denied'} by ${interaction.user.tag}`);
+        return { user, memberNotified };
+    }
+
+    /**
+     * Mark a member verified and assign verification roles
+     * @param {GuildMember} member - Discord guild member
+     * @param {User} user - User record
+     * @param {Object} options - { method, birthYear, verifiedBy }
+     * @returns {Promise<Object>} - Role assignment result
+     */
+    async completeVerification(member, user, { method, birthYear, verifiedBy = null }) {
+        const now = new Date();
+        await user.update({
+            verification_status: 'verified',
+            verified_at: now,
+            verification_expires: await reverificationService.getExpiryDate(member.guild.id, now),
+            verification_method: method,
+            verified_by_user_id: verifiedBy,
+            birth_year: String(birthYear),
+            is_21_plus: true,
+            last_attempt_at: now
+        });
+
+        return await this.roleManager.assignVerificationRoles(member, member.guild, user);
+    }
+
+    /**
+     * Build the staff review card
+     * @param {DiscordUser} discordUser - Member under review
+     * @param {Object} review - Pending or decided review record
+     * @param {User} user - User record
+     * @returns {Object} - Embed data
+     */
+    createReviewEmbed(discordUser, review, user) {
+        const decided = Boolean(review.decision);
+        const fields = [
+            { name: '👤 Member', value: `<@${discordUser.id}> (${discordUser.tag})`, inline: true },
+            { name: '🎂 Age', value: `${review.age} (born ${review.birth_year})`, inline: true },
+            { name: '📅 Account Created', value: `<t:${Math.floor(discordUser.createdTimestamp / 1000)}:R>`, inline: true },
+            {
+                name: '🚩 Review Reasons',
+                value: review.flags.map(flag => REVIEW_FLAG_LABELS[flag] || flag).join('\n') || 'None',
+                inline: false
+            },
+            { name: '🔢 Attempts', value: String(user.verification_attempts || 0), inline: true }
+        ];
+
+        if (decided) {
+            fields.push({
+                name: review.decision === 'approve' ? '✅ Approved' : '🚫 Denied',
+                value: `By <@${review.reviewed_by}> <t:${Math.floor(new Date(review.reviewed_at).getTime() / 1000)}:R>`,
+                inline: true
+            });
+        }
+
+        return {
+            color: decided ? (review.decision === 'approve' ? BRAND_COLORS.SUCCESS : BRAND_COLORS.ERROR) : BRAND_COLORS.WARNING,
+            title: '🔞 Age Verification Review',
+            thumbnail: { url: discordUser.displayAvatarURL() },
+            fields,
+            footer: { text: 'Growmies NJ Cannabis Community • Staff Only' },
+            timestamp: review.reviewed_at || review.submitted_at
+        };
+    }
+
+    /**
+     * Build the approve/deny buttons for a review card
+     * @param {string} userId - Member under review
+     * @returns {ActionRowBuilder} - Button row
+     */
+    createReviewButtons(userId) {
+        return new ActionRowBuilder().addComponents(
+            new ButtonBuilder()
+                .setCustomId(`${VERIFICATION_PREFIX}:approve:${userId}`)
+                .setLabel('Approve')
+                .setStyle(ButtonStyle.Success)
+                .setEmoji('✅'),
+            new ButtonBuilder()
+                .setCustomId(`${VERIFICATION_PREFIX}:deny:${userId}`)
+                .setLabel('Deny')
+                .setStyle(ButtonStyle.Danger)
+                .setEmoji('🚫')
+        );
+    }
+
+    /**
+     * DM the member the staff decision
+     * @param {Client} client - Discord client
+     * @param {Guild} guild - Discord guild
+     * @param {string} userId - Member under review
+     * @param {string} decision - 'approve' or 'deny'
+     * @returns {Promise<boolean>} - True if the DM was delivered
+     */
+    async notifyReviewOutcome(client, guild, userId, decision) {
+        try {
+            const discordUser = await client.users.fetch(userId);
+            await discordUser.send({
+                content: decision === 'approve'
+                    ? `🎉 **Age Verification Approved**\n\nStaff in **${guild.name}** approved your verification. You now have access to cannabis community content. 🌿`
+                    : `🚫 **Age Verification Denied**\n\nStaff in **${guild.name}** could not approve your verification. If you believe this is a mistake, please contact the moderation team.`
+            });
+            return true;
+        } catch (error) {
+            console.warn(`⚠️ Failed to DM verification outcome to ${userId}:`, error.message);
+            return false;
+        }
+    }
+
     /**
      * Get success message for verified users
      * @returns {string} - Success message
@@ -379,4 +882,4 @@ Thank you for your honesty. Unfortunately, you must be **21 years or older** to
     }
 }
 
-module.exports = { AgeVerificationService };
\ No newline at end of file
+module.exports = { AgeVerificationService, BIRTHDATE_RULES, VERIFICATION_PREFIX };
\ No newline at end of file
@@ -0,0 +1,342 @@
+/**
+ * Auto-Moderation Service for GrowmiesNJ Discord Bot
+ *
+ * Scans member messages for cannabis sales, delivery and payment solicitation
+ * Applies the guild's configured action and records a legal-area moderation case for every match
+ * Also owns the exemption, action, case and DM flow shared with the link scanner
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const ModerationService = require('./moderationService');
+const { evidenceStoreService } = require('./evidenceStore');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { SalesSolicitationDetector } = require('../utils/salesSolicitation');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Human-readable labels for configured actions
+ */
+const AUTOMOD_ACTION_LABELS = {
+  'delete': '🗑️ Delete message',
+  'warn': '⚠️ Delete and warn',
+  'timeout': '⏰ Delete and timeout',
+  'flag': '🚩 Flag for review'
+};
+
+/**
+ * Maximum message content stored as case evidence
+ */
+const MAX_EVIDENCE_LENGTH = 1000;
+
+/**
+ * Auto-Moderation Service Class
+ * Runs message filters from the messageCreate event
+ */
+class AutoModerationService {
+  constructor() {
+    this.moderationService = new ModerationService();
+  }
+
+  /**
+   * Scan a guild message and apply the configured action on a match
+   * @param {Message} message - Discord message
+   * @returns {Promise<boolean>} - True if the message was actioned and should not be processed further
+   */
+  async handleMessage(message) {
+    try {
+      if (!message.content) {
+        return false;
+      }
+
+      const settings = await GuildSettings.findByGuildId(message.guild.id);
+      const config = settings.getAutoModConfig('sales');
+      if (!config.enabled || this.isExempt(message, config)) {
+        return false;
+      }
+
+      const detection = SalesSolicitationDetector.detect(message.content);
+      if (!detection.detected) {
+        return false;
+      }
+
+      console.log(`🚫 Sales solicitation detected from ${message.author.tag} in #${message.channel.name} (${detection.categories.join(', ')})`);
+
+      await this.applyAction(message, config, detection, settings);
+      return config.action !== 'flag';
+
+    } catch (error) {
+      console.error('[AutoModeration] Error scanning message:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check whether the author or channel is exempt from a filter
+   * Staff with Manage Messages are always exempt
+   * Used by every AutoMod filter
+   * @param {Message} message - Discord message
+   * @param {Object} config - Filter configuration
+   * @returns {boolean} - True if exempt
+   */
+  isExempt(message, config) {
+    const member = message.member;
+    if (member?.permissions.has(PermissionsBitField.Flags.ManageMessages)) {
+      return true;
+    }
+
+    if (config.exempt_channel_ids.includes(message.channel.id) ||
+        (message.channel.parentId && config.exempt_channel_ids.includes(message.channel.parentId))) {
+      return true;
+    }
+
+    return Boolean(member && config.exempt_role_ids.some(roleId => member.roles.cache.has(roleId)));
+  }
+
+  /**
+   * Apply the configured action to a sales solicitation match
+   * @param {Message} message - Offending message
+   * @param {Object} config - Sales filter configuration
+   * @param {Object} detection - Detection result
+   * @param {GuildSettings} settings - Guild settings
+   * @returns {Promise<Object>} - Action result ({ action, case, deleted })
+   */
+  async applyAction(message, config, detection, settings) {
+    return await this.enforce(message, config, settings, {
+      filter: 'sales',
+      reason: `AutoMod: cannabis sales solicitation detected in #${message.channel.name}`,
+      notes: `Matched signals: ${detection.matches.join(', ')}`,
+      metadata: {
+        confidence: detection.confidence,
+        categories: detection.categories,
+        matches: detection.matches
+      },
+      cannabisFlags: {
+        legalAreaViolation: true
+      },
+      report: {
+        flaggedTitle: '🚩 Sales Solicitation Flagged for Review',
+        removedTitle: '🚫 Sales Solicitation Removed',
+        footer: 'AutoMod Legal Compliance',
+        fields: [{
+          name: '🔍 Signals',
+          value: `${detection.categories.join(', ')} (${detection.confidence} confidence)`,
+          inline: true
+        }]
+      },
+      notice: {
+        title: '🚫 Message Removed - GrowmiesNJ',
+        description: 'appeared to offer or request cannabis sales, delivery or payment.',
+        fields: [{
+          name: '⚖️ Why',
+          value: 'Buying, selling, trading or arranging delivery of cannabis between members is illegal under New Jersey law and is not permitted in this community. Please use licensed dispensaries.',
+          inline: false
+        }]
+      }
+    });
+  }
+
+  /**
+   * Apply a filter's configured action: delete the message, record a moderation case,
+   * report it to staff and DM the author
+   * Shared by every AutoMod filter so they act, record and notify the same way
+   * @param {Message} message - Offending message
+   * @param {Object} config - Filter configuration
+   * @param {GuildSettings} settings - Guild settings
+   * @param {Object} match - Filter-specific details
+   * @param {string} match.filter - Filter key stored on the case
+   * @param {string} match.reason - Case reason
+   * @param {string} match.notes - Case notes describing what matched
+   * @param {string[]} [match.evidence] - Evidence added after the message link and content
+   * @param {Object} [match.metadata] - Extra automod case metadata
+   * @param {Object} [match.cannabisFlags] - Cannabis compliance flags for the case
+   * @param {Object} match.report - Staff report ({ flaggedTitle, removedTitle, footer, fields })
+   * @param {Object} match.notice - Author DM ({ title, description, fields })
+   * @returns {Promise<Object>} - Action result ({ action, case, deleted })
+   */
+  async enforce(message, config, settings, { filter, reason, notes, evidence = [], metadata = {}, cannabisFlags, report, notice }) {
+    const guild = message.guild;
+    const deleted = config.action !== 'flag' ? await this.deleteMessage(message) : false;
+
+    const actionType = {
+      'delete': 'NOTE',
+      'warn': 'WARN',
+      'timeout': 'TIMEOUT',
+      'flag': 'NOTE'
+    }[config.action];
+
+    const caseResult = await this.moderationService.createCase({
+      guildId: guild.id,
+      targetUserId: message.author.id,
+      moderatorId: message.client.user.id,
+      actionType,
+      reason,
+      ...(config.action === 'timeout' && { duration: config.timeout_duration }),
+      evidence: [
+        message.url,
+        message.content.slice(0, MAX_EVIDENCE_LENGTH),
+        ...evidence
+      ],
+      transcript: {
+        channelId: message.channel.id,
+        messages: [evidenceStoreService.describeMessage(message)]
+      },
+      notes,
+      metadata: {
+        automod: {
+          filter,
+          action: config.action,
+          ...metadata,
+          channel_id: message.channel.id,
+          message_id: message.id,
+          message_deleted: deleted,
+          ...(config.action === 'flag' && { review_status: 'PENDING' })
+        }
+      },
+      ...(cannabisFlags && { cannabisFlags })
+    }, guild, guild.members.me);
+
+    await this.postReport(message, config, report, caseResult.case, deleted, settings);
+
+    if (config.action !== 'flag') {
+      await this.notifyUser(message, config, notice, caseResult.case);
+    }
+
+    return { action: config.action, case: caseResult.case, deleted };
+  }
+
+  /**
+   * Delete the offending message
+   * @param {Message} message - Offending message
+   * @returns {Promise<boolean>} - True if the message was deleted
+   */
+  async deleteMessage(message) {
+    try {
+      await message.delete();
+      return true;
+    } catch (error) {
+      console.warn(`[AutoModeration] Failed to delete message ${message.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Post the detection to the review channel (or mod log) for staff visibility
+   * @param {Message} message - Offending message
+   * @param {Object} config - Filter configuration
+   * @param {Object} report - Filter-specific report ({ flaggedTitle, removedTitle, footer, fields })
+   * @param {ModerationCase} moderationCase - Recorded case
+   * @param {boolean} deleted - Whether the message was deleted
+   * @param {GuildSettings} settings - Guild settings
+   * @returns {Promise<void>}
+   */
+  async postReport(message, config, report, moderationCase, deleted, settings) {
+    try {
+      const channelId = config.review_channel_id || settings.log_channel_id;
+      if (!channelId) return;
+
+      const channel = await message.guild.channels.fetch(channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) return;
+
+      const fields = [
+        {
+          name: '👤 User',
+          value: `${message.author.tag} (${message.author.id})`,
+          inline: true
+        },
+        {
+          name: '📋 Case Number',
+          value: moderationCase.case_number,
+          inline: true
+        },
+        {
+          name: '⚖️ Action',
+          value: `${AUTOMOD_ACTION_LABELS[config.action]}${config.action === 'timeout' ? ` (${config.timeout_duration})` : ''}`,
+          inline: true
+        },
+        {
+          name: '📍 Channel',
+          value: deleted ? `<#${message.channel.id}>` : `<#${message.channel.id}> • [Jump to message](${message.url})`,
+          inline: true
+        },
+        ...report.fields,
+        {
+          name: '💬 Message',
+          value: message.content.length > 1000 ? `${message.content.slice(0, 1000)}…` : message.content,
+          inline: false
+        }
+      ];
+
+      if (config.action !== 'flag' && !deleted) {
+        fields.push({
+          name: '⚠️ Deletion Failed',
+          value: 'The message could not be deleted. Check the bot\'s Manage Messages permission.',
+          inline: false
+        });
+      }
+
+      await channel.send({
+        embeds: [{
+          color: config.action === 'flag' ? BRAND_COLORS.WARNING : BRAND_COLORS.ERROR,
+          title: config.action === 'flag' ? report.flaggedTitle : report.removedTitle,
+          fields,
+          footer: {
+            text: `Growmies NJ Cannabis Community • ${report.footer}`
+          },
+          timestamp: new Date().toISOString()
+        }]
+      });
+    } catch (error) {
+      console.warn(`[AutoModeration] Failed to post report for message ${message.id}:`, error.message);
+    }
+  }
+
+  /**
+   * DM the author explaining why their message was removed
+   * @param {Message} message - Offending message
+   * @param {Object} config - Filter configuration
+   * @param {Object} notice - Filter-specific DM ({ title, description, fields })
+   * @param {ModerationCase} moderationCase - Recorded case
+   * @returns {Promise<boolean>} - True if the DM was delivered
+   */
+  async notifyUser(message, config, notice, moderationCase) {
+    try {
+      const consequence = {
+        'delete': 'Your message has been removed.',
+        'warn': 'Your message has been removed and a warning has been added to your record.',
+        'timeout': `Your message has been removed and you have been timed out for ${config.timeout_duration}.`
+      }[config.action];
+
+      await message.author.send({
+        embeds: [{
+          color: BRAND_COLORS.WARNING,
+          title: notice.title,
+          description: `Your message in **${message.guild.name}** ${notice.description} ${consequence}`,
+          fields: [
+            ...notice.fields,
+            {
+              name: '📋 Case Number',
+              value: moderationCase.case_number,
+              inline: true
+            }
+          ],
+          footer: {
+            text: 'If you believe this was a mistake, please contact server staff.'
+          },
+          timestamp: new Date().toISOString()
+        }]
+      });
+      return true;
+    } catch (error) {
+      console.warn(`[AutoModeration] Failed to DM user ${message.author.id}:`, error.message);
+      return false;
+    }
+  }
+}
+
+const autoModerationService = new AutoModerationService();
+
+module.exports = {
+  AutoModerationService,
+  autoModerationService,
+  AUTOMOD_ACTION_LABELS
+};
@@ -13,35 +13,38 @@
 const { User } = require('../database/models/User');
 const { LevelingConfig } = require('../database/models/LevelingConfig');
 const { AuditLog } = require('../database/models/AuditLog');
+const { ScheduledJob } = require('../database/models/ScheduledJob');
 const { RoleManagementService, ROLE_CONFIG, PROGRESSION_LEVELS } = require('./roleManagement');
 const { XPCalculationService, TIER_ROLE_MAPPING } = require('./xpCalculation');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
 const { EmbedUtils } = require('../utils/embeds');
 
 /**
- * Progression criteria for cannabis-themed tiers
+ * Cannabis tiers from lowest to highest
  */
-const PROGRESSION_CRITERIA = {
-    Growing: {
-        min_level: 11,
-        min_days_active: 7,
-        min_messages: 30,
-        min_total_xp: 500
-    },
-    Established: {
-        min_level: 26,
-        min_days_active: 30,
-        min_messages: 100,
-        min_total_xp: 2500,
-        min_voice_minutes: 60
-    },
-    Harvested: {
-        min_level: 51,
-        min_days_active: 90,
-        min_messages: 500,
-        min_total_xp: 10000,
-        min_voice_minutes: 300,
-        min_reactions_received: 50
-    }
+const TIER_ORDER = ['Seedling', 'Growing', 'Established', 'Harvested'];
+
+/**
+ * Requirement labels and the metric each criterion is checked against
+ */
+const REQUIREMENT_METRICS = {
+    min_level: { metric: 'level', label: 'Level' },
+    min_activity_score: { metric: 'activity_score', label: 'Activity score' },
+    min_days_active: { metric: 'days_active', label: 'Days of participation' },
+    min_messages: { metric: 'messages_count', label: 'Messages' },
+    min_total_xp: { metric: 'total_xp', label: 'Total XP' },
+    min_voice_minutes: { metric: 'voice_time_minutes', label: 'Voice minutes' },
+    min_reactions_received: { metric: 'reactions_received', label: 'Helpful reactions' }
+};
+
+/**
+ * Scheduling and Discord rate limit tuning
+ */
+const PROGRESSION_CONFIG = {
+    DAILY_CRON: '30 4 * * *',       // 04:30 UTC, members active in the last day
+    WEEKLY_CRON: '0 5 * * 0',       // Sundays 05:00 UTC, every verified member
+    CHECK_MAX_ATTEMPTS: 3,          // Level-change checks queued by the XP engine
+    ROLE_UPDATE_SPACING_MS: 1000    // Minimum gap between one member's role update and the next
 };
 
 /**
@@ -62,8 +65,10 @@ class AutomaticRoleProgressionService {
     constructor() {
         this.roleManager = new RoleManagementService();
         this.xpService = new XPCalculationService();
-        this.progressionQueue = new Map(); // Queue for pending progressions
         this.isProcessing = false;
+        this.rateLimitedUntil = 0;      // Set from the REST client's rate limit events
+        this.lastRoleUpdateAt = 0;
+        this.watchedClient = null;
         
         console.log('🏷️ Automatic Role Progression Service initialized');
     }
@@ -117,6 +122,7 @@ class AutomaticRoleProgressionService {
                         continue;
                     }
 
+                    // Role updates inside wait for the rate limit window themselves
                     const progressionResult = await this.checkUserProgression(member, guild, user, config);
                     if (progressionResult.progressed) {
                         results.progressions.push(progressionResult);
@@ -124,9 +130,6 @@ class AutomaticRoleProgressionService {
                         results.summary[progressionResult.new_tier].promoted_to++;
                     }
 
-                    // Add small delay to prevent rate limiting
-                    await this.sleep(100);
-
                 } catch (userError) {
                     console.error(`❌ Error processing user ${user.discord_id}:`, userError);
                     results.errors.push({
@@ -174,29 +177,17 @@ class AutomaticRoleProgressionService {
                 };
             }
 
-            // Calculate user activity metrics
-            const metrics = await this.calculateUserMetrics(user);
-            
             // Determine target tier based on level and activity
-            const currentTier = user.level_tier;
-            const targetTier = this.determineTargetTier(user.current_level, metrics);
+            const evaluation = this.evaluateProgression(user, config);
+            const { current_tier: currentTier, target_tier: targetTier, metrics } = evaluation;
 
-            if (targetTier === currentTier) {
+            if (!evaluation.direction) {
                 return {
                     progressed: false,
                     reason: 'User already at correct tier for their level and activity'
                 };
             }
 
-            // Check if progression meets criteria
-            const meetsRequirements = this.checkProgressionRequirements(targetTier, metrics);
-            if (!meetsRequirements.eligible) {
-                return {
-                    progressed: false,
-                    reason: `Requirements not met: ${meetsRequirements.missing.join(', ')}`
-                };
-            }
-
             // Perform role progression
             const roleUpdateResult = await this.updateUserTier(member, guild, user, currentTier, targetTier);
 
@@ -214,9 +205,11 @@ class AutomaticRoleProgressionService {
                     progressed: true,
                     user_id: user.discord_id,
                     username: user.username,
+                    direction: evaluation.direction,
                     previous_tier: currentTier,
                     new_tier: targetTier,
                     level: user.current_level,
+                    reasons: evaluation.reasons,
                     metrics,
                     role_update: roleUpdateResult
                 };
@@ -324,52 +317,97 @@ class AutomaticRoleProgressionService {
      * Determine target tier based on level and activity
      * @param {number} level - User level
      * @param {Object} metrics - User activity metrics
+     * @param {Object} requirements - Tier rules from LevelingConfig.getTierRequirements()
      * @returns {string} - Target cannabis tier
      */
-    determineTargetTier(level, metrics) {
-        if (level >= 51 && metrics.activity_score >= 70) {
-            return 'Harvested';
-        } else if (level >= 26 && metrics.activity_score >= 50) {
-            return 'Established';
-        } else if (level >= 11 && metrics.activity_score >= 30) {
-            return 'Growing';
-        } else {
-            return 'Seedling';
+    determineTargetTier(level, metrics, requirements) {
+        // Highest tier whose requirements are all met; Seedling has none
+        for (const tier of [...TIER_ORDER].reverse()) {
+            if (this.checkProgressionRequirements(tier, { ...metrics, level }, requirements).eligible) {
+                return tier;
+            }
+        }
+        return 'Seedling';
+    }
+
+    /**
+     * Work out which tier a user belongs in and why, without changing anything
+     * @param {User} user - User database record
+     * @param {LevelingConfig} config - Guild leveling configuration (tier rules)
+     * @returns {Object} - Current and target tier, direction ('promotion', 'demotion' or null) and reasons
+     */
+    evaluateProgression(user, config) {
+        const requirements = config.getTierRequirements();
+        const metrics = this.calculateUserMetrics(user);
+        const currentTier = TIER_ORDER.includes(user.level_tier) ? user.level_tier : 'Seedling';
+        const targetTier = this.determineTargetTier(user.current_level, metrics, requirements);
+
+        const step = TIER_ORDER.indexOf(targetTier) - TIER_ORDER.indexOf(currentTier);
+        let direction = null;
+        let reasons = [];
+
+        if (step > 0) {
+            direction = 'promotion';
+            reasons = [`Meets every ${targetTier} requirement (level ${metrics.level}, activity score ${metrics.activity_score})`];
+        } else if (step < 0) {
+            direction = 'demotion';
+            reasons = this.checkProgressionRequirements(currentTier, metrics, requirements).missing;
         }
+
+        return {
+            user_id: user.discord_id,
+            username: user.username,
+            current_tier: currentTier,
+            target_tier: targetTier,
+            direction,
+            reasons,
+            metrics
+        };
+    }
+
+    /**
+     * List each requirement of a tier with the user's current value
+     * @param {string} tier - Cannabis tier
+     * @param {Object} metrics - User activity metrics
+     * @param {Object} requirements - Tier rules from LevelingConfig.getTierRequirements()
+     * @returns {Object[]} - { label, current, required, met } per requirement
+     */
+    getRequirementProgress(tier, metrics, requirements) {
+        return Object.entries(requirements[tier] || {}).map(([key, required]) => {
+            const { metric, label } = REQUIREMENT_METRICS[key];
+            const current = metrics[metric] || 0;
+            return { label, current, required, met: current >= required };
+        });
+    }
+
+    /**
+     * Show a user's progress toward the tier above their current one
+     * @param {User} user - User database record
+     * @param {LevelingConfig} config - Guild leveling configuration (tier rules)
+     * @returns {Object|null} - { tier, requirements }, or null at the top tier
+     */
+    getNextTierProgress(user, config) {
+        const index = TIER_ORDER.indexOf(user.level_tier);
+        const nextTier = TIER_ORDER[Math.max(index, 0) + 1];
+        if (!nextTier) return null;
+
+        return {
+            tier: nextTier,
+            requirements: this.getRequirementProgress(nextTier, this.calculateUserMetrics(user), config.getTierRequirements())
+        };
     }
 
     /**
      * Check if user meets progression requirements for target tier
      * @param {string} targetTier - Target cannabis tier
      * @param {Object} metrics - User activity metrics
+     * @param {Object} requirements - Tier rules from LevelingConfig.getTierRequirements()
      * @returns {Object} - Eligibility check result
      */
-    checkProgressionRequirements(targetTier, metrics) {
-        const requirements = PROGRESSION_CRITERIA[targetTier];
-        if (!requirements) {
-            return { eligible: true, missing: [] };
-        }
-
-        const missing = [];
-
-        if (metrics.level < requirements.min_level) {
-            missing.push(`Level ${requirements.min_level} required (current: ${metrics.level})`);
-        }
-        if (metrics.days_active < requirements.min_days_active) {
-            missing.push(`${requirements.min_days_active} days activity required (current: ${metrics.days_active})`);
-        }
-        if (metrics.messages_count < requirements.min_messages) {
-            missing.push(`${requirements.min_messages} messages required (current: ${metrics.messages_count})`);
-        }
-        if (metrics.total_xp < requirements.min_total_xp) {
-            missing.push(`${requirements.min_total_xp} XP required (current: ${metrics.total_xp})`);
-        }
-        if (requirements.min_voice_minutes && metrics.voice_time_minutes < requirements.min_voice_minutes) {
-            missing.push(`${requirements.min_voice_minutes} voice minutes required (current: ${metrics.voice_time_minutes})`);
-        }
-        if (requirements.min_reactions_received && metrics.reactions_received < requirements.min_reactions_received) {
-            missing.push(`${requirements.min_reactions_received} helpful reactions required (current: ${metrics.reactions_received})`);
-        }
+    checkProgressionRequirements(targetTier, metrics, requirements) {
+        const missing = this.getRequirementProgress(targetTier, metrics, requirements)
+            .filter(requirement => !requirement.met)
+            .map(requirement => `${requirement.label} ${requirement.required} required (current: ${requirement.current})`);
 
         return {
             eligible: missing.length === 0,
@@ -390,6 +428,8 @@ class AutomaticRoleProgressionService {
         try {
             console.log(`🏷️ Updating ${member.user.tag}: ${currentTier} → ${targetTier}`);
 
+            await this.waitForRoleUpdateSlot();
+
             // Use the XP service role update logic for consistency
             return await this.xpService.updateTierRoles(member, guild, currentTier, targetTier);
 
@@ -450,6 +490,8 @@ class AutomaticRoleProgressionService {
                     check_type: checkType,
                     total_checked: results.total_checked,
                     total_progressions: results.progressions.length,
+                    total_promotions: results.progressions.filter(result => result.direction === 'promotion').length,
+                    total_demotions: results.progressions.filter(result => result.direction === 'demotion').length,
                     total_errors: results.errors.length,
                     tier_summary: results.summary,
                     timestamp: new Date().toISOString()
@@ -462,68 +504,145 @@ class AutomaticRoleProgressionService {
 
     /**
      * Queue user for progression check
+     * Checks are scheduler jobs so a restart does not drop them; one job is kept per member
      * @param {string} userId - Discord user ID
      * @param {string} guildId - Discord guild ID
      * @param {string} reason - Reason for check
-     * @returns {void}
+     * @returns {Promise<ScheduledJob>} - Scheduled check job
      */
-    queueProgressionCheck(userId, guildId, reason = 'activity_trigger') {
-        const queueKey = `${userId}-${guildId}`;
-        this.progressionQueue.set(queueKey, {
-            user_id: userId,
-            guild_id: guildId,
-            reason,
-            queued_at: new Date()
+    async queueProgressionCheck(userId, guildId, reason = 'activity_trigger') {
+        const job = await jobScheduler.schedule(JOB_TYPES.TIER_PROGRESSION_CHECK, { userId, guildId, reason }, {
+            guildId,
+            uniqueKey: `tier-progression:${guildId}:${userId}`,
+            maxAttempts: PROGRESSION_CONFIG.CHECK_MAX_ATTEMPTS,
+            createdBy: 'xp_engine'
         });
 
         console.log(`📝 Queued progression check for ${userId} in ${guildId}: ${reason}`);
+        return job;
     }
 
     /**
-     * Process queued progression checks
+     * Run a queued progression check for one member
+     * Errors are thrown so the scheduler retries the check
      * @param {Client} client - Discord client
-     * @returns {Promise<void>}
+     * @param {Object} check - Queued check ({ userId, guildId, reason })
+     * @returns {Promise<Object>} - Check outcome
      */
-    async processQueue(client) {
-        if (this.progressionQueue.size === 0) return;
+    async processQueuedCheck(client, { userId, guildId }) {
+        const guild = client.guilds.cache.get(guildId);
+        if (!guild) {
+            return { skipped: true, reason: 'guild_unavailable' };
+        }
 
-        console.log(`🏃 Processing ${this.progressionQueue.size} queued progression checks`);
+        const member = await guild.members.fetch(userId).catch(() => null);
+        if (!member) {
+            return { skipped: true, reason: 'member_left' };
+        }
 
-        for (const [queueKey, queueItem] of this.progressionQueue.entries()) {
-            try {
-                const guild = client.guilds.cache.get(queueItem.guild_id);
-                if (!guild) {
-                    this.progressionQueue.delete(queueKey);
-                    continue;
-                }
+        const user = await User.findOne({
+            where: {
+                discord_id: userId,
+                guild_id: guildId,
+                is_active: true
+            }
+        });
+        if (!user) {
+            return { skipped: true, reason: 'user_inactive' };
+        }
 
-                const member = await guild.members.fetch(queueItem.user_id).catch(() => null);
-                if (!member) {
-                    this.progressionQueue.delete(queueKey);
-                    continue;
-                }
+        const config = await LevelingConfig.findByGuildId(guild.id);
+        const result = await this.checkUserProgression(member, guild, user, config);
+        return { progressed: result.progressed, new_tier: result.new_tier || null, reason: result.reason || null };
+    }
 
-                const user = await User.findOne({
-                    where: {
-                        discord_id: queueItem.user_id,
-                        guild_id: queueItem.guild_id,
-                        is_active: true
-                    }
-                });
+    /**
+     * Dry run: report who a progression check would promote or demote and why
+     * @param {Guild} guild - Discord guild
+     * @param {string} checkType - Type of progression check (weekly covers every verified member)
+     * @returns {Promise<Object>} - Report with promotions and demotions
+     */
+    async previewGuildProgression(guild, checkType = CHECK_INTERVALS.WEEKLY) {
+        const config = await LevelingConfig.findByGuildId(guild.id);
+        if (!config.isLevelingEnabled()) {
+            return { success: false, reason: 'Leveling disabled for guild' };
+        }
 
-                if (user) {
-                    const config = await LevelingConfig.findByGuildId(guild.id);
-                    await this.checkUserProgression(member, guild, user, config);
-                }
+        const users = await this.getEligibleUsers(guild.id, checkType);
+        const report = {
+            success: true,
+            check_type: checkType,
+            total_checked: users.length,
+            promotions: [],
+            demotions: []
+        };
 
-                this.progressionQueue.delete(queueKey);
-                await this.sleep(500); // Rate limiting
+        for (const user of users) {
+            const evaluation = this.evaluateProgression(user, config);
+            if (evaluation.direction === 'promotion') report.promotions.push(evaluation);
+            if (evaluation.direction === 'demotion') report.demotions.push(evaluation);
+        }
+
+        return report;
+    }
 
+    /**
+     * Run a progression check for every guild (scheduled job)
+     * @param {Client} client - Discord client
+     * @param {string} checkType - Type of progression check
+     * @returns {Promise<Object>} - Run summary
+     */
+    async processAllGuilds(client, checkType) {
+        this.watchRateLimits(client);
+        const summary = { guilds: 0, progressions: 0, errors: 0 };
+
+        for (const guild of client.guilds.cache.values()) {
+            try {
+                const result = await this.processGuildProgression(guild, checkType);
+                if (!result.success) continue;
+
+                summary.guilds++;
+                summary.progressions += result.progressions.length;
+                summary.errors += result.errors.length;
             } catch (error) {
-                console.error(`❌ Error processing queue item ${queueKey}:`, error);
-                this.progressionQueue.delete(queueKey);
+                summary.errors++;
+                console.error(`❌ ${checkType} progression check failed for ${guild.name}:`, error);
             }
         }
+
+        return summary;
+    }
+
+    /**
+     * Track Discord rate limits on member role routes so batch updates back off
+     * discord.js already queues and retries rate-limited requests; this keeps the
+     * batch from piling more role updates onto a bucket that is already exhausted
+     * @param {Client} client - Discord client
+     * @returns {void}
+     */
+    watchRateLimits(client) {
+        if (this.watchedClient === client || !client.rest) return;
+        this.watchedClient = client;
+
+        client.rest.on('rateLimited', info => {
+            if (!info.global && !info.route.includes('/members/')) return;
+
+            this.rateLimitedUntil = Math.max(this.rateLimitedUntil, Date.now() + info.timeToReset);
+            console.warn(`⏳ Role updates rate limited on ${info.route}, pausing progression for ${info.timeToReset}ms`);
+        });
+    }
+
+    /**
+     * Wait until a role update can be sent without running into a rate limit
+     * @returns {Promise<void>}
+     */
+    async waitForRoleUpdateSlot() {
+        // Re-check after each wait in case a rate limit was reported meanwhile
+        let wait;
+        while ((wait = Math.max(this.rateLimitedUntil, this.lastRoleUpdateAt + PROGRESSION_CONFIG.ROLE_UPDATE_SPACING_MS) - Date.now()) > 0) {
+            await this.sleep(wait);
+        }
+        this.lastRoleUpdateAt = Date.now();
     }
 
     /**
@@ -560,7 +679,9 @@ class AutomaticRoleProgressionService {
                     };
                     return acc;
                 }, {}),
-                queue_size: this.progressionQueue.size
+                queue_size: await ScheduledJob.count({
+                    where: { job_type: JOB_TYPES.TIER_PROGRESSION_CHECK, guild_id: guildId, status: 'pending' }
+                })
             };
 
         } catch (error) {
@@ -579,8 +700,32 @@ class AutomaticRoleProgressionService {
     }
 }
 
+const automaticRoleProgressionService = new AutomaticRoleProgressionService();
+
+// Tier checks run on the persistent scheduler; level-ups are queued by the XP engine
+jobScheduler.registerRecurring(
+    JOB_TYPES.TIER_PROGRESSION_DAILY,
+    PROGRESSION_CONFIG.DAILY_CRON,
+    (payload, { client }) => automaticRoleProgressionService.processAllGuilds(client, CHECK_INTERVALS.DAILY),
+    { maxAttempts: 1 }
+);
+
+jobScheduler.registerRecurring(
+    JOB_TYPES.TIER_PROGRESSION_WEEKLY,
+    PROGRESSION_CONFIG.WEEKLY_CRON,
+    (payload, { client }) => automaticRoleProgressionService.processAllGuilds(client, CHECK_INTERVALS.WEEKLY),
+    { maxAttempts: 1 }
+);
+
+jobScheduler.registerHandler(JOB_TYPES.TIER_PROGRESSION_CHECK, async (payload, { client }) => {
+    automaticRoleProgressionService.watchRateLimits(client);
+    return await automaticRoleProgressionService.processQueuedCheck(client, payload);
+});
+
 module.exports = { 
     AutomaticRoleProgressionService, 
-    PROGRESSION_CRITERIA, 
-    CHECK_INTERVALS 
+    automaticRoleProgressionService,
+    PROGRESSION_CONFIG,
+    CHECK_INTERVALS,
+    TIER_ORDER
 };
\ No newline at end of file
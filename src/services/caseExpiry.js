@@ -0,0 +1,253 @@
+/**
+ * Case Expiry Service for GrowmiesNJ Discord Bot
+ *
+ * Lifts temporary bans and closes temporary moderation cases once their duration elapses
+ * Runs as a recurring job on the persistent scheduler so expiries survive restarts
+ */
+
+const { RESTJSONErrorCodes } = require('discord.js');
+const { ModerationCase } = require('../database/models/ModerationCase');
+const { AuditLog } = require('../database/models/AuditLog');
+const { ModerationEmbeds } = require('../utils/embeds');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+const { modLogService, MODLOG_EVENTS } = require('./modLog');
+const { reverificationService } = require('./reverification');
+
+/**
+ * Expiry processing configuration
+ */
+const EXPIRY_CONFIG = {
+  CHECK_CRON: '* * * * *', // Every minute (UTC)
+  BATCH_SIZE: 50,
+  SKIP_RETRY_MS: 15 * 60 * 1000, // Guild unavailable: try again later so other cases are not starved
+  FAILURE_BACKOFF_BASE_MS: 5 * 60 * 1000 // Failed expiries back off exponentially, capped by the scheduler
+};
+
+/**
+ * Case Expiry Service Class
+ * Processes active moderation cases whose expires_at has passed
+ */
+class CaseExpiryService {
+  /**
+   * Process all expired active cases
+   * @param {Client} client - Discord client
+   * @returns {Promise<Object>} - Processing summary
+   */
+  async processExpiredCases(client) {
+    const expiredCases = await ModerationCase.getExpiredActiveCases(EXPIRY_CONFIG.BATCH_SIZE);
+    const summary = { processed: 0, unbanned: 0, closed: 0, skipped: 0, failed: 0 };
+    if (expiredCases.length === 0) {
+      return { ...summary, idle: true };
+    }
+
+    for (const moderationCase of expiredCases) {
+      try {
+        const outcome = await this.expireCase(client, moderationCase);
+        summary[outcome]++;
+        if (outcome !== 'skipped') summary.processed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[CaseExpiry] Failed to expire case ${moderationCase.case_number}:`, error.message);
+        await this.recordExpiryFailure(moderationCase, error);
+      }
+    }
+
+    if (summary.processed > 0 || summary.failed > 0) {
+      console.log(`[CaseExpiry] Processed ${summary.processed} expired case(s): ${summary.unbanned} unbanned, ${summary.closed} closed, ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * Expire a single case: lift the Discord action, deactivate the case and notify
+   * @param {Client} client - Discord client
+   * @param {ModerationCase} moderationCase - Expired case
+   * @returns {Promise<string>} - Outcome ('unbanned', 'closed' or 'skipped')
+   */
+  async expireCase(client, moderationCase) {
+    const guild = client.guilds.cache.get(moderationCase.guild_id);
+    if (!guild) {
+      // Leave the case active so it is processed once the guild is available again
+      await moderationCase.update({ expiry_retry_at: new Date(Date.now() + EXPIRY_CONFIG.SKIP_RETRY_MS) });
+      return 'skipped';
+    }
+
+    const isBan = moderationCase.action_type === 'BAN';
+    const banLifted = isBan ? await this.liftBan(guild, moderationCase) : false;
+
+    await moderationCase.update({
+      active: false,
+      metadata: {
+        ...(moderationCase.metadata || {}),
+        expired_at: new Date().toISOString(),
+        expiry_processed_by: 'case_expiry',
+        ban_lifted: banLifted
+      }
+    });
+
+    await AuditLog.logAdminAction(
+      client.user.id,
+      guild.id,
+      isBan ? 'temporary_ban_expired' : 'moderation_case_expired',
+      moderationCase.target_user_id,
+      {
+        moderation_case_id: moderationCase.id,
+        case_number: moderationCase.case_number,
+        action_type: moderationCase.action_type,
+        expires_at: moderationCase.expires_at,
+        ban_lifted: banLifted,
+        automatic: true
+      }
+    );
+
+    await this.postModLog(guild, moderationCase, isBan, banLifted);
+
+    if (banLifted) {
+      await this.requireReverification(client, guild, moderationCase);
+      await this.notifyUser(client, guild, moderationCase);
+    }
+
+    console.log(`[CaseExpiry] Case ${moderationCase.case_number} expired (${moderationCase.action_type}${banLifted ? ', ban lifted' : ''})`);
+    return banLifted ? 'unbanned' : 'closed';
+  }
+
+  /**
+   * Remove a ban through the guild ban manager
+   * @param {Guild} guild - Discord guild
+   * @param {ModerationCase} moderationCase - Expired ban case
+   * @returns {Promise<boolean>} - True if a ban was removed, false if it was already lifted
+   */
+  async liftBan(guild, moderationCase) {
+    try {
+      await guild.bans.fetch(moderationCase.target_user_id);
+    } catch (error) {
+      if (error.code === RESTJSONErrorCodes.UnknownBan) {
+        return false; // Already unbanned manually
+      }
+      throw error;
+    }
+
+    await guild.bans.remove(
+      moderationCase.target_user_id,
+      `Temporary ban expired | Case: ${moderationCase.case_number}`
+    );
+    return true;
+  }
+
+  /**
+   * Publish the expiry to the guild's mod log channel
+   * @param {Guild} guild - Discord guild
+   * @param {ModerationCase} moderationCase - Expired case
+   * @param {boolean} isBan - Whether the case was a temporary ban
+   * @param {boolean} banLifted - Whether the ban was removed by this run
+   * @returns {Promise<void>}
+   */
+  async postModLog(guild, moderationCase, isBan, banLifted) {
+    const fields = [];
+
+    if (isBan) {
+      fields.push(
+        {
+          name: '🔓 Ban Status',
+          value: banLifted
+            ? `<@${moderationCase.target_user_id}> has been automatically unbanned.`
+            : `<@${moderationCase.target_user_id}> was already unbanned; the case has been closed.`,
+          inline: false
+        },
+        {
+          name: '🌿 Re-Verification',
+          value: '🔞 Age re-verification required upon return',
+          inline: false
+        }
+      );
+    }
+
+    await modLogService.publishCase(guild.id, MODLOG_EVENTS.CASE_EXPIRED, moderationCase, fields);
+  }
+
+  /**
+   * Revoke the member's stored verification so they verify again when they return
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - Discord guild
+   * @param {ModerationCase} moderationCase - Expired ban case
+   * @returns {Promise<void>}
+   */
+  async requireReverification(client, guild, moderationCase) {
+    try {
+      await reverificationService.requireReverification(guild, moderationCase.target_user_id, {
+        actorId: client.user.id,
+        source: 'ban_expiry',
+        reason: `Temporary ban expired | Case: ${moderationCase.case_number}`,
+        caseNumber: moderationCase.case_number
+      });
+    } catch (error) {
+      console.warn(`[CaseExpiry] Failed to require re-verification for case ${moderationCase.case_number}:`, error.message);
+    }
+  }
+
+  /**
+   * DM the user that their ban was lifted, with re-verification requirements
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - Discord guild
+   * @param {ModerationCase} moderationCase - Expired ban case
+   * @returns {Promise<boolean>} - True if the DM was delivered
+   */
+  async notifyUser(client, guild, moderationCase) {
+    try {
+      const user = await client.users.fetch(moderationCase.target_user_id);
+      const dmEmbed = ModerationEmbeds.createUnbanNoticeEmbed({
+        guildName: guild.name,
+        reason: `Your temporary ban (case ${moderationCase.case_number}) has expired.`,
+        unbannedBy: 'Automatic Expiry',
+        originalBanReason: moderationCase.reason,
+        requireReverification: true
+      });
+
+      await user.send({ embeds: [dmEmbed] });
+      return true;
+    } catch (error) {
+      console.warn(`[CaseExpiry] Failed to DM user ${moderationCase.target_user_id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Record a failed expiry attempt on the case so staff can investigate, and back off its next attempt
+   * @param {ModerationCase} moderationCase - Case that failed to expire
+   * @param {Error} error - Failure cause
+   * @returns {Promise<void>}
+   */
+  async recordExpiryFailure(moderationCase, error) {
+    try {
+      const metadata = moderationCase.metadata || {};
+      const attempts = (metadata.expiry_attempts || 0) + 1;
+      await moderationCase.update({
+        expiry_retry_at: new Date(Date.now() + jobScheduler.calculateBackoff(EXPIRY_CONFIG.FAILURE_BACKOFF_BASE_MS, attempts)),
+        metadata: {
+          ...metadata,
+          expiry_attempts: attempts,
+          last_expiry_error: error.message
+        }
+      });
+    } catch (updateError) {
+      console.error(`[CaseExpiry] Failed to record expiry failure for case ${moderationCase.case_number}:`, updateError.message);
+    }
+  }
+}
+
+const caseExpiryService = new CaseExpiryService();
+
+// Sweep for expired cases on the persistent scheduler; a failed sweep waits for the next minute
+jobScheduler.registerRecurring(
+  JOB_TYPES.CASE_EXPIRY,
+  EXPIRY_CONFIG.CHECK_CRON,
+  (payload, { client }) => caseExpiryService.processExpiredCases(client),
+  { maxAttempts: 1 }
+);
+
+module.exports = {
+  CaseExpiryService,
+  caseExpiryService,
+  EXPIRY_CONFIG
+};
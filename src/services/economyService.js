@@ -131,7 +131,7 @@ class EconomyService {
 
       // Process based on transaction type
       const isDebit = ['purchase', 'trade_send', 'gift_send', 'penalty', 'tax'].includes(type);
-      const isCredit = ['sale', 'trade_receive', 'gift_receive', 'daily_reward', 'work_reward', 'quiz_reward', 'admin_adjustment'].includes(type);
+      const isCredit = ['sale', 'trade_receive', 'gift_receive', 'daily_reward', 'work_reward', 'quiz_reward', 'level_bonus', 'admin_adjustment'].includes(type);
 
       if (!isDebit && !isCredit) {
         throw new Error(`Unknown transaction type: ${type}`);
@@ -0,0 +1,360 @@
+/**
+ * Evidence Store Service for GrowmiesNJ Discord Bot
+ *
+ * Renders removed messages into HTML and JSON transcripts and keeps the files in a
+ * pluggable storage backend (database by default, or local disk)
+ * Moderation cases reference transcripts by number instead of embedding raw message data
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { EvidenceTranscript } = require('../database/models/EvidenceTranscript');
+
+/**
+ * Evidence store settings
+ */
+const EVIDENCE_STORE_CONFIG = {
+  DEFAULT_BACKEND: process.env.EVIDENCE_STORE_BACKEND || 'database',
+  LOCAL_DIRECTORY: process.env.EVIDENCE_STORE_DIR || path.join(process.cwd(), 'data', 'evidence'),
+  FORMATS: ['html', 'json']
+};
+
+/**
+ * Labels for message log snapshot events shown in transcripts
+ */
+const EVENT_LABELS = {
+  'edit': 'Edited',
+  'delete': 'Deleted',
+  'bulk_delete': 'Bulk deleted'
+};
+
+/**
+ * Stores transcript files on the transcript row itself
+ * Suits hosts with ephemeral disks (e.g. Railway)
+ */
+class DatabaseEvidenceBackend {
+  /**
+   * Store transcript files
+   * @param {EvidenceTranscript} transcript - Unsaved transcript record
+   * @param {Object} files - File contents keyed by format
+   * @returns {Promise<string|null>} - Storage key
+   */
+  async save(transcript, files) {
+    transcript.stored_files = files;
+    return null;
+  }
+
+  /**
+   * Load one transcript file
+   * @param {EvidenceTranscript} transcript - Transcript record
+   * @param {string} format - 'html' or 'json'
+   * @returns {Promise<Buffer|null>} - File contents
+   */
+  async load(transcript, format) {
+    const record = await EvidenceTranscript.unscoped().findByPk(transcript.id, { attributes: ['stored_files'] });
+    const content = record?.stored_files?.[format];
+    return content ? Buffer.from(content) : null;
+  }
+}
+
+/**
+ * Stores transcript files on local disk, one directory per guild
+ */
+class LocalDiskEvidenceBackend {
+  /**
+   * @param {string} directory - Root directory for evidence files
+   */
+  constructor(directory) {
+    this.directory = directory;
+  }
+
+  /**
+   * Store transcript files
+   * @param {EvidenceTranscript} transcript - Unsaved transcript record
+   * @param {Object} files - File contents keyed by format
+   * @returns {Promise<string>} - Storage key (path relative to the evidence directory)
+   */
+  async save(transcript, files) {
+    const key = path.join(transcript.guild_id, transcript.transcript_number);
+    await fs.mkdir(path.join(this.directory, transcript.guild_id), { recursive: true });
+
+    for (const [format, content] of Object.entries(files)) {
+      await fs.writeFile(path.join(this.directory, `${key}.${format}`), content);
+    }
+
+    return key;
+  }
+
+  /**
+   * Load one transcript file
+   * @param {EvidenceTranscript} transcript - Transcript record
+   * @param {string} format - 'html' or 'json'
+   * @returns {Promise<Buffer|null>} - File contents
+   */
+  async load(transcript, format) {
+    try {
+      return await fs.readFile(path.join(this.directory, `${transcript.storage_key}.${format}`));
+    } catch (error) {
+      console.warn(`[EvidenceStore] Failed to read ${transcript.transcript_number}.${format}:`, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * Evidence Store Service Class
+ */
+class EvidenceStoreService {
+  constructor() {
+    this.backends = new Map([
+      ['database', new DatabaseEvidenceBackend()],
+      ['local', new LocalDiskEvidenceBackend(EVIDENCE_STORE_CONFIG.LOCAL_DIRECTORY)]
+    ]);
+    this.activeBackend = EVIDENCE_STORE_CONFIG.DEFAULT_BACKEND;
+  }
+
+  /**
+   * Register a storage backend (e.g. object storage) and optionally make it active
+   * Backends implement save(transcript, files) and load(transcript, format)
+   * @param {string} name - Backend name stored on transcripts
+   * @param {Object} backend - Backend instance
+   * @param {boolean} activate - Use this backend for new transcripts
+   */
+  registerBackend(name, backend, activate = false) {
+    this.backends.set(name, backend);
+    if (activate) {
+      this.activeBackend = name;
+    }
+  }
+
+  /**
+   * Get the backend that stored a transcript, or the active backend
+   * @param {string} name - Backend name
+   * @returns {Object} - Backend instance
+   */
+  getBackend(name = this.activeBackend) {
+    const backend = this.backends.get(name);
+    if (!backend) {
+      throw new Error(`Evidence store backend "${name}" is not registered`);
+    }
+    return backend;
+  }
+
+  /**
+   * Capture a Discord message for a transcript
+   * @param {Message} message - Discord message
+   * @returns {Object} - Transcript entry
+   */
+  describeMessage(message) {
+    return {
+      message_id: message.id,
+      channel_id: message.channel.id,
+      author_id: message.author.id,
+      author_tag: message.author.tag,
+      author_bot: message.author.bot,
+      avatar_url: message.author.displayAvatarURL(),
+      content: message.content || '',
+      created_at: new Date(message.createdTimestamp).toISOString(),
+      edited_at: message.editedTimestamp ? new Date(message.editedTimestamp).toISOString() : null,
+      pinned: message.pinned,
+      attachments: [...message.attachments.values()].map(attachment => ({
+        name: attachment.name,
+        url: attachment.url,
+        content_type: attachment.contentType || null,
+        size: attachment.size
+      })),
+      embeds: message.embeds.map(embed => ({
+        title: embed.title || null,
+        description: embed.description || null,
+        url: embed.url || null,
+        author: embed.author?.name || null,
+        fields: embed.fields.map(field => ({ name: field.name, value: field.value })),
+        footer: embed.footer?.text || null,
+        image: embed.image?.url || embed.thumbnail?.url || null
+      }))
+    };
+  }
+
+  /**
+   * Convert a message log snapshot into a transcript entry
+   * @param {MessageEvidence} snapshot - Stored snapshot
+   * @returns {Object} - Transcript entry
+   */
+  describeSnapshot(snapshot) {
+    return {
+      message_id: snapshot.message_id,
+      channel_id: snapshot.channel_id,
+      author_id: snapshot.author_id,
+      author_tag: snapshot.author_tag,
+      author_bot: false,
+      avatar_url: null,
+      event: snapshot.event_type,
+      content: snapshot.content_before || '',
+      ...(snapshot.event_type === 'edit' && { edited_content: snapshot.content_after || '' }),
+      created_at: snapshot.message_created_at ? new Date(snapshot.message_created_at).toISOString() : null,
+      captured_at: new Date(snapshot.created_at).toISOString(),
+      sensitive: snapshot.is_sensitive,
+      attachments: (snapshot.attachments || []).map(attachment => ({
+        name: attachment.name,
+        url: attachment.url,
+        content_type: attachment.content_type || null,
+        size: attachment.size
+      })),
+      embeds: []
+    };
+  }
+
+  /**
+   * Render and store a transcript
+   * @param {Object} options - Transcript details
+   * @param {string} options.guildId - Discord guild ID
+   * @param {string} options.source - 'purge', 'message_log' or 'case'
+   * @param {string} options.createdBy - Discord ID of the moderator (or bot)
+   * @param {Object[]} options.messages - Transcript entries (see describeMessage)
+   * @param {string|null} options.caseNumber - Linked moderation case
+   * @param {string|null} options.channelId - Channel the messages came from
+   * @param {string|null} options.targetUserId - Member the transcript is about
+   * @returns {Promise<EvidenceTranscript>} - Stored transcript
+   */
+  async createTranscript({ guildId, source, createdBy, messages, caseNumber = null, channelId = null, targetUserId = null }) {
+    const entries = [...messages].sort((a, b) => new Date(a.created_at || 0) - new Date(b.created_at || 0));
+
+    const transcript = EvidenceTranscript.build({
+      transcript_number: await EvidenceTranscript.generateTranscriptNumber(guildId),
+      guild_id: guildId,
+      case_number: caseNumber,
+      source,
+      channel_id: channelId,
+      target_user_id: targetUserId,
+      created_by: createdBy,
+      message_count: entries.length,
+      storage_backend: this.activeBackend
+    });
+
+    const summary = {
+      transcript_number: transcript.transcript_number,
+      guild_id: guildId,
+      case_number: caseNumber,
+      source,
+      channel_id: channelId,
+      target_user_id: targetUserId,
+      created_by: createdBy,
+      created_at: new Date().toISOString(),
+      message_count: entries.length
+    };
+
+    const files = {
+      html: this.renderTranscriptHtml(summary, entries),
+      json: JSON.stringify({ transcript: summary, messages: entries }, null, 2)
+    };
+
+    transcript.storage_key = await this.getBackend(transcript.storage_backend).save(transcript, files);
+    transcript.file_sizes = Object.fromEntries(
+      Object.entries(files).map(([format, content]) => [format, Buffer.byteLength(content)])
+    );
+    await transcript.save();
+
+    console.log(`🗂️ Stored transcript ${transcript.transcript_number} (${entries.length} messages, ${transcript.storage_backend}) for guild ${guildId}`);
+    return transcript;
+  }
+
+  /**
+   * Load a transcript file for download
+   * @param {EvidenceTranscript} transcript - Transcript record
+   * @param {string} format - 'html' or 'json'
+   * @returns {Promise<Object|null>} - { name, buffer }, or null if the file is missing
+   */
+  async getFile(transcript, format) {
+    if (!EVIDENCE_STORE_CONFIG.FORMATS.includes(format)) {
+      throw new Error(`Evidence transcript format must be one of: ${EVIDENCE_STORE_CONFIG.FORMATS.join(', ')}`);
+    }
+
+    const buffer = await this.getBackend(transcript.storage_backend).load(transcript, format);
+    if (!buffer) {
+      return null;
+    }
+
+    return {
+      name: `transcript-${transcript.transcript_number}.${format}`,
+      buffer
+    };
+  }
+
+  /**
+   * Render a standalone HTML transcript
+   * @param {Object} summary - Transcript summary
+   * @param {Object[]} entries - Transcript entries
+   * @returns {string} - HTML document
+   */
+  renderTranscriptHtml(summary, entries) {
+    const escape = (text) => String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+    const multiline = (text) => escape(text).replace(/\n/g, '<br>');
+
+    const renderEmbed = (embed) => `
+        <div class="embed">
+          ${embed.author ? `<div class="meta">${escape(embed.author)}</div>` : ''}
+          ${embed.title ? `<div class="embed-title">${embed.url ? `<a href="${escape(embed.url)}">${escape(embed.title)}</a>` : escape(embed.title)}</div>` : ''}
+          ${embed.description ? `<div>${multiline(embed.description)}</div>` : ''}
+          ${embed.fields.map(field => `<div class="field"><strong>${escape(field.name)}</strong><br>${multiline(field.value)}</div>`).join('')}
+          ${embed.image ? `<div><a href="${escape(embed.image)}">🖼️ Embed image</a></div>` : ''}
+          ${embed.footer ? `<div class="meta">${escape(embed.footer)}</div>` : ''}
+        </div>`;
+
+    const rows = entries.map(entry => `
+    <div class="entry${entry.sensitive ? ' sensitive' : ''}">
+      <div class="meta">
+        ${entry.avatar_url ? `<img class="avatar" src="${escape(entry.avatar_url)}" alt="">` : ''}
+        <strong>${escape(entry.author_tag || entry.author_id)}</strong>${entry.author_bot ? ' <span class="tag">BOT</span>' : ''}
+        • ${escape(entry.author_id)} • ${escape(entry.created_at || 'unknown time')}${entry.edited_at ? ` (edited ${escape(entry.edited_at)})` : ''}
+        ${entry.event ? ` • ${EVENT_LABELS[entry.event] || escape(entry.event)}${entry.captured_at ? ` ${escape(entry.captured_at)}` : ''}` : ''}
+        ${summary.channel_id ? '' : ` • channel ${escape(entry.channel_id)}`} • message ${escape(entry.message_id)}
+      </div>
+      ${entry.sensitive ? '<div class="meta">⚠️ Captured in the age verification channel — handle as sensitive</div>' : ''}
+      <div class="content">${entry.content ? multiline(entry.content) : '<em>[no text]</em>'}</div>
+      ${entry.edited_content !== undefined ? `<div class="content edited"><span class="meta">After edit:</span><br>${entry.edited_content ? multiline(entry.edited_content) : '<em>[no text]</em>'}</div>` : ''}
+      ${entry.attachments.map(a => `<div class="attachment">📎 <a href="${escape(a.url)}">${escape(a.name)}</a>${a.content_type ? ` (${escape(a.content_type)}${a.size ? `, ${Math.ceil(a.size / 1024)} KB` : ''})` : ''}</div>`).join('')}
+      ${entry.embeds.map(renderEmbed).join('')}
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Transcript ${escape(summary.transcript_number)}</title>
+  <style>
+    body { font-family: sans-serif; background: #f4f7f4; color: #1e2b1e; margin: 2rem; }
+    .entry { background: #fff; border-left: 4px solid #2e7d32; margin: 0.5rem 0; padding: 0.5rem 1rem; }
+    .sensitive { border-color: #c62828; }
+    .meta { color: #5f6b5f; font-size: 0.85rem; }
+    .avatar { width: 20px; height: 20px; border-radius: 50%; vertical-align: middle; }
+    .tag { background: #5865f2; color: #fff; border-radius: 3px; font-size: 0.7rem; padding: 0 4px; }
+    .content { margin: 0.25rem 0; white-space: normal; }
+    .edited { border-top: 1px dashed #c8d3c8; padding-top: 0.25rem; }
+    .embed { border-left: 3px solid #9e9e9e; background: #f7f7f7; margin: 0.25rem 0; padding: 0.25rem 0.75rem; }
+    .embed-title { font-weight: bold; }
+    .field { margin-top: 0.25rem; }
+  </style>
+</head>
+<body>
+  <h1>Transcript ${escape(summary.transcript_number)}</h1>
+  <p>Source: ${escape(summary.source)} • Messages: ${summary.message_count} • Created: ${escape(summary.created_at)} by ${escape(summary.created_by)}</p>
+  <p>Case: ${escape(summary.case_number || 'None')}${summary.channel_id ? ` • Channel: ${escape(summary.channel_id)}` : ''}${summary.target_user_id ? ` • Member: ${escape(summary.target_user_id)}` : ''}</p>${rows}
+</body>
+</html>
+`;
+  }
+}
+
+const evidenceStoreService = new EvidenceStoreService();
+
+module.exports = {
+  EvidenceStoreService,
+  evidenceStoreService,
+  DatabaseEvidenceBackend,
+  LocalDiskEvidenceBackend,
+  EVIDENCE_STORE_CONFIG
+};
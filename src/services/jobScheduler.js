@@ -0,0 +1,498 @@
+/**
+ * Job Scheduler Service for GrowmiesNJ Discord Bot
+ *
+ * Database-backed scheduler for timed bot work that must survive restarts
+ * Supports one-off and cron-style recurring jobs, retries with exponential
+ * backoff, and a run history table for monitoring
+ *
+ * Handlers are registered by the modules that own the work (e.g. poll closing
+ * in the vote command) and receive the persisted payload plus the Discord client
+ */
+
+const os = require('os');
+const { Op } = require('sequelize');
+const { ScheduledJob } = require('../database/models/ScheduledJob');
+const { ScheduledJobRun } = require('../database/models/ScheduledJobRun');
+const { CronHelpers } = require('../utils/cronHelpers');
+
+/**
+ * Registered job type names
+ */
+const JOB_TYPES = {
+    POLL_CLOSE: 'engagement.poll_close',
+    CASE_EXPIRY: 'moderation.case_expiry',
+    RAID_MODE_END: 'protection.raid_mode_end',
+    MODLOG_PUBLISH: 'moderation.modlog_publish',
+    EVIDENCE_PRUNE: 'moderation.evidence_prune',
+    VERIFICATION_EXPIRY: 'verification.expiry',
+    VOICE_CHECKPOINT: 'leveling.voice_checkpoint',
+    TIER_PROGRESSION_DAILY: 'leveling.tier_progression_daily',
+    TIER_PROGRESSION_WEEKLY: 'leveling.tier_progression_weekly',
+    TIER_PROGRESSION_CHECK: 'leveling.tier_progression_check',
+    LEVEL_REWARD_SYNC: 'leveling.level_reward_sync',
+    XP_BOOST_START: 'leveling.xp_boost_start',
+    XP_BOOST_END: 'leveling.xp_boost_end',
+    DAILY_MAINTENANCE: 'maintenance.daily'
+};
+
+/**
+ * Scheduler tuning defaults
+ */
+const SCHEDULER_DEFAULTS = {
+    POLL_INTERVAL_MS: parseInt(process.env.JOB_SCHEDULER_POLL_MS, 10) || 30000,
+    BATCH_SIZE: 25,
+    STALE_LOCK_MS: 15 * 60 * 1000,       // Jobs running longer than this are assumed abandoned
+    MAX_BACKOFF_MS: 6 * 60 * 60 * 1000,  // Cap retry delay at 6 hours
+    HISTORY_RETENTION_DAYS: 30,
+    MAINTENANCE_CRON: '0 4 * * *'        // 04:00 UTC daily
+};
+
+/**
+ * Job Scheduler Service Class
+ * Polls the scheduled_jobs table and dispatches due jobs to registered handlers
+ */
+class JobSchedulerService {
+    constructor() {
+        this.handlers = new Map();
+        this.recurringJobs = new Map();
+        this.client = null;
+        this.timer = null;
+        this.isTicking = false;
+        this.workerId = `${os.hostname()}-${process.pid}`;
+
+        this.stats = {
+            startedAt: null,
+            lastTickAt: null,
+            jobsSucceeded: 0,
+            jobsFailed: 0,
+            jobsRetried: 0
+        };
+
+        this.registerRecurring(
+            JOB_TYPES.DAILY_MAINTENANCE,
+            SCHEDULER_DEFAULTS.MAINTENANCE_CRON,
+            () => this.runDailyMaintenance()
+        );
+    }
+
+    /**
+     * Register a handler for a job type
+     * Handlers return { idle: true } when there was nothing to do; idle runs are left out of the run history
+     * @param {string} jobType - Job type name
+     * @param {Function} handler - async (payload, { client, job, scheduler }) => result
+     */
+    registerHandler(jobType, handler) {
+        if (typeof handler !== 'function') {
+            throw new Error(`Handler for ${jobType} must be a function`);
+        }
+        this.handlers.set(jobType, handler);
+    }
+
+    /**
+     * Register a handler together with a recurring schedule
+     * The recurring job is created (or updated) when the scheduler starts
+     * @param {string} jobType - Job type name
+     * @param {string} cronExpression - Five-field UTC cron expression
+     * @param {Function} handler - async (payload, { client, job, scheduler }) => result
+     * @param {Object} options - Options passed to scheduleRecurring()
+     */
+    registerRecurring(jobType, cronExpression, handler, options = {}) {
+        if (!CronHelpers.isValid(cronExpression)) {
+            throw new Error(`Invalid cron expression for ${jobType}: ${cronExpression}`);
+        }
+        this.registerHandler(jobType, handler);
+        this.recurringJobs.set(jobType, { cronExpression, options });
+    }
+
+    /**
+     * Schedule a one-off job
+     * When a uniqueKey is given and an unfinished job already uses it, that job is rescheduled instead,
+     * or left alone if it is running right now
+     *
+     * @param {string} jobType - Registered job type
+     * @param {Object} payload - Data passed to the handler
+     * @param {Object} options - Scheduling options
+     * @param {Date} [options.runAt] - When to run (defaults to now)
+     * @param {number} [options.delayMs] - Run after this delay instead of runAt
+     * @param {string} [options.guildId] - Owning guild
+     * @param {string} [options.uniqueKey] - Deduplication key
+     * @param {number} [options.maxAttempts] - Attempts before marking failed
+     * @param {number} [options.backoffBaseMs] - Base retry delay
+     * @param {string} [options.createdBy] - Discord ID or subsystem scheduling the job
+     * @returns {Promise<ScheduledJob>} - Created or rescheduled job
+     */
+    async schedule(jobType, payload = {}, options = {}) {
+        const runAt = options.delayMs !== undefined
+            ? new Date(Date.now() + options.delayMs)
+            : (options.runAt ? new Date(options.runAt) : new Date());
+
+        if (isNaN(runAt.getTime())) {
+            throw new Error('Invalid run time for scheduled job');
+        }
+
+        const jobData = {
+            job_type: jobType,
+            payload,
+            run_at: runAt,
+            guild_id: options.guildId || null,
+            unique_key: options.uniqueKey || null,
+            max_attempts: options.maxAttempts || 5,
+            backoff_base_ms: options.backoffBaseMs || 60000,
+            created_by: options.createdBy || 'system'
+        };
+
+        if (options.uniqueKey) {
+            const existing = await ScheduledJob.findUnfinishedByKey(options.uniqueKey);
+            if (existing?.status === 'running') {
+                console.log(`[JobScheduler] ${jobType} (${options.uniqueKey}) is already running; not scheduling it again`);
+                return existing;
+            }
+            if (existing) {
+                await existing.update({ ...jobData, status: 'pending', attempts: 0, last_error: null });
+                console.log(`[JobScheduler] Rescheduled ${jobType} (${options.uniqueKey}) for ${runAt.toISOString()}`);
+                return existing;
+            }
+        }
+
+        const job = await ScheduledJob.create(jobData);
+        console.log(`[JobScheduler] Scheduled ${jobType} job ${job.id} for ${runAt.toISOString()}`);
+        return job;
+    }
+
+    /**
+     * Schedule (or update) a recurring cron job
+     * Recurring jobs are keyed by uniqueKey so repeated startups do not create duplicates
+     *
+     * @param {string} jobType - Registered job type
+     * @param {string} cronExpression - Five-field UTC cron expression
+     * @param {Object} payload - Data passed to the handler
+     * @param {Object} options - Same options as schedule()
+     * @returns {Promise<ScheduledJob>} - Created or updated job
+     */
+    async scheduleRecurring(jobType, cronExpression, payload = {}, options = {}) {
+        if (!CronHelpers.isValid(cronExpression)) {
+            throw new Error(`Invalid cron expression: ${cronExpression}`);
+        }
+
+        const uniqueKey = options.uniqueKey || `recurring:${jobType}${options.guildId ? `:${options.guildId}` : ''}`;
+        const existing = await ScheduledJob.findUnfinishedByKey(uniqueKey);
+
+        if (existing) {
+            if (existing.cron_expression !== cronExpression) {
+                await existing.update({
+                    cron_expression: cronExpression,
+                    payload,
+                    run_at: existing.status === 'pending' ? CronHelpers.getNextRun(cronExpression) : existing.run_at
+                });
+                console.log(`[JobScheduler] Updated recurring ${jobType} schedule to "${cronExpression}"`);
+            }
+            return existing;
+        }
+
+        const job = await ScheduledJob.create({
+            job_type: jobType,
+            payload,
+            cron_expression: cronExpression,
+            run_at: CronHelpers.getNextRun(cronExpression),
+            guild_id: options.guildId || null,
+            unique_key: uniqueKey,
+            max_attempts: options.maxAttempts || 3,
+            backoff_base_ms: options.backoffBaseMs || 60000,
+            created_by: options.createdBy || 'system'
+        });
+
+        console.log(`[JobScheduler] Registered recurring ${jobType} job "${cronExpression}" (next: ${job.run_at.toISOString()})`);
+        return job;
+    }
+
+    /**
+     * Cancel a pending job by its unique key
+     * @param {string} uniqueKey - Deduplication key
+     * @returns {Promise<boolean>} - True if a job was cancelled
+     */
+    async cancelByKey(uniqueKey) {
+        const [affected] = await ScheduledJob.update(
+            { status: 'cancelled' },
+            { where: { unique_key: uniqueKey, status: 'pending' } }
+        );
+        return affected > 0;
+    }
+
+    /**
+     * Cancel a pending job by ID
+     * @param {string} jobId - Scheduled job ID
+     * @returns {Promise<boolean>} - True if the job was cancelled
+     */
+    async cancel(jobId) {
+        const [affected] = await ScheduledJob.update(
+            { status: 'cancelled' },
+            { where: { id: jobId, status: 'pending' } }
+        );
+        return affected > 0;
+    }
+
+    /**
+     * Start polling for due jobs
+     * @param {Client} client - Discord client passed to handlers
+     * @returns {Promise<void>}
+     */
+    async start(client) {
+        if (this.timer) {
+            return;
+        }
+
+        this.client = client;
+        this.stats.startedAt = new Date();
+
+        try {
+            for (const [jobType, { cronExpression, options }] of this.recurringJobs) {
+                await this.scheduleRecurring(jobType, cronExpression, options.payload || {}, options);
+            }
+        } catch (error) {
+            console.error('[JobScheduler] Error preparing scheduler:', error);
+        }
+
+        this.timer = setInterval(() => this.tick(), SCHEDULER_DEFAULTS.POLL_INTERVAL_MS);
+        console.log(`[JobScheduler] Started as ${this.workerId} (polling every ${SCHEDULER_DEFAULTS.POLL_INTERVAL_MS / 1000}s, ${this.handlers.size} handlers)`);
+
+        // Run immediately so overdue jobs from before a redeploy are not delayed
+        await this.tick();
+    }
+
+    /**
+     * Stop polling for due jobs
+     */
+    stop() {
+        if (this.timer) {
+            clearInterval(this.timer);
+            this.timer = null;
+            console.log('[JobScheduler] Stopped');
+        }
+    }
+
+    /**
+     * Process one batch of due jobs
+     * @returns {Promise<number>} - Number of jobs executed
+     */
+    async tick() {
+        if (this.isTicking) {
+            return 0;
+        }
+
+        this.isTicking = true;
+        this.stats.lastTickAt = new Date();
+        let executed = 0;
+
+        try {
+            // Checked every tick: a job claimed just before a crash is not stale yet when the next instance boots
+            const released = await ScheduledJob.releaseStaleLocks(SCHEDULER_DEFAULTS.STALE_LOCK_MS);
+            if (released > 0) {
+                console.log(`[JobScheduler] Released ${released} job(s) abandoned by a stopped or stuck instance`);
+            }
+
+            const dueJobs = await ScheduledJob.getDueJobs(SCHEDULER_DEFAULTS.BATCH_SIZE);
+
+            for (const job of dueJobs) {
+                const claimed = await ScheduledJob.claim(job.id, this.workerId);
+                if (!claimed) {
+                    continue; // Another instance picked it up
+                }
+
+                await job.reload();
+                await this.runJob(job);
+                executed++;
+            }
+        } catch (error) {
+            console.error('[JobScheduler] Error processing due jobs:', error);
+        } finally {
+            this.isTicking = false;
+        }
+
+        return executed;
+    }
+
+    /**
+     * Execute a claimed job and record the outcome
+     * @param {ScheduledJob} job - Claimed job
+     * @returns {Promise<void>}
+     */
+    async runJob(job) {
+        const attempt = job.attempts + 1;
+        const startedAt = new Date();
+
+        try {
+            const handler = this.handlers.get(job.job_type);
+            if (!handler) {
+                throw new Error(`No handler registered for job type ${job.job_type}`);
+            }
+
+            const result = await handler(job.payload || {}, {
+                client: this.client,
+                job,
+                scheduler: this
+            });
+
+            // Every-minute sweeps would otherwise add a history row per minute per instance
+            if (!result?.idle) {
+                await this.recordRun(job, attempt, 'success', startedAt, null, result);
+            }
+            this.stats.jobsSucceeded++;
+
+            if (job.isRecurring()) {
+                await job.update({
+                    status: 'pending',
+                    run_at: CronHelpers.getNextRun(job.cron_expression),
+                    attempts: 0,
+                    last_error: null,
+                    last_run_at: new Date(),
+                    locked_at: null,
+                    locked_by: null
+                });
+            } else {
+                await job.update({
+                    status: 'completed',
+                    last_run_at: new Date(),
+                    locked_at: null,
+                    locked_by: null
+                });
+            }
+
+        } catch (error) {
+            console.error(`[JobScheduler] Job ${job.job_type} (${job.id}) failed on attempt ${attempt}:`, error.message);
+            await this.recordRun(job, attempt, 'failure', startedAt, error.message);
+            await this.handleFailure(job, attempt, error);
+        }
+    }
+
+    /**
+     * Apply retry/backoff policy after a failed attempt
+     * @param {ScheduledJob} job - Failed job
+     * @param {number} attempt - Attempt number that failed
+     * @param {Error} error - Failure cause
+     * @returns {Promise<void>}
+     */
+    async handleFailure(job, attempt, error) {
+        const baseUpdate = {
+            last_error: error.message,
+            last_run_at: new Date(),
+            locked_at: null,
+            locked_by: null
+        };
+
+        try {
+            if (attempt < job.max_attempts) {
+                const delay = this.calculateBackoff(job.backoff_base_ms, attempt);
+                await job.update({
+                    ...baseUpdate,
+                    status: 'pending',
+                    attempts: attempt,
+                    run_at: new Date(Date.now() + delay)
+                });
+                this.stats.jobsRetried++;
+                console.log(`[JobScheduler] Retrying ${job.job_type} (${job.id}) in ${Math.round(delay / 1000)}s`);
+            } else if (job.isRecurring()) {
+                // Give up on this occurrence but keep the schedule alive
+                await job.update({
+                    ...baseUpdate,
+                    status: 'pending',
+                    attempts: 0,
+                    run_at: CronHelpers.getNextRun(job.cron_expression)
+                });
+                this.stats.jobsFailed++;
+            } else {
+                await job.update({
+                    ...baseUpdate,
+                    status: 'failed',
+                    attempts: attempt
+                });
+                this.stats.jobsFailed++;
+                console.error(`[JobScheduler] Job ${job.job_type} (${job.id}) failed permanently after ${attempt} attempts`);
+            }
+        } catch (updateError) {
+            console.error(`[JobScheduler] Error updating failed job ${job.id}:`, updateError);
+        }
+    }
+
+    /**
+     * Calculate exponential backoff delay
+     * @param {number} baseMs - Base delay in milliseconds
+     * @param {number} attempt - Attempt number that failed (1-based)
+     * @returns {number} - Delay in milliseconds
+     */
+    calculateBackoff(baseMs, attempt) {
+        return Math.min(baseMs * Math.pow(2, attempt - 1), SCHEDULER_DEFAULTS.MAX_BACKOFF_MS);
+    }
+
+    /**
+     * Record a run history entry
+     * @param {ScheduledJob} job - Executed job
+     * @param {number} attempt - Attempt number
+     * @param {string} status - 'success' or 'failure'
+     * @param {Date} startedAt - Execution start time
+     * @param {string|null} errorMessage - Failure message
+     * @param {*} result - Handler result
+     * @returns {Promise<void>}
+     */
+    async recordRun(job, attempt, status, startedAt, errorMessage = null, result = null) {
+        try {
+            const finishedAt = new Date();
+            await ScheduledJobRun.create({
+                job_id: job.id,
+                job_type: job.job_type,
+                attempt,
+                status,
+                started_at: startedAt,
+                finished_at: finishedAt,
+                duration_ms: finishedAt - startedAt,
+                worker_id: this.workerId,
+                error_message: errorMessage,
+                result: result && typeof result === 'object' ? result : { value: result ?? null }
+            });
+        } catch (error) {
+            console.error(`[JobScheduler] Error recording run for job ${job.id}:`, error);
+        }
+    }
+
+    /**
+     * Built-in daily maintenance: prune old run history and finished one-off jobs
+     * @returns {Promise<Object>} - Maintenance summary
+     */
+    async runDailyMaintenance() {
+        const retentionDays = SCHEDULER_DEFAULTS.HISTORY_RETENTION_DAYS;
+        const cutoff = new Date(Date.now() - retentionDays * 24 * 60 * 60 * 1000);
+
+        const prunedRuns = await ScheduledJobRun.pruneOlderThan(retentionDays);
+        const prunedJobs = await ScheduledJob.destroy({
+            where: {
+                status: { [Op.in]: ['completed', 'cancelled'] },
+                cron_expression: null,
+                updated_at: { [Op.lt]: cutoff }
+            }
+        });
+
+        console.log(`[JobScheduler] Daily maintenance pruned ${prunedRuns} run(s) and ${prunedJobs} finished job(s)`);
+        return { pruned_runs: prunedRuns, pruned_jobs: prunedJobs };
+    }
+
+    /**
+     * Get scheduler statistics for health monitoring
+     * @returns {Object} - Scheduler statistics
+     */
+    getStats() {
+        return {
+            running: !!this.timer,
+            worker_id: this.workerId,
+            handlers: Array.from(this.handlers.keys()),
+            ...this.stats
+        };
+    }
+}
+
+const jobScheduler = new JobSchedulerService();
+
+module.exports = {
+    JobSchedulerService,
+    jobScheduler,
+    JOB_TYPES,
+    SCHEDULER_DEFAULTS
+};
@@ -0,0 +1,488 @@
+/**
+ * Join Screening Service for GrowmiesNJ Discord Bot
+ *
+ * Screens new joins against moderation history, account age and the names of
+ * recently banned users. Flagged members are held in a quarantine role and staff
+ * get an alert with one-click verify, kick and ban actions
+ */
+
+const { Op } = require('sequelize');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { ModerationCase } = require('../database/models/ModerationCase');
+const { User } = require('../database/models/User');
+const { AuditLog } = require('../database/models/AuditLog');
+const { RoleManagementService } = require('./roleManagement');
+const ModerationService = require('./moderationService');
+const { LinkScanner } = require('../utils/linkScanner');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Join screening tuning
+ */
+const SCREENING_CONFIG = {
+  BANNED_NAME_CACHE_MS: 10 * 60 * 1000,
+  BANNED_NAME_LIMIT: 50,
+  MIN_NAME_LENGTH: 4,
+  PRIOR_WARNING_THRESHOLD: 3,
+  DAY_MS: 24 * 60 * 60 * 1000
+};
+
+// Custom ID prefix routed to the join-screening command by the interactionCreate event
+const SCREENING_PREFIX = 'screening';
+
+// Staff actions on a screening alert
+const SCREENING_ACTIONS = ['verify', 'kick', 'ban'];
+
+/**
+ * Reasons a join can be flagged
+ */
+const FLAG_DETAILS = {
+  previously_banned: { emoji: '🔨', label: 'Previously banned', severity: 'high' },
+  previously_kicked: { emoji: '👢', label: 'Previously kicked', severity: 'medium' },
+  prior_warnings: { emoji: '⚠️', label: 'Repeated warnings', severity: 'medium' },
+  new_account: { emoji: '🐣', label: 'New account', severity: 'medium' },
+  similar_to_banned: { emoji: '👥', label: 'Name resembles a banned user', severity: 'high' }
+};
+
+/**
+ * Join Screening Service Class
+ * Used by the guildMemberAdd event and the /join-screening command
+ */
+class JoinScreeningService {
+  constructor() {
+    // Normalized names of recently banned users per guild (guildId -> { entries, expiresAt })
+    this.bannedNameCache = new Map();
+  }
+
+  /**
+   * Screen a joining member and quarantine them if anything is flagged
+   * @param {GuildMember} member - Joining member
+   * @param {User|null} existingUser - Stored user record, if the member was here before
+   * @returns {Promise<Object>} - { quarantined, flags }
+   */
+  async handleMemberJoin(member, existingUser = null) {
+    try {
+      if (member.user.bot) return { quarantined: false, flags: [] };
+
+      const settings = await GuildSettings.findByGuildId(member.guild.id);
+      const config = settings.getJoinScreeningConfig();
+      if (!config.enabled) return { quarantined: false, flags: [] };
+
+      const result = await this.screen(member, config, existingUser);
+      if (result.flags.length === 0) return { quarantined: false, flags: [] };
+
+      const role = member.guild.roles.cache.get(config.quarantine_role_id);
+      if (!role) {
+        console.warn(`[JoinScreening] Quarantine role ${config.quarantine_role_id} missing in ${member.guild.name}; ${member.user.tag} was flagged but not held`);
+      } else {
+        await member.roles.add(role, `Join screening: ${result.flags.map(flag => flag.type).join(', ')}`);
+      }
+
+      await this.sendAlert(member.guild, config, {
+        embeds: [this.createAlertEmbed(member.user, result)],
+        components: this.createAlertButtons(member.id)
+      });
+
+      await AuditLog.logAdminAction(member.client.user.id, member.guild.id, 'join_screening_flagged', member.id, {
+        flags: result.flags,
+        returning: result.returning,
+        quarantined: !!role
+      });
+
+      console.log(`🛂 Join screening flagged ${member.user.tag} in ${member.guild.name}: ${result.flags.map(flag => flag.type).join(', ')}`);
+      return { quarantined: !!role, flags: result.flags };
+    } catch (error) {
+      console.error(`[JoinScreening] Failed to screen ${member.user.tag}:`, error);
+      return { quarantined: false, flags: [] };
+    }
+  }
+
+  /**
+   * Evaluate a member against the screening heuristics without acting on the result
+   * @param {GuildMember} member - Member to screen
+   * @param {Object} config - Join screening configuration
+   * @param {User|null} existingUser - Stored user record, if any
+   * @returns {Promise<Object>} - { flags, history, returning, account_age_days }
+   */
+  async screen(member, config, existingUser = null) {
+    const history = await this.getCaseHistory(member.id, member.guild.id);
+    const accountAgeDays = Math.floor((Date.now() - member.user.createdTimestamp) / SCREENING_CONFIG.DAY_MS);
+    const similar = await this.findSimilarBannedUsers(member.guild, member.user, config);
+
+    return {
+      flags: this.evaluateFlags({ history, accountAgeDays, similar }, config),
+      history,
+      returning: existingUser
+        ? { verification_status: existingUser.verification_status, first_seen: existingUser.created_at }
+        : null,
+      account_age_days: accountAgeDays
+    };
+  }
+
+  /**
+   * Turn screening signals into flags
+   * @param {Object} signals - { history, accountAgeDays, similar }
+   * @param {Object} config - Join screening configuration
+   * @returns {Object[]} - Flags ({ type, detail })
+   */
+  evaluateFlags({ history, accountAgeDays, similar }, config) {
+    const flags = [];
+
+    if (history.BAN > 0) {
+      flags.push({ type: 'previously_banned', detail: `${history.BAN} ban case${history.BAN !== 1 ? 's' : ''} on record` });
+    }
+    if (history.KICK > 0) {
+      flags.push({ type: 'previously_kicked', detail: `${history.KICK} kick case${history.KICK !== 1 ? 's' : ''} on record` });
+    }
+    if (history.WARN >= SCREENING_CONFIG.PRIOR_WARNING_THRESHOLD) {
+      flags.push({ type: 'prior_warnings', detail: `${history.WARN} warnings on record` });
+    }
+    if (config.min_account_age_days > 0 && accountAgeDays < config.min_account_age_days) {
+      flags.push({ type: 'new_account', detail: `Account is ${accountAgeDays} day${accountAgeDays !== 1 ? 's' : ''} old` });
+    }
+    if (similar.length > 0) {
+      flags.push({
+        type: 'similar_to_banned',
+        detail: similar.slice(0, 3).map(match => `<@${match.user_id}> "${match.name}" (${match.similarity}%)`).join(', '),
+        matches: similar.slice(0, 3)
+      });
+    }
+
+    return flags;
+  }
+
+  /**
+   * Count a user's moderation cases in this guild by action, including lifted ones
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} - { WARN, KICK, BAN, TIMEOUT, total }
+   */
+  async getCaseHistory(userId, guildId) {
+    const cases = await ModerationCase.findAll({
+      where: { target_user_id: userId, guild_id: guildId },
+      attributes: ['action_type']
+    });
+
+    const history = { WARN: 0, KICK: 0, BAN: 0, TIMEOUT: 0, total: cases.length };
+    for (const moderationCase of cases) {
+      if (moderationCase.action_type in history) history[moderationCase.action_type]++;
+    }
+    return history;
+  }
+
+  /**
+   * Find recently banned users whose names resemble the joiner's
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Joining user
+   * @param {Object} config - Join screening configuration
+   * @returns {Promise<Object[]>} - Matches ({ user_id, name, similarity }), closest first
+   */
+  async findSimilarBannedUsers(guild, user, config) {
+    const joinerNames = [user.username, user.globalName]
+      .map(name => this.normalizeName(name))
+      .filter(Boolean);
+    if (joinerNames.length === 0) return [];
+
+    const banned = await this.getBannedNames(guild, config.ban_lookback_days);
+    const matches = new Map();
+
+    for (const entry of banned) {
+      if (entry.user_id === user.id) continue;
+
+      for (const joinerName of joinerNames) {
+        const similarity = Math.round(this.nameSimilarity(joinerName, entry.normalized) * 100);
+        if (similarity >= config.name_similarity && similarity > (matches.get(entry.user_id)?.similarity || 0)) {
+          matches.set(entry.user_id, { user_id: entry.user_id, name: entry.name, similarity });
+        }
+      }
+    }
+
+    return [...matches.values()].sort((a, b) => b.similarity - a.similarity);
+  }
+
+  /**
+   * Get names of users banned inside the lookback window, cached per guild
+   * @param {Guild} guild - Discord guild
+   * @param {number} lookbackDays - Days of ban history to compare against
+   * @returns {Promise<Object[]>} - Entries ({ user_id, name, normalized })
+   */
+  async getBannedNames(guild, lookbackDays) {
+    const cacheKey = `${guild.id}:${lookbackDays}`;
+    const cached = this.bannedNameCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) return cached.entries;
+
+    const bans = await ModerationCase.findAll({
+      where: {
+        guild_id: guild.id,
+        action_type: 'BAN',
+        active: true,
+        created_at: { [Op.gte]: new Date(Date.now() - lookbackDays * SCREENING_CONFIG.DAY_MS) }
+      },
+      attributes: ['target_user_id'],
+      order: [['created_at', 'DESC']],
+      limit: SCREENING_CONFIG.BANNED_NAME_LIMIT
+    });
+    const userIds = [...new Set(bans.map(ban => ban.target_user_id))];
+
+    const records = userIds.length > 0
+      ? await User.findAll({ where: { guild_id: guild.id, discord_id: userIds } })
+      : [];
+    const recordsById = new Map(records.map(record => [record.discord_id, record]));
+
+    const entries = [];
+    for (const userId of userIds) {
+      const record = recordsById.get(userId);
+      let names = [record?.username, record?.display_name].filter(name => name && name !== 'Unknown User');
+
+      // Users banned before they ever had a record are looked up on Discord
+      if (names.length === 0) {
+        const discordUser = await guild.client.users.fetch(userId).catch(() => null);
+        names = [discordUser?.username, discordUser?.globalName].filter(Boolean);
+      }
+
+      for (const name of new Set(names)) {
+        const normalized = this.normalizeName(name);
+        if (normalized) entries.push({ user_id: userId, name, normalized });
+      }
+    }
+
+    this.bannedNameCache.set(cacheKey, { entries, expiresAt: Date.now() + SCREENING_CONFIG.BANNED_NAME_CACHE_MS });
+    return entries;
+  }
+
+  /**
+   * Reduce a name to a comparable form: trailing numbers dropped, lookalike characters
+   * folded and separators removed ("W33d_Guy.420" -> "weedguy")
+   * @param {string} name - Username or display name
+   * @returns {string|null} - Normalized name, or null if too short to compare
+   */
+  normalizeName(name) {
+    if (!name) return null;
+
+    const stripped = name.normalize('NFKC').replace(/[\d\s._-]+$/, '');
+    const normalized = LinkScanner.normalizeLabel(stripped).replace(/[^a-z0-9]/g, '');
+    return normalized.length >= SCREENING_CONFIG.MIN_NAME_LENGTH ? normalized : null;
+  }
+
+  /**
+   * Similarity of two normalized names from 0 to 1
+   * @param {string} a - First name
+   * @param {string} b - Second name
+   * @returns {number} - 1 for identical names
+   */
+  nameSimilarity(a, b) {
+    const longest = Math.max(a.length, b.length);
+    if (longest === 0) return 0;
+    return 1 - LinkScanner.editDistance(a, b) / longest;
+  }
+
+  /**
+   * Check whether a member is held in quarantine
+   * @param {GuildMember} member - Guild member
+   * @returns {Promise<boolean>} - True when the member has the quarantine role
+   */
+  async isQuarantined(member) {
+    if (!member?.guild) return false;
+
+    const settings = await GuildSettings.findByGuildId(member.guild.id);
+    const { quarantine_role_id: roleId } = settings.getJoinScreeningConfig();
+    return !!roleId && member.roles.cache.has(roleId);
+  }
+
+  /**
+   * Apply a staff decision from a screening alert
+   * @param {ButtonInteraction} interaction - Button interaction from the alert
+   * @param {string} action - verify, kick or ban
+   * @param {string} userId - Flagged member ID
+   * @returns {Promise<Object>} - { action, caseNumber, rolesRestored }
+   */
+  async resolve(interaction, action, userId) {
+    if (!SCREENING_ACTIONS.includes(action)) {
+      throw new Error(`Join screening action "${action}" is not supported.`);
+    }
+
+    const guild = interaction.guild;
+    const settings = await GuildSettings.findByGuildId(guild.id);
+    const config = settings.getJoinScreeningConfig();
+    const member = await guild.members.fetch(userId).catch(() => null);
+    const outcome = { action, caseNumber: null, rolesRestored: false };
+
+    if (action === 'verify') {
+      if (!member) {
+        throw new Error('Join screening: the member has already left the server.');
+      }
+
+      if (config.quarantine_role_id && member.roles.cache.has(config.quarantine_role_id)) {
+        await member.roles.remove(config.quarantine_role_id, `Cleared by ${interaction.user.tag}`);
+      }
+
+      // Returning members get back the access they were verified for
+      const existingUser = await User.findOne({ where: { discord_id: userId, guild_id: guild.id } });
+      if (existingUser && existingUser.verification_status === 'verified' && !existingUser.isVerificationExpired()) {
+        const roleResult = await new RoleManagementService().assignVerificationRoles(member, guild, existingUser);
+        outcome.rolesRestored = roleResult.success;
+      }
+    } else {
+      if (action === 'kick' && !member) {
+        throw new Error('Join screening: the member has already left the server.');
+      }
+
+      const flags = this.readAlertFlags(interaction.message);
+      const result = await new ModerationService().createCase({
+        guildId: guild.id,
+        targetUserId: userId,
+        moderatorId: interaction.user.id,
+        actionType: action === 'ban' ? 'BAN' : 'KICK',
+        reason: `Join screening: ${flags.length > 0 ? flags.join(', ') : 'flagged on join'}`.slice(0, 1000),
+        evidence: [`Join screening alert: ${interaction.message.url}`],
+        metadata: { join_screening: { flags } }
+      }, guild, interaction.member);
+      outcome.caseNumber = result.case.case_number;
+    }
+
+    await AuditLog.logAdminAction(interaction.user.id, guild.id, 'join_screening_resolved', userId, {
+      action,
+      case_number: outcome.caseNumber,
+      roles_restored: outcome.rolesRestored
+    });
+
+    await this.closeAlert(interaction, outcome);
+    return outcome;
+  }
+
+  /**
+   * Read the flag labels back from an alert message
+   * @param {Message} message - Screening alert
+   * @returns {string[]} - Flag labels
+   */
+  readAlertFlags(message) {
+    const field = message?.embeds?.[0]?.fields?.find(candidate => candidate.name === '🚩 Flags');
+    if (!field) return [];
+    return field.value.split('\n').map(line => line.replace(/^\S+\s\*\*(.+?)\*\*.*$/, '$1'));
+  }
+
+  /**
+   * Record the decision on the alert and remove its buttons
+   * @param {ButtonInteraction} interaction - Button interaction from the alert
+   * @param {Object} outcome - { action, caseNumber, rolesRestored }
+   * @returns {Promise<void>}
+   */
+  async closeAlert(interaction, outcome) {
+    try {
+      const embed = interaction.message.embeds[0]?.toJSON() || {};
+      const decision = {
+        verify: `✅ Cleared by <@${interaction.user.id}>${outcome.rolesRestored ? ' (verification roles restored)' : ''}`,
+        kick: `👢 Kicked by <@${interaction.user.id}> (${outcome.caseNumber})`,
+        ban: `🔨 Banned by <@${interaction.user.id}> (${outcome.caseNumber})`
+      }[outcome.action];
+
+      await interaction.message.edit({
+        embeds: [{
+          ...embed,
+          color: outcome.action === 'verify' ? BRAND_COLORS.SUCCESS : BRAND_COLORS.ERROR,
+          fields: [...(embed.fields || []), { name: '⚖️ Decision', value: decision, inline: false }]
+        }],
+        components: []
+      });
+    } catch (error) {
+      console.warn(`[JoinScreening] Failed to update screening alert ${interaction.message?.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Build the staff alert for a flagged join
+   * @param {User} user - Flagged user
+   * @param {Object} result - Screening result
+   * @returns {Object} - Embed data
+   */
+  createAlertEmbed(user, result) {
+    const createdAt = Math.floor(user.createdTimestamp / 1000);
+    const high = result.flags.some(flag => FLAG_DETAILS[flag.type].severity === 'high');
+    const history = result.history.total > 0
+      ? ['BAN', 'KICK', 'TIMEOUT', 'WARN'].filter(action => result.history[action] > 0).map(action => `${action} ×${result.history[action]}`).join(', ')
+      : 'No cases';
+
+    return {
+      color: high ? BRAND_COLORS.ERROR : BRAND_COLORS.WARNING,
+      title: '🛂 Join Flagged for Review',
+      description: `<@${user.id}> (${user.tag}, ${user.id}) was placed in quarantine until staff review this join.`,
+      thumbnail: { url: user.displayAvatarURL() },
+      fields: [
+        {
+          name: '🚩 Flags',
+          value: result.flags.map(flag => `${FLAG_DETAILS[flag.type].emoji} **${FLAG_DETAILS[flag.type].label}**: ${flag.detail}`).join('\n').slice(0, 1024),
+          inline: false
+        },
+        { name: '📅 Account Created', value: `<t:${createdAt}:R>`, inline: true },
+        { name: '📋 Case History', value: history, inline: true },
+        {
+          name: '🔄 Returning',
+          value: result.returning ? `Yes (was ${result.returning.verification_status})` : 'No',
+          inline: true
+        }
+      ],
+      footer: {
+        text: 'Growmies NJ Cannabis Community • Join Screening'
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build Verify/Kick/Ban buttons for a screening alert
+   * @param {string} userId - Flagged member ID
+   * @returns {ActionRowBuilder[]} - Components
+   */
+  createAlertButtons(userId) {
+    return [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${SCREENING_PREFIX}:verify:${userId}`)
+        .setLabel('Verify')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success),
+      new ButtonBuilder()
+        .setCustomId(`${SCREENING_PREFIX}:kick:${userId}`)
+        .setLabel('Kick')
+        .setEmoji('👢')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`${SCREENING_PREFIX}:ban:${userId}`)
+        .setLabel('Ban')
+        .setEmoji('🔨')
+        .setStyle(ButtonStyle.Danger)
+    )];
+  }
+
+  /**
+   * Post a screening alert to the configured channel
+   * @param {Guild} guild - Discord guild
+   * @param {Object} config - Join screening configuration
+   * @param {Object} payload - Message payload
+   * @returns {Promise<void>}
+   */
+  async sendAlert(guild, config, payload) {
+    try {
+      const channel = await guild.channels.fetch(config.alert_channel_id).catch(() => null);
+      if (!channel || !channel.isTextBased()) {
+        console.warn(`[JoinScreening] Alert channel ${config.alert_channel_id} unavailable in ${guild.name}`);
+        return;
+      }
+
+      await channel.send(payload);
+    } catch (error) {
+      console.warn(`[JoinScreening] Failed to send alert in ${guild.id}:`, error.message);
+    }
+  }
+}
+
+// Shared instance so the banned name cache is reused across joins
+const joinScreeningService = new JoinScreeningService();
+
+module.exports = {
+  JoinScreeningService,
+  joinScreeningService,
+  SCREENING_PREFIX,
+  SCREENING_ACTIONS,
+  FLAG_DETAILS
+};
@@ -0,0 +1,374 @@
+/**
+ * Level Rewards Service for GrowmiesNJ Discord Bot
+ *
+ * Grants the guild's level reward table: roles, GrowCoins and shop items at
+ * chosen levels. Role rewards stack or the highest earned role replaces the
+ * rest, per the guild's reward_role_mode. Every grant is recorded so changes
+ * to the table can be applied retroactively without paying anything twice
+ */
+
+const { Op, UniqueConstraintError } = require('sequelize');
+const { LevelReward, REWARD_TYPES } = require('../database/models/LevelReward');
+const { LevelRewardGrant } = require('../database/models/LevelRewardGrant');
+const { LevelingConfig } = require('../database/models/LevelingConfig');
+const { EconomyItem } = require('../database/models/EconomyItem');
+const { User } = require('../database/models/User');
+const economyService = require('./economyService');
+const { automaticRoleProgressionService } = require('./automaticRoleProgression');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+
+/**
+ * Reward table limits
+ */
+const REWARD_LIMITS = {
+  MAX_REWARDS: 50,
+  MAX_LEVEL: 1000,
+  MAX_AMOUNT: 100000,
+  MAX_QUANTITY: 100,
+  SYNC_DELAY_MS: 30 * 1000 // Several table edits in a row share one retroactive sync
+};
+
+/**
+ * Level Rewards Service Class
+ * Used by /leveling rewards, the XP engine on level-up and the retroactive sync job
+ */
+class LevelRewardService {
+  /**
+   * Add a reward to the guild's table and schedule a retroactive sync
+   * @param {Guild} guild - Discord guild
+   * @param {Object} reward - { level, reward_type, role, amount, item_name, quantity }
+   * @param {string} createdBy - Discord ID of the staff member
+   * @returns {Promise<LevelReward>} - Created reward
+   */
+  async addReward(guild, reward, createdBy) {
+    const { level, reward_type: rewardType, quantity = 1 } = reward;
+
+    if (!Number.isInteger(level) || level < 1 || level > REWARD_LIMITS.MAX_LEVEL) {
+      throw new Error(`Reward level must be between 1 and ${REWARD_LIMITS.MAX_LEVEL}`);
+    }
+    if (await LevelReward.count({ where: { guild_id: guild.id } }) >= REWARD_LIMITS.MAX_REWARDS) {
+      throw new Error(`Reward table is full (${REWARD_LIMITS.MAX_REWARDS} rewards); remove one first`);
+    }
+
+    const data = { guild_id: guild.id, level, reward_type: rewardType, created_by: createdBy };
+    const existing = await LevelReward.findAtLevel(guild.id, level, rewardType);
+
+    if (rewardType === REWARD_TYPES.ROLE) {
+      this.validateRole(guild, reward.role);
+      if (existing.some(other => other.role_id === reward.role.id)) {
+        throw new Error(`Reward already exists: ${reward.role.name} at level ${level}`);
+      }
+      data.role_id = reward.role.id;
+    } else if (rewardType === REWARD_TYPES.CURRENCY) {
+      if (!Number.isInteger(reward.amount) || reward.amount < 1 || reward.amount > REWARD_LIMITS.MAX_AMOUNT) {
+        throw new Error(`Reward GrowCoins must be between 1 and ${REWARD_LIMITS.MAX_AMOUNT}`);
+      }
+      if (existing.length > 0) {
+        throw new Error(`Reward already exists: level ${level} already grants GrowCoins; remove it first`);
+      }
+      data.amount = reward.amount;
+    } else {
+      const item = await EconomyItem.findOne({
+        where: { name: { [Op.iLike]: reward.item_name }, is_active: true }
+      });
+      if (!item) {
+        throw new Error(`Reward item not found: ${reward.item_name}`);
+      }
+      if (!Number.isInteger(quantity) || quantity < 1 || quantity > REWARD_LIMITS.MAX_QUANTITY) {
+        throw new Error(`Reward quantity must be between 1 and ${REWARD_LIMITS.MAX_QUANTITY}`);
+      }
+      if (existing.some(other => other.item_id === item.id)) {
+        throw new Error(`Reward already exists: ${item.name} at level ${level}`);
+      }
+      data.item_id = item.id;
+      data.quantity = item.stackable ? quantity : 1;
+    }
+
+    const created = await LevelReward.create(data);
+    await this.scheduleSync(guild.id, createdBy);
+    return created;
+  }
+
+  /**
+   * Remove rewards at a level; what members already received is kept
+   * @param {Guild} guild - Discord guild
+   * @param {number} level - Level
+   * @param {string|null} rewardType - Only remove this kind of reward
+   * @param {string} removedBy - Discord ID of the staff member
+   * @returns {Promise<LevelReward[]>} - Removed rewards
+   */
+  async removeRewards(guild, level, rewardType, removedBy) {
+    const rewards = await LevelReward.findAtLevel(guild.id, level, rewardType);
+    for (const reward of rewards) {
+      await reward.destroy();
+    }
+
+    // In replace mode, lower role rewards take over from a removed one
+    if (rewards.length > 0) {
+      await this.scheduleSync(guild.id, removedBy);
+    }
+    return rewards;
+  }
+
+  /**
+   * Check that the bot can grant a role as a reward
+   * @param {Guild} guild - Discord guild
+   * @param {Role} role - Reward role
+   * @returns {void}
+   */
+  validateRole(guild, role) {
+    if (!role || role.id === guild.id || role.managed) {
+      throw new Error('Reward role must be a regular role (not @everyone or managed by an integration)');
+    }
+    const botRole = guild.members.me?.roles.highest;
+    if (botRole && role.position >= botRole.position) {
+      throw new Error(`Reward role ${role.name} must be below the bot's highest role`);
+    }
+  }
+
+  /**
+   * Queue a retroactive sync of the guild's reward table
+   * @param {string} guildId - Discord guild ID
+   * @param {string} requestedBy - Discord ID of the staff member
+   * @returns {Promise<ScheduledJob>} - Scheduled sync job
+   */
+  async scheduleSync(guildId, requestedBy = 'system') {
+    return await jobScheduler.schedule(JOB_TYPES.LEVEL_REWARD_SYNC, { guildId }, {
+      delayMs: REWARD_LIMITS.SYNC_DELAY_MS,
+      guildId,
+      uniqueKey: `level-rewards:${guildId}`,
+      createdBy: requestedBy
+    });
+  }
+
+  /**
+   * Grant rewards to a member who just levelled up
+   * @param {GuildMember} member - Discord guild member
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Member's user record (with the new level)
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<Object>} - Sync result
+   */
+  async grantLevelRewards(member, guild, user, config) {
+    const rewards = await LevelReward.findForGuild(guild.id);
+    if (rewards.length === 0 || !this.isEligible(user, config)) {
+      return { granted: [], replaced: [] };
+    }
+    return await this.syncMember(member, guild, user, rewards, config);
+  }
+
+  /**
+   * Apply the reward table to every member who has reached a reward level (sync job)
+   * @param {Guild} guild - Discord guild
+   * @returns {Promise<Object>} - Sync summary
+   */
+  async syncGuild(guild) {
+    const summary = { checked: 0, granted: 0, replaced: 0, failed: 0 };
+
+    const rewards = await LevelReward.findForGuild(guild.id);
+    const config = await LevelingConfig.findByGuildId(guild.id);
+    if (rewards.length === 0 || !config.isLevelingEnabled()) {
+      return summary;
+    }
+
+    const users = await User.findAll({
+      where: {
+        guild_id: guild.id,
+        is_active: true,
+        current_level: { [Op.gte]: rewards[0].level }
+      }
+    });
+
+    for (const user of users) {
+      if (!this.isEligible(user, config)) continue;
+
+      try {
+        const member = await guild.members.fetch(user.discord_id).catch(() => null);
+        if (!member) continue;
+
+        const result = await this.syncMember(member, guild, user, rewards, config);
+        summary.checked++;
+        summary.granted += result.granted.length;
+        summary.replaced += result.replaced.length;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[LevelRewards] Failed to sync rewards for ${user.discord_id} in ${guild.id}:`, error.message);
+      }
+    }
+
+    console.log(`[LevelRewards] Synced ${guild.name}: ${summary.granted} granted, ${summary.replaced} replaced across ${summary.checked} member(s)`);
+    return summary;
+  }
+
+  /**
+   * Grant everything a member has earned and not yet received
+   * @param {GuildMember} member - Discord guild member
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Member's user record
+   * @param {LevelReward[]} rewards - Guild reward table, lowest level first
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<Object>} - { granted, replaced } rewards
+   */
+  async syncMember(member, guild, user, rewards, config) {
+    const earned = rewards.filter(reward => reward.level <= user.current_level);
+    const grants = await LevelRewardGrant.findForMember(guild.id, user.discord_id);
+    const { keep, replace } = this.planRoles(earned, config.reward_role_mode);
+    const result = { granted: [], replaced: [] };
+
+    // Roles: add kept roles not currently held, take back replaced ones, in one request each.
+    // Deleted roles are skipped without a grant so a recreated reward is still handed out
+    const toAdd = keep.filter(reward => {
+      const grant = grants.get(reward.id);
+      return (!grant || grant.replaced_at) && guild.roles.cache.has(reward.role_id);
+    });
+    const toRemove = replace.filter(reward => {
+      const grant = grants.get(reward.id);
+      return grant && !grant.replaced_at;
+    });
+
+    const addRoleIds = toAdd.map(reward => reward.role_id);
+    const keptRoleIds = new Set(keep.map(reward => reward.role_id));
+    const removeRoleIds = toRemove
+      .map(reward => reward.role_id)
+      .filter(roleId => !keptRoleIds.has(roleId) && member.roles.cache.has(roleId));
+
+    if (addRoleIds.length > 0) {
+      await automaticRoleProgressionService.waitForRoleUpdateSlot();
+      await member.roles.add(addRoleIds, `Level ${user.current_level} reward`);
+    }
+    if (removeRoleIds.length > 0) {
+      await automaticRoleProgressionService.waitForRoleUpdateSlot();
+      await member.roles.remove(removeRoleIds, `Replaced by a level ${user.current_level} reward`);
+    }
+
+    for (const reward of toAdd) {
+      const grant = grants.get(reward.id);
+      if (grant) {
+        await grant.update({ replaced_at: null, level: user.current_level });
+      } else {
+        await this.recordGrant(guild.id, user, reward);
+      }
+      result.granted.push(reward);
+    }
+    for (const reward of toRemove) {
+      await grants.get(reward.id).update({ replaced_at: new Date() });
+      result.replaced.push(reward);
+    }
+
+    // GrowCoins and items are paid once; the grant row is claimed first so retries cannot double-pay
+    for (const reward of earned) {
+      if (reward.reward_type === REWARD_TYPES.ROLE || grants.has(reward.id)) continue;
+
+      const grant = await this.recordGrant(guild.id, user, reward);
+      if (!grant) continue;
+
+      try {
+        await this.payReward(guild, user, reward);
+        result.granted.push(reward);
+      } catch (error) {
+        await grant.destroy();
+        console.error(`[LevelRewards] Failed to grant level ${reward.level} ${reward.reward_type} reward to ${user.discord_id}:`, error.message);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Split earned role rewards into those the member should hold and those replaced
+   * @param {LevelReward[]} earned - Rewards at or below the member's level
+   * @param {string} mode - 'stack' or 'replace'
+   * @returns {Object} - { keep, replace } role rewards
+   */
+  planRoles(earned, mode) {
+    const roleRewards = earned.filter(reward => reward.reward_type === REWARD_TYPES.ROLE);
+    if (mode !== 'replace' || roleRewards.length === 0) {
+      return { keep: roleRewards, replace: [] };
+    }
+
+    const topLevel = Math.max(...roleRewards.map(reward => reward.level));
+    return {
+      keep: roleRewards.filter(reward => reward.level === topLevel),
+      replace: roleRewards.filter(reward => reward.level < topLevel)
+    };
+  }
+
+  /**
+   * Pay out a GrowCoins or item reward
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Member's user record
+   * @param {LevelReward} reward - Currency or item reward
+   * @returns {Promise<void>}
+   */
+  async payReward(guild, user, reward) {
+    if (reward.reward_type === REWARD_TYPES.CURRENCY) {
+      await economyService.processTransaction({
+        userId: user.discord_id,
+        guildId: guild.id,
+        type: 'level_bonus',
+        amount: reward.amount,
+        description: `Level ${reward.level} reward`,
+        metadata: { level_reward_id: reward.id }
+      });
+      return;
+    }
+
+    try {
+      const { UserInventory } = require('../database/models/UserInventory');
+      await UserInventory.getOrCreateInventoryItem(user.discord_id, guild.id, reward.item_id, reward.quantity);
+    } catch (error) {
+      // Members who already own a non-stackable item keep the one they have
+      if (!error.message.includes('non-stackable')) throw error;
+    }
+  }
+
+  /**
+   * Record that a member received a reward
+   * @param {string} guildId - Discord guild ID
+   * @param {User} user - Member's user record
+   * @param {LevelReward} reward - Granted reward
+   * @returns {Promise<LevelRewardGrant|null>} - Grant, or null if another sync already recorded it
+   */
+  async recordGrant(guildId, user, reward) {
+    try {
+      return await LevelRewardGrant.create({
+        guild_id: guildId,
+        user_id: user.discord_id,
+        reward_id: reward.id,
+        level: user.current_level
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) return null;
+      throw error;
+    }
+  }
+
+  /**
+   * Check whether a member can receive level rewards
+   * @param {User} user - Member's user record
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {boolean} - True when rewards may be granted
+   */
+  isEligible(user, config) {
+    return !config.require_age_verification || (user.verification_status === 'verified' && user.is_21_plus);
+  }
+}
+
+const levelRewardService = new LevelRewardService();
+
+// Retroactive syncs run on the persistent scheduler so a restart does not drop them
+jobScheduler.registerHandler(JOB_TYPES.LEVEL_REWARD_SYNC, async (payload, { client }) => {
+  const guild = client.guilds.cache.get(payload.guildId);
+  if (!guild) {
+    return { skipped: true, reason: 'guild_unavailable' };
+  }
+
+  automaticRoleProgressionService.watchRateLimits(client);
+  return await levelRewardService.syncGuild(guild);
+});
+
+module.exports = {
+  LevelRewardService,
+  levelRewardService,
+  REWARD_LIMITS
+};
@@ -0,0 +1,300 @@
+/**
+ * Link Scanner Service for GrowmiesNJ Discord Bot
+ *
+ * Scans member messages for phishing, fake Nitro and token-grabber links
+ * Domains are checked against per-guild lists, the global blocklist file and lookalike heuristics
+ * Shortened links are expanded through a pluggable redirect resolver before they are judged
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const http = require('http');
+const https = require('https');
+const { autoModerationService } = require('./autoModeration');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { LinkScanner } = require('../utils/linkScanner');
+
+/**
+ * Scanner limits
+ */
+const LINK_SCANNER_CONFIG = {
+  BLOCKLIST_PATH: process.env.LINK_BLOCKLIST_PATH || path.join(__dirname, '../../config/link-blocklist.json'),
+  RELOAD_CHECK_MS: 60 * 1000,   // How often the blocklist file is checked for changes
+  MAX_URLS_PER_MESSAGE: 10,
+  MAX_REDIRECT_HOPS: 5,
+  REDIRECT_TIMEOUT_MS: 5000,
+  REDIRECT_CACHE_MS: 60 * 60 * 1000,
+  REDIRECT_CACHE_SIZE: 500
+};
+
+/**
+ * Human-readable descriptions of why a link matched
+ */
+const LINK_MATCH_LABELS = {
+  'guild_blocklist': 'Blocked by this server',
+  'blocklist': 'Known scam domain',
+  'lookalike': 'Lookalike domain'
+};
+
+/**
+ * Follow HTTP redirects with HEAD requests, without downloading page content
+ * @param {string} url - Absolute URL to expand
+ * @returns {Promise<string[]>} - Redirect targets in order (empty if the URL does not redirect)
+ */
+async function followRedirects(url) {
+  const hops = [];
+  let current = url;
+
+  for (let i = 0; i < LINK_SCANNER_CONFIG.MAX_REDIRECT_HOPS; i++) {
+    const location = await new Promise((resolve) => {
+      const client = current.startsWith('http://') ? http : https;
+      const request = client.request(current, {
+        method: 'HEAD',
+        timeout: LINK_SCANNER_CONFIG.REDIRECT_TIMEOUT_MS,
+        headers: { 'User-Agent': 'GrowmiesNJ-LinkScanner/1.0' }
+      }, (response) => {
+        response.resume();
+        resolve(response.statusCode >= 300 && response.statusCode < 400 ? response.headers.location : null);
+      });
+      request.on('timeout', () => request.destroy());
+      request.on('error', () => resolve(null));
+      request.end();
+    });
+
+    if (!location) break;
+
+    try {
+      current = new URL(location, current).toString();
+    } catch {
+      break;
+    }
+    hops.push(current);
+  }
+
+  return hops;
+}
+
+/**
+ * Link Scanner Service Class
+ * Runs from the messageCreate event after the sales filter
+ */
+class LinkScannerService {
+  constructor() {
+    this.resolver = followRedirects;
+    this.lists = { blocked: [], allowed: [], shorteners: [] };
+    this.listsLoadedAt = 0;
+    this.listsModifiedAt = 0;
+    this.redirectCache = new Map(); // url -> { hops, expiresAt }
+  }
+
+  /**
+   * Replace the redirect resolver (e.g. with an offline stub in tests)
+   * @param {Function} resolver - Async function taking a URL and returning its redirect targets
+   */
+  setResolver(resolver) {
+    this.resolver = resolver || followRedirects;
+    this.redirectCache.clear();
+  }
+
+  /**
+   * Load the global blocklist file, reloading it when it changes on disk
+   * @param {boolean} force - Reload even if the file was checked recently
+   * @returns {Promise<Object>} - Global lists ({ blocked, allowed, shorteners })
+   */
+  async getGlobalLists(force = false) {
+    const now = Date.now();
+    if (!force && now - this.listsLoadedAt < LINK_SCANNER_CONFIG.RELOAD_CHECK_MS) {
+      return this.lists;
+    }
+    this.listsLoadedAt = now;
+
+    try {
+      const stats = await fs.stat(LINK_SCANNER_CONFIG.BLOCKLIST_PATH);
+      if (!force && stats.mtimeMs === this.listsModifiedAt) {
+        return this.lists;
+      }
+
+      const data = JSON.parse(await fs.readFile(LINK_SCANNER_CONFIG.BLOCKLIST_PATH, 'utf8'));
+      const normalize = (entries) => (entries || []).map(entry => LinkScanner.normalizeDomain(entry)).filter(Boolean);
+      this.lists = {
+        blocked: normalize(data.blocked_domains),
+        allowed: normalize(data.allowed_domains),
+        shorteners: normalize(data.shortener_domains)
+      };
+      this.listsModifiedAt = stats.mtimeMs;
+
+      console.log(`🔗 Link blocklist loaded: ${this.lists.blocked.length} blocked, ${this.lists.allowed.length} allowed, ${this.lists.shorteners.length} shorteners`);
+    } catch (error) {
+      // Keep the last good lists so a bad edit does not switch scanning off
+      console.error('[LinkScanner] Failed to load link blocklist:', error.message);
+    }
+
+    return this.lists;
+  }
+
+  /**
+   * Scan a guild message and apply the configured action on a match
+   * @param {Message} message - Discord message
+   * @returns {Promise<boolean>} - True if the message was actioned and should not be processed further
+   */
+  async handleMessage(message) {
+    try {
+      if (!message.content) {
+        return false;
+      }
+
+      const urls = LinkScanner.extractUrls(message.content, LINK_SCANNER_CONFIG.MAX_URLS_PER_MESSAGE);
+      if (urls.length === 0) {
+        return false;
+      }
+
+      const settings = await GuildSettings.findByGuildId(message.guild.id);
+      const config = settings.getAutoModConfig('links');
+      if (!config.enabled || autoModerationService.isExempt(message, config)) {
+        return false;
+      }
+
+      const findings = await this.scanUrls(urls, config);
+      if (findings.length === 0) {
+        return false;
+      }
+
+      console.log(`🔗 Malicious link detected from ${message.author.tag} in #${message.channel.name} (${findings.map(f => f.host).join(', ')})`);
+
+      await this.applyAction(message, config, findings, settings);
+      return config.action !== 'flag';
+
+    } catch (error) {
+      console.error('[LinkScanner] Error scanning message:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Classify URLs, expanding shortened links through the redirect resolver
+   * @param {string[]} urls - URLs found in the message
+   * @param {Object} config - Link filter configuration
+   * @returns {Promise<Object[]>} - Malicious findings ({ url, host, reason, detail, via })
+   */
+  async scanUrls(urls, config) {
+    const globalLists = await this.getGlobalLists();
+    const lists = {
+      guildAllowed: config.allowed_domains,
+      guildBlocked: config.blocked_domains,
+      allowed: globalLists.allowed,
+      blocked: globalLists.blocked
+    };
+
+    const findings = [];
+    for (const url of urls) {
+      const verdict = LinkScanner.classify(url, lists);
+      if (verdict.malicious) {
+        findings.push({ url, ...verdict, via: null });
+        continue;
+      }
+
+      // Only shorteners are expanded, so ordinary links never trigger outbound requests
+      if (!config.follow_redirects || verdict.reason !== 'unlisted' ||
+          !verdict.host || !LinkScanner.matchDomain(verdict.host, globalLists.shorteners)) {
+        continue;
+      }
+
+      for (const hop of await this.resolveRedirects(url)) {
+        const hopVerdict = LinkScanner.classify(hop, lists);
+        if (hopVerdict.malicious) {
+          findings.push({ url: hop, ...hopVerdict, via: url });
+          break;
+        }
+      }
+    }
+
+    return findings;
+  }
+
+  /**
+   * Expand a URL through the resolver, caching results
+   * Resolver failures are treated as "no redirect" so an outage never blocks messages
+   * @param {string} url - URL to expand
+   * @returns {Promise<string[]>} - Redirect targets
+   */
+  async resolveRedirects(url) {
+    const cached = this.redirectCache.get(url);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.hops;
+    }
+
+    let hops = [];
+    try {
+      hops = (await this.resolver(url)) || [];
+    } catch (error) {
+      console.warn(`[LinkScanner] Failed to resolve redirects for ${url}:`, error.message);
+    }
+
+    if (this.redirectCache.size >= LINK_SCANNER_CONFIG.REDIRECT_CACHE_SIZE) {
+      this.redirectCache.delete(this.redirectCache.keys().next().value);
+    }
+    this.redirectCache.set(url, { hops, expiresAt: Date.now() + LINK_SCANNER_CONFIG.REDIRECT_CACHE_MS });
+
+    return hops;
+  }
+
+  /**
+   * Apply the configured action to a malicious link match
+   * @param {Message} message - Offending message
+   * @param {Object} config - Link filter configuration
+   * @param {Object[]} findings - Malicious findings
+   * @param {GuildSettings} settings - Guild settings
+   * @returns {Promise<Object>} - Action result ({ action, case, deleted })
+   */
+  async applyAction(message, config, findings, settings) {
+    return await autoModerationService.enforce(message, config, settings, {
+      filter: 'links',
+      reason: `AutoMod: malicious link detected in #${message.channel.name}`,
+      evidence: findings.map(finding => finding.url),
+      notes: `Matched links: ${findings.map(finding => this.describeFinding(finding)).join('; ')}`,
+      metadata: {
+        findings: findings.map(({ url, host, reason, detail, via }) => ({ url, host, reason, detail, via }))
+      },
+      report: {
+        flaggedTitle: '🚩 Suspicious Link Flagged for Review',
+        removedTitle: '🔗 Malicious Link Removed',
+        footer: 'AutoMod Link Scanner',
+        fields: [{
+          name: '🔗 Matched Links',
+          value: findings.map(finding => `• \`${this.describeFinding(finding)}\``).join('\n').slice(0, 1024),
+          inline: false
+        }]
+      },
+      notice: {
+        title: '🔗 Message Removed - GrowmiesNJ',
+        description: 'contained a link to a known scam or phishing site.',
+        fields: [{
+          name: '🔐 Didn\'t send this?',
+          value: 'Your account may be compromised. Change your Discord password, enable two-factor authentication and remove any unfamiliar authorized apps.',
+          inline: false
+        }]
+      }
+    });
+  }
+
+  /**
+   * Describe a finding for case notes and reports
+   * @param {Object} finding - Malicious finding
+   * @returns {string} - Description
+   */
+  describeFinding(finding) {
+    const label = LINK_MATCH_LABELS[finding.reason] || finding.reason;
+    const detail = finding.reason === 'lookalike' ? ` (${finding.detail.replace(/_/g, ' ')})` : '';
+    const via = finding.via ? ` via ${LinkScanner.getHostname(finding.via)}` : '';
+    return `${finding.host} — ${label}${detail}${via}`;
+  }
+}
+
+const linkScannerService = new LinkScannerService();
+
+module.exports = {
+  LinkScannerService,
+  linkScannerService,
+  LINK_SCANNER_CONFIG,
+  followRedirects
+};
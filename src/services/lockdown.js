@@ -0,0 +1,523 @@
+/**
+ * Lockdown Service for GrowmiesNJ Discord Bot
+ *
+ * Emergency lockdowns from inside the bot (replaces the offline emergency-rollback script steps):
+ * locks every channel or the 21+ channels, pauses age verification and new joins, and announces it
+ * Every overwrite is snapshotted before it is changed so ending a lockdown restores the exact prior state
+ */
+
+const { ChannelType, OverwriteType, PermissionFlagsBits, PermissionsBitField } = require('discord.js');
+const { Lockdown, LOCKDOWN_SCOPES } = require('../database/models/Lockdown');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { AuditLog } = require('../database/models/AuditLog');
+const { ageGateService } = require('./ageGate');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Labels and member-facing descriptions for each scope
+ */
+const SCOPE_DETAILS = {
+  all_channels: { emoji: '🔒', name: 'All Channels', description: 'Members cannot send messages, react, create threads or speak' },
+  age_gated: { emoji: '🔞', name: '21+ Channels', description: '21+ channels are hidden until the lockdown ends' },
+  verification: { emoji: '🛂', name: 'Verification', description: 'Age verification is paused' },
+  new_joins: { emoji: '🚪', name: 'New Joins', description: 'Invites are paused and new members cannot join' }
+};
+
+/**
+ * Permissions denied in every channel during an all_channels lockdown
+ */
+const CHANNEL_LOCK_PERMISSIONS = [
+  'SendMessages',
+  'SendMessagesInThreads',
+  'CreatePublicThreads',
+  'CreatePrivateThreads',
+  'AddReactions',
+  'Connect',
+  'Speak'
+];
+
+/**
+ * Permissions denied in 21+ channels during an age_gated lockdown
+ */
+const AGE_GATED_LOCK_PERMISSIONS = ['ViewChannel'];
+
+const LOCKABLE_CHANNEL_TYPES = [
+  ChannelType.GuildText,
+  ChannelType.GuildVoice,
+  ChannelType.GuildAnnouncement,
+  ChannelType.GuildForum,
+  ChannelType.GuildStageVoice
+];
+
+/**
+ * Lockdown Service Class
+ * Lockdowns are persisted on the Lockdown model; active ones are cached per guild
+ */
+class LockdownService {
+  constructor() {
+    this.activeLockdowns = new Map(); // guildId -> Lockdown|null
+  }
+
+  /**
+   * Get the active lockdown for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Lockdown|null>} - Active lockdown
+   */
+  async getActive(guildId) {
+    if (!this.activeLockdowns.has(guildId)) {
+      this.activeLockdowns.set(guildId, await Lockdown.findActive(guildId));
+    }
+    return this.activeLockdowns.get(guildId);
+  }
+
+  /**
+   * Check whether a scope is locked down in a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {string} scope - Lockdown scope
+   * @returns {Promise<boolean>} - True while the scope is locked
+   */
+  async isScopeActive(guildId, scope) {
+    const lockdown = await this.getActive(guildId);
+    return Boolean(lockdown && lockdown.hasScope(scope));
+  }
+
+  /**
+   * Start a lockdown, or add a scope to the active one
+   * @param {Guild} guild - Discord guild
+   * @param {Object} options - Options
+   * @param {string} options.scope - Scope to lock
+   * @param {string} options.actorId - Discord ID of the staff member
+   * @param {string} [options.reason] - Why the lockdown was started
+   * @param {TextChannel} [options.announcementChannel] - Where to announce it (defaults to the system channel)
+   * @returns {Promise<Object>} - { lockdown, changed, failed }
+   */
+  async start(guild, { scope, actorId, reason = null, announcementChannel = null }) {
+    if (!LOCKDOWN_SCOPES.includes(scope)) {
+      throw new Error(`Lockdown scope must be one of: ${LOCKDOWN_SCOPES.join(', ')}`);
+    }
+
+    let lockdown = await this.getActive(guild.id);
+    if (lockdown?.hasScope(scope)) {
+      throw new Error(`Lockdown already covers ${SCOPE_DETAILS[scope].name}`);
+    }
+
+    // Collect the channels first so a misconfigured scope fails before anything changes
+    const plan = await this.planScope(guild, scope);
+
+    if (lockdown) {
+      lockdown.scopes = [...lockdown.scopes, scope];
+      lockdown.changed('scopes', true);
+      if (reason) lockdown.reason = lockdown.reason ? `${lockdown.reason}; ${reason}` : reason;
+      await lockdown.save();
+    } else {
+      lockdown = await Lockdown.create({
+        guild_id: guild.id,
+        scopes: [scope],
+        reason,
+        started_by: actorId,
+        snapshot: { overwrites: [], invites_disabled: null }
+      });
+    }
+    this.activeLockdowns.set(guild.id, lockdown);
+
+    // Announce before locking; the bot may lose send access in the announcement channel
+    await this.announce(guild, lockdown, {
+      channel: announcementChannel,
+      title: '🔒 Server Lockdown',
+      color: BRAND_COLORS.ERROR,
+      description: [
+        'Staff have put the server into lockdown.',
+        ...lockdown.scopes.map(lockedScope => `${SCOPE_DETAILS[lockedScope].emoji} **${SCOPE_DETAILS[lockedScope].name}:** ${SCOPE_DETAILS[lockedScope].description}`),
+        lockdown.reason ? `\n**Reason:** ${lockdown.reason}` : ''
+      ].join('\n')
+    });
+
+    const auditReason = `Lockdown (${scope})${reason ? `: ${reason}` : ''}`;
+    const result = { changed: 0, failed: [] };
+    for (const { channel, targets, permissions } of plan.channels) {
+      await this.lockChannel(channel, targets, permissions, lockdown, auditReason, result);
+    }
+    if (plan.disableInvites) {
+      await this.pauseInvites(guild, lockdown, result);
+    }
+
+    await AuditLog.logAdminAction(actorId, guild.id, 'lockdown_started', null, {
+      lockdown_id: lockdown.id,
+      scope,
+      scopes: lockdown.scopes,
+      reason,
+      overwrites_changed: result.changed,
+      failures: result.failed
+    });
+
+    console.log(`🔒 Lockdown (${scope}) started in ${guild.name}: ${result.changed} overwrites changed, ${result.failed.length} failed`);
+    return { lockdown, ...result };
+  }
+
+  /**
+   * Work out what a scope changes
+   * @param {Guild} guild - Discord guild
+   * @param {string} scope - Lockdown scope
+   * @returns {Promise<Object>} - { channels: [{ channel, targets, permissions }], disableInvites }
+   */
+  async planScope(guild, scope) {
+    if (scope === 'all_channels') {
+      const channels = guild.channels.cache.filter(channel => LOCKABLE_CHANNEL_TYPES.includes(channel.type));
+      return {
+        channels: [...channels.values()].map(channel => ({
+          channel,
+          targets: this.getLockTargets(channel, CHANNEL_LOCK_PERMISSIONS),
+          permissions: CHANNEL_LOCK_PERMISSIONS
+        }))
+      };
+    }
+
+    if (scope === 'age_gated') {
+      const settings = await GuildSettings.findByGuildId(guild.id);
+      const config = settings.getAgeGateConfig();
+      const verifiedRoleId = ageGateService.getVerifiedRoleId(settings);
+      const { channels } = ageGateService.resolveDeclaredChannels(guild, config);
+
+      if (channels.length === 0) {
+        throw new Error('Lockdown of 21+ channels needs declared channels: add them with /age-gate config or /age-gate seed');
+      }
+
+      return {
+        channels: channels.map(channel => ({
+          channel,
+          targets: this.getLockTargets(channel, AGE_GATED_LOCK_PERMISSIONS, verifiedRoleId ? [verifiedRoleId] : []),
+          permissions: AGE_GATED_LOCK_PERMISSIONS
+        }))
+      };
+    }
+
+    // Verification is paused where members verify; new joins also pause invites
+    return { channels: [], disableInvites: scope === 'new_joins' };
+  }
+
+  /**
+   * Overwrite targets that must be denied: @everyone, any extra roles, and every
+   * non-staff overwrite that currently allows one of the locked permissions
+   * @param {GuildChannel} channel - Discord channel
+   * @param {string[]} permissions - Permissions to deny
+   * @param {string[]} [extraRoleIds] - Roles to deny even without an overwrite
+   * @returns {Object[]} - Targets ({ id, type })
+   */
+  getLockTargets(channel, permissions, extraRoleIds = []) {
+    const guild = channel.guild;
+    const targets = new Map([[guild.roles.everyone.id, { id: guild.roles.everyone.id, type: OverwriteType.Role }]]);
+
+    for (const roleId of extraRoleIds) {
+      targets.set(roleId, { id: roleId, type: OverwriteType.Role });
+    }
+
+    for (const overwrite of channel.permissionOverwrites.cache.values()) {
+      if (targets.has(overwrite.id)) continue;
+      if (!permissions.some(permission => overwrite.allow.has(PermissionFlagsBits[permission]))) continue;
+      if (this.isStaffOverwrite(guild, overwrite)) continue;
+
+      targets.set(overwrite.id, { id: overwrite.id, type: overwrite.type });
+    }
+
+    return [...targets.values()];
+  }
+
+  /**
+   * Staff, bot roles and the bot itself keep access during a lockdown
+   * @param {Guild} guild - Discord guild
+   * @param {PermissionOverwrites} overwrite - Channel overwrite
+   * @returns {boolean} - True when the overwrite belongs to staff or a bot
+   */
+  isStaffOverwrite(guild, overwrite) {
+    if (overwrite.type === OverwriteType.Member) {
+      const member = guild.members.cache.get(overwrite.id);
+      return Boolean(member && (member.user.bot || member.permissions.has(PermissionFlagsBits.ModerateMembers)));
+    }
+
+    const role = guild.roles.cache.get(overwrite.id);
+    return Boolean(role && (role.managed ||
+      role.permissions.has(PermissionFlagsBits.Administrator) ||
+      role.permissions.has(PermissionFlagsBits.ModerateMembers)));
+  }
+
+  /**
+   * Snapshot and deny permissions on a channel
+   * Only the first snapshot of an overwrite is kept, so stacked scopes still restore the original state
+   * The snapshot is saved before the channel is edited, so a crash midway can still be restored
+   * @param {GuildChannel} channel - Discord channel
+   * @param {Object[]} targets - Overwrite targets ({ id, type })
+   * @param {string[]} permissions - Permissions to deny
+   * @param {Lockdown} lockdown - Active lockdown (snapshot is mutated and saved)
+   * @param {string} reason - Audit log reason
+   * @param {Object} result - Running totals ({ changed, failed }) (mutated)
+   * @returns {Promise<void>}
+   */
+  async lockChannel(channel, targets, permissions, lockdown, reason, result) {
+    const denied = Object.fromEntries(permissions.map(permission => [permission, false]));
+    const snapshot = lockdown.snapshot;
+    let snapshotted = false;
+
+    for (const target of targets) {
+      const existing = channel.permissionOverwrites.cache.get(target.id);
+      const alreadySnapshotted = snapshot.overwrites.some(entry => entry.channel_id === channel.id && entry.target_id === target.id);
+      if (alreadySnapshotted) continue;
+
+      snapshot.overwrites.push({
+        channel_id: channel.id,
+        target_id: target.id,
+        target_type: target.type,
+        existed: Boolean(existing),
+        allow: existing ? existing.allow.bitfield.toString() : '0',
+        deny: existing ? existing.deny.bitfield.toString() : '0'
+      });
+      snapshotted = true;
+    }
+
+    if (snapshotted) {
+      await this.saveSnapshot(lockdown);
+    }
+
+    for (const target of targets) {
+      try {
+        await channel.permissionOverwrites.edit(target.id, denied, { reason, type: target.type });
+        result.changed++;
+      } catch (error) {
+        console.error(`[Lockdown] Failed to lock #${channel.name} for ${target.id}:`, error.message);
+        result.failed.push({ channel_id: channel.id, target_id: target.id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Save the lockdown snapshot
+   * The JSONB column is mutated in place, so Sequelize has to be told it changed
+   * @param {Lockdown} lockdown - Active lockdown
+   * @returns {Promise<void>}
+   */
+  async saveSnapshot(lockdown) {
+    lockdown.changed('snapshot', true);
+    await lockdown.save();
+  }
+
+  /**
+   * Pause server invites, remembering whether they were already paused
+   * @param {Guild} guild - Discord guild
+   * @param {Lockdown} lockdown - Active lockdown (snapshot is mutated and saved)
+   * @param {Object} result - Running totals ({ changed, failed }) (mutated)
+   * @returns {Promise<void>}
+   */
+  async pauseInvites(guild, lockdown, result) {
+    const alreadyDisabled = guild.features.includes('INVITES_DISABLED');
+    if (lockdown.snapshot.invites_disabled === null) {
+      lockdown.snapshot.invites_disabled = alreadyDisabled;
+      await this.saveSnapshot(lockdown);
+    }
+    if (alreadyDisabled) return;
+
+    try {
+      await guild.disableInvites(true);
+    } catch (error) {
+      // New members are still removed on join when invites cannot be paused
+      console.error(`[Lockdown] Failed to pause invites in ${guild.id}:`, error.message);
+      result.failed.push({ target_id: 'invites', error: error.message });
+    }
+  }
+
+  /**
+   * End the active lockdown and restore every snapshotted overwrite
+   * @param {Guild} guild - Discord guild
+   * @param {Object} options - Options
+   * @param {string} options.actorId - Discord ID of the staff member
+   * @param {string} [options.reason] - Why the lockdown was ended
+   * @returns {Promise<Object>} - { lockdown, restored, failed }
+   */
+  async end(guild, { actorId, reason = null }) {
+    const lockdown = await this.getActive(guild.id);
+    if (!lockdown) {
+      throw new Error('Lockdown is not active in this server');
+    }
+
+    const auditReason = `Lockdown ended${reason ? `: ${reason}` : ''}`;
+    const snapshot = lockdown.snapshot;
+    const failed = [];
+    let restored = 0;
+
+    for (const entry of snapshot.overwrites) {
+      try {
+        await this.restoreOverwrite(guild, entry, auditReason);
+        restored++;
+      } catch (error) {
+        console.error(`[Lockdown] Failed to restore ${entry.target_id} in ${entry.channel_id}:`, error.message);
+        failed.push({ channel_id: entry.channel_id, target_id: entry.target_id, error: error.message });
+      }
+    }
+
+    if (snapshot.invites_disabled === false) {
+      try {
+        await guild.disableInvites(false);
+      } catch (error) {
+        console.error(`[Lockdown] Failed to resume invites in ${guild.id}:`, error.message);
+        failed.push({ target_id: 'invites', error: error.message });
+      }
+    }
+
+    await lockdown.update({
+      status: 'ended',
+      ended_by: actorId,
+      ended_at: new Date(),
+      restore_errors: failed
+    });
+    this.activeLockdowns.set(guild.id, null);
+
+    await AuditLog.logAdminAction(actorId, guild.id, 'lockdown_ended', null, {
+      lockdown_id: lockdown.id,
+      scopes: lockdown.scopes,
+      reason,
+      duration_minutes: Math.round((lockdown.ended_at - new Date(lockdown.started_at)) / 60000),
+      overwrites_restored: restored,
+      failures: failed
+    });
+
+    await this.announce(guild, lockdown, {
+      channel: null,
+      title: '🔓 Lockdown Lifted',
+      color: BRAND_COLORS.SUCCESS,
+      description: `The server is back to normal. Thanks for your patience!${reason ? `\n\n**Note:** ${reason}` : ''}`
+    });
+
+    console.log(`🔓 Lockdown ended in ${guild.name}: ${restored} overwrites restored, ${failed.length} failed`);
+    return { lockdown, restored, failed };
+  }
+
+  /**
+   * Put an overwrite back exactly as it was, or remove it if the lockdown created it
+   * @param {Guild} guild - Discord guild
+   * @param {Object} entry - Snapshot entry
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<void>}
+   */
+  async restoreOverwrite(guild, entry, reason) {
+    const channel = guild.channels.cache.get(entry.channel_id);
+    if (!channel) {
+      throw new Error('Channel no longer exists');
+    }
+
+    if (!entry.existed) {
+      if (channel.permissionOverwrites.cache.has(entry.target_id)) {
+        await channel.permissionOverwrites.delete(entry.target_id, reason);
+      }
+      return;
+    }
+
+    await channel.permissionOverwrites.create(
+      entry.target_id,
+      this.toOverwriteOptions(entry.allow, entry.deny),
+      { reason, type: entry.target_type }
+    );
+  }
+
+  /**
+   * Convert stored allow/deny bitfields into overwrite options
+   * @param {string} allow - Allowed permissions bitfield
+   * @param {string} deny - Denied permissions bitfield
+   * @returns {Object} - Overwrite options ({ PermissionName: true|false })
+   */
+  toOverwriteOptions(allow, deny) {
+    const allowed = new PermissionsBitField(BigInt(allow));
+    const denied = new PermissionsBitField(BigInt(deny));
+    const options = {};
+
+    for (const [name, bit] of Object.entries(PermissionFlagsBits)) {
+      if (allowed.has(bit, false)) options[name] = true;
+      else if (denied.has(bit, false)) options[name] = false;
+    }
+
+    return options;
+  }
+
+  /**
+   * Post a lockdown announcement
+   * @param {Guild} guild - Discord guild
+   * @param {Lockdown} lockdown - Lockdown record
+   * @param {Object} announcement - { channel, title, color, description }
+   * @returns {Promise<void>}
+   */
+  async announce(guild, lockdown, { channel, title, color, description }) {
+    try {
+      const target = channel ||
+        (lockdown.announcement_channel_id && await guild.channels.fetch(lockdown.announcement_channel_id).catch(() => null)) ||
+        guild.systemChannel;
+      if (!target || !target.isTextBased()) return;
+
+      const message = await target.send({
+        embeds: [{
+          color,
+          title,
+          description,
+          footer: {
+            text: 'Growmies NJ Cannabis Community • Staff Announcement'
+          },
+          timestamp: new Date().toISOString()
+        }]
+      });
+
+      if (!lockdown.announcement_message_id) {
+        await lockdown.update({ announcement_channel_id: target.id, announcement_message_id: message.id });
+      }
+    } catch (error) {
+      console.warn(`[Lockdown] Failed to post announcement in ${guild.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove members who join while new joins are locked down
+   * @param {GuildMember} member - Joining member
+   * @returns {Promise<boolean>} - True when the member was removed
+   */
+  async handleMemberJoin(member) {
+    if (member.user.bot || !(await this.isScopeActive(member.guild.id, 'new_joins'))) {
+      return false;
+    }
+
+    await member.send({
+      content: `🔒 **${member.guild.name} is temporarily closed to new members.**\n\nStaff have paused new joins during a lockdown. Please try joining again later.`
+    }).catch(() => null);
+
+    try {
+      await member.kick('Lockdown: new joins are paused');
+    } catch (error) {
+      console.error(`[Lockdown] Failed to remove ${member.user.tag} during lockdown:`, error.message);
+      return false;
+    }
+
+    await AuditLog.logAdminAction(member.client.user.id, member.guild.id, 'lockdown_join_blocked', member.user.id, {
+      lockdown_id: (await this.getActive(member.guild.id)).id
+    });
+
+    console.log(`🔒 Removed ${member.user.tag} from ${member.guild.name}: new joins are locked down`);
+    return true;
+  }
+
+  /**
+   * Load active lockdowns after a restart
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async restoreState(client) {
+    const lockdowns = await Lockdown.findAllActive();
+
+    for (const lockdown of lockdowns) {
+      this.activeLockdowns.set(lockdown.guild_id, lockdown);
+      const guild = client.guilds.cache.get(lockdown.guild_id);
+      console.log(`🔒 Lockdown still active in ${guild ? guild.name : lockdown.guild_id} (${lockdown.scopes.join(', ')}) since ${new Date(lockdown.started_at).toISOString()}`);
+    }
+  }
+}
+
+const lockdownService = new LockdownService();
+
+module.exports = {
+  LockdownService,
+  lockdownService,
+  SCOPE_DETAILS
+};
@@ -0,0 +1,375 @@
+/**
+ * Message Log Service for GrowmiesNJ Discord Bot
+ *
+ * Captures edited and deleted messages into the evidence store and posts them to the
+ * guild's message log channel so removed rule-breaking content can be attached to cases
+ * Snapshots from the age verification channel are stored as sensitive and never posted
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { MessageEvidence } = require('../database/models/MessageEvidence');
+const { BRAND_COLORS } = require('../utils/embeds');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+
+/**
+ * Message log tuning
+ */
+const MESSAGE_LOG_CONFIG = {
+  PRUNE_CRON: '30 4 * * *',     // 04:30 UTC daily, after scheduler maintenance
+  MAX_FIELD_LENGTH: 1000,
+  MAX_EVIDENCE_IDS: 10,
+  BULK_AUTHOR_SUMMARY_LIMIT: 10
+};
+
+const REQUIRED_PERMISSIONS = [
+  PermissionsBitField.Flags.ViewChannel,
+  PermissionsBitField.Flags.SendMessages,
+  PermissionsBitField.Flags.EmbedLinks
+];
+
+/**
+ * Message Log Service Class
+ * Runs from the messageUpdate, messageDelete and messageDeleteBulk events
+ */
+class MessageLogService {
+  /**
+   * Capture an edited message
+   * @param {Message} oldMessage - Message before the edit
+   * @param {Message} newMessage - Message after the edit
+   * @returns {Promise<MessageEvidence|null>} - Stored snapshot, or null if not logged
+   */
+  async handleUpdate(oldMessage, newMessage) {
+    try {
+      // Edits to messages sent before the last restart have no known "before" content
+      if (oldMessage.partial) return null;
+
+      // Embed unfurls also fire updates; only content and attachment changes are edits
+      if (oldMessage.content === newMessage.content &&
+          oldMessage.attachments.size === newMessage.attachments.size) {
+        return null;
+      }
+
+      const context = await this.getLoggingContext(newMessage, 'log_edits');
+      if (!context) return null;
+
+      const snapshot = await MessageEvidence.recordSnapshot({
+        ...this.buildSnapshot(newMessage, 'edit', context.isSensitive),
+        content_before: oldMessage.content || null,
+        content_after: newMessage.content || null,
+        attachments: this.describeAttachments(oldMessage)
+      }, context.config.retention_days);
+
+      await this.postEntry(newMessage.guild, context.config, this.buildEntryEmbed(snapshot, newMessage.url));
+      return snapshot;
+
+    } catch (error) {
+      console.error(`[MessageLog] Error logging edit of message ${newMessage.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Capture a deleted message
+   * @param {Message} message - Deleted message
+   * @returns {Promise<MessageEvidence|null>} - Stored snapshot, or null if not logged
+   */
+  async handleDelete(message) {
+    try {
+      const context = await this.getLoggingContext(message, 'log_deletes');
+      if (!context) return null;
+
+      const snapshot = await MessageEvidence.recordSnapshot({
+        ...this.buildSnapshot(message, 'delete', context.isSensitive),
+        content_before: message.content || null,
+        attachments: this.describeAttachments(message)
+      }, context.config.retention_days);
+
+      await this.postEntry(message.guild, context.config, this.buildEntryEmbed(snapshot));
+      return snapshot;
+
+    } catch (error) {
+      console.error(`[MessageLog] Error logging deletion of message ${message.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Capture a bulk deletion (e.g. /purge) as one snapshot per message and a single log entry
+   * @param {Collection<string, Message>} messages - Deleted messages
+   * @param {TextChannel} channel - Channel the messages were deleted from
+   * @returns {Promise<MessageEvidence[]>} - Stored snapshots
+   */
+  async handleBulkDelete(messages, channel) {
+    try {
+      const logged = [];
+      let config = null;
+
+      for (const message of messages.values()) {
+        const context = await this.getLoggingContext(message, 'log_deletes');
+        if (!context) continue;
+        config = context.config;
+
+        logged.push(await MessageEvidence.recordSnapshot({
+          ...this.buildSnapshot(message, 'bulk_delete', context.isSensitive),
+          content_before: message.content || null,
+          attachments: this.describeAttachments(message)
+        }, context.config.retention_days));
+      }
+
+      if (logged.length > 0) {
+        await this.postEntry(channel.guild, config, this.buildBulkEmbed(logged, channel, messages.size));
+      }
+      return logged;
+
+    } catch (error) {
+      console.error(`[MessageLog] Error logging bulk deletion in channel ${channel.id}:`, error.message);
+      return [];
+    }
+  }
+
+  /**
+   * Resolve message IDs typed by a moderator against the evidence store
+   * @param {string} guildId - Discord guild ID
+   * @param {string|null} input - Comma or space separated message IDs
+   * @returns {Promise<Object>} - { messageIds, snapshots, error } where error explains why IDs cannot be attached
+   */
+  async findEvidence(guildId, input) {
+    const messageIds = [...new Set((input || '').split(/[\s,]+/).filter(Boolean))];
+    if (messageIds.length === 0) {
+      return { messageIds: [], snapshots: [], error: null };
+    }
+    if (messageIds.length > MESSAGE_LOG_CONFIG.MAX_EVIDENCE_IDS) {
+      return { messageIds, snapshots: [], error: `A case can reference at most ${MESSAGE_LOG_CONFIG.MAX_EVIDENCE_IDS} logged messages.` };
+    }
+
+    const validIds = messageIds.filter(id => /^\d{17,20}$/.test(id));
+    const snapshots = validIds.length > 0 ? await MessageEvidence.findForMessages(guildId, validIds) : [];
+    const found = new Set(snapshots.map(snapshot => snapshot.message_id));
+    const missing = messageIds.filter(id => !found.has(id));
+
+    return {
+      messageIds,
+      snapshots,
+      error: missing.length > 0
+        ? `No logged edit or deletion was found for message ID(s): ${missing.join(', ')}. Only messages captured by the message log can be attached.`
+        : null
+    };
+  }
+
+  /**
+   * Load the guild's message log settings and decide whether a message should be captured
+   * @param {Message} message - Discord message
+   * @param {string} toggle - Config toggle for the event ('log_edits' or 'log_deletes')
+   * @returns {Promise<Object|null>} - { config, isSensitive }, or null to skip
+   */
+  async getLoggingContext(message, toggle) {
+    if (!message.guild || message.partial || !message.author || message.author.bot || message.system) {
+      return null;
+    }
+
+    const settings = await GuildSettings.findByGuildId(message.guild.id);
+    const config = settings.getMessageLogConfig();
+    if (!config.enabled || !config[toggle]) {
+      return null;
+    }
+
+    const channel = message.channel;
+    if (config.ignored_channel_ids.includes(channel.id) ||
+        (channel.parentId && config.ignored_channel_ids.includes(channel.parentId)) ||
+        channel.id === config.channel_id) {
+      return null;
+    }
+
+    return {
+      config,
+      isSensitive: Boolean(settings.verification_channel_id) && String(settings.verification_channel_id) === channel.id
+    };
+  }
+
+  /**
+   * Build the common snapshot attributes for a message
+   * @param {Message} message - Discord message
+   * @param {string} eventType - 'edit', 'delete' or 'bulk_delete'
+   * @param {boolean} isSensitive - Whether the snapshot is sensitive
+   * @returns {Object} - Snapshot attributes
+   */
+  buildSnapshot(message, eventType, isSensitive) {
+    return {
+      guild_id: message.guild.id,
+      channel_id: message.channel.id,
+      message_id: message.id,
+      author_id: message.author.id,
+      author_tag: message.author.tag,
+      event_type: eventType,
+      message_created_at: message.createdAt,
+      is_sensitive: isSensitive
+    };
+  }
+
+  /**
+   * Describe message attachments for storage (Discord CDN URLs expire, metadata does not)
+   * @param {Message} message - Discord message
+   * @returns {Object[]} - Attachment metadata
+   */
+  describeAttachments(message) {
+    return [...message.attachments.values()].map(attachment => ({
+      id: attachment.id,
+      name: attachment.name,
+      url: attachment.url,
+      content_type: attachment.contentType || null,
+      size: attachment.size
+    }));
+  }
+
+  /**
+   * Build the log channel embed for a single edit or deletion
+   * @param {MessageEvidence} snapshot - Stored snapshot
+   * @param {string} [jumpUrl] - Link to the edited message
+   * @returns {Object} - Embed data
+   */
+  buildEntryEmbed(snapshot, jumpUrl = null) {
+    const isEdit = snapshot.event_type === 'edit';
+    const fields = [
+      { name: '👤 Author', value: `<@${snapshot.author_id}> (${snapshot.author_tag})`, inline: true },
+      { name: '📍 Channel', value: jumpUrl ? `<#${snapshot.channel_id}> • [Jump to message](${jumpUrl})` : `<#${snapshot.channel_id}>`, inline: true },
+      { name: '🆔 Message ID', value: snapshot.message_id, inline: true }
+    ];
+
+    if (snapshot.is_sensitive) {
+      fields.push({
+        name: '🔒 Content Withheld',
+        value: 'Captured in the age verification channel. Content is kept in the evidence store only.',
+        inline: false
+      });
+    } else if (isEdit) {
+      fields.push(
+        { name: '📝 Before', value: this.truncate(snapshot.content_before), inline: false },
+        { name: '✏️ After', value: this.truncate(snapshot.content_after), inline: false }
+      );
+    } else {
+      fields.push({ name: '💬 Content', value: this.truncate(snapshot.content_before), inline: false });
+    }
+
+    if (!snapshot.is_sensitive && snapshot.attachments.length > 0) {
+      fields.push({
+        name: '📎 Attachments',
+        value: this.truncate(snapshot.attachments.map(attachment => `[${attachment.name}](${attachment.url})`).join('\n')),
+        inline: false
+      });
+    }
+
+    return {
+      color: isEdit ? BRAND_COLORS.INFO : BRAND_COLORS.WARNING,
+      title: isEdit ? '✏️ Message Edited' : '🗑️ Message Deleted',
+      fields,
+      footer: {
+        text: 'Growmies NJ Cannabis Community • Message Log'
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build the log channel embed summarising a bulk deletion
+   * @param {MessageEvidence[]} snapshots - Stored snapshots
+   * @param {TextChannel} channel - Channel the messages were deleted from
+   * @param {number} total - Total messages deleted, including skipped bot messages
+   * @returns {Object} - Embed data
+   */
+  buildBulkEmbed(snapshots, channel, total) {
+    const authorCounts = new Map();
+    for (const snapshot of snapshots) {
+      authorCounts.set(snapshot.author_id, (authorCounts.get(snapshot.author_id) || 0) + 1);
+    }
+
+    const authors = [...authorCounts.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, MESSAGE_LOG_CONFIG.BULK_AUTHOR_SUMMARY_LIMIT)
+      .map(([authorId, count]) => `<@${authorId}>: ${count}`);
+
+    return {
+      color: BRAND_COLORS.WARNING,
+      title: '🧹 Messages Bulk Deleted',
+      fields: [
+        { name: '📍 Channel', value: `<#${channel.id}>`, inline: true },
+        { name: '🗑️ Messages', value: `${total} deleted, ${snapshots.length} captured`, inline: true },
+        { name: '👥 Authors', value: this.truncate(authors.join('\n')), inline: false }
+      ],
+      footer: {
+        text: 'Growmies NJ Cannabis Community • Message Log'
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Post an entry to the message log channel, if one is configured
+   * Snapshots are already stored, so posting failures are only logged
+   * @param {Guild} guild - Discord guild
+   * @param {Object} config - Message log configuration
+   * @param {Object} embed - Embed data
+   * @returns {Promise<boolean>} - True if the entry was posted
+   */
+  async postEntry(guild, config, embed) {
+    if (!config.channel_id) return false;
+
+    try {
+      const channel = await guild.channels.fetch(config.channel_id).catch(() => null);
+      if (!channel || !channel.isTextBased()) {
+        console.warn(`[MessageLog] Message log channel ${config.channel_id} not found in guild ${guild.id}`);
+        return false;
+      }
+
+      const permissions = channel.permissionsFor(guild.members.me);
+      if (!permissions || !permissions.has(REQUIRED_PERMISSIONS)) {
+        console.warn(`[MessageLog] Missing permissions to post in message log channel ${channel.id}`);
+        return false;
+      }
+
+      await channel.send({ embeds: [embed] });
+      return true;
+    } catch (error) {
+      console.warn(`[MessageLog] Failed to post entry in guild ${guild.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Delete snapshots past their retention window
+   * @returns {Promise<Object>} - Prune summary
+   */
+  async pruneExpired() {
+    const pruned = await MessageEvidence.pruneExpired();
+    console.log(`[MessageLog] Pruned ${pruned} expired message snapshot(s)`);
+    return { pruned };
+  }
+
+  /**
+   * Truncate text for an embed field
+   * @param {string|null} text - Field text
+   * @returns {string} - Field value
+   */
+  truncate(text) {
+    if (!text) return '*[no text]*';
+    return text.length > MESSAGE_LOG_CONFIG.MAX_FIELD_LENGTH
+      ? `${text.slice(0, MESSAGE_LOG_CONFIG.MAX_FIELD_LENGTH)}…`
+      : text;
+  }
+}
+
+const messageLogService = new MessageLogService();
+
+// Prune expired snapshots daily; a failed prune waits for the next day
+jobScheduler.registerRecurring(
+  JOB_TYPES.EVIDENCE_PRUNE,
+  MESSAGE_LOG_CONFIG.PRUNE_CRON,
+  () => messageLogService.pruneExpired(),
+  { maxAttempts: 1 }
+);
+
+module.exports = {
+  MessageLogService,
+  messageLogService,
+  MESSAGE_LOG_CONFIG
+};
@@ -0,0 +1,209 @@
+/**
+ * Mod Log Service for GrowmiesNJ Discord Bot
+ *
+ * Publishes a consistent embed to the guild's mod log channel for every case event,
+ * purge and verification denial so staff have one channel to watch
+ * Failed posts (missing channel, missing permissions) are retried on the persistent scheduler
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { ModerationEmbeds, BRAND_COLORS } = require('../utils/embeds');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+
+/**
+ * Events published to the mod log
+ */
+const MODLOG_EVENTS = {
+  CASE_CREATED: 'case_created',
+  CASE_UPDATED: 'case_updated',
+  CASE_CLOSED: 'case_closed',
+  CASE_EXPIRED: 'case_expired',
+  APPEAL_SUBMITTED: 'appeal_submitted',
+  APPEAL_REVIEWED: 'appeal_reviewed',
+  PURGE: 'purge',
+  VERIFICATION_DENIED: 'verification_denied'
+};
+
+/**
+ * Title and color for each event
+ */
+const MODLOG_EVENT_STYLES = {
+  [MODLOG_EVENTS.CASE_CREATED]: { title: '📋 Case Created', color: BRAND_COLORS.WARNING },
+  [MODLOG_EVENTS.CASE_UPDATED]: { title: '✏️ Case Updated', color: BRAND_COLORS.INFO },
+  [MODLOG_EVENTS.CASE_CLOSED]: { title: '🔒 Case Closed', color: BRAND_COLORS.DARK_GREEN },
+  [MODLOG_EVENTS.CASE_EXPIRED]: { title: '⏰ Case Expired', color: BRAND_COLORS.INFO },
+  [MODLOG_EVENTS.APPEAL_SUBMITTED]: { title: '📨 Appeal Submitted', color: BRAND_COLORS.GOLD_ACCENT },
+  [MODLOG_EVENTS.APPEAL_REVIEWED]: { title: '⚖️ Appeal Reviewed', color: BRAND_COLORS.PRIMARY_GREEN },
+  [MODLOG_EVENTS.PURGE]: { title: '🧹 Messages Purged', color: BRAND_COLORS.WARNING },
+  [MODLOG_EVENTS.VERIFICATION_DENIED]: { title: '🔞 Age Verification Denied', color: BRAND_COLORS.ERROR }
+};
+
+/**
+ * Retry policy for posts that could not be delivered
+ */
+const MODLOG_CONFIG = {
+  MAX_ATTEMPTS: 6,
+  RETRY_BASE_MS: 60 * 1000
+};
+
+const REQUIRED_PERMISSIONS = [
+  PermissionsBitField.Flags.ViewChannel,
+  PermissionsBitField.Flags.SendMessages,
+  PermissionsBitField.Flags.EmbedLinks
+];
+
+/**
+ * Mod Log Service Class
+ * Publishing never throws; callers fire and forget
+ */
+class ModLogService {
+  constructor() {
+    this.client = null;
+  }
+
+  /**
+   * Set the Discord client used for immediate delivery
+   * @param {Client} client - Discord client
+   */
+  setDiscordClient(client) {
+    this.client = client;
+  }
+
+  /**
+   * Publish a moderation case event
+   * @param {string} guildId - Discord guild ID
+   * @param {string} event - MODLOG_EVENTS value
+   * @param {ModerationCase} moderationCase - Case the event concerns
+   * @param {Object[]} [fields] - Additional event-specific fields
+   * @returns {Promise<Object>} - Delivery result
+   */
+  async publishCase(guildId, event, moderationCase, fields = []) {
+    const caseFields = [];
+    if (moderationCase.expires_at) {
+      caseFields.push({
+        name: '⏰ Expires',
+        value: `<t:${Math.floor(new Date(moderationCase.expires_at).getTime() / 1000)}:F>`,
+        inline: true
+      });
+    }
+
+    const complianceFlags = [];
+    if (moderationCase.age_related) complianceFlags.push('🔞 Age Related');
+    if (moderationCase.educational_violation) complianceFlags.push('🎓 Educational Violation');
+    if (moderationCase.legal_area_violation) complianceFlags.push('⚖️ Legal Area Violation');
+    if (complianceFlags.length > 0) {
+      caseFields.push({ name: '🌿 Cannabis Compliance', value: complianceFlags.join('\n'), inline: true });
+    }
+
+    return await this.publish(guildId, event, {
+      caseNumber: moderationCase.case_number,
+      actionType: moderationCase.action_type,
+      targetId: moderationCase.target_user_id,
+      moderatorId: moderationCase.moderator_id,
+      reason: moderationCase.reason,
+      evidence: moderationCase.evidence || [],
+      fields: [...caseFields, ...fields]
+    });
+  }
+
+  /**
+   * Publish a mod log entry
+   * @param {string} guildId - Discord guild ID
+   * @param {string} event - MODLOG_EVENTS value
+   * @param {Object} entry - Entry details (see ModerationEmbeds.createModLogEmbed)
+   * @returns {Promise<Object>} - Delivery result ({ sent, queued, skipped })
+   */
+  async publish(guildId, event, entry) {
+    let embed;
+    try {
+      embed = ModerationEmbeds.createModLogEmbed({ ...MODLOG_EVENT_STYLES[event], ...entry }).toJSON();
+    } catch (error) {
+      console.error(`[ModLog] Failed to build ${event} entry for guild ${guildId}:`, error.message);
+      return { sent: false, queued: false };
+    }
+
+    if (!this.client) {
+      return await this.queueRetry(guildId, event, embed, new Error('Discord client not ready'));
+    }
+
+    try {
+      return await this.send(this.client, guildId, embed);
+    } catch (error) {
+      return await this.queueRetry(guildId, event, embed, error);
+    }
+  }
+
+  /**
+   * Deliver an embed to the mod log channel
+   * Throws when delivery should be retried
+   * @param {Client} client - Discord client
+   * @param {string} guildId - Discord guild ID
+   * @param {Object} embed - Embed JSON
+   * @returns {Promise<Object>} - Delivery result
+   */
+  async send(client, guildId, embed) {
+    const settings = await GuildSettings.findByGuildId(guildId);
+    if (!settings.log_channel_id) {
+      return { sent: false, skipped: true, reason: 'not_configured' };
+    }
+
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+      throw new Error('Guild not available');
+    }
+
+    const channel = await guild.channels.fetch(settings.log_channel_id).catch(() => null);
+    if (!channel || !channel.isTextBased()) {
+      throw new Error(`Mod log channel ${settings.log_channel_id} not found`);
+    }
+
+    const permissions = channel.permissionsFor(guild.members.me);
+    if (!permissions || !permissions.has(REQUIRED_PERMISSIONS)) {
+      throw new Error(`Missing View Channel, Send Messages or Embed Links in mod log channel ${channel.id}`);
+    }
+
+    await channel.send({ embeds: [embed] });
+    return { sent: true, channelId: channel.id };
+  }
+
+  /**
+   * Queue a failed post for retry with exponential backoff
+   * @param {string} guildId - Discord guild ID
+   * @param {string} event - MODLOG_EVENTS value
+   * @param {Object} embed - Embed JSON
+   * @param {Error} error - Delivery failure
+   * @returns {Promise<Object>} - Delivery result
+   */
+  async queueRetry(guildId, event, embed, error) {
+    console.warn(`[ModLog] Failed to publish ${event} in guild ${guildId}, retrying later:`, error.message);
+
+    try {
+      const job = await jobScheduler.schedule(JOB_TYPES.MODLOG_PUBLISH, { guildId, event, embed }, {
+        delayMs: MODLOG_CONFIG.RETRY_BASE_MS,
+        guildId,
+        maxAttempts: MODLOG_CONFIG.MAX_ATTEMPTS,
+        backoffBaseMs: MODLOG_CONFIG.RETRY_BASE_MS,
+        createdBy: 'mod_log'
+      });
+      return { sent: false, queued: true, jobId: job.id };
+    } catch (scheduleError) {
+      console.error(`[ModLog] Failed to queue ${event} for retry in guild ${guildId}:`, scheduleError.message);
+      return { sent: false, queued: false };
+    }
+  }
+}
+
+const modLogService = new ModLogService();
+
+// Retries throw until the channel is usable so the scheduler applies its backoff
+jobScheduler.registerHandler(JOB_TYPES.MODLOG_PUBLISH, (payload, { client }) =>
+  modLogService.send(client, payload.guildId, payload.embed)
+);
+
+module.exports = {
+  ModLogService,
+  modLogService,
+  MODLOG_EVENTS,
+  MODLOG_CONFIG
+};
@@ -10,6 +10,24 @@ const Joi = require('joi');
 const { ModerationCase } = require('../database/models/ModerationCase');
 const { User } = require('../database/models/User');
 const { AuditLog } = require('../database/models/AuditLog');
+const { GuildSettings, MAX_TIMEOUT_MS } = require('../database/models/GuildSettings');
+const { MessageEvidence } = require('../database/models/MessageEvidence');
+const { TRANSCRIPT_SOURCES } = require('../database/models/EvidenceTranscript');
+const { modLogService, MODLOG_EVENTS } = require('./modLog');
+const { trustScoreService } = require('./trustScore');
+const { evidenceStoreService } = require('./evidenceStore');
+const { reverificationService } = require('./reverification');
+const { Op } = require('sequelize');
+
+/**
+ * Action types users may appeal (notes are internal staff records)
+ */
+const APPEALABLE_ACTIONS = ['WARN', 'TIMEOUT', 'KICK', 'BAN', 'EDUCATIONAL_WARNING'];
+
+/**
+ * Action types counted towards the warning escalation ladder
+ */
+const WARNING_ACTIONS = ['WARN', 'EDUCATIONAL_WARNING'];
 
 /**
  * Moderation Service Class
@@ -48,7 +66,15 @@ class ModerationService {
       reason: Joi.string().min(10).max(1000).required(),
       duration: Joi.string().pattern(/^\d+[smhd]$/).optional(),
       evidence: Joi.array().items(Joi.string()).optional(),
+      evidenceMessageIds: Joi.array().items(Joi.string().pattern(/^\d{17,20}$/)).max(10).optional()
+        .messages({ 'string.pattern.base': 'Evidence message IDs must be Discord message IDs' }),
+      transcript: Joi.object({
+        source: Joi.string().valid(...TRANSCRIPT_SOURCES).default('case'),
+        channelId: Joi.string().optional(),
+        messages: Joi.array().items(Joi.object().unknown(true)).min(1).max(100).required()
+      }).optional(),
       notes: Joi.string().max(2000).optional(),
+      metadata: Joi.object().optional(),
       cannabisFlags: Joi.object({
         ageRelated: Joi.boolean().default(false),
         educationalViolation: Joi.boolean().default(false),
@@ -80,6 +106,8 @@ class ModerationService {
     return Joi.object({
       actionType: Joi.string().valid('WARN', 'TIMEOUT', 'KICK', 'BAN', 'NOTE', 'EDUCATIONAL_WARNING').optional(),
       moderator: Joi.string().optional(),
+      targetUser: Joi.string().optional(),
+      status: Joi.string().valid('active', 'closed', 'all').default('active'),
       cannabisCompliance: Joi.boolean().optional(),
       dateRange: Joi.object({
         start: Joi.date().optional(),
@@ -91,6 +119,16 @@ class ModerationService {
     });
   }
 
+  /**
+   * Validation schema for appeal reviews
+   */
+  get reviewAppealSchema() {
+    return Joi.object({
+      decision: Joi.string().valid('APPROVED', 'DENIED').required(),
+      notes: Joi.string().max(1000).allow('').optional()
+    });
+  }
+
   /**
    * Create a new moderation case with full validation and audit trail
    * @param {Object} caseData - Case creation data
@@ -132,6 +170,9 @@ class ModerationService {
       // Validate duration requirements
       this.validateDurationRequirements(value.actionType, parsedDuration);
 
+      // Resolve edited/deleted message snapshots referenced by ID
+      const evidenceSnapshots = await this.resolveMessageEvidence(value.guildId, value.evidenceMessageIds || []);
+
       // Create the moderation case
       const moderationCase = await ModerationCase.createCase({
         guild_id: value.guildId,
@@ -140,13 +181,36 @@ class ModerationService {
         action_type: value.actionType,
         reason: value.reason,
         duration: parsedDuration,
-        evidence: value.evidence || [],
+        evidence: [
+          ...(value.evidence || []),
+          ...evidenceSnapshots.map(snapshot => snapshot.toEvidenceString())
+        ],
         notes: value.notes,
+        metadata: {
+          ...(value.metadata || {}),
+          ...(evidenceSnapshots.length > 0 && {
+            message_evidence: {
+              message_ids: value.evidenceMessageIds,
+              snapshot_ids: evidenceSnapshots.map(snapshot => snapshot.id)
+            }
+          })
+        },
         age_related: enhancedCannabisFlags.ageRelated,
         educational_violation: enhancedCannabisFlags.educationalViolation,
         legal_area_violation: enhancedCannabisFlags.legalAreaViolation
       });
 
+      // Attached snapshots are kept for the case's audit retention instead of the message log window
+      for (const snapshot of evidenceSnapshots) {
+        await snapshot.attachToCase(moderationCase.case_number);
+      }
+
+      // Removed messages are kept as a rendered transcript rather than raw data on the case
+      await this.attachTranscript(moderationCase, value, evidenceSnapshots);
+
+      // New cases change the member's trust score
+      trustScoreService.invalidate(value.guildId, value.targetUserId);
+
       // Apply Discord action if required
       const discordResult = await this.applyDiscordAction(
         guild,
@@ -156,11 +220,22 @@ class ModerationService {
         parsedDuration
       );
 
+      await modLogService.publishCase(value.guildId, MODLOG_EVENTS.CASE_CREATED, moderationCase,
+        discordResult.success ? [] : [{ name: '⚠️ Discord Action Failed', value: discordResult.error, inline: false }]
+      );
+
+      // Repeat warnings may trigger the guild's escalation ladder
+      let escalation = null;
+      if (WARNING_ACTIONS.includes(value.actionType)) {
+        escalation = await this.evaluateEscalation(moderationCase, guild);
+      }
+
       return {
         success: true,
         case: moderationCase,
         discordAction: discordResult,
-        cannabisCompliance: enhancedCannabisFlags
+        cannabisCompliance: enhancedCannabisFlags,
+        escalation
       };
 
     } catch (error) {
@@ -186,6 +261,73 @@ class ModerationService {
     }
   }
 
+  /**
+   * Store a transcript of the case's message evidence and reference it from the case
+   * A storage failure is logged rather than thrown so the moderation action still goes ahead
+   * @param {ModerationCase} moderationCase - Newly created case
+   * @param {Object} value - Validated case data
+   * @param {MessageEvidence[]} evidenceSnapshots - Attached message log snapshots
+   * @returns {Promise<EvidenceTranscript|null>} - Stored transcript
+   */
+  async attachTranscript(moderationCase, value, evidenceSnapshots) {
+    const messages = [
+      ...(value.transcript?.messages || []),
+      ...evidenceSnapshots.map(snapshot => evidenceStoreService.describeSnapshot(snapshot))
+    ];
+    if (messages.length === 0) {
+      return null;
+    }
+
+    try {
+      const transcript = await evidenceStoreService.createTranscript({
+        guildId: value.guildId,
+        source: value.transcript?.source || 'message_log',
+        createdBy: value.moderatorId,
+        messages,
+        caseNumber: moderationCase.case_number,
+        channelId: value.transcript?.channelId || null,
+        targetUserId: value.targetUserId
+      });
+
+      await moderationCase.update({
+        evidence: [...(moderationCase.evidence || []), transcript.toEvidenceString()],
+        metadata: {
+          ...moderationCase.metadata,
+          evidence_transcript: {
+            transcript_number: transcript.transcript_number,
+            message_count: transcript.message_count
+          }
+        }
+      });
+
+      return transcript;
+    } catch (error) {
+      console.error(`[ModerationService] Failed to store transcript for case ${moderationCase.case_number}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Load message log snapshots for the given message IDs
+   * @param {string} guildId - Discord guild ID
+   * @param {string[]} messageIds - Discord message IDs
+   * @returns {Promise<MessageEvidence[]>} - Snapshots, oldest first
+   */
+  async resolveMessageEvidence(guildId, messageIds) {
+    if (messageIds.length === 0) {
+      return [];
+    }
+
+    const snapshots = await MessageEvidence.findForMessages(guildId, messageIds);
+    const found = new Set(snapshots.map(snapshot => snapshot.message_id));
+    const missing = messageIds.filter(id => !found.has(id));
+    if (missing.length > 0) {
+      throw new Error(`No message log evidence found for message ID(s): ${missing.join(', ')}`);
+    }
+
+    return snapshots;
+  }
+
   /**
    * Get moderation cases with filtering and pagination
    * @param {string} guildId - Discord guild ID
@@ -323,9 +465,10 @@ class ModerationService {
       // Apply updates
       const updatePayload = { ...value };
       if (value.cannabisFlags) {
-        updatePayload.age_related = value.cannabisFlags.ageRelated;
-        updatePayload.educational_violation = value.cannabisFlags.educationalViolation;
-        updatePayload.legal_area_violation = value.cannabisFlags.legalAreaViolation;
+        // Only apply the flags that were provided
+        Object.keys(value.cannabisFlags).forEach(flag => {
+          updatePayload[this.mapCannabisFlag(flag)] = value.cannabisFlags[flag];
+        });
         delete updatePayload.cannabisFlags;
       }
 
@@ -346,6 +489,23 @@ class ModerationService {
           severity: 'medium',
           compliance_flag: true
         });
+
+        const closed = changes.active && changes.active.new === false;
+        await modLogService.publishCase(
+          moderationCase.guild_id,
+          closed ? MODLOG_EVENTS.CASE_CLOSED : MODLOG_EVENTS.CASE_UPDATED,
+          moderationCase,
+          [
+            { name: '✏️ Updated By', value: `<@${moderatorId}>`, inline: true },
+            {
+              name: '🔄 Changes',
+              value: Object.entries(changes)
+                .map(([field, { old, new: updated }]) => `**${field}:** ${old ?? 'none'} → ${updated ?? 'none'}`)
+                .join('\n'),
+              inline: false
+            }
+          ]
+        );
       }
 
       return {
@@ -403,6 +563,10 @@ class ModerationService {
         compliance_flag: true
       });
 
+      await modLogService.publishCase(moderationCase.guild_id, MODLOG_EVENTS.APPEAL_SUBMITTED, moderationCase, [
+        { name: '📨 Appeal Reason', value: appealReason, inline: false }
+      ]);
+
       return {
         success: true,
         case: moderationCase,
@@ -415,6 +579,286 @@ class ModerationService {
     }
   }
 
+  /**
+   * Evaluate the guild's warning escalation ladder after a warning
+   * Applies the highest rule the user now meets, once per rule per window
+   * @param {ModerationCase} warningCase - Warning case that was just created
+   * @param {Object} guild - Discord guild object
+   * @returns {Promise<Object|null>} - Escalation result, or null if no rule applied
+   */
+  async evaluateEscalation(warningCase, guild) {
+    try {
+      const settings = await GuildSettings.findByGuildId(warningCase.guild_id);
+      const policy = settings.getEscalationPolicy();
+      if (!policy.enabled || policy.rules.length === 0) {
+        return null;
+      }
+
+      const maxWindowDays = Math.max(...policy.rules.map(rule => rule.window_days));
+      const recentCases = await ModerationCase.findAll({
+        where: {
+          guild_id: warningCase.guild_id,
+          target_user_id: warningCase.target_user_id,
+          created_at: { [Op.gte]: new Date(Date.now() - maxWindowDays * 24 * 60 * 60 * 1000) }
+        },
+        order: [['created_at', 'ASC']]
+      });
+
+      // Check the strictest rule first so a jump past several thresholds applies the highest one
+      const rulesByThreshold = [...policy.rules].sort((a, b) => b.threshold - a.threshold);
+      for (const rule of rulesByThreshold) {
+        const windowStart = new Date(Date.now() - rule.window_days * 24 * 60 * 60 * 1000);
+        const warnings = recentCases.filter(c =>
+          WARNING_ACTIONS.includes(c.action_type) && c.active && c.created_at >= windowStart
+        );
+
+        if (warnings.length < rule.threshold) {
+          continue;
+        }
+
+        const alreadyApplied = recentCases.some(c =>
+          c.metadata?.escalation?.rule_threshold === rule.threshold && c.created_at >= windowStart
+        );
+        if (alreadyApplied) {
+          return null;
+        }
+
+        return await this.applyEscalation(warningCase, guild, rule, warnings);
+      }
+
+      return null;
+
+    } catch (error) {
+      // The warning itself has been recorded; escalation failures must not undo it
+      console.error('[ModerationService] Error evaluating warning escalation:', error.message);
+      return { escalated: false, error: error.message };
+    }
+  }
+
+  /**
+   * Create the automatic escalation case and apply its Discord action
+   * @param {ModerationCase} warningCase - Warning that triggered the escalation
+   * @param {Object} guild - Discord guild object
+   * @param {Object} rule - Escalation rule ({ threshold, window_days, action, duration })
+   * @param {ModerationCase[]} warnings - Warnings counted towards the rule
+   * @returns {Promise<Object>} - Escalation result
+   */
+  async applyEscalation(warningCase, guild, rule, warnings) {
+    let duration = rule.duration ? this.parseDuration(rule.duration) : null;
+    if (rule.action === 'TIMEOUT' && duration > MAX_TIMEOUT_MS) {
+      // Policies saved before timeouts were capped would otherwise fail every escalation
+      duration = MAX_TIMEOUT_MS;
+    }
+    this.validateDurationRequirements(rule.action, duration);
+
+    const reason = `Automatic escalation: ${warnings.length} warnings within ${rule.window_days} days (triggered by case ${warningCase.case_number})`;
+
+    const escalationCase = await ModerationCase.createCase({
+      guild_id: warningCase.guild_id,
+      target_user_id: warningCase.target_user_id,
+      moderator_id: guild.client.user.id,
+      action_type: rule.action,
+      reason,
+      duration,
+      evidence: [],
+      metadata: {
+        escalation: {
+          automatic: true,
+          rule_threshold: rule.threshold,
+          window_days: rule.window_days,
+          triggered_by_case_id: warningCase.id,
+          triggered_by_case_number: warningCase.case_number,
+          triggered_by_moderator_id: warningCase.moderator_id,
+          warning_case_ids: warnings.map(c => c.id),
+          warning_case_numbers: warnings.map(c => c.case_number)
+        }
+      }
+    });
+
+    // Link each counted warning back to the escalation it caused
+    for (const warning of warnings) {
+      await warning.update({
+        metadata: {
+          ...(warning.metadata || {}),
+          escalated_to_case_id: escalationCase.id,
+          escalated_to_case_number: escalationCase.case_number
+        }
+      });
+    }
+
+    const discordAction = await this.applyDiscordAction(
+      guild,
+      warningCase.target_user_id,
+      rule.action,
+      reason,
+      duration
+    );
+
+    await modLogService.publishCase(warningCase.guild_id, MODLOG_EVENTS.CASE_CREATED, escalationCase, [
+      {
+        name: '📈 Automatic Escalation',
+        value: `${warnings.length} warnings within ${rule.window_days} days: ${warnings.map(c => c.case_number).join(', ')}`,
+        inline: false
+      },
+      ...(discordAction.success ? [] : [{ name: '⚠️ Discord Action Failed', value: discordAction.error, inline: false }])
+    ]);
+
+    console.log(`[ModerationService] Escalated ${warningCase.target_user_id} to ${rule.action} (case ${escalationCase.case_number}) after ${warnings.length} warnings`);
+
+    return {
+      escalated: true,
+      case: escalationCase,
+      rule,
+      warningCount: warnings.length,
+      discordAction
+    };
+  }
+
+  /**
+   * Get cases a user can still appeal
+   * Notes are internal staff records and cannot be appealed
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Optional guild filter (omitted when appealing from DMs)
+   * @returns {Promise<ModerationCase[]>} - Appealable cases, newest first
+   */
+  async getAppealableCases(userId, guildId = null) {
+    const where = {
+      target_user_id: userId,
+      active: true,
+      appeal_status: 'NONE',
+      action_type: { [Op.in]: APPEALABLE_ACTIONS }
+    };
+    if (guildId) where.guild_id = guildId;
+
+    return await ModerationCase.findAll({
+      where,
+      order: [['created_at', 'DESC']],
+      limit: 10
+    });
+  }
+
+  /**
+   * Review a pending appeal and reverse the Discord action when approved
+   * @param {string} caseId - Case ID under appeal
+   * @param {Object} reviewData - Review decision and notes
+   * @param {Object} guild - Discord guild object
+   * @param {Object} reviewer - Discord member object reviewing the appeal
+   * @returns {Promise<Object>} - Review result with reversal outcome
+   */
+  async reviewAppeal(caseId, reviewData, guild, reviewer) {
+    try {
+      const { error, value } = this.reviewAppealSchema.validate(reviewData);
+      if (error) {
+        throw new Error(`Validation error: ${error.details[0].message}`);
+      }
+
+      const moderationCase = await ModerationCase.findByPk(caseId);
+      if (!moderationCase || moderationCase.guild_id !== guild.id) {
+        throw new Error('Moderation case not found');
+      }
+
+      if (moderationCase.appeal_status !== 'PENDING') {
+        throw new Error('This appeal has already been reviewed');
+      }
+
+      // Reviewers need the same permissions required to apply the original action
+      await this.validateModeratorPermissions(reviewer, moderationCase.action_type);
+
+      await ModerationCase.updateAppealStatus(
+        moderationCase.id,
+        value.decision,
+        reviewer.id,
+        value.notes
+      );
+      await moderationCase.reload();
+
+      let reversal = { success: true, action: 'no_discord_action_required' };
+      if (value.decision === 'APPROVED') {
+        reversal = await this.reverseDiscordAction(
+          guild,
+          moderationCase,
+          `Appeal approved for case ${moderationCase.case_number} by ${reviewer.user.tag}`
+        );
+        await moderationCase.update({ active: false });
+
+        // Returning members verify their age again, as after /unban and ban expiry
+        if (moderationCase.action_type === 'BAN') {
+          await this.requireReverification(guild, moderationCase, reviewer);
+        }
+      }
+
+      await modLogService.publishCase(guild.id, MODLOG_EVENTS.APPEAL_REVIEWED, moderationCase, [
+        { name: '⚖️ Decision', value: value.decision === 'APPROVED' ? '✅ Approved' : '❌ Denied', inline: true },
+        { name: '👮 Reviewed By', value: `<@${reviewer.id}>`, inline: true },
+        { name: '📝 Review Notes', value: value.notes || 'None', inline: false },
+        ...(reversal.success ? [] : [{ name: '⚠️ Reversal Failed', value: reversal.error, inline: false }])
+      ]);
+
+      return {
+        success: true,
+        case: moderationCase,
+        reversal
+      };
+
+    } catch (error) {
+      console.error('[ModerationService] Error reviewing appeal:', error.message);
+      throw error;
+    }
+  }
+
+  /**
+   * Revoke the stored verification of a member whose ban appeal was approved
+   * @param {Object} guild - Discord guild object
+   * @param {ModerationCase} moderationCase - Approved ban case
+   * @param {Object} reviewer - Discord member object that approved the appeal
+   * @returns {Promise<void>}
+   */
+  async requireReverification(guild, moderationCase, reviewer) {
+    try {
+      await reverificationService.requireReverification(guild, moderationCase.target_user_id, {
+        actorId: reviewer.id,
+        source: 'appeal',
+        reason: `Ban appeal approved | Case: ${moderationCase.case_number}`,
+        caseNumber: moderationCase.case_number
+      });
+    } catch (error) {
+      console.warn(`[ModerationService] Failed to require re-verification for case ${moderationCase.case_number}:`, error.message);
+    }
+  }
+
+  /**
+   * Reverse the Discord action of a case (used for approved appeals)
+   * @param {Object} guild - Discord guild object
+   * @param {ModerationCase} moderationCase - Case to reverse
+   * @param {string} reason - Audit log reason
+   * @returns {Promise<Object>} - Reversal result
+   */
+  async reverseDiscordAction(guild, moderationCase, reason) {
+    try {
+      switch (moderationCase.action_type) {
+        case 'BAN':
+          await guild.bans.remove(moderationCase.target_user_id, reason);
+          return { success: true, action: 'ban_removed' };
+
+        case 'TIMEOUT': {
+          const member = await guild.members.fetch(moderationCase.target_user_id);
+          await member.timeout(null, reason);
+          return { success: true, action: 'timeout_removed' };
+        }
+
+        default:
+          return { success: true, action: 'no_discord_action_required' };
+      }
+    } catch (error) {
+      console.error('[ModerationService] Discord action reversal failed:', error.message);
+      return {
+        success: false,
+        error: error.message,
+        action: `${moderationCase.action_type.toLowerCase()}_reversal_failed`
+      };
+    }
+  }
+
   /**
    * Validate moderator permissions for action type
    * @param {Object} moderator - Discord member object
@@ -535,13 +979,14 @@ class ModerationService {
    * @throws {Error} If duration requirements are not met
    */
   validateDurationRequirements(actionType, duration) {
-    const temporaryActions = ['TIMEOUT', 'BAN'];
+    // Bans without a duration are permanent
+    const temporaryActions = ['TIMEOUT'];
     
     if (temporaryActions.includes(actionType) && !duration) {
       throw new Error(`Duration is required for ${actionType} actions`);
     }
 
-    if (actionType === 'TIMEOUT' && duration && duration > 28 * 24 * 60 * 60 * 1000) {
+    if (actionType === 'TIMEOUT' && duration && duration > MAX_TIMEOUT_MS) {
       throw new Error('Timeout duration cannot exceed 28 days');
     }
   }
@@ -0,0 +1,717 @@
+/**
+ * Modmail Service for GrowmiesNJ Discord Bot
+ *
+ * Relays member DMs into private threads in the guild's staff modmail channel and
+ * staff replies back to the member, keeping a full transcript for every ticket
+ * Ticket threads open with the member's moderation history so staff have context
+ */
+
+const {
+  ActionRowBuilder,
+  ChannelType,
+  StringSelectMenuBuilder,
+  ThreadAutoArchiveDuration
+} = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { ModmailTicket } = require('../database/models/ModmailTicket');
+const { ModmailMessage } = require('../database/models/ModmailMessage');
+const { ModerationCase } = require('../database/models/ModerationCase');
+const { AuditLog } = require('../database/models/AuditLog');
+const { BRAND_COLORS, MODERATION_ACTION_LABELS } = require('../utils/embeds');
+
+/**
+ * Modmail tuning
+ */
+const MODMAIL_CONFIG = {
+  GUILD_SELECT_TIMEOUT_MS: 5 * 60 * 1000,
+  HISTORY_CASE_LIMIT: 5,
+  HISTORY_TICKET_LIMIT: 5,
+  MAX_CONTENT_LENGTH: 4000
+};
+
+// Custom ID prefix routed to the modmail command by the interactionCreate event
+const MODMAIL_PREFIX = 'modmail';
+
+/**
+ * Modmail Service Class
+ * Runs from messageCreate (DMs and staff thread notes) and the /modmail command
+ */
+class ModmailService {
+  constructor() {
+    // Messages waiting for the member to choose a server (userId -> { message, expiresAt })
+    this.pendingMessages = new Map();
+  }
+
+  /**
+   * Relay a member's DM into their open ticket, opening one if needed
+   * @param {Message} message - Direct message from a member
+   * @returns {Promise<boolean>} - True if the message was handled
+   */
+  async handleDirectMessage(message) {
+    try {
+      const openTicket = await ModmailTicket.findLatestOpenForUser(message.author.id);
+      if (openTicket) {
+        const thread = await this.fetchThread(message.client, openTicket);
+        if (thread) {
+          await this.relayInbound(openTicket, thread, message);
+          return true;
+        }
+
+        // The staff thread was deleted; close the orphaned ticket and start a new one
+        await this.markClosed(openTicket, message.client.user.id, 'Staff thread no longer exists');
+      }
+
+      const guilds = await this.getAvailableGuilds(message.client, message.author.id);
+      if (guilds.length === 0) {
+        await message.reply('📭 Modmail is not available in any server you share with GrowmiesNJ. Please contact server staff directly.');
+        return true;
+      }
+
+      if (guilds.length === 1) {
+        await this.startConversation(guilds[0], message);
+        return true;
+      }
+
+      this.pendingMessages.set(message.author.id, {
+        message,
+        expiresAt: Date.now() + MODMAIL_CONFIG.GUILD_SELECT_TIMEOUT_MS
+      });
+
+      const select = new StringSelectMenuBuilder()
+        .setCustomId(`${MODMAIL_PREFIX}:guild`)
+        .setPlaceholder('Choose a server')
+        .addOptions(guilds.slice(0, 25).map(guild => ({ label: guild.name.slice(0, 100), value: guild.id })));
+
+      await message.reply({
+        content: '📨 Which server\'s staff team would you like to contact?',
+        components: [new ActionRowBuilder().addComponents(select)]
+      });
+      return true;
+
+    } catch (error) {
+      console.error(`[Modmail] Error handling DM from ${message.author.id}:`, error.message);
+      await message.reply('⚠️ Your message could not be delivered to staff. Please try again in a few minutes.').catch(() => {});
+      return true;
+    }
+  }
+
+  /**
+   * Open a ticket in the server a member picked and relay their pending message
+   * @param {StringSelectMenuInteraction} interaction - Server selection
+   * @returns {Promise<void>}
+   */
+  async handleGuildSelect(interaction) {
+    const pending = this.pendingMessages.get(interaction.user.id);
+    this.pendingMessages.delete(interaction.user.id);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      return await interaction.update({
+        content: '⌛ This selection has expired. Please send your message again.',
+        components: []
+      });
+    }
+
+    const guild = interaction.client.guilds.cache.get(interaction.values[0]);
+    if (!guild) {
+      return await interaction.update({
+        content: '⚠️ That server is no longer available. Please send your message again.',
+        components: []
+      });
+    }
+
+    await interaction.update({ content: `📨 Contacting **${guild.name}** staff…`, components: [] });
+    await this.startConversation(guild, pending.message);
+  }
+
+  /**
+   * Open a ticket for a member's first message and relay it
+   * @param {Guild} guild - Discord guild
+   * @param {Message} message - Direct message from the member
+   * @returns {Promise<ModmailTicket>} - Opened ticket
+   */
+  async startConversation(guild, message) {
+    const { ticket, thread } = await this.openTicket(guild, message.author, message.author.id);
+    await this.relayInbound(ticket, thread, message);
+
+    await message.reply(`📨 Your message has been sent to the **${guild.name}** staff team (ticket ${ticket.ticket_number}). Replies will arrive here, and anything else you send will be added to the conversation.`);
+    return ticket;
+  }
+
+  /**
+   * Find servers where the user is a member and modmail is enabled
+   * @param {Client} client - Discord client
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Guild[]>} - Available guilds
+   */
+  async getAvailableGuilds(client, userId) {
+    const available = [];
+
+    for (const guild of client.guilds.cache.values()) {
+      const settings = await GuildSettings.findByGuildId(guild.id);
+      if (!settings.getModmailConfig().enabled) continue;
+
+      const member = await guild.members.fetch(userId).catch(() => null);
+      if (member) available.push(guild);
+    }
+
+    return available;
+  }
+
+  /**
+   * Open a ticket and its private staff thread
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Member the conversation is with
+   * @param {string} openedBy - Discord ID of whoever opened the ticket
+   * @returns {Promise<Object>} - { ticket, thread }
+   */
+  async openTicket(guild, user, openedBy) {
+    const existing = await ModmailTicket.findOpenForUser(guild.id, user.id);
+    if (existing) {
+      throw new Error(`Modmail ticket ${existing.ticket_number} is already open for this member`);
+    }
+
+    const settings = await GuildSettings.findByGuildId(guild.id);
+    const config = settings.getModmailConfig();
+    if (!config.enabled) {
+      throw new Error('Modmail is not enabled in this server');
+    }
+
+    const channel = await guild.channels.fetch(config.channel_id).catch(() => null);
+    if (!channel || channel.type !== ChannelType.GuildText) {
+      throw new Error('Modmail staff channel is missing. Update it with /modmail config.');
+    }
+
+    const ticketNumber = await ModmailTicket.generateTicketNumber(guild.id);
+    const thread = await channel.threads.create({
+      name: `${ticketNumber} • ${user.username}`.slice(0, 100),
+      type: ChannelType.PrivateThread,
+      invitable: false,
+      autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek,
+      reason: `Modmail ticket for ${user.tag}`
+    });
+
+    const ticket = await ModmailTicket.create({
+      ticket_number: ticketNumber,
+      guild_id: guild.id,
+      user_id: user.id,
+      thread_id: thread.id,
+      opened_by: openedBy
+    });
+
+    await thread.send({
+      content: config.staff_role_ids.length > 0 ? config.staff_role_ids.map(id => `<@&${id}>`).join(' ') : undefined,
+      embeds: [await this.buildHeaderEmbed(guild, user, ticket)],
+      allowedMentions: { roles: config.staff_role_ids }
+    });
+
+    await this.recordMessage(ticket, 'SYSTEM', openedBy, null,
+      openedBy === user.id ? 'Ticket opened by member' : 'Ticket opened by staff');
+
+    console.log(`📨 Modmail ticket ${ticketNumber} opened for ${user.tag} in ${guild.name}`);
+    return { ticket, thread };
+  }
+
+  /**
+   * Build the thread header with the member's moderation and modmail history
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Member the conversation is with
+   * @param {ModmailTicket} ticket - New ticket
+   * @returns {Promise<Object>} - Embed data
+   */
+  async buildHeaderEmbed(guild, user, ticket) {
+    const member = await guild.members.fetch(user.id).catch(() => null);
+    const cases = await ModerationCase.getCasesForUser(user.id, guild.id, MODMAIL_CONFIG.HISTORY_CASE_LIMIT);
+    const previousTickets = (await ModmailTicket.getTicketsForUser(guild.id, user.id, MODMAIL_CONFIG.HISTORY_TICKET_LIMIT + 1))
+      .filter(previous => previous.id !== ticket.id)
+      .slice(0, MODMAIL_CONFIG.HISTORY_TICKET_LIMIT);
+
+    const fields = [
+      { name: '👤 Member', value: `<@${user.id}> (${user.tag})\n${user.id}`, inline: true },
+      { name: '📅 Account Created', value: `<t:${Math.floor(user.createdTimestamp / 1000)}:R>`, inline: true },
+      { name: '📥 Joined Server', value: member?.joinedTimestamp ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : 'Not a member', inline: true },
+      {
+        name: '📋 Active Moderation Cases',
+        value: cases.length > 0
+          ? cases.map(c => `• ${c.case_number} — ${MODERATION_ACTION_LABELS[c.action_type] || c.action_type}: ${this.truncate(c.reason, 80)}`).join('\n')
+          : 'None',
+        inline: false
+      },
+      {
+        name: '📨 Previous Tickets',
+        value: previousTickets.length > 0
+          ? previousTickets.map(previous => `• [${previous.ticket_number}](${previous.threadUrl}) — ${previous.status === 'OPEN' ? 'Open' : 'Closed'} <t:${Math.floor(new Date(previous.created_at).getTime() / 1000)}:R>`).join('\n')
+          : 'None',
+        inline: false
+      }
+    ];
+
+    return {
+      color: BRAND_COLORS.PRIMARY_GREEN,
+      title: `📨 Modmail Ticket ${ticket.ticket_number}`,
+      description: [
+        'Reply with `/modmail reply`. Other messages in this thread are internal staff notes and are never sent to the member.',
+        'Use `/case history` for the full record and `/modmail link` to connect this ticket to a case.'
+      ].join('\n'),
+      fields,
+      footer: {
+        text: 'Growmies NJ Cannabis Community • Modmail'
+      },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Post a member's message in the staff thread and record it
+   * @param {ModmailTicket} ticket - Open ticket
+   * @param {ThreadChannel} thread - Staff thread
+   * @param {Message} message - Direct message from the member
+   * @returns {Promise<ModmailMessage>} - Recorded message
+   */
+  async relayInbound(ticket, thread, message) {
+    if (thread.archived) {
+      await thread.setArchived(false, 'New modmail message');
+    }
+
+    const attachments = this.describeAttachments(message);
+    await thread.send({
+      embeds: [{
+        color: BRAND_COLORS.INFO,
+        author: {
+          name: message.author.tag,
+          icon_url: message.author.displayAvatarURL()
+        },
+        description: this.truncate(message.content, MODMAIL_CONFIG.MAX_CONTENT_LENGTH) || '*[no text]*',
+        fields: attachments.length > 0
+          ? [{ name: '📎 Attachments', value: attachments.map(a => `[${a.name}](${a.url})`).join('\n').slice(0, 1024), inline: false }]
+          : [],
+        footer: {
+          text: `Member message • ${ticket.ticket_number}`
+        },
+        timestamp: new Date().toISOString()
+      }]
+    });
+
+    const recorded = await this.recordMessage(ticket, 'INBOUND', message.author.id, message.author.tag, message.content, {
+      attachments,
+      discord_message_id: message.id
+    });
+
+    await message.react('✅').catch(() => {});
+    return recorded;
+  }
+
+  /**
+   * Send a staff reply to the member and mirror it in the staff thread
+   * @param {ModmailTicket} ticket - Open ticket
+   * @param {GuildMember} staffMember - Replying staff member
+   * @param {string} content - Reply text
+   * @param {Object} options - { anonymous, attachment }
+   * @returns {Promise<ModmailMessage>} - Recorded reply
+   */
+  async replyToUser(ticket, staffMember, content, { anonymous, attachment = null }) {
+    if (ticket.status !== 'OPEN') {
+      throw new Error('Modmail ticket is closed. Reopen it with /modmail reopen before replying.');
+    }
+
+    const client = staffMember.client;
+    const user = await client.users.fetch(ticket.user_id);
+    const guild = staffMember.guild;
+    const attachments = attachment ? [{
+      name: attachment.name,
+      url: attachment.url,
+      content_type: attachment.contentType || null,
+      size: attachment.size
+    }] : [];
+
+    const replyEmbed = {
+      color: BRAND_COLORS.PRIMARY_GREEN,
+      author: anonymous
+        ? { name: `${guild.name} Staff`, icon_url: guild.iconURL() || undefined }
+        : { name: `${staffMember.displayName} • ${guild.name} Staff`, icon_url: staffMember.displayAvatarURL() },
+      description: content,
+      footer: {
+        text: 'Reply to this message to respond to staff'
+      },
+      timestamp: new Date().toISOString()
+    };
+    if (attachment) {
+      if (attachment.contentType?.startsWith('image/')) {
+        replyEmbed.image = { url: attachment.url };
+      } else {
+        replyEmbed.fields = [{ name: '📎 Attachment', value: `[${attachment.name}](${attachment.url})`, inline: false }];
+      }
+    }
+
+    try {
+      await user.send({ embeds: [replyEmbed] });
+    } catch (error) {
+      throw new Error('Modmail could not deliver the reply. The member may have DMs disabled or no longer shares a server with the bot.');
+    }
+
+    const thread = await this.fetchThread(client, ticket);
+    if (thread) {
+      await thread.send({
+        embeds: [{
+          ...replyEmbed,
+          color: BRAND_COLORS.SUCCESS,
+          author: {
+            name: `${staffMember.user.tag}${anonymous ? ' (sent anonymously)' : ''}`,
+            icon_url: staffMember.displayAvatarURL()
+          },
+          footer: {
+            text: `Staff reply • ${ticket.ticket_number}`
+          }
+        }]
+      });
+    }
+
+    return await this.recordMessage(ticket, 'OUTBOUND', staffMember.id, staffMember.user.tag, content, {
+      attachments,
+      anonymous
+    });
+  }
+
+  /**
+   * Record a staff message in a ticket thread as an internal note
+   * @param {Message} message - Guild message
+   * @returns {Promise<boolean>} - True if the message belonged to a ticket thread
+   */
+  async handleStaffMessage(message) {
+    try {
+      if (!message.channel.isThread()) {
+        return false;
+      }
+
+      const ticket = await ModmailTicket.findByThreadId(message.channel.id);
+      if (!ticket) {
+        return false;
+      }
+
+      await this.recordMessage(ticket, 'NOTE', message.author.id, message.author.tag, message.content, {
+        attachments: this.describeAttachments(message),
+        discord_message_id: message.id
+      });
+      return true;
+
+    } catch (error) {
+      console.error(`[Modmail] Error recording staff note ${message.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Start a conversation with a member on staff's initiative
+   * @param {Guild} guild - Discord guild
+   * @param {GuildMember} staffMember - Staff member reaching out
+   * @param {User} user - Member to contact
+   * @param {string} content - First message
+   * @param {boolean} anonymous - Send without the staff member's name
+   * @returns {Promise<ModmailTicket>} - Opened ticket
+   */
+  async openOutreach(guild, staffMember, user, content, anonymous) {
+    const { ticket } = await this.openTicket(guild, user, staffMember.id);
+    await this.replyToUser(ticket, staffMember, content, { anonymous });
+
+    await AuditLog.logAdminAction(staffMember.id, guild.id, 'modmail_opened', user.id, {
+      ticket_number: ticket.ticket_number,
+      anonymous
+    });
+
+    return ticket;
+  }
+
+  /**
+   * Close a ticket, notify the member and archive the staff thread
+   * @param {ModmailTicket} ticket - Open ticket
+   * @param {GuildMember} staffMember - Closing staff member
+   * @param {string|null} reason - Close reason (shared with the member)
+   * @returns {Promise<ModmailTicket>} - Closed ticket
+   */
+  async closeTicket(ticket, staffMember, reason) {
+    if (ticket.status === 'CLOSED') {
+      throw new Error(`Modmail ticket ${ticket.ticket_number} is already closed`);
+    }
+
+    const client = staffMember.client;
+    await this.markClosed(ticket, staffMember.id, reason);
+
+    const user = await client.users.fetch(ticket.user_id).catch(() => null);
+    await user?.send({
+      embeds: [{
+        color: BRAND_COLORS.INFO,
+        title: '🔒 Conversation Closed',
+        description: `Your conversation with **${staffMember.guild.name}** staff (ticket ${ticket.ticket_number}) has been closed.${reason ? `\n\n**Reason:** ${reason}` : ''}\n\nSend a new message here any time to contact staff again.`,
+        timestamp: new Date().toISOString()
+      }]
+    }).catch(() => {});
+
+    const thread = await this.fetchThread(client, ticket);
+    if (thread) {
+      await thread.send(`🔒 Ticket closed by ${staffMember.user.tag}${reason ? `: ${reason}` : ''}`);
+      await thread.setLocked(true, 'Modmail ticket closed').catch(() => {});
+      await thread.setArchived(true, 'Modmail ticket closed').catch(() => {});
+    }
+
+    await AuditLog.logAdminAction(staffMember.id, ticket.guild_id, 'modmail_closed', ticket.user_id, {
+      ticket_number: ticket.ticket_number,
+      reason
+    });
+
+    console.log(`🔒 Modmail ticket ${ticket.ticket_number} closed by ${staffMember.user.tag}`);
+    return ticket;
+  }
+
+  /**
+   * Reopen a closed ticket and its staff thread
+   * @param {ModmailTicket} ticket - Closed ticket
+   * @param {GuildMember} staffMember - Reopening staff member
+   * @returns {Promise<ModmailTicket>} - Reopened ticket
+   */
+  async reopenTicket(ticket, staffMember) {
+    if (ticket.status === 'OPEN') {
+      throw new Error(`Modmail ticket ${ticket.ticket_number} is already open`);
+    }
+
+    const otherOpen = await ModmailTicket.findOpenForUser(ticket.guild_id, ticket.user_id);
+    if (otherOpen) {
+      throw new Error(`Modmail ticket ${otherOpen.ticket_number} is already open for this member. Close it before reopening another.`);
+    }
+
+    const client = staffMember.client;
+    const thread = await this.fetchThread(client, ticket);
+    if (!thread) {
+      throw new Error('Modmail thread for this ticket no longer exists and cannot be reopened');
+    }
+
+    await thread.setArchived(false, 'Modmail ticket reopened');
+    await thread.setLocked(false, 'Modmail ticket reopened');
+
+    await ticket.update({
+      status: 'OPEN',
+      reopen_count: ticket.reopen_count + 1,
+      last_activity_at: new Date()
+    });
+    await this.recordMessage(ticket, 'SYSTEM', staffMember.id, staffMember.user.tag, 'Ticket reopened');
+    await thread.send(`🔓 Ticket reopened by ${staffMember.user.tag}`);
+
+    const user = await client.users.fetch(ticket.user_id).catch(() => null);
+    await user?.send(`🔓 **${staffMember.guild.name}** staff reopened your conversation (ticket ${ticket.ticket_number}). Messages you send here will reach them again.`).catch(() => {});
+
+    await AuditLog.logAdminAction(staffMember.id, ticket.guild_id, 'modmail_reopened', ticket.user_id, {
+      ticket_number: ticket.ticket_number
+    });
+
+    return ticket;
+  }
+
+  /**
+   * Link a ticket to one of the member's moderation cases
+   * @param {ModmailTicket} ticket - Ticket
+   * @param {string} caseNumber - Moderation case number
+   * @param {GuildMember} staffMember - Staff member linking the case
+   * @returns {Promise<ModerationCase>} - Linked case
+   */
+  async linkCase(ticket, caseNumber, staffMember) {
+    const moderationCase = await ModerationCase.findOne({
+      where: { case_number: caseNumber, guild_id: ticket.guild_id }
+    });
+    if (!moderationCase) {
+      throw new Error(`Modmail could not find case ${caseNumber}`);
+    }
+    if (moderationCase.target_user_id !== ticket.user_id) {
+      throw new Error(`Modmail can only link cases for the ticket's member; ${caseNumber} is for another user`);
+    }
+
+    if (!ticket.linked_case_numbers.includes(caseNumber)) {
+      await ticket.update({ linked_case_numbers: [...ticket.linked_case_numbers, caseNumber] });
+      await this.recordMessage(ticket, 'SYSTEM', staffMember.id, staffMember.user.tag, `Linked to case ${caseNumber}`);
+    }
+
+    return moderationCase;
+  }
+
+  /**
+   * Export a ticket transcript
+   * @param {ModmailTicket} ticket - Ticket
+   * @param {string} format - 'json' or 'html'
+   * @returns {Promise<Object>} - { name, buffer }
+   */
+  async buildTranscript(ticket, format) {
+    const messages = await ModmailMessage.getTranscript(ticket.id);
+    const entries = messages.map(message => ({
+      direction: message.direction,
+      author_id: message.author_id,
+      author_tag: message.author_tag,
+      anonymous: message.anonymous,
+      content: message.content,
+      attachments: message.attachments,
+      sent_at: new Date(message.created_at).toISOString()
+    }));
+
+    const summary = {
+      ticket_number: ticket.ticket_number,
+      guild_id: ticket.guild_id,
+      user_id: ticket.user_id,
+      status: ticket.status,
+      opened_by: ticket.opened_by,
+      opened_at: new Date(ticket.created_at).toISOString(),
+      closed_by: ticket.closed_by,
+      closed_at: ticket.closed_at ? new Date(ticket.closed_at).toISOString() : null,
+      close_reason: ticket.close_reason,
+      linked_case_numbers: ticket.linked_case_numbers
+    };
+
+    if (format === 'json') {
+      return {
+        name: `modmail-${ticket.ticket_number}.json`,
+        buffer: Buffer.from(JSON.stringify({ ticket: summary, messages: entries }, null, 2))
+      };
+    }
+
+    return {
+      name: `modmail-${ticket.ticket_number}.html`,
+      buffer: Buffer.from(this.renderTranscriptHtml(summary, entries))
+    };
+  }
+
+  /**
+   * Render a standalone HTML transcript
+   * @param {Object} summary - Ticket summary
+   * @param {Object[]} entries - Transcript entries
+   * @returns {string} - HTML document
+   */
+  renderTranscriptHtml(summary, entries) {
+    const escape = (text) => String(text ?? '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+
+    const labels = {
+      'INBOUND': 'Member',
+      'OUTBOUND': 'Staff reply',
+      'NOTE': 'Staff note',
+      'SYSTEM': 'Event'
+    };
+
+    const rows = entries.map(entry => `
+    <div class="entry ${entry.direction.toLowerCase()}">
+      <div class="meta">${escape(entry.sent_at)} • ${labels[entry.direction]} • ${escape(entry.author_tag || entry.author_id)}${entry.anonymous ? ' (sent anonymously)' : ''}</div>
+      <div class="content">${escape(entry.content).replace(/\n/g, '<br>')}</div>
+      ${entry.attachments.map(a => `<div class="attachment">📎 <a href="${escape(a.url)}">${escape(a.name)}</a></div>`).join('')}
+    </div>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>Modmail ${escape(summary.ticket_number)}</title>
+  <style>
+    body { font-family: sans-serif; background: #f4f7f4; color: #1e2b1e; margin: 2rem; }
+    .entry { background: #fff; border-left: 4px solid #9e9e9e; margin: 0.5rem 0; padding: 0.5rem 1rem; }
+    .inbound { border-color: #2196f3; }
+    .outbound { border-color: #2e7d32; }
+    .note { border-color: #ff9800; background: #fff8e1; }
+    .system { border-color: #9e9e9e; font-style: italic; }
+    .meta { color: #5f6b5f; font-size: 0.85rem; }
+  </style>
+</head>
+<body>
+  <h1>Modmail ${escape(summary.ticket_number)}</h1>
+  <p>Member: ${escape(summary.user_id)} • Status: ${escape(summary.status)} • Opened: ${escape(summary.opened_at)}${summary.closed_at ? ` • Closed: ${escape(summary.closed_at)}` : ''}</p>
+  <p>Linked cases: ${summary.linked_case_numbers.length > 0 ? summary.linked_case_numbers.map(escape).join(', ') : 'None'}</p>${rows}
+</body>
+</html>
+`;
+  }
+
+  /**
+   * Mark a ticket closed and record the event
+   * @param {ModmailTicket} ticket - Ticket
+   * @param {string} closedBy - Discord ID of whoever closed it
+   * @param {string|null} reason - Close reason
+   * @returns {Promise<void>}
+   */
+  async markClosed(ticket, closedBy, reason) {
+    await ticket.update({
+      status: 'CLOSED',
+      closed_by: closedBy,
+      closed_at: new Date(),
+      close_reason: reason || null,
+      last_activity_at: new Date()
+    });
+    await this.recordMessage(ticket, 'SYSTEM', closedBy, null, `Ticket closed${reason ? `: ${reason}` : ''}`);
+  }
+
+  /**
+   * Store a transcript entry and bump ticket activity
+   * @param {ModmailTicket} ticket - Ticket
+   * @param {string} direction - INBOUND, OUTBOUND, NOTE or SYSTEM
+   * @param {string} authorId - Author Discord ID
+   * @param {string|null} authorTag - Author tag
+   * @param {string|null} content - Message text
+   * @param {Object} extra - Additional attributes (attachments, anonymous, discord_message_id)
+   * @returns {Promise<ModmailMessage>} - Recorded message
+   */
+  async recordMessage(ticket, direction, authorId, authorTag, content, extra = {}) {
+    const recorded = await ModmailMessage.create({
+      ticket_id: ticket.id,
+      direction,
+      author_id: authorId,
+      author_tag: authorTag,
+      content: content || null,
+      ...extra
+    });
+
+    if (direction !== 'SYSTEM') {
+      await ticket.update({ last_activity_at: new Date() });
+    }
+    return recorded;
+  }
+
+  /**
+   * Fetch the staff thread for a ticket
+   * @param {Client} client - Discord client
+   * @param {ModmailTicket} ticket - Ticket
+   * @returns {Promise<ThreadChannel|null>} - Thread, or null if it no longer exists
+   */
+  async fetchThread(client, ticket) {
+    const guild = client.guilds.cache.get(ticket.guild_id);
+    if (!guild) return null;
+    return await guild.channels.fetch(ticket.thread_id).catch(() => null);
+  }
+
+  /**
+   * Describe message attachments for the transcript
+   * @param {Message} message - Discord message
+   * @returns {Object[]} - Attachment metadata
+   */
+  describeAttachments(message) {
+    return [...message.attachments.values()].map(attachment => ({
+      name: attachment.name,
+      url: attachment.url,
+      content_type: attachment.contentType || null,
+      size: attachment.size
+    }));
+  }
+
+  /**
+   * Truncate text
+   * @param {string|null} text - Text
+   * @param {number} length - Maximum length
+   * @returns {string} - Truncated text
+   */
+  truncate(text, length) {
+    if (!text) return '';
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+}
+
+const modmailService = new ModmailService();
+
+module.exports = {
+  ModmailService,
+  modmailService,
+  MODMAIL_CONFIG,
+  MODMAIL_PREFIX
+};
@@ -0,0 +1,515 @@
+/**
+ * Raid Protection Service for GrowmiesNJ Discord Bot
+ *
+ * Tracks join velocity, new-account joins, duplicate-message bursts and mention spam
+ * Crossing the per-guild thresholds enables raid mode, which times out offenders,
+ * pauses age verification and alerts staff until it expires or is ended manually
+ */
+
+const { PermissionsBitField } = require('discord.js');
+const ModerationService = require('./moderationService');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { AuditLog } = require('../database/models/AuditLog');
+const { BRAND_COLORS } = require('../utils/embeds');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+
+/**
+ * Window in which distinct spam offenders count towards enabling raid mode
+ */
+const SPAM_WAVE_WINDOW_MS = 60 * 1000;
+
+/**
+ * Ignore repeat triggers from a user who was just timed out
+ */
+const ACTION_COOLDOWN_MS = 60 * 1000;
+
+/**
+ * Sweep idle users from message tracking once this many are tracked
+ */
+const MAX_TRACKED_USERS = 5000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Raid Protection Service Class
+ * Activity is tracked in memory; raid mode itself is persisted on GuildSettings
+ */
+class RaidProtectionService {
+  constructor() {
+    this.moderationService = new ModerationService();
+    this.joinHistory = new Map(); // guildId -> [{ userId, joinedAt, newAccount }]
+    this.messageHistory = new Map(); // guildId:userId -> [{ content, mentions, channelId, messageId, sentAt }]
+    this.offenderHistory = new Map(); // guildId -> [{ userId, actionedAt }]
+    this.recentlyActioned = new Map(); // guildId:userId -> timestamp
+  }
+
+  /**
+   * Track a member join and apply raid protection
+   * @param {GuildMember} member - Joining member
+   * @returns {Promise<Object>} - Result ({ raidMode, actioned })
+   */
+  async handleMemberJoin(member) {
+    try {
+      const guild = member.guild;
+      const settings = await GuildSettings.findByGuildId(guild.id);
+      const config = settings.getAutoModConfig('raid');
+      let raidMode = settings.isRaidModeActive();
+
+      if (!config.enabled) {
+        return { raidMode, actioned: false };
+      }
+
+      const now = Date.now();
+      const accountAgeDays = Math.floor((now - member.user.createdTimestamp) / DAY_MS);
+      const newAccount = accountAgeDays < config.min_account_age_days;
+
+      const joins = this.prune(this.joinHistory, guild.id, 'joinedAt', config.join_window_seconds * 1000);
+      joins.push({ userId: member.id, joinedAt: now, newAccount });
+
+      if (!raidMode && joins.length >= config.join_threshold) {
+        await this.activateRaidMode(guild, settings, config, {
+          type: 'join_velocity',
+          detail: `${joins.length} joins within ${config.join_window_seconds} seconds`
+        });
+        raidMode = true;
+
+        // New accounts that were part of the burst are treated as raiders too
+        for (const join of joins) {
+          if (!join.newAccount || join.userId === member.id) continue;
+          const burstMember = guild.members.cache.get(join.userId);
+          if (burstMember) {
+            await this.timeoutOffender(burstMember, config, 'Raid protection: new account joined during a join flood', {
+              trigger: 'join_velocity',
+              join_count: joins.length
+            });
+          }
+        }
+      }
+
+      if (raidMode && newAccount) {
+        await this.timeoutOffender(member, config, `Raid protection: account ${accountAgeDays} day(s) old joined during raid mode`, {
+          trigger: 'raid_mode_join',
+          account_age_days: accountAgeDays
+        });
+        return { raidMode, actioned: true };
+      }
+
+      return { raidMode, actioned: false };
+
+    } catch (error) {
+      console.error('[RaidProtection] Error handling member join:', error.message);
+      return { raidMode: false, actioned: false };
+    }
+  }
+
+  /**
+   * Track a message for duplicate bursts and mention spam
+   * @param {Message} message - Discord message
+   * @returns {Promise<boolean>} - True if the author was actioned and the message should not be processed further
+   */
+  async handleMessage(message) {
+    try {
+      const guild = message.guild;
+      const settings = await GuildSettings.findByGuildId(guild.id);
+      const config = settings.getAutoModConfig('raid');
+      if (!config.enabled || this.isExempt(message, config)) {
+        return false;
+      }
+
+      const key = `${guild.id}:${message.author.id}`;
+      const now = Date.now();
+
+      // Messages arriving right after a timeout are cleaned up without opening another case
+      const actionedAt = this.recentlyActioned.get(key);
+      if (actionedAt && now - actionedAt < ACTION_COOLDOWN_MS) {
+        await message.delete().catch(() => null);
+        return true;
+      }
+
+      const maxWindowMs = Math.max(config.duplicate_window_seconds, config.mention_window_seconds) * 1000;
+      if (this.messageHistory.size > MAX_TRACKED_USERS) {
+        this.sweepMessageHistory(maxWindowMs);
+      }
+      const history = this.prune(this.messageHistory, key, 'sentAt', maxWindowMs);
+      history.push({
+        content: message.content.trim().toLowerCase(),
+        mentions: message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0),
+        channelId: message.channel.id,
+        messageId: message.id,
+        sentAt: now
+      });
+
+      const trigger = this.detectSpam(history, message.content.trim().toLowerCase(), config, now);
+      if (!trigger) {
+        return false;
+      }
+
+      this.messageHistory.delete(key);
+      await this.deleteMessages(guild, trigger.messages);
+
+      const member = message.member || await guild.members.fetch(message.author.id).catch(() => null);
+      if (member) {
+        await this.timeoutOffender(member, config, `Raid protection: ${trigger.description}`, {
+          trigger: trigger.type,
+          count: trigger.count,
+          channel_id: message.channel.id
+        }, [message.content.slice(0, 1000)].filter(Boolean));
+      }
+
+      await this.trackSpamWave(guild, settings, config, message.author.id);
+      return true;
+
+    } catch (error) {
+      console.error('[RaidProtection] Error handling message:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Check a user's recent messages against the spam thresholds
+   * @param {Object[]} history - Recent messages from the user
+   * @param {string} content - Normalized content of the newest message
+   * @param {Object} config - Raid configuration
+   * @param {number} now - Current timestamp
+   * @returns {Object|null} - Trigger ({ type, count, description, messages }) or null
+   */
+  detectSpam(history, content, config, now) {
+    if (content) {
+      const duplicates = history.filter(entry =>
+        entry.content === content && now - entry.sentAt <= config.duplicate_window_seconds * 1000
+      );
+      if (duplicates.length >= config.duplicate_threshold) {
+        return {
+          type: 'duplicate_messages',
+          count: duplicates.length,
+          description: `${duplicates.length} identical messages within ${config.duplicate_window_seconds} seconds`,
+          messages: duplicates
+        };
+      }
+    }
+
+    const mentionWindow = history.filter(entry => now - entry.sentAt <= config.mention_window_seconds * 1000);
+    const mentionCount = mentionWindow.reduce((total, entry) => total + entry.mentions, 0);
+    if (mentionCount >= config.mention_threshold) {
+      return {
+        type: 'mention_spam',
+        count: mentionCount,
+        description: `${mentionCount} mentions within ${config.mention_window_seconds} seconds`,
+        messages: mentionWindow.filter(entry => entry.mentions > 0)
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Record a spam offender and enable raid mode when several appear at once
+   * @param {Guild} guild - Discord guild
+   * @param {GuildSettings} settings - Guild settings
+   * @param {Object} config - Raid configuration
+   * @param {string} userId - Offending user ID
+   * @returns {Promise<void>}
+   */
+  async trackSpamWave(guild, settings, config, userId) {
+    const offenders = this.prune(this.offenderHistory, guild.id, 'actionedAt', SPAM_WAVE_WINDOW_MS);
+    offenders.push({ userId, actionedAt: Date.now() });
+
+    const distinctOffenders = new Set(offenders.map(offender => offender.userId)).size;
+    if (distinctOffenders >= config.spam_offender_threshold && !settings.isRaidModeActive()) {
+      await this.activateRaidMode(guild, settings, config, {
+        type: 'spam_wave',
+        detail: `${distinctOffenders} members timed out for spam within ${SPAM_WAVE_WINDOW_MS / 1000} seconds`
+      });
+    }
+  }
+
+  /**
+   * Check whether the author or channel is exempt from raid protection
+   * Staff with Manage Messages are always exempt
+   * @param {Message} message - Discord message
+   * @param {Object} config - Raid configuration
+   * @returns {boolean} - True if exempt
+   */
+  isExempt(message, config) {
+    const member = message.member;
+    if (member?.permissions.has(PermissionsBitField.Flags.ManageMessages)) {
+      return true;
+    }
+
+    if (config.exempt_channel_ids.includes(message.channel.id) ||
+        (message.channel.parentId && config.exempt_channel_ids.includes(message.channel.parentId))) {
+      return true;
+    }
+
+    return Boolean(member && config.exempt_role_ids.some(roleId => member.roles.cache.has(roleId)));
+  }
+
+  /**
+   * Time out an offender through the moderation service so a case is recorded
+   * @param {GuildMember} member - Offending member
+   * @param {Object} config - Raid configuration
+   * @param {string} reason - Case reason
+   * @param {Object} details - Trigger details stored in case metadata
+   * @param {string[]} evidence - Evidence strings
+   * @returns {Promise<ModerationCase|null>} - Created case, or null on failure
+   */
+  async timeoutOffender(member, config, reason, details, evidence = []) {
+    const guild = member.guild;
+    this.recentlyActioned.set(`${guild.id}:${member.id}`, Date.now());
+
+    try {
+      const result = await this.moderationService.createCase({
+        guildId: guild.id,
+        targetUserId: member.id,
+        moderatorId: guild.client.user.id,
+        actionType: 'TIMEOUT',
+        reason,
+        duration: config.timeout_duration,
+        evidence,
+        metadata: {
+          raid_protection: {
+            automatic: true,
+            ...details
+          }
+        }
+      }, guild, guild.members.me);
+
+      console.log(`🛡️ Raid protection timed out ${member.user.tag} (${details.trigger}) - case ${result.case.case_number}`);
+      return result.case;
+    } catch (error) {
+      console.error(`[RaidProtection] Failed to time out ${member.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Delete tracked messages, grouped by channel
+   * @param {Guild} guild - Discord guild
+   * @param {Object[]} entries - Tracked message entries
+   * @returns {Promise<void>}
+   */
+  async deleteMessages(guild, entries) {
+    const byChannel = new Map();
+    for (const entry of entries) {
+      if (!byChannel.has(entry.channelId)) byChannel.set(entry.channelId, []);
+      byChannel.get(entry.channelId).push(entry.messageId);
+    }
+
+    for (const [channelId, messageIds] of byChannel) {
+      try {
+        const channel = guild.channels.cache.get(channelId);
+        if (!channel || !channel.isTextBased()) continue;
+
+        if (messageIds.length === 1) {
+          await channel.messages.delete(messageIds[0]);
+        } else {
+          await channel.bulkDelete(messageIds, true);
+        }
+      } catch (error) {
+        console.warn(`[RaidProtection] Failed to delete spam messages in ${channelId}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Enable raid mode, schedule its expiry and alert staff
+   * @param {Guild} guild - Discord guild
+   * @param {GuildSettings} settings - Guild settings
+   * @param {Object} config - Raid configuration
+   * @param {Object} trigger - What enabled raid mode ({ type, detail })
+   * @param {string} [activatedBy] - Discord ID of the staff member, or the bot when automatic
+   * @param {number} [minutes] - Raid mode length (defaults to the configured length)
+   * @returns {Promise<Date>} - When raid mode ends
+   */
+  async activateRaidMode(guild, settings, config, trigger, activatedBy = guild.client.user.id, minutes = config.raid_mode_minutes) {
+    const until = new Date(Date.now() + minutes * 60 * 1000);
+    await settings.updateSetting('raid_mode_until', until);
+
+    await jobScheduler.schedule(JOB_TYPES.RAID_MODE_END, { guildId: guild.id }, {
+      runAt: until,
+      guildId: guild.id,
+      uniqueKey: `raid-mode:${guild.id}`,
+      createdBy: activatedBy
+    });
+
+    await AuditLog.logAdminAction(activatedBy, guild.id, 'raid_mode_activated', null, {
+      trigger: trigger.type,
+      detail: trigger.detail,
+      raid_mode_until: until.toISOString(),
+      automatic: activatedBy === guild.client.user.id
+    });
+
+    console.log(`🚨 Raid mode enabled in ${guild.name} until ${until.toISOString()} (${trigger.detail})`);
+
+    await this.sendAlert(guild, settings, config, {
+      color: BRAND_COLORS.ERROR,
+      title: '🚨 Raid Mode Enabled',
+      description: trigger.detail,
+      fields: [
+        {
+          name: '⏰ Ends',
+          value: `<t:${Math.floor(until.getTime() / 1000)}:R>`,
+          inline: true
+        },
+        {
+          name: '👮 Enabled By',
+          value: activatedBy === guild.client.user.id ? 'Automatic' : `<@${activatedBy}>`,
+          inline: true
+        },
+        {
+          name: '🛡️ Active Protections',
+          value: [
+            '• Age verification is paused',
+            `• Accounts younger than ${config.min_account_age_days} days are timed out on join`,
+            `• Spammers are timed out for ${config.timeout_duration}`,
+            '• Use `/automod raid-mode active:False` to end raid mode early'
+          ].join('\n'),
+          inline: false
+        }
+      ]
+    });
+
+    return until;
+  }
+
+  /**
+   * End raid mode and alert staff
+   * @param {Guild} guild - Discord guild
+   * @param {Object} options - Options
+   * @param {string} options.endedBy - Discord ID of the staff member, or the bot on expiry
+   * @param {string} options.reason - Why raid mode ended
+   * @returns {Promise<void>}
+   */
+  async deactivateRaidMode(guild, { endedBy, reason }) {
+    const settings = await GuildSettings.findByGuildId(guild.id);
+    const config = settings.getAutoModConfig('raid');
+
+    await settings.updateSetting('raid_mode_until', null);
+    await jobScheduler.cancelByKey(`raid-mode:${guild.id}`);
+    this.joinHistory.delete(guild.id);
+    this.offenderHistory.delete(guild.id);
+
+    await AuditLog.logAdminAction(endedBy, guild.id, 'raid_mode_deactivated', null, { reason });
+
+    console.log(`✅ Raid mode ended in ${guild.name} (${reason})`);
+
+    await this.sendAlert(guild, settings, config, {
+      color: BRAND_COLORS.SUCCESS,
+      title: '✅ Raid Mode Ended',
+      description: `${reason}. Age verification has resumed.`,
+      fields: [
+        {
+          name: '👮 Ended By',
+          value: endedBy === guild.client.user.id ? 'Automatic' : `<@${endedBy}>`,
+          inline: true
+        }
+      ]
+    });
+  }
+
+  /**
+   * Check whether raid mode is active for a guild
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<boolean>} - True while raid mode is active
+   */
+  async isRaidModeActive(guildId) {
+    const settings = await GuildSettings.findByGuildId(guildId);
+    return settings.isRaidModeActive();
+  }
+
+  /**
+   * Post a raid protection alert to the alert channel (or mod log)
+   * @param {Guild} guild - Discord guild
+   * @param {GuildSettings} settings - Guild settings
+   * @param {Object} config - Raid configuration
+   * @param {Object} embed - Alert embed
+   * @returns {Promise<void>}
+   */
+  async sendAlert(guild, settings, config, embed) {
+    try {
+      const channelId = config.alert_channel_id || settings.log_channel_id;
+      if (!channelId) return;
+
+      const channel = await guild.channels.fetch(channelId).catch(() => null);
+      if (!channel || !channel.isTextBased()) return;
+
+      await channel.send({
+        embeds: [{
+          ...embed,
+          footer: {
+            text: 'Growmies NJ Cannabis Community • Raid Protection'
+          },
+          timestamp: new Date().toISOString()
+        }]
+      });
+    } catch (error) {
+      console.warn(`[RaidProtection] Failed to send alert in ${guild.id}:`, error.message);
+    }
+  }
+
+  /**
+   * Remove users with no messages inside the tracking window
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {void}
+   */
+  sweepMessageHistory(windowMs) {
+    const cutoff = Date.now() - windowMs;
+    for (const [key, entries] of this.messageHistory) {
+      if (entries.every(entry => entry.sentAt < cutoff)) {
+        this.messageHistory.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Drop entries older than the window and return the remaining list
+   * @param {Map} store - Tracking map
+   * @param {string} key - Map key
+   * @param {string} timeField - Entry timestamp field
+   * @param {number} windowMs - Window length in milliseconds
+   * @returns {Object[]} - Live entry list stored back in the map
+   */
+  prune(store, key, timeField, windowMs) {
+    const cutoff = Date.now() - windowMs;
+    const entries = (store.get(key) || []).filter(entry => entry[timeField] >= cutoff);
+    store.set(key, entries);
+
+    for (const [actionedKey, actionedAt] of this.recentlyActioned) {
+      if (Date.now() - actionedAt >= ACTION_COOLDOWN_MS) {
+        this.recentlyActioned.delete(actionedKey);
+      }
+    }
+
+    return entries;
+  }
+}
+
+const raidProtectionService = new RaidProtectionService();
+
+// Raid mode expiry runs on the persistent scheduler so it survives restarts
+jobScheduler.registerHandler(JOB_TYPES.RAID_MODE_END, async (payload, { client }) => {
+  const guild = client.guilds.cache.get(payload.guildId);
+  if (!guild) {
+    return { skipped: true, reason: 'guild_unavailable' };
+  }
+
+  const settings = await GuildSettings.findByGuildId(guild.id);
+  if (!settings.raid_mode_until) {
+    return { skipped: true, reason: 'already_ended' };
+  }
+  if (settings.isRaidModeActive()) {
+    return { skipped: true, reason: 'extended' };
+  }
+
+  await raidProtectionService.deactivateRaidMode(guild, {
+    endedBy: client.user.id,
+    reason: 'Raid mode expired'
+  });
+  return { ended: true };
+});
+
+module.exports = {
+  RaidProtectionService,
+  raidProtectionService,
+  SPAM_WAVE_WINDOW_MS
+};
@@ -0,0 +1,195 @@
+/**
+ * Reaction XP Service for GrowmiesNJ Discord Bot
+ *
+ * Rewards message authors when other members react to their messages
+ * Self and bot reactions earn nothing, each member can reward a message once,
+ * and per-message, per-day and per-pair caps stop members farming XP for each
+ * other. Removing a reaction takes the XP back
+ */
+
+const { UniqueConstraintError } = require('sequelize');
+const { ReactionXPAward } = require('../database/models/ReactionXPAward');
+const { LevelingConfig } = require('../database/models/LevelingConfig');
+const { XPCalculationService, XP_SOURCES } = require('./xpCalculation');
+
+// Window for the daily and pair caps
+const REACTION_CAP_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Reaction XP Service Class
+ * Used by the messageReactionAdd/Remove events
+ */
+class ReactionXPService {
+  constructor() {
+    this.xpService = new XPCalculationService();
+  }
+
+  /**
+   * Award the author XP for a new reaction when it passes the anti-farming rules
+   * @param {MessageReaction} reaction - Added reaction (may be partial)
+   * @param {User} user - Reacting user
+   * @returns {Promise<string>} - Outcome ('awarded' or the reason it was skipped)
+   */
+  async handleReactionAdd(reaction, user) {
+    if (user.bot) return 'bot_reactor';
+
+    const message = await this.resolveMessage(reaction);
+    if (!message?.guild || !message.author) return 'unavailable';
+    if (message.author.bot || message.webhookId || message.system) return 'bot_author';
+    if (message.author.id === user.id) return 'self_reaction';
+
+    const config = await LevelingConfig.findByGuildId(message.guild.id);
+    if (!config.isLevelingEnabled() || !config.reaction_xp_enabled) return 'disabled';
+    if (config.isChannelExcluded(message.channelId, message.channel?.parentId)) return 'excluded_channel';
+
+    const skipReason = await this.checkCaps(message, user.id, config);
+    if (skipReason) return skipReason;
+
+    // The award row is claimed first so simultaneous reactions cannot both pay out
+    let award;
+    try {
+      award = await ReactionXPAward.create({
+        guild_id: message.guild.id,
+        channel_id: message.channelId,
+        message_id: message.id,
+        author_id: message.author.id,
+        reactor_id: user.id,
+        emoji: this.getEmojiKey(reaction.emoji),
+        xp_amount: config.xp_per_reaction_received
+      });
+    } catch (error) {
+      if (error instanceof UniqueConstraintError) return 'already_rewarded';
+      throw error;
+    }
+
+    const author = message.member || await message.guild.members.fetch(message.author.id).catch(() => null);
+    const result = author
+      ? await this.xpService.calculateReactionXP(author, message.guild, 1, message.channel)
+      : { success: false, reason: 'Author left the server' };
+
+    if (!result.success) {
+      await award.destroy();
+      return 'not_awarded';
+    }
+
+    if (result.xp_awarded !== award.xp_amount) {
+      await award.update({ xp_amount: result.xp_awarded });
+    }
+    return 'awarded';
+  }
+
+  /**
+   * Take back XP when the rewarded reaction is removed
+   * @param {MessageReaction} reaction - Removed reaction (may be partial)
+   * @param {User} user - User whose reaction was removed
+   * @returns {Promise<boolean>} - True if XP was revoked
+   */
+  async handleReactionRemove(reaction, user) {
+    if (user.bot || !reaction.message.guild) return false;
+
+    const award = await ReactionXPAward.findForReaction(reaction.message.id, user.id);
+    if (!award || award.revoked_at || award.emoji !== this.getEmojiKey(reaction.emoji)) {
+      return false;
+    }
+
+    return await this.revoke(reaction.message.guild, award);
+  }
+
+  /**
+   * Take back XP when staff clear all reactions, or every reaction of one emoji, from a message
+   * @param {Message} message - Message (may be partial)
+   * @param {GuildEmoji|ReactionEmoji|null} emoji - Cleared emoji, or null for all reactions
+   * @returns {Promise<number>} - Awards revoked
+   */
+  async handleReactionsCleared(message, emoji = null) {
+    if (!message.guild) return 0;
+
+    const awards = await ReactionXPAward.findActiveForMessage(message.id, emoji ? this.getEmojiKey(emoji) : null);
+    let revoked = 0;
+    for (const award of awards) {
+      if (await this.revoke(message.guild, award)) revoked++;
+    }
+    return revoked;
+  }
+
+  /**
+   * Revoke an award and remove its XP from the author
+   * @param {Guild} guild - Discord guild
+   * @param {ReactionXPAward} award - Active award
+   * @returns {Promise<boolean>} - True if the award was revoked
+   */
+  async revoke(guild, award) {
+    await award.update({ revoked_at: new Date() });
+
+    // Authors who left keep the stored XP; the award is still closed so it can't be revoked twice
+    const author = await guild.members.fetch(award.author_id).catch(() => null);
+    if (!author) return true;
+
+    const config = await LevelingConfig.findByGuildId(guild.id);
+    await this.xpService.awardXP(author, guild, -award.xp_amount, XP_SOURCES.REACTION_RECEIVED, config, {
+      reaction_count: -1,
+      revoked: true,
+      message_id: award.message_id,
+      reactor_id: award.reactor_id
+    });
+    return true;
+  }
+
+  /**
+   * Check the anti-farming rules for a reaction
+   * @param {Message} message - Reacted message
+   * @param {string} reactorId - Reacting member ID
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<string|null>} - Reason the reaction earns nothing, or null
+   */
+  async checkCaps(message, reactorId, config) {
+    if (await ReactionXPAward.findForReaction(message.id, reactorId)) {
+      return 'already_rewarded';
+    }
+    if (await ReactionXPAward.countForMessage(message.id) >= config.reaction_xp_message_cap) {
+      return 'message_cap';
+    }
+
+    const since = new Date(Date.now() - REACTION_CAP_WINDOW_MS);
+    if (await ReactionXPAward.countForAuthorSince(message.guild.id, message.author.id, since) >= config.reaction_xp_daily_cap) {
+      return 'daily_cap';
+    }
+    if (await ReactionXPAward.countForAuthorSince(message.guild.id, message.author.id, since, reactorId) >= config.reaction_xp_pair_daily_cap) {
+      return 'pair_cap';
+    }
+    return null;
+  }
+
+  /**
+   * Load the full message behind a reaction
+   * @param {MessageReaction} reaction - Reaction (may be partial)
+   * @returns {Promise<Message|null>} - Message, or null if it could not be fetched
+   */
+  async resolveMessage(reaction) {
+    try {
+      if (reaction.partial) await reaction.fetch();
+      if (reaction.message.partial) await reaction.message.fetch();
+      return reaction.message;
+    } catch (error) {
+      console.warn(`[ReactionXP] Could not fetch reacted message ${reaction.message?.id}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Stable key for an emoji (custom emoji ID or unicode character)
+   * @param {GuildEmoji|ReactionEmoji} emoji - Emoji
+   * @returns {string} - Emoji key
+   */
+  getEmojiKey(emoji) {
+    return emoji.id || emoji.name;
+  }
+}
+
+const reactionXPService = new ReactionXPService();
+
+module.exports = {
+  ReactionXPService,
+  reactionXPService,
+  REACTION_CAP_WINDOW_MS
+};
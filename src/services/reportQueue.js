@@ -0,0 +1,470 @@
+/**
+ * Report Queue Service for GrowmiesNJ Discord Bot
+ *
+ * Accepts member reports from the "Report Message" and "Report User" context menus,
+ * posts them to the staff report queue and tracks claim, dismissal and escalation
+ * Escalated reports become moderation cases through the moderation service
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { MemberReport } = require('../database/models/MemberReport');
+const { AuditLog } = require('../database/models/AuditLog');
+const ModerationService = require('./moderationService');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Report queue tuning
+ */
+const REPORT_CONFIG = {
+  SNAPSHOT_TIMEOUT_MS: 10 * 60 * 1000,
+  MAX_SNAPSHOT_CONTENT: 1500,
+  RATE_WINDOW_MS: 60 * 60 * 1000
+};
+
+// Custom ID prefix routed to the reports command by the interactionCreate event
+const REPORT_PREFIX = 'report';
+
+// Case actions staff can choose when escalating a report
+const REPORT_CASE_ACTIONS = ['WARN', 'TIMEOUT', 'KICK', 'BAN', 'NOTE'];
+
+const STATUS_LABELS = {
+  'PENDING': '⏳ Pending',
+  'CLAIMED': '🙋 Claimed',
+  'DISMISSED': '🚫 Dismissed',
+  'ESCALATED': '⚖️ Escalated'
+};
+
+/**
+ * Report Queue Service Class
+ * Used by the report context menus and the /reports command
+ */
+class ReportQueueService {
+  constructor() {
+    // Message snapshots taken when the report modal opens (reporterId:messageId -> { snapshot, expiresAt })
+    this.pendingSnapshots = new Map();
+  }
+
+  /**
+   * Check whether a member may file a report, throwing a reporter-facing error if not
+   * @param {Guild} guild - Discord guild
+   * @param {User} reporter - Reporting member
+   * @param {Object} target - { reportType, targetUser, messageId }
+   * @returns {Promise<Object>} - Report configuration
+   */
+  async assertCanReport(guild, reporter, { reportType, targetUser, messageId }) {
+    const settings = await GuildSettings.findByGuildId(guild.id);
+    const config = settings.getReportConfig();
+
+    if (!config.enabled || !config.channel_id) {
+      throw new Error('Reports are not enabled in this server. Please contact a moderator directly.');
+    }
+    if (targetUser.id === reporter.id) {
+      throw new Error('Reports cannot be filed against yourself.');
+    }
+    if (targetUser.bot) {
+      throw new Error('Reports cannot be filed against bots. Please contact a moderator if a bot is misbehaving.');
+    }
+
+    const duplicate = await MemberReport.findOpenDuplicate(guild.id, reporter.id, {
+      reportType,
+      targetUserId: targetUser.id,
+      messageId
+    });
+    if (duplicate) {
+      throw new Error(`Report ${duplicate.report_number} about this ${reportType === 'MESSAGE' ? 'message' : 'user'} is already waiting for staff review.`);
+    }
+
+    const recentCount = await MemberReport.countRecentByReporter(
+      guild.id,
+      reporter.id,
+      new Date(Date.now() - REPORT_CONFIG.RATE_WINDOW_MS)
+    );
+    if (recentCount >= config.max_reports_per_hour) {
+      throw new Error(`Report limit reached: you can file ${config.max_reports_per_hour} reports per hour. Please try again later.`);
+    }
+
+    return config;
+  }
+
+  /**
+   * Snapshot a reported message so edits or deletion before submission don't lose it
+   * @param {User} reporter - Reporting member
+   * @param {Message} message - Reported message
+   * @returns {Object} - Message snapshot
+   */
+  captureMessage(reporter, message) {
+    const snapshot = {
+      channel_id: message.channelId,
+      message_id: message.id,
+      author_id: message.author.id,
+      author_tag: message.author.tag,
+      content: this.truncate(message.content, REPORT_CONFIG.MAX_SNAPSHOT_CONTENT),
+      attachments: [...message.attachments.values()].map(attachment => ({
+        name: attachment.name,
+        url: attachment.url,
+        content_type: attachment.contentType || null,
+        size: attachment.size
+      })),
+      message_created_at: message.createdAt.toISOString(),
+      url: message.url
+    };
+
+    this.pendingSnapshots.set(`${reporter.id}:${message.id}`, {
+      snapshot,
+      expiresAt: Date.now() + REPORT_CONFIG.SNAPSHOT_TIMEOUT_MS
+    });
+    return snapshot;
+  }
+
+  /**
+   * Take the snapshot captured when the report modal opened
+   * @param {string} reporterId - Reporting member ID
+   * @param {string} messageId - Reported message ID
+   * @returns {Object|null} - Message snapshot, or null if it expired
+   */
+  takeSnapshot(reporterId, messageId) {
+    const key = `${reporterId}:${messageId}`;
+    const pending = this.pendingSnapshots.get(key);
+    this.pendingSnapshots.delete(key);
+
+    if (!pending || pending.expiresAt < Date.now()) {
+      return null;
+    }
+    return pending.snapshot;
+  }
+
+  /**
+   * File a report and post it to the staff queue
+   * @param {Guild} guild - Discord guild
+   * @param {User} reporter - Reporting member
+   * @param {Object} reportData - { reportType, targetUser, snapshot, reason }
+   * @returns {Promise<MemberReport>} - Created report
+   */
+  async submitReport(guild, reporter, { reportType, targetUser, snapshot = null, reason }) {
+    const config = await this.assertCanReport(guild, reporter, {
+      reportType,
+      targetUser,
+      messageId: snapshot?.message_id
+    });
+
+    const report = await MemberReport.create({
+      report_number: await MemberReport.generateReportNumber(guild.id),
+      guild_id: guild.id,
+      reporter_id: reporter.id,
+      target_user_id: targetUser.id,
+      report_type: reportType,
+      channel_id: snapshot?.channel_id || null,
+      message_id: snapshot?.message_id || null,
+      message_snapshot: snapshot,
+      reason
+    });
+
+    const channel = await guild.channels.fetch(config.channel_id).catch(() => null);
+    if (channel && channel.isTextBased()) {
+      const queueMessage = await channel.send({
+        embeds: [this.buildQueueEmbed(report)],
+        components: this.buildQueueComponents(report)
+      });
+      await report.update({ queue_message_id: queueMessage.id });
+    } else {
+      console.warn(`⚠️ Report queue channel missing for ${guild.name}; report ${report.report_number} stored without a queue card`);
+    }
+
+    console.log(`🚩 Report ${report.report_number} filed by ${reporter.tag} against ${targetUser.tag}`);
+    return report;
+  }
+
+  /**
+   * Claim a report for review
+   * @param {MemberReport} report - Open report
+   * @param {GuildMember} staffMember - Claiming staff member
+   * @returns {Promise<MemberReport>} - Updated report
+   */
+  async claimReport(report, staffMember) {
+    if (!report.isOpen()) {
+      throw new Error(`Report ${report.report_number} has already been ${report.status.toLowerCase()}.`);
+    }
+    if (report.status === 'CLAIMED') {
+      throw new Error(`Report ${report.report_number} is already claimed by <@${report.claimed_by}>.`);
+    }
+
+    await report.update({
+      status: 'CLAIMED',
+      claimed_by: staffMember.id,
+      claimed_at: new Date()
+    });
+
+    await this.refreshQueueCard(staffMember.guild, report);
+    return report;
+  }
+
+  /**
+   * Dismiss a report without action
+   * @param {MemberReport} report - Open report
+   * @param {GuildMember} staffMember - Dismissing staff member
+   * @returns {Promise<Object>} - { report, reporterNotified }
+   */
+  async dismissReport(report, staffMember) {
+    if (!report.isOpen()) {
+      throw new Error(`Report ${report.report_number} has already been ${report.status.toLowerCase()}.`);
+    }
+
+    await report.update({
+      status: 'DISMISSED',
+      resolved_by: staffMember.id,
+      resolved_at: new Date()
+    });
+
+    await AuditLog.logAdminAction(staffMember.id, report.guild_id, 'report_dismissed', report.target_user_id, {
+      report_number: report.report_number,
+      reporter_id: report.reporter_id
+    });
+
+    await this.refreshQueueCard(staffMember.guild, report);
+    const reporterNotified = await this.notifyReporter(staffMember.guild, report);
+    return { report, reporterNotified };
+  }
+
+  /**
+   * Escalate a report into a moderation case
+   * @param {MemberReport} report - Open report
+   * @param {GuildMember} staffMember - Escalating staff member
+   * @param {Object} caseOptions - { actionType, reason, duration }
+   * @returns {Promise<Object>} - { report, result, reporterNotified }
+   */
+  async escalateReport(report, staffMember, { actionType, reason, duration }) {
+    if (!report.isOpen()) {
+      throw new Error(`Report ${report.report_number} has already been ${report.status.toLowerCase()}.`);
+    }
+
+    const evidence = [`Member report ${report.report_number} by <@${report.reporter_id}>: ${report.reason}`];
+    const messageEvidence = report.toEvidenceString();
+    if (messageEvidence) evidence.push(messageEvidence);
+
+    const caseData = {
+      guildId: report.guild_id,
+      targetUserId: report.target_user_id,
+      moderatorId: staffMember.id,
+      actionType,
+      reason,
+      ...(duration && { duration }),
+      evidence,
+      metadata: {
+        member_report: {
+          report_number: report.report_number,
+          reporter_id: report.reporter_id,
+          message_id: report.message_id
+        }
+      }
+    };
+
+    const moderationService = new ModerationService();
+    const result = await moderationService.createCase(caseData, staffMember.guild, staffMember);
+
+    await report.update({
+      status: 'ESCALATED',
+      resolved_by: staffMember.id,
+      resolved_at: new Date(),
+      case_number: result.case.case_number
+    });
+
+    await AuditLog.logAdminAction(staffMember.id, report.guild_id, 'report_escalated', report.target_user_id, {
+      report_number: report.report_number,
+      reporter_id: report.reporter_id,
+      case_number: result.case.case_number
+    });
+
+    await this.refreshQueueCard(staffMember.guild, report);
+    const reporterNotified = await this.notifyReporter(staffMember.guild, report);
+    return { report, result, reporterNotified };
+  }
+
+  /**
+   * Build default case fields for the escalation form
+   * @param {MemberReport} report - Report being escalated
+   * @returns {Object} - { actionType, reason }
+   */
+  getCaseDefaults(report) {
+    const subject = report.report_type === 'MESSAGE' ? 'Reported message' : 'Reported by a member';
+    return {
+      actionType: 'WARN',
+      reason: this.truncate(`${subject}: ${report.reason}`, 1000)
+    };
+  }
+
+  /**
+   * Let the reporter know their report was reviewed
+   * @param {Guild} guild - Discord guild
+   * @param {MemberReport} report - Resolved report
+   * @returns {Promise<boolean>} - True if the DM was delivered
+   */
+  async notifyReporter(guild, report) {
+    try {
+      const settings = await GuildSettings.findByGuildId(guild.id);
+      if (!settings.getReportConfig().notify_reporter) {
+        return false;
+      }
+
+      const user = await guild.client.users.fetch(report.reporter_id);
+      const escalated = report.status === 'ESCALATED';
+
+      // Outcome details stay with staff; reporters only learn whether action was taken
+      await user.send({
+        embeds: [{
+          color: escalated ? BRAND_COLORS.SUCCESS : BRAND_COLORS.INFO,
+          title: '🚩 Your Report Was Reviewed',
+          description: escalated
+            ? `Staff in **${guild.name}** reviewed report **${report.report_number}** and took action. Thank you for helping keep the community safe.`
+            : `Staff in **${guild.name}** reviewed report **${report.report_number}** and decided no action was needed. Thank you for letting us know.`,
+          footer: {
+            text: 'Growmies NJ Cannabis Community • Member Reports'
+          },
+          timestamp: new Date().toISOString()
+        }]
+      });
+      return true;
+    } catch (error) {
+      console.warn(`Failed to notify reporter ${report.reporter_id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Update the queue card to show the report's current status
+   * @param {Guild} guild - Discord guild
+   * @param {MemberReport} report - Report
+   * @returns {Promise<void>}
+   */
+  async refreshQueueCard(guild, report) {
+    if (!report.queue_message_id) return;
+
+    try {
+      const settings = await GuildSettings.findByGuildId(guild.id);
+      const channel = await guild.channels.fetch(settings.getReportConfig().channel_id).catch(() => null);
+      const message = await channel?.messages.fetch(report.queue_message_id).catch(() => null);
+      if (!message) return;
+
+      await message.edit({
+        embeds: [this.buildQueueEmbed(report)],
+        components: this.buildQueueComponents(report)
+      });
+    } catch (error) {
+      console.warn(`Failed to update queue card for report ${report.report_number}:`, error.message);
+    }
+  }
+
+  /**
+   * Build the staff queue card for a report
+   * @param {MemberReport} report - Report
+   * @returns {Object} - Embed data
+   */
+  buildQueueEmbed(report) {
+    const fields = [
+      { name: '🎯 Reported User', value: `<@${report.target_user_id}> (${report.target_user_id})`, inline: true },
+      { name: '🙋 Reporter', value: `<@${report.reporter_id}>`, inline: true },
+      { name: '📊 Status', value: STATUS_LABELS[report.status], inline: true },
+      { name: '💬 Reason', value: this.truncate(report.reason, 1024), inline: false }
+    ];
+
+    if (report.report_type === 'MESSAGE' && report.message_snapshot) {
+      const snapshot = report.message_snapshot;
+      const attachments = snapshot.attachments.length > 0
+        ? `\n📎 ${snapshot.attachments.map(a => `[${a.name}](${a.url})`).join(', ')}`
+        : '';
+      fields.push({
+        name: '📝 Reported Message',
+        value: this.truncate(`[Jump to message](${snapshot.url}) in <#${snapshot.channel_id}>\n${snapshot.content || '*[no text]*'}${attachments}`, 1024),
+        inline: false
+      });
+    }
+
+    if (report.claimed_by) {
+      fields.push({ name: '👮 Claimed By', value: `<@${report.claimed_by}>`, inline: true });
+    }
+    if (report.status === 'DISMISSED') {
+      fields.push({ name: '🚫 Dismissed By', value: `<@${report.resolved_by}>`, inline: true });
+    }
+    if (report.status === 'ESCALATED') {
+      fields.push({ name: '⚖️ Case', value: `${report.case_number} by <@${report.resolved_by}>`, inline: true });
+    }
+
+    return {
+      color: report.isOpen() ? BRAND_COLORS.WARNING : (report.status === 'ESCALATED' ? BRAND_COLORS.ERROR : BRAND_COLORS.INFO),
+      title: `🚩 ${report.report_type === 'MESSAGE' ? 'Message' : 'User'} Report ${report.report_number}`,
+      fields,
+      footer: {
+        text: 'Growmies NJ Cannabis Community • Member Reports'
+      },
+      timestamp: new Date(report.created_at || Date.now()).toISOString()
+    };
+  }
+
+  /**
+   * Build Claim/Dismiss/Escalate buttons for an open report
+   * @param {MemberReport} report - Report
+   * @returns {ActionRowBuilder[]} - Components (empty once resolved)
+   */
+  buildQueueComponents(report) {
+    if (!report.isOpen()) {
+      return [];
+    }
+
+    return [new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId(`${REPORT_PREFIX}:claim:${report.id}`)
+        .setLabel('Claim')
+        .setEmoji('🙋')
+        .setStyle(ButtonStyle.Primary)
+        .setDisabled(report.status === 'CLAIMED'),
+      new ButtonBuilder()
+        .setCustomId(`${REPORT_PREFIX}:dismiss:${report.id}`)
+        .setLabel('Dismiss')
+        .setEmoji('🚫')
+        .setStyle(ButtonStyle.Secondary),
+      new ButtonBuilder()
+        .setCustomId(`${REPORT_PREFIX}:escalate:${report.id}`)
+        .setLabel('Escalate')
+        .setEmoji('⚖️')
+        .setStyle(ButtonStyle.Danger)
+    )];
+  }
+
+  /**
+   * Summarize open reports for the /reports queue listing
+   * @param {MemberReport} report - Open report
+   * @returns {Object} - Embed field
+   */
+  buildQueueListField(report) {
+    return {
+      name: `${STATUS_LABELS[report.status]} • ${report.report_number}`,
+      value: [
+        `🎯 <@${report.target_user_id}> • 🙋 <@${report.reporter_id}> • <t:${Math.floor(new Date(report.created_at).getTime() / 1000)}:R>`,
+        `💬 ${this.truncate(report.reason, 150)}`,
+        report.claimed_by ? `👮 Claimed by <@${report.claimed_by}>` : null
+      ].filter(Boolean).join('\n'),
+      inline: false
+    };
+  }
+
+  /**
+   * Truncate text
+   * @param {string|null} text - Text
+   * @param {number} length - Maximum length
+   * @returns {string} - Truncated text
+   */
+  truncate(text, length) {
+    if (!text) return '';
+    return text.length > length ? `${text.slice(0, length - 1)}…` : text;
+  }
+}
+
+const reportQueueService = new ReportQueueService();
+
+module.exports = {
+  ReportQueueService,
+  reportQueueService,
+  REPORT_CONFIG,
+  REPORT_PREFIX,
+  REPORT_CASE_ACTIONS
+};
@@ -0,0 +1,386 @@
+/**
+ * Re-Verification Service for GrowmiesNJ Discord Bot
+ *
+ * Enforces the per-guild age re-verification policy: reminds members before their
+ * 21+ verification expires, removes verification roles once it has expired and
+ * re-prompts them to verify. Also used by unbans that require re-verification.
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const { User } = require('../database/models/User');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { AuditLog } = require('../database/models/AuditLog');
+const { BRAND_COLORS } = require('../utils/embeds');
+const { RoleManagementService } = require('./roleManagement');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+
+/**
+ * Re-verification processing configuration
+ */
+const REVERIFICATION_CONFIG = {
+  CHECK_CRON: '15 * * * *', // Hourly at :15 (UTC)
+  BATCH_SIZE: 50
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Re-Verification Service Class
+ * Sends expiry reminders, expires verifications and records re-verification requirements
+ */
+class ReverificationService {
+  constructor() {
+    this.roleManager = new RoleManagementService();
+  }
+
+  /**
+   * Get a guild's re-verification policy
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object>} - Re-verification configuration
+   */
+  async getPolicy(guildId) {
+    const settings = await GuildSettings.findByGuildId(guildId);
+    return settings.getReverificationConfig();
+  }
+
+  /**
+   * Calculate when a verification completed now should expire
+   * @param {string} guildId - Discord guild ID
+   * @param {Date} from - Verification time
+   * @returns {Promise<Date>} - Expiry date
+   */
+  async getExpiryDate(guildId, from = new Date()) {
+    const policy = await this.getPolicy(guildId);
+    return new Date(from.getTime() + policy.validity_days * DAY_MS);
+  }
+
+  /**
+   * Check whether a verified member is inside the reminder window and may renew early
+   * @param {GuildMember} member - Discord guild member
+   * @returns {Promise<User|null>} - User record when renewal is open, otherwise null
+   */
+  async getRenewableRecord(member) {
+    const policy = await this.getPolicy(member.guild.id);
+    if (!policy.enabled) return null;
+
+    const user = await User.findOne({
+      where: { discord_id: member.user.id, guild_id: member.guild.id, is_active: true }
+    });
+    if (!user || user.verification_status !== 'verified' || !user.verification_expires) return null;
+
+    return user.getDaysUntilExpiration() <= policy.reminder_days ? user : null;
+  }
+
+  /**
+   * Renew a verification that is inside the reminder window
+   * @param {GuildMember} member - Discord guild member
+   * @param {User} user - User record from getRenewableRecord()
+   * @returns {Promise<Date>} - New expiry date
+   */
+  async renew(member, user) {
+    const now = new Date();
+    const previousExpiry = user.verification_expires;
+    const expiresAt = await this.getExpiryDate(member.guild.id, now);
+    const metadata = { ...(user.verification_metadata || {}) };
+    delete metadata.reverification_reminder_for;
+
+    await user.update({
+      verified_at: now,
+      verification_expires: expiresAt,
+      verification_metadata: { ...metadata, renewed_at: now.toISOString() }
+    });
+
+    await AuditLog.logVerificationAttempt(member.user.id, member.guild.id, member.user.id, 'success', {
+      verification_method: 'renewal',
+      previous_expiry: previousExpiry,
+      verification_expires: expiresAt.toISOString()
+    });
+
+    console.log(`[Reverification] Renewed verification for ${member.user.tag} until ${expiresAt.toISOString()}`);
+    return expiresAt;
+  }
+
+  /**
+   * Process every guild with re-verification enabled
+   * @param {Client} client - Discord client
+   * @returns {Promise<Object>} - Processing summary
+   */
+  async processVerifications(client) {
+    const summary = { reminded: 0, expired: 0, failed: 0 };
+
+    for (const guild of client.guilds.cache.values()) {
+      try {
+        const policy = await this.getPolicy(guild.id);
+        if (!policy.enabled) continue;
+
+        await this.sendReminders(client, guild, policy, summary);
+        await this.expireVerifications(client, guild, summary);
+      } catch (error) {
+        // One guild's failure must not hold back reminders and expiries in the others
+        summary.failed++;
+        console.error(`[Reverification] Failed to process verifications in ${guild.id}:`, error.message);
+      }
+    }
+
+    if (summary.reminded > 0 || summary.expired > 0 || summary.failed > 0) {
+      console.log(`[Reverification] Sent ${summary.reminded} reminder(s), expired ${summary.expired} verification(s), ${summary.failed} failed`);
+    }
+
+    return summary;
+  }
+
+  /**
+   * DM members whose verification expires within the reminder window
+   * Each expiry date is reminded about once; renewing resets it
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - Discord guild
+   * @param {Object} policy - Re-verification configuration
+   * @param {Object} summary - Processing summary to update
+   * @returns {Promise<void>}
+   */
+  async sendReminders(client, guild, policy, summary) {
+    if (policy.reminder_days === 0) return;
+
+    const expiring = await User.findExpiringVerifications(policy.reminder_days, guild.id);
+    const due = expiring
+      .filter(user => !user.isVerificationExpired())
+      .filter(user => user.verification_metadata?.reverification_reminder_for !== new Date(user.verification_expires).toISOString())
+      .slice(0, REVERIFICATION_CONFIG.BATCH_SIZE);
+
+    for (const user of due) {
+      try {
+        const delivered = await this.sendDM(client, user.discord_id, this.createReminderEmbed(guild, user, policy));
+
+        await user.update({
+          verification_metadata: {
+            ...(user.verification_metadata || {}),
+            reverification_reminder_for: new Date(user.verification_expires).toISOString(),
+            reverification_reminder_delivered: delivered
+          }
+        });
+        summary.reminded++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[Reverification] Failed to remind user ${user.discord_id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Expire verifications past their expiry date
+   * @param {Client} client - Discord client
+   * @param {Guild} guild - Discord guild
+   * @param {Object} summary - Processing summary to update
+   * @returns {Promise<void>}
+   */
+  async expireVerifications(client, guild, summary) {
+    const expired = await User.findExpiredVerifications(guild.id, REVERIFICATION_CONFIG.BATCH_SIZE);
+
+    for (const user of expired) {
+      try {
+        await this.expireUser(guild, user, {
+          actorId: client.user.id,
+          source: 'expiry',
+          reason: 'Age verification expired - re-verification required'
+        });
+        summary.expired++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[Reverification] Failed to expire verification for user ${user.discord_id}:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * Require a member to verify again, for example after an unban
+   * Does nothing when the member has no verified record
+   * @param {Guild} guild - Discord guild
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - Requirement details
+   * @param {string} options.actorId - Moderator (or bot) requiring re-verification
+   * @param {string} options.source - What required it ('unban', 'ban_expiry', ...)
+   * @param {string} options.reason - Reason shown on role removal and in the audit log
+   * @param {string} [options.caseNumber] - Related moderation case
+   * @returns {Promise<boolean>} - True if a verification was revoked
+   */
+  async requireReverification(guild, userId, options) {
+    const user = await User.findOne({ where: { discord_id: userId, guild_id: guild.id } });
+    if (!user || user.verification_status !== 'verified') return false;
+
+    await this.expireUser(guild, user, options);
+    return true;
+  }
+
+  /**
+   * Revoke a verification: remove roles, mark the record expired, audit and re-prompt
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - Verified user record
+   * @param {Object} options - See requireReverification()
+   * @returns {Promise<void>}
+   */
+  async expireUser(guild, user, { actorId, source, reason, caseNumber = null }) {
+    const member = await guild.members.fetch(user.discord_id).catch(() => null);
+    let removedRoles = [];
+
+    if (member) {
+      const removal = await this.roleManager.removeVerificationRoles(member, guild, reason);
+      removedRoles = removal.removedRoles;
+    }
+
+    await user.update({
+      verification_status: 'expired',
+      assigned_roles: [],
+      verification_metadata: {
+        ...(user.verification_metadata || {}),
+        reverification_required: {
+          source,
+          reason,
+          case_number: caseNumber,
+          required_at: new Date().toISOString()
+        }
+      }
+    });
+
+    await AuditLog.logAdminAction(
+      actorId,
+      guild.id,
+      'verification_expired',
+      user.discord_id,
+      {
+        source,
+        reason,
+        case_number: caseNumber,
+        verification_expires: user.verification_expires,
+        removed_roles: removedRoles,
+        in_guild: Boolean(member)
+      }
+    );
+
+    // Members who are not in the server are prompted by the join flow when they return
+    if (member) {
+      await this.promptMember(guild, member, source);
+    }
+
+    console.log(`[Reverification] Verification for ${user.discord_id} marked expired (${source})`);
+  }
+
+  /**
+   * Ask a member to verify again by DM and, when configured, in the re-verification channel
+   * @param {Guild} guild - Discord guild
+   * @param {GuildMember} member - Discord guild member
+   * @param {string} source - Why re-verification is required
+   * @returns {Promise<void>}
+   */
+  async promptMember(guild, member, source) {
+    const policy = await this.getPolicy(guild.id);
+    const embed = this.createPromptEmbed(guild, source);
+
+    await this.sendDM(member.client, member.user.id, embed);
+
+    if (!policy.channel_id) return;
+
+    try {
+      const channel = await guild.channels.fetch(policy.channel_id);
+      await channel.send({
+        content: `<@${member.user.id}>`,
+        embeds: [embed],
+        components: [this.createVerifyButtons()],
+        allowedMentions: { users: [member.user.id] }
+      });
+    } catch (error) {
+      console.warn(`[Reverification] Failed to post re-verification prompt in ${policy.channel_id}:`, error.message);
+    }
+  }
+
+  /**
+   * Send an embed to a user by DM
+   * @param {Client} client - Discord client
+   * @param {string} userId - Discord user ID
+   * @param {Object} embed - Embed data
+   * @returns {Promise<boolean>} - True if the DM was delivered
+   */
+  async sendDM(client, userId, embed) {
+    try {
+      const user = await client.users.fetch(userId);
+      await user.send({ embeds: [embed] });
+      return true;
+    } catch (error) {
+      console.warn(`[Reverification] Failed to DM user ${userId}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Build the verify buttons handled by the age verification flow
+   * @returns {ActionRowBuilder} - Button row
+   */
+  createVerifyButtons() {
+    return new ActionRowBuilder().addComponents(
+      new ButtonBuilder()
+        .setCustomId('verify_confirm')
+        .setLabel('✅ I am 21+ years old')
+        .setStyle(ButtonStyle.Success)
+        .setEmoji('🌿'),
+      new ButtonBuilder()
+        .setCustomId('verify_deny')
+        .setLabel('❌ I am under 21')
+        .setStyle(ButtonStyle.Danger)
+        .setEmoji('🚫')
+    );
+  }
+
+  /**
+   * Build the expiry reminder DM
+   * @param {Guild} guild - Discord guild
+   * @param {User} user - User record
+   * @param {Object} policy - Re-verification configuration
+   * @returns {Object} - Embed data
+   */
+  createReminderEmbed(guild, user, policy) {
+    const expiresAt = Math.floor(new Date(user.verification_expires).getTime() / 1000);
+
+    return {
+      color: BRAND_COLORS.WARNING,
+      title: '🔞 Age Verification Expiring Soon',
+      description: `Your 21+ verification in **${guild.name}** expires <t:${expiresAt}:R> (<t:${expiresAt}:D>).\n\n` +
+        `Run \`/verify\` in the server to renew it for another ${policy.validity_days} days. ` +
+        'If it expires, access to cannabis channels is removed until you verify again.',
+      footer: { text: 'Growmies NJ Cannabis Community • Age Verification' },
+      timestamp: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Build the re-verification prompt
+   * @param {Guild} guild - Discord guild
+   * @param {string} source - Why re-verification is required
+   * @returns {Object} - Embed data
+   */
+  createPromptEmbed(guild, source) {
+    return {
+      color: BRAND_COLORS.WARNING,
+      title: '🔞 Age Re-Verification Required',
+      description: `${source === 'expiry' ? 'Your 21+ verification has expired' : 'Staff have required you to verify your age again'} in **${guild.name}**, ` +
+        'so access to cannabis channels has been removed.\n\n' +
+        'Run `/verify` in the server (or use the buttons in the verification channel) to restore your access.',
+      footer: { text: 'Growmies NJ Cannabis Community • Age Verification' },
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
+const reverificationService = new ReverificationService();
+
+// Sweep for reminders and expired verifications hourly; a failed sweep waits for the next hour
+jobScheduler.registerRecurring(
+  JOB_TYPES.VERIFICATION_EXPIRY,
+  REVERIFICATION_CONFIG.CHECK_CRON,
+  (payload, { client }) => reverificationService.processVerifications(client),
+  { maxAttempts: 1 }
+);
+
+module.exports = {
+  ReverificationService,
+  reverificationService,
+  REVERIFICATION_CONFIG
+};
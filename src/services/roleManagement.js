@@ -7,6 +7,7 @@
 
 const { User } = require('../database/models/User');
 const { AuditLog } = require('../database/models/AuditLog');
+const { LevelingConfig } = require('../database/models/LevelingConfig');
 const { EmbedUtils } = require('../utils/embeds');
 
 /**
@@ -30,12 +31,13 @@ const ROLE_CONFIG = {
 
 /**
  * Role hierarchy levels for progression system
+ * Requirements for each come from the guild's tier rules (LevelingConfig.getTierRequirements)
  */
 const PROGRESSION_LEVELS = {
     SEEDLING: 0,     // New verified members
-    GROWING: 1,      // Active participants (30+ messages, 7+ days)
-    ESTABLISHED: 2,  // Long-term contributors (100+ messages, 30+ days)
-    HARVESTED: 3     // Community veterans (500+ messages, 90+ days, helping others)
+    GROWING: 1,      // Active participants
+    ESTABLISHED: 2,  // Long-term contributors
+    HARVESTED: 3     // Community veterans helping others
 };
 
 /**
@@ -200,10 +202,11 @@ class RoleManagementService {
                 return { success: false, reason: 'User not found or not verified' };
             }
 
-            // Calculate progression metrics (placeholder - would need message tracking)
+            // Calculate progression metrics and compare against the guild's tier rules
             const progressionData = await this.calculateProgressionMetrics(user);
+            const config = await LevelingConfig.findByGuildId(guild.id);
             const currentLevel = this.getCurrentProgressionLevel(member);
-            const targetLevel = this.determineProgressionLevel(progressionData);
+            const targetLevel = this.determineProgressionLevel(progressionData, config.getTierRequirements());
 
             if (targetLevel > currentLevel) {
                 return await this.updateProgressionLevel(member, guild, targetLevel, progressionData);
@@ -406,8 +409,8 @@ class RoleManagementService {
 
         return {
             daysSinceVerification,
-            messageCount: 0,        // Would come from message tracking
-            helpfulActions: 0,      // Would come from reaction tracking
+            messageCount: user.messages_count || 0,
+            helpfulActions: user.reactions_received || 0,
             channelParticipation: 0 // Would come from channel activity tracking
         };
     }
@@ -415,19 +418,21 @@ class RoleManagementService {
     /**
      * Determine target progression level based on metrics
      * @param {Object} metrics - User progression metrics
+     * @param {Object} tierRequirements - Tier rules from LevelingConfig.getTierRequirements()
      * @returns {number} - Target progression level
      */
-    determineProgressionLevel(metrics) {
-        // Progression logic based on activity metrics
-        if (metrics.daysSinceVerification >= 90 && 
-            metrics.messageCount >= 500 && 
-            metrics.helpfulActions >= 50) {
+    determineProgressionLevel(metrics, tierRequirements) {
+        // Only the requirements these metrics cover; level and XP rules are applied by tier progression
+        const meets = requirements =>
+            metrics.daysSinceVerification >= (requirements.min_days_active || 0) &&
+            metrics.messageCount >= (requirements.min_messages || 0) &&
+            metrics.helpfulActions >= (requirements.min_reactions_received || 0);
+
+        if (meets(tierRequirements.Harvested)) {
             return PROGRESSION_LEVELS.HARVESTED;
-        } else if (metrics.daysSinceVerification >= 30 && 
-                   metrics.messageCount >= 100) {
+        } else if (meets(tierRequirements.Established)) {
             return PROGRESSION_LEVELS.ESTABLISHED;
-        } else if (metrics.daysSinceVerification >= 7 && 
-                   metrics.messageCount >= 30) {
+        } else if (meets(tierRequirements.Growing)) {
             return PROGRESSION_LEVELS.GROWING;
         } else {
             return PROGRESSION_LEVELS.SEEDLING;
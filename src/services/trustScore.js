@@ -0,0 +1,365 @@
+/**
+ * Trust Score Service for GrowmiesNJ Discord Bot
+ *
+ * Computes a 0-100 member trust score from account age, age verification, leveling
+ * activity, moderation case history and economy anomalies
+ * Used for the staff Member Dossier and as a gate for gifting and posting links
+ */
+
+const { PermissionsBitField, SnowflakeUtil } = require('discord.js');
+const { Op } = require('sequelize');
+const { GuildSettings } = require('../database/models/GuildSettings');
+const { User } = require('../database/models/User');
+const { ModerationCase } = require('../database/models/ModerationCase');
+const { EconomyTransaction } = require('../database/models/EconomyTransaction');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Maximum points per score component (sums to 100)
+ */
+const TRUST_WEIGHTS = {
+  ACCOUNT_AGE: 20,
+  VERIFICATION: 20,
+  ACTIVITY: 20,
+  CASE_HISTORY: 30,
+  ECONOMY: 10
+};
+
+/**
+ * Trust score tuning
+ */
+const TRUST_CONFIG = {
+  ACCOUNT_AGE_FULL_DAYS: 365,
+  ACTIVITY_FULL_LEVEL: 20,
+  ACTIVITY_FULL_XP: 10000,
+  ECONOMY_WINDOW_DAYS: 30,
+  GIFT_SENDER_THRESHOLD: 5,
+  GIFT_INFLOW_MULTIPLIER: 3,
+  GIFT_INFLOW_MINIMUM: 1000,
+  ECONOMY_FLAG_PENALTY: 5,
+  CACHE_TTL_MS: 10 * 60 * 1000
+};
+
+/**
+ * Points per verification status
+ */
+const VERIFICATION_POINTS = {
+  'verified': 20,
+  'pending': 5,
+  'expired': 5,
+  'rejected': 0
+};
+
+/**
+ * Points deducted per case; closed cases count half, approved appeals count nothing
+ */
+const CASE_PENALTIES = {
+  'NOTE': 0,
+  'EDUCATIONAL_WARNING': 3,
+  'WARN': 6,
+  'TIMEOUT': 10,
+  'KICK': 15,
+  'BAN': 30
+};
+
+/**
+ * Score bands, highest first
+ */
+const TRUST_BANDS = [
+  { min: 70, label: '🟢 Trusted', color: BRAND_COLORS.SUCCESS },
+  { min: 40, label: '🟡 Standard', color: BRAND_COLORS.INFO },
+  { min: 20, label: '🟠 Limited', color: BRAND_COLORS.WARNING },
+  { min: 0, label: '🔴 Untrusted', color: BRAND_COLORS.ERROR }
+];
+
+// Reward transaction types counted as earned (rather than gifted) currency
+const EARNED_TRANSACTION_TYPES = ['daily_reward', 'work_reward', 'quiz_reward', 'challenge_reward', 'level_bonus', 'achievement_bonus'];
+
+const URL_PATTERN = /https?:\/\/\S+|discord(?:\.gg|app\.com\/invite|\.com\/invite)\/\S+/i;
+
+/**
+ * Trust Score Service Class
+ * Scores are cached briefly and invalidated when a new case is recorded
+ */
+class TrustScoreService {
+  constructor() {
+    // Cached scores (guildId:userId -> { result, expiresAt })
+    this.cache = new Map();
+  }
+
+  /**
+   * Compute a member's trust score
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {Object} options - { fresh } skips the cache
+   * @returns {Promise<Object>} - { score, band, components, flags, user, cases }
+   */
+  async getTrustScore(guildId, userId, { fresh = false } = {}) {
+    const key = `${guildId}:${userId}`;
+    const cached = this.cache.get(key);
+    if (!fresh && cached && cached.expiresAt > Date.now()) {
+      return cached.result;
+    }
+
+    const [user, cases, economy] = await Promise.all([
+      User.findOne({ where: { discord_id: userId, guild_id: guildId } }),
+      ModerationCase.findAll({
+        where: { target_user_id: userId, guild_id: guildId },
+        order: [['created_at', 'DESC']]
+      }),
+      // Economy data only lowers a score, so a failed lookup must not block the dossier or trust gates
+      this.getEconomySignals(guildId, userId).catch(error => {
+        console.warn(`[TrustScore] Economy signals unavailable for ${userId} in ${guildId}:`, error.message);
+        return { flags: [], unavailable: true };
+      })
+    ]);
+
+    const components = [
+      this.scoreAccountAge(userId),
+      this.scoreVerification(user),
+      this.scoreActivity(user),
+      this.scoreCaseHistory(cases),
+      this.scoreEconomy(economy)
+    ];
+
+    const score = Math.round(components.reduce((total, component) => total + component.points, 0));
+    const result = {
+      score,
+      band: this.getBand(score),
+      components,
+      flags: economy.flags,
+      user,
+      cases
+    };
+
+    this.cache.set(key, { result, expiresAt: Date.now() + TRUST_CONFIG.CACHE_TTL_MS });
+    return result;
+  }
+
+  /**
+   * Drop a cached score so the next lookup is recomputed
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   */
+  invalidate(guildId, userId) {
+    this.cache.delete(`${guildId}:${userId}`);
+  }
+
+  /**
+   * Check a member's score against one of the guild's trust gates
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @param {string} gate - 'gift' or 'link'
+   * @returns {Promise<Object>} - { allowed, score, minimum }
+   */
+  async checkGate(guildId, userId, gate) {
+    const settings = await GuildSettings.findByGuildId(guildId);
+    const minimum = settings.getTrustConfig()[`${gate}_min_score`];
+    if (!minimum) {
+      return { allowed: true, score: null, minimum };
+    }
+
+    const { score } = await this.getTrustScore(guildId, userId);
+    return { allowed: score >= minimum, score, minimum };
+  }
+
+  /**
+   * Remove links posted by members below the link trust gate
+   * @param {Message} message - Guild message
+   * @returns {Promise<boolean>} - True if the message was removed
+   */
+  async handleMessage(message) {
+    try {
+      if (!message.content || !URL_PATTERN.test(message.content)) {
+        return false;
+      }
+      if (message.member?.permissions.has(PermissionsBitField.Flags.ManageMessages)) {
+        return false;
+      }
+
+      const gate = await this.checkGate(message.guild.id, message.author.id, 'link');
+      if (gate.allowed) {
+        return false;
+      }
+
+      console.log(`🔗 Link from ${message.author.tag} removed (trust score ${gate.score} below ${gate.minimum})`);
+
+      await message.delete();
+      await message.author.send({
+        embeds: [{
+          color: BRAND_COLORS.WARNING,
+          title: '🔗 Link Removed - GrowmiesNJ',
+          description: `Your message in **${message.guild.name}** was removed because new and low-activity accounts can't post links yet. Keep participating in the community and this will unlock automatically.`,
+          footer: {
+            text: 'If you believe this was a mistake, please contact server staff.'
+          },
+          timestamp: new Date().toISOString()
+        }]
+      }).catch(() => {});
+      return true;
+
+    } catch (error) {
+      console.error('[TrustScore] Error checking link gate:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Score Discord account age (derived from the user ID)
+   * @param {string} userId - Discord user ID
+   * @returns {Object} - Score component
+   */
+  scoreAccountAge(userId) {
+    const createdAt = SnowflakeUtil.timestampFrom(userId);
+    const ageDays = Math.floor((Date.now() - createdAt) / (24 * 60 * 60 * 1000));
+    const ratio = Math.min(ageDays / TRUST_CONFIG.ACCOUNT_AGE_FULL_DAYS, 1);
+
+    return {
+      key: 'account_age',
+      label: '📅 Account Age',
+      points: TRUST_WEIGHTS.ACCOUNT_AGE * ratio,
+      max: TRUST_WEIGHTS.ACCOUNT_AGE,
+      detail: `${ageDays} day${ageDays !== 1 ? 's' : ''} old`
+    };
+  }
+
+  /**
+   * Score age verification status
+   * @param {User|null} user - User record
+   * @returns {Object} - Score component
+   */
+  scoreVerification(user) {
+    const status = user?.verification_status || 'pending';
+    const expired = status === 'verified' && user.isVerificationExpired();
+
+    return {
+      key: 'verification',
+      label: '🔞 Verification',
+      points: expired ? VERIFICATION_POINTS.expired : VERIFICATION_POINTS[status],
+      max: TRUST_WEIGHTS.VERIFICATION,
+      detail: expired ? 'expired' : status
+    };
+  }
+
+  /**
+   * Score leveling activity (level and lifetime XP)
+   * @param {User|null} user - User record
+   * @returns {Object} - Score component
+   */
+  scoreActivity(user) {
+    const level = user?.current_level || 1;
+    const xp = user?.total_xp || 0;
+    const levelRatio = Math.min(level / TRUST_CONFIG.ACTIVITY_FULL_LEVEL, 1);
+    const xpRatio = Math.min(xp / TRUST_CONFIG.ACTIVITY_FULL_XP, 1);
+
+    return {
+      key: 'activity',
+      label: '🌱 Activity',
+      points: TRUST_WEIGHTS.ACTIVITY * (levelRatio * 0.75 + xpRatio * 0.25),
+      max: TRUST_WEIGHTS.ACTIVITY,
+      detail: `Level ${level} • ${xp.toLocaleString()} XP`
+    };
+  }
+
+  /**
+   * Score moderation history; active cases weigh more than closed ones
+   * @param {ModerationCase[]} cases - All cases for the member
+   * @returns {Object} - Score component
+   */
+  scoreCaseHistory(cases) {
+    let penalty = 0;
+    for (const moderationCase of cases) {
+      if (moderationCase.appeal_status === 'APPROVED') continue;
+      const base = CASE_PENALTIES[moderationCase.action_type] || 0;
+      penalty += moderationCase.active ? base : base / 2;
+    }
+
+    const counted = cases.filter(c => c.action_type !== 'NOTE' && c.appeal_status !== 'APPROVED');
+    const active = counted.filter(c => c.active).length;
+
+    return {
+      key: 'case_history',
+      label: '📋 Case History',
+      points: Math.max(TRUST_WEIGHTS.CASE_HISTORY - penalty, 0),
+      max: TRUST_WEIGHTS.CASE_HISTORY,
+      detail: counted.length === 0 ? 'No cases' : `${counted.length} case${counted.length !== 1 ? 's' : ''} (${active} active)`
+    };
+  }
+
+  /**
+   * Score economy behaviour from anomaly flags
+   * @param {Object} economy - Result of getEconomySignals
+   * @returns {Object} - Score component
+   */
+  scoreEconomy(economy) {
+    return {
+      key: 'economy',
+      label: '💰 Economy',
+      points: Math.max(TRUST_WEIGHTS.ECONOMY - economy.flags.length * TRUST_CONFIG.ECONOMY_FLAG_PENALTY, 0),
+      max: TRUST_WEIGHTS.ECONOMY,
+      detail: economy.unavailable
+        ? 'Economy data unavailable'
+        : (economy.flags.length === 0 ? 'No anomalies' : `${economy.flags.length} anomal${economy.flags.length !== 1 ? 'ies' : 'y'}`)
+    };
+  }
+
+  /**
+   * Look for economy anomalies in the recent window
+   * Flags penalties, reversed transactions and gift funneling from many accounts
+   * @param {string} guildId - Discord guild ID
+   * @param {string} userId - Discord user ID
+   * @returns {Promise<Object>} - { flags }
+   */
+  async getEconomySignals(guildId, userId) {
+    const since = new Date(Date.now() - TRUST_CONFIG.ECONOMY_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const window = { user_id: userId, guild_id: guildId, created_at: { [Op.gte]: since } };
+
+    const [stats, giftSenders, reversed] = await Promise.all([
+      EconomyTransaction.getUserTransactionStats(userId, guildId, TRUST_CONFIG.ECONOMY_WINDOW_DAYS),
+      EconomyTransaction.count({
+        where: { ...window, transaction_type: 'gift_receive' },
+        distinct: true,
+        col: 'target_user_id'
+      }),
+      EconomyTransaction.count({ where: { ...window, status: 'reversed' } })
+    ]);
+
+    const flags = [];
+    const penalties = stats.by_type.penalty?.count || 0;
+    if (penalties > 0) {
+      flags.push(`${penalties} economy penalt${penalties !== 1 ? 'ies' : 'y'}`);
+    }
+    if (reversed > 0) {
+      flags.push(`${reversed} reversed transaction${reversed !== 1 ? 's' : ''}`);
+    }
+    if (giftSenders >= TRUST_CONFIG.GIFT_SENDER_THRESHOLD) {
+      flags.push(`Gifts received from ${giftSenders} accounts`);
+    }
+
+    const giftInflow = stats.by_type.gift_receive?.grow_coins || 0;
+    const earned = EARNED_TRANSACTION_TYPES.reduce((total, type) => total + (stats.by_type[type]?.grow_coins || 0), 0);
+    if (giftInflow >= TRUST_CONFIG.GIFT_INFLOW_MINIMUM && giftInflow > earned * TRUST_CONFIG.GIFT_INFLOW_MULTIPLIER) {
+      flags.push(`Gift inflow (${giftInflow.toLocaleString()}) far exceeds earned GrowCoins (${earned.toLocaleString()})`);
+    }
+
+    return { flags };
+  }
+
+  /**
+   * Get the band for a score
+   * @param {number} score - Trust score
+   * @returns {Object} - { min, label, color }
+   */
+  getBand(score) {
+    return TRUST_BANDS.find(band => score >= band.min);
+  }
+}
+
+const trustScoreService = new TrustScoreService();
+
+module.exports = {
+  TrustScoreService,
+  trustScoreService,
+  TRUST_WEIGHTS,
+  TRUST_BANDS
+};
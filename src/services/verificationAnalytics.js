@@ -0,0 +1,242 @@
+/**
+ * Verification Analytics Service for GrowmiesNJ Discord Bot
+ *
+ * Builds the age verification funnel from the audit trail: joins versus verifications,
+ * denials, rate-limit hits, time-to-verify and daily drop-off
+ * Shared by the /verification-stats command and the /reports/verification endpoint
+ */
+
+const { Op } = require('sequelize');
+const { AuditLog } = require('../database/models/AuditLog');
+const { User } = require('../database/models/User');
+
+/**
+ * Report window limits
+ */
+const ANALYTICS_CONFIG = {
+  DEFAULT_DAYS: 30,
+  MAX_DAYS: 90
+};
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Failure reasons that are a decision about the member's age rather than a failed attempt
+const DENIAL_REASONS = ['user_under_21', 'denied_by_staff'];
+
+const TIME_TO_VERIFY_BUCKETS = [
+  { label: '< 5 min', maxMs: 5 * MINUTE_MS },
+  { label: '5-60 min', maxMs: HOUR_MS },
+  { label: '1-24 hours', maxMs: DAY_MS },
+  { label: '1-7 days', maxMs: 7 * DAY_MS },
+  { label: '> 7 days', maxMs: Infinity }
+];
+
+/**
+ * Verification Analytics Service Class
+ */
+class VerificationAnalyticsService {
+  /**
+   * Clamp a requested window to the supported range
+   * @param {number|string} days - Requested days
+   * @returns {number} - Days to report on
+   */
+  clampDays(days) {
+    const parsed = parseInt(days, 10);
+    if (!Number.isInteger(parsed) || parsed < 1) return ANALYTICS_CONFIG.DEFAULT_DAYS;
+    return Math.min(parsed, ANALYTICS_CONFIG.MAX_DAYS);
+  }
+
+  /**
+   * Build the verification funnel report for a guild
+   * @param {string} guildId - Discord guild ID
+   * @param {number} days - Days to look back (including today)
+   * @returns {Promise<Object>} - Report data
+   */
+  async buildReport(guildId, days = ANALYTICS_CONFIG.DEFAULT_DAYS) {
+    const windowDays = this.clampDays(days);
+    const now = new Date();
+    const since = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()) - (windowDays - 1) * DAY_MS);
+
+    const [logs, currentStatus, failuresByDay] = await Promise.all([
+      AuditLog.findAll({
+        where: {
+          guild_id: guildId,
+          action_type: ['user_join', 'verification_success', 'verification_failure', 'verification_attempt'],
+          created_at: { [Op.gte]: since }
+        },
+        attributes: ['action_type', 'target_user_id', 'details', 'created_at'],
+        order: [['created_at', 'ASC']],
+        raw: true
+      }),
+      User.getVerificationStats(guildId),
+      AuditLog.getVerificationFailureStats(guildId, windowDays)
+    ]);
+
+    const summary = this.summarize(logs, { since, days: windowDays });
+    const failureCounts = new Map(failuresByDay.map(row => [this.toDateKey(row.date), parseInt(row.count, 10)]));
+    for (const day of summary.daily) {
+      day.failures = failureCounts.get(day.date) || 0;
+    }
+
+    return {
+      guild_id: guildId,
+      generated_at: now.toISOString(),
+      window: { days: windowDays, since: since.toISOString() },
+      current_status: currentStatus,
+      ...summary
+    };
+  }
+
+  /**
+   * Summarize verification audit logs into funnel metrics
+   * @param {Object[]} logs - Audit logs ({ action_type, target_user_id, details, created_at }), oldest first
+   * @param {Object} window - { since: Date, days: number }
+   * @returns {Object} - { totals, by_method, denials_by_reason, time_to_verify, daily }
+   */
+  summarize(logs, { since, days }) {
+    const firstJoin = new Map();
+    const firstVerification = new Map();
+    const byMethod = {};
+    const denialsByReason = {};
+    const totals = {
+      joins: 0,
+      verifications: 0,
+      renewals: 0,
+      denials: 0,
+      rate_limit_hits: 0,
+      other_failures: 0,
+      sent_to_review: 0
+    };
+
+    const daily = Array.from({ length: days }, (_, index) => ({
+      date: this.toDateKey(new Date(since.getTime() + index * DAY_MS)),
+      joins: 0,
+      verified: 0,
+      drop_off: 0,
+      drop_off_rate: 0,
+      verifications: 0,
+      denials: 0,
+      rate_limit_hits: 0
+    }));
+    const dayOf = (date) => daily[Math.floor((new Date(date) - since) / DAY_MS)];
+
+    for (const log of logs) {
+      const details = log.details || {};
+      const day = dayOf(log.created_at);
+      const at = new Date(log.created_at);
+
+      if (log.action_type === 'user_join') {
+        totals.joins++;
+        if (day) day.joins++;
+        if (!firstJoin.has(log.target_user_id)) firstJoin.set(log.target_user_id, at);
+      } else if (log.action_type === 'verification_success') {
+        if (details.verification_method === 'renewal') {
+          totals.renewals++;
+          continue;
+        }
+        totals.verifications++;
+        if (day) day.verifications++;
+        const method = details.verification_method || 'unknown';
+        byMethod[method] = (byMethod[method] || 0) + 1;
+        if (!firstVerification.has(log.target_user_id)) firstVerification.set(log.target_user_id, at);
+      } else if (log.action_type === 'verification_failure') {
+        if (details.failure_reason === 'rate_limited') {
+          totals.rate_limit_hits++;
+          if (day) day.rate_limit_hits++;
+        } else if (DENIAL_REASONS.includes(details.failure_reason)) {
+          totals.denials++;
+          if (day) day.denials++;
+          denialsByReason[details.failure_reason] = (denialsByReason[details.failure_reason] || 0) + 1;
+        } else {
+          totals.other_failures++;
+        }
+      } else if (log.action_type === 'verification_attempt') {
+        totals.sent_to_review++;
+      }
+    }
+
+    // Follow each member who joined in the window to their first verification after joining
+    const durations = [];
+    for (const [userId, joinedAt] of firstJoin) {
+      const verifiedAt = firstVerification.get(userId);
+      const day = dayOf(joinedAt);
+      if (verifiedAt && verifiedAt >= joinedAt) {
+        durations.push(verifiedAt - joinedAt);
+        if (day) day.verified++;
+      }
+    }
+
+    for (const day of daily) {
+      const uniqueJoiners = [...firstJoin.values()].filter(joinedAt => dayOf(joinedAt) === day).length;
+      day.drop_off = uniqueJoiners - day.verified;
+      day.drop_off_rate = this.percentage(day.drop_off, uniqueJoiners);
+    }
+
+    return {
+      totals: {
+        ...totals,
+        unique_joiners: firstJoin.size,
+        verified_members: firstVerification.size,
+        verified_after_join: durations.length,
+        conversion_rate: this.percentage(durations.length, firstJoin.size)
+      },
+      by_method: byMethod,
+      denials_by_reason: denialsByReason,
+      time_to_verify: this.distribution(durations),
+      daily
+    };
+  }
+
+  /**
+   * Summarize join-to-verification durations
+   * @param {number[]} durations - Durations in milliseconds
+   * @returns {Object} - { samples, median_minutes, p90_minutes, buckets }
+   */
+  distribution(durations) {
+    const sorted = [...durations].sort((a, b) => a - b);
+    const percentile = (p) => sorted.length > 0
+      ? Math.round(sorted[Math.min(sorted.length - 1, Math.ceil(p * sorted.length) - 1)] / MINUTE_MS)
+      : null;
+
+    const buckets = TIME_TO_VERIFY_BUCKETS.map(bucket => ({ label: bucket.label, count: 0 }));
+    for (const duration of sorted) {
+      buckets[TIME_TO_VERIFY_BUCKETS.findIndex(bucket => duration < bucket.maxMs)].count++;
+    }
+
+    return {
+      samples: sorted.length,
+      median_minutes: percentile(0.5),
+      p90_minutes: percentile(0.9),
+      buckets
+    };
+  }
+
+  /**
+   * Percentage rounded to one decimal place
+   * @param {number} part - Numerator
+   * @param {number} whole - Denominator
+   * @returns {number} - Percentage (0 when whole is 0)
+   */
+  percentage(part, whole) {
+    return whole > 0 ? Math.round((part / whole) * 1000) / 10 : 0;
+  }
+
+  /**
+   * Format a date as a UTC YYYY-MM-DD key
+   * @param {Date|string} date - Date or DATE column value
+   * @returns {string} - Date key
+   */
+  toDateKey(date) {
+    return typeof date === 'string' ? date.slice(0, 10) : date.toISOString().slice(0, 10);
+  }
+}
+
+const verificationAnalyticsService = new VerificationAnalyticsService();
+
+module.exports = {
+  VerificationAnalyticsService,
+  verificationAnalyticsService,
+  ANALYTICS_CONFIG
+};
@@ -0,0 +1,356 @@
+/**
+ * Voice Activity Service for GrowmiesNJ Discord Bot
+ *
+ * Tracks members in voice channels and pays out voice XP per active minute
+ * Time only counts while a member is listening with company: AFK, deafened,
+ * solo and excluded channels earn nothing. Sessions are checkpointed to the
+ * database so a restart does not lose time already earned
+ */
+
+const { VoiceSession } = require('../database/models/VoiceSession');
+const { LevelingConfig } = require('../database/models/LevelingConfig');
+const { XPCalculationService } = require('./xpCalculation');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+
+/**
+ * Voice tracking tuning
+ */
+const VOICE_CONFIG = {
+  CHECKPOINT_CRON: '* * * * *',  // Every minute (UTC)
+  AWARD_BATCH_MINUTES: 5,        // Pay out XP in batches while a member stays in voice
+  MAX_CHECKPOINT_GAP_MS: 3 * 60 * 1000 // Longer gaps (bot offline, missed sweeps) are not credited
+};
+
+/**
+ * Voice Activity Service Class
+ * Used by the voiceStateUpdate event and the recurring checkpoint job
+ */
+class VoiceActivityService {
+  constructor() {
+    // Active sessions by guildId:userId
+    this.sessions = new Map();
+    this.xpService = new XPCalculationService();
+  }
+
+  /**
+   * Handle a member joining, leaving, moving or changing mute/deafen state
+   * @param {VoiceState} oldState - State before the update
+   * @param {VoiceState} newState - State after the update
+   * @returns {Promise<void>}
+   */
+  async handleVoiceStateUpdate(oldState, newState) {
+    const member = newState.member || oldState.member;
+    if (!member || member.user.bot) return;
+
+    const guild = newState.guild;
+    const config = await LevelingConfig.findByGuildId(guild.id);
+
+    if (oldState.channelId !== newState.channelId) {
+      if (oldState.channelId) {
+        await this.endSession(guild, member.id, config);
+      }
+      if (newState.channelId) {
+        await this.startSession(guild, member.id, newState.channelId, config);
+      }
+    } else {
+      await this.checkpointMember(guild, member.id, config);
+    }
+
+    // Joining, leaving or deafening changes whether the others in these channels are alone
+    for (const channelId of new Set([oldState.channelId, newState.channelId])) {
+      if (!channelId) continue;
+      for (const session of this.getChannelSessions(guild.id, channelId)) {
+        if (session.user_id !== member.id) {
+          await this.checkpoint(guild, session, config);
+        }
+      }
+    }
+  }
+
+  /**
+   * Start tracking a member who joined a voice channel
+   * @param {Guild} guild - Discord guild
+   * @param {string} userId - Member ID
+   * @param {string} channelId - Voice channel ID
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<VoiceSession>} - Active session
+   */
+  async startSession(guild, userId, channelId, config) {
+    const key = `${guild.id}:${userId}`;
+
+    // A session left open by a missed leave event is closed first
+    const stale = this.sessions.get(key) || await VoiceSession.findActive(guild.id, userId);
+    if (stale) {
+      await this.finishSession(guild, stale, config);
+    }
+
+    const now = new Date();
+    const session = await VoiceSession.create({
+      guild_id: guild.id,
+      user_id: userId,
+      channel_id: channelId,
+      started_at: now,
+      last_checkpoint_at: now,
+      eligible: this.isEligible(guild, userId, config)
+    });
+
+    this.sessions.set(key, session);
+    return session;
+  }
+
+  /**
+   * Stop tracking a member who left voice and pay out their remaining time
+   * @param {Guild} guild - Discord guild
+   * @param {string} userId - Member ID
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<void>}
+   */
+  async endSession(guild, userId, config) {
+    const session = this.sessions.get(`${guild.id}:${userId}`) || await VoiceSession.findActive(guild.id, userId);
+    if (session) {
+      await this.finishSession(guild, session, config);
+    }
+  }
+
+  /**
+   * Credit the final stretch of a session, award it and close it
+   * @param {Guild} guild - Discord guild
+   * @param {VoiceSession} session - Active session
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<void>}
+   */
+  async finishSession(guild, session, config) {
+    this.credit(session, new Date());
+    await this.award(guild, session, config, 1);
+
+    await session.update({ status: 'ended', ended_at: new Date(), eligible: false });
+    this.sessions.delete(`${session.guild_id}:${session.user_id}`);
+  }
+
+  /**
+   * Checkpoint a tracked member's session
+   * @param {Guild} guild - Discord guild
+   * @param {string} userId - Member ID
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<void>}
+   */
+  async checkpointMember(guild, userId, config) {
+    const session = this.sessions.get(`${guild.id}:${userId}`);
+    if (session) {
+      await this.checkpoint(guild, session, config);
+    }
+  }
+
+  /**
+   * Credit time since the last checkpoint and re-evaluate whether the member is earning
+   * @param {Guild} guild - Discord guild
+   * @param {VoiceSession} session - Active session
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {Promise<void>}
+   */
+  async checkpoint(guild, session, config) {
+    this.credit(session, new Date());
+    await session.update({ eligible: this.isEligible(guild, session.user_id, config) });
+  }
+
+  /**
+   * Add eligible time since the last checkpoint to a session (saved with the next update)
+   * @param {VoiceSession} session - Active session
+   * @param {Date} now - Checkpoint time
+   * @returns {void}
+   */
+  credit(session, now) {
+    const elapsed = now - new Date(session.last_checkpoint_at);
+    if (session.eligible && elapsed > 0) {
+      session.active_seconds += Math.floor(Math.min(elapsed, VOICE_CONFIG.MAX_CHECKPOINT_GAP_MS) / 1000);
+    }
+    session.last_checkpoint_at = now;
+  }
+
+  /**
+   * Pay out unawarded whole minutes as voice XP
+   * @param {Guild} guild - Discord guild
+   * @param {VoiceSession} session - Session to pay out
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @param {number} minimumMinutes - Only pay out once this many minutes are owed
+   * @returns {Promise<number>} - Minutes paid out
+   */
+  async award(guild, session, config, minimumMinutes = VOICE_CONFIG.AWARD_BATCH_MINUTES) {
+    const minutes = session.getUnawardedMinutes();
+    if (minutes < minimumMinutes) return 0;
+
+    // Minutes are marked paid even when XP is withheld (voice XP off, member unverified)
+    await session.update({ awarded_minutes: session.awarded_minutes + minutes });
+
+    if (!config.isLevelingEnabled() || !config.voice_xp_enabled) return 0;
+
+    const member = await guild.members.fetch(session.user_id).catch(() => null);
+    if (!member) return 0;
+
+    try {
+      const result = await this.xpService.calculateVoiceXP(member, guild, minutes);
+      return result.success ? minutes : 0;
+    } catch (error) {
+      console.error(`[VoiceActivity] Failed to award ${minutes} voice minutes to ${session.user_id}:`, error.message);
+      return 0;
+    }
+  }
+
+  /**
+   * Check whether a member's time in voice currently counts
+   * @param {Guild} guild - Discord guild
+   * @param {string} userId - Member ID
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @returns {boolean} - True when the member is earning voice XP
+   */
+  isEligible(guild, userId, config) {
+    const voiceState = guild.voiceStates.cache.get(userId);
+    const channel = voiceState?.channel;
+    if (!channel) return false;
+
+    if (channel.id === guild.afkChannelId) return false;
+    if (config.isChannelExcluded(channel.id, channel.parentId)) return false;
+    if (this.isDeafened(voiceState)) return false;
+
+    // Someone else has to be listening; bots (music, radio) don't count as company
+    return channel.members.some(other =>
+      other.id !== userId && !other.user.bot && !this.isDeafened(other.voice)
+    );
+  }
+
+  /**
+   * Check whether a voice state is deafened by the member or by staff
+   * @param {VoiceState} voiceState - Voice state
+   * @returns {boolean} - True when the member cannot hear the channel
+   */
+  isDeafened(voiceState) {
+    return !!(voiceState?.selfDeaf || voiceState?.serverDeaf);
+  }
+
+  /**
+   * Active sessions in a channel
+   * @param {string} guildId - Discord guild ID
+   * @param {string} channelId - Voice channel ID
+   * @returns {VoiceSession[]} - Sessions
+   */
+  getChannelSessions(guildId, channelId) {
+    return [...this.sessions.values()].filter(session =>
+      session.guild_id === guildId && session.channel_id === channelId
+    );
+  }
+
+  /**
+   * Checkpoint every active session and pay out full batches (recurring job)
+   * @param {Client} client - Discord client
+   * @returns {Promise<Object>} - Sweep summary
+   */
+  async checkpointAll(client) {
+    const summary = { checkpointed: 0, awarded_minutes: 0, failed: 0 };
+    if (this.sessions.size === 0) {
+      return { ...summary, idle: true };
+    }
+
+    const configs = new Map();
+
+    for (const session of [...this.sessions.values()]) {
+      try {
+        const guild = client.guilds.cache.get(session.guild_id);
+        if (!guild) continue;
+
+        if (!configs.has(guild.id)) {
+          configs.set(guild.id, await LevelingConfig.findByGuildId(guild.id));
+        }
+        const config = configs.get(guild.id);
+
+        // Members whose leave or move event was missed are closed out (and re-tracked if they moved)
+        const currentChannelId = guild.voiceStates.cache.get(session.user_id)?.channelId;
+        if (currentChannelId !== session.channel_id) {
+          await this.finishSession(guild, session, config);
+          if (currentChannelId) {
+            await this.startSession(guild, session.user_id, currentChannelId, config);
+          }
+          continue;
+        }
+
+        await this.checkpoint(guild, session, config);
+        summary.awarded_minutes += await this.award(guild, session, config);
+        summary.checkpointed++;
+      } catch (error) {
+        summary.failed++;
+        console.error(`[VoiceActivity] Checkpoint failed for ${session.user_id} in ${session.guild_id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Resume tracking after a restart
+   * Sessions for members still in the same channel continue (downtime is not credited);
+   * the rest are paid out and closed, and members already in voice get new sessions
+   * @param {Client} client - Discord client
+   * @returns {Promise<void>}
+   */
+  async restoreState(client) {
+    try {
+      const stored = await VoiceSession.findAllActive();
+      let resumed = 0;
+
+      for (const session of stored) {
+        const guild = client.guilds.cache.get(session.guild_id);
+        if (!guild) continue;
+
+        const config = await LevelingConfig.findByGuildId(guild.id);
+        const key = `${session.guild_id}:${session.user_id}`;
+
+        if (guild.voiceStates.cache.get(session.user_id)?.channelId === session.channel_id) {
+          await session.update({
+            last_checkpoint_at: new Date(),
+            eligible: this.isEligible(guild, session.user_id, config)
+          });
+          this.sessions.set(key, session);
+          resumed++;
+        } else {
+          // Time up to the last checkpoint was already credited; only the payout is outstanding
+          session.last_checkpoint_at = new Date();
+          await this.finishSession(guild, session, config);
+        }
+      }
+
+      let started = 0;
+      for (const guild of client.guilds.cache.values()) {
+        const config = await LevelingConfig.findByGuildId(guild.id);
+
+        for (const voiceState of guild.voiceStates.cache.values()) {
+          if (!voiceState.channelId || voiceState.member?.user.bot) continue;
+          if (this.sessions.has(`${guild.id}:${voiceState.id}`)) continue;
+
+          await this.startSession(guild, voiceState.id, voiceState.channelId, config);
+          started++;
+        }
+      }
+
+      if (stored.length > 0 || started > 0) {
+        console.log(`[VoiceActivity] Resumed ${resumed} voice session(s), closed ${stored.length - resumed}, started ${started}`);
+      }
+    } catch (error) {
+      console.error('[VoiceActivity] Failed to restore voice sessions:', error);
+    }
+  }
+}
+
+const voiceActivityService = new VoiceActivityService();
+
+// Checkpoint sessions on the persistent scheduler so long stays pay out without a leave event
+jobScheduler.registerRecurring(
+  JOB_TYPES.VOICE_CHECKPOINT,
+  VOICE_CONFIG.CHECKPOINT_CRON,
+  (payload, { client }) => voiceActivityService.checkpointAll(client),
+  { maxAttempts: 1 }
+);
+
+module.exports = {
+  VoiceActivityService,
+  voiceActivityService,
+  VOICE_CONFIG
+};
@@ -14,6 +14,7 @@ const { User } = require('../database/models/User');
 const { LevelingConfig } = require('../database/models/LevelingConfig');
 const { AuditLog } = require('../database/models/AuditLog');
 const { RoleManagementService, ROLE_CONFIG } = require('./roleManagement');
+const { xpMultiplierService } = require('./xpMultipliers');
 const { EmbedUtils } = require('../utils/embeds');
 
 /**
@@ -86,7 +87,14 @@ class XPCalculationService {
             const baseXP = config.xp_per_message;
             const variation = Math.floor(baseXP * 0.25); // ±25% variation
             const randomOffset = Math.floor(Math.random() * (variation * 2 + 1)) - variation;
-            const finalXP = Math.max(1, baseXP + randomOffset);
+            const channel = messageData.channelId ? guild.channels.cache.get(messageData.channelId) : null;
+            const { xp: finalXP, metadata: multiplierData } = await this.applyMultipliers(
+                member,
+                guild,
+                Math.max(1, baseXP + randomOffset),
+                config,
+                channel
+            );
 
             // Award XP and check for level up
             const result = await this.awardXP(
@@ -95,7 +103,7 @@ class XPCalculationService {
                 finalXP, 
                 XP_SOURCES.MESSAGE, 
                 config,
-                messageData
+                { ...messageData, ...multiplierData }
             );
 
             // Set cooldown
@@ -135,10 +143,17 @@ class XPCalculationService {
             }
 
             // Calculate voice XP
-            const xpAmount = Math.floor(minutesActive * config.voice_xp_per_minute);
-            if (xpAmount <= 0) {
+            const baseXP = Math.floor(minutesActive * config.voice_xp_per_minute);
+            if (baseXP <= 0) {
                 return { success: false, reason: 'Insufficient voice activity time' };
             }
+            const { xp: xpAmount, metadata: multiplierData } = await this.applyMultipliers(
+                member,
+                guild,
+                baseXP,
+                config,
+                member.voice?.channel || null
+            );
 
             return await this.awardXP(
                 member, 
@@ -146,7 +161,7 @@ class XPCalculationService {
                 xpAmount, 
                 XP_SOURCES.VOICE_ACTIVITY, 
                 config,
-                { minutes_active: minutesActive }
+                { minutes_active: minutesActive, ...multiplierData }
             );
 
         } catch (error) {
@@ -160,9 +175,10 @@ class XPCalculationService {
      * @param {GuildMember} member - Discord guild member
      * @param {Guild} guild - Discord guild
      * @param {number} reactionCount - Number of helpful reactions received
+     * @param {GuildChannel|null} channel - Channel of the reacted message
      * @returns {Promise<Object>} - XP calculation result
      */
-    async calculateReactionXP(member, guild, reactionCount = 1) {
+    async calculateReactionXP(member, guild, reactionCount = 1, channel = null) {
         try {
             console.log(`👍 Calculating reaction XP for ${member.user.tag}: ${reactionCount} reactions`);
 
@@ -179,7 +195,13 @@ class XPCalculationService {
                 }
             }
 
-            const xpAmount = reactionCount * config.xp_per_reaction_received;
+            const { xp: xpAmount, metadata: multiplierData } = await this.applyMultipliers(
+                member,
+                guild,
+                reactionCount * config.xp_per_reaction_received,
+                config,
+                channel
+            );
             
             return await this.awardXP(
                 member, 
@@ -187,7 +209,7 @@ class XPCalculationService {
                 xpAmount, 
                 XP_SOURCES.REACTION_RECEIVED, 
                 config,
-                { reaction_count: reactionCount }
+                { reaction_count: reactionCount, ...multiplierData }
             );
 
         } catch (error) {
@@ -196,6 +218,27 @@ class XPCalculationService {
         }
     }
 
+    /**
+     * Apply channel, role, boost event and boost item multipliers to base XP
+     * @param {GuildMember} member - Discord guild member
+     * @param {Guild} guild - Discord guild
+     * @param {number} baseXP - XP before multipliers
+     * @param {LevelingConfig} config - Guild leveling configuration
+     * @param {GuildChannel|null} channel - Channel the XP was earned in
+     * @returns {Promise<Object>} - { xp, metadata } where metadata records the multiplier for the audit log
+     */
+    async applyMultipliers(member, guild, baseXP, config, channel = null) {
+        const { multiplier, sources } = await xpMultiplierService.getEffectiveMultiplier(member, guild, config, channel);
+        return {
+            xp: xpMultiplierService.applyMultiplier(baseXP, multiplier),
+            metadata: {
+                base_xp: baseXP,
+                xp_multiplier: multiplier,
+                multiplier_sources: sources
+            }
+        };
+    }
+
     /**
      * Award XP to user and handle level progression
      * @param {GuildMember} member - Discord guild member
@@ -219,16 +262,14 @@ class XPCalculationService {
             const previousTier = user.level_tier;
             const previousTotalXP = user.total_xp;
 
-            // Award XP and update counters
-            const newTotalXP = previousTotalXP + xpAmount;
+            // Award XP and update counters (negative amounts revoke XP, e.g. removed reactions)
+            const newTotalXP = Math.max(0, previousTotalXP + xpAmount);
             const newLevel = config.calculateLevelFromXP(newTotalXP);
-            const newTier = config.getTierFromLevel(newLevel);
 
             // Update user record
             const updateData = {
                 total_xp: newTotalXP,
                 current_level: newLevel,
-                level_tier: newTier,
                 last_xp_gain: new Date(),
                 last_activity_at: new Date()
             };
@@ -242,29 +283,47 @@ class XPCalculationService {
                     updateData.voice_time_minutes = user.voice_time_minutes + (metadata.minutes_active || 0);
                     break;
                 case XP_SOURCES.REACTION_RECEIVED:
-                    updateData.reactions_received = user.reactions_received + (metadata.reaction_count || 1);
+                    updateData.reactions_received = Math.max(0, user.reactions_received + (metadata.reaction_count || 1));
                     break;
             }
 
             await user.update(updateData);
 
-            // Check for level up and tier progression
+            // Tiers also depend on activity requirements, so level changes are handed to
+            // the progression service as a scheduled check that survives restarts
             const leveledUp = newLevel > previousLevel;
-            const tierChanged = newTier !== previousTier;
+            const levelChanged = newLevel !== previousLevel;
+            if (levelChanged) {
+                try {
+                    // Required lazily: the progression service builds on this one
+                    const { automaticRoleProgressionService } = require('./automaticRoleProgression');
+                    await automaticRoleProgressionService.queueProgressionCheck(member.user.id, guild.id, leveledUp ? 'level_up' : 'level_down');
+                } catch (progressionError) {
+                    // The daily progression run still catches members whose check could not be queued
+                    console.error(`❌ Error queueing progression check for ${member.user.id}:`, progressionError.message);
+                }
+            }
 
-            let roleUpdateResult = null;
-            if (tierChanged) {
-                roleUpdateResult = await this.updateTierRoles(member, guild, previousTier, newTier);
+            // Grant the guild's level rewards; a failed reward must not lose the XP
+            let rewardsGranted = 0;
+            if (leveledUp) {
+                try {
+                    const { levelRewardService } = require('./levelRewards');
+                    const rewards = await levelRewardService.grantLevelRewards(member, guild, user, config);
+                    rewardsGranted = rewards.granted.length;
+                } catch (error) {
+                    console.error(`❌ Error granting level rewards to ${member.user.id}:`, error.message);
+                }
             }
 
             // Log XP award for audit trail
             await this.logXPAward(member, guild, xpAmount, source, {
                 previous_level: previousLevel,
                 new_level: newLevel,
-                previous_tier: previousTier,
-                new_tier: newTier,
+                tier: previousTier,
                 leveled_up: leveledUp,
-                tier_changed: tierChanged,
+                progression_queued: levelChanged,
+                rewards_granted: rewardsGranted,
                 ...metadata
             });
 
@@ -272,9 +331,8 @@ class XPCalculationService {
             if (leveledUp && config.level_up_notifications_enabled) {
                 await this.sendLevelUpNotification(member, guild, config, {
                     level: newLevel,
-                    tier: newTier,
-                    xp_gained: xpAmount,
-                    tier_changed: tierChanged
+                    tier: previousTier,
+                    xp_gained: xpAmount
                 });
             }
 
@@ -284,11 +342,10 @@ class XPCalculationService {
                 total_xp: newTotalXP,
                 previous_level: previousLevel,
                 new_level: newLevel,
-                previous_tier: previousTier,
-                new_tier: newTier,
+                tier: previousTier,
                 leveled_up: leveledUp,
-                tier_changed: tierChanged,
-                role_update: roleUpdateResult
+                progression_queued: levelChanged,
+                rewards_granted: rewardsGranted
             };
 
             console.log(`🌿 XP awarded successfully: ${JSON.stringify(result)}`);
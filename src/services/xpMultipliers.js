@@ -0,0 +1,297 @@
+/**
+ * XP Multiplier Service for GrowmiesNJ Discord Bot
+ *
+ * Works out the multiplier on a member's XP from four sources:
+ * - The channel (or its category) the XP was earned in
+ * - The member's highest multiplier role, e.g. server boosters
+ * - A running boost event such as a "4/20 Double XP weekend"
+ * - An active XP boost item from the member's inventory
+ * Sources multiply together, capped at XP_MULTIPLIER_LIMITS.MAX_EFFECTIVE.
+ * Boost events are scheduled with /xp-boost and announced when they start and end
+ */
+
+const { Op } = require('sequelize');
+const { XPBoostEvent } = require('../database/models/XPBoostEvent');
+const { XP_MULTIPLIER_LIMITS } = require('../database/models/LevelingConfig');
+const { jobScheduler, JOB_TYPES } = require('./jobScheduler');
+const { BRAND_COLORS } = require('../utils/embeds');
+
+/**
+ * Boost event limits
+ */
+const BOOST_EVENT_LIMITS = {
+  MAX_DURATION_MS: 14 * 24 * 60 * 60 * 1000,
+  MAX_SCHEDULE_AHEAD_MS: 365 * 24 * 60 * 60 * 1000,
+  MAX_SCHEDULED: 10,
+  CACHE_TTL_MS: 60 * 1000 // Running events are looked up on every XP award
+};
+
+/**
+ * XP Multiplier Service Class
+ * Used by the XP engine on every award, by /level to show the current multiplier and by /xp-boost
+ */
+class XPMultiplierService {
+  constructor() {
+    this.eventCache = new Map(); // guildId -> { events, expiresAt }
+    this.itemBoostsFailing = false; // Inventory failures are logged once until a lookup succeeds again
+  }
+
+  /**
+   * Get the multiplier a member currently earns XP at
+   * @param {GuildMember} member - Discord guild member
+   * @param {Guild} guild - Discord guild
+   * @param {LevelingConfig} config - Guild leveling configuration
+   * @param {GuildChannel|null} channel - Channel the XP is earned in, if any
+   * @returns {Promise<Object>} - { multiplier, capped, sources } where sources lists each applied multiplier
+   */
+  async getEffectiveMultiplier(member, guild, config, channel = null) {
+    const sources = [];
+
+    const channelMultiplier = channel ? config.getChannelMultiplier(channel.id, channel.parentId) : null;
+    if (channelMultiplier) {
+      sources.push({ type: 'channel', id: channelMultiplier.channel_id, multiplier: channelMultiplier.multiplier });
+    }
+
+    const roleMultiplier = config.getRoleMultiplier([...(member.roles?.cache?.keys() || [])]);
+    if (roleMultiplier) {
+      sources.push({ type: 'role', id: roleMultiplier.role_id, multiplier: roleMultiplier.multiplier });
+    }
+
+    const [event] = await this.getActiveEvents(guild.id);
+    if (event) {
+      sources.push({ type: 'event', id: event.id, name: event.name, multiplier: event.multiplier });
+    }
+
+    const itemBoost = await this.getItemBoost(member.user.id, guild.id);
+    if (itemBoost) {
+      sources.push({ type: 'item', id: itemBoost.id, multiplier: itemBoost.multiplier, expires_at: itemBoost.expires_at });
+    }
+
+    const product = sources.reduce((total, source) => total * source.multiplier, 1);
+    return {
+      multiplier: Math.round(Math.min(product, XP_MULTIPLIER_LIMITS.MAX_EFFECTIVE) * 100) / 100,
+      capped: product > XP_MULTIPLIER_LIMITS.MAX_EFFECTIVE,
+      sources
+    };
+  }
+
+  /**
+   * Apply a multiplier to a base XP amount
+   * @param {number} baseXP - XP before multipliers
+   * @param {number} multiplier - Effective multiplier
+   * @returns {number} - Multiplied XP; activity that earns XP always earns at least 1
+   */
+  applyMultiplier(baseXP, multiplier) {
+    if (baseXP <= 0) return baseXP;
+    return Math.max(1, Math.round(baseXP * multiplier));
+  }
+
+  /**
+   * Get a guild's running boost events, cached briefly
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<XPBoostEvent[]>} - Running events, highest multiplier first
+   */
+  async getActiveEvents(guildId) {
+    const cached = this.eventCache.get(guildId);
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.events.filter(event => event.isActive());
+    }
+
+    const events = await XPBoostEvent.findActive(guildId);
+    this.eventCache.set(guildId, { events, expiresAt: Date.now() + BOOST_EVENT_LIMITS.CACHE_TTL_MS });
+    return events;
+  }
+
+  /**
+   * Get the strongest active XP boost item a member has used
+   * @param {string} userId - Discord user ID
+   * @param {string} guildId - Discord guild ID
+   * @returns {Promise<Object|null>} - { id, multiplier, expires_at } or null
+   */
+  async getItemBoost(userId, guildId) {
+    try {
+      const { UserInventory } = require('../database/models/UserInventory');
+      const items = await UserInventory.findAll({
+        where: {
+          user_id: userId,
+          guild_id: guildId,
+          current_effects: { xp_boost: { expires_at: { [Op.gt]: new Date().toISOString() } } }
+        }
+      });
+
+      this.itemBoostsFailing = false;
+      return items
+        .map(item => ({ id: item.id, ...item.current_effects.xp_boost }))
+        .sort((a, b) => b.multiplier - a.multiplier)[0] || null;
+    } catch (error) {
+      // XP is still awarded at the other multipliers when inventory is unavailable
+      if (!this.itemBoostsFailing) {
+        this.itemBoostsFailing = true;
+        console.warn('[XPMultipliers] Failed to read boost items, ignoring them until inventory is readable again:', error.message);
+      }
+      return null;
+    }
+  }
+
+  /**
+   * Schedule a boost event and its start and end announcements
+   * @param {Guild} guild - Discord guild
+   * @param {Object} event - { name, multiplier, startsAt, endsAt, announcementChannelId }
+   * @param {string} createdBy - Discord ID of the staff member
+   * @returns {Promise<XPBoostEvent>} - Scheduled event
+   */
+  async scheduleEvent(guild, { name, multiplier, startsAt, endsAt, announcementChannelId = null }, createdBy) {
+    const now = Date.now();
+
+    if (!name || name.length > 100) {
+      throw new Error('Boost event name must be 1-100 characters');
+    }
+    if (typeof multiplier !== 'number' || multiplier <= 1 || multiplier > XP_MULTIPLIER_LIMITS.MAX) {
+      throw new Error(`Boost event multiplier must be above 1 and at most ${XP_MULTIPLIER_LIMITS.MAX}`);
+    }
+    if (endsAt <= startsAt || endsAt.getTime() <= now) {
+      throw new Error('Boost event must end after it starts and in the future');
+    }
+    if (endsAt - startsAt > BOOST_EVENT_LIMITS.MAX_DURATION_MS) {
+      throw new Error('Boost event can last at most 14 days');
+    }
+    if (startsAt.getTime() - now > BOOST_EVENT_LIMITS.MAX_SCHEDULE_AHEAD_MS) {
+      throw new Error('Boost event must start within a year');
+    }
+    if ((await XPBoostEvent.findScheduled(guild.id)).length >= BOOST_EVENT_LIMITS.MAX_SCHEDULED) {
+      throw new Error(`Boost event limit reached: at most ${BOOST_EVENT_LIMITS.MAX_SCHEDULED} running or upcoming events`);
+    }
+
+    const event = await XPBoostEvent.create({
+      guild_id: guild.id,
+      name,
+      multiplier: Math.round(multiplier * 100) / 100,
+      starts_at: startsAt,
+      ends_at: endsAt,
+      announcement_channel_id: announcementChannelId,
+      created_by: createdBy
+    });
+
+    // Events starting now are announced on the next scheduler tick
+    await jobScheduler.schedule(JOB_TYPES.XP_BOOST_START, { guildId: guild.id, eventId: event.id }, {
+      runAt: new Date(Math.max(startsAt.getTime(), now)),
+      guildId: guild.id,
+      uniqueKey: `xp-boost:${event.id}:start`,
+      createdBy
+    });
+    await jobScheduler.schedule(JOB_TYPES.XP_BOOST_END, { guildId: guild.id, eventId: event.id }, {
+      runAt: endsAt,
+      guildId: guild.id,
+      uniqueKey: `xp-boost:${event.id}:end`,
+      createdBy
+    });
+
+    this.eventCache.delete(guild.id);
+    return event;
+  }
+
+  /**
+   * Cancel a running or upcoming boost event
+   * @param {Guild} guild - Discord guild
+   * @param {XPBoostEvent} event - Event to cancel
+   * @param {string} cancelledBy - Discord ID of the staff member
+   * @returns {Promise<boolean>} - True when the event was running and has been announced as ended
+   */
+  async cancelEvent(guild, event, cancelledBy) {
+    const wasActive = event.isActive();
+    await event.update({ cancelled_at: new Date(), cancelled_by: cancelledBy });
+
+    await jobScheduler.cancelByKey(`xp-boost:${event.id}:start`);
+    await jobScheduler.cancelByKey(`xp-boost:${event.id}:end`);
+    this.eventCache.delete(guild.id);
+
+    if (wasActive) {
+      await this.announce(guild, event, 'cancelled');
+    }
+    return wasActive;
+  }
+
+  /**
+   * Post a boost event announcement
+   * @param {Guild} guild - Discord guild
+   * @param {XPBoostEvent} event - Boost event
+   * @param {string} phase - 'started', 'ended' or 'cancelled'
+   * @returns {Promise<boolean>} - True when the announcement was posted
+   */
+  async announce(guild, event, phase) {
+    try {
+      const channel = (event.announcement_channel_id && await guild.channels.fetch(event.announcement_channel_id).catch(() => null)) ||
+        guild.systemChannel;
+      if (!channel || !channel.isTextBased()) return false;
+
+      const endsAt = Math.floor(new Date(event.ends_at).getTime() / 1000);
+      const announcements = {
+        started: {
+          color: BRAND_COLORS.GOLD_ACCENT,
+          title: `⚡ ${event.name} Has Started!`,
+          description: `All XP is multiplied by **${event.multiplier}×** until <t:${endsAt}:F> (<t:${endsAt}:R>). Get chatting! 🌿`
+        },
+        ended: {
+          color: BRAND_COLORS.PRIMARY_GREEN,
+          title: `🌙 ${event.name} Has Ended`,
+          description: 'XP is back to the usual rates. Thanks for growing with us! 🌱'
+        },
+        cancelled: {
+          color: BRAND_COLORS.WARNING,
+          title: `🛑 ${event.name} Was Ended Early`,
+          description: 'Staff ended this boost event early; XP is back to the usual rates.'
+        }
+      };
+
+      await channel.send({
+        embeds: [{
+          ...announcements[phase],
+          footer: { text: 'Growmies NJ Cannabis Community • XP Boost Event' },
+          timestamp: new Date().toISOString()
+        }]
+      });
+      return true;
+    } catch (error) {
+      console.warn(`[XPMultipliers] Failed to announce boost event ${event.id} in ${guild.id}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Run a scheduled start or end announcement
+   * @param {Client} client - Discord client
+   * @param {Object} payload - { guildId, eventId }
+   * @param {string} phase - 'started' or 'ended'
+   * @returns {Promise<Object>} - Job result
+   */
+  async handleEventJob(client, { guildId, eventId }, phase) {
+    const guild = client.guilds.cache.get(guildId);
+    if (!guild) {
+      return { skipped: true, reason: 'guild_unavailable' };
+    }
+
+    const event = await XPBoostEvent.findByPk(eventId);
+    if (!event || event.cancelled_at) {
+      return { skipped: true, reason: 'cancelled' };
+    }
+
+    this.eventCache.delete(guildId);
+    return { announced: await this.announce(guild, event, phase) };
+  }
+}
+
+const xpMultiplierService = new XPMultiplierService();
+
+// Boost event announcements run on the persistent scheduler so restarts do not drop them
+jobScheduler.registerHandler(JOB_TYPES.XP_BOOST_START, (payload, { client }) =>
+  xpMultiplierService.handleEventJob(client, payload, 'started')
+);
+jobScheduler.registerHandler(JOB_TYPES.XP_BOOST_END, (payload, { client }) =>
+  xpMultiplierService.handleEventJob(client, payload, 'ended')
+);
+
+module.exports = {
+  XPMultiplierService,
+  xpMultiplierService,
+  BOOST_EVENT_LIMITS
+};
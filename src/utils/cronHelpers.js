@@ -0,0 +1,199 @@
+/**
+ * Cron Expression Helpers for GrowmiesNJ Discord Bot
+ *
+ * Scheduled Jobs: Minimal five-field cron parser used by the job scheduler
+ * to compute recurring run times. All calculations are performed in UTC so
+ * schedules behave the same on Railway.app and local development machines.
+ */
+
+/**
+ * Allowed ranges for each cron field (minute hour day-of-month month day-of-week)
+ */
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 6 }
+];
+
+/**
+ * Shorthand aliases supported in place of a full expression
+ */
+const CRON_ALIASES = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *'
+};
+
+/**
+ * Upper bound on the search window when computing the next run (~1 year in minutes)
+ */
+const MAX_SEARCH_MINUTES = 366 * 24 * 60;
+
+/**
+ * Cron parsing and scheduling utilities
+ */
+class CronHelpers {
+  /**
+   * Parse a cron expression into sets of allowed values
+   * @param {string} expression - Five-field cron expression or alias (e.g. "0 4 * * *", "@daily")
+   * @returns {Object} - Parsed schedule with a Set per field
+   * @throws {Error} If the expression is malformed
+   */
+  static parse(expression) {
+    if (!expression || typeof expression !== 'string') {
+      throw new Error('Cron expression must be a non-empty string');
+    }
+
+    const normalized = CRON_ALIASES[expression.trim().toLowerCase()] || expression.trim();
+    const parts = normalized.split(/\s+/);
+
+    if (parts.length !== CRON_FIELDS.length) {
+      throw new Error(`Cron expression must have ${CRON_FIELDS.length} fields: "${expression}"`);
+    }
+
+    const schedule = {};
+    parts.forEach((part, index) => {
+      const field = CRON_FIELDS[index];
+      schedule[field.name] = this.parseField(part, field);
+    });
+
+    // Day matching follows Vixie cron: when both day fields are restricted, either may match
+    schedule.dayOfMonthRestricted = parts[2] !== '*';
+    schedule.dayOfWeekRestricted = parts[4] !== '*';
+
+    return schedule;
+  }
+
+  /**
+   * Parse a single cron field (supports *, lists, ranges and steps)
+   * @param {string} part - Field text
+   * @param {Object} field - Field definition with min/max bounds
+   * @returns {Set<number>} - Allowed values for the field
+   */
+  static parseField(part, field) {
+    const values = new Set();
+
+    for (const segment of part.split(',')) {
+      const [rangeText, stepText] = segment.split('/');
+      const step = stepText !== undefined ? parseInt(stepText, 10) : 1;
+
+      if (isNaN(step) || step < 1) {
+        throw new Error(`Invalid step "${stepText}" in ${field.name} field`);
+      }
+
+      let start;
+      let end;
+      if (rangeText === '*') {
+        start = field.min;
+        end = field.max;
+      } else if (rangeText.includes('-')) {
+        [start, end] = rangeText.split('-').map(value => parseInt(value, 10));
+      } else {
+        start = parseInt(rangeText, 10);
+        end = stepText !== undefined ? field.max : start;
+      }
+
+      // Allow 7 as an alias for Sunday
+      const max = field.name === 'dayOfWeek' ? 7 : field.max;
+
+      if (isNaN(start) || isNaN(end) || start < field.min || end > max || start > end) {
+        throw new Error(`Invalid value "${segment}" in ${field.name} field`);
+      }
+
+      for (let value = start; value <= end; value += step) {
+        values.add(value === 7 && field.name === 'dayOfWeek' ? 0 : value);
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Check whether a cron expression is valid
+   * @param {string} expression - Cron expression
+   * @returns {boolean} - True if the expression parses
+   */
+  static isValid(expression) {
+    try {
+      this.parse(expression);
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Check whether a date matches a parsed schedule (UTC)
+   * @param {Object} schedule - Parsed schedule from parse()
+   * @param {Date} date - Date to check
+   * @returns {boolean} - True if the date matches
+   */
+  static matches(schedule, date) {
+    if (!schedule.minute.has(date.getUTCMinutes())) return false;
+    if (!schedule.hour.has(date.getUTCHours())) return false;
+    if (!schedule.month.has(date.getUTCMonth() + 1)) return false;
+    return this.matchesDay(schedule, date);
+  }
+
+  /**
+   * Check day-of-month / day-of-week match for a date (UTC)
+   * @param {Object} schedule - Parsed schedule
+   * @param {Date} date - Date to check
+   * @returns {boolean} - True if the day matches
+   */
+  static matchesDay(schedule, date) {
+    const domMatch = schedule.dayOfMonth.has(date.getUTCDate());
+    const dowMatch = schedule.dayOfWeek.has(date.getUTCDay());
+
+    if (schedule.dayOfMonthRestricted && schedule.dayOfWeekRestricted) {
+      return domMatch || dowMatch;
+    }
+    return domMatch && dowMatch;
+  }
+
+  /**
+   * Compute the next run time strictly after a given date
+   * @param {string} expression - Cron expression
+   * @param {Date} from - Reference date (default: now)
+   * @returns {Date} - Next matching date (UTC, second precision zeroed)
+   * @throws {Error} If no run time is found within a year
+   */
+  static getNextRun(expression, from = new Date()) {
+    const schedule = this.parse(expression);
+    const candidate = new Date(from.getTime());
+    candidate.setUTCSeconds(0, 0);
+    candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+
+    for (let i = 0; i < MAX_SEARCH_MINUTES; i++) {
+      if (!schedule.month.has(candidate.getUTCMonth() + 1) || !this.matchesDay(schedule, candidate)) {
+        // Skip straight to the start of the next day
+        candidate.setUTCDate(candidate.getUTCDate() + 1);
+        candidate.setUTCHours(0, 0, 0, 0);
+        continue;
+      }
+
+      if (!schedule.hour.has(candidate.getUTCHours())) {
+        // Skip straight to the start of the next hour
+        candidate.setUTCHours(candidate.getUTCHours() + 1, 0, 0, 0);
+        continue;
+      }
+
+      if (schedule.minute.has(candidate.getUTCMinutes())) {
+        return candidate;
+      }
+
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+    }
+
+    throw new Error(`No run time found within a year for cron expression "${expression}"`);
+  }
+}
+
+module.exports = {
+  CronHelpers,
+  CRON_ALIASES
+};
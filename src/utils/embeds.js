@@ -25,6 +25,18 @@ const BRAND_COLORS = {
  */
 const FOOTER_TEXT = 'Growmies NJ Community • Cannabis Education & Compliance';
 
+/**
+ * Display labels for moderation case action types
+ */
+const MODERATION_ACTION_LABELS = {
+    'NOTE': '📝 Note',
+    'WARN': '⚠️ Warning',
+    'EDUCATIONAL_WARNING': '🎓 Educational Warning',
+    'TIMEOUT': '⏰ Timeout',
+    'KICK': '👢 Kick',
+    'BAN': '🔨 Ban'
+};
+
 /**
  * Welcome System Embed Templates
  */
@@ -412,9 +424,129 @@ class EmbedUtils {
     }
 }
 
+/**
+ * Moderation notice embed templates shared by commands and background processors
+ */
+class ModerationEmbeds {
+
+    /**
+     * Ban lifted notice sent to the user by DM
+     * @param {Object} options - Notice details
+     * @param {string} options.guildName - Server name
+     * @param {string} options.reason - Unban reason
+     * @param {string} options.unbannedBy - Moderator tag or system label
+     * @param {string} [options.originalBanReason] - Reason of the lifted ban
+     * @param {string} [options.conditions] - Special conditions for returning
+     * @param {boolean} [options.requireReverification=true] - Whether age re-verification is required
+     * @returns {EmbedBuilder} - Unban notice embed
+     */
+    static createUnbanNoticeEmbed({ guildName, reason, unbannedBy, originalBanReason = null, conditions = null, requireReverification = true }) {
+        const embed = new EmbedBuilder()
+            .setColor(BRAND_COLORS.SUCCESS)
+            .setTitle('🎉 Your Ban Has Been Lifted - GrowmiesNJ')
+            .setDescription(`Your ban from **${guildName}** has been removed. You may now rejoin the server.`)
+            .addFields(
+                { name: '📝 Unban Reason', value: reason, inline: false },
+                { name: '👮 Unbanned By', value: unbannedBy, inline: true },
+                { name: '📅 Date', value: `<t:${Math.floor(Date.now() / 1000)}:F>`, inline: true }
+            )
+            .setFooter({ text: 'Welcome back! Please review community guidelines before rejoining.' })
+            .setTimestamp();
+
+        if (originalBanReason && originalBanReason !== 'No reason provided') {
+            embed.addFields({ name: '📋 Original Ban Reason', value: originalBanReason, inline: false });
+        }
+
+        if (conditions) {
+            embed.addFields({ name: '⚠️ Special Conditions', value: conditions, inline: false });
+        }
+
+        if (requireReverification) {
+            embed.addFields(
+                {
+                    name: '🌿 Cannabis Compliance Re-Verification Required',
+                    value: [
+                        '🔞 **Age Verification:** You must re-verify you are 21+ years old',
+                        '📚 **Community Guidelines:** Review updated cannabis community guidelines',
+                        '⚖️ **Legal Compliance:** Acknowledge New Jersey cannabis laws and regulations',
+                        '🎓 **Educational Focus:** Confirm understanding of educational-only discussions',
+                        '🤝 **Respectful Participation:** Commit to respectful community engagement'
+                    ].join('\n'),
+                    inline: false
+                },
+                {
+                    name: '📋 Re-Verification Process',
+                    value: [
+                        '1. Rejoin the server using the invite link',
+                        '2. Complete the age verification process in the verification channel',
+                        '3. Read and acknowledge the updated community guidelines',
+                        '4. Access will be restored once verification is complete',
+                        '5. Contact staff if you experience any issues'
+                    ].join('\n'),
+                    inline: false
+                }
+            );
+        }
+
+        embed.addFields({
+            name: '🌿 Community Guidelines Reminder',
+            value: [
+                '• Cannabis discussions are for educational purposes only',
+                '• All participants must be 21+ and verified',
+                '• No medical advice or commercial transactions',
+                '• Follow all New Jersey state laws and regulations',
+                '• Maintain respectful and responsible participation',
+                '• Report any violations to server staff immediately'
+            ].join('\n'),
+            inline: false
+        });
+
+        return embed;
+    }
+
+    /**
+     * Mod log entry posted for every moderation case event and staff action
+     * Core fields always appear in the same order so staff can scan the channel
+     * @param {Object} options - Entry details
+     * @param {string} options.title - Event title
+     * @param {number} options.color - Embed color
+     * @param {string} [options.caseNumber] - Case number, when the event concerns a case
+     * @param {string} [options.actionType] - Moderation action type
+     * @param {string} [options.targetId] - Target user Discord ID
+     * @param {string} [options.moderatorId] - Moderator Discord ID
+     * @param {string} [options.reason] - Reason text
+     * @param {string[]} [options.evidence] - Evidence entries
+     * @param {Object[]} [options.fields] - Additional event-specific fields
+     * @returns {EmbedBuilder} - Mod log embed
+     */
+    static createModLogEmbed({ title, color, caseNumber = null, actionType = null, targetId = null, moderatorId = null, reason = null, evidence = [], fields = [] }) {
+        const truncate = (text, max) => text.length > max ? `${text.slice(0, max - 1)}…` : text;
+        const evidenceText = (evidence || []).length > 0
+            ? truncate(evidence.map(item => `• ${truncate(String(item), 200)}`).join('\n'), 1024)
+            : 'None provided';
+
+        return new EmbedBuilder()
+            .setColor(color)
+            .setTitle(title)
+            .addFields(
+                { name: '📋 Case Number', value: caseNumber || 'N/A', inline: true },
+                { name: '⚖️ Action', value: actionType ? (MODERATION_ACTION_LABELS[actionType] || actionType) : 'N/A', inline: true },
+                { name: '👤 Target', value: targetId ? `<@${targetId}> (${targetId})` : 'N/A', inline: true },
+                { name: '👮 Moderator', value: moderatorId ? `<@${moderatorId}> (${moderatorId})` : 'N/A', inline: true },
+                { name: '📝 Reason', value: truncate(reason || 'No reason provided', 1024), inline: false },
+                { name: '🔍 Evidence', value: evidenceText, inline: false },
+                ...fields.map(field => ({ ...field, value: truncate(String(field.value), 1024) }))
+            )
+            .setFooter({ text: 'Growmies NJ Cannabis Community • Moderation Log' })
+            .setTimestamp();
+    }
+}
+
 module.exports = {
     WelcomeEmbeds,
     EmbedUtils,
+    ModerationEmbeds,
     BRAND_COLORS,
-    FOOTER_TEXT
+    FOOTER_TEXT,
+    MODERATION_ACTION_LABELS
 };
\ No newline at end of file
@@ -0,0 +1,275 @@
+/**
+ * Link Scanning Utilities for GrowmiesNJ Discord Bot
+ *
+ * Extracts URLs from member messages and classifies their domains against
+ * blocklists, allowlists and lookalike heuristics. Scam links usually imitate
+ * Discord or Steam ("dlscord-nitro.gift", "steamcommunlty.com"), so domains are
+ * compared against protected brands after undoing common character tricks.
+ */
+
+const { domainToUnicode } = require('url');
+
+/**
+ * Matches http(s) links and bare invite-style links in message text
+ */
+const URL_PATTERN = /\bhttps?:\/\/[^\s<>"'`]+|\b(?:[a-z0-9-]+\.)+[a-z]{2,}\/[^\s<>"'`]*/gi;
+
+/**
+ * Valid domain name for list entries (at least one dot, no scheme or path)
+ */
+const DOMAIN_PATTERN = /^(?=.{4,253}$)(?:[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?\.)+[a-z]{2,63}$/;
+
+/**
+ * Brands commonly impersonated by scam links, with the label compared against
+ */
+const PROTECTED_BRANDS = ['discord', 'discordapp', 'steamcommunity', 'steampowered', 'epicgames', 'roblox'];
+
+/**
+ * Words that turn a brand mention in a domain into an impersonation attempt
+ */
+const BAIT_KEYWORDS = ['nitro', 'gift', 'free', 'airdrop', 'claim', 'promo', 'give', 'drop', 'login', 'verify', 'auth', 'steam', 'trade'];
+
+/**
+ * Characters substituted to imitate letters in domain labels
+ */
+const HOMOGLYPH_SUBSTITUTIONS = {
+  '0': 'o',
+  '1': 'l',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  'а': 'a',
+  'е': 'e',
+  'о': 'o',
+  'р': 'p',
+  'с': 'c',
+  'у': 'y',
+  'х': 'x',
+  'і': 'i',
+  'ј': 'j',
+  'ӏ': 'l',
+  'ı': 'i',
+  'ɡ': 'g'
+};
+
+/**
+ * Link scanning helpers
+ */
+class LinkScanner {
+  /**
+   * Extract unique URLs from message text
+   * @param {string} text - Raw message content
+   * @param {number} limit - Maximum URLs returned
+   * @returns {string[]} - URLs, with a scheme added to bare links
+   */
+  static extractUrls(text, limit = 10) {
+    if (!text || typeof text !== 'string') {
+      return [];
+    }
+
+    const urls = new Set();
+    for (const match of text.matchAll(URL_PATTERN)) {
+      const url = match[0].replace(/[)\].,!?>]+$/, '');
+      urls.add(/^https?:\/\//i.test(url) ? url : `https://${url}`);
+      if (urls.size >= limit) break;
+    }
+    return [...urls];
+  }
+
+  /**
+   * Get the normalized hostname of a URL
+   * @param {string} url - Absolute URL
+   * @returns {string|null} - Lowercase hostname without "www.", or null if unparseable
+   */
+  static getHostname(url) {
+    try {
+      return new URL(url).hostname.toLowerCase().replace(/^www\./, '').replace(/\.$/, '');
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Normalize a domain list entry typed by staff
+   * Accepts full URLs and strips the scheme, path, port and "www."
+   * @param {string} input - Domain or URL
+   * @returns {string|null} - Normalized domain, or null if invalid
+   */
+  static normalizeDomain(input) {
+    if (!input || typeof input !== 'string') {
+      return null;
+    }
+
+    const trimmed = input.trim().toLowerCase();
+    const host = this.getHostname(/^https?:\/\//.test(trimmed) ? trimmed : `https://${trimmed}`);
+    return host && DOMAIN_PATTERN.test(host) ? host : null;
+  }
+
+  /**
+   * Check whether a host is a listed domain or one of its subdomains
+   * @param {string} host - Normalized hostname
+   * @param {string[]} domains - Listed domains
+   * @returns {string|null} - Matching list entry, or null
+   */
+  static matchDomain(host, domains) {
+    return domains.find(domain => host === domain || host.endsWith(`.${domain}`)) || null;
+  }
+
+  /**
+   * Undo homoglyph and digit substitutions in a domain label
+   * @param {string} label - Domain label (Unicode)
+   * @returns {string} - Label using plain latin letters
+   */
+  static normalizeLabel(label) {
+    return [...label.toLowerCase()]
+      .map(char => HOMOGLYPH_SUBSTITUTIONS[char] || char)
+      .join('')
+      .replace(/rn/g, 'm')
+      .replace(/vv/g, 'w');
+  }
+
+  /**
+   * Levenshtein edit distance between two strings
+   * @param {string} a - First string
+   * @param {string} b - Second string
+   * @returns {number} - Number of single-character edits
+   */
+  static editDistance(a, b) {
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+      const current = [i];
+      for (let j = 1; j <= b.length; j++) {
+        current[j] = Math.min(
+          previous[j] + 1,
+          current[j - 1] + 1,
+          previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+        );
+      }
+      previous = current;
+    }
+    return previous[b.length];
+  }
+
+  /**
+   * Find a substring within a small edit distance of a target
+   * @param {string} text - Text to search
+   * @param {string} target - String to look for
+   * @param {number} tolerance - Maximum edit distance
+   * @returns {Object|null} - Match position ({ index, length }), or null
+   */
+  static findApproximate(text, target, tolerance) {
+    for (let length = target.length - tolerance; length <= target.length + tolerance; length++) {
+      for (let index = 0; index + length <= text.length; index++) {
+        if (this.editDistance(text.slice(index, index + length), target) <= tolerance) {
+          return { index, length };
+        }
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Detect a domain imitating a protected brand
+   * Only call this for hosts that are not allowlisted
+   * @param {string} host - Normalized hostname
+   * @returns {Object|null} - Lookalike details ({ brand, technique }), or null
+   */
+  static detectLookalike(host) {
+    const unicodeHost = domainToUnicode(host) || host;
+    const labels = unicodeHost.split('.').slice(0, -1);
+    if (labels.length === 0) {
+      return null;
+    }
+
+    const normalizedLabels = labels.map(label => this.normalizeLabel(label));
+    const joined = normalizedLabels.join('').replace(/-/g, '');
+    const registrableIndex = labels.length - 1;
+
+    for (const brand of PROTECTED_BRANDS) {
+      for (let i = 0; i < labels.length; i++) {
+        const raw = labels[i];
+        const normalized = normalizedLabels[i];
+
+        // The brand itself is only suspicious as the registered name (e.g. "discord.xyz"),
+        // not as a subdomain of an unrelated site (e.g. "roblox.fandom.com")
+        if (normalized === brand) {
+          if (raw !== brand) return { brand, technique: 'homoglyph' };
+          if (i === registrableIndex) return { brand, technique: 'brand_domain' };
+          continue;
+        }
+
+        const tolerance = brand.length >= 8 ? 2 : 1;
+        const tokens = [normalized.replace(/-/g, ''), ...normalized.split('-')];
+        const rawTokens = [raw.replace(/-/g, ''), ...raw.split('-')];
+        for (let t = 0; t < tokens.length; t++) {
+          if (tokens[t].length < 5) continue;
+          const distance = this.editDistance(tokens[t], brand);
+          // An exact brand word (e.g. "discord-servers") needs bait words, checked below
+          if (distance === 0) {
+            if (rawTokens[t] !== brand) return { brand, technique: 'homoglyph' };
+            continue;
+          }
+          if (distance <= tolerance) {
+            return { brand, technique: 'typosquat' };
+          }
+        }
+      }
+
+      // Brand (or a near miss) combined with bait words, e.g. "dlscord-nitro-gift"
+      const found = this.findApproximate(joined, brand, brand.length >= 8 ? 2 : 1);
+      if (found) {
+        const remainder = joined.slice(0, found.index) + joined.slice(found.index + found.length);
+        if (BAIT_KEYWORDS.some(keyword => remainder.includes(keyword))) {
+          return { brand, technique: 'brand_impersonation' };
+        }
+      }
+    }
+
+    if (joined.includes('nitro') && /gift|free|claim|airdrop/.test(joined)) {
+      return { brand: 'discord', technique: 'nitro_bait' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Classify a URL's domain against allow and block lists, then lookalike heuristics
+   * Allowlists win over blocklists, and guild lists win over the global lists
+   * @param {string} url - Absolute URL
+   * @param {Object} lists - Domain lists ({ guildAllowed, guildBlocked, allowed, blocked })
+   * @returns {Object} - Verdict ({ host, malicious, reason, detail })
+   */
+  static classify(url, lists) {
+    const host = this.getHostname(url);
+    if (!host) {
+      return { host: null, malicious: false, reason: 'unparseable', detail: null };
+    }
+
+    const checks = [
+      ['guild_allowlist', lists.guildAllowed, false],
+      ['guild_blocklist', lists.guildBlocked, true],
+      ['allowlist', lists.allowed, false],
+      ['blocklist', lists.blocked, true]
+    ];
+    for (const [reason, domains, malicious] of checks) {
+      const entry = this.matchDomain(host, domains || []);
+      if (entry) {
+        return { host, malicious, reason, detail: entry };
+      }
+    }
+
+    const lookalike = this.detectLookalike(host);
+    if (lookalike) {
+      return { host, malicious: true, reason: 'lookalike', detail: `${lookalike.technique} of ${lookalike.brand}` };
+    }
+
+    return { host, malicious: false, reason: 'unlisted', detail: null };
+  }
+}
+
+module.exports = {
+  LinkScanner,
+  PROTECTED_BRANDS,
+  DOMAIN_PATTERN
+};
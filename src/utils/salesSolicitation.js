@@ -0,0 +1,162 @@
+/**
+ * Sales Solicitation Detection for GrowmiesNJ Discord Bot
+ *
+ * Cannabis Compliance: Detects member messages offering or seeking cannabis
+ * sales, delivery or payment. Individual signals (a price, a payment app, a
+ * product name) are common in legitimate discussion, so a message is only
+ * flagged when signals from several categories appear together. Members
+ * talking about what they bought at a dispensary are not soliciting, so
+ * retail mentions only leave explicit sales language with a way to pay or
+ * get in touch.
+ */
+
+/**
+ * Signal patterns by category, matched against normalized message text
+ */
+const SIGNAL_PATTERNS = {
+  sales: [
+    /\b(?:selling|for sale|4 sale|taking orders|(?:i|we) sell|wholesale|on deck)\b/,
+    /\b(?:dm|pm|message|text) (?:me )?for (?:prices?|menu|info|details|deals?)\b/,
+    /\b(?:my|a|the|new|reliable|local) plug\b/,
+    /\b(?:hmu|hit me up|menu available|check (?:my|the) menu)\b/,
+    /\b(?:who'?s selling|anyone selling|wtb|want to buy|looking to buy|need a plug|looking for a plug)\b/
+  ],
+  payment: [
+    /\b(?:venmo|cash ?app|zelle|paypal|apple ?pay|chime|bitcoin|btc|crypto)\b/,
+    /\$[a-z][a-z0-9_-]{2,}/
+  ],
+  delivery: [
+    /\b(?:deliver(?:y|ing|ies)?|ship(?:ping|ped)?|drop ?offs?|meet ?ups?|curbside|same day|discreet(?:ly)?|mailing)\b/
+  ],
+  price: [
+    /\$\s?\d+/,
+    /\b\d+\s?(?:dollars|bucks)\b/,
+    /\b\d+\s?(?:for|per|an?|\/|@)\s?(?:an? )?(?:8th|eighth|quarter|qp|oz|ounce|zip|half|gram|g|cart|pen|pound|lb)s?\b/,
+    /\b(?:8th|eighth|quarter|qp|oz|ounce|zip|half|gram|cart|pound|lb)s? (?:for|@) \$?\d+/
+  ],
+  contact: [
+    /\b(?:telegram|wickr|signal|whatsapp|snap(?:chat)?|kik|text me|dm me|pm me|inbox me|call me)\b/,
+    /\b\d{3}[-.\s]?\d{3}[-.\s]?\d{4}\b/
+  ],
+  product: [
+    /\b(?:weed|bud|flower|carts?|dabs?|wax|shatter|rosin|edibles?|gumm(?:y|ies)|thc|pre-?rolls?|zips?|oz|8ths?|eighths?|qps?|exotics?|za|zaza|kush|pounds|lbs?|shrooms|pens?)\b/
+  ]
+};
+
+/**
+ * Dispensary and retail mentions, e.g. "paid $40 at the dispensary"
+ */
+const RETAIL_PATTERN = /\b(?:dispensar(?:y|ies)|dispos?|(?:rec|med(?:ical)?) (?:shop|store)s?|curaleaf|zen leaf|ascend|apothecarium|terrascend|the botanist|columbia care|verilife)\b/;
+
+/**
+ * Payment apps matched against text with all separators removed (e.g. "v e n m o")
+ */
+const OBFUSCATED_PAYMENT_APPS = ['venmo', 'cashapp', 'paypal'];
+
+/**
+ * Common character substitutions used to dodge filters
+ */
+const LEET_SUBSTITUTIONS = {
+  '0': 'o',
+  '1': 'i',
+  '3': 'e',
+  '4': 'a',
+  '5': 's',
+  '7': 't',
+  '@': 'a'
+};
+
+/**
+ * Sales solicitation detection utilities
+ */
+class SalesSolicitationDetector {
+  /**
+   * Normalize message text for matching
+   * Substitutions skip numbers and quantities like "$40" or "8th" so prices survive
+   * @param {string} text - Raw message content
+   * @returns {string} - Normalized text
+   */
+  static normalize(text) {
+    return text
+      .toLowerCase()
+      .replace(/[\u200B-\u200D\uFEFF]/g, '')
+      .replace(/[\u2018\u2019]/g, "'")
+      .split(/\s+/)
+      .map(word => (/[a-z]/.test(word) && !/^\$?[\d.]+[a-z]{0,3}$/.test(word))
+        ? word.replace(/[013457@]/g, char => LEET_SUBSTITUTIONS[char])
+        : word)
+      .join(' ');
+  }
+
+  /**
+   * Collect matched signals for every category
+   * @param {string} text - Raw message content
+   * @returns {Object} - Category name to array of matched strings
+   */
+  static collectSignals(text) {
+    const lowered = text.toLowerCase();
+    const normalized = this.normalize(text);
+    const signals = {};
+
+    for (const [category, patterns] of Object.entries(SIGNAL_PATTERNS)) {
+      const matches = new Set();
+      for (const pattern of patterns) {
+        // Prices and phone numbers rely on digits, so also check the un-substituted text
+        for (const source of [normalized, lowered]) {
+          const match = source.match(pattern);
+          if (match) matches.add(match[0].trim());
+        }
+      }
+      if (matches.size > 0) {
+        signals[category] = [...matches];
+      }
+    }
+
+    const compact = lowered.replace(/[^a-z]/g, '');
+    const hiddenApp = OBFUSCATED_PAYMENT_APPS.find(app => compact.includes(app));
+    if (hiddenApp && !signals.payment) {
+      signals.payment = [hiddenApp];
+    }
+
+    return signals;
+  }
+
+  /**
+   * Detect sales, delivery or payment solicitation in a message
+   * @param {string} text - Raw message content
+   * @returns {Object} - Detection result ({ detected, confidence, categories, matches })
+   */
+  static detect(text) {
+    if (!text || typeof text !== 'string') {
+      return { detected: false, confidence: null, categories: [], matches: [] };
+    }
+
+    const signals = this.collectSignals(text);
+    const has = category => Boolean(signals[category]);
+    const retail = RETAIL_PATTERN.test(this.normalize(text));
+
+    const detected =
+      // Explicit sales language with a way to pay or get in touch
+      (has('sales') && (has('payment') || has('contact'))) ||
+      (!retail && (
+        // Payment apps alongside a product and a way to complete the deal
+        (has('payment') && has('product') && (has('price') || has('contact') || has('delivery'))) ||
+        // Delivery offers for a product with a price or off-platform contact
+        (has('delivery') && has('product') && (has('price') || has('contact')))
+      ));
+
+    const categories = Object.keys(signals);
+
+    return {
+      detected,
+      confidence: detected ? (categories.length >= 4 ? 'high' : 'medium') : null,
+      categories,
+      matches: Object.values(signals).flat()
+    };
+  }
+}
+
+module.exports = {
+  SalesSolicitationDetector,
+  SIGNAL_PATTERNS
+};
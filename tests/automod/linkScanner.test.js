@@ -0,0 +1,130 @@
+/**
+ * Link Scanner Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the AutoMod link scanner helpers used on member messages:
+ * - URL extraction from message text
+ * - Allowlist and blocklist precedence, including subdomains
+ * - Lookalike domains imitating Discord and Steam
+ * - Legitimate links that must not be flagged
+ * - Shortened links expanded through an offline redirect resolver
+ */
+
+const { LinkScanner } = require('../../src/utils/linkScanner');
+const { LinkScannerService } = require('../../src/services/linkScanner');
+const { DEFAULT_AUTOMOD_CONFIG } = require('../../src/database/models/GuildSettings');
+
+const LISTS = {
+  guildAllowed: ['leafly.com'],
+  guildBlocked: ['evil-weed.shop'],
+  allowed: ['discord.com', 'discord.gg', 'steamcommunity.com', 'github.com'],
+  blocked: ['discord-gifts.com', 'leafly.com']
+};
+
+describe('LinkScanner', () => {
+  describe('extractUrls', () => {
+    test('should extract links with and without a scheme', () => {
+      expect(LinkScanner.extractUrls('claim here (https://discord-gifts.com/claim) or evil-weed.shop/menu.'))
+        .toEqual(['https://discord-gifts.com/claim', 'https://evil-weed.shop/menu']);
+    });
+
+    test('should handle empty input', () => {
+      expect(LinkScanner.extractUrls('')).toEqual([]);
+      expect(LinkScanner.extractUrls(null)).toEqual([]);
+    });
+  });
+
+  describe('normalizeDomain', () => {
+    test('should strip scheme, www, port and path', () => {
+      expect(LinkScanner.normalizeDomain('HTTPS://www.Example.com:8080/path')).toBe('example.com');
+      expect(LinkScanner.normalizeDomain('not a domain')).toBeNull();
+    });
+  });
+
+  describe('classify', () => {
+    test('should apply guild lists before the global lists', () => {
+      expect(LinkScanner.classify('https://leafly.com/strains', LISTS)).toMatchObject({ malicious: false, reason: 'guild_allowlist' });
+      expect(LinkScanner.classify('https://shop.evil-weed.shop', LISTS)).toMatchObject({ malicious: true, reason: 'guild_blocklist' });
+      expect(LinkScanner.classify('https://discord-gifts.com/x', LISTS)).toMatchObject({ malicious: true, reason: 'blocklist' });
+    });
+
+    test('should flag lookalikes of protected brands', () => {
+      const lookalikes = [
+        'https://dlscord-nitro.gift/claim',
+        'https://disc0rd.gg/abc',
+        'https://stearncommunity.com/tradeoffer',
+        'https://dіscord.com/login',
+        'https://free-nitro-claim.com',
+        'https://discord.xyz'
+      ];
+
+      for (const url of lookalikes) {
+        expect(LinkScanner.classify(url, LISTS)).toMatchObject({ malicious: true, reason: 'lookalike' });
+      }
+    });
+
+    test('should not flag official or unrelated domains', () => {
+      const legitimate = [
+        'https://www.discord.com/channels/1/2',
+        'https://cdn.discord.gg/invite',
+        'https://github.com/discordjs',
+        'https://roblox.fandom.com/wiki',
+        'https://record.com',
+        'https://discordbotlist.com'
+      ];
+
+      for (const url of legitimate) {
+        expect(LinkScanner.classify(url, LISTS).malicious).toBe(false);
+      }
+    });
+  });
+});
+
+describe('LinkScannerService', () => {
+  let service;
+  let resolver;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    service = new LinkScannerService();
+    resolver = jest.fn(async () => ['https://bit.ly/next', 'https://discord-gifts.com/claim']);
+    service.setResolver(resolver);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('scanUrls', () => {
+    test('should flag shortened links that redirect to a scam domain', async () => {
+      const findings = await service.scanUrls(['https://bit.ly/free-nitro'], DEFAULT_AUTOMOD_CONFIG.links);
+
+      expect(resolver).toHaveBeenCalledWith('https://bit.ly/free-nitro');
+      expect(findings).toEqual([expect.objectContaining({
+        url: 'https://discord-gifts.com/claim',
+        reason: 'blocklist',
+        via: 'https://bit.ly/free-nitro'
+      })]);
+    });
+
+    test('should only expand shorteners, and only when redirects are followed', async () => {
+      expect(await service.scanUrls(['https://leafly.com/strains'], DEFAULT_AUTOMOD_CONFIG.links)).toEqual([]);
+      expect(await service.scanUrls(['https://bit.ly/abc'], { ...DEFAULT_AUTOMOD_CONFIG.links, follow_redirects: false })).toEqual([]);
+      expect(resolver).not.toHaveBeenCalled();
+    });
+
+    test('should let messages through when the resolver fails', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      service.setResolver(async () => {
+        throw new Error('offline');
+      });
+
+      expect(await service.scanUrls(['https://bit.ly/abc'], DEFAULT_AUTOMOD_CONFIG.links)).toEqual([]);
+    });
+
+    test('should not flag Discord community sites on the shipped allowlist', async () => {
+      const urls = ['https://discords.com/bots', 'https://discord.me/growmies', 'https://discord.new/abc123'];
+
+      expect(await service.scanUrls(urls, DEFAULT_AUTOMOD_CONFIG.links)).toEqual([]);
+    });
+  });
+});
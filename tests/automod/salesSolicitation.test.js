@@ -0,0 +1,76 @@
+/**
+ * Sales Solicitation Detection Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the AutoMod sales filter used on member messages:
+ * - Sales, delivery and payment solicitation detection
+ * - Obfuscated spellings of terms and payment apps
+ * - Legitimate cannabis discussion that must not be flagged
+ */
+
+const { SalesSolicitationDetector } = require('../../src/utils/salesSolicitation');
+
+describe('SalesSolicitationDetector', () => {
+  describe('detect', () => {
+    test('should flag explicit sales offers with payment or contact details', () => {
+      const result = SalesSolicitationDetector.detect('selling zips 200 each, venmo or cashapp, hmu');
+
+      expect(result.detected).toBe(true);
+      expect(result.categories).toEqual(expect.arrayContaining(['sales', 'payment']));
+    });
+
+    test('should flag delivery offers with a price', () => {
+      expect(SalesSolicitationDetector.detect('eighths for $35, same day drop off').detected).toBe(true);
+      expect(SalesSolicitationDetector.detect('got exotics on deck, delivery all over north jersey, telegram me').confidence).toBe('high');
+    });
+
+    test('should flag requests to buy from other members', () => {
+      expect(SalesSolicitationDetector.detect("who's selling? can pay with zelle").detected).toBe(true);
+    });
+
+    test('should see through character substitutions and spaced-out payment apps', () => {
+      expect(SalesSolicitationDetector.detect('s3lling carts dm me').detected).toBe(true);
+      expect(SalesSolicitationDetector.detect('v e n m o me for the flower, text 973-555-1234').detected).toBe(true);
+    });
+
+    test('should not flag legitimate discussion', () => {
+      const messages = [
+        'The dispensary in Newark has $40 eighths right now',
+        'I paid 60 bucks for an eighth at the dispensary lol',
+        'just restocked my grow tent with new lights',
+        'my plants are flowering, 8th week in',
+        'what payment apps do dispensaries accept? i use apple pay'
+      ];
+
+      for (const message of messages) {
+        expect(SalesSolicitationDetector.detect(message).detected).toBe(false);
+      }
+    });
+
+    test('should not flag members talking about their own purchases', () => {
+      const messages = [
+        'I got my seeds shipped yesterday',
+        'I got a new pen at the dispensary for $40',
+        'Curaleaf has blue dream in stock for $45 an eighth',
+        'my buddy paid with apple pay at the dispensary for his carts, they deliver now',
+        'I got it on Signal on my phone'
+      ];
+
+      for (const message of messages) {
+        expect(SalesSolicitationDetector.detect(message).detected).toBe(false);
+      }
+    });
+
+    test('should still flag sales offers that mention a dispensary', () => {
+      expect(SalesSolicitationDetector.detect('selling dispensary carts cheaper than the dispo, telegram me').detected).toBe(true);
+    });
+
+    test('should handle empty input', () => {
+      expect(SalesSolicitationDetector.detect('')).toEqual({
+        detected: false,
+        confidence: null,
+        categories: [],
+        matches: []
+      });
+    });
+  });
+});
@@ -0,0 +1,184 @@
+/**
+ * Level Rewards Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers how the reward table is applied to a member:
+ * - Role rewards stack or only the highest is kept, per the guild mode
+ * - Retroactive syncs only grant what a member has not received
+ * - GrowCoins rewards are paid once, and a failed payment can be retried
+ * - GrowCoins payouts go through the real economy service and transaction model
+ */
+
+// The XP engine starts a cache cleanup timer on construction; it is not exercised here
+jest.mock('../../src/services/xpCalculation', () => ({ XPCalculationService: jest.fn(), TIER_ROLE_MAPPING: {} }));
+
+const { LevelRewardService } = require('../../src/services/levelRewards');
+const { LevelRewardGrant } = require('../../src/database/models/LevelRewardGrant');
+const { automaticRoleProgressionService } = require('../../src/services/automaticRoleProgression');
+const economyService = require('../../src/services/economyService');
+const { sequelize, initializeAllModels } = require('../../src/database/connection');
+const { User } = require('../../src/database/models/User');
+const { Economy } = require('../../src/database/models/Economy');
+const { EconomyTransaction } = require('../../src/database/models/EconomyTransaction');
+
+const REWARDS = [
+  { id: 'r5', level: 5, reward_type: 'role', role_id: 'role-5' },
+  { id: 'c10', level: 10, reward_type: 'currency', amount: 500 },
+  { id: 'r15', level: 15, reward_type: 'role', role_id: 'role-15' },
+  { id: 'r30', level: 30, reward_type: 'role', role_id: 'role-30' }
+];
+
+/**
+ * Build a guild member holding some roles
+ * @param {string[]} roleIds - Roles the member holds
+ * @returns {Object} - Member stub
+ */
+function buildMember(roleIds = []) {
+  return {
+    roles: {
+      cache: new Set(roleIds),
+      add: jest.fn().mockResolvedValue(),
+      remove: jest.fn().mockResolvedValue()
+    }
+  };
+}
+
+/**
+ * Build a grant record
+ * @param {string} rewardId - Granted reward
+ * @param {Date|null} replacedAt - When the role was replaced
+ * @returns {Object} - Grant stub
+ */
+function buildGrant(rewardId, replacedAt = null) {
+  return { reward_id: rewardId, replaced_at: replacedAt, update: jest.fn().mockResolvedValue(), destroy: jest.fn().mockResolvedValue() };
+}
+
+const GUILD = { id: 'guild-1', roles: { cache: new Set(['role-5', 'role-15', 'role-30']) } };
+const USER = { discord_id: 'member', current_level: 20 };
+
+describe('LevelRewardService', () => {
+  let service;
+
+  beforeAll(() => {
+    service = new LevelRewardService();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(automaticRoleProgressionService, 'waitForRoleUpdateSlot').mockResolvedValue();
+    jest.spyOn(LevelRewardGrant, 'create').mockImplementation(async data => buildGrant(data.reward_id));
+    jest.spyOn(economyService, 'processTransaction').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('planRoles', () => {
+    const earned = REWARDS.filter(reward => reward.level <= 20);
+
+    test('should keep every earned role when stacking', () => {
+      const plan = service.planRoles(earned, 'stack');
+
+      expect(plan.keep.map(reward => reward.id)).toEqual(['r5', 'r15']);
+      expect(plan.replace).toEqual([]);
+    });
+
+    test('should keep only the highest earned role when replacing', () => {
+      const plan = service.planRoles(earned, 'replace');
+
+      expect(plan.keep.map(reward => reward.id)).toEqual(['r15']);
+      expect(plan.replace.map(reward => reward.id)).toEqual(['r5']);
+    });
+  });
+
+  describe('syncMember', () => {
+    test('should grant missing rewards retroactively without repeating received ones', async () => {
+      jest.spyOn(LevelRewardGrant, 'findForMember').mockResolvedValue(new Map([['r5', buildGrant('r5')]]));
+      const member = buildMember(['role-5']);
+
+      const result = await service.syncMember(member, GUILD, USER, REWARDS, { reward_role_mode: 'stack' });
+
+      expect(member.roles.add).toHaveBeenCalledWith(['role-15'], 'Level 20 reward');
+      expect(member.roles.remove).not.toHaveBeenCalled();
+      expect(economyService.processTransaction).toHaveBeenCalledWith(expect.objectContaining({ type: 'level_bonus', amount: 500 }));
+      expect(result.granted.map(reward => reward.id)).toEqual(['r15', 'c10']);
+    });
+
+    test('should take back replaced roles and mark their grants', async () => {
+      const lowerGrant = buildGrant('r5');
+      jest.spyOn(LevelRewardGrant, 'findForMember').mockResolvedValue(new Map([['r5', lowerGrant], ['c10', buildGrant('c10')]]));
+      const member = buildMember(['role-5']);
+
+      const result = await service.syncMember(member, GUILD, USER, REWARDS, { reward_role_mode: 'replace' });
+
+      expect(member.roles.add).toHaveBeenCalledWith(['role-15'], 'Level 20 reward');
+      expect(member.roles.remove).toHaveBeenCalledWith(['role-5'], 'Replaced by a level 20 reward');
+      expect(lowerGrant.update).toHaveBeenCalledWith({ replaced_at: expect.any(Date) });
+      expect(economyService.processTransaction).not.toHaveBeenCalled();
+      expect(result.replaced.map(reward => reward.id)).toEqual(['r5']);
+    });
+
+    test('should release the grant when a GrowCoins payment fails', async () => {
+      jest.spyOn(LevelRewardGrant, 'findForMember').mockResolvedValue(new Map());
+      const grant = buildGrant('c10');
+      LevelRewardGrant.create.mockResolvedValue(grant);
+      economyService.processTransaction.mockRejectedValue(new Error('User not found'));
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      const result = await service.syncMember(buildMember(), GUILD, { ...USER, current_level: 10 }, REWARDS, { reward_role_mode: 'stack' });
+
+      expect(grant.destroy).toHaveBeenCalled();
+      expect(result.granted.map(reward => reward.id)).toEqual(['r5']);
+    });
+  });
+
+  describe('payReward', () => {
+    let economy;
+    let transaction;
+
+    beforeAll(() => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      initializeAllModels();
+    });
+
+    beforeEach(() => {
+      // Only the database calls are stubbed; the economy service runs as the bot runs it
+      economyService.processTransaction.mockRestore();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      economy = {
+        grow_coins_balance: 100,
+        premium_seeds_balance: 0,
+        total_grow_coins_earned: 100,
+        total_transactions: 0,
+        economy_metadata: {},
+        update: jest.fn().mockResolvedValue()
+      };
+      transaction = { commit: jest.fn().mockResolvedValue(), rollback: jest.fn().mockResolvedValue() };
+      jest.spyOn(sequelize, 'transaction').mockResolvedValue(transaction);
+      jest.spyOn(User, 'findOne').mockResolvedValue({ discord_id: USER.discord_id, is_21_plus: false });
+      jest.spyOn(Economy, 'findOrCreate').mockResolvedValue([economy, false]);
+      jest.spyOn(EconomyTransaction, 'create').mockImplementation(async data => EconomyTransaction.build(data));
+    });
+
+    test('should credit GrowCoins as a valid level bonus transaction', async () => {
+      await service.payReward(GUILD, USER, REWARDS[1]);
+
+      expect(economy.update).toHaveBeenCalledWith(expect.objectContaining({
+        grow_coins_balance: 600,
+        total_grow_coins_earned: 600,
+        total_transactions: 1
+      }), { transaction });
+      expect(transaction.commit).toHaveBeenCalled();
+
+      const record = await EconomyTransaction.create.mock.results[0].value;
+      await expect(record.validate()).resolves.toBeDefined();
+      expect(record).toMatchObject({
+        user_id: USER.discord_id,
+        guild_id: GUILD.id,
+        transaction_type: 'level_bonus',
+        amount: 500,
+        description: 'Level 10 reward'
+      });
+      expect(record.transaction_metadata).toMatchObject({ level_reward_id: 'c10' });
+    });
+  });
+});
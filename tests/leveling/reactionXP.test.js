@@ -0,0 +1,90 @@
+/**
+ * Reaction XP Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the reaction XP anti-farming rules:
+ * - Bot and self reactions earn nothing
+ * - Per-message, per-day and per-pair caps
+ * - Only removing the credited reaction revokes XP
+ */
+
+// The XP engine starts a cache cleanup timer on construction
+jest.mock('../../src/services/xpCalculation', () => ({
+  XPCalculationService: jest.fn(() => ({ awardXP: jest.fn() })),
+  XP_SOURCES: { REACTION_RECEIVED: 'reaction_received' }
+}));
+
+const { ReactionXPService } = require('../../src/services/reactionXP');
+const { ReactionXPAward } = require('../../src/database/models/ReactionXPAward');
+
+const CONFIG = {
+  reaction_xp_message_cap: 10,
+  reaction_xp_daily_cap: 50,
+  reaction_xp_pair_daily_cap: 3
+};
+
+const MESSAGE = { id: 'message-1', guild: { id: 'guild-1' }, author: { id: 'author' } };
+
+describe('ReactionXPService', () => {
+  let service;
+
+  beforeAll(() => {
+    service = new ReactionXPService();
+  });
+
+  beforeEach(() => {
+    jest.spyOn(ReactionXPAward, 'findForReaction').mockResolvedValue(null);
+    jest.spyOn(ReactionXPAward, 'countForMessage').mockResolvedValue(0);
+    jest.spyOn(ReactionXPAward, 'countForAuthorSince').mockResolvedValue(0);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('handleReactionAdd', () => {
+    test('should skip bot reactions and self reactions', async () => {
+      const reaction = { partial: false, message: { ...MESSAGE, partial: false } };
+
+      expect(await service.handleReactionAdd(reaction, { id: 'bot', bot: true })).toBe('bot_reactor');
+      expect(await service.handleReactionAdd(reaction, { id: 'author', bot: false })).toBe('self_reaction');
+    });
+  });
+
+  describe('checkCaps', () => {
+    test('should allow a first reaction under every cap', async () => {
+      expect(await service.checkCaps(MESSAGE, 'reactor', CONFIG)).toBeNull();
+    });
+
+    test('should stop a member rewarding the same message twice', async () => {
+      ReactionXPAward.findForReaction.mockResolvedValue({ id: 'award' });
+      expect(await service.checkCaps(MESSAGE, 'reactor', CONFIG)).toBe('already_rewarded');
+    });
+
+    test('should stop at the per-message cap', async () => {
+      ReactionXPAward.countForMessage.mockResolvedValue(10);
+      expect(await service.checkCaps(MESSAGE, 'reactor', CONFIG)).toBe('message_cap');
+    });
+
+    test('should stop at the daily and per-member caps', async () => {
+      ReactionXPAward.countForAuthorSince.mockImplementation(async (guildId, authorId, since, reactorId) =>
+        reactorId ? 3 : 0
+      );
+      expect(await service.checkCaps(MESSAGE, 'reactor', CONFIG)).toBe('pair_cap');
+
+      ReactionXPAward.countForAuthorSince.mockResolvedValue(50);
+      expect(await service.checkCaps(MESSAGE, 'reactor', CONFIG)).toBe('daily_cap');
+    });
+  });
+
+  describe('handleReactionRemove', () => {
+    test('should only revoke when the credited emoji is removed', async () => {
+      const revoke = jest.spyOn(service, 'revoke').mockResolvedValue(true);
+      ReactionXPAward.findForReaction.mockResolvedValue({ emoji: '🔥', revoked_at: null });
+      const message = { id: 'message-1', guild: { id: 'guild-1' } };
+
+      expect(await service.handleReactionRemove({ message, emoji: { id: null, name: '👍' } }, { id: 'reactor' })).toBe(false);
+      expect(await service.handleReactionRemove({ message, emoji: { id: null, name: '🔥' } }, { id: 'reactor' })).toBe(true);
+      expect(revoke).toHaveBeenCalledTimes(1);
+    });
+  });
+});
@@ -0,0 +1,129 @@
+/**
+ * Tier Progression Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers how automatic tier progression picks a member's tier:
+ * - The highest tier whose requirements are all met
+ * - Promotions and demotions come with the reasons shown in the dry run
+ * - Guild tier rules replace the default requirements
+ * - Level changes schedule one persistent check per member
+ */
+
+// The XP engine starts a cache cleanup timer on construction; role updates are not exercised here
+jest.mock('../../src/services/xpCalculation', () => ({ XPCalculationService: jest.fn(), TIER_ROLE_MAPPING: {} }));
+
+const { AutomaticRoleProgressionService } = require('../../src/services/automaticRoleProgression');
+const { LevelingConfig } = require('../../src/database/models/LevelingConfig');
+const { jobScheduler, JOB_TYPES } = require('../../src/services/jobScheduler');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Build a user record
+ * @param {Object} overrides - Fields to change
+ * @returns {Object} - User stub
+ */
+function buildUser(overrides = {}) {
+  return {
+    discord_id: 'member',
+    username: 'grower',
+    level_tier: 'Seedling',
+    current_level: 1,
+    total_xp: 0,
+    messages_count: 0,
+    voice_time_minutes: 0,
+    reactions_received: 0,
+    verified_at: new Date(Date.now() - 60 * DAY_MS),
+    ...overrides
+  };
+}
+
+/**
+ * Build a guild leveling configuration
+ * @param {Object} overrides - Tier rule columns to set
+ * @returns {LevelingConfig} - Unsaved configuration using the default tier rules
+ */
+function buildConfig(overrides = {}) {
+  return Object.assign(Object.create(LevelingConfig.prototype), { tier_thresholds: null, tier_requirements: null, ...overrides });
+}
+
+const CONFIG = buildConfig();
+
+// Meets every Growing requirement but none of the Established-only ones
+const GROWING_ACTIVITY = { current_level: 30, total_xp: 5000, messages_count: 300, voice_time_minutes: 0, reactions_received: 0 };
+
+describe('AutomaticRoleProgressionService', () => {
+  let service;
+
+  beforeAll(() => {
+    service = new AutomaticRoleProgressionService();
+  });
+
+  describe('evaluateProgression', () => {
+    test('should promote to the highest tier whose requirements are met', () => {
+      const evaluation = service.evaluateProgression(buildUser(GROWING_ACTIVITY), CONFIG);
+
+      expect(evaluation.target_tier).toBe('Growing');
+      expect(evaluation.direction).toBe('promotion');
+    });
+
+    test('should demote with the missing requirements as reasons', () => {
+      const evaluation = service.evaluateProgression(buildUser({ ...GROWING_ACTIVITY, level_tier: 'Established' }), CONFIG);
+
+      expect(evaluation.direction).toBe('demotion');
+      expect(evaluation.target_tier).toBe('Growing');
+      expect(evaluation.reasons).toContain('Voice minutes 60 required (current: 0)');
+    });
+
+    test('should leave members already at the right tier alone', () => {
+      const evaluation = service.evaluateProgression(buildUser({ ...GROWING_ACTIVITY, level_tier: 'Growing' }), CONFIG);
+
+      expect(evaluation.direction).toBeNull();
+      expect(evaluation.reasons).toEqual([]);
+    });
+
+    test('should use the guild tier rules instead of the defaults', () => {
+      const config = buildConfig();
+      config.tier_thresholds = config.normalizeTierThresholds({
+        Seedling: { min: 1 }, Growing: { min: 40 }, Established: { min: 60 }, Harvested: { min: 80 }
+      });
+
+      const evaluation = service.evaluateProgression(buildUser(GROWING_ACTIVITY), config);
+
+      expect(evaluation.target_tier).toBe('Seedling');
+      expect(evaluation.direction).toBeNull();
+    });
+  });
+
+  describe('getNextTierProgress', () => {
+    test('should list the next tier requirements with current values', () => {
+      const progress = service.getNextTierProgress(buildUser({ ...GROWING_ACTIVITY, level_tier: 'Growing' }), CONFIG);
+
+      expect(progress.tier).toBe('Established');
+      expect(progress.requirements).toContainEqual({ label: 'Level', current: 30, required: 26, met: true });
+      expect(progress.requirements).toContainEqual({ label: 'Voice minutes', current: 0, required: 60, met: false });
+    });
+
+    test('should return null at the top tier', () => {
+      expect(service.getNextTierProgress(buildUser({ level_tier: 'Harvested' }), CONFIG)).toBeNull();
+    });
+  });
+
+  describe('queueProgressionCheck', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test('should schedule a persistent check keyed to the member', async () => {
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+      jest.spyOn(jobScheduler, 'schedule').mockResolvedValue({ id: 'job-1' });
+
+      await service.queueProgressionCheck('member', 'guild-1', 'level_up');
+
+      expect(jobScheduler.schedule).toHaveBeenCalledWith(
+        JOB_TYPES.TIER_PROGRESSION_CHECK,
+        { userId: 'member', guildId: 'guild-1', reason: 'level_up' },
+        expect.objectContaining({ guildId: 'guild-1', uniqueKey: 'tier-progression:guild-1:member' })
+      );
+    });
+  });
+});
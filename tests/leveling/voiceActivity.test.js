@@ -0,0 +1,98 @@
+/**
+ * Voice Activity Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the voice XP tracking rules:
+ * - Time only counts when not AFK, deafened, alone or in an excluded channel
+ * - Credited time is capped across long checkpoint gaps
+ */
+
+// The XP engine starts a cache cleanup timer on construction; awards are not exercised here
+jest.mock('../../src/services/xpCalculation', () => ({ XPCalculationService: jest.fn() }));
+
+const { VoiceActivityService, VOICE_CONFIG } = require('../../src/services/voiceActivity');
+
+const CONFIG = {
+  isChannelExcluded: (channelId, parentId) => ['excluded', 'excluded-category'].includes(channelId) || parentId === 'excluded-category'
+};
+
+/**
+ * Build a guild whose voice channels hold the given members
+ * @param {Object[]} states - { id, channelId, bot, selfDeaf, parentId }
+ * @returns {Object} - Guild stub
+ */
+function buildGuild(states) {
+  const voiceStates = new Map();
+  const channelMembers = channelId => states
+    .filter(state => state.channelId === channelId)
+    .map(state => ({ id: state.id, user: { bot: !!state.bot }, voice: voiceStates.get(state.id) }));
+
+  for (const state of states) {
+    voiceStates.set(state.id, {
+      channelId: state.channelId,
+      selfDeaf: !!state.selfDeaf,
+      serverDeaf: false,
+      channel: { id: state.channelId, parentId: state.parentId || null, members: channelMembers(state.channelId) }
+    });
+  }
+
+  return { afkChannelId: 'afk', voiceStates: { cache: voiceStates } };
+}
+
+describe('VoiceActivityService', () => {
+  let service;
+
+  beforeAll(() => {
+    service = new VoiceActivityService();
+  });
+
+  describe('isEligible', () => {
+    test('should count members listening with company', () => {
+      const guild = buildGuild([{ id: 'a', channelId: 'hangout' }, { id: 'b', channelId: 'hangout' }]);
+      expect(service.isEligible(guild, 'a', CONFIG)).toBe(true);
+    });
+
+    test('should not count members alone or only with bots', () => {
+      const guild = buildGuild([{ id: 'a', channelId: 'hangout' }, { id: 'radio', channelId: 'hangout', bot: true }]);
+      expect(service.isEligible(guild, 'a', CONFIG)).toBe(false);
+    });
+
+    test('should not count deafened members or company that is deafened', () => {
+      const guild = buildGuild([{ id: 'a', channelId: 'hangout', selfDeaf: true }, { id: 'b', channelId: 'hangout' }]);
+      expect(service.isEligible(guild, 'a', CONFIG)).toBe(false);
+      expect(service.isEligible(guild, 'b', CONFIG)).toBe(false);
+    });
+
+    test('should not count AFK or excluded channels and categories', () => {
+      const guild = buildGuild([
+        { id: 'a', channelId: 'afk' }, { id: 'b', channelId: 'afk' },
+        { id: 'c', channelId: 'study', parentId: 'excluded-category' }, { id: 'd', channelId: 'study', parentId: 'excluded-category' }
+      ]);
+      expect(service.isEligible(guild, 'a', CONFIG)).toBe(false);
+      expect(service.isEligible(guild, 'c', CONFIG)).toBe(false);
+    });
+  });
+
+  describe('credit', () => {
+    test('should credit elapsed time only while eligible', () => {
+      const now = new Date();
+      const eligible = { eligible: true, active_seconds: 0, last_checkpoint_at: new Date(now - 90 * 1000) };
+      const idle = { eligible: false, active_seconds: 0, last_checkpoint_at: new Date(now - 90 * 1000) };
+
+      service.credit(eligible, now);
+      service.credit(idle, now);
+
+      expect(eligible.active_seconds).toBe(90);
+      expect(idle.active_seconds).toBe(0);
+      expect(idle.last_checkpoint_at).toBe(now);
+    });
+
+    test('should cap credit across long gaps', () => {
+      const now = new Date();
+      const session = { eligible: true, active_seconds: 0, last_checkpoint_at: new Date(now - 60 * 60 * 1000) };
+
+      service.credit(session, now);
+
+      expect(session.active_seconds).toBe(VOICE_CONFIG.MAX_CHECKPOINT_GAP_MS / 1000);
+    });
+  });
+});
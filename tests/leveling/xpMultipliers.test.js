@@ -0,0 +1,170 @@
+/**
+ * XP Multiplier Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers how a member's effective XP multiplier is worked out:
+ * - Channel multipliers fall back to the category
+ * - Members get their highest multiplier role
+ * - Channel, role, boost event and boost item multipliers combine, up to the cap
+ * - An unreadable inventory is warned about once, not on every XP award
+ * - Boost items start when used, not when bought or stacked
+ */
+
+const { XPMultiplierService } = require('../../src/services/xpMultipliers');
+const { LevelingConfig } = require('../../src/database/models/LevelingConfig');
+const { UserInventory } = require('../../src/database/models/UserInventory');
+const { EconomyItem } = require('../../src/database/models/EconomyItem');
+
+const CHANNEL = { id: '100000000000000001', parentId: '100000000000000002' };
+const BOOSTER_ROLE = '200000000000000001';
+const VIP_ROLE = '200000000000000002';
+
+/**
+ * Build a guild leveling configuration
+ * @param {Object} overrides - Multiplier columns to set
+ * @returns {LevelingConfig} - Unsaved configuration
+ */
+function buildConfig(overrides = {}) {
+  return Object.assign(Object.create(LevelingConfig.prototype), {
+    channel_xp_multipliers: {},
+    role_xp_multipliers: {},
+    ...overrides
+  });
+}
+
+/**
+ * Build a guild member holding some roles
+ * @param {string[]} roleIds - Roles the member holds
+ * @returns {Object} - Member stub
+ */
+function buildMember(roleIds = []) {
+  return { user: { id: 'member' }, roles: { cache: new Map(roleIds.map(id => [id, {}])) } };
+}
+
+const GUILD = { id: 'guild-1' };
+
+describe('XPMultiplierService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new XPMultiplierService();
+    jest.spyOn(service, 'getActiveEvents').mockResolvedValue([]);
+    jest.spyOn(service, 'getItemBoost').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('getEffectiveMultiplier', () => {
+    test('should earn the standard rate with no multipliers set', async () => {
+      const effective = await service.getEffectiveMultiplier(buildMember(), GUILD, buildConfig(), CHANNEL);
+
+      expect(effective).toEqual({ multiplier: 1, capped: false, sources: [] });
+    });
+
+    test('should fall back to the category multiplier', async () => {
+      const config = buildConfig({ channel_xp_multipliers: { [CHANNEL.parentId]: 0.5 } });
+
+      const effective = await service.getEffectiveMultiplier(buildMember(), GUILD, config, CHANNEL);
+
+      expect(effective.multiplier).toBe(0.5);
+      expect(effective.sources).toEqual([{ type: 'channel', id: CHANNEL.parentId, multiplier: 0.5 }]);
+    });
+
+    test('should use only the highest multiplier role', async () => {
+      const config = buildConfig({ role_xp_multipliers: { [BOOSTER_ROLE]: 1.5, [VIP_ROLE]: 1.25 } });
+
+      const effective = await service.getEffectiveMultiplier(buildMember([VIP_ROLE, BOOSTER_ROLE]), GUILD, config, null);
+
+      expect(effective.multiplier).toBe(1.5);
+      expect(effective.sources).toEqual([{ type: 'role', id: BOOSTER_ROLE, multiplier: 1.5 }]);
+    });
+
+    test('should combine every source and cap the result', async () => {
+      const config = buildConfig({
+        channel_xp_multipliers: { [CHANNEL.id]: 2 },
+        role_xp_multipliers: { [BOOSTER_ROLE]: 1.5 }
+      });
+      service.getActiveEvents.mockResolvedValue([{ id: 'event', name: '4/20 Double XP Weekend', multiplier: 2 }]);
+      service.getItemBoost.mockResolvedValue({ id: 'item', multiplier: 2, expires_at: new Date().toISOString() });
+
+      const effective = await service.getEffectiveMultiplier(buildMember([BOOSTER_ROLE]), GUILD, config, CHANNEL);
+
+      expect(effective.sources.map(source => source.type)).toEqual(['channel', 'role', 'event', 'item']);
+      expect(effective.multiplier).toBe(10);
+      expect(effective.capped).toBe(true);
+    });
+  });
+
+  describe('applyMultiplier', () => {
+    test('should round and keep at least 1 XP for earned activity', () => {
+      expect(service.applyMultiplier(15, 1.5)).toBe(23);
+      expect(service.applyMultiplier(3, 0.1)).toBe(1);
+    });
+  });
+
+  describe('getItemBoost', () => {
+    beforeEach(() => {
+      service.getItemBoost.mockRestore();
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    test('should warn once while inventory cannot be read', async () => {
+      jest.spyOn(UserInventory, 'findAll').mockRejectedValue(new Error('relation "user_inventory" does not exist'));
+
+      expect(await service.getItemBoost('member', GUILD.id)).toBeNull();
+      expect(await service.getItemBoost('member', GUILD.id)).toBeNull();
+      expect(console.warn).toHaveBeenCalledTimes(1);
+
+      UserInventory.findAll.mockResolvedValue([]);
+      await service.getItemBoost('member', GUILD.id);
+      UserInventory.findAll.mockRejectedValue(new Error('connection lost'));
+      await service.getItemBoost('member', GUILD.id);
+      expect(console.warn).toHaveBeenCalledTimes(2);
+    });
+  });
+});
+
+describe('UserInventory boost items', () => {
+  const BOOST_ITEM = {
+    id: 'consumable_xp_boost',
+    item_type: 'consumable',
+    stackable: true,
+    max_stack_size: 10,
+    item_effects: { xp_multiplier: 2, duration_hours: 1 }
+  };
+  let inventoryItem;
+
+  beforeEach(() => {
+    jest.spyOn(EconomyItem, 'findByPk').mockResolvedValue(BOOST_ITEM);
+    inventoryItem = Object.assign(Object.create(UserInventory.prototype), {
+      item_id: BOOST_ITEM.id,
+      quantity: 1,
+      total_acquired: 1,
+      current_effects: {},
+      item_metadata: {},
+      save: jest.fn().mockResolvedValue()
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should not start the boost when more are bought', async () => {
+    await inventoryItem.addQuantity(2);
+
+    expect(inventoryItem.quantity).toBe(3);
+    expect(inventoryItem.current_effects.xp_boost).toBeUndefined();
+  });
+
+  test('should start the boost for its duration when used', async () => {
+    const before = Date.now();
+    await inventoryItem.useItem();
+
+    const boost = inventoryItem.current_effects.xp_boost;
+    expect(boost.multiplier).toBe(2);
+    expect(new Date(boost.expires_at).getTime()).toBeGreaterThanOrEqual(before + 60 * 60 * 1000);
+    expect(inventoryItem.quantity).toBe(0);
+  });
+});
@@ -0,0 +1,147 @@
+/**
+ * Evidence Store Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the transcripts kept for purges and moderation cases:
+ * - HTML rendering escapes author names, message content and embeds
+ * - Local disk storage, in a temporary directory
+ * - Database storage, with the transcript model stubbed out
+ */
+
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { EvidenceStoreService, LocalDiskEvidenceBackend } = require('../../src/services/evidenceStore');
+const { EvidenceTranscript } = require('../../src/database/models/EvidenceTranscript');
+
+const GUILD_ID = '100000000000000001';
+const TRANSCRIPT_NUMBER = '2026-10-TRN001';
+const INJECTION = '<script>alert("pwned")</script>';
+
+/**
+ * Build a transcript entry as describeMessage produces it
+ * @param {Object} overrides - Fields to set
+ * @returns {Object} - Transcript entry
+ */
+function buildEntry(overrides = {}) {
+  return {
+    message_id: '300000000000000001',
+    channel_id: '400000000000000001',
+    author_id: '200000000000000001',
+    author_tag: 'grower#0001',
+    author_bot: false,
+    avatar_url: null,
+    content: 'Check out my harvest',
+    created_at: '2026-10-19T12:00:00.000Z',
+    edited_at: null,
+    attachments: [],
+    embeds: [],
+    ...overrides
+  };
+}
+
+const TRANSCRIPT_OPTIONS = {
+  guildId: GUILD_ID,
+  source: 'purge',
+  createdBy: '500000000000000001',
+  channelId: '400000000000000001',
+  messages: [
+    buildEntry({ message_id: '300000000000000002', content: 'second', created_at: '2026-10-19T12:05:00.000Z' }),
+    buildEntry({ message_id: '300000000000000001', content: 'first' })
+  ]
+};
+
+describe('EvidenceStoreService', () => {
+  let service;
+
+  beforeEach(() => {
+    service = new EvidenceStoreService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(EvidenceTranscript, 'generateTranscriptNumber').mockResolvedValue(TRANSCRIPT_NUMBER);
+    jest.spyOn(EvidenceTranscript, 'build').mockImplementation(data => ({ ...data, save: jest.fn() }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('renderTranscriptHtml', () => {
+    test('should escape author names, content and embeds', () => {
+      const html = service.renderTranscriptHtml({ transcript_number: TRANSCRIPT_NUMBER, source: 'purge', message_count: 1 }, [
+        buildEntry({
+          author_tag: INJECTION,
+          content: `${INJECTION}\nsecond line`,
+          embeds: [{
+            title: INJECTION,
+            description: INJECTION,
+            url: 'https://example.com/" onclick="alert(1)',
+            author: INJECTION,
+            fields: [{ name: INJECTION, value: INJECTION }],
+            footer: INJECTION,
+            image: null
+          }]
+        })
+      ]);
+
+      expect(html).not.toContain('<script>');
+      expect(html).not.toContain('" onclick="');
+      expect(html).toContain('&lt;script&gt;alert(&quot;pwned&quot;)&lt;/script&gt;<br>second line');
+      expect(html.match(/&lt;script&gt;/g)).toHaveLength(8);
+    });
+  });
+
+  describe('local disk backend', () => {
+    let directory;
+
+    beforeEach(async () => {
+      directory = await fs.mkdtemp(path.join(os.tmpdir(), 'evidence-'));
+      service.registerBackend('local', new LocalDiskEvidenceBackend(directory), true);
+    });
+
+    afterEach(async () => {
+      await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    test('should write both formats under the guild directory and read them back', async () => {
+      const transcript = await service.createTranscript(TRANSCRIPT_OPTIONS);
+
+      expect(transcript.storage_backend).toBe('local');
+      expect(transcript.storage_key).toBe(path.join(GUILD_ID, TRANSCRIPT_NUMBER));
+      expect((await fs.readdir(path.join(directory, GUILD_ID))).sort()).toEqual([`${TRANSCRIPT_NUMBER}.html`, `${TRANSCRIPT_NUMBER}.json`]);
+
+      const file = await service.getFile(transcript, 'json');
+      expect(file.name).toBe(`transcript-${TRANSCRIPT_NUMBER}.json`);
+      expect(JSON.parse(file.buffer.toString()).messages.map(entry => entry.content)).toEqual(['first', 'second']);
+      expect(transcript.file_sizes.json).toBe(file.buffer.length);
+    });
+
+    test('should report a missing file instead of throwing', async () => {
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+      const transcript = await service.createTranscript(TRANSCRIPT_OPTIONS);
+      await fs.rm(path.join(directory, `${transcript.storage_key}.html`));
+
+      expect(await service.getFile(transcript, 'html')).toBeNull();
+    });
+  });
+
+  describe('database backend', () => {
+    test('should keep the files on the transcript row and load them back', async () => {
+      service.activeBackend = 'database';
+
+      const transcript = await service.createTranscript(TRANSCRIPT_OPTIONS);
+      const findByPk = jest.fn().mockResolvedValue({ stored_files: transcript.stored_files });
+      jest.spyOn(EvidenceTranscript, 'unscoped').mockReturnValue({ findByPk });
+
+      expect(transcript.storage_key).toBeNull();
+      expect(transcript.save).toHaveBeenCalled();
+      expect(Object.keys(transcript.stored_files)).toEqual(['html', 'json']);
+
+      const file = await service.getFile({ ...transcript, id: 'transcript-id' }, 'html');
+      expect(findByPk).toHaveBeenCalledWith('transcript-id', { attributes: ['stored_files'] });
+      expect(file.buffer.toString()).toBe(transcript.stored_files.html);
+    });
+
+    test('should reject unknown formats', async () => {
+      await expect(service.getFile({ storage_backend: 'database' }, 'pdf')).rejects.toThrow('Evidence transcript format must be one of: html, json');
+    });
+  });
+});
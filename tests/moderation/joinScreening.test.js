@@ -0,0 +1,78 @@
+/**
+ * Join Screening Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the join screening heuristics:
+ * - Name normalization for alt accounts (trailing numbers, lookalike characters)
+ * - Name similarity against recently banned users
+ * - Flags raised from moderation history and account age
+ */
+
+const { JoinScreeningService } = require('../../src/services/joinScreening');
+
+const CONFIG = { min_account_age_days: 7, name_similarity: 85, ban_lookback_days: 90 };
+const CLEAN_HISTORY = { WARN: 0, KICK: 0, BAN: 0, TIMEOUT: 0, total: 0 };
+
+describe('JoinScreeningService', () => {
+  let service;
+
+  beforeAll(() => {
+    service = new JoinScreeningService();
+  });
+
+  describe('normalizeName', () => {
+    test('should drop trailing numbers and fold lookalike characters', () => {
+      expect(service.normalizeName('W33d_Guy.420')).toBe('weedguy');
+      expect(service.normalizeName('weed guy')).toBe('weedguy');
+      expect(service.normalizeName('Stоnеr')).toBe('stoner');
+    });
+
+    test('should ignore names too short to compare', () => {
+      expect(service.normalizeName('Al_99')).toBeNull();
+      expect(service.normalizeName(null)).toBeNull();
+    });
+  });
+
+  describe('findSimilarBannedUsers', () => {
+    const guild = { id: '100000000000000001' };
+
+    beforeEach(() => {
+      jest.spyOn(service, 'getBannedNames').mockResolvedValue([
+        { user_id: '200000000000000001', name: 'weedguy', normalized: 'weedguy' },
+        { user_id: '200000000000000002', name: 'gardenhelper', normalized: 'gardenhelper' }
+      ]);
+    });
+
+    afterEach(() => jest.restoreAllMocks());
+
+    test('should match alts of banned users', async () => {
+      const matches = await service.findSimilarBannedUsers(guild, { id: '300000000000000001', username: 'weed_guy2', globalName: null }, CONFIG);
+
+      expect(matches).toEqual([{ user_id: '200000000000000001', name: 'weedguy', similarity: 100 }]);
+    });
+
+    test('should not match unrelated names or the banned user themselves', async () => {
+      expect(await service.findSimilarBannedUsers(guild, { id: '300000000000000001', username: 'growmaster', globalName: 'Sam' }, CONFIG)).toEqual([]);
+      expect(await service.findSimilarBannedUsers(guild, { id: '200000000000000001', username: 'weedguy', globalName: null }, CONFIG)).toEqual([]);
+    });
+  });
+
+  describe('evaluateFlags', () => {
+    test('should not flag an established account with no history', () => {
+      expect(service.evaluateFlags({ history: CLEAN_HISTORY, accountAgeDays: 400, similar: [] }, CONFIG)).toEqual([]);
+    });
+
+    test('should flag prior bans, kicks, repeated warnings and new accounts', () => {
+      const flags = service.evaluateFlags({
+        history: { WARN: 3, KICK: 1, BAN: 1, TIMEOUT: 0, total: 5 },
+        accountAgeDays: 2,
+        similar: []
+      }, CONFIG);
+
+      expect(flags.map(flag => flag.type)).toEqual(['previously_banned', 'previously_kicked', 'prior_warnings', 'new_account']);
+    });
+
+    test('should skip the account age check when disabled', () => {
+      expect(service.evaluateFlags({ history: CLEAN_HISTORY, accountAgeDays: 0, similar: [] }, { ...CONFIG, min_account_age_days: 0 })).toEqual([]);
+    });
+  });
+});
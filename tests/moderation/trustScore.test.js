@@ -0,0 +1,72 @@
+/**
+ * Trust Score Tests for GrowmiesNJ Discord Bot
+ *
+ * Builds scores against the models as the bot wires them at startup, with the
+ * database replaced by canned query results:
+ * - Every model the score reads is initialized
+ * - A failing economy lookup still produces a score
+ */
+
+const { sequelize, initializeAllModels } = require('../../src/database/connection');
+const { TrustScoreService, TRUST_WEIGHTS } = require('../../src/services/trustScore');
+
+const GUILD_ID = '100000000000000001';
+const USER_ID = '200000000000000001';
+
+describe('TrustScoreService', () => {
+  let service;
+  let tables;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    initializeAllModels();
+  });
+
+  beforeEach(() => {
+    service = new TrustScoreService();
+    tables = [];
+
+    // Stand in for Postgres: counts are zero and lookups find nothing
+    jest.spyOn(sequelize, 'query').mockImplementation(async (sql, options = {}) => {
+      tables.push(sql.match(/FROM "(\w+)"/)[1]);
+      if (!options.plain) return [];
+      return /count\(/i.test(sql) ? { count: 0 } : null;
+    });
+  });
+
+  afterEach(() => {
+    sequelize.query.mockRestore();
+  });
+
+  afterAll(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should build a score from every source', async () => {
+    const result = await service.getTrustScore(GUILD_ID, USER_ID);
+
+    expect(tables).toEqual(expect.arrayContaining(['users', 'moderation_cases', 'economy_transactions']));
+    expect(result.components.map(component => component.key)).toEqual(
+      ['account_age', 'verification', 'activity', 'case_history', 'economy']
+    );
+    expect(result.components.find(component => component.key === 'economy')).toMatchObject({
+      points: TRUST_WEIGHTS.ECONOMY,
+      detail: 'No anomalies'
+    });
+    expect(result.flags).toEqual([]);
+  });
+
+  test('should still score members when economy data cannot be read', async () => {
+    const query = sequelize.query.getMockImplementation();
+    sequelize.query.mockImplementation(async (sql, options) => {
+      if (sql.includes('economy_transactions')) throw new Error('relation "economy_transactions" does not exist');
+      return query(sql, options);
+    });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await service.getTrustScore(GUILD_ID, USER_ID);
+
+    expect(result.components.find(component => component.key === 'economy').detail).toBe('Economy data unavailable');
+    expect(result.score).toBeGreaterThan(0);
+  });
+});
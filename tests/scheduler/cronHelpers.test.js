@@ -0,0 +1,55 @@
+/**
+ * Cron Helper Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the five-field cron parser used by the persistent job scheduler:
+ * - Field parsing (lists, ranges, steps, aliases)
+ * - Validation of malformed expressions
+ * - Next run calculation in UTC
+ */
+
+const { CronHelpers } = require('../../src/utils/cronHelpers');
+
+describe('CronHelpers', () => {
+  describe('parse', () => {
+    test('should expand lists, ranges and steps', () => {
+      const schedule = CronHelpers.parse('0,30 9-11 */10 * 1-5');
+
+      expect([...schedule.minute]).toEqual([0, 30]);
+      expect([...schedule.hour]).toEqual([9, 10, 11]);
+      expect([...schedule.dayOfMonth]).toEqual([1, 11, 21, 31]);
+      expect([...schedule.dayOfWeek]).toEqual([1, 2, 3, 4, 5]);
+    });
+
+    test('should resolve aliases and treat 7 as Sunday', () => {
+      expect([...CronHelpers.parse('@daily').hour]).toEqual([0]);
+      expect([...CronHelpers.parse('0 0 * * 7').dayOfWeek]).toEqual([0]);
+    });
+
+    test('should reject malformed expressions', () => {
+      expect(CronHelpers.isValid('* * * *')).toBe(false);
+      expect(CronHelpers.isValid('60 * * * *')).toBe(false);
+      expect(CronHelpers.isValid('*/0 * * * *')).toBe(false);
+      expect(CronHelpers.isValid('5-1 * * * *')).toBe(false);
+      expect(CronHelpers.isValid('0 4 * * *')).toBe(true);
+    });
+  });
+
+  describe('getNextRun', () => {
+    test('should return the next matching minute strictly after the reference', () => {
+      const from = new Date('2024-03-10T04:00:00Z');
+      expect(CronHelpers.getNextRun('0 4 * * *', from).toISOString()).toBe('2024-03-11T04:00:00.000Z');
+      expect(CronHelpers.getNextRun('*/15 * * * *', from).toISOString()).toBe('2024-03-10T04:15:00.000Z');
+    });
+
+    test('should roll over month and year boundaries', () => {
+      const from = new Date('2024-12-31T23:59:30Z');
+      expect(CronHelpers.getNextRun('@monthly', from).toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    });
+
+    test('should match either day field when both are restricted', () => {
+      // 2024-03-10 is a Sunday; Monday the 11th matches day-of-week before the 15th
+      const from = new Date('2024-03-10T12:00:00Z');
+      expect(CronHelpers.getNextRun('0 0 15 * 1', from).toISOString()).toBe('2024-03-11T00:00:00.000Z');
+    });
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Job Scheduler Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers how jobs are kept unique and recovered, with the job table stubbed out:
+ * - A unique key reschedules the pending or failed job instead of adding a duplicate
+ * - A unique key whose job is running is left alone
+ * - Abandoned locks are released on every tick, not only at startup
+ * - Runs that found nothing to do are left out of the run history
+ */
+
+const { JobSchedulerService, SCHEDULER_DEFAULTS } = require('../../src/services/jobScheduler');
+const { ScheduledJob } = require('../../src/database/models/ScheduledJob');
+const { ScheduledJobRun } = require('../../src/database/models/ScheduledJobRun');
+
+const POLL_KEY = 'poll_close:poll-1';
+const RUN_AT = new Date('2026-10-20T12:00:00Z');
+
+/**
+ * Build a stored job
+ * @param {string} status - Job status
+ * @returns {Object} - Job stub
+ */
+function buildJob(status) {
+  return { id: `job-${status}`, status, update: jest.fn().mockResolvedValue() };
+}
+
+describe('JobSchedulerService', () => {
+  let scheduler;
+
+  beforeEach(() => {
+    scheduler = new JobSchedulerService();
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(ScheduledJob, 'create').mockImplementation(async data => ({ id: 'job-new', ...data }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('schedule', () => {
+    test.each(['pending', 'failed'])('should reschedule a %s job with the same key', async (status) => {
+      const existing = buildJob(status);
+      jest.spyOn(ScheduledJob, 'findUnfinishedByKey').mockResolvedValue(existing);
+
+      const job = await scheduler.schedule('engagement.poll_close', { pollId: 'poll-1' }, { runAt: RUN_AT, uniqueKey: POLL_KEY });
+
+      expect(job).toBe(existing);
+      expect(existing.update).toHaveBeenCalledWith(expect.objectContaining({
+        status: 'pending',
+        run_at: RUN_AT,
+        attempts: 0,
+        last_error: null
+      }));
+      expect(ScheduledJob.create).not.toHaveBeenCalled();
+    });
+
+    test('should not add a second job while one with the same key is running', async () => {
+      const existing = buildJob('running');
+      jest.spyOn(ScheduledJob, 'findUnfinishedByKey').mockResolvedValue(existing);
+
+      const job = await scheduler.schedule('engagement.poll_close', { pollId: 'poll-1' }, { runAt: RUN_AT, uniqueKey: POLL_KEY });
+
+      expect(job).toBe(existing);
+      expect(existing.update).not.toHaveBeenCalled();
+      expect(ScheduledJob.create).not.toHaveBeenCalled();
+    });
+
+    test('should create a job when no unfinished job uses the key', async () => {
+      jest.spyOn(ScheduledJob, 'findUnfinishedByKey').mockResolvedValue(null);
+
+      const job = await scheduler.schedule('engagement.poll_close', { pollId: 'poll-1' }, { runAt: RUN_AT, uniqueKey: POLL_KEY });
+
+      expect(job).toMatchObject({ id: 'job-new', unique_key: POLL_KEY, run_at: RUN_AT });
+    });
+  });
+
+  describe('tick', () => {
+    test('should release stale locks before picking up due jobs', async () => {
+      jest.spyOn(ScheduledJob, 'releaseStaleLocks').mockResolvedValue(1);
+      jest.spyOn(ScheduledJob, 'getDueJobs').mockResolvedValue([]);
+
+      await scheduler.tick();
+      await scheduler.tick();
+
+      expect(ScheduledJob.releaseStaleLocks).toHaveBeenCalledTimes(2);
+      expect(ScheduledJob.releaseStaleLocks).toHaveBeenCalledWith(SCHEDULER_DEFAULTS.STALE_LOCK_MS);
+      expect(ScheduledJob.releaseStaleLocks.mock.invocationCallOrder[0])
+        .toBeLessThan(ScheduledJob.getDueJobs.mock.invocationCallOrder[0]);
+    });
+  });
+
+  describe('runJob', () => {
+    const RECURRING_JOB = {
+      id: 'job-sweep',
+      job_type: 'moderation.case_expiry',
+      cron_expression: '* * * * *',
+      attempts: 0,
+      isRecurring: () => true
+    };
+
+    beforeEach(() => {
+      jest.spyOn(ScheduledJobRun, 'create').mockResolvedValue();
+    });
+
+    test('should not record a sweep that found nothing to do', async () => {
+      const job = { ...RECURRING_JOB, update: jest.fn().mockResolvedValue() };
+      scheduler.registerHandler(job.job_type, async () => ({ processed: 0, idle: true }));
+
+      await scheduler.runJob(job);
+
+      expect(ScheduledJobRun.create).not.toHaveBeenCalled();
+      expect(job.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'pending', attempts: 0 }));
+    });
+
+    test('should record a sweep that did work', async () => {
+      const job = { ...RECURRING_JOB, update: jest.fn().mockResolvedValue() };
+      scheduler.registerHandler(job.job_type, async () => ({ processed: 2 }));
+
+      await scheduler.runJob(job);
+
+      expect(ScheduledJobRun.create).toHaveBeenCalledWith(expect.objectContaining({
+        job_id: job.id,
+        status: 'success',
+        result: { processed: 2 }
+      }));
+    });
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * Birthdate Verification Tests for GrowmiesNJ Discord Bot
+ *
+ * Covers the birthdate verification mode helpers:
+ * - Parsing of MM/DD/YYYY and YYYY-MM-DD birthdates
+ * - Age calculation around birthdays
+ * - Routing of borderline and suspicious attempts to staff review
+ */
+
+const { AgeVerificationService } = require('../../src/services/ageVerification');
+
+const NOW = new Date(Date.UTC(2026, 9, 19));
+const OLD_ACCOUNT = new Date(Date.UTC(2015, 0, 1));
+const CONFIG = { mode: 'birthdate', borderline_months: 6, min_account_age_days: 7 };
+
+describe('AgeVerificationService birthdate mode', () => {
+  let service;
+
+  beforeAll(() => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    service = new AgeVerificationService();
+  });
+
+  const assess = (input, overrides = {}) => service.assessBirthdate(service.parseBirthdate(input), {
+    config: CONFIG,
+    accountCreatedAt: OLD_ACCOUNT,
+    existingUser: null,
+    now: NOW,
+    ...overrides
+  });
+
+  describe('parseBirthdate', () => {
+    test('should accept US and ISO formats', () => {
+      expect(service.parseBirthdate('04/20/1990')).toEqual(new Date(Date.UTC(1990, 3, 20)));
+      expect(service.parseBirthdate('1990-04-20')).toEqual(new Date(Date.UTC(1990, 3, 20)));
+    });
+
+    test('should reject impossible dates', () => {
+      expect(service.parseBirthdate('02/30/1990')).toBeNull();
+      expect(service.parseBirthdate('13/01/1990')).toBeNull();
+      expect(service.parseBirthdate('tomorrow')).toBeNull();
+    });
+  });
+
+  describe('assessBirthdate', () => {
+    test('should approve clear 21+ birthdates', () => {
+      expect(assess('04/20/1990')).toEqual({ outcome: 'approve', age: 36, birthYear: 1990, flags: [] });
+    });
+
+    test('should deny members one day short of 21', () => {
+      expect(assess('10/20/2005')).toMatchObject({ outcome: 'deny', age: 20 });
+    });
+
+    test('should review members who turned 21 recently', () => {
+      expect(assess('10/19/2005')).toMatchObject({ outcome: 'review', age: 21, flags: ['recently_turned_21'] });
+    });
+
+    test('should review suspicious attempts', () => {
+      const result = assess('04/20/1990', {
+        accountCreatedAt: new Date(NOW.getTime() - 24 * 60 * 60 * 1000),
+        existingUser: { verification_method: 'birthdate', birth_year: '1991', verification_status: 'rejected' }
+      });
+
+      expect(result.outcome).toBe('review');
+      expect(result.flags).toEqual(['new_account', 'birth_year_changed', 'previously_denied']);
+    });
+
+    test('should review every attempt in staff review mode', () => {
+      expect(assess('04/20/1990', { config: { ...CONFIG, mode: 'staff_review' } }))
+        .toMatchObject({ outcome: 'review', flags: ['staff_review_mode'] });
+    });
+
+    test('should treat future dates as invalid', () => {
+      expect(assess('12/31/2030').outcome).toBe('invalid');
+    });
+  });
+});